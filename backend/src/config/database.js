@@ -57,19 +57,47 @@ const query = async (sql, params = []) => {
  */
 const transaction = async (callback) => {
   const connection = await pool.getConnection();
+  const afterCommitCallbacks = [];
+  connection.afterCommitCallbacks = afterCommitCallbacks;
+  let result;
   
   try {
     await connection.beginTransaction();
-    const result = await callback(connection);
+    result = await callback(connection);
     await connection.commit();
-    return result;
   } catch (error) {
     await connection.rollback();
     logger.error('Transaction failed, rolled back:', error.message);
     throw error;
   } finally {
+    delete connection.afterCommitCallbacks;
     connection.release();
   }
+
+  // The work is saved: a failing callback is logged, it doesn't fail the request
+  afterCommitCallbacks.forEach(fn => {
+    try {
+      fn();
+    } catch (error) {
+      logger.error('After-commit callback failed:', error.message);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Run a function once the connection's transaction commits (dropped on rollback).
+ * Outside a transaction it runs straight away.
+ * @param {Object} connection - Transaction connection or pool
+ * @param {Function} fn - e.g. publishing an event about what was written
+ */
+const afterCommit = (connection, fn) => {
+  if (connection.afterCommitCallbacks) {
+    connection.afterCommitCallbacks.push(fn);
+  } else {
+    fn();
+  }
 };
 
 /**
@@ -87,6 +115,7 @@ module.exports = {
   pool,
   query,
   transaction,
+  afterCommit,
   getConnection,
   end
 };
@@ -5,9 +5,11 @@
 
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
 
 /**
  * Login with username and PIN
@@ -45,18 +47,36 @@ const login = async (req, res, next) => {
       throw ApiError.unauthorized('Invalid username or PIN');
     }
     
-    // Generate JWT token
+    // Generate JWT token; sid ties it to a user_sessions row that can be revoked
+    const sessionToken = uuidv4();
     const token = jwt.sign(
       { 
         userId: user.id,
         username: user.username,
         roleId: user.role_id,
-        roleName: user.role_name
+        roleName: user.role_name,
+        sid: sessionToken
       },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
     );
     
+    // Record the session (device = user agent) and drop sessions that ended long ago
+    await db.query(
+      `INSERT INTO user_sessions (user_id, token, device_info, ip_address, expires_at, last_seen_at)
+       VALUES (?, ?, ?, ?, FROM_UNIXTIME(?), NOW())`,
+      [
+        user.id,
+        sessionToken,
+        (req.get('user-agent') || '').slice(0, 500) || null,
+        req.ip || null,
+        jwt.decode(token).exp
+      ]
+    );
+    await db.query(
+      'DELETE FROM user_sessions WHERE expires_at < NOW() - INTERVAL 30 DAY'
+    );
+    
     // Update last login
     await db.query(
       'UPDATE users SET last_login = NOW() WHERE id = ?',
@@ -196,6 +216,9 @@ const changePin = async (req, res, next) => {
       [newPinHash, userId]
     );
     
+    // Sign out other devices that may know the old PIN
+    await revokeSessions({ userId, exceptSessionId: req.sessionId }, userId, 'pin_changed');
+    
     // Log PIN change
     await logAudit(userId, 'PIN_CHANGED', 'user', userId, null, null);
     
@@ -211,11 +234,13 @@ const changePin = async (req, res, next) => {
 };
 
 /**
- * Logout (client-side token removal, server-side logging)
+ * Logout: revoke the current session so its token stops working
  * POST /api/auth/logout
  */
 const logout = async (req, res, next) => {
   try {
+    await revokeSessions({ sessionId: req.sessionId }, req.user.id, 'logout');
+    
     // Log logout
     await logAudit(req.user.id, 'LOGOUT', 'user', req.user.id, null, null);
     
@@ -230,6 +255,55 @@ const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Revoke active sessions so their tokens are rejected from the next request on.
+ * Open event streams for those sessions are closed.
+ * @param {Object} filter - { userId, sessionId, exceptSessionId }
+ * @param {number|null} revokedBy - User revoking the sessions
+ * @param {string} reason - e.g. 'logout', 'forced', 'deactivated'
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async ({ userId, sessionId, exceptSessionId }, revokedBy, reason) => {
+  const conditions = ['revoked_at IS NULL', 'expires_at > NOW()'];
+  const params = [];
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (sessionId) {
+    conditions.push('id = ?');
+    params.push(sessionId);
+  }
+  if (exceptSessionId) {
+    conditions.push('id != ?');
+    params.push(exceptSessionId);
+  }
+
+  const sessions = await db.query(
+    `SELECT id FROM user_sessions WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  const ids = sessions.map(session => session.id);
+
+  await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_by_user_id = ?, revoke_reason = ?
+     WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    [revokedBy, reason, ...ids]
+  );
+
+  // Internal event: the SSE controller ends matching streams and never forwards it
+  eventBus.publish('session.revoked', { session_ids: ids });
+
+  return ids.length;
+};
+
 /**
  * Helper function to log audit events
  */
@@ -282,5 +356,6 @@ module.exports = {
   updateProfile,
   changePin,
   logout,
-  logAudit
+  logAudit,
+  revokeSessions
 };
@@ -0,0 +1,238 @@
+/**
+ * Bundle Controller
+ * Set menus sold at a bundle price: component slots, the components chosen for an order item,
+ * and how the bundle price is shared between them
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// A component sells as its variant when it has one
+const optionName = (product, variant) => variant ? `${product.name} (${variant.name})` : product.name;
+
+/**
+ * Attach each bundle's slots as product.bundle_slots. Every slot lists the options the POS can offer:
+ * { product_id, variant_id, name, price, sold_out } (products with variants are offered per variant).
+ * @param {Array} products - Product rows (id, is_bundle)
+ */
+const attachBundleSlots = async (products) => {
+  const bundles = products.filter(product => product.is_bundle);
+  if (bundles.length === 0) return products;
+
+  const slots = await db.query(
+    `SELECT bs.*, p.name as product_name, c.name as category_name
+     FROM bundle_slots bs
+     LEFT JOIN products p ON bs.product_id = p.id
+     LEFT JOIN categories c ON bs.category_id = c.id
+     WHERE bs.bundle_product_id IN (${bundles.map(() => '?').join(', ')})
+     ORDER BY bs.display_order, bs.id`,
+    bundles.map(bundle => bundle.id)
+  );
+
+  const candidates = await db.query(
+    `SELECT * FROM products
+     WHERE is_active = TRUE AND is_available = TRUE AND is_bundle = FALSE
+     ORDER BY name`
+  );
+  const variants = await db.query(
+    'SELECT * FROM product_variants WHERE is_active = TRUE ORDER BY display_order, id'
+  );
+
+  const optionsFor = (slot) => candidates
+    .filter(product => slot.product_id ? product.id === slot.product_id : product.category_id === slot.category_id)
+    .flatMap(product => {
+      const productVariants = variants.filter(variant => variant.product_id === product.id);
+      const choices = productVariants.length > 0 ? productVariants : [null];
+
+      return choices.map(variant => ({
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        name: optionName(product, variant),
+        price: parseFloat((variant || product).price),
+        sold_out: !!product.track_stock && ((variant || product).stock_quantity ?? 0) < slot.quantity
+      }));
+    });
+
+  for (const bundle of bundles) {
+    bundle.bundle_slots = slots
+      .filter(slot => slot.bundle_product_id === bundle.id)
+      .map(slot => ({ ...slot, options: optionsFor(slot) }));
+  }
+
+  return products;
+};
+
+/**
+ * Check a bundle's slots before saving: each is one product or one category, and never another bundle
+ */
+const validateBundleSlots = async (connection, bundleId, slots) => {
+  if (slots.length === 0) {
+    throw ApiError.badRequest('A bundle needs at least one slot');
+  }
+
+  for (const slot of slots) {
+    if (!slot.product_id === !slot.category_id) {
+      throw ApiError.badRequest(`Slot "${slot.name}" needs either a product or a category`);
+    }
+    if (slot.product_id) {
+      const [[product]] = await connection.execute(
+        'SELECT id, is_bundle FROM products WHERE id = ? AND is_active = TRUE',
+        [slot.product_id]
+      );
+      if (!product || product.is_bundle || product.id === bundleId) {
+        throw ApiError.badRequest(`Slot "${slot.name}" must be a product that is not a bundle`);
+      }
+    }
+  }
+};
+
+/**
+ * Replace a bundle's slots (items already sold keep their components; the slot link is set to NULL)
+ */
+const saveBundleSlots = async (connection, bundleId, slots) => {
+  await validateBundleSlots(connection, bundleId, slots);
+
+  await connection.execute('DELETE FROM bundle_slots WHERE bundle_product_id = ?', [bundleId]);
+
+  for (const [index, slot] of slots.entries()) {
+    await connection.execute(
+      `INSERT INTO bundle_slots (bundle_product_id, name, product_id, category_id, quantity, display_order)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        bundleId, slot.name, slot.product_id || null, slot.category_id || null,
+        slot.quantity || 1, slot.display_order ?? index
+      ]
+    );
+  }
+};
+
+/**
+ * Share a bundle's unit price between its components by weight (what each sells for on its own);
+ * evenly when nothing has a price. The last component takes the rounding.
+ * @param {number} unitPrice - Bundle unit price
+ * @param {Array} components - Components with a weight
+ * @returns {Array} The components without weight, with allocated_amount
+ */
+const allocateBundlePrice = (unitPrice, components) => {
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  let remaining = roundMoney(unitPrice);
+
+  return components.map(({ weight, ...component }, index) => {
+    const share = index === components.length - 1
+      ? remaining
+      : roundMoney(unitPrice * (totalWeight > 0 ? weight / totalWeight : 1 / components.length));
+    remaining = roundMoney(remaining - share);
+    return { ...component, allocated_amount: share };
+  });
+};
+
+/**
+ * Resolve the components chosen for a bundle and share its unit price between them,
+ * in proportion to what the components sell for on their own (the last one takes the rounding).
+ * @param {Object} connection - Transaction connection
+ * @param {Object} bundle - Bundle product row
+ * @param {Array} selections - [{ slot_id, product_id, variant_id }]; fixed slots without variants may be left out
+ * @param {number} quantity - Bundles ordered (for the stock check)
+ * @param {number} unitPrice - Bundle unit price to allocate
+ * @returns {Promise<Array>} Rows to store: { bundle_slot_id, slot_name, product_id, variant_id, product_name, variant_name, quantity, allocated_amount }
+ */
+const resolveBundleComponents = async (connection, bundle, selections = [], quantity, unitPrice) => {
+  const [slots] = await connection.execute(
+    'SELECT * FROM bundle_slots WHERE bundle_product_id = ? ORDER BY display_order, id',
+    [bundle.id]
+  );
+
+  if (slots.length === 0) {
+    throw ApiError.badRequest(`${bundle.name} has no components`);
+  }
+
+  const components = [];
+
+  for (const slot of slots) {
+    const selection = selections.find(s => parseInt(s.slot_id) === slot.id) || {};
+    const productId = slot.product_id || parseInt(selection.product_id);
+
+    if (!productId) {
+      throw ApiError.badRequest(`Choose ${slot.name} for ${bundle.name}`);
+    }
+
+    const [[product]] = await connection.execute(
+      'SELECT * FROM products WHERE id = ? AND is_active = TRUE AND is_available = TRUE AND is_bundle = FALSE',
+      [productId]
+    );
+
+    if (!product || (slot.category_id && product.category_id !== slot.category_id)) {
+      throw ApiError.badRequest(`That choice is not available for ${slot.name}`);
+    }
+
+    const [variants] = await connection.execute(
+      'SELECT * FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+      [product.id]
+    );
+    let variant = null;
+
+    if (variants.length > 0) {
+      variant = variants.find(v => v.id === parseInt(selection.variant_id));
+      if (!variant) {
+        throw ApiError.badRequest(`Choose a variant of ${product.name} for ${slot.name}`);
+      }
+    }
+
+    const needed = slot.quantity * quantity;
+    const stock = (variant || product).stock_quantity;
+
+    if (product.track_stock && stock < needed) {
+      throw ApiError.badRequest(
+        `Insufficient stock for ${optionName(product, variant)}. Only ${stock} available.`
+      );
+    }
+
+    components.push({
+      bundle_slot_id: slot.id,
+      slot_name: slot.name,
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      product_name: product.name,
+      variant_name: variant ? variant.name : null,
+      quantity: slot.quantity,
+      weight: parseFloat((variant || product).price) * slot.quantity
+    });
+  }
+
+  return allocateBundlePrice(unitPrice, components);
+};
+
+/**
+ * Attach each order item's bundle components as item.components (empty for plain products)
+ * @param {Object} connection - Connection or pool with execute()
+ * @param {Array} items - Order item rows (id)
+ */
+const attachItemComponents = async (connection, items) => {
+  if (items.length === 0) return items;
+
+  const [components] = await connection.execute(
+    `SELECT order_item_id, bundle_slot_id, slot_name, product_id, variant_id,
+            product_name, variant_name, quantity, allocated_amount
+     FROM order_item_components
+     WHERE order_item_id IN (${items.map(() => '?').join(', ')})
+     ORDER BY id`,
+    items.map(item => item.id)
+  );
+
+  for (const item of items) {
+    item.components = components.filter(component => component.order_item_id === item.id);
+  }
+
+  return items;
+};
+
+module.exports = {
+  allocateBundlePrice,
+  validateBundleSlots,
+  attachBundleSlots,
+  saveBundleSlots,
+  resolveBundleComponents,
+  attachItemComponents
+};
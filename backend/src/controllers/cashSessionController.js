@@ -0,0 +1,432 @@
+/**
+ * Cash Session Controller
+ * Cash drawer shifts: open with a float, pay-ins / pay-outs, close with a counted amount
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Refuse cash tenders and cash refunds without an open drawer (default off: they are taken outside any drawer)
+const REQUIRE_CASH_DRAWER = process.env.REQUIRE_CASH_DRAWER === 'true';
+
+/**
+ * Get a user's open cash session
+ * @param {Object} connection - Connection or pool
+ * @param {number} userId
+ * @param {boolean} [lock] - Lock the row (inside a transaction)
+ * @returns {Promise<Object|undefined>}
+ */
+const getOpenSession = async (connection, userId, lock = false) => {
+  const [[session]] = await connection.execute(
+    `SELECT * FROM cash_sessions WHERE user_id = ? AND status = 'open' ${lock ? 'FOR UPDATE' : ''}`,
+    [userId]
+  );
+  return session;
+};
+
+/**
+ * Work out a session's report summary from its payment, void and refund totals and its movements.
+ * Expected cash = float + cash taken (paid minus change) - cash refunded + pay-ins - pay-outs.
+ * A voided cash payment gives back everything the guest handed over, tip included.
+ * @param {Object} session - cash_sessions row
+ * @param {Object} totals - { sales, voided, refunds, movements } as buildSessionReport loads them
+ * @returns {Object}
+ */
+const summarizeSession = (session, { sales, voided, refunds, movements }) => {
+  const sumMovements = (type) => roundMoney(
+    movements.filter(m => m.type === type).reduce((sum, m) => sum + parseFloat(m.amount), 0)
+  );
+  const payIns = sumMovements('pay_in');
+  const payOuts = sumMovements('pay_out');
+  const cashSales = roundMoney(parseFloat(sales.cash_received) + parseFloat(voided.cash_received));
+  const cashRefunds = roundMoney(parseFloat(refunds.cash_returned));
+
+  return {
+    orderCount: parseInt(sales.order_count) || 0,
+    grossSales: parseFloat(sales.gross_sales),
+    totalTips: parseFloat(sales.total_tips),
+    refundAmount: parseFloat(refunds.refund_amount),
+    voidCount: parseInt(voided.void_count) || 0,
+    voidAmount: parseFloat(voided.void_amount),
+    openingFloat: parseFloat(session.opening_float),
+    cashSales,
+    cashRefunds,
+    payIns,
+    payOuts,
+    expectedCash: roundMoney(parseFloat(session.opening_float) + cashSales - cashRefunds + payIns - payOuts)
+  };
+};
+
+/**
+ * Build the X / Z report figures for a session
+ * @param {Object} connection - Connection or pool
+ * @param {Object} session - cash_sessions row
+ */
+const buildSessionReport = async (connection, session) => {
+  const [byMethod] = await connection.execute(
+    `SELECT pm.name as payment_method,
+            COUNT(*) as transaction_count,
+            SUM(p.amount_due - p.refunded_amount) as total_amount,
+            SUM(p.tip_amount) as total_tips
+     FROM payments p
+     JOIN payment_methods pm ON p.payment_method_id = pm.id
+     WHERE p.cash_session_id = ? AND p.status IN ('completed', 'refunded')
+     GROUP BY pm.id
+     ORDER BY total_amount DESC`,
+    [session.id]
+  );
+
+  const [[sales]] = await connection.execute(
+    `SELECT COUNT(DISTINCT p.order_id) as order_count,
+            COALESCE(SUM(p.amount_due), 0) as gross_sales,
+            COALESCE(SUM(p.tip_amount), 0) as total_tips,
+            COALESCE(SUM(CASE WHEN pm.name = 'cash' THEN p.amount_paid - p.change_amount ELSE 0 END), 0) as cash_received
+     FROM payments p
+     JOIN payment_methods pm ON p.payment_method_id = pm.id
+     WHERE p.cash_session_id = ? AND p.status IN ('completed', 'refunded')`,
+    [session.id]
+  );
+
+  // Voided payments still brought cash into this drawer when it was tendered here
+  const [[voided]] = await connection.execute(
+    `SELECT COUNT(*) as void_count,
+            COALESCE(SUM(p.amount_due), 0) as void_amount,
+            COALESCE(SUM(CASE WHEN pm.name = 'cash' THEN p.amount_paid - p.change_amount ELSE 0 END), 0) as cash_received
+     FROM payments p
+     JOIN payment_methods pm ON p.payment_method_id = pm.id
+     WHERE p.cash_session_id = ? AND p.status = 'void'`,
+    [session.id]
+  );
+
+  const [[refunds]] = await connection.execute(
+    `SELECT COALESCE(SUM(CASE WHEN r.type = 'refund' THEN r.amount ELSE 0 END), 0) as refund_amount,
+            COALESCE(SUM(CASE
+              WHEN pm.name != 'cash' THEN 0
+              WHEN r.type = 'refund' THEN r.amount
+              ELSE p.amount_paid - p.change_amount
+            END), 0) as cash_returned
+     FROM payment_refunds r
+     JOIN payments p ON r.payment_id = p.id
+     JOIN payment_methods pm ON p.payment_method_id = pm.id
+     WHERE r.cash_session_id = ?`,
+    [session.id]
+  );
+
+  const [movements] = await connection.execute(
+    `SELECT m.*, u.full_name as user_name
+     FROM cash_movements m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.cash_session_id = ?
+     ORDER BY m.created_at, m.id`,
+    [session.id]
+  );
+
+  return {
+    byMethod,
+    movements,
+    summary: summarizeSession(session, { sales, voided, refunds, movements })
+  };
+};
+
+/**
+ * Load a session with its owner's name
+ */
+const findSession = async (id) => {
+  const [session] = await db.query(
+    `SELECT cs.*, u.full_name as user_name, cb.full_name as closed_by_name
+     FROM cash_sessions cs
+     JOIN users u ON cs.user_id = u.id
+     LEFT JOIN users cb ON cs.closed_by_user_id = cb.id
+     WHERE cs.id = ?`,
+    [id]
+  );
+
+  if (!session) {
+    throw ApiError.notFound('Cash session not found');
+  }
+
+  return session;
+};
+
+/**
+ * Only the drawer's owner, or a user who can view reports, may see a session
+ */
+const assertCanView = (user, session) => {
+  if (session.user_id !== user.id && !user.permissions.reports?.includes('view')) {
+    throw ApiError.forbidden('This cash drawer belongs to another user');
+  }
+};
+
+/**
+ * Only the drawer's owner, or an admin, may change a session
+ */
+const assertCanManage = (user, session) => {
+  if (session.user_id !== user.id && user.role_name !== 'admin') {
+    throw ApiError.forbidden('This cash drawer belongs to another user');
+  }
+};
+
+/**
+ * Get cash sessions (own sessions, or everyone's with reports permission)
+ * GET /api/cash-sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const { status, user_id, date, limit = 50 } = req.query;
+    const canViewAll = req.user.permissions.reports?.includes('view');
+
+    let query = `
+      SELECT cs.*, u.full_name as user_name, cb.full_name as closed_by_name
+      FROM cash_sessions cs
+      JOIN users u ON cs.user_id = u.id
+      LEFT JOIN users cb ON cs.closed_by_user_id = cb.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (!canViewAll) {
+      query += ' AND cs.user_id = ?';
+      params.push(req.user.id);
+    } else if (user_id) {
+      query += ' AND cs.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (status) {
+      query += ' AND cs.status = ?';
+      params.push(status);
+    }
+
+    if (date) {
+      query += ' AND DATE(cs.opened_at) = ?';
+      params.push(date);
+    }
+
+    query += ' ORDER BY cs.opened_at DESC LIMIT ?';
+    params.push(parseInt(limit));
+
+    const sessions = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's open session with its running (X) report, or null
+ * GET /api/cash-sessions/current
+ */
+const getCurrentSession = async (req, res, next) => {
+  try {
+    const open = await getOpenSession(db.pool, req.user.id);
+
+    if (!open) {
+      return res.json({ success: true, data: null, drawer_required: REQUIRE_CASH_DRAWER });
+    }
+
+    const session = await findSession(open.id);
+    const report = await buildSessionReport(db.pool, session);
+
+    res.json({
+      success: true,
+      data: { ...session, report },
+      drawer_required: REQUIRE_CASH_DRAWER
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a session with its report: an X report while open, the Z report once closed
+ * GET /api/cash-sessions/:id
+ */
+const getSessionById = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id);
+    assertCanView(req.user, session);
+
+    const report = await buildSessionReport(db.pool, session);
+
+    res.json({
+      success: true,
+      data: { ...session, report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a cash drawer session with a starting float
+ * POST /api/cash-sessions
+ */
+const openSession = async (req, res, next) => {
+  try {
+    const { opening_float = 0, notes } = req.body;
+
+    const sessionId = await db.transaction(async (connection) => {
+      // Lock the user row so two tabs can't open two drawers
+      await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [req.user.id]);
+
+      if (await getOpenSession(connection, req.user.id)) {
+        throw ApiError.conflict('You already have an open cash drawer');
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO cash_sessions (user_id, opening_float, notes) VALUES (?, ?, ?)',
+        [req.user.id, roundMoney(parseFloat(opening_float)), notes || null]
+      );
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'CASH_SESSION_OPENED', 'cash_session', sessionId, null, { opening_float });
+
+    logger.info(`Cash drawer ${sessionId} opened by ${req.user.username} with float ${parseFloat(opening_float).toFixed(2)}`);
+
+    const session = await findSession(sessionId);
+    const report = await buildSessionReport(db.pool, session);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash drawer opened',
+      data: { ...session, report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a pay-in or pay-out on an open session
+ * POST /api/cash-sessions/:id/movements
+ */
+const addMovement = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type, amount, reason } = req.body;
+
+    const movementId = await db.transaction(async (connection) => {
+      const [[session]] = await connection.execute(
+        'SELECT * FROM cash_sessions WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!session) {
+        throw ApiError.notFound('Cash session not found');
+      }
+
+      assertCanManage(req.user, session);
+
+      if (session.status !== 'open') {
+        throw ApiError.badRequest('Cash drawer is closed');
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO cash_movements (cash_session_id, type, amount, reason, user_id) VALUES (?, ?, ?, ?, ?)',
+        [id, type, roundMoney(parseFloat(amount)), reason, req.user.id]
+      );
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, type === 'pay_in' ? 'CASH_PAY_IN' : 'CASH_PAY_OUT', 'cash_session', id, null, { amount, reason });
+
+    logger.info(`Cash ${type.replace('_', '-')} of ${parseFloat(amount).toFixed(2)} on drawer ${id} by ${req.user.username}`);
+
+    const [movement] = await db.query('SELECT * FROM cash_movements WHERE id = ?', [movementId]);
+
+    res.status(201).json({
+      success: true,
+      message: type === 'pay_in' ? 'Pay-in recorded' : 'Pay-out recorded',
+      data: movement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a session with the counted cash; stores expected cash and over/short (Z report)
+ * POST /api/cash-sessions/:id/close
+ */
+const closeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { counted_cash, notes } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const [[session]] = await connection.execute(
+        'SELECT * FROM cash_sessions WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!session) {
+        throw ApiError.notFound('Cash session not found');
+      }
+
+      assertCanManage(req.user, session);
+
+      if (session.status !== 'open') {
+        throw ApiError.badRequest('Cash drawer is already closed');
+      }
+
+      const { summary } = await buildSessionReport(connection, session);
+      const counted = roundMoney(parseFloat(counted_cash));
+      const overShort = roundMoney(counted - summary.expectedCash);
+
+      await connection.execute(
+        `UPDATE cash_sessions
+         SET status = 'closed', expected_cash = ?, counted_cash = ?, over_short = ?,
+             notes = COALESCE(?, notes), closed_at = NOW(), closed_by_user_id = ?
+         WHERE id = ?`,
+        [summary.expectedCash, counted, overShort, notes || null, req.user.id, id]
+      );
+
+      return { expected: summary.expectedCash, counted, overShort };
+    });
+
+    await logAudit(req.user.id, 'CASH_SESSION_CLOSED', 'cash_session', id, { status: 'open' }, {
+      status: 'closed',
+      expected_cash: result.expected,
+      counted_cash: result.counted,
+      over_short: result.overShort
+    });
+
+    logger.info(
+      `Cash drawer ${id} closed by ${req.user.username}: expected ${result.expected.toFixed(2)}, counted ${result.counted.toFixed(2)}, over/short ${result.overShort.toFixed(2)}`
+    );
+
+    const session = await findSession(id);
+    const report = await buildSessionReport(db.pool, session);
+
+    res.json({
+      success: true,
+      message: 'Cash drawer closed',
+      data: { ...session, report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  REQUIRE_CASH_DRAWER,
+  getOpenSession,
+  summarizeSession,
+  getSessions,
+  getCurrentSession,
+  getSessionById,
+  openSession,
+  addMovement,
+  closeSession
+};
@@ -0,0 +1,324 @@
+/**
+ * Split Check Controller
+ * Partitions an order into sub-checks (by item, by seat or evenly) that are paid separately
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const eventBus = require('../utils/eventBus');
+const { attachItemModifiers } = require('./modifierController');
+
+const SPLIT_MODES = ['item', 'seat', 'even'];
+
+/**
+ * Round to cents so shares add back up to the order total
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load an order's checks with their items, amount tendered and remaining balance
+ * @param {number} orderId
+ * @returns {Promise<Array>}
+ */
+const loadChecks = async (orderId) => {
+  const checks = await db.query(
+    `SELECT c.*,
+            COALESCE(SUM(p.amount_due), 0) as amount_tendered
+     FROM order_checks c
+     LEFT JOIN payments p ON p.check_id = c.id AND p.status IN ('completed', 'refunded')
+     WHERE c.order_id = ?
+     GROUP BY c.id
+     ORDER BY c.check_number`,
+    [orderId]
+  );
+
+  if (checks.length === 0) return [];
+
+  const items = await db.query(
+    `SELECT oi.id, oi.check_id, oi.product_id, oi.variant_name, oi.quantity, oi.unit_price, oi.subtotal,
+            oi.discount_amount, oi.tax_rate, oi.tax_inclusive, oi.tax_amount,
+            oi.seat_number, oi.status, p.name as product_name
+     FROM order_items oi
+     JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ? AND oi.check_id IS NOT NULL AND oi.status != 'cancelled'
+     ORDER BY oi.added_at`,
+    [orderId]
+  );
+
+  await attachItemModifiers(db.pool, items);
+
+  return checks.map(check => {
+    const tendered = parseFloat(check.amount_tendered) || 0;
+    return {
+      ...check,
+      amount_tendered: roundMoney(tendered),
+      balance_due: roundMoney(parseFloat(check.amount) - tendered),
+      items: items.filter(item => item.check_id === check.id)
+    };
+  });
+};
+
+/**
+ * What a line adds to the order total: its discounted price, plus its tax when that is charged on top
+ */
+const lineTotal = (item) =>
+  parseFloat(item.subtotal) -
+  parseFloat(item.discount_amount || 0) +
+  (item.tax_inclusive ? 0 : parseFloat(item.tax_amount || 0));
+
+/**
+ * Build check definitions ({ label, item_ids, weight }) for the requested split mode.
+ * Item and seat checks are weighted by what their lines add to the order total, tax included.
+ */
+const buildChecks = (mode, items, { count, checks }) => {
+  const itemTotal = (ids) => items
+    .filter(item => ids.includes(item.id))
+    .reduce((sum, item) => sum + lineTotal(item), 0);
+
+  if (mode === 'even') {
+    return Array.from({ length: count }, (_, i) => ({
+      label: `Guest ${i + 1}`,
+      item_ids: [],
+      weight: 1
+    }));
+  }
+
+  if (mode === 'seat') {
+    const unseated = items.filter(item => item.seat_number == null);
+    if (unseated.length > 0) {
+      throw ApiError.badRequest(`${unseated.length} item(s) have no seat number`);
+    }
+
+    const seats = [...new Set(items.map(item => item.seat_number))].sort((a, b) => a - b);
+    return seats.map(seat => {
+      const ids = items.filter(item => item.seat_number === seat).map(item => item.id);
+      return { label: `Seat ${seat}`, item_ids: ids, weight: itemTotal(ids) };
+    });
+  }
+
+  // By item: every active item must be on exactly one check
+  const assigned = checks.flatMap(check => check.item_ids.map(Number));
+  const activeIds = items.map(item => item.id);
+
+  if (new Set(assigned).size !== assigned.length) {
+    throw ApiError.badRequest('An item can only be on one check');
+  }
+  if (assigned.some(id => !activeIds.includes(id))) {
+    throw ApiError.badRequest('Checks contain items that are not on this order');
+  }
+  if (assigned.length !== activeIds.length) {
+    throw ApiError.badRequest('Every item must be assigned to a check');
+  }
+  if (checks.some(check => check.item_ids.length === 0)) {
+    throw ApiError.badRequest('A check must contain at least one item');
+  }
+
+  return checks.map((check, i) => {
+    const ids = check.item_ids.map(Number);
+    return { label: check.label || `Check ${i + 1}`, item_ids: ids, weight: itemTotal(ids) };
+  });
+};
+
+/**
+ * Allocate an order total across check definitions by weight; the last check absorbs rounding
+ * @param {number} total - Order total
+ * @param {Array} definitions - Check definitions from buildChecks (amount is set on each)
+ * @returns {Array} The same definitions
+ */
+const allocateChecks = (total, definitions) => {
+  const totalWeight = definitions.reduce((sum, d) => sum + d.weight, 0);
+  let allocated = 0;
+
+  definitions.forEach((definition, i) => {
+    definition.amount = i === definitions.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(totalWeight > 0 ? total * definition.weight / totalWeight : 0);
+    allocated = roundMoney(allocated + definition.amount);
+  });
+
+  return definitions;
+};
+
+/**
+ * Get an order's checks
+ * GET /api/orders/:orderId/checks
+ */
+const getChecks = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    const [order] = await db.query('SELECT id FROM orders WHERE id = ?', [orderId]);
+    if (!order) {
+      throw ApiError.notFound('Order not found');
+    }
+
+    res.json({
+      success: true,
+      data: await loadChecks(orderId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Split an order into checks, replacing any unpaid split
+ * POST /api/orders/:orderId/checks
+ */
+const splitOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { mode, count, checks } = req.body;
+
+    if (!SPLIT_MODES.includes(mode)) {
+      throw ApiError.badRequest(`Mode must be one of: ${SPLIT_MODES.join(', ')}`);
+    }
+
+    const order = await db.transaction(async (connection) => {
+      const [[order]] = await connection.execute(
+        'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound('Order not found');
+      }
+
+      if (order.status !== 'open') {
+        throw ApiError.badRequest('Only open orders can be split');
+      }
+
+      const [[tendered]] = await connection.execute(
+        `SELECT COUNT(*) as count FROM payments
+         WHERE order_id = ? AND status IN ('completed', 'refunded')`,
+        [orderId]
+      );
+
+      if (tendered.count > 0) {
+        throw ApiError.badRequest('Order already has payments and can no longer be split');
+      }
+
+      const [items] = await connection.execute(
+        `SELECT id, subtotal, discount_amount, tax_amount, tax_inclusive, seat_number
+         FROM order_items
+         WHERE order_id = ? AND status != 'cancelled'`,
+        [orderId]
+      );
+
+      if (items.length === 0) {
+        throw ApiError.badRequest('Order has no items to split');
+      }
+
+      const definitions = buildChecks(mode, items, {
+        count: parseInt(count) || order.guest_count,
+        checks: checks || []
+      });
+
+      if (definitions.length < 2) {
+        throw ApiError.badRequest('A split needs at least two checks');
+      }
+
+      allocateChecks(parseFloat(order.total_amount), definitions);
+
+      await connection.execute('UPDATE order_items SET check_id = NULL WHERE order_id = ?', [orderId]);
+      await connection.execute('DELETE FROM order_checks WHERE order_id = ?', [orderId]);
+
+      for (const [i, definition] of definitions.entries()) {
+        const [result] = await connection.execute(
+          `INSERT INTO order_checks (order_id, check_number, split_mode, label, amount, created_by_user_id)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [orderId, i + 1, mode, definition.label, definition.amount, req.user.id]
+        );
+
+        if (definition.item_ids.length > 0) {
+          await connection.execute(
+            `UPDATE order_items SET check_id = ?
+             WHERE order_id = ? AND id IN (${definition.item_ids.map(() => '?').join(', ')})`,
+            [result.insertId, orderId, ...definition.item_ids]
+          );
+        }
+      }
+
+      return order;
+    });
+
+    const result = await loadChecks(orderId);
+
+    await logAudit(req.user.id, 'ORDER_SPLIT', 'order', orderId, null, {
+      mode,
+      checks: result.map(c => ({ label: c.label, amount: c.amount }))
+    });
+
+    eventBus.publish('order.updated', { order_id: order.id, table_id: order.table_id });
+
+    logger.info(`Order ${orderId} split ${mode} into ${result.length} checks by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Order split into ${result.length} checks`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an order's split (only before any check has been paid)
+ * DELETE /api/orders/:orderId/checks
+ */
+const removeSplit = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await db.transaction(async (connection) => {
+      const [[order]] = await connection.execute(
+        'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound('Order not found');
+      }
+
+      const [[tendered]] = await connection.execute(
+        `SELECT COUNT(*) as count FROM payments
+         WHERE order_id = ? AND check_id IS NOT NULL AND status IN ('completed', 'refunded')`,
+        [orderId]
+      );
+
+      if (tendered.count > 0) {
+        throw ApiError.badRequest('Checks have already been paid');
+      }
+
+      await connection.execute('UPDATE order_items SET check_id = NULL WHERE order_id = ?', [orderId]);
+      await connection.execute('DELETE FROM order_checks WHERE order_id = ?', [orderId]);
+
+      return order;
+    });
+
+    await logAudit(req.user.id, 'ORDER_SPLIT_REMOVED', 'order', orderId, null, null);
+
+    eventBus.publish('order.updated', { order_id: order.id, table_id: order.table_id });
+
+    logger.info(`Split removed from order ${orderId} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Split removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  buildChecks,
+  allocateChecks,
+  loadChecks,
+  getChecks,
+  splitOrder,
+  removeSplit
+};
@@ -0,0 +1,483 @@
+/**
+ * Discount and Promotion Controller
+ * Spreads manual discounts and automatic promotions over order lines, and manages promotions
+ */
+
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+
+const PROMOTION_TYPES = ['happy_hour', 'buy_x_get_y', 'combo'];
+
+/**
+ * Round to cents so line shares add back up to the discount
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a line's time falls inside a promotion's days and time window (windows may cross midnight).
+ * Weekday and time come from the database clock (see applyDiscounts), not the Node process timezone.
+ * @param {Object} promotion - days_of_week is a comma list of JS weekdays (0 = Sunday)
+ * @param {Object} when - { weekday: 0-6 (0 = Sunday), time: 'HH:MM:SS' }
+ */
+const inPromotionWindow = (promotion, { weekday, time }) => {
+  if (promotion.days_of_week) {
+    const days = promotion.days_of_week.split(',').map(Number);
+    if (!days.includes(Number(weekday))) return false;
+  }
+
+  if (!promotion.start_time || !promotion.end_time) return true;
+
+  return promotion.start_time <= promotion.end_time
+    ? time >= promotion.start_time && time < promotion.end_time
+    : time >= promotion.start_time || time < promotion.end_time;
+};
+
+/**
+ * Whether a line is in a promotion's scope (no scope rows = every product)
+ */
+const inPromotionScope = (promotion, line) =>
+  promotion.products.length === 0 ||
+  promotion.products.some(scope =>
+    (scope.product_id && scope.product_id === line.product_id) ||
+    (scope.category_id && scope.category_id === line.category_id)
+  );
+
+/**
+ * Work out promotion discounts for an order's lines. A line takes at most one promotion,
+ * and only promotions whose window covers the time the line was added.
+ * @param {Array} promotions - Active promotions with their products
+ * @param {Array} lines - Active order lines
+ * @returns {Array<{order_item_id: number, promotion: Object, amount: number}>}
+ */
+const calculatePromotions = (promotions, lines) => {
+  const results = [];
+  const taken = new Set();
+
+  for (const promotion of promotions) {
+    const eligible = lines.filter(line =>
+      !taken.has(line.id) &&
+      inPromotionWindow(promotion, { weekday: line.added_weekday, time: line.added_time }) &&
+      inPromotionScope(promotion, line)
+    );
+    const amounts = new Map();
+    const addAmount = (line, amount) => amounts.set(line.id, (amounts.get(line.id) || 0) + amount);
+
+    if (promotion.type === 'happy_hour') {
+      const value = parseFloat(promotion.discount_value);
+      for (const line of eligible) {
+        const subtotal = parseFloat(line.subtotal);
+        addAmount(line, promotion.discount_type === 'percent'
+          ? subtotal * value / 100
+          : Math.min(subtotal, value * line.quantity));
+      }
+    } else if (promotion.type === 'buy_x_get_y') {
+      // For every buy + get units, the cheapest get units are free
+      const units = eligible
+        .flatMap(line => Array.from({ length: line.quantity }, () => line))
+        .sort((a, b) => parseFloat(b.unit_price) - parseFloat(a.unit_price));
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      const freeUnits = Math.floor(units.length / groupSize) * promotion.get_quantity;
+
+      for (const line of units.slice(units.length - freeUnits)) {
+        addAmount(line, parseFloat(line.unit_price));
+      }
+    } else if (promotion.type === 'combo') {
+      const components = promotion.products
+        .filter(component => component.product_id)
+        .map(component => ({
+          ...component,
+          lines: eligible.filter(line => line.product_id === component.product_id)
+        }));
+
+      const sets = components.length === 0 ? 0 : Math.min(...components.map(component =>
+        Math.floor(component.lines.reduce((sum, line) => sum + line.quantity, 0) / component.quantity)
+      ));
+
+      if (sets > 0) {
+        // Regular price of one set, from the cheapest line of each component
+        const parts = components.map(component => ({
+          lines: component.lines,
+          price: Math.min(...component.lines.map(line => parseFloat(line.unit_price))) * component.quantity
+        }));
+        const regular = parts.reduce((sum, part) => sum + part.price, 0);
+        const saving = (regular - parseFloat(promotion.combo_price)) * sets;
+
+        if (saving > 0) {
+          // Spread the saving over the components by their share of the regular price
+          for (const part of parts) {
+            let remaining = saving * part.price / regular;
+            for (const line of part.lines) {
+              const amount = Math.min(remaining, parseFloat(line.subtotal));
+              if (amount > 0) addAmount(line, amount);
+              remaining -= amount;
+            }
+          }
+        }
+      }
+    }
+
+    for (const [lineId, amount] of amounts) {
+      if (amount <= 0) continue;
+      taken.add(lineId);
+      results.push({ order_item_id: lineId, promotion, amount: roundMoney(amount) });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Load active promotions with their scope / combo products
+ * @param {Object} connection - Connection or pool with execute()
+ */
+const loadPromotions = async (connection, includeInactive = false) => {
+  const [promotions] = await connection.execute(
+    `SELECT * FROM promotions
+     ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+     ORDER BY id`
+  );
+
+  if (promotions.length === 0) return [];
+
+  const [products] = await connection.execute(
+    `SELECT pp.*, p.name as product_name, c.name as category_name
+     FROM promotion_products pp
+     LEFT JOIN products p ON pp.product_id = p.id
+     LEFT JOIN categories c ON pp.category_id = c.id
+     WHERE pp.promotion_id IN (${promotions.map(() => '?').join(', ')})`,
+    promotions.map(promotion => promotion.id)
+  );
+
+  return promotions.map(promotion => ({
+    ...promotion,
+    products: products.filter(product => product.promotion_id === promotion.id)
+  }));
+};
+
+/**
+ * Recalculate an order's discounts onto its lines.
+ * Promotions are re-evaluated from scratch; manual item discounts apply to the line after promotions,
+ * and order discounts are spread over the lines by their discounted price so line tax stays right.
+ * Writes order_discounts.amount and order_items.discount_amount.
+ * @param {Object} connection - Transaction connection
+ * @param {number} orderId
+ */
+const applyDiscounts = async (connection, orderId) => {
+  const [lines] = await connection.execute(
+    `SELECT oi.id, oi.product_id, p.category_id, oi.quantity, oi.unit_price, oi.subtotal, oi.added_at,
+            DAYOFWEEK(oi.added_at) - 1 as added_weekday,
+            TIME_FORMAT(oi.added_at, '%H:%i:%s') as added_time
+     FROM order_items oi
+     JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ? AND oi.status != 'cancelled'
+     ORDER BY oi.added_at, oi.id`,
+    [orderId]
+  );
+
+  await connection.execute(
+    'DELETE FROM order_discounts WHERE order_id = ? AND promotion_id IS NOT NULL',
+    [orderId]
+  );
+
+  const lineDiscounts = new Map(lines.map(line => [line.id, 0]));
+
+  const promotions = await loadPromotions(connection);
+  for (const result of calculatePromotions(promotions, lines)) {
+    await connection.execute(
+      `INSERT INTO order_discounts (order_id, order_item_id, promotion_id, discount_type, value, amount, reason_code, reason)
+       VALUES (?, ?, ?, 'fixed', ?, ?, 'promotion', ?)`,
+      [orderId, result.order_item_id, result.promotion.id, result.amount, result.amount, result.promotion.name]
+    );
+    lineDiscounts.set(result.order_item_id, result.amount);
+  }
+
+  const [discounts] = await connection.execute(
+    `SELECT * FROM order_discounts
+     WHERE order_id = ? AND promotion_id IS NULL
+     ORDER BY order_item_id IS NULL, id`,
+    [orderId]
+  );
+
+  for (const discount of discounts) {
+    const value = parseFloat(discount.value);
+    let amount = 0;
+
+    if (discount.order_item_id) {
+      const line = lines.find(l => l.id === discount.order_item_id);
+      if (line) {
+        const remaining = parseFloat(line.subtotal) - lineDiscounts.get(line.id);
+        amount = roundMoney(discount.discount_type === 'percent'
+          ? remaining * value / 100
+          : Math.min(value, remaining));
+        lineDiscounts.set(line.id, roundMoney(lineDiscounts.get(line.id) + amount));
+      }
+    } else {
+      const nets = lines.map(line => parseFloat(line.subtotal) - lineDiscounts.get(line.id));
+      const base = nets.reduce((sum, net) => sum + net, 0);
+      amount = roundMoney(discount.discount_type === 'percent'
+        ? base * value / 100
+        : Math.min(value, base));
+
+      // Spread by line; the last line absorbs rounding
+      let allocated = 0;
+      lines.forEach((line, i) => {
+        const share = i === lines.length - 1
+          ? roundMoney(amount - allocated)
+          : roundMoney(base > 0 ? amount * nets[i] / base : 0);
+        allocated = roundMoney(allocated + share);
+        lineDiscounts.set(line.id, roundMoney(lineDiscounts.get(line.id) + share));
+      });
+    }
+
+    if (amount !== parseFloat(discount.amount)) {
+      await connection.execute('UPDATE order_discounts SET amount = ? WHERE id = ?', [amount, discount.id]);
+    }
+  }
+
+  await connection.execute(
+    "UPDATE order_items SET discount_amount = 0 WHERE order_id = ? AND status = 'cancelled'",
+    [orderId]
+  );
+
+  for (const [lineId, amount] of lineDiscounts) {
+    await connection.execute('UPDATE order_items SET discount_amount = ? WHERE id = ?', [amount, lineId]);
+  }
+};
+
+/**
+ * Resolve who approves a discount: the user themselves when they hold discounts:approve,
+ * otherwise a manager who enters their username and PIN on this terminal.
+ * @returns {Promise<number>} approver user id
+ */
+const resolveApprover = async (user, { approver_username, approver_pin }) => {
+  if (user.permissions.discounts?.includes('approve')) {
+    return user.id;
+  }
+
+  if (!approver_username || !approver_pin) {
+    throw ApiError.forbidden('This discount needs manager approval');
+  }
+
+  const [approver] = await db.query(
+    `SELECT u.id, u.pin_hash, u.is_active, r.permissions
+     FROM users u
+     JOIN roles r ON u.role_id = r.id
+     WHERE u.username = ?`,
+    [approver_username]
+  );
+
+  if (!approver || !approver.is_active || !(await bcrypt.compare(String(approver_pin), approver.pin_hash))) {
+    throw ApiError.forbidden('Invalid approver username or PIN');
+  }
+
+  const permissions = typeof approver.permissions === 'string'
+    ? JSON.parse(approver.permissions)
+    : approver.permissions;
+
+  if (!permissions.discounts?.includes('approve')) {
+    throw ApiError.forbidden('Approver is not allowed to approve discounts');
+  }
+
+  return approver.id;
+};
+
+/**
+ * Validate a promotion body for its type
+ */
+const validatePromotion = ({ type, discount_type, discount_value, buy_quantity, get_quantity, combo_price, products = [] }) => {
+  if (type === 'happy_hour' && (!discount_type || discount_value == null)) {
+    throw ApiError.badRequest('Happy hour needs a discount type and value');
+  }
+  if (type === 'happy_hour' && discount_type === 'percent' && discount_value > 100) {
+    throw ApiError.badRequest('Percent discount cannot exceed 100');
+  }
+  if (type === 'buy_x_get_y' && (!(buy_quantity >= 1) || !(get_quantity >= 1))) {
+    throw ApiError.badRequest('Buy-X-get-Y needs buy and get quantities');
+  }
+  if (type === 'combo') {
+    if (combo_price == null) {
+      throw ApiError.badRequest('Combo needs a combo price');
+    }
+    if (products.filter(product => product.product_id).length < 2) {
+      throw ApiError.badRequest('Combo needs at least two products');
+    }
+  }
+};
+
+/**
+ * Replace a promotion's product / category rows
+ */
+const savePromotionProducts = async (connection, promotionId, products) => {
+  await connection.execute('DELETE FROM promotion_products WHERE promotion_id = ?', [promotionId]);
+
+  for (const product of products) {
+    await connection.execute(
+      'INSERT INTO promotion_products (promotion_id, product_id, category_id, quantity) VALUES (?, ?, ?, ?)',
+      [promotionId, product.product_id || null, product.category_id || null, product.quantity || 1]
+    );
+  }
+};
+
+/**
+ * Get all promotions
+ * GET /api/promotions
+ */
+const getPromotions = async (req, res, next) => {
+  try {
+    const promotions = await loadPromotions(db.pool, req.query.include_inactive === 'true');
+
+    res.json({
+      success: true,
+      data: promotions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create promotion
+ * POST /api/promotions
+ */
+const createPromotion = async (req, res, next) => {
+  try {
+    const {
+      name, type, discount_type, discount_value, buy_quantity, get_quantity,
+      combo_price, start_time, end_time, days_of_week, products = []
+    } = req.body;
+
+    validatePromotion(req.body);
+
+    const promotionId = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT INTO promotions (
+          name, type, discount_type, discount_value, buy_quantity, get_quantity,
+          combo_price, start_time, end_time, days_of_week
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name, type, discount_type || null, discount_value ?? null, buy_quantity || null,
+          get_quantity || null, combo_price ?? null, start_time || null, end_time || null,
+          days_of_week || null
+        ]
+      );
+
+      await savePromotionProducts(connection, result.insertId, products);
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'PROMOTION_CREATED', 'promotion', promotionId, null, req.body);
+
+    logger.info(`Promotion "${name}" (${type}) created by ${req.user.username}`);
+
+    const [promotion] = (await loadPromotions(db.pool, true)).filter(p => p.id === promotionId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update promotion. Open orders pick up the change the next time they are recalculated.
+ * PUT /api/promotions/:id
+ */
+const updatePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [existing] = await db.query('SELECT * FROM promotions WHERE id = ?', [id]);
+
+    if (!existing) {
+      throw ApiError.notFound('Promotion not found');
+    }
+
+    const products = req.body.products || await db.query(
+      'SELECT product_id, category_id, quantity FROM promotion_products WHERE promotion_id = ?',
+      [id]
+    );
+    const merged = { ...existing, ...req.body, products };
+    validatePromotion(merged);
+
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE promotions
+         SET name = ?, discount_type = ?, discount_value = ?, buy_quantity = ?, get_quantity = ?,
+             combo_price = ?, start_time = ?, end_time = ?, days_of_week = ?, is_active = ?
+         WHERE id = ?`,
+        [
+          merged.name, merged.discount_type || null, merged.discount_value ?? null,
+          merged.buy_quantity || null, merged.get_quantity || null, merged.combo_price ?? null,
+          merged.start_time || null, merged.end_time || null, merged.days_of_week || null,
+          merged.is_active ? true : false, id
+        ]
+      );
+
+      if (req.body.products) {
+        await savePromotionProducts(connection, id, req.body.products);
+      }
+    });
+
+    await logAudit(req.user.id, 'PROMOTION_UPDATED', 'promotion', id, existing, req.body);
+
+    logger.info(`Promotion "${existing.name}" updated by ${req.user.username}`);
+
+    const [promotion] = (await loadPromotions(db.pool, true)).filter(p => p.id === parseInt(id));
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete promotion (soft delete, so past discounts keep their promotion)
+ * DELETE /api/promotions/:id
+ */
+const deletePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [promotion] = await db.query('SELECT * FROM promotions WHERE id = ?', [id]);
+
+    if (!promotion) {
+      throw ApiError.notFound('Promotion not found');
+    }
+
+    await db.query('UPDATE promotions SET is_active = FALSE WHERE id = ?', [id]);
+
+    await logAudit(req.user.id, 'PROMOTION_DELETED', 'promotion', id, null, null);
+
+    logger.info(`Promotion "${promotion.name}" deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  inPromotionWindow,
+  calculatePromotions,
+  applyDiscounts,
+  resolveApprover,
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
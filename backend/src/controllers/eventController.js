@@ -0,0 +1,67 @@
+/**
+ * Real-time Event Stream Controller
+ * Pushes table, order and item changes to clients over Server-Sent Events
+ */
+
+const eventBus = require('../utils/eventBus');
+const streamTickets = require('../utils/streamTickets');
+const { logger } = require('../utils/logger');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Issue a single-use ticket for opening the event stream
+ * POST /api/events/ticket
+ */
+const createTicket = (req, res) => {
+  res.json({
+    success: true,
+    data: streamTickets.issue({ userId: req.user.id, sid: req.sessionToken })
+  });
+};
+
+/**
+ * Open an SSE stream for the authenticated user
+ * GET /api/events?ticket=
+ */
+const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Tell the client how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    // Session revocations are internal: end this stream if it belongs to a revoked session
+    if (event.type === 'session.revoked') {
+      if (event.data.session_ids.includes(req.sessionId)) {
+        res.end();
+      }
+      return;
+    }
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({ id: 0, type: 'connected', data: { user_id: req.user.id }, at: new Date().toISOString() });
+
+  const unsubscribe = eventBus.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  logger.debug(`Event stream opened by ${req.user.username} (${eventBus.subscriberCount()} connected)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Event stream closed by ${req.user.username}`);
+  });
+};
+
+module.exports = {
+  createTicket,
+  streamEvents
+};
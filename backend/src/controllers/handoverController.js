@@ -0,0 +1,369 @@
+/**
+ * Handover Controller
+ * Passes open orders from one server to another at shift change. The receiving server accepts;
+ * the order and its table locks then move to them. Items keep the server they were rung up under,
+ * so sales reports split handed-over orders between both servers.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const eventBus = require('../utils/eventBus');
+
+const isManager = (user) => ['admin', 'moderator'].includes(user.role_name);
+
+const HANDOVER_SELECT = `
+  SELECT h.*, o.order_number, o.total_amount, o.guest_count, o.opened_at, o.status as order_status,
+         t.table_number, fu.full_name as from_server_name, tu.full_name as to_server_name,
+         ru.full_name as requested_by_name
+  FROM order_handovers h
+  JOIN orders o ON h.order_id = o.id
+  LEFT JOIN restaurant_tables t ON o.table_id = t.id
+  JOIN users fu ON h.from_server_id = fu.id
+  JOIN users tu ON h.to_server_id = tu.id
+  JOIN users ru ON h.requested_by_user_id = ru.id
+`;
+
+/**
+ * Get handovers. Pending ones by default (for orders that are still open); servers only see
+ * handovers to or from them.
+ * GET /api/handovers
+ */
+const getHandovers = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    let query = `${HANDOVER_SELECT} WHERE h.status = ?`;
+    const params = [status];
+
+    if (status === 'pending') {
+      query += " AND o.status = 'open'";
+    } else {
+      query += ' AND DATE(h.created_at) = CURDATE()';
+    }
+
+    if (!isManager(req.user)) {
+      query += ' AND (h.to_server_id = ? OR h.from_server_id = ?)';
+      params.push(req.user.id, req.user.id);
+    }
+
+    query += ' ORDER BY h.created_at DESC, h.id';
+    const handovers = await db.query(query, params);
+
+    res.json({ success: true, data: handovers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Staff who can take over orders, with how many open orders each holds
+ * GET /api/handovers/servers
+ */
+const getHandoverServers = async (req, res, next) => {
+  try {
+    const servers = await db.query(
+      `SELECT u.id, u.full_name, r.name as role_name,
+              (SELECT COUNT(*) FROM orders o WHERE o.server_id = u.id AND o.status = 'open') as open_orders
+       FROM users u
+       JOIN roles r ON u.role_id = r.id
+       WHERE u.is_active = TRUE AND JSON_CONTAINS(r.permissions, '"update"', '$.orders')
+       ORDER BY u.full_name`
+    );
+
+    res.json({ success: true, data: servers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ask another server to take over orders: the given order_ids, or every open order of
+ * from_server_id (the current user by default). Servers can only hand over their own orders.
+ * A pending handover of the same order is replaced.
+ * POST /api/handovers
+ */
+const requestHandover = async (req, res, next) => {
+  try {
+    const { order_ids, to_server_id, note } = req.body;
+    const fromServerId = req.body.from_server_id || req.user.id;
+
+    if (!isManager(req.user) && fromServerId !== req.user.id) {
+      throw ApiError.forbidden('You can only hand over your own orders');
+    }
+
+    const result = await db.transaction(async (connection) => {
+      const [[receiver]] = await connection.execute(
+        `SELECT u.id, u.full_name, u.is_active, JSON_CONTAINS(r.permissions, '"update"', '$.orders') as can_take
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE u.id = ?`,
+        [to_server_id]
+      );
+
+      if (!receiver || !receiver.is_active || !receiver.can_take) {
+        throw ApiError.badRequest('Receiving server not found or cannot take orders');
+      }
+
+      let orders;
+      if (order_ids) {
+        [orders] = await connection.execute(
+          `SELECT * FROM orders WHERE id IN (${order_ids.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`,
+          order_ids
+        );
+
+        if (orders.length !== order_ids.length) {
+          throw ApiError.notFound('Order not found');
+        }
+      } else {
+        [orders] = await connection.execute(
+          "SELECT * FROM orders WHERE server_id = ? AND status = 'open' ORDER BY id FOR UPDATE",
+          [fromServerId]
+        );
+
+        if (orders.length === 0) {
+          throw ApiError.badRequest('No open orders to hand over');
+        }
+      }
+
+      for (const order of orders) {
+        if (order.status !== 'open') {
+          throw ApiError.badRequest(`Order ${order.order_number} is closed`);
+        }
+        if (!isManager(req.user) && order.server_id !== req.user.id) {
+          throw ApiError.forbidden('You can only hand over your own orders');
+        }
+        if (order.server_id === receiver.id) {
+          throw ApiError.badRequest(`Order ${order.order_number} already belongs to ${receiver.full_name}`);
+        }
+      }
+
+      const ids = orders.map(o => o.id);
+      await connection.execute(
+        `UPDATE order_handovers SET status = 'cancelled', responded_at = NOW()
+         WHERE status = 'pending' AND order_id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+
+      const handovers = [];
+      for (const order of orders) {
+        const [insert] = await connection.execute(
+          `INSERT INTO order_handovers (order_id, from_server_id, to_server_id, requested_by_user_id, note)
+           VALUES (?, ?, ?, ?, ?)`,
+          [order.id, order.server_id, receiver.id, req.user.id, note || null]
+        );
+        handovers.push({ id: insert.insertId, order });
+      }
+
+      return { receiver, handovers };
+    });
+
+    for (const { id, order } of result.handovers) {
+      await logAudit(req.user.id, 'HANDOVER_REQUESTED', 'order_handover', id, null, {
+        order_id: order.id,
+        order_number: order.order_number,
+        from_server_id: order.server_id,
+        to_server_id: result.receiver.id
+      });
+    }
+
+    eventBus.publish('handover.requested', {
+      to_server_id: result.receiver.id,
+      handover_ids: result.handovers.map(h => h.id)
+    });
+
+    const count = result.handovers.length;
+    logger.info(`${req.user.username} asked ${result.receiver.full_name} to take over ${count} order(s)`);
+
+    res.status(201).json({
+      success: true,
+      message: `${count} order${count === 1 ? '' : 's'} waiting for ${result.receiver.full_name} to accept`,
+      data: { handover_ids: result.handovers.map(h => h.id) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept handovers addressed to the current user: each order and the locks on its tables move to them.
+ * Handovers whose order was closed or changed hands in the meantime are cancelled and skipped.
+ * POST /api/handovers/accept
+ */
+const acceptHandovers = async (req, res, next) => {
+  try {
+    const { handover_ids } = req.body;
+    const userId = req.user.id;
+
+    const result = await db.transaction(async (connection) => {
+      const placeholders = handover_ids.map(() => '?').join(', ');
+
+      // Orders first, in id order, then their handovers: the same lock order as requestHandover
+      const [requested] = await connection.execute(
+        `SELECT DISTINCT order_id FROM order_handovers WHERE id IN (${placeholders})`,
+        handover_ids
+      );
+      const orderIds = requested.map(h => h.order_id);
+
+      const orders = new Map();
+      if (orderIds.length > 0) {
+        const [rows] = await connection.execute(
+          `SELECT * FROM orders WHERE id IN (${orderIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`,
+          orderIds
+        );
+        rows.forEach(order => orders.set(order.id, order));
+      }
+
+      const [handovers] = await connection.execute(
+        `SELECT * FROM order_handovers
+         WHERE id IN (${placeholders}) AND status = 'pending'
+         ORDER BY order_id FOR UPDATE`,
+        handover_ids
+      );
+
+      if (handovers.length === 0) {
+        throw ApiError.notFound('No pending handover found');
+      }
+
+      if (handovers.some(h => h.to_server_id !== userId)) {
+        throw ApiError.forbidden('Only the receiving server can accept a handover');
+      }
+
+      const accepted = [];
+      const skipped = [];
+
+      for (const handover of handovers) {
+        const order = orders.get(handover.order_id);
+
+        if (order.status !== 'open' || order.server_id !== handover.from_server_id) {
+          await connection.execute(
+            "UPDATE order_handovers SET status = 'cancelled', responded_at = NOW() WHERE id = ?",
+            [handover.id]
+          );
+          skipped.push(order);
+          continue;
+        }
+
+        await connection.execute('UPDATE orders SET server_id = ? WHERE id = ?', [userId, order.id]);
+
+        // The table lock follows the order, including tables joined to it
+        await connection.execute(
+          `UPDATE restaurant_tables SET locked_by_user_id = ?, locked_at = NOW()
+           WHERE current_order_id = ?`,
+          [userId, order.id]
+        );
+
+        await connection.execute(
+          "UPDATE order_handovers SET status = 'accepted', responded_at = NOW() WHERE id = ?",
+          [handover.id]
+        );
+
+        accepted.push({ handover, order });
+      }
+
+      return { accepted, skipped };
+    });
+
+    for (const { handover, order } of result.accepted) {
+      await logAudit(userId, 'ORDER_HANDED_OVER', 'order', order.id,
+        { server_id: handover.from_server_id },
+        { server_id: userId, handover_id: handover.id }
+      );
+      eventBus.publish('order.updated', { order_id: order.id, table_id: order.table_id });
+    }
+
+    eventBus.publish('handover.updated', { handover_ids });
+
+    const count = result.accepted.length;
+    logger.info(`${req.user.username} took over ${count} order(s)${result.skipped.length ? `, ${result.skipped.length} skipped` : ''}`);
+
+    res.json({
+      success: true,
+      message: result.skipped.length
+        ? `${count} order(s) taken over; ${result.skipped.length} closed or moved in the meantime`
+        : `${count} order${count === 1 ? '' : 's'} taken over`,
+      data: {
+        order_ids: result.accepted.map(a => a.order.id),
+        skipped_order_ids: result.skipped.map(o => o.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a pending handover without moving the order: declined by the receiving server,
+ * or cancelled by whoever asked, the current server or a manager
+ */
+const closeHandover = (status) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const handover = await db.transaction(async (connection) => {
+      const [[handover]] = await connection.execute(
+        'SELECT * FROM order_handovers WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!handover) {
+        throw ApiError.notFound('Handover not found');
+      }
+
+      if (handover.status !== 'pending') {
+        throw ApiError.badRequest(`Handover is already ${handover.status}`);
+      }
+
+      const allowed = status === 'declined'
+        ? handover.to_server_id === userId
+        : [handover.requested_by_user_id, handover.from_server_id].includes(userId) || isManager(req.user);
+
+      if (!allowed) {
+        throw ApiError.forbidden(status === 'declined'
+          ? 'Only the receiving server can decline a handover'
+          : 'You cannot cancel this handover');
+      }
+
+      await connection.execute(
+        'UPDATE order_handovers SET status = ?, responded_at = NOW() WHERE id = ?',
+        [status, id]
+      );
+
+      return handover;
+    });
+
+    await logAudit(userId, status === 'declined' ? 'HANDOVER_DECLINED' : 'HANDOVER_CANCELLED',
+      'order_handover', id, { status: 'pending' }, { status, order_id: handover.order_id }
+    );
+
+    eventBus.publish('handover.updated', { handover_ids: [parseInt(id)] });
+
+    res.json({
+      success: true,
+      message: `Handover ${status}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/handovers/:id/decline
+ */
+const declineHandover = closeHandover('declined');
+
+/**
+ * POST /api/handovers/:id/cancel
+ */
+const cancelHandover = closeHandover('cancelled');
+
+module.exports = {
+  getHandovers,
+  getHandoverServers,
+  requestHandover,
+  acceptHandovers,
+  declineHandover,
+  cancelHandover
+};
@@ -0,0 +1,408 @@
+/**
+ * Ingredient Controller
+ * Manages ingredient stock and product recipes, and depletes ingredients as order items are rung up
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { recordStockMovement } = require('./stockController');
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Attach each product's recipe as product.recipe (with ingredient name and unit)
+ * @param {Array} products - Product rows (id)
+ */
+const attachRecipes = async (products) => {
+  if (products.length === 0) return products;
+
+  const lines = await db.query(
+    `SELECT pi.*, i.name as ingredient_name, i.unit, pv.name as variant_name
+     FROM product_ingredients pi
+     JOIN ingredients i ON pi.ingredient_id = i.id
+     LEFT JOIN product_variants pv ON pi.variant_id = pv.id
+     WHERE pi.product_id IN (${products.map(() => '?').join(', ')})
+     ORDER BY pi.id`,
+    products.map(product => product.id)
+  );
+
+  for (const product of products) {
+    product.recipe = lines.filter(line => line.product_id === product.id);
+  }
+
+  return products;
+};
+
+/**
+ * Replace a product's recipe. Items already sold keep what they recorded.
+ * @param {Array} recipe - [{ ingredient_id, variant_id, quantity, is_required }]
+ */
+const saveRecipe = async (connection, productId, recipe) => {
+  await connection.execute('DELETE FROM product_ingredients WHERE product_id = ?', [productId]);
+
+  for (const line of recipe) {
+    if (line.variant_id) {
+      const [[variant]] = await connection.execute(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [line.variant_id, productId]
+      );
+      if (!variant) {
+        throw ApiError.badRequest('Recipe variant must belong to the product');
+      }
+    }
+
+    await connection.execute(
+      `INSERT INTO product_ingredients (product_id, variant_id, ingredient_id, quantity, is_required)
+       VALUES (?, ?, ?, ?, ?)`,
+      [productId, line.variant_id || null, line.ingredient_id, line.quantity, line.is_required !== false]
+    );
+  }
+};
+
+/**
+ * Add up what one unit of an order line takes of each ingredient across its parts.
+ * An ingredient is required when any part's recipe requires it.
+ * @param {Array} recipes - [{ part, lines }]: each part ({ quantity }) with its recipe lines
+ * @returns {Array} [{ ingredient_id, quantity, is_required }] (quantity per unit)
+ */
+const sumIngredientNeeds = (recipes) => {
+  const needs = new Map();
+
+  for (const { part, lines } of recipes) {
+    for (const line of lines) {
+      const need = needs.get(line.ingredient_id) || { ingredient_id: line.ingredient_id, quantity: 0, is_required: false };
+      need.quantity = roundQuantity(need.quantity + parseFloat(line.quantity) * (part.quantity || 1));
+      need.is_required = need.is_required || !!line.is_required;
+      needs.set(line.ingredient_id, need);
+    }
+  }
+
+  return [...needs.values()];
+};
+
+/**
+ * Does an ingredient's stock cover a need for `quantity` units? A required one that is short blocks the sale.
+ * @param {Object} ingredient - { name, unit, stock_quantity }
+ * @param {Object} need - From sumIngredientNeeds
+ * @param {number} quantity - Units ordered
+ * @returns {boolean}
+ */
+const coversNeed = (ingredient, need, quantity) => {
+  const enough = parseFloat(ingredient.stock_quantity) >= need.quantity * quantity;
+
+  if (need.is_required && !enough) {
+    throw ApiError.badRequest(
+      `Not enough ${ingredient.name}. Only ${parseFloat(ingredient.stock_quantity)} ${ingredient.unit} left.`
+    );
+  }
+
+  return enough;
+};
+
+/**
+ * Work out what one unit of an order line takes from ingredient stock and check there is enough.
+ * Only required ingredients block the sale; optional ones (garnish) are taken when there is stock.
+ * @param {Object} connection - Transaction connection
+ * @param {Array} parts - [{ product_id, variant_id, quantity }]: the product sold and any bundle components
+ * @param {number} quantity - Units ordered
+ * @returns {Promise<Array>} Rows to store: { ingredient_id, quantity, is_required } (quantity per unit)
+ */
+const resolveIngredients = async (connection, parts, quantity) => {
+  const recipes = [];
+
+  for (const part of parts) {
+    const [lines] = await connection.execute(
+      `SELECT pi.ingredient_id, pi.quantity, pi.is_required
+       FROM product_ingredients pi
+       JOIN ingredients i ON pi.ingredient_id = i.id
+       WHERE pi.product_id = ? AND i.is_active = TRUE
+         AND (pi.variant_id IS NULL OR pi.variant_id = ?)`,
+      [part.product_id, part.variant_id || 0]
+    );
+    recipes.push({ part, lines });
+  }
+
+  const rows = [];
+
+  for (const row of sumIngredientNeeds(recipes)) {
+    const [[ingredient]] = await connection.execute(
+      'SELECT name, unit, stock_quantity FROM ingredients WHERE id = ? FOR UPDATE',
+      [row.ingredient_id]
+    );
+
+    // An optional ingredient that has run out is left off the item
+    if (coversNeed(ingredient, row, quantity)) rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Check that a line's required ingredients cover extra units (quantity increase)
+ */
+const checkItemIngredients = async (connection, orderItemId, extraQuantity) => {
+  const [[short]] = await connection.execute(
+    `SELECT i.name, i.unit, i.stock_quantity
+     FROM order_item_ingredients oii
+     JOIN ingredients i ON oii.ingredient_id = i.id
+     WHERE oii.order_item_id = ? AND oii.is_required = TRUE
+       AND i.stock_quantity < oii.quantity * ?
+     LIMIT 1`,
+    [orderItemId, extraQuantity]
+  );
+
+  if (short) {
+    throw ApiError.badRequest(
+      `Not enough ${short.name}. Only ${parseFloat(short.stock_quantity)} ${short.unit} left.`
+    );
+  }
+};
+
+/**
+ * Move ingredient stock for an order line by what it recorded per unit.
+ * Negative change takes stock, positive puts it back.
+ * @param {Object} movement - Ledger details shared by the line's movements (type, user_id, order_id, order_item_id)
+ */
+const moveItemIngredients = async (connection, orderItemId, change, movement) => {
+  const [rows] = await connection.execute(
+    'SELECT ingredient_id, quantity FROM order_item_ingredients WHERE order_item_id = ?',
+    [orderItemId]
+  );
+
+  for (const row of rows) {
+    await recordStockMovement(connection, {
+      ...movement,
+      ingredient_id: row.ingredient_id,
+      quantity: roundQuantity(parseFloat(row.quantity) * change)
+    });
+  }
+};
+
+/**
+ * Get all ingredients with the number of products using them
+ * GET /api/ingredients
+ */
+const getIngredients = async (req, res, next) => {
+  try {
+    const { include_inactive } = req.query;
+
+    let query = `
+      SELECT i.*,
+             (SELECT COUNT(DISTINCT pi.product_id) FROM product_ingredients pi WHERE pi.ingredient_id = i.id) as product_count
+      FROM ingredients i
+    `;
+
+    if (!include_inactive) {
+      query += ' WHERE i.is_active = TRUE';
+    }
+
+    query += ' ORDER BY i.name';
+
+    const ingredients = await db.query(query);
+
+    res.json({
+      success: true,
+      data: ingredients
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create ingredient
+ * POST /api/ingredients
+ */
+const createIngredient = async (req, res, next) => {
+  try {
+    const { name, unit, stock_quantity, min_stock_alert, cost_per_unit } = req.body;
+
+    const ingredientId = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT INTO ingredients (name, unit, min_stock_alert, cost_per_unit)
+         VALUES (?, ?, ?, ?)`,
+        [name, unit || 'pcs', min_stock_alert || 0, cost_per_unit || 0]
+      );
+
+      // Opening stock goes through the ledger like any other
+      await recordStockMovement(connection, {
+        ingredient_id: result.insertId,
+        type: 'adjustment',
+        quantity: stock_quantity || 0,
+        user_id: req.user.id,
+        reason: 'Opening stock'
+      });
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'INGREDIENT_CREATED', 'ingredient', ingredientId, null, req.body);
+
+    logger.info(`Ingredient "${name}" created by ${req.user.username}`);
+
+    const [ingredient] = await db.query('SELECT * FROM ingredients WHERE id = ?', [ingredientId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ingredient created successfully',
+      data: ingredient
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update ingredient (stock changes go through PATCH /:id/stock)
+ * PUT /api/ingredients/:id
+ */
+const updateIngredient = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, unit, min_stock_alert, cost_per_unit, is_active } = req.body;
+
+    const [existing] = await db.query('SELECT * FROM ingredients WHERE id = ?', [id]);
+
+    if (!existing) {
+      throw ApiError.notFound('Ingredient not found');
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) { updates.push('name = ?'); values.push(name); }
+    if (unit !== undefined) { updates.push('unit = ?'); values.push(unit); }
+    if (min_stock_alert !== undefined) { updates.push('min_stock_alert = ?'); values.push(min_stock_alert); }
+    if (cost_per_unit !== undefined) { updates.push('cost_per_unit = ?'); values.push(cost_per_unit); }
+    if (is_active !== undefined) { updates.push('is_active = ?'); values.push(is_active); }
+
+    if (updates.length === 0) {
+      throw ApiError.badRequest('No fields to update');
+    }
+
+    values.push(id);
+
+    await db.query(`UPDATE ingredients SET ${updates.join(', ')} WHERE id = ?`, values);
+
+    await logAudit(req.user.id, 'INGREDIENT_UPDATED', 'ingredient', id, existing, req.body);
+
+    const [ingredient] = await db.query('SELECT * FROM ingredients WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Ingredient updated successfully',
+      data: ingredient
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or adjust ingredient stock
+ * PATCH /api/ingredients/:id/stock
+ */
+const updateIngredientStock = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { stock_quantity, adjustment, reason } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const [[ingredient]] = await connection.execute(
+        'SELECT * FROM ingredients WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!ingredient) {
+        throw ApiError.notFound('Ingredient not found');
+      }
+
+      const previousStock = parseFloat(ingredient.stock_quantity);
+      let newStock;
+
+      if (adjustment !== undefined) {
+        newStock = roundQuantity(previousStock + parseFloat(adjustment));
+      } else if (stock_quantity !== undefined) {
+        newStock = roundQuantity(parseFloat(stock_quantity));
+      } else {
+        throw ApiError.badRequest('Either stock_quantity or adjustment is required');
+      }
+
+      if (newStock < 0) {
+        throw ApiError.badRequest('Stock cannot be negative');
+      }
+
+      // An entered level is recorded as a count, a relative change as an adjustment
+      await recordStockMovement(connection, {
+        ingredient_id: ingredient.id,
+        type: adjustment !== undefined ? 'adjustment' : 'count',
+        quantity: newStock - previousStock,
+        user_id: req.user.id,
+        reason
+      });
+
+      return { ingredient, previousStock, newStock };
+    });
+
+    await logAudit(req.user.id, 'INGREDIENT_STOCK_UPDATED', 'ingredient', id,
+      { stock_quantity: result.previousStock },
+      { stock_quantity: result.newStock, reason }
+    );
+
+    logger.info(`Stock updated for ingredient "${result.ingredient.name}": ${result.previousStock} -> ${result.newStock} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: { previousStock: result.previousStock, newStock: result.newStock }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete ingredient (soft delete; recipes using it stop depleting it)
+ * DELETE /api/ingredients/:id
+ */
+const deleteIngredient = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [ingredient] = await db.query('SELECT * FROM ingredients WHERE id = ?', [id]);
+
+    if (!ingredient) {
+      throw ApiError.notFound('Ingredient not found');
+    }
+
+    await db.query('UPDATE ingredients SET is_active = FALSE WHERE id = ?', [id]);
+
+    await logAudit(req.user.id, 'INGREDIENT_DELETED', 'ingredient', id, null, null);
+
+    logger.info(`Ingredient "${ingredient.name}" deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Ingredient deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  attachRecipes,
+  saveRecipe,
+  sumIngredientNeeds,
+  coversNeed,
+  resolveIngredients,
+  checkItemIngredients,
+  moveItemIngredients,
+  getIngredients,
+  createIngredient,
+  updateIngredient,
+  updateIngredientStock,
+  deleteIngredient
+};
@@ -0,0 +1,349 @@
+/**
+ * Kitchen Display Controller
+ * Lists open order items as kitchen tickets and moves them through preparation states
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const eventBus = require('../utils/eventBus');
+const { attachItemModifiers } = require('./modifierController');
+const { attachItemComponents } = require('./bundleController');
+const { logWaste } = require('./wasteController');
+
+// Allowed item state changes (ready -> preparing and preparing -> pending are "recalls")
+const ITEM_TRANSITIONS = {
+  pending: ['preparing'],
+  preparing: ['ready', 'pending'],
+  ready: ['served', 'preparing']
+};
+
+// Timestamp column stamped when an item enters a state
+const STATUS_TIMESTAMPS = {
+  preparing: 'preparing_at',
+  ready: 'ready_at',
+  served: 'served_at'
+};
+
+const KITCHEN_STATUSES = ['pending', 'preparing', 'ready'];
+
+/**
+ * Group item rows into one ticket per order, oldest ticket first
+ */
+const groupIntoTickets = (rows) => {
+  const tickets = new Map();
+
+  for (const row of rows) {
+    if (!tickets.has(row.order_id)) {
+      tickets.set(row.order_id, {
+        order_id: row.order_id,
+        order_number: row.order_number,
+        table_id: row.table_id,
+        table_number: row.table_number,
+        section: row.section,
+        server_name: row.server_name,
+        guest_count: row.guest_count,
+        order_notes: row.order_notes,
+        opened_at: row.opened_at,
+        oldest_item_at: row.added_at,
+        age_minutes: row.age_minutes,
+        items: []
+      });
+    }
+
+    const ticket = tickets.get(row.order_id);
+    ticket.age_minutes = Math.max(ticket.age_minutes, row.age_minutes);
+    ticket.items.push({
+      id: row.id,
+      product_id: row.product_id,
+      product_name: row.product_name,
+      variant_name: row.variant_name,
+      category_name: row.category_name,
+      quantity: row.quantity,
+      notes: row.notes,
+      modifiers: row.modifiers,
+      components: row.components,
+      status: row.status,
+      added_at: row.added_at,
+      preparing_at: row.preparing_at,
+      ready_at: row.ready_at,
+      age_minutes: row.age_minutes
+    });
+  }
+
+  return [...tickets.values()].sort((a, b) => b.age_minutes - a.age_minutes);
+};
+
+/**
+ * Get kitchen tickets (open orders with pending/preparing items by default)
+ * GET /api/kitchen/tickets?status=pending,preparing,ready
+ */
+const getTickets = async (req, res, next) => {
+  try {
+    const requested = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim())
+      : ['pending', 'preparing'];
+    const statuses = requested.filter(s => KITCHEN_STATUSES.includes(s));
+
+    if (statuses.length === 0) {
+      throw ApiError.badRequest(`Status must be one of: ${KITCHEN_STATUSES.join(', ')}`);
+    }
+
+    const rows = await db.query(
+      `SELECT oi.id, oi.order_id, oi.product_id, oi.variant_name, oi.quantity, oi.notes, oi.status,
+              oi.added_at, oi.preparing_at, oi.ready_at,
+              TIMESTAMPDIFF(MINUTE, oi.added_at, NOW()) as age_minutes,
+              p.name as product_name, c.name as category_name,
+              o.order_number, o.table_id, o.guest_count, o.opened_at, o.notes as order_notes,
+              t.table_number, t.section,
+              u.full_name as server_name
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       JOIN products p ON oi.product_id = p.id
+       JOIN categories c ON p.category_id = c.id
+       JOIN users u ON o.server_id = u.id
+       LEFT JOIN restaurant_tables t ON o.table_id = t.id
+       WHERE o.status = 'open'
+         AND oi.status IN (${statuses.map(() => '?').join(', ')})
+       ORDER BY oi.added_at ASC, oi.id ASC`,
+      statuses
+    );
+
+    await attachItemModifiers(db.pool, rows);
+    await attachItemComponents(db.pool, rows);
+
+    res.json({
+      success: true,
+      data: groupIntoTickets(rows)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move items to a new status inside a transaction, validating each transition
+ * @returns {Promise<Array>} Updated items ({ id, order_id, from, to })
+ */
+const transitionItems = async (connection, itemIds, status) => {
+  if (itemIds.length === 0) return [];
+
+  const [items] = await connection.execute(
+    `SELECT oi.id, oi.order_id, oi.status, o.status as order_status
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oi.id IN (${itemIds.map(() => '?').join(', ')})
+     FOR UPDATE`,
+    itemIds
+  );
+
+  if (items.length !== itemIds.length) {
+    throw ApiError.notFound('Order item not found');
+  }
+
+  for (const item of items) {
+    if (item.order_status !== 'open') {
+      throw ApiError.badRequest('Cannot update items of a closed order');
+    }
+    if (!(ITEM_TRANSITIONS[item.status] || []).includes(status)) {
+      throw ApiError.badRequest(`Cannot move item ${item.id} from ${item.status} to ${status}`);
+    }
+  }
+
+  // Moving back (recall) clears the timestamps of the states that were undone
+  const stampColumn = STATUS_TIMESTAMPS[status];
+  const clearColumns = {
+    pending: ['preparing_at', 'ready_at'],
+    preparing: ['ready_at'],
+    ready: [],
+    served: []
+  }[status];
+
+  const sets = ['status = ?'];
+  if (stampColumn) sets.push(`${stampColumn} = NOW()`);
+  clearColumns.forEach(col => sets.push(`${col} = NULL`));
+
+  await connection.execute(
+    `UPDATE order_items SET ${sets.join(', ')}
+     WHERE id IN (${itemIds.map(() => '?').join(', ')})`,
+    [status, ...itemIds]
+  );
+
+  return items.map(item => ({ id: item.id, order_id: item.order_id, from: item.status, to: status }));
+};
+
+/**
+ * Update a single item's kitchen status
+ * PATCH /api/kitchen/items/:itemId/status
+ */
+const updateItemStatus = async (req, res, next) => {
+  try {
+    const itemId = parseInt(req.params.itemId);
+    const { status } = req.body;
+
+    const [changed] = await db.transaction(connection =>
+      transitionItems(connection, [itemId], status)
+    );
+
+    await logAudit(req.user.id, 'ORDER_ITEM_STATUS_CHANGED', 'order_item', itemId,
+      { status: changed.from },
+      { status, order_id: changed.order_id }
+    );
+
+    eventBus.publish('order.items.status', {
+      order_id: changed.order_id,
+      item_ids: [itemId],
+      status
+    });
+
+    logger.info(`Order item ${itemId} moved ${changed.from} -> ${status} by ${req.user.username}`);
+
+    const [item] = await db.query('SELECT * FROM order_items WHERE id = ?', [itemId]);
+
+    res.json({
+      success: true,
+      message: `Item marked as ${status}`,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bump a whole ticket: every item of the order currently in `from` moves to the next state
+ * POST /api/kitchen/orders/:orderId/bump
+ */
+const bumpOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { from = 'pending' } = req.body;
+    const nextStatus = { pending: 'preparing', preparing: 'ready', ready: 'served' }[from];
+
+    if (!nextStatus) {
+      throw ApiError.badRequest('from must be pending, preparing or ready');
+    }
+
+    const changed = await db.transaction(async (connection) => {
+      const [[order]] = await connection.execute(
+        'SELECT id, status FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound('Order not found');
+      }
+
+      const [items] = await connection.execute(
+        'SELECT id FROM order_items WHERE order_id = ? AND status = ?',
+        [orderId, from]
+      );
+
+      return transitionItems(connection, items.map(i => i.id), nextStatus);
+    });
+
+    if (changed.length === 0) {
+      throw ApiError.badRequest(`No ${from} items on this order`);
+    }
+
+    await logAudit(req.user.id, 'ORDER_BUMPED', 'order', orderId,
+      { status: from },
+      { status: nextStatus, item_ids: changed.map(c => c.id) }
+    );
+
+    eventBus.publish('order.items.status', {
+      order_id: parseInt(orderId),
+      item_ids: changed.map(c => c.id),
+      status: nextStatus
+    });
+
+    logger.info(`Order ${orderId}: ${changed.length} item(s) bumped ${from} -> ${nextStatus} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `${changed.length} item(s) marked as ${nextStatus}`,
+      data: { order_id: parseInt(orderId), status: nextStatus, item_ids: changed.map(c => c.id) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remake an item: what was made is logged as waste (stock taken again) and the item goes back to pending
+ * POST /api/kitchen/items/:itemId/remake
+ */
+const remakeItem = async (req, res, next) => {
+  try {
+    const itemId = parseInt(req.params.itemId);
+    const { reason, notes } = req.body;
+
+    const { item, entry } = await db.transaction(async (connection) => {
+      const [[item]] = await connection.execute(
+        `SELECT oi.id, oi.order_id, oi.quantity, oi.status, o.status as order_status
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE oi.id = ?
+         FOR UPDATE`,
+        [itemId]
+      );
+
+      if (!item) {
+        throw ApiError.notFound('Order item not found');
+      }
+
+      if (item.order_status !== 'open') {
+        throw ApiError.badRequest('Cannot update items of a closed order');
+      }
+
+      if (['pending', 'cancelled'].includes(item.status)) {
+        throw ApiError.badRequest(`Cannot remake a ${item.status} item`);
+      }
+
+      const quantity = req.body.quantity || item.quantity;
+      if (quantity > item.quantity) {
+        throw ApiError.badRequest(`Only ${item.quantity} on this item`);
+      }
+
+      const entry = await logWaste(connection, { order_item_id: itemId, quantity, reason, notes }, req.user.id);
+
+      await connection.execute(
+        `UPDATE order_items
+         SET status = 'pending', preparing_at = NULL, ready_at = NULL, served_at = NULL
+         WHERE id = ?`,
+        [itemId]
+      );
+
+      return { item, entry };
+    });
+
+    await logAudit(req.user.id, 'ORDER_ITEM_REMADE', 'order_item', itemId,
+      { status: item.status },
+      { status: 'pending', order_id: item.order_id, waste_entry_id: entry.id, reason, quantity: entry.quantity }
+    );
+
+    eventBus.publish('order.items.status', {
+      order_id: item.order_id,
+      item_ids: [itemId],
+      status: 'pending'
+    });
+
+    logger.info(`Order item ${itemId} sent back for remake (${reason}) by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `${entry.description} sent back for remake`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTickets,
+  updateItemStatus,
+  bumpOrder,
+  remakeItem
+};
@@ -0,0 +1,384 @@
+/**
+ * Modifier Controller
+ * Manages modifier groups (doneness, sauces, sides) and resolves the modifiers chosen for an order item
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+
+/**
+ * Load modifier groups with their modifiers and product / category links
+ * @param {Object} connection - Connection or pool with execute()
+ * @param {boolean} includeInactive - Include inactive groups and modifiers (admin)
+ */
+const loadModifierGroups = async (connection, includeInactive = false) => {
+  const [groups] = await connection.execute(
+    `SELECT * FROM modifier_groups
+     ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+     ORDER BY display_order, name`
+  );
+
+  if (groups.length === 0) return [];
+
+  const ids = groups.map(group => group.id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const [modifiers] = await connection.execute(
+    `SELECT * FROM modifiers
+     WHERE modifier_group_id IN (${placeholders}) ${includeInactive ? '' : 'AND is_active = TRUE'}
+     ORDER BY display_order, id`,
+    ids
+  );
+
+  const [products] = await connection.execute(
+    `SELECT mp.*, p.name as product_name, c.name as category_name
+     FROM modifier_group_products mp
+     LEFT JOIN products p ON mp.product_id = p.id
+     LEFT JOIN categories c ON mp.category_id = c.id
+     WHERE mp.modifier_group_id IN (${placeholders})`,
+    ids
+  );
+
+  return groups.map(group => ({
+    ...group,
+    modifiers: modifiers.filter(modifier => modifier.modifier_group_id === group.id),
+    products: products.filter(product => product.modifier_group_id === group.id)
+  }));
+};
+
+/**
+ * Groups offered on a product: linked to it directly or to its category
+ */
+const groupsForProduct = (groups, product) => groups.filter(group =>
+  group.modifiers.length > 0 &&
+  group.products.some(link =>
+    (link.product_id && link.product_id === product.id) ||
+    (link.category_id && link.category_id === product.category_id)
+  )
+);
+
+/**
+ * Attach the active groups that apply to each product as product.modifier_groups
+ * @param {Array} products - Product rows (id, category_id)
+ */
+const attachModifierGroups = async (products) => {
+  const groups = await loadModifierGroups(db.pool);
+
+  for (const product of products) {
+    // The scope links are only used to match groups to products
+    product.modifier_groups = groupsForProduct(groups, product).map(group => {
+      const shown = { ...group };
+      delete shown.products;
+      return shown;
+    });
+  }
+
+  return products;
+};
+
+/**
+ * Check chosen modifiers against the groups offered on a product (required, min / max per group)
+ * @param {Array} allGroups - Groups from loadModifierGroups
+ * @param {Object} product - Product row
+ * @param {Array<number>} modifierIds - Chosen modifier ids (a modifier may appear once)
+ * @returns {Array} Rows to store: { modifier_id, modifier_group_id, group_name, name, price_delta }
+ */
+const pickModifiers = (allGroups, product, modifierIds = []) => {
+  const groups = groupsForProduct(allGroups, product);
+  const chosen = [...new Set(modifierIds.map(Number))];
+  const rows = [];
+
+  for (const id of chosen) {
+    const group = groups.find(g => g.modifiers.some(modifier => modifier.id === id));
+
+    if (!group) {
+      throw ApiError.badRequest(`Modifier ${id} is not available for ${product.name}`);
+    }
+
+    const modifier = group.modifiers.find(m => m.id === id);
+    rows.push({
+      modifier_id: modifier.id,
+      modifier_group_id: group.id,
+      group_name: group.name,
+      name: modifier.name,
+      price_delta: parseFloat(modifier.price_delta)
+    });
+  }
+
+  for (const group of groups) {
+    const count = rows.filter(row => row.modifier_group_id === group.id).length;
+    const min = group.is_required ? Math.max(group.min_select, 1) : group.min_select;
+
+    if (count < min) {
+      throw ApiError.badRequest(
+        min === 1 ? `Choose ${group.name}` : `Choose at least ${min} for ${group.name}`
+      );
+    }
+    if (group.max_select && count > group.max_select) {
+      throw ApiError.badRequest(`Choose at most ${group.max_select} for ${group.name}`);
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Load the modifier groups and check the chosen modifiers for a product (see pickModifiers)
+ * @param {Object} connection - Transaction connection
+ * @param {Object} product - Product row
+ * @param {Array<number>} modifierIds - Chosen modifier ids
+ * @returns {Promise<Array>}
+ */
+const resolveModifiers = async (connection, product, modifierIds = []) =>
+  pickModifiers(await loadModifierGroups(connection), product, modifierIds);
+
+/**
+ * Attach each order item's chosen modifiers as item.modifiers
+ * @param {Object} connection - Connection or pool with execute()
+ * @param {Array} items - Order item rows (id)
+ */
+const attachItemModifiers = async (connection, items) => {
+  if (items.length === 0) return items;
+
+  const [modifiers] = await connection.execute(
+    `SELECT order_item_id, modifier_id, modifier_group_id, group_name, name, price_delta
+     FROM order_item_modifiers
+     WHERE order_item_id IN (${items.map(() => '?').join(', ')})
+     ORDER BY id`,
+    items.map(item => item.id)
+  );
+
+  for (const item of items) {
+    item.modifiers = modifiers.filter(modifier => modifier.order_item_id === item.id);
+  }
+
+  return items;
+};
+
+/**
+ * Validate a group's selection limits (merged with the stored row on update)
+ */
+const validateModifierGroup = (group) => {
+  const min = parseInt(group.min_select) || 0;
+  const max = group.max_select ? parseInt(group.max_select) : null;
+
+  if (max !== null && max < Math.max(min, group.is_required ? 1 : 0)) {
+    throw ApiError.badRequest('Maximum selections must be at least the minimum');
+  }
+  if (group.modifiers && group.modifiers.filter(modifier => modifier.is_active !== false).length === 0) {
+    throw ApiError.badRequest('Add at least one modifier');
+  }
+};
+
+/**
+ * Save a group's modifiers: update listed ids, insert new rows, deactivate the ones left out
+ * (deactivated rather than deleted so rung-up items keep their link)
+ */
+const saveModifiers = async (connection, groupId, modifiers) => {
+  const [existing] = await connection.execute(
+    'SELECT id FROM modifiers WHERE modifier_group_id = ?',
+    [groupId]
+  );
+  const keep = new Set();
+
+  for (const [index, modifier] of modifiers.entries()) {
+    const values = [
+      modifier.name,
+      modifier.price_delta || 0,
+      modifier.display_order ?? index,
+      modifier.is_active !== false
+    ];
+
+    if (modifier.id && existing.some(row => row.id === modifier.id)) {
+      await connection.execute(
+        'UPDATE modifiers SET name = ?, price_delta = ?, display_order = ?, is_active = ? WHERE id = ?',
+        [...values, modifier.id]
+      );
+      keep.add(modifier.id);
+    } else {
+      await connection.execute(
+        `INSERT INTO modifiers (name, price_delta, display_order, is_active, modifier_group_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [...values, groupId]
+      );
+    }
+  }
+
+  for (const row of existing) {
+    if (!keep.has(row.id)) {
+      await connection.execute('UPDATE modifiers SET is_active = FALSE WHERE id = ?', [row.id]);
+    }
+  }
+};
+
+/**
+ * Replace a group's product / category links
+ */
+const saveModifierGroupProducts = async (connection, groupId, products) => {
+  await connection.execute('DELETE FROM modifier_group_products WHERE modifier_group_id = ?', [groupId]);
+
+  for (const product of products) {
+    await connection.execute(
+      'INSERT INTO modifier_group_products (modifier_group_id, product_id, category_id) VALUES (?, ?, ?)',
+      [groupId, product.product_id || null, product.category_id || null]
+    );
+  }
+};
+
+/**
+ * Get all modifier groups
+ * GET /api/modifier-groups
+ */
+const getModifierGroups = async (req, res, next) => {
+  try {
+    const groups = await loadModifierGroups(db.pool, req.query.include_inactive === 'true');
+
+    res.json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create modifier group with its modifiers and links
+ * POST /api/modifier-groups
+ */
+const createModifierGroup = async (req, res, next) => {
+  try {
+    const {
+      name, is_required = false, min_select = 0, max_select, display_order,
+      modifiers = [], products = []
+    } = req.body;
+
+    validateModifierGroup(req.body);
+
+    const groupId = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT INTO modifier_groups (name, is_required, min_select, max_select, display_order)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, !!is_required, is_required ? Math.max(min_select, 1) : min_select, max_select || null, display_order || 0]
+      );
+
+      await saveModifiers(connection, result.insertId, modifiers);
+      await saveModifierGroupProducts(connection, result.insertId, products);
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'MODIFIER_GROUP_CREATED', 'modifier_group', groupId, null, req.body);
+
+    logger.info(`Modifier group "${name}" created by ${req.user.username}`);
+
+    const [group] = (await loadModifierGroups(db.pool, true)).filter(g => g.id === groupId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Modifier group created successfully',
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update modifier group. Items already rung up keep the names and prices they were sold with.
+ * PUT /api/modifier-groups/:id
+ */
+const updateModifierGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [existing] = await db.query('SELECT * FROM modifier_groups WHERE id = ?', [id]);
+
+    if (!existing) {
+      throw ApiError.notFound('Modifier group not found');
+    }
+
+    const merged = { ...existing, ...req.body };
+    validateModifierGroup(merged);
+
+    const isRequired = !!merged.is_required;
+    const minSelect = parseInt(merged.min_select) || 0;
+
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE modifier_groups
+         SET name = ?, is_required = ?, min_select = ?, max_select = ?, display_order = ?, is_active = ?
+         WHERE id = ?`,
+        [
+          merged.name, isRequired, isRequired ? Math.max(minSelect, 1) : minSelect,
+          merged.max_select || null, merged.display_order || 0, merged.is_active ? true : false, id
+        ]
+      );
+
+      if (req.body.modifiers) {
+        await saveModifiers(connection, parseInt(id), req.body.modifiers);
+      }
+      if (req.body.products) {
+        await saveModifierGroupProducts(connection, id, req.body.products);
+      }
+    });
+
+    await logAudit(req.user.id, 'MODIFIER_GROUP_UPDATED', 'modifier_group', id, existing, req.body);
+
+    logger.info(`Modifier group "${existing.name}" updated by ${req.user.username}`);
+
+    const [group] = (await loadModifierGroups(db.pool, true)).filter(g => g.id === parseInt(id));
+
+    res.json({
+      success: true,
+      message: 'Modifier group updated successfully',
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete modifier group (soft delete, so sold items keep their group)
+ * DELETE /api/modifier-groups/:id
+ */
+const deleteModifierGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [group] = await db.query('SELECT * FROM modifier_groups WHERE id = ?', [id]);
+
+    if (!group) {
+      throw ApiError.notFound('Modifier group not found');
+    }
+
+    await db.query('UPDATE modifier_groups SET is_active = FALSE WHERE id = ?', [id]);
+
+    await logAudit(req.user.id, 'MODIFIER_GROUP_DELETED', 'modifier_group', id, null, null);
+
+    logger.info(`Modifier group "${group.name}" deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Modifier group deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  groupsForProduct,
+  pickModifiers,
+  validateModifierGroup,
+  attachModifierGroups,
+  resolveModifiers,
+  attachItemModifiers,
+  getModifierGroups,
+  createModifierGroup,
+  updateModifierGroup,
+  deleteModifierGroup
+};
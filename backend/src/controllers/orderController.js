@@ -7,6 +7,21 @@ const db = require("../config/database");
 const { ApiError } = require("../middleware/errorHandler");
 const { logger } = require("../utils/logger");
 const { logAudit } = require("./authController");
+const eventBus = require("../utils/eventBus");
+const { loadChecks } = require("./checkController");
+const { LINE_TAX_SQL, resolveTaxRate } = require("./taxController");
+const { applyDiscounts, resolveApprover } = require("./discountController");
+const { resolveModifiers, attachItemModifiers } = require("./modifierController");
+const {
+  resolveBundleComponents,
+  attachItemComponents,
+} = require("./bundleController");
+const {
+  resolveIngredients,
+  checkItemIngredients,
+  moveItemIngredients,
+} = require("./ingredientController");
+const { recordStockMovement } = require("./stockController");
 
 /**
  * Generate unique order number
@@ -20,6 +35,103 @@ const generateOrderNumber = () => {
   return `ORD-${dateStr}-${random}`;
 };
 
+/**
+ * The variant an order line is sold as. Products with active variants (size, flavor)
+ * must be sold as one of them; products without variants take none.
+ * @param {Object} product - Product row
+ * @param {Array} variants - The product's active variants
+ * @param {number|string} [variantId] - Requested variant
+ * @returns {Object|null}
+ */
+const pickVariant = (product, variants, variantId) => {
+  if (variantId) {
+    const variant = variants.find((v) => v.id === parseInt(variantId));
+    if (!variant) {
+      throw ApiError.badRequest(
+        `Variant ${variantId} is not available for ${product.name}`
+      );
+    }
+    return variant;
+  }
+
+  if (variants.length > 0) {
+    throw ApiError.badRequest(`Choose a variant of ${product.name}`);
+  }
+
+  return null;
+};
+
+/**
+ * Unit price of a line: the price entered for a variable-price product, else the variant's or product's
+ * @param {Object} product - Product row
+ * @param {Object|null} variant - Chosen variant
+ * @param {number|string} [requestUnitPrice] - Price entered at the till
+ * @returns {number}
+ */
+const resolveUnitPrice = (product, variant, requestUnitPrice) => {
+  if (
+    product.variable_price &&
+    requestUnitPrice != null &&
+    requestUnitPrice !== ""
+  ) {
+    const unitPrice = parseFloat(requestUnitPrice);
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw ApiError.badRequest(
+        "Invalid unit price for variable-price product"
+      );
+    }
+    return unitPrice;
+  }
+
+  return parseFloat((variant || product).price);
+};
+
+/**
+ * Move stock for an order line: its own when the product tracks stock, each tracked
+ * bundle component's (per-bundle quantity times the change) and the recipe ingredients it recorded.
+ * Negative change takes stock (a sale), positive puts it back (a cancel); both go to the stock ledger.
+ * @param {Object} item - Order item row with order_id and track_stock
+ * @param {number} userId - User making the change
+ * @param {Object} [details] - Ledger fields to override (type, reason), e.g. a remake logged as waste
+ */
+const adjustItemStock = async (connection, item, change, userId, details = {}) => {
+  const movement = {
+    type: change < 0 ? "sale" : "cancel",
+    user_id: userId,
+    order_id: item.order_id,
+    order_item_id: item.id,
+    ...details,
+  };
+
+  if (item.track_stock) {
+    await recordStockMovement(connection, {
+      ...movement,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity: change,
+    });
+  }
+
+  const [components] = await connection.execute(
+    `SELECT ic.product_id, ic.variant_id, ic.quantity
+     FROM order_item_components ic
+     JOIN products p ON ic.product_id = p.id
+     WHERE ic.order_item_id = ? AND p.track_stock = TRUE`,
+    [item.id]
+  );
+
+  for (const component of components) {
+    await recordStockMovement(connection, {
+      ...movement,
+      product_id: component.product_id,
+      variant_id: component.variant_id,
+      quantity: change * component.quantity,
+    });
+  }
+
+  await moveItemIngredients(connection, item.id, change, movement);
+};
+
 /**
  * Get all orders with optional filters
  * GET /api/orders
@@ -126,7 +238,8 @@ const getActiveOrders = async (req, res, next) => {
               t.table_number,
               u.full_name as server_name,
               TIMESTAMPDIFF(MINUTE, o.opened_at, NOW()) as duration_minutes,
-              (SELECT COUNT(*) FROM order_items oi WHERE oi.order_id = o.id AND oi.status != 'cancelled') as item_count
+              (SELECT COUNT(*) FROM order_items oi WHERE oi.order_id = o.id AND oi.status != 'cancelled') as item_count,
+              (SELECT COALESCE(SUM(p.amount_due), 0) FROM payments p WHERE p.order_id = o.id AND p.status IN ('completed', 'refunded')) as amount_tendered
        FROM orders o
        LEFT JOIN restaurant_tables t ON o.table_id = t.id
        JOIN users u ON o.server_id = u.id
@@ -181,22 +294,58 @@ const getOrderById = async (req, res, next) => {
       [id]
     );
 
-    order.items = items;
+    await attachItemComponents(db.pool, items);
+    order.items = await attachItemModifiers(db.pool, items);
 
-    // Get payment if exists
-    const [payment] = await db.query(
+    // Get tenders (an order may be paid in several parts)
+    const payments = await db.query(
       `SELECT p.*, pm.name as payment_method_name, u.full_name as cashier_name
        FROM payments p
        JOIN payment_methods pm ON p.payment_method_id = pm.id
        JOIN users u ON p.cashier_id = u.id
-       WHERE p.order_id = ?`,
+       WHERE p.order_id = ?
+       ORDER BY p.paid_at, p.id`,
       [id]
     );
 
-    if (payment) {
-      order.payment = payment;
+    // Refunded tenders still settled the bill; what went back is shown on its own
+    const applied = payments.filter((p) =>
+      ["completed", "refunded"].includes(p.status)
+    );
+    const amountTendered = applied.reduce(
+      (sum, p) => sum + parseFloat(p.amount_due),
+      0
+    );
+    const amountRefunded = applied.reduce(
+      (sum, p) => sum + parseFloat(p.refunded_amount),
+      0
+    );
+
+    order.payments = payments;
+    order.amount_tendered = Math.round(amountTendered * 100) / 100;
+    order.amount_refunded = Math.round(amountRefunded * 100) / 100;
+    order.balance_due =
+      Math.round((parseFloat(order.total_amount) - amountTendered) * 100) / 100;
+
+    if (payments.length > 0) {
+      order.payment = payments[payments.length - 1];
     }
 
+    order.checks = await loadChecks(id);
+
+    // Manual discounts and applied promotions (amounts are kept current by updateOrderTotals)
+    order.discounts = await db.query(
+      `SELECT d.*, pr.name as promotion_name, pr.type as promotion_type,
+              u.full_name as applied_by_name, a.full_name as approved_by_name
+       FROM order_discounts d
+       LEFT JOIN promotions pr ON d.promotion_id = pr.id
+       LEFT JOIN users u ON d.applied_by_user_id = u.id
+       LEFT JOIN users a ON d.approved_by_user_id = a.id
+       WHERE d.order_id = ?
+       ORDER BY d.promotion_id IS NULL, d.id`,
+      [id]
+    );
+
     res.json({
       success: true,
       data: order,
@@ -207,84 +356,103 @@ const getOrderById = async (req, res, next) => {
 };
 
 /**
- * Create new order for a table
- * POST /api/orders
+ * Open an order (run inside the caller's transaction): checks the table is free and not locked by
+ * another server, then marks it occupied and locked by the server. No table means takeaway.
+ * @param {Object} details - { tableId, serverId, guestCount, notes }
+ * @returns {Promise<Object>} { orderId, orderNumber, tableNumber }
  */
-const createOrder = async (req, res, next) => {
-  try {
-    const { table_id, guest_count = 1, notes } = req.body;
-    const serverId = req.user.id;
-    const isTakeaway =
-      table_id == null || table_id === undefined || table_id === "";
-
-    const result = await db.transaction(async (connection) => {
-      let tableNumber = null;
-
-      if (!isTakeaway) {
-        // Check table availability
-        const [[table]] = await connection.execute(
-          "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
-          [table_id]
-        );
-
-        if (!table) {
-          throw ApiError.notFound("Table not found");
-        }
+const openOrder = async (
+  connection,
+  { tableId, serverId, guestCount, notes }
+) => {
+  const isTakeaway = tableId == null || tableId === "";
+  let tableNumber = null;
+
+  if (!isTakeaway) {
+    // Check table availability
+    const [[table]] = await connection.execute(
+      "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
+      [tableId]
+    );
 
-        if (table.status === "occupied" && table.current_order_id) {
-          throw ApiError.conflict("Table already has an active order");
-        }
+    if (!table) {
+      throw ApiError.notFound("Table not found");
+    }
 
-        if (table.status === "maintenance") {
-          throw ApiError.badRequest("Table is under maintenance");
-        }
+    if (table.status === "occupied" && table.current_order_id) {
+      throw ApiError.conflict("Table already has an active order");
+    }
 
-        // Check if locked by another user
-        if (table.locked_by_user_id && table.locked_by_user_id !== serverId) {
-          const lockAge = Date.now() - new Date(table.locked_at).getTime();
-          const maxLockAge = 30 * 60 * 1000;
+    if (table.status === "maintenance") {
+      throw ApiError.badRequest("Table is under maintenance");
+    }
 
-          if (lockAge < maxLockAge) {
-            throw ApiError.conflict("Table is locked by another server");
-          }
-        }
+    // Check if locked by another user
+    if (table.locked_by_user_id && table.locked_by_user_id !== serverId) {
+      const lockAge = Date.now() - new Date(table.locked_at).getTime();
+      const maxLockAge = 30 * 60 * 1000;
 
-        tableNumber = table.table_number;
+      if (lockAge < maxLockAge) {
+        throw ApiError.conflict("Table is locked by another server");
       }
+    }
 
-      // Generate order number
-      const orderNumber = generateOrderNumber();
+    tableNumber = table.table_number;
+  }
 
-      // Create order (table_id NULL for takeaway)
-      const [orderResult] = await connection.execute(
-        `INSERT INTO orders (order_number, table_id, server_id, guest_count, notes, status, opened_at)
-         VALUES (?, ?, ?, ?, ?, 'open', NOW())`,
-        [
-          orderNumber,
-          isTakeaway ? null : table_id,
-          serverId,
-          guest_count,
-          notes || null,
-        ]
-      );
+  // Generate order number
+  const orderNumber = generateOrderNumber();
+
+  // Create order (table_id NULL for takeaway)
+  const [orderResult] = await connection.execute(
+    `INSERT INTO orders (order_number, table_id, server_id, guest_count, notes, status, opened_at)
+     VALUES (?, ?, ?, ?, ?, 'open', NOW())`,
+    [
+      orderNumber,
+      isTakeaway ? null : tableId,
+      serverId,
+      guestCount,
+      notes || null,
+    ]
+  );
 
-      const orderId = orderResult.insertId;
+  const orderId = orderResult.insertId;
+
+  if (!isTakeaway) {
+    // Update table
+    await connection.execute(
+      `UPDATE restaurant_tables 
+       SET status = 'occupied', 
+           current_order_id = ?,
+           locked_by_user_id = ?,
+           locked_at = NOW()
+       WHERE id = ?`,
+      [orderId, serverId, tableId]
+    );
+  }
 
-      if (!isTakeaway) {
-        // Update table
-        await connection.execute(
-          `UPDATE restaurant_tables 
-           SET status = 'occupied', 
-               current_order_id = ?,
-               locked_by_user_id = ?,
-               locked_at = NOW()
-           WHERE id = ?`,
-          [orderId, serverId, table_id]
-        );
-      }
+  return { orderId, orderNumber, tableNumber };
+};
 
-      return { orderId, orderNumber, tableNumber };
-    });
+/**
+ * Create new order for a table
+ * POST /api/orders
+ */
+const createOrder = async (req, res, next) => {
+  try {
+    const { table_id, guest_count = 1, notes } = req.body;
+    const serverId = req.user.id;
+    const isTakeaway =
+      table_id == null || table_id === undefined || table_id === "";
+
+    const result = await db.transaction((connection) =>
+      openOrder(connection, {
+        tableId: isTakeaway ? null : table_id,
+        serverId,
+        guestCount: guest_count,
+        notes,
+      })
+    );
 
     // Log audit
     await logAudit(serverId, "ORDER_CREATED", "order", result.orderId, null, {
@@ -294,6 +462,11 @@ const createOrder = async (req, res, next) => {
       takeaway: isTakeaway,
     });
 
+    eventBus.publish("order.created", {
+      order_id: result.orderId,
+      table_id: isTakeaway ? null : Number(table_id),
+    });
+
     logger.info(
       `Order ${result.orderNumber} created ${
         result.tableNumber != null
@@ -333,7 +506,11 @@ const addOrderItem = async (req, res, next) => {
       product_id,
       quantity,
       notes,
+      seat_number,
       unit_price: requestUnitPrice,
+      variant_id,
+      modifier_ids = [],
+      components: componentSelections = [],
     } = req.body;
     const userId = req.user.id;
 
@@ -375,58 +552,148 @@ const addOrderItem = async (req, res, next) => {
         throw ApiError.badRequest("Product is not available");
       }
 
+      // Products with active variants are sold as one of them (size, flavor)
+      const [variants] = await connection.execute(
+        "SELECT * FROM product_variants WHERE product_id = ? AND is_active = TRUE",
+        [product_id]
+      );
+      const variant = pickVariant(product, variants, variant_id);
+
       // Check stock if tracking
-      if (product.track_stock && product.stock_quantity < quantity) {
+      const stockQuantity = (variant || product).stock_quantity;
+      if (product.track_stock && stockQuantity < quantity) {
         throw ApiError.badRequest(
-          `Insufficient stock. Only ${product.stock_quantity} available.`
+          `Insufficient stock. Only ${stockQuantity} available.`
         );
       }
 
-      // Unit price: for variable-price products use provided unit_price, else product price
-      let unitPrice;
-      if (
-        product.variable_price &&
-        requestUnitPrice != null &&
-        requestUnitPrice !== ""
-      ) {
-        unitPrice = parseFloat(requestUnitPrice);
-        if (isNaN(unitPrice) || unitPrice < 0) {
-          throw ApiError.badRequest(
-            "Invalid unit price for variable-price product"
-          );
-        }
-      } else {
-        unitPrice = parseFloat(product.price);
+      const unitPrice = resolveUnitPrice(product, variant, requestUnitPrice);
+
+      // Chosen modifiers must satisfy the product's groups; their deltas are per unit
+      const modifiers = await resolveModifiers(connection, product, modifier_ids);
+      const modifiersAmount =
+        Math.round(modifiers.reduce((sum, m) => sum + m.price_delta, 0) * 100) /
+        100;
+
+      if (unitPrice + modifiersAmount < 0) {
+        throw ApiError.badRequest("Modifiers cannot make the price negative");
       }
-      const subtotal = unitPrice * quantity;
+
+      const subtotal = (unitPrice + modifiersAmount) * quantity;
+
+      // Bundles record the components chosen for each slot and their share of the price
+      const components = product.is_bundle
+        ? await resolveBundleComponents(
+            connection,
+            product,
+            componentSelections,
+            quantity,
+            unitPrice
+          )
+        : [];
+
+      // Recipe ingredients for the product (and bundle components), checked against stock
+      const ingredients = await resolveIngredients(
+        connection,
+        [
+          { product_id, variant_id: variant ? variant.id : null, quantity: 1 },
+          ...components,
+        ],
+        quantity
+      );
+
+      // Snapshot the tax rate so later rate changes don't touch rung-up lines
+      const taxRate = await resolveTaxRate(connection, product);
 
       // Insert item
       const [itemResult] = await connection.execute(
-        `INSERT INTO order_items (order_id, product_id, quantity, unit_price, subtotal, notes, added_by_user_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO order_items (order_id, product_id, variant_id, variant_name, quantity, unit_price, modifiers_amount, subtotal, tax_rate, tax_inclusive, notes, seat_number, added_by_user_id, server_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           orderId,
           product_id,
+          variant ? variant.id : null,
+          variant ? variant.name : null,
           quantity,
           unitPrice,
+          modifiersAmount,
           subtotal,
+          taxRate.rate,
+          taxRate.is_inclusive,
           notes || null,
+          seat_number || null,
           userId,
+          order.server_id,
         ]
       );
 
-      // Update stock if tracking
-      if (product.track_stock) {
+      for (const modifier of modifiers) {
+        await connection.execute(
+          `INSERT INTO order_item_modifiers (order_item_id, modifier_id, modifier_group_id, group_name, name, price_delta)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            itemResult.insertId,
+            modifier.modifier_id,
+            modifier.modifier_group_id,
+            modifier.group_name,
+            modifier.name,
+            modifier.price_delta,
+          ]
+        );
+      }
+
+      for (const component of components) {
+        await connection.execute(
+          `INSERT INTO order_item_components (order_item_id, bundle_slot_id, slot_name, product_id, variant_id, product_name, variant_name, quantity, allocated_amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            itemResult.insertId,
+            component.bundle_slot_id,
+            component.slot_name,
+            component.product_id,
+            component.variant_id,
+            component.product_name,
+            component.variant_name,
+            component.quantity,
+            component.allocated_amount,
+          ]
+        );
+      }
+
+      for (const ingredient of ingredients) {
         await connection.execute(
-          "UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ?",
-          [quantity, product_id]
+          `INSERT INTO order_item_ingredients (order_item_id, ingredient_id, quantity, is_required)
+           VALUES (?, ?, ?, ?)`,
+          [
+            itemResult.insertId,
+            ingredient.ingredient_id,
+            ingredient.quantity,
+            ingredient.is_required,
+          ]
         );
       }
 
+      // Update stock (the product's or variant's if tracking, tracked bundle components and recipe ingredients)
+      await adjustItemStock(
+        connection,
+        {
+          id: itemResult.insertId,
+          order_id: orderId,
+          product_id,
+          variant_id: variant ? variant.id : null,
+          track_stock: product.track_stock,
+        },
+        -quantity,
+        userId
+      );
+
       // Update order totals
       await updateOrderTotals(connection, orderId);
 
-      return { itemId: itemResult.insertId, productName: product.name };
+      return {
+        itemId: itemResult.insertId,
+        productName: variant ? `${product.name} (${variant.name})` : product.name,
+      };
     });
 
     // Log audit
@@ -439,7 +706,10 @@ const addOrderItem = async (req, res, next) => {
       {
         order_id: orderId,
         product_id,
+        variant_id: variant_id || null,
         quantity,
+        modifier_ids,
+        components: componentSelections.length > 0 ? componentSelections : undefined,
       }
     );
 
@@ -456,6 +726,11 @@ const addOrderItem = async (req, res, next) => {
       [orderId]
     );
 
+    eventBus.publish("order.updated", {
+      order_id: order.id,
+      table_id: order.table_id,
+    });
+
     res.status(201).json({
       success: true,
       message: "Item added successfully",
@@ -473,8 +748,9 @@ const addOrderItem = async (req, res, next) => {
 const updateOrderItem = async (req, res, next) => {
   try {
     const { orderId, itemId } = req.params;
-    const { quantity, notes } = req.body;
+    const { notes, seat_number } = req.body;
     const userId = req.user.id;
+    let { quantity } = req.body;
 
     await db.transaction(async (connection) => {
       // Get order
@@ -502,9 +778,11 @@ const updateOrderItem = async (req, res, next) => {
 
       // Get item
       const [[item]] = await connection.execute(
-        `SELECT oi.*, p.track_stock, p.stock_quantity
+        `SELECT oi.*, p.track_stock,
+                COALESCE(pv.stock_quantity, p.stock_quantity) as stock_quantity
          FROM order_items oi
          JOIN products p ON oi.product_id = p.id
+         LEFT JOIN product_variants pv ON oi.variant_id = pv.id
          WHERE oi.id = ? AND oi.order_id = ?`,
         [itemId, orderId]
       );
@@ -517,6 +795,10 @@ const updateOrderItem = async (req, res, next) => {
         throw ApiError.badRequest("Cannot modify cancelled item");
       }
 
+      if (quantity === undefined) {
+        quantity = item.quantity;
+      }
+
       // Calculate quantity difference for stock
       const quantityDiff = quantity - item.quantity;
 
@@ -531,27 +813,51 @@ const updateOrderItem = async (req, res, next) => {
         );
       }
 
+      // Bundles also need stock for each tracked component
+      if (quantityDiff > 0) {
+        const [[shortComponent]] = await connection.execute(
+          `SELECT ic.product_name, ic.quantity,
+                  COALESCE(pv.stock_quantity, p.stock_quantity) as stock_quantity
+           FROM order_item_components ic
+           JOIN products p ON ic.product_id = p.id
+           LEFT JOIN product_variants pv ON ic.variant_id = pv.id
+           WHERE ic.order_item_id = ? AND p.track_stock = TRUE
+             AND COALESCE(pv.stock_quantity, p.stock_quantity) < ic.quantity * ?
+           LIMIT 1`,
+          [itemId, quantityDiff]
+        );
+
+        if (shortComponent) {
+          throw ApiError.badRequest(
+            `Insufficient stock for ${shortComponent.product_name}. Only ${shortComponent.stock_quantity} more available.`
+          );
+        }
+
+        // And enough of the required recipe ingredients
+        await checkItemIngredients(connection, itemId, quantityDiff);
+      }
+
       // Update item
-      const newSubtotal = parseFloat(item.unit_price) * quantity;
+      const newSubtotal =
+        (parseFloat(item.unit_price) + parseFloat(item.modifiers_amount)) *
+        quantity;
 
       await connection.execute(
         `UPDATE order_items 
-         SET quantity = ?, subtotal = ?, notes = ?
+         SET quantity = ?, subtotal = ?, notes = ?, seat_number = ?
          WHERE id = ?`,
         [
           quantity,
           newSubtotal,
           notes !== undefined ? notes : item.notes,
+          seat_number !== undefined ? seat_number : item.seat_number,
           itemId,
         ]
       );
 
       // Update stock if tracking
-      if (item.track_stock) {
-        await connection.execute(
-          "UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ?",
-          [quantityDiff, item.product_id]
-        );
+      if (quantityDiff !== 0) {
+        await adjustItemStock(connection, item, -quantityDiff, userId);
       }
 
       // Update order totals
@@ -577,6 +883,11 @@ const updateOrderItem = async (req, res, next) => {
       [orderId]
     );
 
+    eventBus.publish("order.updated", {
+      order_id: order.id,
+      table_id: order.table_id,
+    });
+
     res.json({
       success: true,
       message: "Item updated successfully",
@@ -633,6 +944,11 @@ const removeOrderItem = async (req, res, next) => {
         throw ApiError.notFound("Order item not found");
       }
 
+      // Its stock has already been returned
+      if (item.status === "cancelled") {
+        throw ApiError.badRequest("Item has already been removed");
+      }
+
       // Mark as cancelled instead of deleting (for audit)
       await connection.execute(
         `UPDATE order_items SET status = 'cancelled' WHERE id = ?`,
@@ -640,12 +956,7 @@ const removeOrderItem = async (req, res, next) => {
       );
 
       // Restore stock if tracking
-      if (item.track_stock) {
-        await connection.execute(
-          "UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?",
-          [item.quantity, item.product_id]
-        );
-      }
+      await adjustItemStock(connection, item, item.quantity, userId);
 
       // Update order totals
       await updateOrderTotals(connection, orderId);
@@ -669,6 +980,11 @@ const removeOrderItem = async (req, res, next) => {
       [orderId]
     );
 
+    eventBus.publish("order.updated", {
+      order_id: order.id,
+      table_id: order.table_id,
+    });
+
     res.json({
       success: true,
       message: "Item removed successfully",
@@ -743,6 +1059,11 @@ const updateOrder = async (req, res, next) => {
       [orderId]
     );
 
+    eventBus.publish("order.updated", {
+      order_id: updatedOrder.id,
+      table_id: updatedOrder.table_id,
+    });
+
     res.json({
       success: true,
       message: "Order updated successfully",
@@ -754,17 +1075,17 @@ const updateOrder = async (req, res, next) => {
 };
 
 /**
- * Cancel/void an order
- * POST /api/orders/:orderId/cancel
+ * Move an open order to another table, or between a table and takeaway (table_id null).
+ * The old table and any tables joined to it are freed; the new one is occupied and locked by the order's server.
+ * POST /api/orders/:orderId/transfer
  */
-const cancelOrder = async (req, res, next) => {
+const transferOrder = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const { reason } = req.body;
+    const targetTableId = req.body.table_id ?? null;
     const userId = req.user.id;
 
-    await db.transaction(async (connection) => {
-      // Get order
+    const result = await db.transaction(async (connection) => {
       const [[order]] = await connection.execute(
         "SELECT * FROM orders WHERE id = ? FOR UPDATE",
         [orderId]
@@ -774,103 +1095,862 @@ const cancelOrder = async (req, res, next) => {
         throw ApiError.notFound("Order not found");
       }
 
-      if (order.status === "paid") {
+      if (order.status !== "open") {
+        throw ApiError.badRequest("Cannot modify a closed order");
+      }
+
+      const canModify =
+        order.server_id === userId ||
+        ["admin", "moderator"].includes(req.user.role_name);
+
+      if (!canModify) {
+        throw ApiError.forbidden("You can only modify your own orders");
+      }
+
+      if (targetTableId === order.table_id) {
         throw ApiError.badRequest(
-          "Cannot cancel a paid order. Use refund instead."
+          targetTableId == null
+            ? "Order is already a takeaway"
+            : "Order is already on this table"
         );
       }
 
-      if (order.status === "cancelled" || order.status === "void") {
-        throw ApiError.badRequest("Order is already cancelled");
-      }
+      let fromTable = null;
+      let toTable = null;
 
-      // Only admin/moderator can cancel orders
-      if (!["admin", "moderator"].includes(req.user.role_name)) {
-        throw ApiError.forbidden("Only administrators can cancel orders");
+      if (order.table_id != null) {
+        [[fromTable]] = await connection.execute(
+          "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
+          [order.table_id]
+        );
       }
 
-      // Restore stock for all items
-      const [items] = await connection.execute(
-        `SELECT oi.*, p.track_stock
-         FROM order_items oi
-         JOIN products p ON oi.product_id = p.id
-         WHERE oi.order_id = ? AND oi.status != 'cancelled'`,
-        [orderId]
-      );
+      if (targetTableId != null) {
+        [[toTable]] = await connection.execute(
+          "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
+          [targetTableId]
+        );
 
-      for (const item of items) {
-        if (item.track_stock) {
-          await connection.execute(
-            "UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?",
-            [item.quantity, item.product_id]
+        if (!toTable || !toTable.is_active) {
+          throw ApiError.notFound("Table not found");
+        }
+
+        if (toTable.current_order_id || toTable.status !== "available") {
+          throw ApiError.conflict(
+            `Table ${toTable.table_number} is ${
+              toTable.current_order_id ? "occupied" : toTable.status
+            }`
           );
         }
-      }
 
-      // Cancel all items
-      await connection.execute(
-        `UPDATE order_items SET status = 'cancelled' WHERE order_id = ?`,
-        [orderId]
-      );
+        if (
+          toTable.locked_by_user_id &&
+          toTable.locked_by_user_id !== order.server_id
+        ) {
+          const lockAge = Date.now() - new Date(toTable.locked_at).getTime();
+          const maxLockAge = 30 * 60 * 1000;
 
-      // Cancel order
-      await connection.execute(
-        `UPDATE orders SET status = 'cancelled', notes = CONCAT(COALESCE(notes, ''), ' | Cancelled: ', ?), closed_at = NOW() WHERE id = ?`,
-        [reason || "No reason provided", orderId]
-      );
+          if (lockAge < maxLockAge) {
+            throw ApiError.conflict("Table is locked by another server");
+          }
+        }
+      }
 
-      // Free up table
+      await connection.execute("UPDATE orders SET table_id = ? WHERE id = ?", [
+        targetTableId,
+        orderId,
+      ]);
+
+      // Tables joined to the order stay behind and are freed with the old one
       await connection.execute(
         `UPDATE restaurant_tables 
          SET status = 'available', current_order_id = NULL, locked_by_user_id = NULL, locked_at = NULL
          WHERE current_order_id = ?`,
-        [orderId]
+        [order.id]
       );
+
+      if (toTable) {
+        await connection.execute(
+          `UPDATE restaurant_tables 
+           SET status = 'occupied', current_order_id = ?, locked_by_user_id = ?, locked_at = NOW()
+           WHERE id = ?`,
+          [order.id, order.server_id, toTable.id]
+        );
+      }
+
+      return { order, fromTable, toTable };
     });
 
-    // Log audit
-    await logAudit(userId, "ORDER_CANCELLED", "order", orderId, null, {
-      reason,
+    const describe = (table) =>
+      table
+        ? { table_id: table.id, table_number: table.table_number }
+        : { table_id: null, takeaway: true };
+
+    await logAudit(
+      userId,
+      "ORDER_TRANSFERRED",
+      "order",
+      orderId,
+      describe(result.fromTable),
+      describe(result.toTable)
+    );
+
+    eventBus.publish("order.transferred", {
+      order_id: Number(orderId),
+      from_table_id: result.fromTable ? result.fromTable.id : null,
+      table_id: result.toTable ? result.toTable.id : null,
     });
 
+    const label = (table) =>
+      table ? `table ${table.table_number}` : "takeaway";
     logger.info(
-      `Order ${orderId} cancelled by ${req.user.username}. Reason: ${reason}`
+      `Order ${result.order.order_number} moved from ${label(
+        result.fromTable
+      )} to ${label(result.toTable)} by ${req.user.username}`
     );
 
     res.json({
       success: true,
-      message: "Order cancelled successfully",
+      message: `Order moved to ${label(result.toTable)}`,
+      data: {
+        order_id: Number(orderId),
+        table_id: result.toTable ? result.toTable.id : null,
+        table_number: result.toTable ? result.toTable.table_number : null,
+      },
     });
   } catch (error) {
     next(error);
   }
 };
 
-/**
- * Helper function to update order totals
- */
-const updateOrderTotals = async (connection, orderId) => {
-  const [[totals]] = await connection.execute(
-    `SELECT 
-       COALESCE(SUM(subtotal - discount_amount), 0) as subtotal
-     FROM order_items 
-     WHERE order_id = ? AND status != 'cancelled'`,
+// Lock an open order the current user may modify, or fail
+const lockModifiableOrder = async (connection, orderId, user) => {
+  const [[order]] = await connection.execute(
+    "SELECT * FROM orders WHERE id = ? FOR UPDATE",
     [orderId]
   );
 
-  const subtotal = parseFloat(totals.subtotal) || 0;
-  const taxRate = 0; // No tax for now, can be configured
-  const taxAmount = subtotal * taxRate;
+  if (!order) {
+    throw ApiError.notFound("Order not found");
+  }
 
-  await connection.execute(
-    `UPDATE orders 
-     SET subtotal = ?, tax_amount = ?, total_amount = subtotal + tax_amount - discount_amount
-     WHERE id = ?`,
-    [subtotal, taxAmount, orderId]
-  );
+  if (order.status !== "open") {
+    throw ApiError.badRequest(`Order ${order.order_number} is closed`);
+  }
+
+  const canModify =
+    order.server_id === user.id ||
+    ["admin", "moderator"].includes(user.role_name);
+
+  if (!canModify) {
+    throw ApiError.forbidden("You can only modify your own orders");
+  }
+
+  return order;
+};
+
+/**
+ * Join a free table to an open dine-in order (large parties pushing tables together).
+ * The table points at the order like its main table and is freed with it.
+ * POST /api/orders/:orderId/tables
+ */
+const joinTable = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { table_id } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const order = await lockModifiableOrder(connection, orderId, req.user);
+
+      if (order.table_id == null) {
+        throw ApiError.badRequest("Move the order to a table first");
+      }
+
+      const [[table]] = await connection.execute(
+        "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
+        [table_id]
+      );
+
+      if (!table || !table.is_active) {
+        throw ApiError.notFound("Table not found");
+      }
+
+      if (table.current_order_id === order.id) {
+        throw ApiError.badRequest(
+          `Table ${table.table_number} is already part of this order`
+        );
+      }
+
+      if (table.current_order_id || table.status !== "available") {
+        throw ApiError.conflict(
+          `Table ${table.table_number} is ${
+            table.current_order_id ? "occupied" : table.status
+          }`
+        );
+      }
+
+      if (
+        table.locked_by_user_id &&
+        table.locked_by_user_id !== order.server_id
+      ) {
+        const lockAge = Date.now() - new Date(table.locked_at).getTime();
+        const maxLockAge = 30 * 60 * 1000;
+
+        if (lockAge < maxLockAge) {
+          throw ApiError.conflict("Table is locked by another server");
+        }
+      }
+
+      await connection.execute(
+        `UPDATE restaurant_tables 
+         SET status = 'occupied', current_order_id = ?, locked_by_user_id = ?, locked_at = NOW()
+         WHERE id = ?`,
+        [order.id, order.server_id, table.id]
+      );
+
+      return { order, table };
+    });
+
+    await logAudit(req.user.id, "ORDER_TABLE_JOINED", "order", orderId, null, {
+      table_id: result.table.id,
+      table_number: result.table.table_number,
+    });
+
+    eventBus.publish("order.updated", {
+      order_id: Number(orderId),
+      table_id: result.order.table_id,
+      joined_table_id: result.table.id,
+    });
+
+    logger.info(
+      `Table ${result.table.table_number} joined to order ${result.order.order_number} by ${req.user.username}`
+    );
+
+    res.json({
+      success: true,
+      message: `Table ${result.table.table_number} joined`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Free a table that was joined to an order; the order's main table can't be released
+ * DELETE /api/orders/:orderId/tables/:tableId
+ */
+const releaseJoinedTable = async (req, res, next) => {
+  try {
+    const { orderId, tableId } = req.params;
+
+    const result = await db.transaction(async (connection) => {
+      const order = await lockModifiableOrder(connection, orderId, req.user);
+
+      const [[table]] = await connection.execute(
+        "SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE",
+        [tableId]
+      );
+
+      if (!table || table.current_order_id !== order.id) {
+        throw ApiError.notFound("Table is not part of this order");
+      }
+
+      if (table.id === order.table_id) {
+        throw ApiError.badRequest(
+          "The order's main table can't be released; move the order instead"
+        );
+      }
+
+      await connection.execute(
+        `UPDATE restaurant_tables 
+         SET status = 'available', current_order_id = NULL, locked_by_user_id = NULL, locked_at = NULL
+         WHERE id = ?`,
+        [table.id]
+      );
+
+      return { order, table };
+    });
+
+    await logAudit(
+      req.user.id,
+      "ORDER_TABLE_RELEASED",
+      "order",
+      orderId,
+      { table_id: result.table.id, table_number: result.table.table_number },
+      null
+    );
+
+    eventBus.publish("order.updated", {
+      order_id: Number(orderId),
+      table_id: result.order.table_id,
+      released_table_id: result.table.id,
+    });
+
+    logger.info(
+      `Table ${result.table.table_number} released from order ${result.order.order_number} by ${req.user.username}`
+    );
+
+    res.json({
+      success: true,
+      message: `Table ${result.table.table_number} released`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge another open order into this one: its items (with their item discounts), guests and tables move over
+ * and it is closed as 'merged'. Orders with payments or whole-order discounts can't be merged away.
+ * POST /api/orders/:orderId/merge
+ */
+const mergeOrders = async (req, res, next) => {
+  try {
+    const targetId = Number(req.params.orderId);
+    const sourceId = Number(req.body.source_order_id);
+
+    if (targetId === sourceId) {
+      throw ApiError.badRequest("Cannot merge an order into itself");
+    }
+
+    const result = await db.transaction(async (connection) => {
+      // Lock in id order so two merges of the same pair can't deadlock
+      const locked = {};
+      for (const id of [targetId, sourceId].sort((a, b) => a - b)) {
+        locked[id] = await lockModifiableOrder(connection, id, req.user);
+      }
+      const target = locked[targetId];
+      const source = locked[sourceId];
+
+      const [[tenders]] = await connection.execute(
+        "SELECT COUNT(*) as count FROM payments WHERE order_id = ? AND status = 'completed'",
+        [sourceId]
+      );
+
+      if (tenders.count > 0) {
+        throw ApiError.badRequest(
+          `Order ${source.order_number} has payments and can't be merged away`
+        );
+      }
+
+      const [[orderDiscounts]] = await connection.execute(
+        `SELECT COUNT(*) as count FROM order_discounts
+         WHERE order_id = ? AND order_item_id IS NULL AND promotion_id IS NULL`,
+        [sourceId]
+      );
+
+      if (orderDiscounts.count > 0) {
+        throw ApiError.badRequest(
+          `Remove the order discount on ${source.order_number} before merging it`
+        );
+      }
+
+      // Promotions are worked out again on the merged order
+      await connection.execute(
+        "DELETE FROM order_discounts WHERE order_id = ? AND promotion_id IS NOT NULL",
+        [sourceId]
+      );
+      await connection.execute(
+        "UPDATE order_discounts SET order_id = ? WHERE order_id = ?",
+        [targetId, sourceId]
+      );
+
+      await connection.execute(
+        "UPDATE order_items SET order_id = ?, check_id = NULL WHERE order_id = ?",
+        [targetId, sourceId]
+      );
+      await connection.execute("DELETE FROM order_checks WHERE order_id = ?", [
+        sourceId,
+      ]);
+
+      // The source's tables join the merged order
+      const [tables] = await connection.execute(
+        "SELECT id, table_number FROM restaurant_tables WHERE current_order_id = ? FOR UPDATE",
+        [sourceId]
+      );
+
+      await connection.execute(
+        `UPDATE restaurant_tables 
+         SET current_order_id = ?, locked_by_user_id = ?, locked_at = NOW()
+         WHERE current_order_id = ?`,
+        [targetId, target.server_id, sourceId]
+      );
+
+      const tableId = target.table_id ?? source.table_id;
+
+      await connection.execute(
+        "UPDATE orders SET guest_count = guest_count + ?, table_id = ? WHERE id = ?",
+        [source.guest_count || 0, tableId, targetId]
+      );
+
+      await connection.execute(
+        "UPDATE orders SET status = 'merged', merged_into_order_id = ?, closed_at = NOW() WHERE id = ?",
+        [targetId, sourceId]
+      );
+
+      await updateOrderTotals(connection, sourceId);
+      await updateOrderTotals(connection, targetId);
+
+      return { target, source, tables, tableId };
+    });
+
+    const { target, source, tables } = result;
+
+    await logAudit(
+      req.user.id,
+      "ORDER_MERGED",
+      "order",
+      targetId,
+      null,
+      {
+        source_order_id: sourceId,
+        source_order_number: source.order_number,
+        tables: tables.map((t) => t.table_number),
+      }
+    );
+    await logAudit(
+      req.user.id,
+      "ORDER_MERGED",
+      "order",
+      sourceId,
+      { status: "open", table_id: source.table_id },
+      { status: "merged", merged_into_order_id: targetId }
+    );
+
+    eventBus.publish("order.merged", {
+      order_id: targetId,
+      source_order_id: sourceId,
+      table_id: result.tableId,
+    });
+
+    logger.info(
+      `Order ${source.order_number} merged into ${target.order_number} by ${req.user.username}`
+    );
+
+    res.json({
+      success: true,
+      message: `Order ${source.order_number} merged into ${target.order_number}`,
+      data: { order_id: targetId, table_id: result.tableId },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel/void an order
+ * POST /api/orders/:orderId/cancel
+ */
+const cancelOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
+
+    const cancelled = await db.transaction(async (connection) => {
+      // Get order
+      const [[order]] = await connection.execute(
+        "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound("Order not found");
+      }
+
+      if (order.status === "paid") {
+        throw ApiError.badRequest(
+          "Cannot cancel a paid order. Use refund instead."
+        );
+      }
+
+      if (order.status === "cancelled" || order.status === "void") {
+        throw ApiError.badRequest("Order is already cancelled");
+      }
+
+      if (order.status === "merged") {
+        throw ApiError.badRequest(
+          "Order was merged into another order. Cancel that order instead."
+        );
+      }
+
+      // Only admin/moderator can cancel orders
+      if (!["admin", "moderator"].includes(req.user.role_name)) {
+        throw ApiError.forbidden("Only administrators can cancel orders");
+      }
+
+      const [[tenders]] = await connection.execute(
+        "SELECT COUNT(*) as count FROM payments WHERE order_id = ? AND status = 'completed'",
+        [orderId]
+      );
+
+      if (tenders.count > 0) {
+        throw ApiError.badRequest(
+          "Order has partial payments. Refund them before cancelling."
+        );
+      }
+
+      // Restore stock for all items
+      const [items] = await connection.execute(
+        `SELECT oi.*, p.track_stock
+         FROM order_items oi
+         JOIN products p ON oi.product_id = p.id
+         WHERE oi.order_id = ? AND oi.status != 'cancelled'`,
+        [orderId]
+      );
+
+      for (const item of items) {
+        await adjustItemStock(connection, item, item.quantity, userId);
+      }
+
+      // Cancel all items
+      await connection.execute(
+        `UPDATE order_items SET status = 'cancelled' WHERE order_id = ?`,
+        [orderId]
+      );
+
+      // Cancel order
+      await connection.execute(
+        `UPDATE orders SET status = 'cancelled', notes = CONCAT(COALESCE(notes, ''), ' | Cancelled: ', ?), closed_at = NOW() WHERE id = ?`,
+        [reason || "No reason provided", orderId]
+      );
+
+      // Free up table
+      await connection.execute(
+        `UPDATE restaurant_tables 
+         SET status = 'available', current_order_id = NULL, locked_by_user_id = NULL, locked_at = NULL
+         WHERE current_order_id = ?`,
+        [orderId]
+      );
+
+      return { tableId: order.table_id };
+    });
+
+    // Log audit
+    await logAudit(userId, "ORDER_CANCELLED", "order", orderId, null, {
+      reason,
+    });
+
+    eventBus.publish("order.cancelled", {
+      order_id: Number(orderId),
+      table_id: cancelled.tableId,
+    });
+
+    logger.info(
+      `Order ${orderId} cancelled by ${req.user.username}. Reason: ${reason}`
+    );
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a percent or fixed discount to an order item or the whole order
+ * POST /api/orders/:orderId/discounts
+ */
+const addOrderDiscount = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { order_item_id, discount_type, value, reason_code, reason } =
+      req.body;
+
+    if (discount_type === "percent" && value > 100) {
+      throw ApiError.badRequest("Percent discount cannot exceed 100");
+    }
+
+    // Staff without approval rights need a manager's username and PIN
+    const approverId = await resolveApprover(req.user, req.body);
+
+    const discount = await db.transaction(async (connection) => {
+      const [[order]] = await connection.execute(
+        "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound("Order not found");
+      }
+
+      if (order.status !== "open") {
+        throw ApiError.badRequest("Cannot discount a closed order");
+      }
+
+      // Own orders only; cashiers discount the order they are settling
+      const canModify =
+        order.server_id === req.user.id ||
+        ["admin", "moderator", "cashier"].includes(req.user.role_name);
+
+      if (!canModify) {
+        throw ApiError.forbidden("You can only modify your own orders");
+      }
+
+      if (order_item_id) {
+        const [[item]] = await connection.execute(
+          "SELECT id, status FROM order_items WHERE id = ? AND order_id = ?",
+          [order_item_id, orderId]
+        );
+
+        if (!item) {
+          throw ApiError.notFound("Order item not found");
+        }
+
+        if (item.status === "cancelled") {
+          throw ApiError.badRequest("Cannot discount a cancelled item");
+        }
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO order_discounts (
+           order_id, order_item_id, discount_type, value, reason_code, reason,
+           applied_by_user_id, approved_by_user_id
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          orderId,
+          order_item_id || null,
+          discount_type,
+          value,
+          reason_code,
+          reason || null,
+          req.user.id,
+          approverId,
+        ]
+      );
+
+      await updateOrderTotals(connection, orderId);
+
+      const [[discount]] = await connection.execute(
+        "SELECT * FROM order_discounts WHERE id = ?",
+        [result.insertId]
+      );
+
+      return { ...discount, table_id: order.table_id };
+    });
+
+    await logAudit(
+      req.user.id,
+      "ORDER_DISCOUNT_APPLIED",
+      "order",
+      orderId,
+      null,
+      {
+        discount_id: discount.id,
+        order_item_id: order_item_id || null,
+        discount_type,
+        value,
+        amount: discount.amount,
+        reason_code,
+        reason: reason || null,
+        approved_by_user_id: approverId,
+      }
+    );
+
+    logger.info(
+      `Discount ${value}${discount_type === "percent" ? "%" : ""} (${
+        discount.amount
+      }) applied to order ${orderId} by ${req.user.username}`
+    );
+
+    eventBus.publish("order.updated", {
+      order_id: parseInt(orderId),
+      table_id: discount.table_id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Discount applied",
+      data: discount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a manual discount (promotions apply automatically and can't be removed).
+ * Needs the same approval as applying one.
+ * DELETE /api/orders/:orderId/discounts/:discountId
+ */
+const removeOrderDiscount = async (req, res, next) => {
+  try {
+    const { orderId, discountId } = req.params;
+
+    // Staff without approval rights need a manager's username and PIN
+    const approverId = await resolveApprover(req.user, req.body);
+
+    const result = await db.transaction(async (connection) => {
+      const [[order]] = await connection.execute(
+        "SELECT * FROM orders WHERE id = ? FOR UPDATE",
+        [orderId]
+      );
+
+      if (!order) {
+        throw ApiError.notFound("Order not found");
+      }
+
+      if (order.status !== "open") {
+        throw ApiError.badRequest("Cannot modify a closed order");
+      }
+
+      // Own orders only; cashiers discount the order they are settling
+      const canModify =
+        order.server_id === req.user.id ||
+        ["admin", "moderator", "cashier"].includes(req.user.role_name);
+
+      if (!canModify) {
+        throw ApiError.forbidden("You can only modify your own orders");
+      }
+
+      const [[discount]] = await connection.execute(
+        "SELECT * FROM order_discounts WHERE id = ? AND order_id = ?",
+        [discountId, orderId]
+      );
+
+      if (!discount) {
+        throw ApiError.notFound("Discount not found");
+      }
+
+      if (discount.promotion_id) {
+        throw ApiError.badRequest("Promotions are applied automatically");
+      }
+
+      await connection.execute("DELETE FROM order_discounts WHERE id = ?", [
+        discountId,
+      ]);
+
+      await updateOrderTotals(connection, orderId);
+
+      return { discount, table_id: order.table_id };
+    });
+
+    await logAudit(
+      req.user.id,
+      "ORDER_DISCOUNT_REMOVED",
+      "order",
+      orderId,
+      result.discount,
+      { approved_by_user_id: approverId }
+    );
+
+    logger.info(
+      `Discount ${discountId} removed from order ${orderId} by ${req.user.username}`
+    );
+
+    eventBus.publish("order.updated", {
+      order_id: parseInt(orderId),
+      table_id: result.table_id,
+    });
+
+    res.json({
+      success: true,
+      message: "Discount removed",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper function to update order totals.
+ * Line subtotals are recomputed with their modifiers. Discounts and promotions are first spread over the lines; each line then carries its own tax:
+ * tax-inclusive prices already contain it, tax-exclusive lines have it added on top.
+ */
+const updateOrderTotals = async (connection, orderId) => {
+  // Line subtotals carry the chosen modifiers' price deltas
+  await connection.execute(
+    `UPDATE order_items
+     SET subtotal = ROUND((unit_price + modifiers_amount) * quantity, 2)
+     WHERE order_id = ?`,
+    [orderId]
+  );
+
+  await applyDiscounts(connection, orderId);
+
+  await connection.execute(
+    `UPDATE order_items SET tax_amount = ${LINE_TAX_SQL} WHERE order_id = ?`,
+    [orderId]
+  );
+
+  const [[totals]] = await connection.execute(
+    `SELECT 
+       COALESCE(SUM(subtotal), 0) as subtotal,
+       COALESCE(SUM(discount_amount), 0) as discount_amount,
+       COALESCE(SUM(tax_amount), 0) as tax_amount,
+       COALESCE(SUM(IF(tax_inclusive, 0, tax_amount)), 0) as tax_added
+     FROM order_items 
+     WHERE order_id = ? AND status != 'cancelled'`,
+    [orderId]
+  );
+
+  const subtotal = parseFloat(totals.subtotal) || 0;
+  const discountAmount = parseFloat(totals.discount_amount) || 0;
+  const taxAmount = parseFloat(totals.tax_amount) || 0;
+  const taxAdded = parseFloat(totals.tax_added) || 0;
+
+  await connection.execute(
+    `UPDATE orders 
+     SET subtotal = ?, discount_amount = ?, tax_amount = ?, total_amount = ?
+     WHERE id = ?`,
+    [
+      subtotal,
+      discountAmount,
+      taxAmount,
+      Math.round((subtotal - discountAmount + taxAdded) * 100) / 100,
+      orderId,
+    ]
+  );
+
+  // Partially paid orders can't drop below what has already been tendered
+  const [[balance]] = await connection.execute(
+    `SELECT o.total_amount,
+            COALESCE(SUM(p.amount_due), 0) as tendered
+     FROM orders o
+     LEFT JOIN payments p ON p.order_id = o.id AND p.status IN ('completed', 'refunded')
+     WHERE o.id = ?
+     GROUP BY o.id`,
+    [orderId]
+  );
+
+  if (parseFloat(balance.total_amount) < parseFloat(balance.tendered)) {
+    throw ApiError.badRequest(
+      "Order total cannot be less than the amount already paid"
+    );
+  }
+
+  // Check shares are computed from the items, so any change invalidates a split
+  const [[split]] = await connection.execute(
+    `SELECT COUNT(DISTINCT c.id) as checks, COUNT(p.id) as payments
+     FROM order_checks c
+     LEFT JOIN payments p ON p.check_id = c.id AND p.status IN ('completed', 'refunded')
+     WHERE c.order_id = ?`,
+    [orderId]
+  );
+
+  if (split.checks > 0) {
+    if (split.payments > 0) {
+      throw ApiError.badRequest(
+        "Order is split and checks have been paid; items can no longer change"
+      );
+    }
+    await connection.execute(
+      "UPDATE order_items SET check_id = NULL WHERE order_id = ?",
+      [orderId]
+    );
+    await connection.execute("DELETE FROM order_checks WHERE order_id = ?", [
+      orderId,
+    ]);
+  }
 };
 
 module.exports = {
+  pickVariant,
+  resolveUnitPrice,
+  adjustItemStock,
+  openOrder,
   getOrders,
   getActiveOrders,
   getOrderById,
@@ -879,5 +1959,11 @@ module.exports = {
   updateOrderItem,
   removeOrderItem,
   updateOrder,
+  transferOrder,
+  joinTable,
+  releaseJoinedTable,
+  mergeOrders,
   cancelOrder,
+  addOrderDiscount,
+  removeOrderDiscount,
 };
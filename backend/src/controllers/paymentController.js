@@ -7,6 +7,11 @@ const db = require("../config/database");
 const { ApiError } = require("../middleware/errorHandler");
 const { logger } = require("../utils/logger");
 const { logAudit } = require("./authController");
+const eventBus = require("../utils/eventBus");
+const {
+  REQUIRE_CASH_DRAWER,
+  getOpenSession,
+} = require("./cashSessionController");
 
 /**
  * Generate unique payment number
@@ -20,6 +25,26 @@ const generatePaymentNumber = () => {
   return `PAY-${dateStr}-${random}`;
 };
 
+/**
+ * Round to cents so balances don't drift on float arithmetic
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sum of tenders already applied to an order (or to one of its checks). A refunded tender
+ * still settled its part of the bill: the refund gives money back, it doesn't reopen the balance.
+ */
+const getAmountTendered = async (connection, orderId, checkId = null) => {
+  const [[row]] = await connection.execute(
+    `SELECT COALESCE(SUM(amount_due), 0) as tendered
+     FROM payments
+     WHERE order_id = ? AND status IN ('completed', 'refunded')
+       ${checkId ? "AND check_id = ?" : ""}`,
+    checkId ? [orderId, checkId] : [orderId]
+  );
+  return parseFloat(row.tendered) || 0;
+};
+
 /**
  * Get payment methods (active only for cashier; all if include_inactive and permission)
  * GET /api/payments/methods
@@ -170,7 +195,7 @@ const getPayments = async (req, res, next) => {
 
     let query = `
       SELECT p.*, 
-             o.order_number, o.table_id,
+             o.order_number, o.table_id, o.status as order_status,
              t.table_number,
              pm.name as payment_method_name,
              u.full_name as cashier_name
@@ -246,6 +271,15 @@ const getPaymentById = async (req, res, next) => {
       throw ApiError.notFound("Payment not found");
     }
 
+    payment.refunds = await db.query(
+      `SELECT r.*, u.full_name as approved_by_name
+       FROM payment_refunds r
+       JOIN users u ON r.approved_by_user_id = u.id
+       WHERE r.payment_id = ?
+       ORDER BY r.created_at`,
+      [id]
+    );
+
     res.json({
       success: true,
       data: payment,
@@ -256,15 +290,21 @@ const getPaymentById = async (req, res, next) => {
 };
 
 /**
- * Process payment for an order
+ * Process a payment (one tender) for an order.
+ * `amount` is the part of the balance this tender settles (defaults to as much
+ * of the balance as amount_paid covers). Split orders are paid per check
+ * (`check_id`). The order is closed and its table freed only once the
+ * balance reaches zero.
  * POST /api/payments
  */
 const processPayment = async (req, res, next) => {
   try {
     const {
       order_id,
+      check_id,
       payment_method_id,
       amount_paid,
+      amount,
       tip_amount = 0,
       reference_number,
       notes,
@@ -305,11 +345,74 @@ const processPayment = async (req, res, next) => {
         throw ApiError.badRequest("Invalid payment method");
       }
 
-      // Calculate amounts
-      const amountDue = parseFloat(order.total_amount);
-      const totalRequired = amountDue + parseFloat(tip_amount);
+      // Tenders are recorded against the cashier's open drawer. Without one, cash is
+      // refused when drawers are required, else taken outside any drawer and flagged.
+      const cashSession = await getOpenSession(connection, cashierId);
+      const outsideDrawer = paymentMethod.name === "cash" && !cashSession;
+
+      if (outsideDrawer && REQUIRE_CASH_DRAWER) {
+        throw ApiError.badRequest(
+          "Open a cash drawer before taking cash payments"
+        );
+      }
+
+      // Split orders are paid check by check
+      const [checks] = await connection.execute(
+        "SELECT * FROM order_checks WHERE order_id = ? FOR UPDATE",
+        [order_id]
+      );
+      let check = null;
+
+      if (checks.length > 0) {
+        if (!check_id) {
+          throw ApiError.badRequest("Order is split; select the check to pay");
+        }
+        check = checks.find((c) => c.id === Number(check_id));
+        if (!check) {
+          throw ApiError.notFound("Check not found on this order");
+        }
+        if (check.status === "paid") {
+          throw ApiError.badRequest("Check is already paid");
+        }
+      } else if (check_id) {
+        throw ApiError.badRequest("Order is not split into checks");
+      }
+
+      // Calculate amounts against the running balance
+      const tendered = await getAmountTendered(connection, order_id);
+      const balanceBefore = roundMoney(
+        parseFloat(order.total_amount) - tendered
+      );
+      const checkBalanceBefore = check
+        ? roundMoney(
+            parseFloat(check.amount) -
+              (await getAmountTendered(connection, order_id, check.id))
+          )
+        : balanceBefore;
+      const tipNum = parseFloat(tip_amount) || 0;
       const amountPaidNum = parseFloat(amount_paid);
 
+      if (balanceBefore <= 0 || checkBalanceBefore <= 0) {
+        throw ApiError.badRequest("Order has no balance left to pay");
+      }
+
+      const amountDue =
+        amount !== undefined && amount !== null && amount !== ""
+          ? roundMoney(parseFloat(amount))
+          : roundMoney(Math.min(checkBalanceBefore, amountPaidNum - tipNum));
+
+      if (amountDue <= 0) {
+        throw ApiError.badRequest("Amount paid does not cover the tip");
+      }
+
+      if (amountDue > checkBalanceBefore) {
+        throw ApiError.badRequest(
+          `Amount exceeds the balance due (${checkBalanceBefore.toFixed(2)})`
+        );
+      }
+
+      const totalRequired = amountDue + tipNum;
+
       if (amountPaidNum < totalRequired) {
         throw ApiError.badRequest(
           `Insufficient payment. Required: ${totalRequired.toFixed(
@@ -318,7 +421,10 @@ const processPayment = async (req, res, next) => {
         );
       }
 
-      const changeAmount = amountPaidNum - totalRequired;
+      const changeAmount = roundMoney(amountPaidNum - totalRequired);
+      const balanceAfter = roundMoney(balanceBefore - amountDue);
+      const checkBalanceAfter = roundMoney(checkBalanceBefore - amountDue);
+      const isSettled = balanceAfter <= 0;
 
       // Generate payment number
       const paymentNumber = generatePaymentNumber();
@@ -326,19 +432,22 @@ const processPayment = async (req, res, next) => {
       // Create payment record
       const [paymentResult] = await connection.execute(
         `INSERT INTO payments (
-          payment_number, order_id, payment_method_id, cashier_id,
-          amount_due, amount_paid, change_amount, tip_amount,
-          reference_number, notes, status, paid_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed', NOW())`,
+          payment_number, order_id, check_id, payment_method_id, cashier_id,
+          cash_session_id, amount_due, amount_paid, change_amount, balance_after,
+          tip_amount, reference_number, notes, status, paid_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed', NOW())`,
         [
           paymentNumber,
           order_id,
+          check ? check.id : null,
           payment_method_id,
           cashierId,
+          cashSession ? cashSession.id : null,
           amountDue,
           amountPaidNum,
           changeAmount,
-          tip_amount,
+          balanceAfter,
+          tipNum,
           reference_number || null,
           notes || null,
         ]
@@ -346,29 +455,63 @@ const processPayment = async (req, res, next) => {
 
       const paymentId = paymentResult.insertId;
 
+      if (check && checkBalanceAfter <= 0) {
+        await connection.execute(
+          "UPDATE order_checks SET status = 'paid', paid_at = NOW() WHERE id = ?",
+          [check.id]
+        );
+      }
+
+      // Partial tender: order stays open until the balance is cleared
+      if (!isSettled) {
+        return {
+          paymentId,
+          paymentNumber,
+          amountDue,
+          amountPaid: amountPaidNum,
+          changeAmount,
+          balanceAfter,
+          checkBalanceAfter,
+          isSettled,
+          tableId: order.table_id,
+          outsideDrawer,
+        };
+      }
+
       // Update order status
       await connection.execute(
         `UPDATE orders SET status = 'paid', closed_at = NOW() WHERE id = ?`,
         [order_id]
       );
 
-      // Update all order items to served
+      // Update all order items to served (keep kitchen timestamp if already served)
       await connection.execute(
-        `UPDATE order_items SET status = 'served', served_at = NOW() 
+        `UPDATE order_items SET status = 'served', served_at = COALESCE(served_at, NOW())
          WHERE order_id = ? AND status != 'cancelled'`,
         [order_id]
       );
 
-      // Free up the table (skip for takeaway – no table_id)
+      // Free up the table and any tables joined to it (skip for takeaway – no table_id),
+      // remembering them so a void can seat the order on them again
       if (order.table_id != null) {
+        const [released] = await connection.execute(
+          "SELECT id FROM restaurant_tables WHERE id = ? OR current_order_id = ? FOR UPDATE",
+          [order.table_id, order_id]
+        );
+
         await connection.execute(
           `UPDATE restaurant_tables 
            SET status = 'available', 
                current_order_id = NULL,
                locked_by_user_id = NULL,
                locked_at = NULL
-           WHERE id = ?`,
-          [order.table_id]
+           WHERE id = ? OR current_order_id = ?`,
+          [order.table_id, order_id]
+        );
+
+        await connection.execute(
+          "UPDATE orders SET released_table_ids = ? WHERE id = ?",
+          [JSON.stringify(released.map((t) => t.id)), order_id]
         );
       }
 
@@ -378,10 +521,20 @@ const processPayment = async (req, res, next) => {
         amountDue,
         amountPaid: amountPaidNum,
         changeAmount,
+        balanceAfter,
+        checkBalanceAfter,
+        isSettled,
         tableId: order.table_id,
+        outsideDrawer,
       };
     });
 
+    if (result.outsideDrawer) {
+      logger.warn(
+        `Cash payment ${result.paymentNumber} taken by ${req.user.username} without an open cash drawer`
+      );
+    }
+
     // Log audit
     await logAudit(
       cashierId,
@@ -391,14 +544,25 @@ const processPayment = async (req, res, next) => {
       null,
       {
         order_id,
+        check_id: check_id || null,
         amount_due: result.amountDue,
         amount_paid: result.amountPaid,
+        balance_after: result.balanceAfter,
         payment_method_id,
+        ...(result.outsideDrawer && { outside_drawer: true }),
       }
     );
 
+    eventBus.publish(result.isSettled ? "order.paid" : "order.updated", {
+      order_id: Number(order_id),
+      table_id: result.tableId,
+      payment_id: result.paymentId,
+    });
+
     logger.info(
-      `Payment ${result.paymentNumber} processed for order ${order_id} by ${req.user.username}`
+      `Payment ${result.paymentNumber} processed for order ${order_id} by ${
+        req.user.username
+      }${result.isSettled ? "" : ` (balance ${result.balanceAfter.toFixed(2)})`}`
     );
 
     // Fetch complete payment info
@@ -419,10 +583,16 @@ const processPayment = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: "Payment processed successfully",
+      message: result.isSettled
+        ? "Payment processed successfully"
+        : "Partial payment recorded",
       data: {
         payment,
         change: result.changeAmount,
+        balance: result.balanceAfter,
+        order_paid: result.isSettled,
+        check_balance: check_id ? result.checkBalanceAfter : null,
+        check_paid: check_id ? result.checkBalanceAfter <= 0 : null,
       },
     });
   } catch (error) {
@@ -430,6 +600,440 @@ const processPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Load a payment row with lock for a refund/void
+ */
+const lockPayment = async (connection, paymentId) => {
+  const [[payment]] = await connection.execute(
+    `SELECT p.*, o.status as order_status, o.table_id, o.released_table_ids,
+            pm.name as payment_method_name
+     FROM payments p
+     JOIN orders o ON p.order_id = o.id
+     JOIN payment_methods pm ON p.payment_method_id = pm.id
+     WHERE p.id = ? FOR UPDATE`,
+    [paymentId]
+  );
+
+  if (!payment) {
+    throw ApiError.notFound("Payment not found");
+  }
+
+  return payment;
+};
+
+/**
+ * Tables a paid order freed (see processPayment). Orders paid before that was
+ * recorded fall back to their main table.
+ */
+const getReleasedTableIds = (payment) => {
+  const released =
+    typeof payment.released_table_ids === "string"
+      ? JSON.parse(payment.released_table_ids)
+      : payment.released_table_ids;
+
+  if (released) return released;
+  return payment.table_id != null ? [payment.table_id] : [];
+};
+
+/**
+ * Drawer that money for a refund/void leaves from: the payment's own session
+ * while it is still open, else the user's open session. Cash needs one when
+ * drawers are required; otherwise it goes back outside any drawer.
+ */
+const getRefundSession = async (connection, payment, userId) => {
+  if (payment.cash_session_id) {
+    const [[session]] = await connection.execute(
+      "SELECT * FROM cash_sessions WHERE id = ? AND status = 'open'",
+      [payment.cash_session_id]
+    );
+    if (session) return session;
+  }
+
+  const session = await getOpenSession(connection, userId);
+
+  if (!session && payment.payment_method_name === "cash") {
+    if (REQUIRE_CASH_DRAWER) {
+      throw ApiError.badRequest("Open a cash drawer to give cash back");
+    }
+    logger.warn(
+      `Cash for payment ${payment.id} given back without an open cash drawer`
+    );
+  }
+
+  return session;
+};
+
+/**
+ * Refund a completed payment, in full or in part (money returned to the guest)
+ * POST /api/payments/:id/refund
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason_code, reason } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const payment = await lockPayment(connection, id);
+
+      if (payment.status !== "completed") {
+        throw ApiError.badRequest(`Cannot refund a ${payment.status} payment`);
+      }
+
+      if (payment.order_status !== "paid") {
+        throw ApiError.badRequest(
+          "Order is still open; void the payment instead"
+        );
+      }
+
+      const refundable = roundMoney(
+        parseFloat(payment.amount_due) - parseFloat(payment.refunded_amount)
+      );
+      const refundAmount =
+        amount !== undefined && amount !== null && amount !== ""
+          ? roundMoney(parseFloat(amount))
+          : refundable;
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw ApiError.badRequest(
+          `Refund must be between 0 and ${refundable.toFixed(2)}`
+        );
+      }
+
+      const refundedTotal = roundMoney(
+        parseFloat(payment.refunded_amount) + refundAmount
+      );
+      const fullyRefunded = refundedTotal >= parseFloat(payment.amount_due);
+      const cashSession = await getRefundSession(
+        connection,
+        payment,
+        req.user.id
+      );
+
+      await connection.execute(
+        `INSERT INTO payment_refunds (payment_id, order_id, type, amount, reason_code, reason, approved_by_user_id, cash_session_id)
+         VALUES (?, ?, 'refund', ?, ?, ?, ?, ?)`,
+        [
+          id,
+          payment.order_id,
+          refundAmount,
+          reason_code,
+          reason || null,
+          req.user.id,
+          cashSession ? cashSession.id : null,
+        ]
+      );
+
+      await connection.execute(
+        "UPDATE payments SET refunded_amount = ?, status = ? WHERE id = ?",
+        [refundedTotal, fullyRefunded ? "refunded" : "completed", id]
+      );
+
+      return {
+        orderId: payment.order_id,
+        tableId: payment.table_id,
+        refundAmount,
+        refundedTotal,
+        fullyRefunded,
+        oldStatus: payment.status,
+      };
+    });
+
+    await logAudit(
+      req.user.id,
+      "PAYMENT_REFUNDED",
+      "payment",
+      id,
+      { status: result.oldStatus },
+      {
+        amount: result.refundAmount,
+        refunded_total: result.refundedTotal,
+        reason_code,
+        reason,
+      }
+    );
+
+    eventBus.publish("order.refunded", {
+      order_id: result.orderId,
+      table_id: result.tableId,
+      payment_id: Number(id),
+    });
+
+    logger.info(
+      `Payment ${id} refunded ${result.refundAmount.toFixed(
+        2
+      )} (${reason_code}) by ${req.user.username}`
+    );
+
+    const [payment] = await db.query("SELECT * FROM payments WHERE id = ?", [
+      id,
+    ]);
+
+    res.json({
+      success: true,
+      message: result.fullyRefunded
+        ? "Payment fully refunded"
+        : "Partial refund recorded",
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void a payment taken today (e.g. wrong tender). The amount goes back onto the
+ * order's balance; a paid order is reopened so it can be settled again.
+ * POST /api/payments/:id/void
+ */
+const voidPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason_code, reason } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const payment = await lockPayment(connection, id);
+
+      if (payment.status !== "completed") {
+        throw ApiError.badRequest(`Cannot void a ${payment.status} payment`);
+      }
+
+      if (parseFloat(payment.refunded_amount) > 0) {
+        throw ApiError.badRequest("Payment has refunds and can't be voided");
+      }
+
+      const [[sameDay]] = await connection.execute(
+        "SELECT DATE(?) = CURDATE() as today",
+        [payment.paid_at]
+      );
+
+      if (!sameDay.today) {
+        throw ApiError.badRequest(
+          "Only payments taken today can be voided; refund it instead"
+        );
+      }
+
+      const cashSession = await getRefundSession(
+        connection,
+        payment,
+        req.user.id
+      );
+
+      await connection.execute(
+        `INSERT INTO payment_refunds (payment_id, order_id, type, amount, reason_code, reason, approved_by_user_id, cash_session_id)
+         VALUES (?, ?, 'void', ?, ?, ?, ?, ?)`,
+        [
+          id,
+          payment.order_id,
+          payment.amount_due,
+          reason_code,
+          reason || null,
+          req.user.id,
+          cashSession ? cashSession.id : null,
+        ]
+      );
+
+      await connection.execute(
+        "UPDATE payments SET status = 'void' WHERE id = ?",
+        [id]
+      );
+
+      if (payment.check_id) {
+        await connection.execute(
+          "UPDATE order_checks SET status = 'open', paid_at = NULL WHERE id = ?",
+          [payment.check_id]
+        );
+      }
+
+      // Reopen a paid order and put it back on every table it freed
+      if (payment.order_status === "paid") {
+        const tableIds = getReleasedTableIds(payment);
+
+        if (tableIds.length > 0) {
+          const placeholders = tableIds.map(() => "?").join(", ");
+          const [tables] = await connection.execute(
+            `SELECT * FROM restaurant_tables WHERE id IN (${placeholders}) ORDER BY id FOR UPDATE`,
+            tableIds
+          );
+
+          const taken = tables.find(
+            (table) =>
+              table.current_order_id &&
+              table.current_order_id !== payment.order_id
+          );
+
+          if (taken) {
+            throw ApiError.conflict(
+              `Table ${taken.table_number} has a new order; the payment can't be voided`
+            );
+          }
+
+          await connection.execute(
+            `UPDATE restaurant_tables
+             SET status = 'occupied', current_order_id = ?
+             WHERE id IN (${placeholders})`,
+            [payment.order_id, ...tableIds]
+          );
+        }
+
+        await connection.execute(
+          "UPDATE orders SET status = 'open', closed_at = NULL, released_table_ids = NULL WHERE id = ?",
+          [payment.order_id]
+        );
+      }
+
+      return {
+        orderId: payment.order_id,
+        tableId: payment.table_id,
+        amount: parseFloat(payment.amount_due),
+        reopened: payment.order_status === "paid",
+      };
+    });
+
+    await logAudit(
+      req.user.id,
+      "PAYMENT_VOIDED",
+      "payment",
+      id,
+      { status: "completed" },
+      { status: "void", amount: result.amount, reason_code, reason }
+    );
+
+    eventBus.publish("order.updated", {
+      order_id: result.orderId,
+      table_id: result.tableId,
+      payment_id: Number(id),
+    });
+
+    logger.info(
+      `Payment ${id} voided (${reason_code}) by ${req.user.username}${
+        result.reopened ? `, order ${result.orderId} reopened` : ""
+      }`
+    );
+
+    res.json({
+      success: true,
+      message: result.reopened
+        ? "Payment voided and order reopened"
+        : "Payment voided",
+      data: { payment_id: Number(id), order_id: result.orderId },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Total each server's shares of the paid orders. An order's sales and refunds are split between the servers
+ * who rang up its items, in proportion to their items' net amount; an order with no net amount goes to its
+ * own server. handover_orders counts the orders a server shares with someone else.
+ * @param {Array} shares - One row per order and server:
+ *   { order_id, server_id, server_name, sales, refunds, server_net, order_net, servers }
+ * @returns {Array} [{ server_id, server_name, order_count, handover_orders, total_refunds, total_sales }], best first
+ */
+const totalServerSales = (shares) => {
+  const servers = new Map();
+
+  for (const row of shares) {
+    const orderNet = parseFloat(row.order_net) || 0;
+    const share = orderNet > 0 ? parseFloat(row.server_net) / orderNet : 1;
+    const sales = parseFloat(row.sales) * share;
+    const refunds = parseFloat(row.refunds) * share;
+
+    if (!servers.has(row.server_id)) {
+      servers.set(row.server_id, {
+        server_id: row.server_id,
+        server_name: row.server_name,
+        orders: new Set(),
+        handovers: new Set(),
+        sales: 0,
+        refunds: 0,
+      });
+    }
+
+    const server = servers.get(row.server_id);
+    if (parseFloat(row.sales) > 0) {
+      server.orders.add(row.order_id);
+      if (row.servers > 1) server.handovers.add(row.order_id);
+    }
+    server.sales += sales - refunds;
+    server.refunds += refunds;
+  }
+
+  return [...servers.values()]
+    .map((server) => ({
+      server_id: server.server_id,
+      server_name: server.server_name,
+      order_count: server.orders.size,
+      handover_orders: server.handovers.size,
+      total_refunds: roundMoney(server.refunds),
+      total_sales: roundMoney(server.sales),
+    }))
+    .sort((a, b) => b.total_sales - a.total_sales);
+};
+
+/**
+ * Sales per server for a date range, an order handed over at shift change shared between the servers
+ * who owned it when its items were rung up (see totalServerSales).
+ * Tenders count on the day they were taken and refunds on the day they were given, so a closed day never changes.
+ */
+const getServerSales = async (startDate, endDate) => {
+  const shares = await db.query(
+    `SELECT paid.order_id, paid.sales, paid.refunds,
+            COALESCE(l.server_id, o.server_id) as server_id,
+            u.full_name as server_name,
+            l.net as server_net,
+            t.net as order_net,
+            COALESCE(t.servers, 1) as servers
+     FROM (
+       SELECT order_id, SUM(sales) as sales, SUM(refunds) as refunds
+       FROM (
+         SELECT p.order_id, p.amount_due as sales, 0 as refunds
+         FROM payments p
+         WHERE p.status IN ('completed', 'refunded') 
+           AND DATE(p.paid_at) BETWEEN ? AND ?
+         UNION ALL
+         SELECT r.order_id, 0, r.amount
+         FROM payment_refunds r
+         WHERE r.type = 'refund' AND DATE(r.created_at) BETWEEN ? AND ?
+       ) movements
+       GROUP BY order_id
+     ) paid
+     JOIN orders o ON paid.order_id = o.id
+     LEFT JOIN (
+       SELECT order_id, SUM(subtotal - discount_amount) as net, COUNT(DISTINCT server_id) as servers
+       FROM order_items
+       WHERE status != 'cancelled'
+       GROUP BY order_id
+     ) t ON t.order_id = paid.order_id
+     LEFT JOIN (
+       SELECT order_id, server_id, SUM(subtotal - discount_amount) as net
+       FROM order_items
+       WHERE status != 'cancelled'
+       GROUP BY order_id, server_id
+     ) l ON l.order_id = paid.order_id AND t.net > 0
+     JOIN users u ON u.id = COALESCE(l.server_id, o.server_id)`,
+    [startDate, endDate, startDate, endDate]
+  );
+
+  return totalServerSales(shares);
+};
+
+/**
+ * Refunds given in a date range (by the day the money went back, not the day of the sale)
+ */
+const getRefundTotal = async (startDate, endDate) => {
+  const [row] = await db.query(
+    `SELECT COUNT(*) as refund_count, COALESCE(SUM(r.amount), 0) as refund_amount
+     FROM payment_refunds r
+     WHERE r.type = 'refund' AND DATE(r.created_at) BETWEEN ? AND ?`,
+    [startDate, endDate]
+  );
+  return {
+    count: parseInt(row.refund_count) || 0,
+    amount: parseFloat(row.refund_amount) || 0,
+  };
+};
+
 /**
  * Get daily sales summary
  * GET /api/payments/summary/daily
@@ -439,60 +1043,59 @@ const getDailySummary = async (req, res, next) => {
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().slice(0, 10);
 
-    // Sales summary
+    // Sales summary (tenders taken that day; refunds given that day are their own line)
     const [summary] = await db.query(
       `SELECT 
          COUNT(DISTINCT p.order_id) as total_orders,
          SUM(p.amount_due) as gross_sales,
          SUM(p.tip_amount) as total_tips,
-         AVG(p.amount_due) as average_order_value
+         SUM(p.amount_due) / COUNT(DISTINCT p.order_id) as average_order_value
        FROM payments p
-       WHERE p.status = 'completed' AND DATE(p.paid_at) = ?`,
+       WHERE p.status IN ('completed', 'refunded') AND DATE(p.paid_at) = ?`,
       [targetDate]
     );
 
-    // Sales by payment method
+    const refunds = await getRefundTotal(targetDate, targetDate);
+
+    // Sales by payment method, less the refunds given back on that method that day
     const byMethod = await db.query(
       `SELECT 
          pm.name as payment_method,
-         COUNT(*) as transaction_count,
-         SUM(p.amount_due) as total_amount
-       FROM payments p
-       JOIN payment_methods pm ON p.payment_method_id = pm.id
-       WHERE p.status = 'completed' AND DATE(p.paid_at) = ?
+         SUM(m.transactions) as transaction_count,
+         SUM(m.sales) as sales_amount,
+         SUM(m.refunds) as refund_amount,
+         SUM(m.sales - m.refunds) as total_amount
+       FROM (
+         SELECT p.payment_method_id, 1 as transactions, p.amount_due as sales, 0 as refunds
+         FROM payments p
+         WHERE p.status IN ('completed', 'refunded') AND DATE(p.paid_at) = ?
+         UNION ALL
+         SELECT p.payment_method_id, 0, 0, r.amount
+         FROM payment_refunds r
+         JOIN payments p ON r.payment_id = p.id
+         WHERE r.type = 'refund' AND DATE(r.created_at) = ?
+       ) m
+       JOIN payment_methods pm ON m.payment_method_id = pm.id
        GROUP BY pm.id
        ORDER BY total_amount DESC`,
-      [targetDate]
+      [targetDate, targetDate]
     );
 
     // Sales by hour
     const byHour = await db.query(
       `SELECT 
          HOUR(p.paid_at) as hour,
-         COUNT(*) as order_count,
+         COUNT(DISTINCT p.order_id) as order_count,
          SUM(p.amount_due) as total_amount
        FROM payments p
-       WHERE p.status = 'completed' AND DATE(p.paid_at) = ?
+       WHERE p.status IN ('completed', 'refunded') AND DATE(p.paid_at) = ?
        GROUP BY HOUR(p.paid_at)
        ORDER BY hour`,
       [targetDate]
     );
 
     // Top servers
-    const topServers = await db.query(
-      `SELECT 
-         u.full_name as server_name,
-         COUNT(DISTINCT o.id) as order_count,
-         SUM(p.amount_due) as total_sales
-       FROM payments p
-       JOIN orders o ON p.order_id = o.id
-       JOIN users u ON o.server_id = u.id
-       WHERE p.status = 'completed' AND DATE(p.paid_at) = ?
-       GROUP BY o.server_id
-       ORDER BY total_sales DESC
-       LIMIT 10`,
-      [targetDate]
-    );
+    const topServers = (await getServerSales(targetDate, targetDate)).slice(0, 10);
 
     res.json({
       success: true,
@@ -501,6 +1104,11 @@ const getDailySummary = async (req, res, next) => {
         summary: {
           totalOrders: parseInt(summary.total_orders) || 0,
           grossSales: parseFloat(summary.gross_sales) || 0,
+          refundCount: refunds.count,
+          totalRefunds: refunds.amount,
+          netSales: roundMoney(
+            (parseFloat(summary.gross_sales) || 0) - refunds.amount
+          ),
           totalTips: parseFloat(summary.total_tips) || 0,
           averageOrderValue: parseFloat(summary.average_order_value) || 0,
         },
@@ -526,37 +1134,100 @@ const getSalesReport = async (req, res, next) => {
       throw ApiError.badRequest("Start date and end date are required");
     }
 
-    // Daily breakdown
+    // Daily breakdown: tenders by the day they were taken, refunds by the day they were given
     const dailyData = await db.query(
       `SELECT 
-         DATE(p.paid_at) as date,
-         COUNT(DISTINCT p.order_id) as order_count,
-         SUM(p.amount_due) as gross_sales,
-         SUM(p.tip_amount) as tips
-       FROM payments p
-       WHERE p.status = 'completed' 
-         AND DATE(p.paid_at) BETWEEN ? AND ?
-       GROUP BY DATE(p.paid_at)
-       ORDER BY date`,
-      [start_date, end_date]
+         d.date,
+         COUNT(DISTINCT d.order_id) as order_count,
+         SUM(d.sales) as gross_sales,
+         SUM(d.refunds) as refunds,
+         SUM(d.sales - d.refunds) as net_sales,
+         SUM(d.tips) as tips
+       FROM (
+         SELECT DATE(p.paid_at) as date, p.order_id, p.amount_due as sales, 0 as refunds, p.tip_amount as tips
+         FROM payments p
+         WHERE p.status IN ('completed', 'refunded') 
+           AND DATE(p.paid_at) BETWEEN ? AND ?
+         UNION ALL
+         SELECT DATE(r.created_at), NULL, 0, r.amount, 0
+         FROM payment_refunds r
+         WHERE r.type = 'refund' AND DATE(r.created_at) BETWEEN ? AND ?
+       ) d
+       GROUP BY d.date
+       ORDER BY d.date`,
+      [start_date, end_date, start_date, end_date]
     );
 
-    // Category breakdown
+    // Category breakdown (per paid order, so split tenders don't repeat items)
+    // Bundles count under their components' categories, each with its allocated share of the line
     const categoryData = await db.query(
       `SELECT 
-         c.name as category_name,
-         SUM(oi.quantity) as quantity_sold,
-         SUM(oi.subtotal) as total_sales
-       FROM payments p
-       JOIN orders o ON p.order_id = o.id
+         category_name,
+         SUM(quantity_sold) as quantity_sold,
+         SUM(total_sales) as total_sales
+       FROM (
+         SELECT c.id as category_id, c.name as category_name,
+                oi.quantity as quantity_sold,
+                oi.subtotal - oi.discount_amount as total_sales
+         FROM orders o
+         JOIN order_items oi ON o.id = oi.order_id
+         JOIN products pr ON oi.product_id = pr.id
+         JOIN categories c ON pr.category_id = c.id
+         WHERE o.status = 'paid' 
+           AND DATE(o.closed_at) BETWEEN ? AND ?
+           AND oi.status != 'cancelled'
+           AND NOT EXISTS (SELECT 1 FROM order_item_components ic WHERE ic.order_item_id = oi.id)
+         UNION ALL
+         SELECT c.id, c.name,
+                oi.quantity * ic.quantity,
+                (oi.subtotal - oi.discount_amount) * ic.allocated_amount / oi.unit_price
+         FROM orders o
+         JOIN order_items oi ON o.id = oi.order_id
+         JOIN order_item_components ic ON ic.order_item_id = oi.id
+         JOIN products pr ON ic.product_id = pr.id
+         JOIN categories c ON pr.category_id = c.id
+         WHERE o.status = 'paid' 
+           AND DATE(o.closed_at) BETWEEN ? AND ?
+           AND oi.status != 'cancelled'
+           AND oi.unit_price > 0
+       ) category_lines
+       GROUP BY category_id, category_name
+       ORDER BY total_sales DESC`,
+      [start_date, end_date, start_date, end_date]
+    );
+
+    // Tax breakdown by rate (taxable base excludes the tax itself)
+    const taxData = await db.query(
+      `SELECT 
+         oi.tax_rate,
+         COUNT(DISTINCT o.id) as order_count,
+         SUM(oi.subtotal - oi.discount_amount - IF(oi.tax_inclusive, oi.tax_amount, 0)) as taxable_amount,
+         SUM(oi.tax_amount) as tax_amount
+       FROM orders o
        JOIN order_items oi ON o.id = oi.order_id
-       JOIN products pr ON oi.product_id = pr.id
-       JOIN categories c ON pr.category_id = c.id
-       WHERE p.status = 'completed' 
-         AND DATE(p.paid_at) BETWEEN ? AND ?
+       WHERE o.status = 'paid' 
+         AND DATE(o.closed_at) BETWEEN ? AND ?
          AND oi.status != 'cancelled'
-       GROUP BY c.id
-       ORDER BY total_sales DESC`,
+       GROUP BY oi.tax_rate
+       ORDER BY oi.tax_rate`,
+      [start_date, end_date]
+    );
+
+    // Discounts by reason / promotion
+    const discountData = await db.query(
+      `SELECT 
+         d.reason_code,
+         COALESCE(pr.name, d.reason_code) as label,
+         COUNT(DISTINCT d.order_id) as order_count,
+         SUM(d.amount) as discount_amount
+       FROM orders o
+       JOIN order_discounts d ON d.order_id = o.id
+       LEFT JOIN promotions pr ON d.promotion_id = pr.id
+       WHERE o.status = 'paid' 
+         AND DATE(o.closed_at) BETWEEN ? AND ?
+         AND d.amount > 0
+       GROUP BY d.reason_code, d.promotion_id
+       ORDER BY discount_amount DESC`,
       [start_date, end_date]
     );
 
@@ -566,14 +1237,13 @@ const getSalesReport = async (req, res, next) => {
          pr.name as product_name,
          c.name as category_name,
          SUM(oi.quantity) as quantity_sold,
-         SUM(oi.subtotal) as total_sales
-       FROM payments p
-       JOIN orders o ON p.order_id = o.id
+         SUM(oi.subtotal - oi.discount_amount) as total_sales
+       FROM orders o
        JOIN order_items oi ON o.id = oi.order_id
        JOIN products pr ON oi.product_id = pr.id
        JOIN categories c ON pr.category_id = c.id
-       WHERE p.status = 'completed' 
-         AND DATE(p.paid_at) BETWEEN ? AND ?
+       WHERE o.status = 'paid' 
+         AND DATE(o.closed_at) BETWEEN ? AND ?
          AND oi.status != 'cancelled'
        GROUP BY pr.id
        ORDER BY total_sales DESC
@@ -581,49 +1251,105 @@ const getSalesReport = async (req, res, next) => {
       [start_date, end_date]
     );
 
+    // Variant sales (sizes, flavors) for products sold as variants
+    const variantData = await db.query(
+      `SELECT 
+         pr.name as product_name,
+         oi.variant_name,
+         SUM(oi.quantity) as quantity_sold,
+         SUM(oi.subtotal - oi.discount_amount) as total_sales
+       FROM orders o
+       JOIN order_items oi ON o.id = oi.order_id
+       JOIN products pr ON oi.product_id = pr.id
+       WHERE o.status = 'paid' 
+         AND DATE(o.closed_at) BETWEEN ? AND ?
+         AND oi.status != 'cancelled'
+         AND oi.variant_name IS NOT NULL
+       GROUP BY pr.id, oi.variant_name
+       ORDER BY pr.name, total_sales DESC
+       LIMIT 50`,
+      [start_date, end_date]
+    );
+
+    // Modifier mix (how often each option is chosen and what it adds)
+    const modifierData = await db.query(
+      `SELECT 
+         m.group_name,
+         m.name as modifier_name,
+         SUM(oi.quantity) as quantity_sold,
+         SUM(m.price_delta * oi.quantity) as total_sales
+       FROM orders o
+       JOIN order_items oi ON o.id = oi.order_id
+       JOIN order_item_modifiers m ON m.order_item_id = oi.id
+       WHERE o.status = 'paid' 
+         AND DATE(o.closed_at) BETWEEN ? AND ?
+         AND oi.status != 'cancelled'
+       GROUP BY m.group_name, m.name
+       ORDER BY quantity_sold DESC
+       LIMIT 30`,
+      [start_date, end_date]
+    );
+
     // Summary totals
     const [totals] = await db.query(
       `SELECT 
          COUNT(DISTINCT p.order_id) as total_orders,
-         SUM(p.amount_due) as total_sales,
+         SUM(p.amount_due) as gross_sales,
          SUM(p.tip_amount) as total_tips,
-         AVG(p.amount_due) as average_order_value
+         SUM(p.amount_due) / COUNT(DISTINCT p.order_id) as average_order_value
        FROM payments p
-       WHERE p.status = 'completed' 
+       WHERE p.status IN ('completed', 'refunded') 
          AND DATE(p.paid_at) BETWEEN ? AND ?`,
       [start_date, end_date]
     );
 
-    // Server totals (orders and revenue per server)
-    const serverTotals = await db.query(
-      `SELECT 
-         u.id as server_id,
-         u.full_name as server_name,
-         COUNT(DISTINCT o.id) as order_count,
-         SUM(p.amount_due) as total_sales
-       FROM payments p
-       JOIN orders o ON p.order_id = o.id
-       JOIN users u ON o.server_id = u.id
-       WHERE p.status = 'completed' 
-         AND DATE(p.paid_at) BETWEEN ? AND ?
-       GROUP BY o.server_id
-       ORDER BY total_sales DESC`,
+    // Refunds given in the period, whenever the sale was
+    const refunds = await getRefundTotal(start_date, end_date);
+
+    // Voided payments in the period (excluded from every total above)
+    const [voids] = await db.query(
+      `SELECT COUNT(*) as void_count, COALESCE(SUM(r.amount), 0) as void_amount
+       FROM payment_refunds r
+       WHERE r.type = 'void' AND DATE(r.created_at) BETWEEN ? AND ?`,
       [start_date, end_date]
     );
 
+    // Server totals (orders and revenue per server, split at handovers)
+    const serverTotals = await getServerSales(start_date, end_date);
+
     res.json({
       success: true,
       data: {
         period: { startDate: start_date, endDate: end_date },
         summary: {
           totalOrders: parseInt(totals.total_orders) || 0,
-          totalSales: parseFloat(totals.total_sales) || 0,
+          grossSales: parseFloat(totals.gross_sales) || 0,
+          refundCount: refunds.count,
+          totalRefunds: refunds.amount,
+          totalSales: roundMoney(
+            (parseFloat(totals.gross_sales) || 0) - refunds.amount
+          ),
+          voidCount: parseInt(voids.void_count) || 0,
+          voidAmount: parseFloat(voids.void_amount) || 0,
           totalTips: parseFloat(totals.total_tips) || 0,
+          totalDiscounts: roundMoney(
+            discountData.reduce(
+              (sum, row) => sum + parseFloat(row.discount_amount),
+              0
+            )
+          ),
+          totalTax: roundMoney(
+            taxData.reduce((sum, row) => sum + parseFloat(row.tax_amount), 0)
+          ),
           averageOrderValue: parseFloat(totals.average_order_value) || 0,
         },
         daily: dailyData,
         byCategory: categoryData,
+        byTaxRate: taxData,
+        byDiscount: discountData,
         topProducts,
+        byVariant: variantData,
+        byModifier: modifierData,
         serverTotals,
       },
     });
@@ -633,6 +1359,7 @@ const getSalesReport = async (req, res, next) => {
 };
 
 module.exports = {
+  totalServerSales,
   getPaymentMethods,
   createPaymentMethod,
   updatePaymentMethod,
@@ -640,6 +1367,8 @@ module.exports = {
   getPayments,
   getPaymentById,
   processPayment,
+  refundPayment,
+  voidPayment,
   getDailySummary,
   getSalesReport,
 };
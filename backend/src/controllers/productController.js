@@ -7,6 +7,12 @@ const db = require('../config/database');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { logAudit } = require('./authController');
+const { attachModifierGroups } = require('./modifierController');
+const { attachBundleSlots, saveBundleSlots } = require('./bundleController');
+const { attachRecipes, saveRecipe } = require('./ingredientController');
+const { recordStockMovement, setStockLevel } = require('./stockController');
+const { refreshAvailability, refreshBundleAvailability } = require('./stockAlertController');
+const eventBus = require('../utils/eventBus');
 
 // =====================
 // CATEGORY OPERATIONS
@@ -85,12 +91,15 @@ const getCategoryById = async (req, res, next) => {
  */
 const createCategory = async (req, res, next) => {
   try {
-    const { name, description, display_order, color, icon, image_url } = req.body;
+    const { name, description, display_order, color, icon, image_url, tax_rate_id } = req.body;
     
     const result = await db.query(
-      `INSERT INTO categories (name, description, display_order, color, icon, image_url)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [name, description || null, display_order || 0, color || '#3B82F6', icon || null, image_url || null]
+      `INSERT INTO categories (name, description, display_order, color, icon, image_url, tax_rate_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name, description || null, display_order || 0, color || '#3B82F6',
+        icon || null, image_url || null, tax_rate_id || null
+      ]
     );
     
     const categoryId = result.insertId;
@@ -118,7 +127,7 @@ const createCategory = async (req, res, next) => {
 const updateCategory = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, display_order, color, icon, image_url, is_active } = req.body;
+    const { name, description, display_order, color, icon, image_url, tax_rate_id, is_active } = req.body;
     
     const [existing] = await db.query('SELECT * FROM categories WHERE id = ?', [id]);
     
@@ -135,6 +144,7 @@ const updateCategory = async (req, res, next) => {
     if (color !== undefined) { updates.push('color = ?'); values.push(color); }
     if (icon !== undefined) { updates.push('icon = ?'); values.push(icon); }
     if (image_url !== undefined) { updates.push('image_url = ?'); values.push(image_url || null); }
+    if (tax_rate_id !== undefined) { updates.push('tax_rate_id = ?'); values.push(tax_rate_id || null); }
     if (is_active !== undefined) { updates.push('is_active = ?'); values.push(is_active); }
     
     if (updates.length === 0) {
@@ -197,6 +207,90 @@ const deleteCategory = async (req, res, next) => {
 // PRODUCT OPERATIONS
 // =====================
 
+/**
+ * Attach each product's variants (sizes, flavors) as product.variants
+ * @param {Array} products - Product rows (id)
+ * @param {boolean} includeInactive - Include inactive variants (admin)
+ */
+const attachVariants = async (products, includeInactive = false) => {
+  if (products.length === 0) return products;
+  
+  const variants = await db.query(
+    `SELECT * FROM product_variants
+     WHERE product_id IN (${products.map(() => '?').join(', ')})
+       ${includeInactive ? '' : 'AND is_active = TRUE'}
+     ORDER BY display_order, id`,
+    products.map(product => product.id)
+  );
+  
+  for (const product of products) {
+    product.variants = variants.filter(variant => variant.product_id === product.id);
+  }
+  
+  return products;
+};
+
+/**
+ * Save a product's variants: update listed ids, insert new rows, deactivate the ones left out
+ * (deactivated rather than deleted so rung-up items keep their link).
+ * Stock entered here is recorded in the stock ledger.
+ */
+const saveVariants = async (connection, productId, variants, userId) => {
+  const [existing] = await connection.execute(
+    'SELECT id FROM product_variants WHERE product_id = ?',
+    [productId]
+  );
+  const keep = new Set();
+  
+  for (const [index, variant] of variants.entries()) {
+    const values = [
+      variant.name,
+      variant.sku || null,
+      variant.price,
+      variant.cost_price || 0,
+      variant.display_order ?? index,
+      variant.is_active !== false
+    ];
+    const hasStock = variant.stock_quantity !== undefined && variant.stock_quantity !== null;
+    
+    if (variant.id && existing.some(row => row.id === variant.id)) {
+      await connection.execute(
+        `UPDATE product_variants
+         SET name = ?, sku = ?, price = ?, cost_price = ?, display_order = ?, is_active = ?
+         WHERE id = ?`,
+        [...values, variant.id]
+      );
+      keep.add(variant.id);
+      
+      if (hasStock) {
+        await setStockLevel(connection, {
+          product_id: productId, variant_id: variant.id, type: 'count', user_id: userId
+        }, variant.stock_quantity);
+      }
+    } else {
+      const [result] = await connection.execute(
+        `INSERT INTO product_variants
+         (name, sku, price, cost_price, display_order, is_active, product_id, stock_quantity)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...values, productId, hasStock ? 0 : null]
+      );
+      
+      if (hasStock) {
+        await recordStockMovement(connection, {
+          product_id: productId, variant_id: result.insertId, type: 'adjustment',
+          quantity: variant.stock_quantity, user_id: userId, reason: 'Opening stock'
+        });
+      }
+    }
+  }
+  
+  for (const row of existing) {
+    if (!keep.has(row.id)) {
+      await connection.execute('UPDATE product_variants SET is_active = FALSE WHERE id = ?', [row.id]);
+    }
+  }
+};
+
 /**
  * Get all products
  * GET /api/products
@@ -237,6 +331,10 @@ const getProducts = async (req, res, next) => {
     
     const products = await db.query(query, params);
     
+    await attachVariants(products, true);
+    await attachBundleSlots(products);
+    await attachRecipes(products);
+    
     res.json({
       success: true,
       data: products
@@ -268,6 +366,12 @@ const getProductsByCategory = async (req, res, next) => {
       category.products = products;
     }
     
+    // Variants, bundle slots and modifier groups the POS asks for when the product is added
+    const products = categories.flatMap(category => category.products);
+    await attachVariants(products);
+    await attachBundleSlots(products);
+    await attachModifierGroups(products);
+    
     res.json({
       success: true,
       data: categories
@@ -297,6 +401,11 @@ const getProductById = async (req, res, next) => {
       throw ApiError.notFound('Product not found');
     }
     
+    await attachVariants([product], true);
+    await attachBundleSlots([product]);
+    await attachRecipes([product]);
+    await attachModifierGroups([product]);
+    
     res.json({
       success: true,
       data: product
@@ -314,7 +423,8 @@ const createProduct = async (req, res, next) => {
   try {
     const {
       name, description, category_id, price, cost_price,
-      sku, stock_quantity, track_stock, min_stock_alert, image_url, variable_price
+      sku, stock_quantity, track_stock, min_stock_alert, image_url, variable_price, tax_rate_id,
+      is_bundle, variants = [], bundle_slots = [], recipe = []
     } = req.body;
     
     // Verify category exists
@@ -324,21 +434,42 @@ const createProduct = async (req, res, next) => {
       throw ApiError.badRequest('Invalid category ID');
     }
     
-    const result = await db.query(
-      `INSERT INTO products (
-        name, description, category_id, price, cost_price,
-        sku, stock_quantity, track_stock, min_stock_alert, image_url, variable_price
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        name, description || null, category_id, price, cost_price || 0,
-        sku || null, stock_quantity || null, track_stock || false,
-        min_stock_alert || 10, image_url || null, variable_price ? true : false
-      ]
-    );
-    
-    const productId = result.insertId;
+    const productId = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT INTO products (
+          name, description, category_id, price, cost_price,
+          sku, stock_quantity, track_stock, min_stock_alert, image_url, variable_price, tax_rate_id, is_bundle
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name, description || null, category_id, price, cost_price || 0,
+          sku || null, null, track_stock || false,
+          min_stock_alert || 10, image_url || null, variable_price ? true : false,
+          tax_rate_id || null, is_bundle ? true : false
+        ]
+      );
+      
+      // Opening stock goes through the ledger like any other
+      if (stock_quantity) {
+        await recordStockMovement(connection, {
+          product_id: result.insertId, type: 'adjustment', quantity: stock_quantity,
+          user_id: req.user.id, reason: 'Opening stock'
+        });
+      }
+      
+      await saveVariants(connection, result.insertId, variants, req.user.id);
+      
+      if (is_bundle) {
+        await saveBundleSlots(connection, result.insertId, bundle_slots);
+      }
+      
+      await saveRecipe(connection, result.insertId, recipe);
+      
+      return result.insertId;
+    });
     
-    await logAudit(req.user.id, 'PRODUCT_CREATED', 'product', productId, null, { name, price });
+    await logAudit(req.user.id, 'PRODUCT_CREATED', 'product', productId, null, {
+      name, price, variants, bundle_slots: is_bundle ? bundle_slots : undefined, recipe
+    });
     
     logger.info(`Product "${name}" created by ${req.user.username}`);
     
@@ -350,6 +481,10 @@ const createProduct = async (req, res, next) => {
       [productId]
     );
     
+    await attachVariants([product], true);
+    await attachBundleSlots([product]);
+    await attachRecipes([product]);
+    
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -378,8 +513,8 @@ const updateProduct = async (req, res, next) => {
     // Build dynamic update query
     const allowedFields = [
       'name', 'description', 'category_id', 'price', 'cost_price',
-      'sku', 'stock_quantity', 'track_stock', 'min_stock_alert',
-      'image_url', 'is_available', 'variable_price', 'is_active'
+      'sku', 'track_stock', 'min_stock_alert',
+      'image_url', 'is_available', 'variable_price', 'is_bundle', 'tax_rate_id', 'is_active'
     ];
     
     const updateClauses = [];
@@ -392,19 +527,60 @@ const updateProduct = async (req, res, next) => {
       }
     }
     
-    if (updateClauses.length === 0) {
+    // Switching availability by hand overrides the automatic 86 (restocking won't switch it back)
+    const availabilityChanged = updates.is_available !== undefined && !!updates.is_available !== !!existing.is_available;
+    if (availabilityChanged) {
+      updateClauses.push('auto_unavailable = FALSE');
+    }
+    
+    // Stock is not a plain column update: an entered level is recorded in the ledger as a count
+    const hasStock = updates.stock_quantity !== undefined && updates.stock_quantity !== null;
+    
+    if (updateClauses.length === 0 && !hasStock && !updates.variants && !updates.bundle_slots && !updates.recipe) {
       throw ApiError.badRequest('No valid fields to update');
     }
     
     values.push(id);
     
-    await db.query(
-      `UPDATE products SET ${updateClauses.join(', ')} WHERE id = ?`,
-      values
-    );
+    await db.transaction(async (connection) => {
+      if (updateClauses.length > 0) {
+        await connection.execute(
+          `UPDATE products SET ${updateClauses.join(', ')} WHERE id = ?`,
+          values
+        );
+      }
+      
+      if (hasStock) {
+        await setStockLevel(connection, {
+          product_id: parseInt(id), type: 'count', user_id: req.user.id
+        }, updates.stock_quantity);
+      }
+      
+      if (updates.variants) {
+        await saveVariants(connection, parseInt(id), updates.variants, req.user.id);
+      }
+      
+      const isBundle = updates.is_bundle !== undefined ? updates.is_bundle : existing.is_bundle;
+      if (isBundle && (updates.bundle_slots || updates.is_bundle)) {
+        await saveBundleSlots(connection, parseInt(id), updates.bundle_slots || []);
+      }
+      
+      if (updates.recipe) {
+        await saveRecipe(connection, parseInt(id), updates.recipe);
+      }
+      
+      // Stock tracking, variants or recipe may have changed whether the product can be sold
+      if (!availabilityChanged) {
+        await refreshAvailability(connection, [parseInt(id)]);
+      } else if (!isBundle) {
+        await refreshBundleAvailability(connection, [parseInt(id)]);
+      }
+    });
     
     await logAudit(req.user.id, 'PRODUCT_UPDATED', 'product', id, existing, updates);
     
+    eventBus.publish('product.updated', { product_id: parseInt(id) });
+    
     logger.info(`Product "${existing.name}" updated by ${req.user.username}`);
     
     const [product] = await db.query(
@@ -415,6 +591,10 @@ const updateProduct = async (req, res, next) => {
       [id]
     );
     
+    await attachVariants([product], true);
+    await attachBundleSlots([product]);
+    await attachRecipes([product]);
+    
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -440,16 +620,25 @@ const toggleProductAvailability = async (req, res, next) => {
       throw ApiError.notFound('Product not found');
     }
     
-    await db.query(
-      'UPDATE products SET is_available = ? WHERE id = ?',
-      [is_available, id]
-    );
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        'UPDATE products SET is_available = ?, auto_unavailable = FALSE WHERE id = ?',
+        [is_available, id]
+      );
+
+      // Bundles built on this product follow it (a bundle switched by hand stays as set)
+      if (!product.is_bundle) {
+        await refreshBundleAvailability(connection, [parseInt(id)]);
+      }
+    });
     
     await logAudit(req.user.id, 'PRODUCT_AVAILABILITY_CHANGED', 'product', id, 
       { is_available: product.is_available }, 
       { is_available }
     );
     
+    eventBus.publish('product.availability', { product_id: parseInt(id), is_available: !!is_available });
+    
     res.json({
       success: true,
       message: `Product ${is_available ? 'enabled' : 'disabled'} successfully`
@@ -460,52 +649,81 @@ const toggleProductAvailability = async (req, res, next) => {
 };
 
 /**
- * Update product stock
+ * Update product stock (or one variant's stock when variant_id is given).
+ * Recorded in the stock ledger: an adjustment, or a count when an absolute level is set.
  * PATCH /api/products/:id/stock
  */
 const updateProductStock = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { stock_quantity, adjustment, reason } = req.body;
+    const { stock_quantity, adjustment, reason, variant_id } = req.body;
     
-    const [product] = await db.query('SELECT * FROM products WHERE id = ?', [id]);
-    
-    if (!product) {
-      throw ApiError.notFound('Product not found');
-    }
-    
-    let newStock;
-    
-    if (adjustment !== undefined) {
-      // Adjust relative to current stock
-      newStock = (product.stock_quantity || 0) + adjustment;
-    } else if (stock_quantity !== undefined) {
-      // Set absolute stock
-      newStock = stock_quantity;
-    } else {
-      throw ApiError.badRequest('Either stock_quantity or adjustment is required');
-    }
-    
-    if (newStock < 0) {
-      throw ApiError.badRequest('Stock cannot be negative');
-    }
+    const result = await db.transaction(async (connection) => {
+      const [[product]] = await connection.execute(
+        'SELECT * FROM products WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      
+      if (!product) {
+        throw ApiError.notFound('Product not found');
+      }
+      
+      let variant = null;
+      
+      if (variant_id) {
+        [[variant]] = await connection.execute(
+          'SELECT * FROM product_variants WHERE id = ? AND product_id = ? FOR UPDATE',
+          [variant_id, id]
+        );
+        
+        if (!variant) {
+          throw ApiError.notFound('Variant not found');
+        }
+      }
+      
+      const previousStock = (variant || product).stock_quantity;
+      let newStock;
+      
+      if (adjustment !== undefined) {
+        // Adjust relative to current stock
+        newStock = (previousStock || 0) + adjustment;
+      } else if (stock_quantity !== undefined) {
+        // Set absolute stock
+        newStock = stock_quantity;
+      } else {
+        throw ApiError.badRequest('Either stock_quantity or adjustment is required');
+      }
+      
+      if (newStock < 0) {
+        throw ApiError.badRequest('Stock cannot be negative');
+      }
+      
+      await recordStockMovement(connection, {
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        type: adjustment !== undefined ? 'adjustment' : 'count',
+        quantity: newStock - (previousStock || 0),
+        user_id: req.user.id,
+        reason
+      });
+      
+      return { product, variant, previousStock, newStock };
+    });
     
-    await db.query(
-      'UPDATE products SET stock_quantity = ? WHERE id = ?',
-      [newStock, id]
-    );
+    const { product, variant, previousStock, newStock } = result;
     
     await logAudit(req.user.id, 'PRODUCT_STOCK_UPDATED', 'product', id,
-      { stock_quantity: product.stock_quantity },
-      { stock_quantity: newStock, reason }
+      { stock_quantity: previousStock, variant_id: variant ? variant.id : null },
+      { stock_quantity: newStock, variant_id: variant ? variant.id : null, reason }
     );
     
-    logger.info(`Stock updated for "${product.name}": ${product.stock_quantity} -> ${newStock} by ${req.user.username}`);
+    const label = variant ? `${product.name} (${variant.name})` : product.name;
+    logger.info(`Stock updated for "${label}": ${previousStock} -> ${newStock} by ${req.user.username}`);
     
     res.json({
       success: true,
       message: 'Stock updated successfully',
-      data: { previousStock: product.stock_quantity, newStock }
+      data: { previousStock, newStock }
     });
   } catch (error) {
     next(error);
@@ -542,21 +760,39 @@ const deleteProduct = async (req, res, next) => {
 };
 
 /**
- * Get low stock products
+ * Get low stock products. Products with variants are listed per variant (variant_id, variant_name).
  * GET /api/products/low-stock
  */
 const getLowStockProducts = async (req, res, next) => {
   try {
     const products = await db.query(
-      `SELECT p.*, c.name as category_name
+      `SELECT p.*, c.name as category_name, NULL as variant_id, NULL as variant_name
        FROM products p
        JOIN categories c ON p.category_id = c.id
        WHERE p.track_stock = TRUE 
          AND p.is_active = TRUE
          AND p.stock_quantity <= p.min_stock_alert
+         AND NOT EXISTS (
+           SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = TRUE
+         )
        ORDER BY p.stock_quantity ASC`
     );
     
+    const variants = await db.query(
+      `SELECT p.*, c.name as category_name, pv.stock_quantity,
+              pv.id as variant_id, pv.name as variant_name
+       FROM product_variants pv
+       JOIN products p ON pv.product_id = p.id
+       JOIN categories c ON p.category_id = c.id
+       WHERE p.track_stock = TRUE
+         AND p.is_active = TRUE
+         AND pv.is_active = TRUE
+         AND pv.stock_quantity <= p.min_stock_alert`
+    );
+    
+    products.push(...variants);
+    products.sort((a, b) => (a.stock_quantity || 0) - (b.stock_quantity || 0));
+    
     res.json({
       success: true,
       data: products
@@ -0,0 +1,797 @@
+/**
+ * Purchase Controller
+ * Suppliers, purchase orders and goods receipts. Receiving a delivery adds stock through the
+ * stock ledger and updates the item's cost.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { recordStockMovement } = require('./stockController');
+
+// Purchase orders still waiting for (part of) their delivery
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Generate unique purchase order number
+ */
+const generatePoNumber = () => {
+  const date = new Date();
+  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `PO-${dateStr}-${random}`;
+};
+
+// =====================
+// SUPPLIER OPERATIONS
+// =====================
+
+/**
+ * Get all suppliers with their open purchase order count
+ * GET /api/suppliers
+ */
+const getSuppliers = async (req, res, next) => {
+  try {
+    const { include_inactive } = req.query;
+
+    let query = `
+      SELECT s.*,
+             (SELECT COUNT(*) FROM purchase_orders po
+              WHERE po.supplier_id = s.id AND po.status IN ('ordered', 'partially_received')) as open_order_count
+      FROM suppliers s
+    `;
+
+    if (!include_inactive) {
+      query += ' WHERE s.is_active = TRUE';
+    }
+
+    query += ' ORDER BY s.name';
+
+    const suppliers = await db.query(query);
+
+    res.json({
+      success: true,
+      data: suppliers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create supplier
+ * POST /api/suppliers
+ */
+const createSupplier = async (req, res, next) => {
+  try {
+    const { name, contact_name, phone, email, address, notes } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO suppliers (name, contact_name, phone, email, address, notes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, contact_name || null, phone || null, email || null, address || null, notes || null]
+    );
+
+    await logAudit(req.user.id, 'SUPPLIER_CREATED', 'supplier', result.insertId, null, req.body);
+
+    logger.info(`Supplier "${name}" created by ${req.user.username}`);
+
+    const [supplier] = await db.query('SELECT * FROM suppliers WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update supplier
+ * PUT /api/suppliers/:id
+ */
+const updateSupplier = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const [existing] = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    if (!existing) {
+      throw ApiError.notFound('Supplier not found');
+    }
+
+    const allowedFields = ['name', 'contact_name', 'phone', 'email', 'address', 'notes', 'is_active'];
+    const updateClauses = [];
+    const values = [];
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        updateClauses.push(`${field} = ?`);
+        values.push(updates[field]);
+      }
+    }
+
+    if (updateClauses.length === 0) {
+      throw ApiError.badRequest('No valid fields to update');
+    }
+
+    values.push(id);
+
+    await db.query(`UPDATE suppliers SET ${updateClauses.join(', ')} WHERE id = ?`, values);
+
+    await logAudit(req.user.id, 'SUPPLIER_UPDATED', 'supplier', id, existing, updates);
+
+    logger.info(`Supplier "${existing.name}" updated by ${req.user.username}`);
+
+    const [supplier] = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete supplier (soft delete; its purchase orders are kept)
+ * DELETE /api/suppliers/:id
+ */
+const deleteSupplier = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [supplier] = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    if (!supplier) {
+      throw ApiError.notFound('Supplier not found');
+    }
+
+    await db.query('UPDATE suppliers SET is_active = FALSE WHERE id = ?', [id]);
+
+    await logAudit(req.user.id, 'SUPPLIER_DELETED', 'supplier', id, supplier, null);
+
+    logger.info(`Supplier "${supplier.name}" deactivated by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =====================
+// PURCHASE ORDER OPERATIONS
+// =====================
+
+/**
+ * Check purchase order lines and name them: each is an ingredient, or a product that is not a bundle
+ * (one of its variants when it has any)
+ * @param {Array} lines - [{ product_id, variant_id, ingredient_id, quantity, unit_cost }]
+ * @returns {Promise<Array>} Rows to store: { product_id, variant_id, ingredient_id, description, quantity_ordered, unit_cost }
+ */
+const resolveLines = async (connection, lines = []) => {
+  if (lines.length === 0) {
+    throw ApiError.badRequest('A purchase order needs at least one line');
+  }
+
+  const resolved = [];
+
+  for (const line of lines) {
+    if (!line.product_id === !line.ingredient_id) {
+      throw ApiError.badRequest('Each line needs either a product or an ingredient');
+    }
+
+    let description;
+    let variant = null;
+
+    if (line.ingredient_id) {
+      const [[ingredient]] = await connection.execute(
+        'SELECT name FROM ingredients WHERE id = ? AND is_active = TRUE',
+        [line.ingredient_id]
+      );
+      if (!ingredient) {
+        throw ApiError.badRequest('Ingredient not found');
+      }
+      description = ingredient.name;
+    } else {
+      const [[product]] = await connection.execute(
+        'SELECT id, name, is_bundle FROM products WHERE id = ? AND is_active = TRUE',
+        [line.product_id]
+      );
+      if (!product || product.is_bundle) {
+        throw ApiError.badRequest('Product not found (bundles are bought as their components)');
+      }
+
+      const [variants] = await connection.execute(
+        'SELECT id, name FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+        [product.id]
+      );
+      if (variants.length > 0) {
+        variant = variants.find(v => v.id === parseInt(line.variant_id));
+        if (!variant) {
+          throw ApiError.badRequest(`Choose a variant of ${product.name}`);
+        }
+      }
+      description = variant ? `${product.name} (${variant.name})` : product.name;
+    }
+
+    resolved.push({
+      product_id: line.ingredient_id ? null : parseInt(line.product_id),
+      variant_id: variant ? variant.id : null,
+      ingredient_id: line.ingredient_id ? parseInt(line.ingredient_id) : null,
+      description,
+      quantity_ordered: roundQuantity(parseFloat(line.quantity)),
+      unit_cost: parseFloat(line.unit_cost) || 0
+    });
+  }
+
+  return resolved;
+};
+
+/**
+ * Replace a draft purchase order's lines and its total
+ */
+const saveLines = async (connection, purchaseOrderId, lines) => {
+  await connection.execute('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [purchaseOrderId]);
+
+  for (const line of lines) {
+    await connection.execute(
+      `INSERT INTO purchase_order_lines
+       (purchase_order_id, product_id, variant_id, ingredient_id, description, quantity_ordered, unit_cost)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        purchaseOrderId, line.product_id, line.variant_id, line.ingredient_id,
+        line.description, line.quantity_ordered, line.unit_cost
+      ]
+    );
+  }
+
+  const total = lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+  await connection.execute(
+    'UPDATE purchase_orders SET total_amount = ? WHERE id = ?',
+    [roundMoney(total), purchaseOrderId]
+  );
+};
+
+/**
+ * Load a purchase order with its supplier, lines and receipts
+ * @param {Object} connection - Connection or pool with execute()
+ */
+const loadPurchaseOrder = async (connection, id) => {
+  const [[purchaseOrder]] = await connection.execute(
+    `SELECT po.*, s.name as supplier_name, u.full_name as created_by_name
+     FROM purchase_orders po
+     JOIN suppliers s ON po.supplier_id = s.id
+     LEFT JOIN users u ON po.created_by_user_id = u.id
+     WHERE po.id = ?`,
+    [id]
+  );
+
+  if (!purchaseOrder) return null;
+
+  const [lines] = await connection.execute(
+    `SELECT pol.*, i.unit
+     FROM purchase_order_lines pol
+     LEFT JOIN ingredients i ON pol.ingredient_id = i.id
+     WHERE pol.purchase_order_id = ?
+     ORDER BY pol.id`,
+    [id]
+  );
+
+  const [receipts] = await connection.execute(
+    `SELECT gr.*, u.full_name as received_by_name
+     FROM goods_receipts gr
+     LEFT JOIN users u ON gr.received_by_user_id = u.id
+     WHERE gr.purchase_order_id = ?
+     ORDER BY gr.received_at, gr.id`,
+    [id]
+  );
+
+  const [receiptLines] = await connection.execute(
+    `SELECT grl.*, pol.description
+     FROM goods_receipt_lines grl
+     JOIN goods_receipts gr ON grl.goods_receipt_id = gr.id
+     JOIN purchase_order_lines pol ON grl.purchase_order_line_id = pol.id
+     WHERE gr.purchase_order_id = ?
+     ORDER BY grl.id`,
+    [id]
+  );
+
+  for (const receipt of receipts) {
+    receipt.lines = receiptLines.filter(line => line.goods_receipt_id === receipt.id);
+  }
+
+  return { ...purchaseOrder, lines, receipts };
+};
+
+/**
+ * Get purchase orders (query: status, supplier_id)
+ * GET /api/purchase-orders
+ */
+const getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { status, supplier_id } = req.query;
+
+    let query = `
+      SELECT po.*, s.name as supplier_name, u.full_name as created_by_name,
+             (SELECT COUNT(*) FROM purchase_order_lines pol WHERE pol.purchase_order_id = po.id) as line_count,
+             (SELECT COALESCE(SUM(grl.quantity * grl.unit_cost), 0)
+              FROM goods_receipt_lines grl
+              JOIN goods_receipts gr ON grl.goods_receipt_id = gr.id
+              WHERE gr.purchase_order_id = po.id) as received_amount
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      LEFT JOIN users u ON po.created_by_user_id = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND po.status = ?';
+      params.push(status);
+    }
+
+    if (supplier_id) {
+      query += ' AND po.supplier_id = ?';
+      params.push(supplier_id);
+    }
+
+    query += ' ORDER BY po.created_at DESC, po.id DESC';
+
+    const purchaseOrders = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: purchaseOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get purchase order with lines and receipts
+ * GET /api/purchase-orders/:id
+ */
+const getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const purchaseOrder = await loadPurchaseOrder(db.pool, req.params.id);
+
+    if (!purchaseOrder) {
+      throw ApiError.notFound('Purchase order not found');
+    }
+
+    res.json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Outstanding deliveries: lines of ordered purchase orders not yet fully received, soonest expected first
+ * GET /api/purchase-orders/outstanding
+ */
+const getOutstandingDeliveries = async (req, res, next) => {
+  try {
+    const lines = await db.query(
+      `SELECT pol.*, pol.quantity_ordered - pol.quantity_received as quantity_outstanding,
+              i.unit, po.po_number, po.status, po.expected_date, po.ordered_at,
+              s.id as supplier_id, s.name as supplier_name, s.phone as supplier_phone,
+              (po.expected_date IS NOT NULL AND po.expected_date < CURDATE()) as is_overdue
+       FROM purchase_order_lines pol
+       JOIN purchase_orders po ON pol.purchase_order_id = po.id
+       JOIN suppliers s ON po.supplier_id = s.id
+       LEFT JOIN ingredients i ON pol.ingredient_id = i.id
+       WHERE po.status IN ('ordered', 'partially_received')
+         AND pol.quantity_received < pol.quantity_ordered
+       ORDER BY po.expected_date IS NULL, po.expected_date, po.id, pol.id`
+    );
+
+    res.json({
+      success: true,
+      data: lines
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create purchase order (draft, or ordered straight away with submit: true)
+ * POST /api/purchase-orders
+ */
+const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier_id, expected_date, notes, lines, submit } = req.body;
+
+    const purchaseOrderId = await db.transaction(async (connection) => {
+      const [[supplier]] = await connection.execute(
+        'SELECT id FROM suppliers WHERE id = ? AND is_active = TRUE',
+        [supplier_id]
+      );
+
+      if (!supplier) {
+        throw ApiError.badRequest('Invalid supplier ID');
+      }
+
+      const resolved = await resolveLines(connection, lines);
+
+      const [result] = await connection.execute(
+        `INSERT INTO purchase_orders (po_number, supplier_id, status, expected_date, notes, created_by_user_id, ordered_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          generatePoNumber(), supplier_id, submit ? 'ordered' : 'draft',
+          expected_date || null, notes || null, req.user.id, submit ? new Date() : null
+        ]
+      );
+
+      await saveLines(connection, result.insertId, resolved);
+
+      return result.insertId;
+    });
+
+    const purchaseOrder = await loadPurchaseOrder(db.pool, purchaseOrderId);
+
+    await logAudit(req.user.id, 'PURCHASE_ORDER_CREATED', 'purchase_order', purchaseOrderId, null, {
+      po_number: purchaseOrder.po_number,
+      supplier_id,
+      status: purchaseOrder.status,
+      total_amount: purchaseOrder.total_amount
+    });
+
+    logger.info(`Purchase order ${purchaseOrder.po_number} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a draft purchase order (lines, when sent, replace the existing ones)
+ * PUT /api/purchase-orders/:id
+ */
+const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { supplier_id, expected_date, notes, lines } = req.body;
+
+    const existing = await db.transaction(async (connection) => {
+      const [[purchaseOrder]] = await connection.execute(
+        'SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!purchaseOrder) {
+        throw ApiError.notFound('Purchase order not found');
+      }
+
+      if (purchaseOrder.status !== 'draft') {
+        throw ApiError.badRequest('Only draft purchase orders can be edited');
+      }
+
+      if (supplier_id !== undefined) {
+        const [[supplier]] = await connection.execute(
+          'SELECT id FROM suppliers WHERE id = ? AND is_active = TRUE',
+          [supplier_id]
+        );
+        if (!supplier) {
+          throw ApiError.badRequest('Invalid supplier ID');
+        }
+      }
+
+      await connection.execute(
+        'UPDATE purchase_orders SET supplier_id = ?, expected_date = ?, notes = ? WHERE id = ?',
+        [
+          supplier_id ?? purchaseOrder.supplier_id,
+          expected_date !== undefined ? expected_date || null : purchaseOrder.expected_date,
+          notes !== undefined ? notes || null : purchaseOrder.notes,
+          id
+        ]
+      );
+
+      if (lines) {
+        await saveLines(connection, id, await resolveLines(connection, lines));
+      }
+
+      return purchaseOrder;
+    });
+
+    const purchaseOrder = await loadPurchaseOrder(db.pool, id);
+
+    await logAudit(req.user.id, 'PURCHASE_ORDER_UPDATED', 'purchase_order', id, existing, req.body);
+
+    logger.info(`Purchase order ${existing.po_number} updated by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a draft purchase order to the supplier
+ * POST /api/purchase-orders/:id/submit
+ */
+const submitPurchaseOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [purchaseOrder] = await db.query('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+    if (!purchaseOrder) {
+      throw ApiError.notFound('Purchase order not found');
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      throw ApiError.badRequest('Purchase order has already been sent');
+    }
+
+    await db.query(
+      `UPDATE purchase_orders SET status = 'ordered', ordered_at = NOW() WHERE id = ?`,
+      [id]
+    );
+
+    await logAudit(req.user.id, 'PURCHASE_ORDER_SUBMITTED', 'purchase_order', id,
+      { status: 'draft' }, { status: 'ordered' }
+    );
+
+    logger.info(`Purchase order ${purchaseOrder.po_number} sent by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Purchase order sent',
+      data: await loadPurchaseOrder(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cost of an item after a delivery: the receipt's unit cost ('last'), or the average of stock on hand
+ * at its old cost and the received quantity at the new one ('average'). Stock below zero counts as none.
+ * @returns {number} Unrounded cost
+ */
+const costAfterReceipt = ({ onHand, cost }, quantity, unitCost, costMethod) => {
+  const stock = Math.max(onHand, 0);
+  return costMethod === 'last' || stock === 0
+    ? unitCost
+    : (stock * cost + quantity * unitCost) / (stock + quantity);
+};
+
+/**
+ * Update an item's cost for received goods (see costAfterReceipt)
+ */
+const updateCost = async (connection, line, quantity, unitCost, costMethod) => {
+  const [table, column, round] = line.ingredient_id
+    ? ['ingredients', 'cost_per_unit', (value) => Math.round(value * 10000) / 10000]
+    : line.variant_id
+      ? ['product_variants', 'cost_price', roundMoney]
+      : ['products', 'cost_price', roundMoney];
+  const id = line.ingredient_id || line.variant_id || line.product_id;
+
+  const [[item]] = await connection.execute(
+    `SELECT stock_quantity, ${column} as cost FROM ${table} WHERE id = ? FOR UPDATE`,
+    [id]
+  );
+
+  const newCost = costAfterReceipt(
+    { onHand: parseFloat(item.stock_quantity) || 0, cost: parseFloat(item.cost) || 0 },
+    quantity, unitCost, costMethod
+  );
+
+  await connection.execute(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [round(newCost), id]);
+};
+
+/**
+ * Status of a purchase order once a delivery is booked: received when every line is in full
+ * @param {Array} orderLines - Lines with quantity_ordered and quantity_received
+ */
+const receiptStatus = (orderLines) =>
+  orderLines.every(line => parseFloat(line.quantity_received) >= parseFloat(line.quantity_ordered))
+    ? 'received'
+    : 'partially_received';
+
+/**
+ * Receive goods against a purchase order, in full or in part
+ * POST /api/purchase-orders/:id/receive
+ */
+const receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { lines = [], notes, cost_method = 'average' } = req.body;
+
+    const result = await db.transaction(async (connection) => {
+      const [[purchaseOrder]] = await connection.execute(
+        `SELECT po.*, s.name as supplier_name
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         WHERE po.id = ? FOR UPDATE`,
+        [id]
+      );
+
+      if (!purchaseOrder) {
+        throw ApiError.notFound('Purchase order not found');
+      }
+
+      if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+        throw ApiError.badRequest(
+          purchaseOrder.status === 'draft'
+            ? 'Send the purchase order before receiving goods'
+            : `Purchase order is ${purchaseOrder.status}`
+        );
+      }
+
+      const [orderLines] = await connection.execute(
+        'SELECT * FROM purchase_order_lines WHERE purchase_order_id = ? FOR UPDATE',
+        [id]
+      );
+
+      const received = lines.filter(line => parseFloat(line.quantity) > 0);
+
+      if (received.length === 0) {
+        throw ApiError.badRequest('Enter the quantity received for at least one line');
+      }
+
+      const [receipt] = await connection.execute(
+        'INSERT INTO goods_receipts (purchase_order_id, received_by_user_id, notes) VALUES (?, ?, ?)',
+        [id, req.user.id, notes || null]
+      );
+
+      for (const entry of received) {
+        const line = orderLines.find(l => l.id === parseInt(entry.line_id));
+
+        if (!line) {
+          throw ApiError.badRequest('Line does not belong to this purchase order');
+        }
+
+        const quantity = roundQuantity(parseFloat(entry.quantity));
+        const outstanding = roundQuantity(line.quantity_ordered - line.quantity_received);
+
+        if (quantity > outstanding) {
+          throw ApiError.badRequest(`Only ${outstanding} of ${line.description} outstanding`);
+        }
+
+        const unitCost = entry.unit_cost !== undefined && entry.unit_cost !== null
+          ? parseFloat(entry.unit_cost)
+          : parseFloat(line.unit_cost);
+
+        await connection.execute(
+          `INSERT INTO goods_receipt_lines (goods_receipt_id, purchase_order_line_id, quantity, unit_cost)
+           VALUES (?, ?, ?, ?)`,
+          [receipt.insertId, line.id, quantity, unitCost]
+        );
+
+        await connection.execute(
+          'UPDATE purchase_order_lines SET quantity_received = quantity_received + ? WHERE id = ?',
+          [quantity, line.id]
+        );
+        line.quantity_received = roundQuantity(parseFloat(line.quantity_received) + quantity);
+
+        // Cost first: the average weighs the stock on hand before this delivery
+        await updateCost(connection, line, quantity, unitCost, cost_method);
+
+        await recordStockMovement(connection, {
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+          ingredient_id: line.ingredient_id,
+          type: 'receipt',
+          quantity,
+          user_id: req.user.id,
+          reason: `${purchaseOrder.po_number} from ${purchaseOrder.supplier_name}`
+        });
+      }
+
+      const status = receiptStatus(orderLines);
+      const complete = status === 'received';
+
+      await connection.execute(
+        `UPDATE purchase_orders SET status = ?, received_at = ${complete ? 'NOW()' : 'NULL'} WHERE id = ?`,
+        [status, id]
+      );
+
+      return { purchaseOrder, status, receiptId: receipt.insertId };
+    });
+
+    await logAudit(req.user.id, 'PURCHASE_ORDER_RECEIVED', 'purchase_order', id,
+      { status: result.purchaseOrder.status },
+      { status: result.status, goods_receipt_id: result.receiptId, lines, cost_method }
+    );
+
+    logger.info(`Goods received for ${result.purchaseOrder.po_number} (${result.status}) by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: result.status === 'received' ? 'Purchase order fully received' : 'Partial delivery received',
+      data: await loadPurchaseOrder(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a purchase order; goods already received stay in stock
+ * POST /api/purchase-orders/:id/cancel
+ */
+const cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const [purchaseOrder] = await db.query('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+    if (!purchaseOrder) {
+      throw ApiError.notFound('Purchase order not found');
+    }
+
+    if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+      throw ApiError.badRequest(`Purchase order is already ${purchaseOrder.status}`);
+    }
+
+    await db.query(
+      `UPDATE purchase_orders
+       SET status = 'cancelled', cancelled_at = NOW(),
+           notes = CONCAT(COALESCE(notes, ''), ' | Cancelled: ', ?)
+       WHERE id = ?`,
+      [reason || 'No reason provided', id]
+    );
+
+    await logAudit(req.user.id, 'PURCHASE_ORDER_CANCELLED', 'purchase_order', id,
+      { status: purchaseOrder.status }, { status: 'cancelled', reason }
+    );
+
+    logger.info(`Purchase order ${purchaseOrder.po_number} cancelled by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Purchase order cancelled',
+      data: await loadPurchaseOrder(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  costAfterReceipt,
+  receiptStatus,
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  getOutstandingDeliveries,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  submitPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+};
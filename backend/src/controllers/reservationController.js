@@ -0,0 +1,515 @@
+/**
+ * Reservation Controller
+ * Bookings with an optional table (checked against its capacity and overlapping bookings).
+ * The table is held in 'reserved' ahead of the booking time; seating the party opens its order.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { openOrder } = require('./orderController');
+const eventBus = require('../utils/eventBus');
+
+const RESERVATION_STATUSES = ['booked', 'seated', 'no_show', 'cancelled'];
+
+// How long before the booking its table goes 'reserved'
+const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES, 10) || 30;
+
+// '2026-05-01T19:30' (datetime-local) or '2026-05-01 19:30:00' -> '2026-05-01 19:30:00'
+const toDateTime = (value) => {
+  const text = String(value).replace('T', ' ').slice(0, 19);
+  return text.length === 16 ? `${text}:00` : text;
+};
+
+// Other booked reservations on the table overlapping [start, start + duration)
+const OVERLAP = `r.status = 'booked' AND r.id != ?
+  AND r.reserved_at < CAST(? AS DATETIME) + INTERVAL ? MINUTE
+  AND r.reserved_at + INTERVAL r.duration_minutes MINUTE > CAST(? AS DATETIME)`;
+const overlapParams = ({ reservedAt, duration, excludeId }) => [excludeId || 0, reservedAt, duration, reservedAt];
+
+const loadReservation = async (connection, id) => {
+  const [[reservation]] = await connection.execute(
+    `SELECT r.*, t.table_number, t.capacity as table_capacity, o.order_number,
+            u.full_name as created_by_name
+     FROM reservations r
+     LEFT JOIN restaurant_tables t ON r.table_id = t.id
+     LEFT JOIN orders o ON r.order_id = o.id
+     LEFT JOIN users u ON r.created_by_user_id = u.id
+     WHERE r.id = ?`,
+    [id]
+  );
+  return reservation;
+};
+
+/**
+ * Check a table can take the booking: active, big enough and free for its whole duration
+ * @param {Object} booking - { tableId, partySize, reservedAt, duration, excludeId }
+ */
+const checkTable = async (connection, booking) => {
+  const [[table]] = await connection.execute(
+    'SELECT id, table_number, capacity, is_active FROM restaurant_tables WHERE id = ?',
+    [booking.tableId]
+  );
+
+  if (!table || !table.is_active) {
+    throw ApiError.notFound('Table not found');
+  }
+
+  if (booking.partySize > table.capacity) {
+    throw ApiError.badRequest(`Table ${table.table_number} seats ${table.capacity}, the party is ${booking.partySize}`);
+  }
+
+  const [[conflict]] = await connection.execute(
+    `SELECT r.guest_name, r.reserved_at FROM reservations r
+     WHERE r.table_id = ? AND ${OVERLAP}
+     ORDER BY r.reserved_at
+     LIMIT 1`,
+    [table.id, ...overlapParams(booking)]
+  );
+
+  if (conflict) {
+    throw ApiError.conflict(
+      `Table ${table.table_number} is booked for ${conflict.guest_name} at ${String(conflict.reserved_at).slice(11, 16)}`
+    );
+  }
+
+  return table;
+};
+
+/**
+ * Stop a reservation holding its table; the table goes back to 'available' unless it is
+ * in use or held for another booking
+ */
+const releaseHold = async (connection, reservation) => {
+  if (!reservation.held_at || !reservation.table_id) return;
+
+  await connection.execute('UPDATE reservations SET held_at = NULL WHERE id = ?', [reservation.id]);
+
+  const [[table]] = await connection.execute(
+    'SELECT status, current_order_id FROM restaurant_tables WHERE id = ? FOR UPDATE',
+    [reservation.table_id]
+  );
+  if (!table || table.status !== 'reserved' || table.current_order_id) return;
+
+  const [[other]] = await connection.execute(
+    `SELECT id FROM reservations
+     WHERE table_id = ? AND status = 'booked' AND held_at IS NOT NULL
+     LIMIT 1`,
+    [reservation.table_id]
+  );
+  if (other) return;
+
+  await connection.execute(
+    `UPDATE restaurant_tables SET status = 'available' WHERE id = ?`,
+    [reservation.table_id]
+  );
+  db.afterCommit(connection, () =>
+    eventBus.publish('table.updated', { table_id: reservation.table_id, status: 'available' })
+  );
+};
+
+/**
+ * Hold tables for bookings starting within HOLD_MINUTES (once the table is free) and release
+ * holds whose booking is over or no longer booked. Runs every minute and after each change.
+ */
+const holdReservedTables = async () => {
+  await db.transaction(async (connection) => {
+    const [expired] = await connection.execute(
+      `SELECT * FROM reservations
+       WHERE held_at IS NOT NULL
+         AND (status != 'booked' OR reserved_at + INTERVAL duration_minutes MINUTE <= NOW())`
+    );
+    for (const reservation of expired) {
+      await releaseHold(connection, reservation);
+    }
+
+    const [due] = await connection.execute(
+      `SELECT r.id, r.table_id, r.guest_name, r.reserved_at, t.table_number, t.status as table_status
+       FROM reservations r
+       JOIN restaurant_tables t ON r.table_id = t.id
+       WHERE r.status = 'booked' AND r.held_at IS NULL
+         AND r.reserved_at <= NOW() + INTERVAL ? MINUTE
+         AND r.reserved_at + INTERVAL r.duration_minutes MINUTE > NOW()
+         AND t.is_active = TRUE AND t.status IN ('available', 'reserved') AND t.current_order_id IS NULL
+       FOR UPDATE`,
+      [HOLD_MINUTES]
+    );
+
+    for (const reservation of due) {
+      await connection.execute('UPDATE reservations SET held_at = NOW() WHERE id = ?', [reservation.id]);
+
+      if (reservation.table_status === 'available') {
+        await connection.execute(
+          `UPDATE restaurant_tables SET status = 'reserved' WHERE id = ?`,
+          [reservation.table_id]
+        );
+        db.afterCommit(connection, () => {
+          logger.info(`Table ${reservation.table_number} reserved for ${reservation.guest_name} at ${String(reservation.reserved_at).slice(11, 16)}`);
+          eventBus.publish('table.updated', { table_id: reservation.table_id, status: 'reserved' });
+        });
+      }
+    }
+  });
+};
+
+/**
+ * Get reservations for a day (default today), earliest first
+ * GET /api/reservations
+ */
+const getReservations = async (req, res, next) => {
+  try {
+    const { date, status, table_id } = req.query;
+
+    let query = `
+      SELECT r.*, t.table_number, o.order_number, u.full_name as created_by_name
+      FROM reservations r
+      LEFT JOIN restaurant_tables t ON r.table_id = t.id
+      LEFT JOIN orders o ON r.order_id = o.id
+      LEFT JOIN users u ON r.created_by_user_id = u.id
+    `;
+    const params = [];
+
+    if (date) {
+      query += ' WHERE DATE(r.reserved_at) = ?';
+      params.push(date);
+    } else {
+      query += ' WHERE DATE(r.reserved_at) = CURDATE()';
+    }
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    if (table_id) {
+      query += ' AND r.table_id = ?';
+      params.push(table_id);
+    }
+
+    query += ' ORDER BY r.reserved_at, r.id';
+
+    const reservations = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: reservations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Tables that can take a booking: big enough and free for its whole duration,
+ * preferred section first, then smallest table that fits
+ * GET /api/reservations/available-tables
+ */
+const getAvailableTables = async (req, res, next) => {
+  try {
+    const { reserved_at, duration_minutes = 90, party_size = 1, section, exclude_id } = req.query;
+
+    const tables = await db.query(
+      `SELECT t.id, t.table_number, t.capacity, t.section, t.status
+       FROM restaurant_tables t
+       WHERE t.is_active = TRUE AND t.capacity >= ?
+         AND NOT EXISTS (SELECT 1 FROM reservations r WHERE r.table_id = t.id AND ${OVERLAP})
+       ORDER BY t.section <=> ? DESC, t.capacity, t.table_number`,
+      [
+        parseInt(party_size),
+        ...overlapParams({ reservedAt: toDateTime(reserved_at), duration: parseInt(duration_minutes), excludeId: exclude_id }),
+        section || null
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: tables
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get reservation by ID
+ * GET /api/reservations/:id
+ */
+const getReservationById = async (req, res, next) => {
+  try {
+    const reservation = await loadReservation(db.pool, req.params.id);
+
+    if (!reservation) {
+      throw ApiError.notFound('Reservation not found');
+    }
+
+    res.json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Book a reservation (table optional, can be assigned later)
+ * POST /api/reservations
+ */
+const createReservation = async (req, res, next) => {
+  try {
+    const {
+      guest_name, guest_phone, party_size, reserved_at, duration_minutes = 90,
+      section_preference, notes, table_id
+    } = req.body;
+    const reservedAt = toDateTime(reserved_at);
+
+    const id = await db.transaction(async (connection) => {
+      if (table_id) {
+        await checkTable(connection, { tableId: table_id, partySize: party_size, reservedAt, duration: duration_minutes });
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO reservations
+         (guest_name, guest_phone, party_size, reserved_at, duration_minutes, section_preference, notes, table_id, created_by_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          guest_name, guest_phone || null, party_size, reservedAt, duration_minutes,
+          section_preference || null, notes || null, table_id || null, req.user.id
+        ]
+      );
+      return result.insertId;
+    });
+
+    await holdReservedTables();
+
+    await logAudit(req.user.id, 'RESERVATION_CREATED', 'reservation', id, null, {
+      guest_name, party_size, reserved_at: reservedAt, table_id: table_id || null
+    });
+
+    eventBus.publish('reservation.created', { reservation_id: id });
+
+    logger.info(`Reservation for ${guest_name} (${party_size}) at ${reservedAt} booked by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation booked',
+      data: await loadReservation(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a booked reservation (table_id: null unassigns the table)
+ * PUT /api/reservations/:id
+ */
+const updateReservation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = ['guest_name', 'guest_phone', 'party_size', 'reserved_at', 'duration_minutes', 'section_preference', 'notes', 'table_id'];
+
+    const { existing, changes } = await db.transaction(async (connection) => {
+      const [[existing]] = await connection.execute('SELECT * FROM reservations WHERE id = ? FOR UPDATE', [id]);
+
+      if (!existing) {
+        throw ApiError.notFound('Reservation not found');
+      }
+
+      if (existing.status !== 'booked') {
+        throw ApiError.badRequest(`Reservation is already ${existing.status.replace('_', '-')}`);
+      }
+
+      const changes = {};
+      for (const field of fields) {
+        if (req.body[field] !== undefined) {
+          changes[field] = field === 'reserved_at' ? toDateTime(req.body[field]) : req.body[field] === '' ? null : req.body[field];
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        throw ApiError.badRequest('No fields to update');
+      }
+
+      const updated = { ...existing, ...changes };
+
+      if (updated.table_id) {
+        await checkTable(connection, {
+          tableId: updated.table_id,
+          partySize: updated.party_size,
+          reservedAt: toDateTime(updated.reserved_at),
+          duration: updated.duration_minutes,
+          excludeId: existing.id
+        });
+      }
+
+      // The hold is taken again by the next sweep if still due
+      if (updated.table_id !== existing.table_id || changes.reserved_at || changes.duration_minutes) {
+        await releaseHold(connection, existing);
+      }
+
+      const columns = Object.keys(changes);
+      await connection.execute(
+        `UPDATE reservations SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => changes[c]), id]
+      );
+
+      return { existing, changes };
+    });
+
+    await holdReservedTables();
+
+    await logAudit(req.user.id, 'RESERVATION_UPDATED', 'reservation', id,
+      Object.fromEntries(Object.keys(changes).map(c => [c, existing[c]])), changes
+    );
+
+    eventBus.publish('reservation.updated', { reservation_id: parseInt(id) });
+
+    res.json({
+      success: true,
+      message: 'Reservation updated',
+      data: await loadReservation(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Seat the party: opens the order on its table (or the table given) for the current user
+ * POST /api/reservations/:id/seat
+ */
+const seatReservation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await db.transaction(async (connection) => {
+      const [[reservation]] = await connection.execute('SELECT * FROM reservations WHERE id = ? FOR UPDATE', [id]);
+
+      if (!reservation) {
+        throw ApiError.notFound('Reservation not found');
+      }
+
+      if (reservation.status !== 'booked') {
+        throw ApiError.badRequest(`Reservation is already ${reservation.status.replace('_', '-')}`);
+      }
+
+      const tableId = req.body.table_id || reservation.table_id;
+      if (!tableId) {
+        throw ApiError.badRequest('Choose a table to seat the party');
+      }
+
+      if (reservation.table_id && reservation.table_id !== tableId) {
+        await releaseHold(connection, reservation);
+      }
+
+      const order = await openOrder(connection, {
+        tableId,
+        serverId: userId,
+        guestCount: reservation.party_size,
+        notes: reservation.notes
+      });
+
+      await connection.execute(
+        `UPDATE reservations
+         SET status = 'seated', seated_at = NOW(), table_id = ?, order_id = ?, held_at = NULL
+         WHERE id = ?`,
+        [tableId, order.orderId, id]
+      );
+
+      return { ...order, tableId, reservation };
+    });
+
+    await logAudit(userId, 'ORDER_CREATED', 'order', result.orderId, null, {
+      table_id: result.tableId,
+      guest_count: result.reservation.party_size,
+      order_number: result.orderNumber,
+      reservation_id: parseInt(id)
+    });
+    await logAudit(userId, 'RESERVATION_SEATED', 'reservation', id,
+      { status: 'booked', table_id: result.reservation.table_id },
+      { status: 'seated', table_id: result.tableId, order_id: result.orderId }
+    );
+
+    eventBus.publish('order.created', { order_id: result.orderId, table_id: Number(result.tableId) });
+    eventBus.publish('reservation.updated', { reservation_id: parseInt(id) });
+
+    logger.info(`${result.reservation.guest_name} (${result.reservation.party_size}) seated at table ${result.tableNumber} by ${req.user.username}, order ${result.orderNumber}`);
+
+    res.json({
+      success: true,
+      message: `Seated at table ${result.tableNumber}`,
+      data: await loadReservation(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Close a booked reservation without seating it (cancelled or no-show) and release its table
+const closeReservation = (status, action) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await db.transaction(async (connection) => {
+      const [[reservation]] = await connection.execute('SELECT * FROM reservations WHERE id = ? FOR UPDATE', [id]);
+
+      if (!reservation) {
+        throw ApiError.notFound('Reservation not found');
+      }
+
+      if (reservation.status !== 'booked') {
+        throw ApiError.badRequest(`Reservation is already ${reservation.status.replace('_', '-')}`);
+      }
+
+      await releaseHold(connection, reservation);
+      await connection.execute('UPDATE reservations SET status = ? WHERE id = ?', [status, id]);
+
+      return reservation;
+    });
+
+    await logAudit(req.user.id, action, 'reservation', id,
+      { status: 'booked' }, { status, guest_name: reservation.guest_name }
+    );
+
+    eventBus.publish('reservation.updated', { reservation_id: parseInt(id) });
+
+    logger.info(`Reservation ${id} (${reservation.guest_name}) marked ${status} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: status === 'cancelled' ? 'Reservation cancelled' : 'Reservation marked as no-show'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a reservation
+ * POST /api/reservations/:id/cancel
+ */
+const cancelReservation = closeReservation('cancelled', 'RESERVATION_CANCELLED');
+
+/**
+ * Mark a reservation as no-show
+ * POST /api/reservations/:id/no-show
+ */
+const markNoShow = closeReservation('no_show', 'RESERVATION_NO_SHOW');
+
+module.exports = {
+  RESERVATION_STATUSES,
+  toDateTime,
+  checkTable,
+  holdReservedTables,
+  getReservations,
+  getAvailableTables,
+  getReservationById,
+  createReservation,
+  updateReservation,
+  seatReservation,
+  cancelReservation,
+  markNoShow
+};
@@ -0,0 +1,367 @@
+/**
+ * Stock Alert Controller
+ * Watches every stock movement: takes products off sale when their stock runs out (and puts them back
+ * on restock), and raises low / out of stock alerts for moderators and admins to acknowledge or snooze
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const eventBus = require('../utils/eventBus');
+
+// WHERE clause matching one item's alerts
+const itemCondition = ({ product_id, variant_id, ingredient_id }) => {
+  if (ingredient_id) return { clause: 'ingredient_id = ?', params: [ingredient_id] };
+  if (variant_id) return { clause: 'variant_id = ?', params: [variant_id] };
+  return { clause: 'product_id = ? AND variant_id IS NULL', params: [product_id] };
+};
+
+// Name and alert threshold of the item a movement changed; null when its stock isn't watched
+const watchedItem = async (connection, { product_id, variant_id, ingredient_id }) => {
+  if (ingredient_id) {
+    const [[ingredient]] = await connection.execute(
+      'SELECT name, min_stock_alert, is_active FROM ingredients WHERE id = ?',
+      [ingredient_id]
+    );
+    return ingredient && ingredient.is_active
+      ? { ingredient_id, description: ingredient.name, threshold: parseFloat(ingredient.min_stock_alert) || 0 }
+      : null;
+  }
+
+  const [[product]] = await connection.execute(
+    `SELECT p.name, p.min_stock_alert, p.track_stock, p.is_active, pv.name as variant_name
+     FROM products p
+     LEFT JOIN product_variants pv ON pv.id = ? AND pv.product_id = p.id
+     WHERE p.id = ?`,
+    [variant_id || 0, product_id]
+  );
+
+  if (!product || !product.track_stock || !product.is_active) return null;
+
+  return {
+    product_id,
+    variant_id: variant_id || null,
+    description: variant_id ? `${product.name} (${product.variant_name})` : product.name,
+    threshold: parseFloat(product.min_stock_alert) || 0
+  };
+};
+
+// Alert a balance calls for: out_of_stock at zero or below, low_stock down to the threshold, none above it
+const alertTypeFor = (balance, threshold) =>
+  balance <= 0 ? 'out_of_stock' : balance <= threshold ? 'low_stock' : null;
+
+/**
+ * Raise, escalate or resolve the item's alert for its new balance.
+ * An alert is raised when stock goes down to the threshold (out_of_stock at zero); it stays until
+ * stock is back above the threshold. Running out while a low stock alert is acknowledged or snoozed reopens it.
+ */
+const updateAlert = async (connection, item, change, balance) => {
+  const type = alertTypeFor(balance, item.threshold);
+  const { clause, params } = itemCondition(item);
+
+  const [[alert]] = await connection.execute(
+    `SELECT * FROM stock_alerts WHERE ${clause} AND status != 'resolved' FOR UPDATE`,
+    params
+  );
+
+  if (!type) {
+    if (alert) {
+      await connection.execute(
+        `UPDATE stock_alerts SET status = 'resolved', resolved_at = NOW(), stock_quantity = ? WHERE id = ?`,
+        [balance, alert.id]
+      );
+      db.afterCommit(connection, () => eventBus.publish('stock.alert.resolved', { alert_id: alert.id }));
+    }
+    return;
+  }
+
+  if (!alert) {
+    if (change >= 0) return;
+
+    const [result] = await connection.execute(
+      `INSERT INTO stock_alerts
+       (product_id, variant_id, ingredient_id, description, alert_type, stock_quantity, threshold)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        item.product_id || null, item.variant_id || null, item.ingredient_id || null,
+        item.description, type, balance, item.threshold
+      ]
+    );
+    db.afterCommit(connection, () => {
+      logger.warn(`Stock alert: ${item.description} ${type === 'out_of_stock' ? 'is out of stock' : `is low (${balance})`}`);
+      eventBus.publish('stock.alert', { alert_id: result.insertId, alert_type: type, description: item.description });
+    });
+    return;
+  }
+
+  const escalated = type === 'out_of_stock' && alert.alert_type === 'low_stock';
+
+  await connection.execute(
+    `UPDATE stock_alerts
+     SET alert_type = ?, stock_quantity = ?${escalated ? `, status = 'open', snoozed_until = NULL` : ''}
+     WHERE id = ?`,
+    [type, balance, alert.id]
+  );
+
+  if (escalated) {
+    db.afterCommit(connection, () =>
+      eventBus.publish('stock.alert', { alert_id: alert.id, alert_type: type, description: item.description })
+    );
+  }
+};
+
+/**
+ * Availability a product should switch to for a cause: false to take it off sale, true to put it back
+ * when stock had switched it off and the cause is gone, null to leave it. Products switched off by hand
+ * (auto_unavailable = FALSE) are left alone.
+ * @param {Object} product - { is_available, auto_unavailable }
+ * @param {string|null} cause - Why it can't be sold, or null when it can
+ */
+const availabilityChange = (product, cause) => {
+  if (cause && product.is_available) return false;
+  if (!cause && !product.is_available && product.auto_unavailable) return true;
+  return null;
+};
+
+/**
+ * Switch a product off sale for a cause, or back on (see availabilityChange)
+ * @param {Object} product - { id, name, is_available, auto_unavailable }
+ * @param {string|null} cause - Why it can't be sold, or null when it can
+ */
+const applyAvailability = async (connection, product, cause) => {
+  const available = availabilityChange(product, cause);
+  if (available === null) return;
+
+  await connection.execute(
+    'UPDATE products SET is_available = ?, auto_unavailable = ? WHERE id = ?',
+    [available, !available, product.id]
+  );
+  db.afterCommit(connection, () => {
+    if (available) {
+      logger.info(`Product "${product.name}" available again: restocked`);
+    } else {
+      logger.warn(`Product "${product.name}" marked unavailable: ${cause}`);
+    }
+    eventBus.publish('product.availability', { product_id: product.id, is_available: available });
+  });
+};
+
+/**
+ * Take bundles off sale when one of their slots has nothing left to sell (its fixed product, or every
+ * product of its category, is unavailable), and put back those that this took off.
+ * @param {Array} productIds - Bundles to check, and components whose bundles should be checked
+ */
+const refreshBundleAvailability = async (connection, productIds) => {
+  if (productIds.length === 0) return;
+
+  const placeholders = productIds.map(() => '?').join(', ');
+  const [bundles] = await connection.execute(
+    `SELECT b.id, b.name, b.is_available, b.auto_unavailable,
+            (SELECT s.name FROM bundle_slots s
+             WHERE s.bundle_product_id = b.id
+               AND NOT EXISTS (
+                 SELECT 1 FROM products c
+                 WHERE c.is_active = TRUE AND c.is_available = TRUE AND c.is_bundle = FALSE
+                   AND (c.id = s.product_id OR (s.product_id IS NULL AND c.category_id = s.category_id))
+               )
+             LIMIT 1) as empty_slot
+     FROM products b
+     WHERE b.is_active = TRUE AND b.is_bundle = TRUE
+       AND (b.id IN (${placeholders})
+            OR EXISTS (SELECT 1 FROM bundle_slots s
+                       LEFT JOIN products c ON c.id IN (${placeholders})
+                       WHERE s.bundle_product_id = b.id
+                         AND (s.product_id = c.id OR (s.product_id IS NULL AND s.category_id = c.category_id))))`,
+    [...productIds, ...productIds]
+  );
+
+  for (const bundle of bundles) {
+    await applyAvailability(connection, bundle, bundle.empty_slot ? `nothing left for ${bundle.empty_slot}` : null);
+  }
+};
+
+/**
+ * Take products off sale that can't be sold from stock any more, and put back those that stock took off.
+ * A product can't be sold when it tracks stock and it (or every active variant) is at zero, or a required
+ * product-level recipe ingredient can't cover one portion. Products switched off by hand are left alone.
+ * Bundles follow their components (see refreshBundleAvailability).
+ * @param {Array} productIds - Products to check
+ */
+const refreshAvailability = async (connection, productIds) => {
+  if (productIds.length === 0) return;
+
+  const [products] = await connection.execute(
+    `SELECT p.id, p.name, p.is_available, p.auto_unavailable,
+            p.track_stock AND IF(
+              EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = TRUE),
+              NOT EXISTS (SELECT 1 FROM product_variants pv
+                          WHERE pv.product_id = p.id AND pv.is_active = TRUE AND pv.stock_quantity > 0),
+              COALESCE(p.stock_quantity, 0) <= 0
+            ) as out_of_stock,
+            (SELECT i.name FROM product_ingredients pi
+             JOIN ingredients i ON pi.ingredient_id = i.id
+             WHERE pi.product_id = p.id AND pi.variant_id IS NULL AND pi.is_required = TRUE
+               AND i.is_active = TRUE AND i.stock_quantity < pi.quantity
+             LIMIT 1) as short_ingredient
+     FROM products p
+     WHERE p.id IN (${productIds.map(() => '?').join(', ')}) AND p.is_active = TRUE AND p.is_bundle = FALSE`,
+    productIds
+  );
+
+  for (const product of products) {
+    const cause = product.out_of_stock ? 'out of stock' : product.short_ingredient ? `out of ${product.short_ingredient}` : null;
+    await applyAvailability(connection, product, cause);
+  }
+
+  await refreshBundleAvailability(connection, productIds);
+};
+
+/**
+ * Follow up a stock movement (called by recordStockMovement inside its transaction)
+ * @param {Object} movement - The movement recorded ({ product_id, variant_id, ingredient_id })
+ * @param {number} change - Signed quantity moved
+ * @param {number} balance - Stock after the movement
+ */
+const watchStockLevel = async (connection, movement, change, balance) => {
+  const item = await watchedItem(connection, movement);
+  if (item) {
+    await updateAlert(connection, item, change, balance);
+  }
+
+  if (movement.ingredient_id) {
+    const [products] = await connection.execute(
+      `SELECT DISTINCT product_id FROM product_ingredients
+       WHERE ingredient_id = ? AND variant_id IS NULL AND is_required = TRUE`,
+      [movement.ingredient_id]
+    );
+    await refreshAvailability(connection, products.map(p => p.product_id));
+  } else if (movement.product_id) {
+    await refreshAvailability(connection, [movement.product_id]);
+  }
+};
+
+/**
+ * Get stock alerts: active ones (open and not snoozed) by default
+ * GET /api/stock-alerts
+ */
+const getStockAlerts = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT sa.*, i.unit, u.full_name as acknowledged_by_name,
+             sa.status = 'open' AND (sa.snoozed_until IS NULL OR sa.snoozed_until <= NOW()) as is_active,
+             GREATEST(TIMESTAMPDIFF(SECOND, NOW(), sa.snoozed_until), 0) as snooze_seconds_left
+      FROM stock_alerts sa
+      LEFT JOIN ingredients i ON sa.ingredient_id = i.id
+      LEFT JOIN users u ON sa.acknowledged_by_user_id = u.id
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' WHERE sa.status = ?';
+      params.push(status);
+    } else {
+      query += ` WHERE sa.status = 'open' AND (sa.snoozed_until IS NULL OR sa.snoozed_until <= NOW())`;
+    }
+
+    query += ` ORDER BY sa.alert_type = 'out_of_stock' DESC, sa.created_at DESC LIMIT 200`;
+
+    const alerts = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load an unresolved alert or fail
+const findOpenAlert = async (id) => {
+  const [alert] = await db.query('SELECT * FROM stock_alerts WHERE id = ?', [id]);
+
+  if (!alert) {
+    throw ApiError.notFound('Stock alert not found');
+  }
+
+  if (alert.status === 'resolved') {
+    throw ApiError.badRequest('Stock alert is already resolved');
+  }
+
+  return alert;
+};
+
+/**
+ * Acknowledge an alert: hidden until it is resolved (or the item runs out)
+ * POST /api/stock-alerts/:id/acknowledge
+ */
+const acknowledgeStockAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const alert = await findOpenAlert(id);
+
+    await db.query(
+      `UPDATE stock_alerts
+       SET status = 'acknowledged', acknowledged_by_user_id = ?, acknowledged_at = NOW(), snoozed_until = NULL
+       WHERE id = ?`,
+      [req.user.id, id]
+    );
+
+    await logAudit(req.user.id, 'STOCK_ALERT_ACKNOWLEDGED', 'stock_alert', id,
+      { status: alert.status }, { status: 'acknowledged', description: alert.description }
+    );
+
+    eventBus.publish('stock.alert.acknowledged', { alert_id: parseInt(id) });
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Snooze an alert for a number of minutes
+ * POST /api/stock-alerts/:id/snooze
+ */
+const snoozeStockAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { minutes } = req.body;
+    const alert = await findOpenAlert(id);
+
+    await db.query(
+      `UPDATE stock_alerts SET status = 'open', snoozed_until = NOW() + INTERVAL ? MINUTE WHERE id = ?`,
+      [parseInt(minutes), id]
+    );
+
+    await logAudit(req.user.id, 'STOCK_ALERT_SNOOZED', 'stock_alert', id,
+      null, { minutes, description: alert.description }
+    );
+
+    eventBus.publish('stock.alert.snoozed', { alert_id: parseInt(id) });
+
+    res.json({
+      success: true,
+      message: `Alert snoozed for ${minutes >= 60 ? `${minutes / 60}h` : `${minutes} min`}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  alertTypeFor,
+  availabilityChange,
+  watchStockLevel,
+  refreshAvailability,
+  refreshBundleAvailability,
+  getStockAlerts,
+  acknowledgeStockAlert,
+  snoozeStockAlert
+};
@@ -0,0 +1,248 @@
+/**
+ * Stock Controller
+ * The stock movement ledger: every change to product, variant or ingredient stock is recorded
+ * with its type, user, order and reason. stock_quantity columns hold the running balance.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { watchStockLevel } = require('./stockAlertController');
+
+const MOVEMENT_TYPES = ['sale', 'cancel', 'adjustment', 'receipt', 'waste', 'count'];
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// The row whose stock_quantity a movement changes
+const stockTarget = ({ product_id, variant_id, ingredient_id }) => {
+  if (ingredient_id) return { table: 'ingredients', id: ingredient_id };
+  if (variant_id) return { table: 'product_variants', id: variant_id };
+  return { table: 'products', id: product_id };
+};
+
+/**
+ * Move stock and record the movement in the ledger (run inside the caller's transaction).
+ * The new level can take the product off sale (or put it back) and raise or resolve a stock alert.
+ * @param {Object} connection - Transaction connection
+ * @param {Object} movement - { product_id, variant_id, ingredient_id, type, quantity (signed), user_id, order_id, order_item_id, reason };
+ *                            variant movements also carry their product_id
+ */
+const recordStockMovement = async (connection, movement) => {
+  const quantity = roundQuantity(parseFloat(movement.quantity));
+  if (!quantity) return;
+
+  if (!MOVEMENT_TYPES.includes(movement.type)) {
+    throw ApiError.badRequest(`Unknown stock movement type: ${movement.type}`);
+  }
+
+  const { table, id } = stockTarget(movement);
+
+  await connection.execute(
+    `UPDATE ${table} SET stock_quantity = COALESCE(stock_quantity, 0) + ? WHERE id = ?`,
+    [quantity, id]
+  );
+  const [[row]] = await connection.execute(`SELECT stock_quantity FROM ${table} WHERE id = ?`, [id]);
+
+  await connection.execute(
+    `INSERT INTO stock_movements
+     (product_id, variant_id, ingredient_id, movement_type, quantity, balance_after, user_id, order_id, order_item_id, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      movement.product_id || null, movement.variant_id || null, movement.ingredient_id || null,
+      movement.type, quantity, row.stock_quantity,
+      movement.user_id || null, movement.order_id || null, movement.order_item_id || null,
+      movement.reason || null
+    ]
+  );
+
+  await watchStockLevel(connection, movement, quantity, parseFloat(row.stock_quantity) || 0);
+};
+
+/**
+ * Bring stock to a counted or entered level, recording the difference as one movement
+ * @returns {Promise<number>} Stock before the change
+ */
+const setStockLevel = async (connection, movement, newStock) => {
+  const { table, id } = stockTarget(movement);
+  const [[row]] = await connection.execute(
+    `SELECT stock_quantity FROM ${table} WHERE id = ? FOR UPDATE`,
+    [id]
+  );
+  const previousStock = parseFloat(row.stock_quantity) || 0;
+
+  await recordStockMovement(connection, { ...movement, quantity: newStock - previousStock });
+
+  return previousStock;
+};
+
+/**
+ * Get stock movements, newest first
+ * GET /api/stock-movements
+ */
+const getStockMovements = async (req, res, next) => {
+  try {
+    const { product_id, variant_id, ingredient_id, type, start_date, end_date, limit = 200 } = req.query;
+
+    let query = `
+      SELECT sm.*,
+             p.name as product_name, pv.name as variant_name,
+             i.name as ingredient_name, i.unit,
+             u.full_name as user_name, o.order_number
+      FROM stock_movements sm
+      LEFT JOIN products p ON sm.product_id = p.id
+      LEFT JOIN product_variants pv ON sm.variant_id = pv.id
+      LEFT JOIN ingredients i ON sm.ingredient_id = i.id
+      LEFT JOIN users u ON sm.user_id = u.id
+      LEFT JOIN orders o ON sm.order_id = o.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (product_id) {
+      query += ' AND sm.product_id = ?';
+      params.push(product_id);
+    }
+
+    if (variant_id) {
+      query += ' AND sm.variant_id = ?';
+      params.push(variant_id);
+    }
+
+    if (ingredient_id) {
+      query += ' AND sm.ingredient_id = ?';
+      params.push(ingredient_id);
+    }
+
+    if (type) {
+      query += ' AND sm.movement_type = ?';
+      params.push(type);
+    }
+
+    if (start_date) {
+      query += ' AND DATE(sm.created_at) >= ?';
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      query += ' AND DATE(sm.created_at) <= ?';
+      params.push(end_date);
+    }
+
+    query += ' ORDER BY sm.created_at DESC, sm.id DESC LIMIT ?';
+    params.push(parseInt(limit));
+
+    const movements = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stock on hand against the sum of the ledger, for every product, variant and ingredient that differs
+const findDiscrepancies = (connection) => connection.execute(
+  `SELECT 'product' as item_type, p.id as product_id, NULL as variant_id, NULL as ingredient_id,
+          p.name, COALESCE(p.stock_quantity, 0) as stock_quantity,
+          (SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements sm
+           WHERE sm.product_id = p.id AND sm.variant_id IS NULL) as ledger_quantity
+   FROM products p
+   HAVING stock_quantity <> ledger_quantity
+   UNION ALL
+   SELECT 'variant', pv.product_id, pv.id, NULL,
+          CONCAT(p.name, ' (', pv.name, ')'), COALESCE(pv.stock_quantity, 0) as stock_quantity,
+          (SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements sm
+           WHERE sm.variant_id = pv.id) as ledger_quantity
+   FROM product_variants pv
+   JOIN products p ON pv.product_id = p.id
+   HAVING stock_quantity <> ledger_quantity
+   UNION ALL
+   SELECT 'ingredient', NULL, NULL, i.id,
+          i.name, i.stock_quantity as stock_quantity,
+          (SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements sm
+           WHERE sm.ingredient_id = i.id) as ledger_quantity
+   FROM ingredients i
+   HAVING stock_quantity <> ledger_quantity
+   ORDER BY name`
+);
+
+/**
+ * List items whose stock on hand no longer matches their ledger (stock changed outside the app)
+ * GET /api/stock-movements/reconcile
+ */
+const getStockDiscrepancies = async (req, res, next) => {
+  try {
+    const [discrepancies] = await findDiscrepancies(db.pool);
+
+    res.json({
+      success: true,
+      data: discrepancies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconcile the ledger with stock on hand: each difference is recorded as an adjustment
+ * (stock itself is not changed)
+ * POST /api/stock-movements/reconcile
+ */
+const reconcileStock = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const reconciled = await db.transaction(async (connection) => {
+      const [discrepancies] = await findDiscrepancies(connection);
+
+      for (const item of discrepancies) {
+        await connection.execute(
+          `INSERT INTO stock_movements
+           (product_id, variant_id, ingredient_id, movement_type, quantity, balance_after, user_id, reason)
+           VALUES (?, ?, ?, 'adjustment', ?, ?, ?, ?)`,
+          [
+            item.product_id, item.variant_id, item.ingredient_id,
+            roundQuantity(parseFloat(item.stock_quantity) - parseFloat(item.ledger_quantity)), item.stock_quantity,
+            req.user.id, reason || 'Reconciled with stock on hand'
+          ]
+        );
+      }
+
+      return discrepancies;
+    });
+
+    if (reconciled.length > 0) {
+      await logAudit(req.user.id, 'STOCK_RECONCILED', 'stock_movement', null, null, {
+        items: reconciled.map(item => ({
+          name: item.name,
+          ledger_quantity: item.ledger_quantity,
+          stock_quantity: item.stock_quantity
+        })),
+        reason
+      });
+
+      logger.warn(`Stock ledger reconciled for ${reconciled.length} items by ${req.user.username}`);
+    }
+
+    res.json({
+      success: true,
+      message: reconciled.length > 0 ? `${reconciled.length} items reconciled` : 'Ledger already matches stock',
+      data: reconciled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  stockTarget,
+  recordStockMovement,
+  setStockLevel,
+  getStockMovements,
+  getStockDiscrepancies,
+  reconcileStock
+};
@@ -0,0 +1,477 @@
+/**
+ * Stocktake Controller
+ * Physical inventory counts: start a session, enter counted quantities, review the variance at cost,
+ * then post every variance to the stock ledger in one transaction
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { recordStockMovement } = require('./stockController');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Current stock and cost of the item a line counts
+const itemStock = async (connection, { product_id, variant_id, ingredient_id }) => {
+  let item;
+
+  if (ingredient_id) {
+    [[item]] = await connection.execute(
+      'SELECT stock_quantity, cost_per_unit as unit_cost FROM ingredients WHERE id = ?',
+      [ingredient_id]
+    );
+  } else if (variant_id) {
+    [[item]] = await connection.execute(
+      'SELECT stock_quantity, cost_price as unit_cost FROM product_variants WHERE id = ? AND product_id = ?',
+      [variant_id, product_id]
+    );
+  } else {
+    [[item]] = await connection.execute(
+      'SELECT stock_quantity, cost_price as unit_cost FROM products WHERE id = ?',
+      [product_id]
+    );
+  }
+
+  if (!item) {
+    throw ApiError.badRequest('Item not found');
+  }
+
+  return { stock: parseFloat(item.stock_quantity) || 0, unitCost: parseFloat(item.unit_cost) || 0 };
+};
+
+// Variance and its value for each line (uncounted lines have none)
+const withVariance = (line) => {
+  const counted = line.counted_quantity !== null;
+  const variance = counted ? roundQuantity(line.counted_quantity - line.expected_quantity) : null;
+  return {
+    ...line,
+    variance,
+    variance_value: counted ? roundMoney(variance * line.unit_cost) : null
+  };
+};
+
+// Lines counted, net variance at cost and the shrinkage (losses only) within it
+const stocktakeTotals = (lines) => lines.reduce((sum, line) => ({
+  ...sum,
+  counted_lines: sum.counted_lines + (line.counted_quantity !== null ? 1 : 0),
+  variance_value: roundMoney(sum.variance_value + (line.variance_value || 0)),
+  shrinkage_value: roundMoney(sum.shrinkage_value + Math.min(line.variance_value || 0, 0))
+}), { line_count: lines.length, counted_lines: 0, variance_value: 0, shrinkage_value: 0 });
+
+/**
+ * Load a stocktake with its lines and totals
+ * @param {Object} connection - Connection or pool with execute()
+ */
+const loadStocktake = async (connection, id) => {
+  const [[stocktake]] = await connection.execute(
+    `SELECT st.*, su.full_name as started_by_name, pu.full_name as posted_by_name
+     FROM stocktakes st
+     LEFT JOIN users su ON st.started_by_user_id = su.id
+     LEFT JOIN users pu ON st.posted_by_user_id = pu.id
+     WHERE st.id = ?`,
+    [id]
+  );
+
+  if (!stocktake) return null;
+
+  const [lines] = await connection.execute(
+    `SELECT sl.*, i.unit, u.full_name as counted_by_name
+     FROM stocktake_lines sl
+     LEFT JOIN ingredients i ON sl.ingredient_id = i.id
+     LEFT JOIN users u ON sl.counted_by_user_id = u.id
+     WHERE sl.stocktake_id = ?
+     ORDER BY sl.ingredient_id IS NOT NULL, sl.description`,
+    [id]
+  );
+
+  const counted = lines.map(withVariance);
+
+  return { ...stocktake, lines: counted, totals: stocktakeTotals(counted) };
+};
+
+/**
+ * Get stocktakes
+ * GET /api/stocktakes
+ */
+const getStocktakes = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT st.*, su.full_name as started_by_name, pu.full_name as posted_by_name,
+             (SELECT COUNT(*) FROM stocktake_lines sl WHERE sl.stocktake_id = st.id) as line_count,
+             (SELECT COUNT(*) FROM stocktake_lines sl
+              WHERE sl.stocktake_id = st.id AND sl.counted_quantity IS NOT NULL) as counted_lines
+      FROM stocktakes st
+      LEFT JOIN users su ON st.started_by_user_id = su.id
+      LEFT JOIN users pu ON st.posted_by_user_id = pu.id
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' WHERE st.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY st.started_at DESC, st.id DESC';
+
+    const stocktakes = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: stocktakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stocktake with lines, variances and totals
+ * GET /api/stocktakes/:id
+ */
+const getStocktakeById = async (req, res, next) => {
+  try {
+    const stocktake = await loadStocktake(db.pool, req.params.id);
+
+    if (!stocktake) {
+      throw ApiError.notFound('Stocktake not found');
+    }
+
+    res.json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a stocktake, listing the items to count: stock-tracked products (per variant when they have any,
+ * optionally one category) and active ingredients
+ * POST /api/stocktakes
+ */
+const createStocktake = async (req, res, next) => {
+  try {
+    const { name, notes, category_id, include_products = true, include_ingredients = true } = req.body;
+
+    const stocktakeId = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO stocktakes (name, notes, started_by_user_id) VALUES (?, ?, ?)',
+        [name, notes || null, req.user.id]
+      );
+
+      const items = [];
+
+      if (include_products) {
+        const [products] = await connection.execute(
+          `SELECT p.id as product_id, pv.id as variant_id, NULL as ingredient_id,
+                  IF(pv.id IS NULL, p.name, CONCAT(p.name, ' (', pv.name, ')')) as description,
+                  COALESCE(pv.stock_quantity, p.stock_quantity, 0) as stock_quantity,
+                  COALESCE(pv.cost_price, p.cost_price, 0) as unit_cost
+           FROM products p
+           LEFT JOIN product_variants pv ON pv.product_id = p.id AND pv.is_active = TRUE
+           WHERE p.is_active = TRUE AND p.track_stock = TRUE AND p.is_bundle = FALSE
+             ${category_id ? 'AND p.category_id = ?' : ''}
+           ORDER BY p.name, pv.display_order`,
+          category_id ? [category_id] : []
+        );
+        items.push(...products);
+      }
+
+      if (include_ingredients) {
+        const [ingredients] = await connection.execute(
+          `SELECT NULL as product_id, NULL as variant_id, id as ingredient_id, name as description,
+                  stock_quantity, cost_per_unit as unit_cost
+           FROM ingredients
+           WHERE is_active = TRUE
+           ORDER BY name`
+        );
+        items.push(...ingredients);
+      }
+
+      if (items.length === 0) {
+        throw ApiError.badRequest('Nothing to count: no stock-tracked products or ingredients match');
+      }
+
+      for (const item of items) {
+        await connection.execute(
+          `INSERT INTO stocktake_lines
+           (stocktake_id, product_id, variant_id, ingredient_id, description, expected_quantity, unit_cost)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            result.insertId, item.product_id, item.variant_id, item.ingredient_id,
+            item.description, item.stock_quantity, item.unit_cost
+          ]
+        );
+      }
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'STOCKTAKE_STARTED', 'stocktake', stocktakeId, null, {
+      name, category_id, include_products, include_ingredients
+    });
+
+    logger.info(`Stocktake "${name}" started by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stocktake started',
+      data: await loadStocktake(db.pool, stocktakeId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add an item that was not listed when the stocktake started
+const addLine = async (connection, stocktakeId, { product_id, variant_id, ingredient_id }) => {
+  let description;
+
+  if (ingredient_id) {
+    const [[ingredient]] = await connection.execute('SELECT name FROM ingredients WHERE id = ?', [ingredient_id]);
+    description = ingredient && ingredient.name;
+  } else if (product_id) {
+    const [[product]] = await connection.execute(
+      `SELECT p.name, pv.name as variant_name
+       FROM products p
+       LEFT JOIN product_variants pv ON pv.id = ? AND pv.product_id = p.id
+       WHERE p.id = ? AND p.is_bundle = FALSE`,
+      [variant_id || 0, product_id]
+    );
+    if (product && (!variant_id || product.variant_name)) {
+      description = product.variant_name ? `${product.name} (${product.variant_name})` : product.name;
+    }
+  }
+
+  if (!description) {
+    throw ApiError.badRequest('Item not found');
+  }
+
+  const line = {
+    product_id: ingredient_id ? null : parseInt(product_id),
+    variant_id: !ingredient_id && variant_id ? parseInt(variant_id) : null,
+    ingredient_id: ingredient_id ? parseInt(ingredient_id) : null,
+    description
+  };
+  const { stock, unitCost } = await itemStock(connection, line);
+
+  const [result] = await connection.execute(
+    `INSERT INTO stocktake_lines
+     (stocktake_id, product_id, variant_id, ingredient_id, description, expected_quantity, unit_cost)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [stocktakeId, line.product_id, line.variant_id, line.ingredient_id, description, stock, unitCost]
+  );
+
+  return { id: result.insertId, ...line };
+};
+
+/**
+ * Enter counted quantities (many at once). Each count snapshots the stock and cost at that moment
+ * as the expected quantity. An entry with counted_quantity null clears the count.
+ * Entries: { line_id, counted_quantity } or { product_id, variant_id | ingredient_id, counted_quantity }
+ * for an item not on the list yet.
+ * PUT /api/stocktakes/:id/counts
+ */
+const saveCounts = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { counts } = req.body;
+
+    await db.transaction(async (connection) => {
+      const [[stocktake]] = await connection.execute(
+        'SELECT * FROM stocktakes WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (!stocktake) {
+        throw ApiError.notFound('Stocktake not found');
+      }
+
+      if (stocktake.status !== 'open') {
+        throw ApiError.badRequest(`Stocktake is already ${stocktake.status}`);
+      }
+
+      const [lines] = await connection.execute(
+        'SELECT * FROM stocktake_lines WHERE stocktake_id = ?',
+        [id]
+      );
+
+      for (const count of counts) {
+        let line = count.line_id
+          ? lines.find(l => l.id === parseInt(count.line_id))
+          : lines.find(l =>
+            (count.ingredient_id && l.ingredient_id === parseInt(count.ingredient_id)) ||
+            (!count.ingredient_id && l.product_id === parseInt(count.product_id) &&
+              (l.variant_id || null) === (count.variant_id ? parseInt(count.variant_id) : null))
+          );
+
+        if (!line && count.line_id) {
+          throw ApiError.badRequest('Line does not belong to this stocktake');
+        }
+
+        if (!line) {
+          line = await addLine(connection, id, count);
+          lines.push(line);
+        }
+
+        if (count.counted_quantity === null || count.counted_quantity === undefined) {
+          await connection.execute(
+            `UPDATE stocktake_lines
+             SET counted_quantity = NULL, counted_by_user_id = NULL, counted_at = NULL
+             WHERE id = ?`,
+            [line.id]
+          );
+          continue;
+        }
+
+        const { stock, unitCost } = await itemStock(connection, line);
+
+        await connection.execute(
+          `UPDATE stocktake_lines
+           SET counted_quantity = ?, expected_quantity = ?, unit_cost = ?, counted_by_user_id = ?, counted_at = NOW()
+           WHERE id = ?`,
+          [roundQuantity(parseFloat(count.counted_quantity)), stock, unitCost, req.user.id, line.id]
+        );
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Counts saved',
+      data: await loadStocktake(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a stocktake: every counted line's variance becomes one 'count' movement, all in one transaction.
+ * Uncounted lines are left alone.
+ * POST /api/stocktakes/:id/post
+ */
+const postStocktake = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.transaction(async (connection) => {
+      const stocktake = await loadStocktake(connection, id);
+
+      if (!stocktake) {
+        throw ApiError.notFound('Stocktake not found');
+      }
+
+      const [[locked]] = await connection.execute(
+        'SELECT status FROM stocktakes WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (locked.status !== 'open') {
+        throw ApiError.badRequest(`Stocktake is already ${locked.status}`);
+      }
+
+      if (stocktake.totals.counted_lines === 0) {
+        throw ApiError.badRequest('No items have been counted');
+      }
+
+      const adjusted = stocktake.lines.filter(line => line.variance);
+
+      for (const line of adjusted) {
+        await recordStockMovement(connection, {
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+          ingredient_id: line.ingredient_id,
+          type: 'count',
+          quantity: line.variance,
+          user_id: req.user.id,
+          reason: `Stocktake: ${stocktake.name}`
+        });
+      }
+
+      await connection.execute(
+        `UPDATE stocktakes
+         SET status = 'posted', posted_by_user_id = ?, posted_at = NOW(), variance_value = ?
+         WHERE id = ?`,
+        [req.user.id, stocktake.totals.variance_value, id]
+      );
+
+      return { stocktake, adjusted };
+    });
+
+    const { stocktake, adjusted } = result;
+
+    await logAudit(req.user.id, 'STOCKTAKE_POSTED', 'stocktake', id, null, {
+      name: stocktake.name,
+      variance_value: stocktake.totals.variance_value,
+      adjustments: adjusted.map(line => ({
+        description: line.description,
+        expected: line.expected_quantity,
+        counted: line.counted_quantity,
+        variance: line.variance,
+        value: line.variance_value
+      }))
+    });
+
+    logger.info(`Stocktake "${stocktake.name}" posted by ${req.user.username}: ${adjusted.length} adjustments, variance ${stocktake.totals.variance_value}`);
+
+    res.json({
+      success: true,
+      message: `Stocktake posted: ${adjusted.length} items adjusted`,
+      data: await loadStocktake(db.pool, id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an open stocktake (stock is not touched)
+ * POST /api/stocktakes/:id/cancel
+ */
+const cancelStocktake = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [stocktake] = await db.query('SELECT * FROM stocktakes WHERE id = ?', [id]);
+
+    if (!stocktake) {
+      throw ApiError.notFound('Stocktake not found');
+    }
+
+    if (stocktake.status !== 'open') {
+      throw ApiError.badRequest(`Stocktake is already ${stocktake.status}`);
+    }
+
+    await db.query(
+      `UPDATE stocktakes SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?`,
+      [id]
+    );
+
+    await logAudit(req.user.id, 'STOCKTAKE_CANCELLED', 'stocktake', id, { status: 'open' }, { status: 'cancelled' });
+
+    logger.info(`Stocktake "${stocktake.name}" cancelled by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Stocktake cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  withVariance,
+  stocktakeTotals,
+  getStocktakes,
+  getStocktakeById,
+  createStocktake,
+  saveCounts,
+  postStocktake,
+  cancelStocktake
+};
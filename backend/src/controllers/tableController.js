@@ -7,6 +7,9 @@ const db = require('../config/database');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { logAudit } = require('./authController');
+const { attachItemModifiers } = require('./modifierController');
+const { attachItemComponents } = require('./bundleController');
+const eventBus = require('../utils/eventBus');
 
 /**
  * Get all tables with their current status
@@ -20,14 +23,24 @@ const getTables = async (req, res, next) => {
 
     let query = `
       SELECT t.id, t.table_number, t.capacity, t.status, t.section,
-             t.position_x, t.position_y, t.current_order_id,
+             t.shape, t.width, t.height, t.position_x, t.position_y, t.current_order_id,
              t.locked_by_user_id, t.locked_at, t.is_active,
              o.order_number, o.total_amount as current_total,
-             o.opened_at as order_opened_at, o.guest_count,
-             u.full_name as server_name, u.id as server_id
+             o.opened_at as order_opened_at, o.guest_count, o.table_id as order_table_id,
+             TIMESTAMPDIFF(MINUTE, o.opened_at, NOW()) as elapsed_minutes,
+             (SELECT COALESCE(SUM(p.amount_due), 0) FROM payments p
+              WHERE p.order_id = o.id AND p.status IN ('completed', 'refunded')) as amount_tendered,
+             u.full_name as server_name, u.id as server_id,
+             r.id as reservation_id, r.guest_name as reservation_guest_name,
+             r.party_size as reservation_party_size, r.reserved_at
       FROM restaurant_tables t
       LEFT JOIN orders o ON t.current_order_id = o.id
       LEFT JOIN users u ON o.server_id = u.id
+      LEFT JOIN reservations r ON r.id = (
+        SELECT r2.id FROM reservations r2
+        WHERE r2.table_id = t.id AND r2.status = 'booked' AND r2.held_at IS NOT NULL
+        ORDER BY r2.reserved_at LIMIT 1
+      )
       WHERE 1=1
     `;
     const params = [];
@@ -63,7 +76,7 @@ const getTableById = async (req, res, next) => {
     const [table] = await db.query(
       `SELECT t.*, 
               o.id as order_id, o.order_number, o.total_amount, o.subtotal,
-              o.opened_at, o.guest_count, o.status as order_status,
+              o.opened_at, o.guest_count, o.status as order_status, o.table_id as order_table_id,
               u.full_name as server_name, u.id as server_id
        FROM restaurant_tables t
        LEFT JOIN orders o ON t.current_order_id = o.id
@@ -90,7 +103,18 @@ const getTableById = async (req, res, next) => {
          ORDER BY oi.added_at`,
         [table.order_id]
       );
-      table.order_items = items;
+      await attachItemComponents(db.pool, items);
+      table.order_items = await attachItemModifiers(db.pool, items);
+
+      // Tables pushed together for the order, main table first
+      table.order_tables = await db.query(
+        `SELECT t.id, t.table_number, t.capacity, t.section
+         FROM restaurant_tables t
+         JOIN orders o ON t.current_order_id = o.id
+         WHERE o.id = ?
+         ORDER BY t.id = o.table_id DESC, t.table_number`,
+        [table.order_id]
+      );
     }
     
     res.json({
@@ -140,7 +164,8 @@ const getTableByNumber = async (req, res, next) => {
          ORDER BY oi.added_at`,
         [table.order_id]
       );
-      table.order_items = items;
+      await attachItemComponents(db.pool, items);
+      table.order_items = await attachItemModifiers(db.pool, items);
     }
     
     res.json({
@@ -192,6 +217,8 @@ const lockTable = async (req, res, next) => {
       );
     });
     
+    eventBus.publish('table.updated', { table_id: Number(id) });
+    
     logger.info(`Table ${id} locked by user ${req.user.username}`);
     
     res.json({
@@ -241,6 +268,8 @@ const unlockTable = async (req, res, next) => {
       );
     });
     
+    eventBus.publish('table.updated', { table_id: Number(id) });
+    
     logger.info(`Table ${id} unlocked by user ${req.user.username}`);
     
     res.json({
@@ -300,6 +329,8 @@ const updateTableStatus = async (req, res, next) => {
       { status }
     );
     
+    eventBus.publish('table.updated', { table_id: Number(id), status });
+    
     logger.info(`Table ${table.table_number} status changed to ${status} by ${req.user.username}`);
     
     res.json({
@@ -362,19 +393,20 @@ const getTablesSummary = async (req, res, next) => {
  */
 const createTable = async (req, res, next) => {
   try {
-    const { table_number, capacity, section, position_x, position_y } = req.body;
+    const { table_number, capacity, section, shape, width, height, position_x, position_y } = req.body;
     const [existing] = await db.query(
       'SELECT id FROM restaurant_tables WHERE table_number = ?',
       [table_number]
     );
     if (existing) throw ApiError.conflict('Table number already exists');
     const result = await db.query(
-      `INSERT INTO restaurant_tables (table_number, capacity, section, position_x, position_y)
-       VALUES (?, ?, ?, ?, ?)`,
-      [table_number, capacity ?? 4, section || null, position_x ?? 0, position_y ?? 0]
+      `INSERT INTO restaurant_tables (table_number, capacity, section, shape, width, height, position_x, position_y)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [table_number, capacity ?? 4, section || null, shape || 'square', width ?? 80, height ?? 80, position_x ?? 0, position_y ?? 0]
     );
     const id = result.insertId;
     await logAudit(req.user.id, 'TABLE_CREATED', 'table', id, null, { table_number });
+    eventBus.publish('table.updated', { table_id: id });
     logger.info(`Table ${table_number} created by ${req.user.username}`);
     const [row] = await db.query('SELECT * FROM restaurant_tables WHERE id = ?', [id]);
     res.status(201).json({ success: true, message: 'Table created', data: row });
@@ -384,13 +416,13 @@ const createTable = async (req, res, next) => {
 };
 
 /**
- * Update table (table_number, capacity, section, position, is_active)
+ * Update table (table_number, capacity, section, shape, size, position, is_active)
  * PUT /api/tables/:id
  */
 const updateTable = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { table_number, capacity, section, position_x, position_y, is_active } = req.body;
+    const { table_number, capacity, section, shape, width, height, position_x, position_y, is_active } = req.body;
     const [existing] = await db.query('SELECT * FROM restaurant_tables WHERE id = ?', [id]);
     if (!existing) throw ApiError.notFound('Table not found');
     if (table_number != null && table_number !== existing.table_number) {
@@ -402,6 +434,9 @@ const updateTable = async (req, res, next) => {
     if (table_number !== undefined) { updates.push('table_number = ?'); values.push(table_number); }
     if (capacity !== undefined) { updates.push('capacity = ?'); values.push(capacity); }
     if (section !== undefined) { updates.push('section = ?'); values.push(section); }
+    if (shape !== undefined) { updates.push('shape = ?'); values.push(shape); }
+    if (width !== undefined) { updates.push('width = ?'); values.push(width); }
+    if (height !== undefined) { updates.push('height = ?'); values.push(height); }
     if (position_x !== undefined) { updates.push('position_x = ?'); values.push(position_x); }
     if (position_y !== undefined) { updates.push('position_y = ?'); values.push(position_y); }
     if (is_active !== undefined) { updates.push('is_active = ?'); values.push(!!is_active); }
@@ -409,6 +444,7 @@ const updateTable = async (req, res, next) => {
     values.push(id);
     await db.query(`UPDATE restaurant_tables SET ${updates.join(', ')} WHERE id = ?`, values);
     await logAudit(req.user.id, 'TABLE_UPDATED', 'table', id, existing, req.body);
+    eventBus.publish('table.updated', { table_id: Number(id) });
     const [row] = await db.query('SELECT * FROM restaurant_tables WHERE id = ?', [id]);
     res.json({ success: true, message: 'Table updated', data: row });
   } catch (error) {
@@ -430,6 +466,7 @@ const deleteTable = async (req, res, next) => {
     }
     await db.query('UPDATE restaurant_tables SET is_active = FALSE, status = ? WHERE id = ?', ['available', id]);
     await logAudit(req.user.id, 'TABLE_DELETED', 'table', id, null, null);
+    eventBus.publish('table.updated', { table_id: Number(id) });
     logger.info(`Table ${existing.table_number} deactivated by ${req.user.username}`);
     res.json({ success: true, message: 'Table deactivated' });
   } catch (error) {
@@ -0,0 +1,231 @@
+/**
+ * Tax Rate Controller
+ * Manages the VAT rates assigned to categories and products
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+
+/**
+ * SQL for an order line's tax on its discounted price, rounded half up to cents.
+ * Tax-inclusive prices already contain it; tax-exclusive lines have it added on top.
+ * The update_order_totals procedure in schema.sql carries the same expression.
+ */
+const LINE_TAX_SQL = `ROUND(IF(tax_inclusive,
+  (subtotal - discount_amount) * tax_rate / (100 + tax_rate),
+  (subtotal - discount_amount) * tax_rate / 100), 2)`;
+
+/**
+ * Resolve the tax rate for a product: its own rate, else its category's, else the default rate.
+ * Inactive rates fall through to the default. Returns { rate: 0, is_inclusive: true } when none apply.
+ * @param {Object} connection - Transaction connection
+ * @param {Object} product - Product row with tax_rate_id and category_id
+ * @returns {Promise<{rate: number, is_inclusive: boolean}>}
+ */
+const resolveTaxRate = async (connection, product) => {
+  const [[category]] = await connection.execute(
+    'SELECT tax_rate_id FROM categories WHERE id = ?',
+    [product.category_id]
+  );
+
+  const taxRateId = product.tax_rate_id || category?.tax_rate_id || 0;
+
+  const [[taxRate]] = await connection.execute(
+    `SELECT rate, is_inclusive FROM tax_rates
+     WHERE is_active = TRUE AND (id = ? OR is_default = TRUE)
+     ORDER BY id = ? DESC
+     LIMIT 1`,
+    [taxRateId, taxRateId]
+  );
+
+  return taxRate
+    ? { rate: parseFloat(taxRate.rate), is_inclusive: !!taxRate.is_inclusive }
+    : { rate: 0, is_inclusive: true };
+};
+
+/**
+ * Get all tax rates with usage counts
+ * GET /api/tax-rates
+ */
+const getTaxRates = async (req, res, next) => {
+  try {
+    const { include_inactive } = req.query;
+
+    let query = `
+      SELECT tr.*,
+             (SELECT COUNT(*) FROM categories c WHERE c.tax_rate_id = tr.id AND c.is_active = TRUE) as category_count,
+             (SELECT COUNT(*) FROM products p WHERE p.tax_rate_id = tr.id AND p.is_active = TRUE) as product_count
+      FROM tax_rates tr
+    `;
+
+    if (!include_inactive) {
+      query += ' WHERE tr.is_active = TRUE';
+    }
+
+    query += ' ORDER BY tr.rate, tr.name';
+
+    const taxRates = await db.query(query);
+
+    res.json({
+      success: true,
+      data: taxRates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create tax rate
+ * POST /api/tax-rates
+ */
+const createTaxRate = async (req, res, next) => {
+  try {
+    const { name, rate, is_inclusive = true, is_default = false } = req.body;
+
+    const [existing] = await db.query('SELECT id FROM tax_rates WHERE name = ?', [name]);
+
+    if (existing) {
+      throw ApiError.conflict('A tax rate with this name already exists');
+    }
+
+    const taxRateId = await db.transaction(async (connection) => {
+      if (is_default) {
+        await connection.execute('UPDATE tax_rates SET is_default = FALSE');
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO tax_rates (name, rate, is_inclusive, is_default) VALUES (?, ?, ?, ?)',
+        [name, rate, is_inclusive ? true : false, is_default ? true : false]
+      );
+
+      return result.insertId;
+    });
+
+    await logAudit(req.user.id, 'TAX_RATE_CREATED', 'tax_rate', taxRateId, null, { name, rate, is_inclusive });
+
+    logger.info(`Tax rate "${name}" (${rate}%) created by ${req.user.username}`);
+
+    const [taxRate] = await db.query('SELECT * FROM tax_rates WHERE id = ?', [taxRateId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: taxRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update tax rate. Lines already on orders keep the rate they were rung up with.
+ * PUT /api/tax-rates/:id
+ */
+const updateTaxRate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, rate, is_inclusive, is_default, is_active } = req.body;
+
+    const [existing] = await db.query('SELECT * FROM tax_rates WHERE id = ?', [id]);
+
+    if (!existing) {
+      throw ApiError.notFound('Tax rate not found');
+    }
+
+    if (name !== undefined && name !== existing.name) {
+      const [duplicate] = await db.query('SELECT id FROM tax_rates WHERE name = ? AND id != ?', [name, id]);
+      if (duplicate) {
+        throw ApiError.conflict('A tax rate with this name already exists');
+      }
+    }
+
+    if (existing.is_default && (is_active === false || is_default === false)) {
+      throw ApiError.badRequest('Make another rate the default first');
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) { updates.push('name = ?'); values.push(name); }
+    if (rate !== undefined) { updates.push('rate = ?'); values.push(rate); }
+    if (is_inclusive !== undefined) { updates.push('is_inclusive = ?'); values.push(is_inclusive); }
+    if (is_default !== undefined) { updates.push('is_default = ?'); values.push(is_default); }
+    if (is_active !== undefined) { updates.push('is_active = ?'); values.push(is_active); }
+
+    if (updates.length === 0) {
+      throw ApiError.badRequest('No fields to update');
+    }
+
+    values.push(id);
+
+    await db.transaction(async (connection) => {
+      if (is_default) {
+        await connection.execute('UPDATE tax_rates SET is_default = FALSE WHERE id != ?', [id]);
+      }
+
+      await connection.execute(
+        `UPDATE tax_rates SET ${updates.join(', ')} WHERE id = ?`,
+        values
+      );
+    });
+
+    await logAudit(req.user.id, 'TAX_RATE_UPDATED', 'tax_rate', id, existing, req.body);
+
+    logger.info(`Tax rate "${existing.name}" updated by ${req.user.username}`);
+
+    const [taxRate] = await db.query('SELECT * FROM tax_rates WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: taxRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete tax rate (soft delete). Categories and products using it fall back to the default rate.
+ * DELETE /api/tax-rates/:id
+ */
+const deleteTaxRate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [taxRate] = await db.query('SELECT * FROM tax_rates WHERE id = ?', [id]);
+
+    if (!taxRate) {
+      throw ApiError.notFound('Tax rate not found');
+    }
+
+    if (taxRate.is_default) {
+      throw ApiError.badRequest('The default tax rate cannot be deleted');
+    }
+
+    await db.query('UPDATE tax_rates SET is_active = FALSE WHERE id = ?', [id]);
+
+    await logAudit(req.user.id, 'TAX_RATE_DELETED', 'tax_rate', id, null, null);
+
+    logger.info(`Tax rate "${taxRate.name}" deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  LINE_TAX_SQL,
+  resolveTaxRate,
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
@@ -7,7 +7,7 @@ const bcrypt = require('bcrypt');
 const db = require('../config/database');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-const { logAudit } = require('./authController');
+const { logAudit, revokeSessions } = require('./authController');
 
 /**
  * Get all users with their roles
@@ -213,6 +213,11 @@ const updateUser = async (req, res, next) => {
       values
     );
     
+    // A deactivated user is signed out everywhere at once
+    if (is_active !== undefined && !is_active) {
+      await revokeSessions({ userId: id }, req.user.id, 'deactivated');
+    }
+    
     // Log audit
     await logAudit(req.user.id, 'USER_UPDATED', 'user', id, 
       { full_name: currentUser.full_name, role_id: currentUser.role_id, is_active: currentUser.is_active },
@@ -270,6 +275,9 @@ const resetUserPin = async (req, res, next) => {
       [pinHash, id]
     );
     
+    // Sessions started with the old PIN are no longer trusted
+    await revokeSessions({ userId: id }, req.user.id, 'pin_reset');
+    
     // Log audit
     await logAudit(req.user.id, 'USER_PIN_RESET', 'user', id, null, null);
     
@@ -319,8 +327,11 @@ const deleteUser = async (req, res, next) => {
       [id]
     );
     
+    // Revoke sessions so existing tokens stop working immediately
+    const revokedCount = await revokeSessions({ userId: id }, req.user.id, 'deactivated');
+    
     // Log audit
-    await logAudit(req.user.id, 'USER_DELETED', 'user', id, null, null);
+    await logAudit(req.user.id, 'USER_DELETED', 'user', id, null, { revoked_sessions: revokedCount });
     
     logger.info(`User deactivated: ${user.username} by ${req.user.username}`);
     
@@ -333,6 +344,127 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Get active sessions, optionally filtered by user or device
+ * GET /api/users/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const { user_id, device } = req.query;
+    
+    let sql = `
+      SELECT s.id, s.user_id, s.device_info, s.ip_address,
+             s.created_at, s.last_seen_at, s.expires_at,
+             u.username, u.full_name, r.name as role_name
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      JOIN roles r ON u.role_id = r.id
+      WHERE s.revoked_at IS NULL AND s.expires_at > NOW()
+    `;
+    const params = [];
+    
+    if (user_id) {
+      sql += ' AND s.user_id = ?';
+      params.push(user_id);
+    }
+    
+    if (device) {
+      sql += ' AND (s.device_info LIKE ? OR s.ip_address LIKE ?)';
+      params.push(`%${device}%`, `%${device}%`);
+    }
+    
+    sql += ' ORDER BY COALESCE(s.last_seen_at, s.created_at) DESC';
+    
+    const sessions = await db.query(sql, params);
+    
+    sessions.forEach(session => {
+      session.is_current = session.id === req.sessionId;
+    });
+    
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Force-logout a single session
+ * DELETE /api/users/sessions/:sessionId
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const [session] = await db.query(
+      `SELECT s.id, s.user_id, s.device_info, u.username
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [sessionId]
+    );
+    
+    if (!session) {
+      throw ApiError.notFound('Active session not found');
+    }
+    
+    if (session.id === req.sessionId) {
+      throw ApiError.badRequest('Use logout to end your own session');
+    }
+    
+    await revokeSessions({ sessionId: session.id }, req.user.id, 'forced');
+    
+    await logAudit(req.user.id, 'SESSION_REVOKED', 'user', session.user_id, null,
+      { session_id: session.id, device_info: session.device_info }
+    );
+    
+    logger.info(`Session ${session.id} of ${session.username} revoked by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Force-logout every session of a user (except the caller's own)
+ * DELETE /api/users/:id/sessions
+ */
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const [user] = await db.query('SELECT username FROM users WHERE id = ?', [id]);
+    
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+    
+    const count = await revokeSessions(
+      { userId: id, exceptSessionId: req.sessionId },
+      req.user.id,
+      'forced'
+    );
+    
+    await logAudit(req.user.id, 'USER_SESSIONS_REVOKED', 'user', id, null, { revoked_sessions: count });
+    
+    logger.info(`${count} session(s) of ${user.username} revoked by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: `${count} session(s) revoked`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all roles
  * GET /api/roles
@@ -366,5 +498,8 @@ module.exports = {
   updateUser,
   resetUserPin,
   deleteUser,
+  getSessions,
+  revokeSession,
+  revokeUserSessions,
   getRoles
 };
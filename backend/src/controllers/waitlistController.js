@@ -0,0 +1,359 @@
+/**
+ * Waitlist Controller
+ * Walk-in parties waiting for a table. Waits are estimated from table capacities, how long the
+ * current orders have been open and how long tables of that size usually stay occupied.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { openOrder } = require('./orderController');
+const eventBus = require('../utils/eventBus');
+
+// Turn time used when there is no history yet
+const DEFAULT_TURN_MINUTES = 60;
+
+/**
+ * Turn times by table capacity from per-capacity averages, and the overall average weighted by order count
+ * @param {Array} rows - [{ capacity, turn_minutes, order_count }]
+ * @returns {Object} { byCapacity: { [capacity]: minutes }, overall }
+ */
+const averageTurnTimes = (rows) => {
+  const byCapacity = {};
+  let total = 0;
+  let count = 0;
+  for (const row of rows) {
+    byCapacity[row.capacity] = Math.round(parseFloat(row.turn_minutes));
+    total += parseFloat(row.turn_minutes) * row.order_count;
+    count += row.order_count;
+  }
+
+  return { byCapacity, overall: count > 0 ? Math.round(total / count) : DEFAULT_TURN_MINUTES };
+};
+
+/**
+ * Average turn time (open to paid) of table orders over the last 30 days, by table capacity.
+ * Orders shorter than 5 minutes or longer than 6 hours are left out.
+ * @returns {Promise<Object>} { byCapacity: { [capacity]: minutes }, overall }
+ */
+const getTurnTimes = async (connection) => {
+  const [rows] = await connection.execute(
+    `SELECT t.capacity, AVG(TIMESTAMPDIFF(MINUTE, o.opened_at, o.closed_at)) as turn_minutes, COUNT(*) as order_count
+     FROM orders o
+     JOIN restaurant_tables t ON o.table_id = t.id
+     WHERE o.status = 'paid' AND o.closed_at IS NOT NULL
+       AND o.opened_at >= NOW() - INTERVAL 30 DAY
+       AND TIMESTAMPDIFF(MINUTE, o.opened_at, o.closed_at) BETWEEN 5 AND 360
+     GROUP BY t.capacity`
+  );
+
+  return averageTurnTimes(rows);
+};
+
+/**
+ * Estimated wait in minutes for each party, in queue order: every party takes the table big enough
+ * for it that frees up first (occupied tables free up after their usual turn time), which is then
+ * busy for another turn. null when no table is big enough.
+ * @param {Array} tables - [{ capacity, status, elapsed_minutes }] with status 'available' or 'occupied'
+ * @param {Object} turnTimes - From averageTurnTimes
+ * @param {Array} parties - [{ party_size }] in the order they are seated
+ */
+const queueWaits = (tables, turnTimes, parties) => {
+  const turn = (capacity) => turnTimes.byCapacity[capacity] || turnTimes.overall;
+
+  // Minutes from now until each table is free
+  const freeIn = tables.map(t => ({
+    capacity: t.capacity,
+    at: t.status === 'available' ? 0 : Math.max(0, turn(t.capacity) - (t.elapsed_minutes || 0))
+  }));
+
+  return parties.map(party => {
+    const best = freeIn
+      .filter(t => t.capacity >= party.party_size)
+      .sort((a, b) => a.at - b.at || a.capacity - b.capacity)[0];
+    if (!best) return null;
+
+    const wait = best.at;
+    best.at = wait + turn(best.capacity);
+    return Math.ceil(wait / 5) * 5;
+  });
+};
+
+/**
+ * Estimated wait for each waiting party (see queueWaits). Reserved and maintenance tables don't count.
+ * @param {Array} parties - [{ party_size }] in the order they are seated
+ */
+const estimateWaits = async (connection, parties) => {
+  const [tables] = await connection.execute(
+    `SELECT t.id, t.capacity, t.status, TIMESTAMPDIFF(MINUTE, o.opened_at, NOW()) as elapsed_minutes
+     FROM restaurant_tables t
+     LEFT JOIN orders o ON t.current_order_id = o.id
+     WHERE t.is_active = TRUE AND t.status IN ('available', 'occupied')`
+  );
+
+  return queueWaits(tables, await getTurnTimes(connection), parties);
+};
+
+const getWaitingParties = async (connection) => {
+  const [entries] = await connection.execute(
+    `SELECT w.*, TIMESTAMPDIFF(MINUTE, w.created_at, NOW()) as waited_minutes, u.full_name as added_by_name
+     FROM waitlist_entries w
+     LEFT JOIN users u ON w.added_by_user_id = u.id
+     WHERE w.status = 'waiting'
+     ORDER BY w.created_at, w.id`
+  );
+  return entries;
+};
+
+/**
+ * Get the waitlist: waiting parties in order with their estimated wait,
+ * or today's seated / left parties with ?status=
+ * GET /api/waitlist
+ */
+const getWaitlist = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status && status !== 'waiting') {
+      const entries = await db.query(
+        `SELECT w.*, t.table_number, o.order_number
+         FROM waitlist_entries w
+         LEFT JOIN restaurant_tables t ON w.table_id = t.id
+         LEFT JOIN orders o ON w.order_id = o.id
+         WHERE w.status = ? AND DATE(w.created_at) = CURDATE()
+         ORDER BY w.created_at DESC`,
+        [status]
+      );
+      return res.json({ success: true, data: entries });
+    }
+
+    const entries = await getWaitingParties(db.pool);
+    const waits = await estimateWaits(db.pool, entries);
+
+    res.json({
+      success: true,
+      data: entries.map((entry, i) => ({ ...entry, estimated_wait_minutes: waits[i] }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Quote the wait for a party joining the end of the list
+ * GET /api/waitlist/estimate
+ */
+const getWaitEstimate = async (req, res, next) => {
+  try {
+    const partySize = parseInt(req.query.party_size);
+    const entries = await getWaitingParties(db.pool);
+    const waits = await estimateWaits(db.pool, [...entries, { party_size: partySize }]);
+
+    res.json({
+      success: true,
+      data: {
+        party_size: partySize,
+        parties_ahead: entries.length,
+        estimated_wait_minutes: waits[waits.length - 1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a party to the waitlist; the quoted wait is stored with it
+ * POST /api/waitlist
+ */
+const addToWaitlist = async (req, res, next) => {
+  try {
+    const { party_name, party_size, phone, notes } = req.body;
+
+    const entries = await getWaitingParties(db.pool);
+    const waits = await estimateWaits(db.pool, [...entries, { party_size }]);
+    const quoted = waits[waits.length - 1];
+
+    const result = await db.query(
+      `INSERT INTO waitlist_entries (party_name, party_size, phone, notes, quoted_wait_minutes, added_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [party_name, party_size, phone || null, notes || null, quoted, req.user.id]
+    );
+
+    await logAudit(req.user.id, 'WAITLIST_ADDED', 'waitlist_entry', result.insertId, null, {
+      party_name, party_size, quoted_wait_minutes: quoted
+    });
+
+    eventBus.publish('waitlist.updated', { entry_id: result.insertId });
+
+    logger.info(`${party_name} (${party_size}) added to the waitlist by ${req.user.username}, quoted ${quoted ?? '-'} min`);
+
+    const [entry] = await db.query('SELECT * FROM waitlist_entries WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: quoted == null
+        ? 'Added to the waitlist (no table is big enough)'
+        : `Added to the waitlist, about ${quoted} min`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a waiting party or fail
+const findWaitingEntry = async (connection, id) => {
+  const [[entry]] = await connection.execute('SELECT * FROM waitlist_entries WHERE id = ? FOR UPDATE', [id]);
+
+  if (!entry) {
+    throw ApiError.notFound('Waitlist entry not found');
+  }
+
+  if (entry.status !== 'waiting') {
+    throw ApiError.badRequest(`Party has already ${entry.status === 'seated' ? 'been seated' : 'left'}`);
+  }
+
+  return entry;
+};
+
+/**
+ * Update a waiting party (name, size, phone, notes)
+ * PUT /api/waitlist/:id
+ */
+const updateWaitlistEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = ['party_name', 'party_size', 'phone', 'notes'];
+    const changes = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field] === '' ? null : req.body[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw ApiError.badRequest('No fields to update');
+    }
+
+    const existing = await db.transaction(async (connection) => {
+      const entry = await findWaitingEntry(connection, id);
+      const columns = Object.keys(changes);
+      await connection.execute(
+        `UPDATE waitlist_entries SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => changes[c]), id]
+      );
+      return entry;
+    });
+
+    await logAudit(req.user.id, 'WAITLIST_UPDATED', 'waitlist_entry', id,
+      Object.fromEntries(Object.keys(changes).map(c => [c, existing[c]])), changes
+    );
+
+    eventBus.publish('waitlist.updated', { entry_id: parseInt(id) });
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Seat a waiting party on a table: opens the order for the current user
+ * POST /api/waitlist/:id/seat
+ */
+const seatWaitlistEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { table_id } = req.body;
+    const userId = req.user.id;
+
+    const result = await db.transaction(async (connection) => {
+      const entry = await findWaitingEntry(connection, id);
+
+      const order = await openOrder(connection, {
+        tableId: table_id,
+        serverId: userId,
+        guestCount: entry.party_size,
+        notes: entry.notes
+      });
+
+      await connection.execute(
+        `UPDATE waitlist_entries
+         SET status = 'seated', seated_at = NOW(), table_id = ?, order_id = ?
+         WHERE id = ?`,
+        [table_id, order.orderId, id]
+      );
+
+      return { ...order, entry };
+    });
+
+    await logAudit(userId, 'ORDER_CREATED', 'order', result.orderId, null, {
+      table_id,
+      guest_count: result.entry.party_size,
+      order_number: result.orderNumber,
+      waitlist_entry_id: parseInt(id)
+    });
+    await logAudit(userId, 'WAITLIST_SEATED', 'waitlist_entry', id,
+      { status: 'waiting' }, { status: 'seated', table_id, order_id: result.orderId }
+    );
+
+    eventBus.publish('order.created', { order_id: result.orderId, table_id: Number(table_id) });
+    eventBus.publish('waitlist.updated', { entry_id: parseInt(id) });
+
+    logger.info(`${result.entry.party_name} (${result.entry.party_size}) seated from the waitlist at table ${result.tableNumber} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `${result.entry.party_name} seated at table ${result.tableNumber}`,
+      data: { order_id: result.orderId, order_number: result.orderNumber, table_id }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a party off the list without seating it (left or gave up)
+ * POST /api/waitlist/:id/remove
+ */
+const removeWaitlistEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await db.transaction(async (connection) => {
+      const entry = await findWaitingEntry(connection, id);
+      await connection.execute(
+        `UPDATE waitlist_entries SET status = 'left', removed_at = NOW() WHERE id = ?`,
+        [id]
+      );
+      return entry;
+    });
+
+    await logAudit(req.user.id, 'WAITLIST_REMOVED', 'waitlist_entry', id,
+      { status: 'waiting' }, { status: 'left', party_name: entry.party_name }
+    );
+
+    eventBus.publish('waitlist.updated', { entry_id: parseInt(id) });
+
+    res.json({
+      success: true,
+      message: `${entry.party_name} removed from the waitlist`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  averageTurnTimes,
+  queueWaits,
+  getWaitlist,
+  getWaitEstimate,
+  addToWaitlist,
+  updateWaitlistEntry,
+  seatWaitlistEntry,
+  removeWaitlistEntry
+};
@@ -0,0 +1,368 @@
+/**
+ * Waste Controller
+ * Waste and spoilage log: each entry takes its stock out as 'waste' movements and is valued at cost.
+ * Kitchen remakes link the order item they replace.
+ */
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { logAudit } = require('./authController');
+const { recordStockMovement } = require('./stockController');
+const { adjustItemStock } = require('./orderController');
+
+const WASTE_REASONS = ['dropped', 'burnt', 'expired', 'spoiled', 'returned', 'prep_error', 'other'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Recipe lines for one unit of a product (variant lines included for that variant)
+const recipeFor = async (connection, productId, variantId) => {
+  const [lines] = await connection.execute(
+    `SELECT pi.ingredient_id, pi.quantity, i.cost_per_unit
+     FROM product_ingredients pi
+     JOIN ingredients i ON pi.ingredient_id = i.id
+     WHERE pi.product_id = ? AND (pi.variant_id IS NULL OR pi.variant_id = ?)`,
+    [productId, variantId || 0]
+  );
+  return lines;
+};
+
+/**
+ * Cost of one unit of a product: its (variant's) cost price, or what its recipe costs when it has none
+ */
+const productUnitCost = async (connection, productId, variantId) => {
+  const [[row]] = await connection.execute(
+    `SELECT COALESCE(pv.cost_price, p.cost_price, 0) as cost_price
+     FROM products p
+     LEFT JOIN product_variants pv ON pv.id = ? AND pv.product_id = p.id
+     WHERE p.id = ?`,
+    [variantId || 0, productId]
+  );
+  const costPrice = parseFloat(row && row.cost_price) || 0;
+  if (costPrice > 0) return costPrice;
+
+  const recipe = await recipeFor(connection, productId, variantId);
+  return recipe.reduce((sum, line) => sum + parseFloat(line.quantity) * parseFloat(line.cost_per_unit), 0);
+};
+
+/**
+ * Record a waste entry and take its stock out (run inside the caller's transaction).
+ * - order_item_id: a remade dish; stock moves like the sale did (product, bundle components, recorded ingredients)
+ * - ingredient_id: the ingredient itself
+ * - product_id (+ variant_id): the product's stock when tracked, plus its recipe ingredients
+ * @param {Object} entry - { product_id, variant_id, ingredient_id, order_item_id, quantity, reason, notes }
+ * @returns {Promise<Object>} The stored entry fields with its id
+ */
+const logWaste = async (connection, entry, userId) => {
+  const quantity = roundQuantity(parseFloat(entry.quantity));
+
+  if (!(quantity > 0)) {
+    throw ApiError.badRequest('Quantity must be greater than zero');
+  }
+
+  if (!WASTE_REASONS.includes(entry.reason)) {
+    throw ApiError.badRequest(`Unknown waste reason: ${entry.reason}`);
+  }
+
+  let item;
+  let unitCost;
+  let moveStock;
+
+  if (entry.order_item_id) {
+    const [[orderItem]] = await connection.execute(
+      `SELECT oi.id, oi.order_id, oi.product_id, oi.variant_id, oi.variant_name,
+              p.name as product_name, p.track_stock, p.is_bundle
+       FROM order_items oi
+       JOIN products p ON oi.product_id = p.id
+       WHERE oi.id = ?`,
+      [entry.order_item_id]
+    );
+
+    if (!orderItem) {
+      throw ApiError.notFound('Order item not found');
+    }
+
+    item = {
+      product_id: orderItem.product_id,
+      variant_id: orderItem.variant_id,
+      order_id: orderItem.order_id,
+      order_item_id: orderItem.id,
+      description: orderItem.variant_name ? `${orderItem.product_name} (${orderItem.variant_name})` : orderItem.product_name
+    };
+
+    if (orderItem.is_bundle) {
+      const [components] = await connection.execute(
+        'SELECT product_id, variant_id, quantity FROM order_item_components WHERE order_item_id = ?',
+        [orderItem.id]
+      );
+      unitCost = 0;
+      for (const component of components) {
+        unitCost += component.quantity * await productUnitCost(connection, component.product_id, component.variant_id);
+      }
+    } else {
+      unitCost = await productUnitCost(connection, orderItem.product_id, orderItem.variant_id);
+    }
+
+    moveStock = (reason) => adjustItemStock(connection, orderItem, -quantity, userId, { type: 'waste', reason });
+  } else if (entry.ingredient_id) {
+    const [[ingredient]] = await connection.execute(
+      'SELECT id, name, cost_per_unit FROM ingredients WHERE id = ?',
+      [entry.ingredient_id]
+    );
+
+    if (!ingredient) {
+      throw ApiError.notFound('Ingredient not found');
+    }
+
+    item = { ingredient_id: ingredient.id, description: ingredient.name };
+    unitCost = parseFloat(ingredient.cost_per_unit) || 0;
+
+    moveStock = async (reason) => {
+      await recordStockMovement(connection, {
+        ingredient_id: ingredient.id, type: 'waste', quantity: -quantity, user_id: userId, reason
+      });
+    };
+  } else {
+    const [[product]] = await connection.execute(
+      'SELECT id, name, track_stock, is_bundle FROM products WHERE id = ?',
+      [entry.product_id || 0]
+    );
+
+    if (!product) {
+      throw ApiError.notFound('Product not found');
+    }
+
+    if (product.is_bundle) {
+      throw ApiError.badRequest('Log the items of a bundle one by one');
+    }
+
+    const [variants] = await connection.execute(
+      'SELECT id, name FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+      [product.id]
+    );
+    let variant = null;
+
+    if (variants.length > 0 || entry.variant_id) {
+      variant = variants.find(v => v.id === parseInt(entry.variant_id));
+      if (!variant) {
+        throw ApiError.badRequest(`Choose a variant of ${product.name}`);
+      }
+    }
+
+    item = {
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      description: variant ? `${product.name} (${variant.name})` : product.name
+    };
+    unitCost = await productUnitCost(connection, product.id, item.variant_id);
+
+    moveStock = async (reason) => {
+      const movement = { type: 'waste', user_id: userId, reason };
+
+      if (product.track_stock) {
+        await recordStockMovement(connection, {
+          ...movement, product_id: product.id, variant_id: item.variant_id, quantity: -quantity
+        });
+      }
+
+      const recipe = await recipeFor(connection, product.id, item.variant_id);
+      for (const line of recipe) {
+        await recordStockMovement(connection, {
+          ...movement, ingredient_id: line.ingredient_id, quantity: -roundQuantity(parseFloat(line.quantity) * quantity)
+        });
+      }
+    };
+  }
+
+  unitCost = Math.round(unitCost * 10000) / 10000;
+  const totalCost = roundMoney(unitCost * quantity);
+
+  const [result] = await connection.execute(
+    `INSERT INTO waste_entries
+     (product_id, variant_id, ingredient_id, description, quantity, unit_cost, total_cost, reason, notes, order_id, order_item_id, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      item.product_id || null, item.variant_id || null, item.ingredient_id || null, item.description,
+      quantity, unitCost, totalCost, entry.reason, entry.notes || null,
+      item.order_id || null, item.order_item_id || null, userId
+    ]
+  );
+
+  await moveStock(`Waste #${result.insertId} (${entry.reason})${entry.notes ? `: ${entry.notes}` : ''}`.slice(0, 255));
+
+  return { id: result.insertId, ...item, quantity, unit_cost: unitCost, total_cost: totalCost, reason: entry.reason };
+};
+
+/**
+ * Get waste entries, newest first
+ * GET /api/waste
+ */
+const getWasteEntries = async (req, res, next) => {
+  try {
+    const { start_date, end_date, reason, user_id, product_id, ingredient_id, limit = 200 } = req.query;
+
+    let query = `
+      SELECT w.*, u.full_name as user_name, i.unit, o.order_number
+      FROM waste_entries w
+      LEFT JOIN users u ON w.user_id = u.id
+      LEFT JOIN ingredients i ON w.ingredient_id = i.id
+      LEFT JOIN orders o ON w.order_id = o.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (start_date) {
+      query += ' AND DATE(w.created_at) >= ?';
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      query += ' AND DATE(w.created_at) <= ?';
+      params.push(end_date);
+    }
+
+    if (reason) {
+      query += ' AND w.reason = ?';
+      params.push(reason);
+    }
+
+    if (user_id) {
+      query += ' AND w.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (product_id) {
+      query += ' AND w.product_id = ?';
+      params.push(product_id);
+    }
+
+    if (ingredient_id) {
+      query += ' AND w.ingredient_id = ?';
+      params.push(ingredient_id);
+    }
+
+    query += ' ORDER BY w.created_at DESC, w.id DESC LIMIT ?';
+    params.push(parseInt(limit));
+
+    const entries = await db.query(query, params);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log waste
+ * POST /api/waste
+ */
+const createWasteEntry = async (req, res, next) => {
+  try {
+    const { product_id, variant_id, ingredient_id, order_item_id, quantity, reason, notes } = req.body;
+
+    if ([product_id, ingredient_id, order_item_id].filter(Boolean).length !== 1) {
+      throw ApiError.badRequest('Waste needs one of a product, an ingredient or an order item');
+    }
+
+    const entry = await db.transaction(connection =>
+      logWaste(connection, { product_id, variant_id, ingredient_id, order_item_id, quantity, reason, notes }, req.user.id)
+    );
+
+    await logAudit(req.user.id, 'WASTE_LOGGED', 'waste_entry', entry.id, null, {
+      description: entry.description,
+      quantity: entry.quantity,
+      reason,
+      total_cost: entry.total_cost,
+      order_item_id: entry.order_item_id
+    });
+
+    logger.info(`Waste logged by ${req.user.username}: ${entry.quantity} × ${entry.description} (${reason}, ${entry.total_cost})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Waste logged',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Waste report for a date range: totals by reason, by item and by staff member
+ * GET /api/waste/report
+ */
+const getWasteReport = async (req, res, next) => {
+  try {
+    const { start_date, end_date } = req.query;
+
+    if (!start_date || !end_date) {
+      throw ApiError.badRequest('Start date and end date are required');
+    }
+
+    const range = 'DATE(w.created_at) BETWEEN ? AND ?';
+
+    const byReason = await db.query(
+      `SELECT w.reason, COUNT(*) as entry_count, SUM(w.total_cost) as total_cost
+       FROM waste_entries w
+       WHERE ${range}
+       GROUP BY w.reason
+       ORDER BY total_cost DESC`,
+      [start_date, end_date]
+    );
+
+    const byItem = await db.query(
+      `SELECT w.description, i.unit, COUNT(*) as entry_count,
+              SUM(w.quantity) as quantity, SUM(w.total_cost) as total_cost
+       FROM waste_entries w
+       LEFT JOIN ingredients i ON w.ingredient_id = i.id
+       WHERE ${range}
+       GROUP BY w.product_id, w.variant_id, w.ingredient_id, w.description, i.unit
+       ORDER BY total_cost DESC
+       LIMIT 20`,
+      [start_date, end_date]
+    );
+
+    const byUser = await db.query(
+      `SELECT COALESCE(u.full_name, 'Unknown') as user_name, COUNT(*) as entry_count,
+              SUM(w.order_item_id IS NOT NULL) as remake_count, SUM(w.total_cost) as total_cost
+       FROM waste_entries w
+       LEFT JOIN users u ON w.user_id = u.id
+       WHERE ${range}
+       GROUP BY w.user_id, u.full_name
+       ORDER BY total_cost DESC`,
+      [start_date, end_date]
+    );
+
+    const totalCost = byReason.reduce((sum, row) => sum + parseFloat(row.total_cost), 0);
+    const entryCount = byReason.reduce((sum, row) => sum + row.entry_count, 0);
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          totalCost: roundMoney(totalCost),
+          entryCount,
+          remakeCount: byUser.reduce((sum, row) => sum + parseInt(row.remake_count), 0)
+        },
+        byReason,
+        byItem,
+        byUser
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  WASTE_REASONS,
+  logWaste,
+  getWasteEntries,
+  createWasteEntry,
+  getWasteReport
+};
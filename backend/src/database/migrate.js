@@ -0,0 +1,365 @@
+/**
+ * Database Migration Runner
+ * Applies database/migrations/*.sql in order and records them in schema_migrations.
+ *
+ * Usage:
+ *   node src/database/migrate.js [up] [--dry-run]   Apply pending migrations
+ *   node src/database/migrate.js status             List applied and pending migrations
+ *   node src/database/migrate.js baseline <version> Record migrations up to <version> as applied without running them
+ *
+ * An empty database is created from database/schema.sql (the baseline). schema.sql already
+ * contains every migration, so all migration files present are recorded as applied.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+const { logger } = require('../utils/logger');
+
+const DATABASE_DIR = path.join(__dirname, '../../../database');
+const MIGRATIONS_DIR = path.join(DATABASE_DIR, 'migrations');
+const BASELINE_FILE = path.join(DATABASE_DIR, 'schema.sql');
+const BASELINE_VERSION = '000_baseline';
+const DB_NAME = process.env.DB_NAME || 'showaya_pos';
+
+/**
+ * Split a SQL script into statements. Honours DELIMITER blocks (stored procedures),
+ * quoted strings and comments. CREATE DATABASE / USE are dropped: the runner selects DB_NAME itself.
+ * @param {string} sql
+ * @returns {string[]}
+ */
+const splitStatements = (sql) => {
+  const statements = [];
+  let delimiter = ';';
+  let current = '';
+  let quote = null;
+  let i = 0;
+
+  const push = () => {
+    const statement = current.trim();
+    current = '';
+    if (statement && !/^(USE|CREATE DATABASE)\b/i.test(statement)) {
+      statements.push(statement);
+    }
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const atLineStart = i === 0 || sql[i - 1] === '\n';
+
+    if (quote) {
+      current += char;
+      if (char === '\\') {
+        current += sql[i + 1] || '';
+        i += 2;
+        continue;
+      }
+      if (char === quote) quote = null;
+      i++;
+      continue;
+    }
+
+    if (atLineStart && /^DELIMITER\s/i.test(sql.slice(i, i + 10))) {
+      const end = sql.indexOf('\n', i);
+      const line = sql.slice(i, end === -1 ? sql.length : end);
+      push();
+      delimiter = line.trim().split(/\s+/)[1];
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    if (sql.startsWith('--', i) || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+      current += '\n';
+      continue;
+    }
+
+    if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+      current += char;
+      i++;
+      continue;
+    }
+
+    if (sql.startsWith(delimiter, i)) {
+      push();
+      i += delimiter.length;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  push();
+  return statements;
+};
+
+const checksum = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Migration files in version order (the numeric prefix keeps filenames sortable)
+ */
+const loadMigrationFiles = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+_.+\.sql$/.test(file))
+  .sort()
+  .map(file => {
+    const content = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    return {
+      version: file.replace(/\.sql$/, ''),
+      file,
+      content,
+      checksum: checksum(content)
+    };
+  });
+
+/**
+ * Connect and select DB_NAME. Read-only runs (status, --dry-run) create nothing.
+ */
+const connect = async (readOnly) => {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    timezone: '+00:00',
+    dateStrings: true
+  });
+
+  if (!readOnly) {
+    await connection.query(
+      `CREATE DATABASE IF NOT EXISTS \`${DB_NAME}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+    );
+  }
+
+  const [[{ db_count: dbCount }]] = await connection.query(
+    'SELECT COUNT(*) as db_count FROM information_schema.schemata WHERE schema_name = ?',
+    [DB_NAME]
+  );
+
+  if (dbCount > 0) {
+    await connection.query(`USE \`${DB_NAME}\``);
+  }
+
+  if (!readOnly) {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) PRIMARY KEY,
+        checksum CHAR(64) NOT NULL,
+        is_baseline BOOLEAN NOT NULL DEFAULT FALSE,
+        execution_ms INT UNSIGNED NOT NULL DEFAULT 0,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB`
+    );
+  }
+
+  return connection;
+};
+
+const getApplied = async (connection) => {
+  const [[{ table_count: tableCount }]] = await connection.query(
+    `SELECT COUNT(*) as table_count FROM information_schema.tables
+     WHERE table_schema = ? AND table_name = 'schema_migrations'`,
+    [DB_NAME]
+  );
+
+  if (tableCount === 0) return new Map();
+
+  const [rows] = await connection.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+};
+
+const recordMigration = (connection, version, hash, isBaseline, ms = 0) => connection.query(
+  'INSERT INTO schema_migrations (version, checksum, is_baseline, execution_ms) VALUES (?, ?, ?, ?)',
+  [version, hash, isBaseline, ms]
+);
+
+/**
+ * Run one script's statements in a transaction and record it.
+ * MySQL commits DDL (CREATE/ALTER) implicitly, so only data changes roll back on failure;
+ * the error names the statement that failed so the file can be fixed and re-run.
+ */
+const runScript = async (connection, version, content, hash) => {
+  const statements = splitStatements(content);
+  const started = Date.now();
+
+  await connection.beginTransaction();
+  try {
+    for (const [index, statement] of statements.entries()) {
+      try {
+        await connection.query(statement);
+      } catch (error) {
+        error.message = `${version}, statement ${index + 1}: ${error.message}\n${statement.slice(0, 200)}`;
+        throw error;
+      }
+    }
+    await recordMigration(connection, version, hash, false, Date.now() - started);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+
+  return { statements: statements.length, ms: Date.now() - started };
+};
+
+/**
+ * Apply the baseline to an empty database, then pending migrations in order
+ */
+const up = async (connection, { dryRun }) => {
+  const migrations = loadMigrationFiles();
+  const applied = await getApplied(connection);
+
+  if (applied.size === 0) {
+    const [[{ table_count: tableCount }]] = await connection.query(
+      `SELECT COUNT(*) as table_count FROM information_schema.tables
+       WHERE table_schema = ? AND table_name != 'schema_migrations'`,
+      [DB_NAME]
+    );
+
+    if (tableCount > 0) {
+      throw new Error(
+        'Database has tables but no migration history. Record the migrations already applied with ' +
+        '"migrate.js baseline <version>" (e.g. baseline 011), then run migrate again.'
+      );
+    }
+
+    const baseline = fs.readFileSync(BASELINE_FILE, 'utf8');
+    const statementCount = splitStatements(baseline).length;
+
+    if (dryRun) {
+      logger.info(`[dry-run] Would create ${DB_NAME} from schema.sql (${statementCount} statements)`);
+      migrations.forEach(m => logger.info(`[dry-run] Would record ${m.version} as included in the baseline`));
+      return;
+    }
+
+    logger.info(`Empty database: applying baseline schema.sql (${statementCount} statements)...`);
+    const result = await runScript(connection, BASELINE_VERSION, baseline, checksum(baseline));
+    for (const migration of migrations) {
+      await recordMigration(connection, migration.version, migration.checksum, true);
+    }
+    logger.info(`Baseline applied in ${result.ms}ms; ${migrations.length} migration(s) recorded as included`);
+    return;
+  }
+
+  const pending = migrations.filter(m => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    logger.info('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    if (dryRun) {
+      logger.info(`[dry-run] Would apply ${migration.file} (${splitStatements(migration.content).length} statements)`);
+      continue;
+    }
+
+    logger.info(`Applying ${migration.file}...`);
+    const result = await runScript(connection, migration.version, migration.content, migration.checksum);
+    logger.info(`Applied ${migration.file}: ${result.statements} statements in ${result.ms}ms`);
+  }
+
+  if (!dryRun) logger.info(`Done; ${pending.length} migration(s) applied`);
+};
+
+/**
+ * List every migration file with its state; flags files edited after they were applied
+ */
+const status = async (connection) => {
+  const migrations = loadMigrationFiles();
+  const applied = await getApplied(connection);
+
+  if (applied.has(BASELINE_VERSION)) {
+    logger.info(`applied   ${BASELINE_VERSION} (schema.sql) at ${applied.get(BASELINE_VERSION).applied_at}`);
+  }
+
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    if (!row) {
+      logger.info(`pending   ${migration.version}`);
+    } else {
+      const note = row.is_baseline ? ' (recorded, not run)' : '';
+      const changed = row.checksum !== migration.checksum ? ' [file changed since applied]' : '';
+      logger.info(`applied   ${migration.version} at ${row.applied_at}${note}${changed}`);
+    }
+  }
+
+  const missing = [...applied.keys()].filter(v => v !== BASELINE_VERSION && !migrations.some(m => m.version === v));
+  missing.forEach(version => logger.warn(`missing   ${version} (recorded but no file)`));
+
+  const pendingCount = migrations.filter(m => !applied.has(m.version)).length;
+  logger.info(`${pendingCount} pending migration(s)`);
+};
+
+/**
+ * Record migrations up to a version as applied without running them
+ * (for databases that were set up by hand before the runner existed)
+ */
+const baseline = async (connection, target, { dryRun }) => {
+  if (!target) {
+    throw new Error('Usage: migrate.js baseline <version>, e.g. baseline 011');
+  }
+
+  const migrations = loadMigrationFiles();
+  const applied = await getApplied(connection);
+  const number = (version) => parseInt(version.split('_')[0], 10);
+  const through = migrations.filter(m => number(m.version) <= number(target));
+
+  if (!migrations.some(m => number(m.version) === number(target))) {
+    throw new Error(`No migration numbered ${target}`);
+  }
+
+  for (const migration of through) {
+    if (applied.has(migration.version)) continue;
+    if (dryRun) {
+      logger.info(`[dry-run] Would record ${migration.version} as applied`);
+      continue;
+    }
+    await recordMigration(connection, migration.version, migration.checksum, true);
+    logger.info(`Recorded ${migration.version} as applied`);
+  }
+};
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [command = 'up', target] = args.filter(arg => !arg.startsWith('--'));
+
+  let connection;
+  try {
+    connection = await connect(dryRun || command === 'status');
+
+    if (command === 'up') {
+      await up(connection, { dryRun });
+    } else if (command === 'status') {
+      await status(connection);
+    } else if (command === 'baseline') {
+      await baseline(connection, target, { dryRun });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, status or baseline <version>`);
+    }
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (connection) await connection.end();
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = {
+  splitStatements
+};
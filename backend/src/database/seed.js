@@ -22,6 +22,7 @@ async function seed() {
       { username: 'server1', full_name: 'John Server', pin: '1111', role_id: 3 },
       { username: 'server2', full_name: 'Jane Server', pin: '2222', role_id: 3 },
       { username: 'cashier1', full_name: 'Cash Master', pin: '9999', role_id: 4 },
+      { username: 'kitchen1', full_name: 'Kitchen Display', pin: '3333', role_id: 5 },
     ];
     
     // Check if users already exist
@@ -54,6 +55,7 @@ async function seed() {
     logger.info('Server:  username=server1, PIN=1111');
     logger.info('Server:  username=server2, PIN=2222');
     logger.info('Cashier: username=cashier1, PIN=9999');
+    logger.info('Kitchen: username=kitchen1, PIN=3333');
     
   } catch (error) {
     logger.error('Seeding failed:', error);
@@ -7,9 +7,48 @@ const jwt = require('jsonwebtoken');
 const { ApiError } = require('./errorHandler');
 const db = require('../config/database');
 const { logger } = require('../utils/logger');
+const streamTickets = require('../utils/streamTickets');
 
 /**
- * Verify JWT token and attach user to request
+ * Load the user behind a decoded token through its server-side session.
+ * Returns null when the session is unknown, revoked or expired.
+ * @param {Object} decoded - JWT payload ({ userId, sid })
+ * @returns {Promise<{user: Object, sessionId: number}|null>}
+ */
+const loadSessionUser = async (decoded) => {
+  // Tokens issued before sessions were tracked carry no session id
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const [row] = await db.query(
+    `SELECT u.id, u.username, u.full_name, u.role_id, u.is_active,
+            r.name as role_name, r.permissions,
+            s.id as session_id,
+            (s.last_seen_at IS NULL OR s.last_seen_at < NOW() - INTERVAL 1 MINUTE) as session_stale
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     JOIN roles r ON u.role_id = r.id
+     WHERE s.token = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [decoded.sid, decoded.userId]
+  );
+
+  if (!row) {
+    return null;
+  }
+
+  const { session_id: sessionId, session_stale: stale, ...user } = row;
+
+  // Track activity for the admin session list without writing on every request
+  if (stale) {
+    await db.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ?', [sessionId]);
+  }
+
+  return { user, sessionId };
+};
+
+/**
+ * Verify JWT token and its session, and attach user to request
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -24,17 +63,16 @@ const authenticate = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      // Fetch fresh user data to ensure account is still active
-      const [user] = await db.query(
-        `SELECT u.id, u.username, u.full_name, u.role_id, u.is_active,
-                r.name as role_name, r.permissions
-         FROM users u
-         JOIN roles r ON u.role_id = r.id
-         WHERE u.id = ?`,
-        [decoded.userId]
-      );
+      // Fetch fresh user data through the session so revoked logins stop working at once
+      const session = await loadSessionUser(decoded);
       
-      if (!user || !user.is_active) {
+      if (!session) {
+        throw ApiError.unauthorized('Session expired or revoked. Please log in again.');
+      }
+      
+      const { user } = session;
+      
+      if (!user.is_active) {
         throw ApiError.unauthorized('User account is inactive or not found');
       }
       
@@ -44,6 +82,8 @@ const authenticate = async (req, res, next) => {
         : user.permissions;
       
       req.user = user;
+      req.sessionId = session.sessionId;
+      req.sessionToken = decoded.sid;
       next();
     } catch (jwtError) {
       if (jwtError.name === 'TokenExpiredError') {
@@ -59,6 +99,37 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate an event stream request by its single-use ?ticket=
+ * (see POST /api/events/ticket); the session behind it must still be live
+ */
+const authenticateStreamTicket = async (req, res, next) => {
+  try {
+    const ticket = typeof req.query.ticket === 'string' ? streamTickets.redeem(req.query.ticket) : null;
+
+    if (!ticket) {
+      throw ApiError.unauthorized('Invalid or expired stream ticket');
+    }
+
+    const session = await loadSessionUser(ticket);
+
+    if (!session || !session.user.is_active) {
+      throw ApiError.unauthorized('Session expired or revoked. Please log in again.');
+    }
+
+    const { user } = session;
+    user.permissions = typeof user.permissions === 'string'
+      ? JSON.parse(user.permissions)
+      : user.permissions;
+
+    req.user = user;
+    req.sessionId = session.sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Check if user has required role(s)
  * @param {...string} roles - Allowed role names
@@ -126,20 +197,15 @@ const optionalAuth = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      const [user] = await db.query(
-        `SELECT u.id, u.username, u.full_name, u.role_id, u.is_active,
-                r.name as role_name, r.permissions
-         FROM users u
-         JOIN roles r ON u.role_id = r.id
-         WHERE u.id = ? AND u.is_active = TRUE`,
-        [decoded.userId]
-      );
+      const session = await loadSessionUser(decoded);
       
-      if (user) {
+      if (session && session.user.is_active) {
+        const { user } = session;
         user.permissions = typeof user.permissions === 'string' 
           ? JSON.parse(user.permissions) 
           : user.permissions;
         req.user = user;
+        req.sessionId = session.sessionId;
       }
     } catch (jwtError) {
       // Token invalid, but that's OK for optional auth
@@ -153,6 +219,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateStreamTicket,
   requireRole,
   requirePermission,
   optionalAuth
@@ -0,0 +1,74 @@
+/**
+ * Cash Session Routes (cash drawer shifts)
+ */
+
+const express = require('express');
+const router = express.Router();
+const cashSessionController = require('../controllers/cashSessionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/cash-sessions - Get sessions (own, or all with reports permission)
+router.get('/',
+  [
+    query('status').optional().isIn(['open', 'closed']),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('date').optional().isDate(),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  validate,
+  cashSessionController.getSessions
+);
+
+// GET /api/cash-sessions/current - Get own open session with X report
+router.get('/current',
+  cashSessionController.getCurrentSession
+);
+
+// GET /api/cash-sessions/:id - Get session with X report (open) or Z report (closed)
+router.get('/:id',
+  [param('id').isInt({ min: 1 })],
+  validate,
+  cashSessionController.getSessionById
+);
+
+// POST /api/cash-sessions - Open a cash drawer with a float
+router.post('/',
+  requirePermission('payments', 'create'),
+  [
+    body('opening_float').isFloat({ min: 0 }).withMessage('Opening float must be zero or more'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  cashSessionController.openSession
+);
+
+// POST /api/cash-sessions/:id/movements - Record a pay-in or pay-out
+router.post('/:id/movements',
+  requirePermission('payments', 'create'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('type').isIn(['pay_in', 'pay_out']).withMessage('Type must be pay_in or pay_out'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+    body('reason').isString().trim().isLength({ min: 2, max: 255 }).withMessage('Reason is required')
+  ],
+  validate,
+  cashSessionController.addMovement
+);
+
+// POST /api/cash-sessions/:id/close - Close the drawer with the counted cash
+router.post('/:id/close',
+  requirePermission('payments', 'create'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('counted_cash').isFloat({ min: 0 }).withMessage('Counted cash must be zero or more'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  cashSessionController.closeSession
+);
+
+module.exports = router;
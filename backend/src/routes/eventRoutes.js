@@ -0,0 +1,23 @@
+/**
+ * Real-time Event Routes (Server-Sent Events)
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticate, authenticateStreamTicket } = require('../middleware/auth');
+
+// POST /api/events/ticket - Single-use ticket for opening the stream
+router.post('/ticket',
+  authenticate,
+  eventController.createTicket
+);
+
+// GET /api/events?ticket= - Stream table/order/item changes
+// EventSource cannot send headers, so the stream is opened with a ticket rather than the JWT
+router.get('/',
+  authenticateStreamTicket,
+  eventController.streamEvents
+);
+
+module.exports = router;
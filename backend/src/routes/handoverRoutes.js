@@ -0,0 +1,69 @@
+/**
+ * Order Handover Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const handoverController = require('../controllers/handoverController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/handovers - Pending handovers (query: status for today's accepted / declined / cancelled)
+router.get('/',
+  requirePermission('orders', 'read'),
+  [query('status').optional().isIn(['pending', 'accepted', 'declined', 'cancelled'])],
+  validate,
+  handoverController.getHandovers
+);
+
+// GET /api/handovers/servers - Staff who can take over orders
+router.get('/servers',
+  requirePermission('orders', 'update'),
+  handoverController.getHandoverServers
+);
+
+// POST /api/handovers - Hand over orders (order_ids, or all open orders of from_server_id)
+router.post('/',
+  requirePermission('orders', 'update'),
+  [
+    body('to_server_id').isInt({ min: 1 }).toInt(),
+    body('order_ids').optional().isArray({ min: 1, max: 100 }),
+    body('order_ids.*').isInt({ min: 1 }).toInt(),
+    body('from_server_id').optional().isInt({ min: 1 }).toInt(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  handoverController.requestHandover
+);
+
+// POST /api/handovers/accept - Take over the orders of pending handovers
+router.post('/accept',
+  requirePermission('orders', 'update'),
+  [
+    body('handover_ids').isArray({ min: 1, max: 100 }),
+    body('handover_ids.*').isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  handoverController.acceptHandovers
+);
+
+// POST /api/handovers/:id/decline - Refuse a handover
+router.post('/:id/decline',
+  requirePermission('orders', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  handoverController.declineHandover
+);
+
+// POST /api/handovers/:id/cancel - Withdraw a handover
+router.post('/:id/cancel',
+  requirePermission('orders', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  handoverController.cancelHandover
+);
+
+module.exports = router;
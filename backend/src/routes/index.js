@@ -13,6 +13,22 @@ const orderRoutes = require('./orderRoutes');
 const productRoutes = require('./productRoutes');
 const paymentRoutes = require('./paymentRoutes');
 const uploadRoutes = require('./uploadRoutes');
+const kitchenRoutes = require('./kitchenRoutes');
+const eventRoutes = require('./eventRoutes');
+const taxRoutes = require('./taxRoutes');
+const promotionRoutes = require('./promotionRoutes');
+const cashSessionRoutes = require('./cashSessionRoutes');
+const modifierRoutes = require('./modifierRoutes');
+const ingredientRoutes = require('./ingredientRoutes');
+const stockRoutes = require('./stockRoutes');
+const stockAlertRoutes = require('./stockAlertRoutes');
+const supplierRoutes = require('./supplierRoutes');
+const purchaseOrderRoutes = require('./purchaseOrderRoutes');
+const stocktakeRoutes = require('./stocktakeRoutes');
+const wasteRoutes = require('./wasteRoutes');
+const reservationRoutes = require('./reservationRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const handoverRoutes = require('./handoverRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -23,6 +39,22 @@ router.use('/products', productRoutes);
 router.use('/categories', productRoutes); // Categories are in productRoutes
 router.use('/payments', paymentRoutes);
 router.use('/uploads', uploadRoutes);
+router.use('/kitchen', kitchenRoutes);
+router.use('/events', eventRoutes);
+router.use('/tax-rates', taxRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/cash-sessions', cashSessionRoutes);
+router.use('/modifier-groups', modifierRoutes);
+router.use('/ingredients', ingredientRoutes);
+router.use('/stock-movements', stockRoutes);
+router.use('/stock-alerts', stockAlertRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+router.use('/stocktakes', stocktakeRoutes);
+router.use('/waste', wasteRoutes);
+router.use('/reservations', reservationRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/handovers', handoverRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -37,7 +69,23 @@ router.get('/', (req, res) => {
       orders: '/api/orders',
       products: '/api/products',
       categories: '/api/categories',
-      payments: '/api/payments'
+      payments: '/api/payments',
+      kitchen: '/api/kitchen',
+      events: '/api/events',
+      taxRates: '/api/tax-rates',
+      promotions: '/api/promotions',
+      cashSessions: '/api/cash-sessions',
+      modifierGroups: '/api/modifier-groups',
+      ingredients: '/api/ingredients',
+      stockMovements: '/api/stock-movements',
+      stockAlerts: '/api/stock-alerts',
+      suppliers: '/api/suppliers',
+      purchaseOrders: '/api/purchase-orders',
+      stocktakes: '/api/stocktakes',
+      waste: '/api/waste',
+      reservations: '/api/reservations',
+      waitlist: '/api/waitlist',
+      handovers: '/api/handovers'
     }
   });
 });
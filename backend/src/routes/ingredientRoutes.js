@@ -0,0 +1,74 @@
+/**
+ * Ingredient Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const ingredientController = require('../controllers/ingredientController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param } = require('../middleware/validate');
+
+const UNITS = ['g', 'kg', 'ml', 'l', 'pcs'];
+
+const ingredientRules = [
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  body('unit').optional().isIn(UNITS),
+  body('min_stock_alert').optional().isFloat({ min: 0 }),
+  body('cost_per_unit').optional().isFloat({ min: 0 })
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/ingredients - Get ingredients (query: include_inactive)
+router.get('/',
+  requirePermission('products', 'read'),
+  ingredientController.getIngredients
+);
+
+// POST /api/ingredients - Create ingredient
+router.post('/',
+  requirePermission('products', 'create'),
+  [
+    body('name').isString().trim().isLength({ min: 2, max: 100 }),
+    body('stock_quantity').optional().isFloat({ min: 0 }),
+    ...ingredientRules
+  ],
+  validate,
+  ingredientController.createIngredient
+);
+
+// PUT /api/ingredients/:id - Update ingredient
+router.put('/:id',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('is_active').optional().isBoolean(),
+    ...ingredientRules
+  ],
+  validate,
+  ingredientController.updateIngredient
+);
+
+// PATCH /api/ingredients/:id/stock - Set or adjust ingredient stock
+router.patch('/:id/stock',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('stock_quantity').optional().isFloat({ min: 0 }),
+    body('adjustment').optional().isFloat(),
+    body('reason').optional().isString().isLength({ max: 255 })
+  ],
+  validate,
+  ingredientController.updateIngredientStock
+);
+
+// DELETE /api/ingredients/:id - Deactivate ingredient
+router.delete('/:id',
+  requirePermission('products', 'delete'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  ingredientController.deleteIngredient
+);
+
+module.exports = router;
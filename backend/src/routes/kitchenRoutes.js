@@ -0,0 +1,58 @@
+/**
+ * Kitchen Display Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const kitchenController = require('../controllers/kitchenController');
+const { WASTE_REASONS } = require('../controllers/wasteController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/kitchen/tickets - Open order items grouped by order (query: status=pending,preparing,ready)
+router.get('/tickets',
+  requirePermission('kitchen', 'read'),
+  [query('status').optional().isString()],
+  validate,
+  kitchenController.getTickets
+);
+
+// PATCH /api/kitchen/items/:itemId/status - Move one item to a new state
+router.patch('/items/:itemId/status',
+  requirePermission('kitchen', 'update'),
+  [
+    param('itemId').isInt({ min: 1 }),
+    body('status').isIn(['pending', 'preparing', 'ready', 'served'])
+  ],
+  validate,
+  kitchenController.updateItemStatus
+);
+
+// POST /api/kitchen/orders/:orderId/bump - Move all items of a ticket to the next state
+router.post('/orders/:orderId/bump',
+  requirePermission('kitchen', 'update'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('from').optional().isIn(['pending', 'preparing', 'ready'])
+  ],
+  validate,
+  kitchenController.bumpOrder
+);
+
+// POST /api/kitchen/items/:itemId/remake - Log the item as waste and send it back to pending
+router.post('/items/:itemId/remake',
+  requirePermission('kitchen', 'update'),
+  [
+    param('itemId').isInt({ min: 1 }),
+    body('reason').isIn(WASTE_REASONS),
+    body('quantity').optional().isInt({ min: 1 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  kitchenController.remakeItem
+);
+
+module.exports = router;
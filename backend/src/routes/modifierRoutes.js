@@ -0,0 +1,66 @@
+/**
+ * Modifier Group Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const modifierController = require('../controllers/modifierController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param } = require('../middleware/validate');
+
+const modifierGroupRules = [
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  body('is_required').optional().isBoolean(),
+  body('min_select').optional().isInt({ min: 0, max: 20 }),
+  body('max_select').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
+  body('display_order').optional().isInt(),
+  body('modifiers').optional().isArray(),
+  body('modifiers.*.id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('modifiers.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('modifiers.*.price_delta').optional().isFloat(),
+  body('modifiers.*.is_active').optional().isBoolean(),
+  body('products').optional().isArray(),
+  body('products.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('products.*.category_id').optional({ nullable: true }).isInt({ min: 1 })
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/modifier-groups - Get modifier groups (query: include_inactive)
+router.get('/',
+  modifierController.getModifierGroups
+);
+
+// POST /api/modifier-groups - Create modifier group
+router.post('/',
+  requirePermission('settings', 'update'),
+  [
+    body('name').isString().trim().isLength({ min: 2, max: 100 }),
+    ...modifierGroupRules
+  ],
+  validate,
+  modifierController.createModifierGroup
+);
+
+// PUT /api/modifier-groups/:id - Update modifier group
+router.put('/:id',
+  requirePermission('settings', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('is_active').optional().isBoolean(),
+    ...modifierGroupRules
+  ],
+  validate,
+  modifierController.updateModifierGroup
+);
+
+// DELETE /api/modifier-groups/:id - Deactivate modifier group
+router.delete('/:id',
+  requirePermission('settings', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  modifierController.deleteModifierGroup
+);
+
+module.exports = router;
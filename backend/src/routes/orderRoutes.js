@@ -5,9 +5,19 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const checkController = require('../controllers/checkController');
 const { authenticate, requirePermission, requireRole } = require('../middleware/auth');
 const { validate, body, param, query } = require('../middleware/validate');
 
+const DISCOUNT_REASONS = [
+  'manager_comp',
+  'staff_meal',
+  'loyalty',
+  'customer_complaint',
+  'price_match',
+  'other'
+];
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -58,7 +68,15 @@ router.post('/:orderId/items',
     body('product_id').isInt({ min: 1 }).withMessage('Valid product ID is required'),
     body('quantity').isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1 and 100'),
     body('unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number'),
-    body('notes').optional().isString().isLength({ max: 500 })
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('seat_number').optional({ nullable: true }).isInt({ min: 1, max: 50 }),
+    body('variant_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('modifier_ids').optional().isArray({ max: 30 }),
+    body('modifier_ids.*').isInt({ min: 1 }),
+    body('components').optional().isArray({ max: 20 }),
+    body('components.*.slot_id').isInt({ min: 1 }),
+    body('components.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('components.*.variant_id').optional({ nullable: true }).isInt({ min: 1 })
   ],
   validate,
   orderController.addOrderItem
@@ -70,7 +88,8 @@ router.patch('/:orderId/items/:itemId',
     param('orderId').isInt({ min: 1 }),
     param('itemId').isInt({ min: 1 }),
     body('quantity').optional().isInt({ min: 1, max: 100 }),
-    body('notes').optional().isString().isLength({ max: 500 })
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('seat_number').optional({ nullable: true }).isInt({ min: 1, max: 50 })
   ],
   validate,
   orderController.updateOrderItem
@@ -86,6 +105,110 @@ router.delete('/:orderId/items/:itemId',
   orderController.removeOrderItem
 );
 
+// GET /api/orders/:orderId/checks - Get split checks with balances
+router.get('/:orderId/checks',
+  [param('orderId').isInt({ min: 1 })],
+  validate,
+  checkController.getChecks
+);
+
+// POST /api/orders/:orderId/checks - Split order into checks (mode: item, seat, even)
+router.post('/:orderId/checks',
+  requirePermission('payments', 'create'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('mode').isIn(['item', 'seat', 'even']).withMessage('Mode must be item, seat or even'),
+    body('count').optional().isInt({ min: 2, max: 50 }),
+    body('checks').if(body('mode').equals('item')).isArray({ min: 2 }).withMessage('At least two checks are required'),
+    body('checks.*.label').optional().isString().isLength({ max: 50 }),
+    body('checks.*.item_ids').optional().isArray({ min: 1 })
+  ],
+  validate,
+  checkController.splitOrder
+);
+
+// DELETE /api/orders/:orderId/checks - Remove split (before any check is paid)
+router.delete('/:orderId/checks',
+  requirePermission('payments', 'create'),
+  [param('orderId').isInt({ min: 1 })],
+  validate,
+  checkController.removeSplit
+);
+
+// POST /api/orders/:orderId/discounts - Apply a percent or fixed discount to an item or the order
+router.post('/:orderId/discounts',
+  requirePermission('discounts', 'apply'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('order_item_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('discount_type').isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+    body('value').isFloat({ min: 0.01, max: 99999.99 }),
+    body('reason_code').isIn(DISCOUNT_REASONS).withMessage(`Reason must be one of: ${DISCOUNT_REASONS.join(', ')}`),
+    body('reason').optional().isString().isLength({ max: 255 }),
+    body('approver_username').optional().isString(),
+    body('approver_pin').optional().isString()
+  ],
+  validate,
+  orderController.addOrderDiscount
+);
+
+// DELETE /api/orders/:orderId/discounts/:discountId - Remove a manual discount
+router.delete('/:orderId/discounts/:discountId',
+  requirePermission('discounts', 'apply'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    param('discountId').isInt({ min: 1 }),
+    body('approver_username').optional().isString(),
+    body('approver_pin').optional().isString()
+  ],
+  validate,
+  orderController.removeOrderDiscount
+);
+
+// POST /api/orders/:orderId/transfer - Move order to another table (table_id null: takeaway)
+router.post('/:orderId/transfer',
+  requirePermission('orders', 'update'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('table_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  orderController.transferOrder
+);
+
+// POST /api/orders/:orderId/tables - Join a free table to the order
+router.post('/:orderId/tables',
+  requirePermission('orders', 'update'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('table_id').isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  orderController.joinTable
+);
+
+// DELETE /api/orders/:orderId/tables/:tableId - Release a joined table
+router.delete('/:orderId/tables/:tableId',
+  requirePermission('orders', 'update'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    param('tableId').isInt({ min: 1 })
+  ],
+  validate,
+  orderController.releaseJoinedTable
+);
+
+// POST /api/orders/:orderId/merge - Merge another open order into this one
+router.post('/:orderId/merge',
+  requirePermission('orders', 'update'),
+  [
+    param('orderId').isInt({ min: 1 }),
+    body('source_order_id').isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  orderController.mergeOrders
+);
+
 // POST /api/orders/:orderId/cancel - Cancel order
 router.post('/:orderId/cancel',
   requireRole('admin', 'moderator'),
@@ -8,6 +8,16 @@ const paymentController = require('../controllers/paymentController');
 const { authenticate, requirePermission, requireRole } = require('../middleware/auth');
 const { validate, body, param, query } = require('../middleware/validate');
 
+// Reason codes accepted for refunds and voids
+const REFUND_REASONS = [
+  'customer_complaint',
+  'wrong_order',
+  'overcharge',
+  'duplicate_payment',
+  'wrong_payment_method',
+  'other'
+];
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -78,13 +88,15 @@ router.get('/:id',
   paymentController.getPaymentById
 );
 
-// POST /api/payments - Process payment
+// POST /api/payments - Process payment (one tender; order closes when the balance is zero)
 router.post('/',
   requirePermission('payments', 'create'),
   [
     body('order_id').isInt({ min: 1 }).withMessage('Valid order ID is required'),
+    body('check_id').optional().isInt({ min: 1 }),
     body('payment_method_id').isInt({ min: 1 }).withMessage('Valid payment method is required'),
     body('amount_paid').isFloat({ min: 0.01 }).withMessage('Amount paid must be positive'),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
     body('tip_amount').optional().isFloat({ min: 0 }),
     body('reference_number').optional().isString().isLength({ max: 100 }),
     body('notes').optional().isString().isLength({ max: 500 })
@@ -93,4 +105,29 @@ router.post('/',
   paymentController.processPayment
 );
 
+// POST /api/payments/:id/refund - Refund a payment in full or in part
+router.post('/:id/refund',
+  requirePermission('payments', 'refund'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be positive'),
+    body('reason_code').isIn(REFUND_REASONS).withMessage(`Reason must be one of: ${REFUND_REASONS.join(', ')}`),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  paymentController.refundPayment
+);
+
+// POST /api/payments/:id/void - Void a payment taken today
+router.post('/:id/void',
+  requirePermission('payments', 'refund'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('reason_code').isIn(REFUND_REASONS).withMessage(`Reason must be one of: ${REFUND_REASONS.join(', ')}`),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  paymentController.voidPayment
+);
+
 module.exports = router;
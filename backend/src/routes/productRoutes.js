@@ -8,6 +8,28 @@ const productController = require('../controllers/productController');
 const { authenticate, requirePermission, requireRole } = require('../middleware/auth');
 const { validate, body, param, query } = require('../middleware/validate');
 
+const catalogRules = [
+  body('variants').optional().isArray({ max: 50 }),
+  body('variants.*.id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('variants.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('variants.*.sku').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('variants.*.price').isFloat({ min: 0.01, max: 99999.99 }),
+  body('variants.*.cost_price').optional().isFloat({ min: 0 }),
+  body('variants.*.stock_quantity').optional({ nullable: true }).isInt({ min: 0 }),
+  body('variants.*.is_active').optional().isBoolean(),
+  body('is_bundle').optional().isBoolean(),
+  body('bundle_slots').optional().isArray({ max: 20 }),
+  body('bundle_slots.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('bundle_slots.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('bundle_slots.*.category_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('bundle_slots.*.quantity').optional().isInt({ min: 1, max: 20 }),
+  body('recipe').optional().isArray({ max: 50 }),
+  body('recipe.*.ingredient_id').isInt({ min: 1 }),
+  body('recipe.*.variant_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('recipe.*.quantity').isFloat({ min: 0.001 }),
+  body('recipe.*.is_required').optional().isBoolean()
+];
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -36,7 +58,8 @@ router.post('/categories',
     body('display_order').optional().isInt({ min: 0 }),
     body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/),
     body('icon').optional().isString().isLength({ max: 50 }),
-    body('image_url').optional().isString().isLength({ max: 500 })
+    body('image_url').optional().isString().isLength({ max: 500 }),
+    body('tax_rate_id').optional({ nullable: true }).isInt({ min: 1 })
   ],
   validate,
   productController.createCategory
@@ -52,7 +75,8 @@ router.put('/categories/:id',
     body('display_order').optional().isInt({ min: 0 }),
     body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/),
     body('icon').optional().isString().isLength({ max: 50 }),
-    body('image_url').optional().isString().isLength({ max: 500 })
+    body('image_url').optional().isString().isLength({ max: 500 }),
+    body('tax_rate_id').optional({ nullable: true }).isInt({ min: 1 })
   ],
   validate,
   productController.updateCategory
@@ -106,7 +130,9 @@ router.post('/',
     body('stock_quantity').optional().isInt({ min: 0 }),
     body('track_stock').optional().isBoolean(),
     body('min_stock_alert').optional().isInt({ min: 0 }),
-    body('image_url').optional().isURL()
+    body('image_url').optional().isURL(),
+    body('tax_rate_id').optional({ nullable: true }).isInt({ min: 1 }),
+    ...catalogRules
   ],
   validate,
   productController.createProduct
@@ -115,7 +141,10 @@ router.post('/',
 // PUT /api/products/:id - Update product
 router.put('/:id',
   requirePermission('products', 'update'),
-  [param('id').isInt({ min: 1 })],
+  [
+    param('id').isInt({ min: 1 }),
+    ...catalogRules
+  ],
   validate,
   productController.updateProduct
 );
@@ -138,6 +167,7 @@ router.patch('/:id/stock',
     param('id').isInt({ min: 1 }),
     body('stock_quantity').optional().isInt({ min: 0 }),
     body('adjustment').optional().isInt(),
+    body('variant_id').optional().isInt({ min: 1 }),
     body('reason').optional().isString().isLength({ max: 255 })
   ],
   validate,
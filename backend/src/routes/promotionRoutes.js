@@ -0,0 +1,69 @@
+/**
+ * Promotion Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const discountController = require('../controllers/discountController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param } = require('../middleware/validate');
+
+const { PROMOTION_TYPES } = discountController;
+
+const promotionRules = [
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  body('discount_type').optional({ nullable: true }).isIn(['percent', 'fixed']),
+  body('discount_value').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('buy_quantity').optional({ nullable: true }).isInt({ min: 1 }),
+  body('get_quantity').optional({ nullable: true }).isInt({ min: 1 }),
+  body('combo_price').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('start_time').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/),
+  body('end_time').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/),
+  body('days_of_week').optional({ nullable: true }).matches(/^[0-6](,[0-6])*$/),
+  body('products').optional().isArray(),
+  body('products.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('products.*.category_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('products.*.quantity').optional().isInt({ min: 1 })
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/promotions - Get promotions (query: include_inactive)
+router.get('/',
+  discountController.getPromotions
+);
+
+// POST /api/promotions - Create promotion
+router.post('/',
+  requirePermission('settings', 'update'),
+  [
+    body('name').isString().trim().isLength({ min: 2, max: 100 }),
+    body('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+    ...promotionRules
+  ],
+  validate,
+  discountController.createPromotion
+);
+
+// PUT /api/promotions/:id - Update promotion
+router.put('/:id',
+  requirePermission('settings', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('is_active').optional().isBoolean(),
+    ...promotionRules
+  ],
+  validate,
+  discountController.updatePromotion
+);
+
+// DELETE /api/promotions/:id - Deactivate promotion
+router.delete('/:id',
+  requirePermission('settings', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  discountController.deletePromotion
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Purchase Order Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const purchaseController = require('../controllers/purchaseController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+const STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
+const lineRules = [
+  body('lines').isArray({ min: 1, max: 100 }),
+  body('lines.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('lines.*.variant_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('lines.*.ingredient_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('lines.*.quantity').isFloat({ min: 0.001 }),
+  body('lines.*.unit_cost').optional().isFloat({ min: 0 })
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/purchase-orders - Get purchase orders (query: status, supplier_id)
+router.get('/',
+  requirePermission('products', 'read'),
+  [
+    query('status').optional().isIn(STATUSES),
+    query('supplier_id').optional().isInt({ min: 1 })
+  ],
+  validate,
+  purchaseController.getPurchaseOrders
+);
+
+// GET /api/purchase-orders/outstanding - Lines still to be delivered
+router.get('/outstanding',
+  requirePermission('products', 'read'),
+  purchaseController.getOutstandingDeliveries
+);
+
+// GET /api/purchase-orders/:id - Get purchase order with lines and receipts
+router.get('/:id',
+  requirePermission('products', 'read'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  purchaseController.getPurchaseOrderById
+);
+
+// POST /api/purchase-orders - Create purchase order
+router.post('/',
+  requirePermission('products', 'create'),
+  [
+    body('supplier_id').isInt({ min: 1 }),
+    body('expected_date').optional({ nullable: true, checkFalsy: true }).isDate(),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    body('submit').optional().isBoolean(),
+    ...lineRules
+  ],
+  validate,
+  purchaseController.createPurchaseOrder
+);
+
+// PUT /api/purchase-orders/:id - Update draft purchase order
+router.put('/:id',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('supplier_id').optional().isInt({ min: 1 }),
+    body('expected_date').optional({ nullable: true, checkFalsy: true }).isDate(),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    body('lines').optional().isArray({ min: 1, max: 100 }),
+    ...lineRules.slice(1)
+  ],
+  validate,
+  purchaseController.updatePurchaseOrder
+);
+
+// POST /api/purchase-orders/:id/submit - Send draft to the supplier
+router.post('/:id/submit',
+  requirePermission('products', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  purchaseController.submitPurchaseOrder
+);
+
+// POST /api/purchase-orders/:id/receive - Receive goods (partial or full)
+router.post('/:id/receive',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('lines').isArray({ min: 1, max: 100 }),
+    body('lines.*.line_id').isInt({ min: 1 }),
+    body('lines.*.quantity').isFloat({ min: 0 }),
+    body('lines.*.unit_cost').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('cost_method').optional().isIn(['average', 'last']),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  purchaseController.receivePurchaseOrder
+);
+
+// POST /api/purchase-orders/:id/cancel - Cancel purchase order
+router.post('/:id/cancel',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('reason').optional().isString().isLength({ max: 255 })
+  ],
+  validate,
+  purchaseController.cancelPurchaseOrder
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Reservation Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const reservationController = require('../controllers/reservationController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+const reservationRules = [
+  body('guest_name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('guest_phone').optional({ nullable: true }).isString().isLength({ max: 30 }),
+  body('party_size').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('reserved_at').optional().isISO8601(),
+  body('duration_minutes').optional().isInt({ min: 15, max: 720 }).toInt(),
+  body('section_preference').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  body('table_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/reservations - Get reservations for a day (query: date, default today; status, table_id)
+router.get('/',
+  requirePermission('tables', 'read'),
+  [
+    query('date').optional().isDate(),
+    query('status').optional().isIn(reservationController.RESERVATION_STATUSES),
+    query('table_id').optional().isInt({ min: 1 })
+  ],
+  validate,
+  reservationController.getReservations
+);
+
+// GET /api/reservations/available-tables - Tables free for a booking (query: reserved_at, duration_minutes, party_size, section, exclude_id)
+router.get('/available-tables',
+  requirePermission('tables', 'read'),
+  [
+    query('reserved_at').isISO8601(),
+    query('duration_minutes').optional().isInt({ min: 15, max: 720 }),
+    query('party_size').optional().isInt({ min: 1, max: 100 }),
+    query('section').optional().isString(),
+    query('exclude_id').optional().isInt({ min: 1 })
+  ],
+  validate,
+  reservationController.getAvailableTables
+);
+
+// GET /api/reservations/:id - Get reservation
+router.get('/:id',
+  requirePermission('tables', 'read'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  reservationController.getReservationById
+);
+
+// POST /api/reservations - Book a reservation
+router.post('/',
+  requirePermission('tables', 'update'),
+  [
+    body('guest_name').exists(),
+    body('party_size').exists(),
+    body('reserved_at').exists(),
+    ...reservationRules
+  ],
+  validate,
+  reservationController.createReservation
+);
+
+// PUT /api/reservations/:id - Update a booked reservation
+router.put('/:id',
+  requirePermission('tables', 'update'),
+  [param('id').isInt({ min: 1 }), ...reservationRules],
+  validate,
+  reservationController.updateReservation
+);
+
+// POST /api/reservations/:id/seat - Seat the party and open its order
+router.post('/:id/seat',
+  requirePermission('orders', 'create'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('table_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  reservationController.seatReservation
+);
+
+// POST /api/reservations/:id/cancel - Cancel a reservation
+router.post('/:id/cancel',
+  requirePermission('tables', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  reservationController.cancelReservation
+);
+
+// POST /api/reservations/:id/no-show - Mark a reservation as no-show
+router.post('/:id/no-show',
+  requirePermission('tables', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  reservationController.markNoShow
+);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Stock Alert Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const stockAlertController = require('../controllers/stockAlertController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/stock-alerts - Active alerts, or all alerts with a status (query: status)
+router.get('/',
+  requirePermission('products', 'update'),
+  [query('status').optional().isIn(['open', 'acknowledged', 'resolved'])],
+  validate,
+  stockAlertController.getStockAlerts
+);
+
+// POST /api/stock-alerts/:id/acknowledge - Hide until resolved
+router.post('/:id/acknowledge',
+  requirePermission('products', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  stockAlertController.acknowledgeStockAlert
+);
+
+// POST /api/stock-alerts/:id/snooze - Hide for a while
+router.post('/:id/snooze',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('minutes').isInt({ min: 5, max: 7 * 24 * 60 })
+  ],
+  validate,
+  stockAlertController.snoozeStockAlert
+);
+
+module.exports = router;
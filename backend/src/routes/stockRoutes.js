@@ -0,0 +1,44 @@
+/**
+ * Stock Movement Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const stockController = require('../controllers/stockController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/stock-movements - Movement history (query: product_id, variant_id, ingredient_id, type, start_date, end_date, limit)
+router.get('/',
+  requirePermission('products', 'read'),
+  [
+    query('product_id').optional().isInt({ min: 1 }),
+    query('variant_id').optional().isInt({ min: 1 }),
+    query('ingredient_id').optional().isInt({ min: 1 }),
+    query('type').optional().isIn(stockController.MOVEMENT_TYPES),
+    query('start_date').optional().isDate(),
+    query('end_date').optional().isDate(),
+    query('limit').optional().isInt({ min: 1, max: 1000 })
+  ],
+  validate,
+  stockController.getStockMovements
+);
+
+// GET /api/stock-movements/reconcile - Items whose stock differs from their ledger
+router.get('/reconcile',
+  requirePermission('products', 'read'),
+  stockController.getStockDiscrepancies
+);
+
+// POST /api/stock-movements/reconcile - Record the differences as adjustments
+router.post('/reconcile',
+  requirePermission('products', 'update'),
+  [body('reason').optional().isString().isLength({ max: 255 })],
+  validate,
+  stockController.reconcileStock
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Stocktake Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const stocktakeController = require('../controllers/stocktakeController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/stocktakes - Get stocktakes (query: status)
+router.get('/',
+  requirePermission('products', 'read'),
+  [query('status').optional().isIn(['open', 'posted', 'cancelled'])],
+  validate,
+  stocktakeController.getStocktakes
+);
+
+// GET /api/stocktakes/:id - Get stocktake with lines and variances
+router.get('/:id',
+  requirePermission('products', 'read'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  stocktakeController.getStocktakeById
+);
+
+// POST /api/stocktakes - Start a stocktake
+router.post('/',
+  requirePermission('products', 'update'),
+  [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    body('category_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('include_products').optional().isBoolean(),
+    body('include_ingredients').optional().isBoolean()
+  ],
+  validate,
+  stocktakeController.createStocktake
+);
+
+// PUT /api/stocktakes/:id/counts - Enter counted quantities
+router.put('/:id/counts',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('counts').isArray({ min: 1, max: 1000 }),
+    body('counts.*.line_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('counts.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('counts.*.variant_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('counts.*.ingredient_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('counts.*.counted_quantity').optional({ nullable: true }).isFloat({ min: 0 })
+  ],
+  validate,
+  stocktakeController.saveCounts
+);
+
+// POST /api/stocktakes/:id/post - Post variances to stock
+router.post('/:id/post',
+  requirePermission('products', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  stocktakeController.postStocktake
+);
+
+// POST /api/stocktakes/:id/cancel - Cancel an open stocktake
+router.post('/:id/cancel',
+  requirePermission('products', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  stocktakeController.cancelStocktake
+);
+
+module.exports = router;
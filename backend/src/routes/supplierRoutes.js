@@ -0,0 +1,60 @@
+/**
+ * Supplier Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const purchaseController = require('../controllers/purchaseController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param } = require('../middleware/validate');
+
+const supplierRules = [
+  body('contact_name').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('phone').optional({ nullable: true }).isString().isLength({ max: 30 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('address').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/suppliers - Get suppliers (query: include_inactive)
+router.get('/',
+  requirePermission('products', 'read'),
+  purchaseController.getSuppliers
+);
+
+// POST /api/suppliers - Create supplier
+router.post('/',
+  requirePermission('products', 'create'),
+  [
+    body('name').isString().trim().isLength({ min: 2, max: 150 }),
+    ...supplierRules
+  ],
+  validate,
+  purchaseController.createSupplier
+);
+
+// PUT /api/suppliers/:id - Update supplier
+router.put('/:id',
+  requirePermission('products', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().isString().trim().isLength({ min: 2, max: 150 }),
+    body('is_active').optional().isBoolean(),
+    ...supplierRules
+  ],
+  validate,
+  purchaseController.updateSupplier
+);
+
+// DELETE /api/suppliers/:id - Deactivate supplier
+router.delete('/:id',
+  requirePermission('products', 'delete'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  purchaseController.deleteSupplier
+);
+
+module.exports = router;
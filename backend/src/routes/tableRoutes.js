@@ -8,6 +8,15 @@ const tableController = require('../controllers/tableController');
 const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate, body, param, query } = require('../middleware/validate');
 
+// Where the table sits on its section's floor plan, and how it is drawn
+const layoutRules = [
+  body('shape').optional().isIn(['square', 'round', 'rectangle']),
+  body('width').optional().isInt({ min: 40, max: 400 }).toInt(),
+  body('height').optional().isInt({ min: 40, max: 400 }).toInt(),
+  body('position_x').optional().isInt({ min: 0, max: 5000 }).toInt(),
+  body('position_y').optional().isInt({ min: 0, max: 5000 }).toInt()
+];
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -23,8 +32,7 @@ router.post('/',
     body('table_number').isInt({ min: 1, max: 999 }),
     body('capacity').optional().isInt({ min: 1, max: 50 }),
     body('section').optional().isString().isLength({ max: 50 }),
-    body('position_x').optional().isInt({ min: 0 }),
-    body('position_y').optional().isInt({ min: 0 })
+    ...layoutRules
   ],
   validate,
   tableController.createTable
@@ -62,8 +70,7 @@ router.put('/:id',
     body('table_number').optional().isInt({ min: 1, max: 999 }),
     body('capacity').optional().isInt({ min: 1, max: 50 }),
     body('section').optional().isString().isLength({ max: 50 }),
-    body('position_x').optional().isInt({ min: 0 }),
-    body('position_y').optional().isInt({ min: 0 }),
+    ...layoutRules,
     body('is_active').optional().isBoolean()
   ],
   validate,
@@ -0,0 +1,55 @@
+/**
+ * Tax Rate Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const taxController = require('../controllers/taxController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/tax-rates - Get all tax rates
+router.get('/',
+  taxController.getTaxRates
+);
+
+// POST /api/tax-rates - Create tax rate
+router.post('/',
+  requirePermission('settings', 'update'),
+  [
+    body('name').isString().trim().isLength({ min: 2, max: 50 }),
+    body('rate').isFloat({ min: 0, max: 100 }),
+    body('is_inclusive').optional().isBoolean(),
+    body('is_default').optional().isBoolean()
+  ],
+  validate,
+  taxController.createTaxRate
+);
+
+// PUT /api/tax-rates/:id - Update tax rate
+router.put('/:id',
+  requirePermission('settings', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().isString().trim().isLength({ min: 2, max: 50 }),
+    body('rate').optional().isFloat({ min: 0, max: 100 }),
+    body('is_inclusive').optional().isBoolean(),
+    body('is_default').optional().isBoolean(),
+    body('is_active').optional().isBoolean()
+  ],
+  validate,
+  taxController.updateTaxRate
+);
+
+// DELETE /api/tax-rates/:id - Delete tax rate
+router.delete('/:id',
+  requirePermission('settings', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  taxController.deleteTaxRate
+);
+
+module.exports = router;
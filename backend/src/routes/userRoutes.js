@@ -6,7 +6,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { authenticate, requireRole, requirePermission } = require('../middleware/auth');
-const { validate, validations, body, param } = require('../middleware/validate');
+const { validate, validations, body, param, query } = require('../middleware/validate');
 
 // All routes require authentication
 router.use(authenticate);
@@ -22,6 +22,25 @@ router.get('/roles',
   userController.getRoles
 );
 
+// GET /api/users/sessions - Active sessions, filter by user_id or device (admin only)
+router.get('/sessions',
+  requireRole('admin'),
+  [
+    query('user_id').optional().isInt({ min: 1 }),
+    query('device').optional().isString().trim().isLength({ max: 100 })
+  ],
+  validate,
+  userController.getSessions
+);
+
+// DELETE /api/users/sessions/:sessionId - Force-logout one session (admin only)
+router.delete('/sessions/:sessionId',
+  requireRole('admin'),
+  [param('sessionId').isInt({ min: 1 }).toInt()],
+  validate,
+  userController.revokeSession
+);
+
 // GET /api/users/:id - Get user by ID
 router.get('/:id',
   requirePermission('users', 'read'),
@@ -62,6 +81,14 @@ router.post('/:id/reset-pin',
   userController.resetUserPin
 );
 
+// DELETE /api/users/:id/sessions - Force-logout all sessions of a user (admin only)
+router.delete('/:id/sessions',
+  requireRole('admin'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  userController.revokeUserSessions
+);
+
 // DELETE /api/users/:id - Delete (deactivate) user
 router.delete('/:id',
   requirePermission('users', 'delete'),
@@ -0,0 +1,76 @@
+/**
+ * Waitlist Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, param, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/waitlist - Waiting parties with estimated waits (query: status for today's seated / left)
+router.get('/',
+  requirePermission('tables', 'read'),
+  [query('status').optional().isIn(['waiting', 'seated', 'left'])],
+  validate,
+  waitlistController.getWaitlist
+);
+
+// GET /api/waitlist/estimate - Quote the wait for a new party (query: party_size)
+router.get('/estimate',
+  requirePermission('tables', 'read'),
+  [query('party_size').isInt({ min: 1, max: 100 })],
+  validate,
+  waitlistController.getWaitEstimate
+);
+
+// POST /api/waitlist - Add a party
+router.post('/',
+  requirePermission('tables', 'update'),
+  [
+    body('party_name').trim().notEmpty().isLength({ max: 100 }),
+    body('party_size').isInt({ min: 1, max: 100 }).toInt(),
+    body('phone').optional({ nullable: true }).isString().isLength({ max: 30 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  waitlistController.addToWaitlist
+);
+
+// PUT /api/waitlist/:id - Update a waiting party
+router.put('/:id',
+  requirePermission('tables', 'update'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('party_name').optional().trim().notEmpty().isLength({ max: 100 }),
+    body('party_size').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('phone').optional({ nullable: true }).isString().isLength({ max: 30 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  waitlistController.updateWaitlistEntry
+);
+
+// POST /api/waitlist/:id/seat - Seat the party on a table and open its order
+router.post('/:id/seat',
+  requirePermission('orders', 'create'),
+  [
+    param('id').isInt({ min: 1 }),
+    body('table_id').isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  waitlistController.seatWaitlistEntry
+);
+
+// POST /api/waitlist/:id/remove - Take a party off the list
+router.post('/:id/remove',
+  requirePermission('tables', 'update'),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  waitlistController.removeWaitlistEntry
+);
+
+module.exports = router;
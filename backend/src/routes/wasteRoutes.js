@@ -0,0 +1,57 @@
+/**
+ * Waste Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const wasteController = require('../controllers/wasteController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, body, query } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/waste - Waste log (query: start_date, end_date, reason, user_id, product_id, ingredient_id, limit)
+router.get('/',
+  requirePermission('products', 'read'),
+  [
+    query('start_date').optional().isDate(),
+    query('end_date').optional().isDate(),
+    query('reason').optional().isIn(wasteController.WASTE_REASONS),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('product_id').optional().isInt({ min: 1 }),
+    query('ingredient_id').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 1000 })
+  ],
+  validate,
+  wasteController.getWasteEntries
+);
+
+// GET /api/waste/report - Waste by reason, item and staff member for a date range
+router.get('/report',
+  requirePermission('reports', 'view'),
+  [
+    query('start_date').isDate(),
+    query('end_date').isDate()
+  ],
+  validate,
+  wasteController.getWasteReport
+);
+
+// POST /api/waste - Log waste (takes the stock out)
+router.post('/',
+  requirePermission('products', 'update'),
+  [
+    body('product_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('variant_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('ingredient_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('order_item_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('quantity').isFloat({ min: 0.001 }),
+    body('reason').isIn(wasteController.WASTE_REASONS),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 255 })
+  ],
+  validate,
+  wasteController.createWasteEntry
+);
+
+module.exports = router;
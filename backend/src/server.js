@@ -14,6 +14,7 @@ const { logger } = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const routes = require('./routes');
 const db = require('./config/database');
+const { holdReservedTables } = require('./controllers/reservationController');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -43,14 +44,17 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging
+// Request logging; credentials in the query string are never written to the logs
+const redactUrl = (url) => url.replace(/([?&](?:token|ticket)=)[^&]*/gi, '$1[redacted]');
+
 app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    logger.info(`${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms`, {
+    const url = redactUrl(req.originalUrl);
+    logger.info(`${req.method} ${url} ${res.statusCode} ${duration}ms`, {
       method: req.method,
-      url: req.originalUrl,
+      url,
       status: res.statusCode,
       duration,
       ip: req.ip
@@ -121,6 +125,11 @@ const startServer = async () => {
       logger.info(`Showaya POS server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Hold tables for upcoming reservations (and release past holds) every minute
+    setInterval(() => {
+      holdReservedTables().catch(error => logger.error('Failed to update reservation holds:', error));
+    }, 60 * 1000);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,47 @@
+/**
+ * In-process Event Bus
+ * Controllers publish state changes here; the SSE stream fans them out to connected clients
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+let lastEventId = 0;
+
+/**
+ * Publish a state change
+ * @param {string} type - Event type (e.g. 'order.updated', 'table.updated')
+ * @param {Object} data - Small payload of ids; clients refetch what they display
+ */
+const publish = (type, data = {}) => {
+  lastEventId += 1;
+  emitter.emit('event', {
+    id: lastEventId,
+    type,
+    data,
+    at: new Date().toISOString()
+  });
+};
+
+/**
+ * Subscribe to all events
+ * @param {Function} listener - Receives { id, type, data, at }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Number of active subscribers (connected clients)
+ */
+const subscriberCount = () => emitter.listenerCount('event');
+
+module.exports = {
+  publish,
+  subscribe,
+  subscriberCount
+};
@@ -0,0 +1,56 @@
+/**
+ * Event Stream Tickets
+ * EventSource cannot send an Authorization header, so clients trade their JWT for a
+ * short-lived, single-use ticket and open the stream with ?ticket= instead. The session
+ * JWT never appears in a URL (and so never in access logs or proxy logs).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const TICKET_TTL_MS = 30 * 1000;
+
+// ticket -> { userId, sid, expiresAt }
+const tickets = new Map();
+
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [ticket, entry] of tickets) {
+    if (entry.expiresAt <= now) {
+      tickets.delete(ticket);
+    }
+  }
+};
+
+/**
+ * Issue a ticket for a session
+ * @param {Object} session - { userId, sid } as carried in the session JWT
+ * @returns {{ticket: string, expiresIn: number}}
+ */
+const issue = ({ userId, sid }) => {
+  pruneExpired();
+  const ticket = uuidv4();
+  tickets.set(ticket, { userId, sid, expiresAt: Date.now() + TICKET_TTL_MS });
+  return { ticket, expiresIn: TICKET_TTL_MS / 1000 };
+};
+
+/**
+ * Redeem a ticket; it cannot be used again
+ * @param {string} ticket
+ * @returns {{userId: number, sid: string}|null} Null when unknown, used or expired
+ */
+const redeem = (ticket) => {
+  const entry = tickets.get(ticket);
+  if (!entry) {
+    return null;
+  }
+  tickets.delete(ticket);
+  if (entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return { userId: entry.userId, sid: entry.sid };
+};
+
+module.exports = {
+  issue,
+  redeem
+};
@@ -0,0 +1,64 @@
+/**
+ * Bundle slots and how a bundle's price is shared between its components
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { allocateBundlePrice, validateBundleSlots } = require('../src/controllers/bundleController');
+
+const component = (name, weight) => ({ product_name: name, weight });
+
+const shares = (unitPrice, components) =>
+  allocateBundlePrice(unitPrice, components).map(c => [c.product_name, c.allocated_amount]);
+
+describe('allocateBundlePrice', () => {
+  test('the price is shared by what the components sell for on their own', () => {
+    expect(shares(10, [component('Burger', 8), component('Fries', 3), component('Drink', 2)])).toEqual([
+      ['Burger', 6.15],
+      ['Fries', 2.31],
+      ['Drink', 1.54]
+    ]);
+  });
+
+  test('the last component takes the rounding so the shares add up to the price', () => {
+    const allocated = allocateBundlePrice(9.99, [component('A', 1), component('B', 1), component('C', 1)]);
+
+    expect(allocated.map(c => c.allocated_amount)).toEqual([3.33, 3.33, 3.33]);
+
+    const odd = allocateBundlePrice(10, [component('A', 1), component('B', 1), component('C', 1)]);
+    expect(odd.map(c => c.allocated_amount)).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  test('components that cost nothing on their own share the price evenly', () => {
+    expect(shares(5, [component('Toy', 0), component('Sticker', 0)])).toEqual([['Toy', 2.5], ['Sticker', 2.5]]);
+  });
+
+  test('the weight is not stored with the component', () => {
+    expect(allocateBundlePrice(4, [component('Solo', 3)])).toEqual([{ product_name: 'Solo', allocated_amount: 4 }]);
+  });
+});
+
+describe('validateBundleSlots', () => {
+  const connection = (product) => ({ execute: jest.fn().mockResolvedValue([[product].filter(Boolean)]) });
+
+  test('a bundle needs a slot', async () => {
+    await expect(validateBundleSlots(connection(), 1, [])).rejects.toThrow('at least one slot');
+  });
+
+  test('a slot is one product or one category, not both or neither', async () => {
+    await expect(validateBundleSlots(connection(), 1, [{ name: 'Main' }]))
+      .rejects.toThrow('Slot "Main" needs either a product or a category');
+    await expect(validateBundleSlots(connection(), 1, [{ name: 'Main', product_id: 2, category_id: 3 }]))
+      .rejects.toThrow('needs either a product or a category');
+    await expect(validateBundleSlots(connection(), 1, [{ name: 'Side', category_id: 3 }])).resolves.toBeUndefined();
+  });
+
+  test('a slot product must exist and not be a bundle, itself included', async () => {
+    await expect(validateBundleSlots(connection({ id: 2, is_bundle: 0 }), 1, [{ name: 'Main', product_id: 2 }]))
+      .resolves.toBeUndefined();
+    await expect(validateBundleSlots(connection({ id: 5, is_bundle: 1 }), 1, [{ name: 'Main', product_id: 5 }]))
+      .rejects.toThrow('must be a product that is not a bundle');
+    await expect(validateBundleSlots(connection(), 1, [{ name: 'Main', product_id: 9 }]))
+      .rejects.toThrow('must be a product that is not a bundle');
+  });
+});
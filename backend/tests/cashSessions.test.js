@@ -0,0 +1,72 @@
+/**
+ * Cash drawer X / Z report figures
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { summarizeSession } = require('../src/controllers/cashSessionController');
+
+// Totals as buildSessionReport's queries return them: DECIMAL sums as strings, counts as numbers
+const totals = ({ sales = {}, voided = {}, refunds = {}, movements = [] } = {}) => ({
+  sales: { order_count: 0, gross_sales: '0.00', total_tips: '0.00', cash_received: '0.00', ...sales },
+  voided: { void_count: 0, void_amount: '0.00', cash_received: '0.00', ...voided },
+  refunds: { refund_amount: '0.00', cash_returned: '0.00', ...refunds },
+  movements
+});
+
+const movement = (type, amount) => ({ type, amount });
+
+describe('summarizeSession', () => {
+  test('a drawer with no activity expects its float back', () => {
+    const summary = summarizeSession({ opening_float: '150.00' }, totals());
+
+    expect(summary).toMatchObject({ openingFloat: 150, cashSales: 0, orderCount: 0, expectedCash: 150 });
+  });
+
+  test('expected cash adds cash taken and pay-ins and takes off cash given back and pay-outs', () => {
+    const summary = summarizeSession({ opening_float: '150.00' }, totals({
+      sales: { order_count: 12, gross_sales: '480.50', total_tips: '18.00', cash_received: '212.35' },
+      // A cash tender of 25.00 (tip included) that was later voided
+      voided: { void_count: 1, void_amount: '20.00', cash_received: '25.00' },
+      // A 12.50 cash refund, plus the 25.00 handed back for the void
+      refunds: { refund_amount: '12.50', cash_returned: '37.50' },
+      movements: [movement('pay_in', '50.00'), movement('pay_out', '19.99'), movement('pay_out', '0.01')]
+    }));
+
+    expect(summary).toMatchObject({
+      grossSales: 480.5,
+      totalTips: 18,
+      refundAmount: 12.5,
+      voidCount: 1,
+      voidAmount: 20,
+      cashSales: 237.35,
+      cashRefunds: 37.5,
+      payIns: 50,
+      payOuts: 20,
+      expectedCash: 379.85
+    });
+  });
+
+  test('a voided cash tender taken and handed back in the same drawer nets to nothing', () => {
+    const summary = summarizeSession({ opening_float: '100.00' }, totals({
+      voided: { void_count: 1, void_amount: '30.00', cash_received: '35.00' },
+      refunds: { cash_returned: '35.00' }
+    }));
+
+    expect(summary.expectedCash).toBe(100);
+  });
+
+  test('cents add up without float drift', () => {
+    const summary = summarizeSession({ opening_float: '0.10' }, totals({
+      sales: { cash_received: '0.20' },
+      movements: [movement('pay_in', '0.10'), movement('pay_in', '0.20'), movement('pay_out', '0.30')]
+    }));
+
+    expect(summary.payIns).toBe(0.3);
+    expect(summary.expectedCash).toBe(0.3);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Splitting an order into checks
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: {}
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { buildChecks, allocateChecks } = require('../src/controllers/checkController');
+
+const line = (id, subtotal, seat, { discount = '0.00', tax = '0.00', inclusive = 1 } = {}) => ({
+  id, subtotal, discount_amount: discount, tax_amount: tax, tax_inclusive: inclusive, seat_number: seat
+});
+
+const items = [
+  line(1, '12.00', 1),
+  line(2, '8.00', 2, { discount: '2.00' }),
+  line(3, '10.00', 1)
+];
+
+const sum = (definitions) => Math.round(definitions.reduce((total, d) => total + d.amount, 0) * 100) / 100;
+
+describe('buildChecks', () => {
+  test('even splits weigh every guest the same', () => {
+    const checks = buildChecks('even', items, { count: 3 });
+
+    expect(checks.map(c => c.label)).toEqual(['Guest 1', 'Guest 2', 'Guest 3']);
+    expect(checks.every(c => c.weight === 1 && c.item_ids.length === 0)).toBe(true);
+  });
+
+  test('seat splits group items by seat, weighted by their discounted price', () => {
+    const checks = buildChecks('seat', items, {});
+
+    expect(checks).toEqual([
+      { label: 'Seat 1', item_ids: [1, 3], weight: 22 },
+      { label: 'Seat 2', item_ids: [2], weight: 6 }
+    ]);
+  });
+
+  test('seat splits need every item seated', () => {
+    const unseated = [...items, line(4, '5.00', null)];
+
+    expect(() => buildChecks('seat', unseated, {})).toThrow('1 item(s) have no seat number');
+  });
+
+  test('item splits put every item on exactly one check', () => {
+    const checks = buildChecks('item', items, {
+      checks: [{ label: 'Anna', item_ids: ['1', '2'] }, { item_ids: [3] }]
+    });
+
+    expect(checks).toEqual([
+      { label: 'Anna', item_ids: [1, 2], weight: 18 },
+      { label: 'Check 2', item_ids: [3], weight: 10 }
+    ]);
+
+    const split = (checks) => () => buildChecks('item', items, { checks });
+    expect(split([{ item_ids: [1, 2] }, { item_ids: [2, 3] }])).toThrow('An item can only be on one check');
+    expect(split([{ item_ids: [1, 2] }, { item_ids: [3, 9] }])).toThrow('not on this order');
+    expect(split([{ item_ids: [1] }, { item_ids: [3] }])).toThrow('Every item must be assigned');
+    expect(split([{ item_ids: [1, 2, 3] }, { item_ids: [] }])).toThrow('at least one item');
+  });
+});
+
+describe('allocateChecks', () => {
+  test('even shares add back up to the total; the last check takes the odd cent', () => {
+    const checks = allocateChecks(100, buildChecks('even', items, { count: 3 }));
+
+    expect(checks.map(c => c.amount)).toEqual([33.33, 33.33, 33.34]);
+    expect(sum(checks)).toBe(100);
+  });
+
+  test('shares follow the weights', () => {
+    const checks = allocateChecks(28, buildChecks('seat', items, {}));
+
+    expect(checks.map(c => c.amount)).toEqual([22, 6]);
+    expect(sum(checks)).toBe(28);
+  });
+
+  test('tax added on top goes to the check whose lines carry it', () => {
+    // Seat 1 has a 20% tax-exclusive line, seat 2 an untaxed one: 12.00 + 10.00 on the bill
+    const mixed = [
+      line(1, '10.00', 1, { tax: '2.00', inclusive: 0 }),
+      line(2, '10.00', 2, { tax: '0.00', inclusive: 0 })
+    ];
+
+    expect(allocateChecks(22, buildChecks('seat', mixed, {})).map(c => c.amount)).toEqual([12, 10]);
+
+    const byItem = buildChecks('item', mixed, { checks: [{ item_ids: [2] }, { item_ids: [1] }] });
+    expect(allocateChecks(22, byItem).map(c => c.amount)).toEqual([10, 12]);
+  });
+
+  test('inclusive tax is already in the line price', () => {
+    const mixed = [
+      line(1, '12.00', 1, { tax: '2.00', inclusive: 1 }),
+      line(2, '12.00', 2, { tax: '0.00', inclusive: 1 })
+    ];
+
+    expect(allocateChecks(24, buildChecks('seat', mixed, {})).map(c => c.amount)).toEqual([12, 12]);
+  });
+
+  test('awkward totals still sum exactly', () => {
+    for (const total of [0.01, 0.1, 10.01, 99.99, 1234.57]) {
+      expect(sum(allocateChecks(total, buildChecks('even', items, { count: 7 })))).toBe(total);
+    }
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Transactions and work deferred until they commit
+ */
+
+const mockConnection = {
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({ getConnection: async () => mockConnection })
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = require('../src/config/database');
+const { logger } = require('../src/utils/logger');
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('transaction', () => {
+  test('after-commit callbacks run once the transaction has committed', async () => {
+    const order = [];
+    mockConnection.commit.mockImplementation(async () => order.push('commit'));
+
+    const result = await db.transaction(async (connection) => {
+      db.afterCommit(connection, () => order.push('publish'));
+      return 42;
+    });
+
+    expect(result).toBe(42);
+    expect(order).toEqual(['commit', 'publish']);
+    expect(mockConnection.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failing callback is logged without rolling back or failing saved work', async () => {
+    const later = jest.fn();
+
+    const result = await db.transaction(async (connection) => {
+      db.afterCommit(connection, () => { throw new Error('bus down'); });
+      db.afterCommit(connection, later);
+      return 'saved';
+    });
+
+    expect(result).toBe('saved');
+    expect(mockConnection.rollback).not.toHaveBeenCalled();
+    expect(later).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith('After-commit callback failed:', 'bus down');
+  });
+
+  test('callbacks are dropped when the transaction rolls back', async () => {
+    const publish = jest.fn();
+
+    await expect(db.transaction(async (connection) => {
+      db.afterCommit(connection, publish);
+      throw new Error('conflict');
+    })).rejects.toThrow('conflict');
+
+    expect(mockConnection.rollback).toHaveBeenCalledTimes(1);
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test('outside a transaction the callback runs straight away', () => {
+    const publish = jest.fn();
+    db.afterCommit(db.pool, publish);
+
+    expect(publish).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Manual discounts and promotions spread over order lines
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { execute: jest.fn() }
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { fakeConnection, runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const {
+  getPromotions,
+  applyDiscounts,
+  calculatePromotions,
+  inPromotionWindow
+} = require('../src/controllers/discountController');
+
+const orderLine = (id, unitPrice, quantity = 1, extra = {}) => ({
+  id,
+  product_id: id,
+  category_id: 1,
+  quantity,
+  unit_price: unitPrice.toFixed(2),
+  subtotal: (unitPrice * quantity).toFixed(2),
+  added_weekday: 5,
+  added_time: '18:30:00',
+  ...extra
+});
+
+const promotion = (fields) => ({
+  id: 1,
+  name: 'Promotion',
+  days_of_week: null,
+  start_time: null,
+  end_time: null,
+  products: [],
+  ...fields
+});
+
+/**
+ * Run applyDiscounts over lines, promotions and manual discounts; returns the amounts written
+ */
+const discountOrder = async ({ lines, promotions = [], discounts = [] }) => {
+  const connection = fakeConnection([
+    [/FROM order_items oi/, lines],
+    [/SELECT \* FROM promotions/, promotions.map(({ products, ...row }) => row)],
+    [/FROM promotion_products/, promotions.flatMap(p => p.products.map(product => ({ ...product, promotion_id: p.id })))],
+    [/SELECT \* FROM order_discounts/, discounts]
+  ]);
+
+  await applyDiscounts(connection, 1);
+
+  const lineDiscounts = Object.fromEntries(connection
+    .callsTo(/UPDATE order_items SET discount_amount = \? WHERE id = \?/)
+    .map(call => [call.params[1], call.params[0]]));
+  const discountAmounts = Object.fromEntries(connection
+    .callsTo(/UPDATE order_discounts SET amount/)
+    .map(call => [call.params[1], call.params[0]]));
+  const promotionRows = connection.callsTo(/INSERT INTO order_discounts/).map(call => call.params);
+
+  return { lineDiscounts, discountAmounts, promotionRows };
+};
+
+const total = (amounts) => Math.round(Object.values(amounts).reduce((sum, a) => sum + a, 0) * 100) / 100;
+
+describe('order discounts', () => {
+  test('a fixed discount is prorated by line price and adds back up exactly', async () => {
+    const { lineDiscounts } = await discountOrder({
+      lines: [orderLine(1, 9.99), orderLine(2, 19.99), orderLine(3, 5.01)],
+      discounts: [{ id: 1, order_item_id: null, discount_type: 'fixed', value: '10.00', amount: '10.00' }]
+    });
+
+    expect(lineDiscounts).toEqual({ 1: 2.86, 2: 5.71, 3: 1.43 });
+    expect(total(lineDiscounts)).toBe(10);
+  });
+
+  test('a percent discount is taken of the order and stored on the discount', async () => {
+    const { lineDiscounts, discountAmounts } = await discountOrder({
+      lines: [orderLine(1, 9.99), orderLine(2, 19.99), orderLine(3, 5.01)],
+      discounts: [{ id: 4, order_item_id: null, discount_type: 'percent', value: '10.00', amount: '0.00' }]
+    });
+
+    expect(discountAmounts).toEqual({ 4: 3.5 });
+    expect(total(lineDiscounts)).toBe(3.5);
+  });
+
+  test('a fixed discount never exceeds the order', async () => {
+    const { lineDiscounts, discountAmounts } = await discountOrder({
+      lines: [orderLine(1, 4), orderLine(2, 6)],
+      discounts: [{ id: 2, order_item_id: null, discount_type: 'fixed', value: '25.00', amount: '25.00' }]
+    });
+
+    expect(discountAmounts).toEqual({ 2: 10 });
+    expect(lineDiscounts).toEqual({ 1: 4, 2: 6 });
+  });
+
+  test('item discounts apply after promotions, and order discounts after both', async () => {
+    const { lineDiscounts, promotionRows } = await discountOrder({
+      lines: [orderLine(1, 10), orderLine(2, 10)],
+      promotions: [promotion({ type: 'happy_hour', discount_type: 'percent', discount_value: '50.00', products: [{ product_id: 1 }] })],
+      discounts: [
+        { id: 1, order_item_id: 1, discount_type: 'percent', value: '10.00', amount: '0.00' },
+        { id: 2, order_item_id: null, discount_type: 'fixed', value: '3.00', amount: '3.00' }
+      ]
+    });
+
+    expect(promotionRows).toHaveLength(1);
+    expect(promotionRows[0][3]).toBe(5);
+    // Line 1: 5.00 promotion + 0.50 item discount, then its share of the order discount (4.50 of 14.50 left)
+    expect(lineDiscounts[1]).toBe(6.43);
+    expect(lineDiscounts[2]).toBe(2.07);
+    expect(total(lineDiscounts)).toBe(8.5);
+  });
+
+  test('a fixed item discount is capped at what is left of the line', async () => {
+    const { lineDiscounts, discountAmounts } = await discountOrder({
+      lines: [orderLine(1, 7.5)],
+      discounts: [{ id: 3, order_item_id: 1, discount_type: 'fixed', value: '20.00', amount: '20.00' }]
+    });
+
+    expect(discountAmounts).toEqual({ 3: 7.5 });
+    expect(lineDiscounts).toEqual({ 1: 7.5 });
+  });
+});
+
+describe('inPromotionWindow', () => {
+  const happyHour = promotion({ days_of_week: '1,2,3,4,5', start_time: '17:00:00', end_time: '19:00:00' });
+  const lateNight = promotion({ start_time: '22:00:00', end_time: '02:00:00' });
+
+  test('covers its days and times, end time excluded', () => {
+    expect(inPromotionWindow(happyHour, { weekday: 5, time: '17:00:00' })).toBe(true);
+    expect(inPromotionWindow(happyHour, { weekday: 5, time: '18:59:59' })).toBe(true);
+    expect(inPromotionWindow(happyHour, { weekday: 5, time: '19:00:00' })).toBe(false);
+    expect(inPromotionWindow(happyHour, { weekday: 6, time: '18:00:00' })).toBe(false);
+    expect(inPromotionWindow(happyHour, { weekday: '1', time: '18:00:00' })).toBe(true);
+  });
+
+  test('windows may cross midnight', () => {
+    expect(inPromotionWindow(lateNight, { weekday: 3, time: '23:30:00' })).toBe(true);
+    expect(inPromotionWindow(lateNight, { weekday: 3, time: '01:59:59' })).toBe(true);
+    expect(inPromotionWindow(lateNight, { weekday: 3, time: '02:00:00' })).toBe(false);
+    expect(inPromotionWindow(lateNight, { weekday: 3, time: '21:59:59' })).toBe(false);
+  });
+
+  test('no days or times means always', () => {
+    expect(inPromotionWindow(promotion({}), { weekday: 0, time: '04:00:00' })).toBe(true);
+  });
+});
+
+describe('calculatePromotions', () => {
+  test('happy hour only discounts lines added inside the window', () => {
+    const results = calculatePromotions(
+      [promotion({ type: 'happy_hour', discount_type: 'fixed', discount_value: '1.50', start_time: '17:00:00', end_time: '19:00:00' })],
+      [orderLine(1, 5, 2), orderLine(2, 5, 1, { added_time: '19:15:00' })]
+    );
+
+    expect(results).toEqual([expect.objectContaining({ order_item_id: 1, amount: 3 })]);
+  });
+
+  test('buy x get y gives the cheapest units free', () => {
+    const buyTwoGetOne = promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 });
+
+    const results = calculatePromotions([buyTwoGetOne], [orderLine(1, 5, 2), orderLine(2, 3, 1)]);
+    expect(results).toEqual([expect.objectContaining({ order_item_id: 2, amount: 3 })]);
+
+    const bulk = calculatePromotions([buyTwoGetOne], [orderLine(1, 5, 7)]);
+    expect(bulk).toEqual([expect.objectContaining({ order_item_id: 1, amount: 10 })]);
+  });
+
+  test('a line takes at most one promotion', () => {
+    const results = calculatePromotions(
+      [
+        promotion({ id: 1, type: 'happy_hour', discount_type: 'percent', discount_value: '20.00' }),
+        promotion({ id: 2, type: 'happy_hour', discount_type: 'percent', discount_value: '50.00' })
+      ],
+      [orderLine(1, 10)]
+    );
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ amount: 2, promotion: { id: 1 } });
+  });
+});
+
+describe('getPromotions', () => {
+  const listed = async (query) => {
+    db.pool.execute.mockReset().mockResolvedValue([[]]);
+    await runHandler(getPromotions, { query });
+    return db.pool.execute.mock.calls[0][0];
+  };
+
+  test('lists active promotions unless inactive ones are asked for', async () => {
+    expect(await listed({})).toMatch(/WHERE is_active = TRUE/);
+    expect(await listed({ include_inactive: 'false' })).toMatch(/WHERE is_active = TRUE/);
+    expect(await listed({ include_inactive: '0' })).toMatch(/WHERE is_active = TRUE/);
+    expect(await listed({ include_inactive: 'true' })).not.toMatch(/is_active/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Floor plan layout: which shapes, sizes and positions a table accepts, and saving them
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const tableRoutes = require('../src/routes/tableRoutes');
+const { createTable, updateTable } = require('../src/controllers/tableController');
+
+const manager = {
+  id: 2, username: 'manager', role_name: 'moderator',
+  permissions: { tables: ['create', 'update'] }
+};
+
+/**
+ * Run a table route's permission check and validators (everything before its controller)
+ * @returns {Promise<{body: Object, error: Error}>}
+ */
+const validateRoute = async (method, body) => {
+  const path = method === 'post' ? '/' : '/:id';
+  const layer = tableRoutes.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { method: method.toUpperCase(), params: { id: '3' }, body: { ...body }, user: manager };
+
+  for (const { handle } of layer.route.stack.slice(0, -1)) {
+    const error = await new Promise((resolve) => {
+      const result = handle(req, {}, resolve);
+      if (result && result.then) result.then(() => resolve());
+    });
+    if (error) return { body: req.body, error };
+  }
+  return { body: req.body, error: null };
+};
+
+const invalidFields = (error) => error.details.map(detail => detail.field);
+
+describe('table layout validation', () => {
+  test('a layout on the floor is accepted and stored as whole numbers', async () => {
+    const { body, error } = await validateRoute('put', {
+      shape: 'round', width: '120', height: '120', position_x: '300', position_y: '0'
+    });
+
+    expect(error).toBeNull();
+    expect(body).toEqual({ shape: 'round', width: 120, height: 120, position_x: 300, position_y: 0 });
+  });
+
+  test('tables are between 40 and 400 across', async () => {
+    const { error } = await validateRoute('put', { width: 39, height: 401 });
+
+    expect(invalidFields(error)).toEqual(['width', 'height']);
+  });
+
+  test('positions stay on a 5000 x 5000 floor', async () => {
+    const { error } = await validateRoute('put', { position_x: -1, position_y: 5001 });
+
+    expect(invalidFields(error)).toEqual(['position_x', 'position_y']);
+  });
+
+  test('only square, round and rectangle tables can be drawn', async () => {
+    const { error } = await validateRoute('post', { table_number: 12, shape: 'hexagon' });
+
+    expect(invalidFields(error)).toEqual(['shape']);
+  });
+});
+
+describe('saving a table layout', () => {
+  beforeEach(() => db.query.mockReset());
+
+  test('a moved or resized table saves only the layout it was sent', async () => {
+    db.query
+      .mockResolvedValueOnce([{ id: 3, table_number: 3 }])
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce([{ id: 3 }]);
+
+    const { body } = await runHandler(updateTable, {
+      params: { id: '3' }, body: { width: 160, position_x: 420, position_y: 80 }, user: manager
+    });
+
+    expect(body.message).toBe('Table updated');
+    const [sql, values] = db.query.mock.calls[1];
+    expect(sql).toBe('UPDATE restaurant_tables SET width = ?, position_x = ?, position_y = ? WHERE id = ?');
+    expect(values).toEqual([160, 420, 80, '3']);
+  });
+
+  test('a new table without a layout is an 80 x 80 square in the corner', async () => {
+    db.query
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce({ insertId: 12 })
+      .mockResolvedValueOnce([{ id: 12 }]);
+
+    const { status } = await runHandler(createTable, { body: { table_number: 12 }, user: manager });
+
+    expect(status).toBe(201);
+    expect(db.query.mock.calls[1][1]).toEqual([12, 4, null, 'square', 80, 80, 0, 0]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Handovers of open orders: accepting them, and how a handed-over order's sales are shared
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { fakeConnection, runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const { acceptHandovers } = require('../src/controllers/handoverController');
+const { totalServerSales } = require('../src/controllers/paymentController');
+
+const receiver = { id: 9, username: 'evening', role_name: 'waiter' };
+
+const handovers = [
+  { id: 21, order_id: 4, from_server_id: 5, to_server_id: 9, status: 'pending' },
+  { id: 20, order_id: 7, from_server_id: 5, to_server_id: 9, status: 'pending' }
+];
+
+const accept = async (orders) => {
+  const connection = fakeConnection([
+    [/SELECT DISTINCT order_id FROM order_handovers/, handovers.map(h => ({ order_id: h.order_id }))],
+    [/FROM orders WHERE id IN/, orders],
+    [/FROM order_handovers[\s\S]*FOR UPDATE/, handovers]
+  ]);
+  db.transaction.mockImplementation((callback) => callback(connection));
+
+  const outcome = await runHandler(acceptHandovers, {
+    body: { handover_ids: [20, 21] },
+    user: receiver
+  });
+  return { ...outcome, connection };
+};
+
+describe('acceptHandovers', () => {
+  test('orders are locked in id order before their handovers', async () => {
+    const { connection } = await accept([
+      { id: 4, status: 'open', server_id: 5 },
+      { id: 7, status: 'open', server_id: 5 }
+    ]);
+
+    const locks = connection.calls.filter(call => /FOR UPDATE/.test(call.sql));
+    expect(locks.map(call => (/FROM orders/.test(call.sql) ? 'orders' : 'handovers')))
+      .toEqual(['orders', 'handovers']);
+    expect(locks[0].sql).toMatch(/ORDER BY id FOR UPDATE/);
+    expect(locks[0].params).toEqual([4, 7]);
+  });
+
+  test('orders move to the receiver; closed or reassigned ones are skipped', async () => {
+    const { body, connection } = await accept([
+      { id: 4, status: 'open', server_id: 5 },
+      { id: 7, status: 'open', server_id: 6 }
+    ]);
+
+    expect(body.data).toEqual({ order_ids: [4], skipped_order_ids: [7] });
+    expect(connection.callsTo(/UPDATE orders SET server_id/).map(call => call.params)).toEqual([[9, 4]]);
+  });
+});
+
+describe('totalServerSales', () => {
+  const DAY = { server_id: 5, server_name: 'Day' };
+  const EVENING = { server_id: 9, server_name: 'Evening' };
+
+  // One row per order and server as getServerSales reads them: DECIMAL columns as strings
+  const share = (server, orderId, { sales = '0.00', refunds = '0.00', serverNet = null, orderNet = null, servers = 1 }) => ({
+    ...server, order_id: orderId, sales, refunds, server_net: serverNet, order_net: orderNet, servers
+  });
+
+  test('a handed-over order is split by the net amount each server rang up', () => {
+    const totals = totalServerSales([
+      share(DAY, 1, { sales: '110.00', serverNet: '60.00', orderNet: '100.00', servers: 2 }),
+      share(EVENING, 1, { sales: '110.00', serverNet: '40.00', orderNet: '100.00', servers: 2 })
+    ]);
+
+    expect(totals).toEqual([
+      { ...DAY, order_count: 1, handover_orders: 1, total_refunds: 0, total_sales: 66 },
+      { ...EVENING, order_count: 1, handover_orders: 1, total_refunds: 0, total_sales: 44 }
+    ]);
+  });
+
+  test("a server's orders add up, best server first", () => {
+    const totals = totalServerSales([
+      share(DAY, 1, { sales: '30.00', serverNet: '10.00', orderNet: '30.00', servers: 2 }),
+      share(EVENING, 1, { sales: '30.00', serverNet: '20.00', orderNet: '30.00', servers: 2 }),
+      share(EVENING, 2, { sales: '25.50', serverNet: '25.50', orderNet: '25.50' })
+    ]);
+
+    expect(totals.map(t => [t.server_name, t.order_count, t.handover_orders, t.total_sales])).toEqual([
+      ['Evening', 2, 1, 45.5],
+      ['Day', 1, 1, 10]
+    ]);
+  });
+
+  test('a refund is shared like the sale and does not count as an order on its day', () => {
+    const totals = totalServerSales([
+      share(DAY, 1, { refunds: '20.00', serverNet: '60.00', orderNet: '100.00', servers: 2 }),
+      share(EVENING, 1, { refunds: '20.00', serverNet: '40.00', orderNet: '100.00', servers: 2 })
+    ]);
+
+    expect(totals).toEqual([
+      { ...EVENING, order_count: 0, handover_orders: 0, total_refunds: 8, total_sales: -8 },
+      { ...DAY, order_count: 0, handover_orders: 0, total_refunds: 12, total_sales: -12 }
+    ]);
+  });
+
+  test('thirds are rounded once per server, not per order', () => {
+    const totals = totalServerSales([1, 2, 3].map(orderId =>
+      share(DAY, orderId, { sales: '10.00', serverNet: '1.00', orderNet: '3.00', servers: 2 })
+    ));
+
+    expect(totals[0].total_sales).toBe(10);
+  });
+
+  test('an order with nothing left to share goes to its own server', () => {
+    const totals = totalServerSales([share(DAY, 4, { sales: '5.00', orderNet: '0.00' })]);
+
+    expect(totals[0]).toMatchObject({ ...DAY, order_count: 1, handover_orders: 0, total_sales: 5 });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Test helpers: a scripted stand-in for a mysql2 transaction connection and a controller runner
+ */
+
+/**
+ * Connection whose execute() answers from [pattern, rows] handlers, first match wins.
+ * rows may be a function of (params, sql). Unmatched SELECTs return no rows; other statements
+ * return { insertId, affectedRows }. Every call is recorded in `calls`.
+ * @param {Array<[RegExp, Array|Object|Function]>} handlers
+ */
+const fakeConnection = (handlers = []) => {
+  const calls = [];
+  let nextInsertId = 100;
+
+  const execute = async (sql, params = []) => {
+    calls.push({ sql, params });
+
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (handler) {
+      const rows = typeof handler[1] === 'function' ? handler[1](params, sql) : handler[1];
+      return [rows];
+    }
+
+    if (/^\s*SELECT/i.test(sql)) return [[]];
+    return [{ insertId: nextInsertId++, affectedRows: 1 }];
+  };
+
+  /**
+   * Calls whose SQL matches a pattern
+   */
+  const callsTo = (pattern) => calls.filter(call => pattern.test(call.sql));
+
+  return { execute, calls, callsTo };
+};
+
+/**
+ * Run an Express handler and collect what it sent, or the error it passed to next()
+ * @returns {Promise<{status: number, body: Object, error: Error}>}
+ */
+const runHandler = async (handler, req) => {
+  const outcome = { status: 200, body: null, error: null };
+  const res = {
+    status(code) { outcome.status = code; return res; },
+    json(body) { outcome.body = body; return res; }
+  };
+
+  await handler(req, res, (error) => { outcome.error = error; });
+  return outcome;
+};
+
+module.exports = {
+  fakeConnection,
+  runHandler
+};
@@ -0,0 +1,78 @@
+/**
+ * What an order line takes from ingredient stock, and when a shortage blocks the sale
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { sumIngredientNeeds, coversNeed } = require('../src/controllers/ingredientController');
+
+// Recipe lines as product_ingredients returns them: DECIMAL quantity as a string, is_required as 0 / 1
+const line = (ingredientId, quantity, isRequired = 1) => ({
+  ingredient_id: ingredientId, quantity, is_required: isRequired
+});
+
+const BEEF = 1;
+const LETTUCE = 2;
+const POTATO = 3;
+const OIL = 4;
+
+describe('sumIngredientNeeds', () => {
+  test("a product's recipe gives what one unit takes", () => {
+    const needs = sumIngredientNeeds([
+      { part: { quantity: 1 }, lines: [line(BEEF, '0.150'), line(LETTUCE, '0.020', 0)] }
+    ]);
+
+    expect(needs).toEqual([
+      { ingredient_id: BEEF, quantity: 0.15, is_required: true },
+      { ingredient_id: LETTUCE, quantity: 0.02, is_required: false }
+    ]);
+  });
+
+  test("bundle components add their recipes, times the component's quantity", () => {
+    const needs = sumIngredientNeeds([
+      { part: { quantity: 1 }, lines: [line(BEEF, '0.150'), line(OIL, '0.010', 0)] },
+      { part: { quantity: 2 }, lines: [line(POTATO, '0.200'), line(OIL, '0.020')] }
+    ]);
+
+    expect(needs).toEqual([
+      { ingredient_id: BEEF, quantity: 0.15, is_required: true },
+      // Optional on the burger but required for the fries
+      { ingredient_id: OIL, quantity: 0.05, is_required: true },
+      { ingredient_id: POTATO, quantity: 0.4, is_required: true }
+    ]);
+  });
+
+  test('quantities add up without float drift', () => {
+    const needs = sumIngredientNeeds([
+      { part: { quantity: 1 }, lines: [line(OIL, '0.100')] },
+      { part: { quantity: 1 }, lines: [line(OIL, '0.200')] }
+    ]);
+
+    expect(needs[0].quantity).toBe(0.3);
+  });
+
+  test('a product without a recipe takes nothing', () => {
+    expect(sumIngredientNeeds([{ part: { quantity: 1 }, lines: [] }])).toEqual([]);
+  });
+});
+
+describe('coversNeed', () => {
+  const beef = { name: 'Beef', unit: 'kg', stock_quantity: '0.450' };
+
+  test('stock covers the need for every unit ordered', () => {
+    const need = { ingredient_id: BEEF, quantity: 0.15, is_required: true };
+
+    expect(coversNeed(beef, need, 3)).toBe(true);
+    expect(() => coversNeed(beef, need, 4)).toThrow('Not enough Beef. Only 0.45 kg left.');
+  });
+
+  test('an optional ingredient that is short is left off instead of blocking the sale', () => {
+    const need = { ingredient_id: LETTUCE, quantity: 0.2, is_required: false };
+
+    expect(coversNeed({ name: 'Lettuce', unit: 'kg', stock_quantity: '0.100' }, need, 1)).toBe(false);
+  });
+});
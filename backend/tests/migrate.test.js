@@ -0,0 +1,81 @@
+/**
+ * Splitting migration scripts into statements
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { splitStatements } = require('../src/database/migrate');
+
+const DATABASE_DIR = path.join(__dirname, '../../database');
+
+describe('splitStatements', () => {
+  test('statements are split on semicolons and trimmed', () => {
+    expect(splitStatements('SELECT 1;\n\n  SELECT 2 ;\nSELECT 3')).toEqual(['SELECT 1', 'SELECT 2', 'SELECT 3']);
+  });
+
+  test('CREATE DATABASE and USE are dropped', () => {
+    const sql = 'CREATE DATABASE IF NOT EXISTS pos;\nUSE pos;\nCREATE TABLE t (id INT);';
+    expect(splitStatements(sql)).toEqual(['CREATE TABLE t (id INT)']);
+  });
+
+  test('semicolons inside strings and identifiers do not split', () => {
+    const sql = `INSERT INTO t VALUES ('a;b', "c;d", 'it\\'s; fine');\nSELECT \`odd;name\` FROM t;`;
+    expect(splitStatements(sql)).toEqual([
+      `INSERT INTO t VALUES ('a;b', "c;d", 'it\\'s; fine')`,
+      'SELECT `odd;name` FROM t'
+    ]);
+  });
+
+  test('comments are stripped, semicolons in them included', () => {
+    const sql = [
+      '-- first; still a comment',
+      'SELECT 1; # trailing; comment',
+      '/* block;',
+      '   comment */ SELECT 2;'
+    ].join('\n');
+    expect(splitStatements(sql).map(s => s.replace(/\s+/g, ' '))).toEqual(['SELECT 1', 'SELECT 2']);
+  });
+
+  test('a DELIMITER block keeps a procedure body in one statement', () => {
+    const sql = [
+      'DROP PROCEDURE IF EXISTS p;',
+      'DELIMITER //',
+      'CREATE PROCEDURE p()',
+      'BEGIN',
+      "  UPDATE t SET a = 'x;y';",
+      '  SELECT 1;',
+      'END //',
+      'DELIMITER ;',
+      'SELECT 2;'
+    ].join('\n');
+
+    const statements = splitStatements(sql);
+    expect(statements).toHaveLength(3);
+    expect(statements[0]).toBe('DROP PROCEDURE IF EXISTS p');
+    expect(statements[1]).toMatch(/^CREATE PROCEDURE p\(\)\nBEGIN\n[\s\S]*SELECT 1;\nEND$/);
+    expect(statements[2]).toBe('SELECT 2');
+  });
+
+  test('the baseline schema splits with every routine whole and no DELIMITER left over', () => {
+    const statements = splitStatements(fs.readFileSync(path.join(DATABASE_DIR, 'schema.sql'), 'utf8'));
+    const routines = statements.filter(s => /^CREATE (PROCEDURE|FUNCTION)\b/.test(s));
+
+    expect(routines.length).toBeGreaterThan(0);
+    routines.forEach(routine => expect(routine).toMatch(/\bEND$/));
+    expect(statements.some(s => /^DELIMITER\b/m.test(s))).toBe(false);
+    expect(statements.some(s => /^USE\b/.test(s))).toBe(false);
+  });
+
+  test('no migration leaves a DELIMITER line in a statement', () => {
+    const migrationsDir = path.join(DATABASE_DIR, 'migrations');
+    fs.readdirSync(migrationsDir).filter(file => file.endsWith('.sql')).forEach(file => {
+      const statements = splitStatements(fs.readFileSync(path.join(migrationsDir, file), 'utf8'));
+      expect(statements.filter(s => /^DELIMITER\b/m.test(s))).toEqual([]);
+    });
+  });
+});
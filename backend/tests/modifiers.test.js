@@ -0,0 +1,114 @@
+/**
+ * Modifier groups offered on a product and the choices rung up with it
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { execute: jest.fn() }
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const {
+  groupsForProduct,
+  pickModifiers,
+  validateModifierGroup,
+  getModifierGroups
+} = require('../src/controllers/modifierController');
+
+const modifier = (id, name, priceDelta = '0.00') => ({ id, name, price_delta: priceDelta });
+
+const group = (id, name, links, modifiers, limits = {}) => ({
+  id,
+  name,
+  is_required: 0,
+  min_select: 0,
+  max_select: null,
+  products: links,
+  modifiers,
+  ...limits
+});
+
+const groups = [
+  group(1, 'Size', [{ category_id: 10 }], [modifier(11, 'Small'), modifier(12, 'Large', '1.50')],
+    { is_required: 1, max_select: 1 }),
+  group(2, 'Extras', [{ product_id: 100 }],
+    [modifier(21, 'Cheese', '0.75'), modifier(22, 'Bacon', '1.25'), modifier(23, 'Egg', '1.00')],
+    { max_select: 2 }),
+  group(3, 'Sauce', [{ product_id: 200 }], [modifier(31, 'Ketchup')]),
+  group(4, 'Retired', [{ category_id: 10 }], [])
+];
+
+const burger = { id: 100, category_id: 10, name: 'Burger' };
+
+describe('groupsForProduct', () => {
+  test('groups linked to the product or its category, with modifiers left, are offered', () => {
+    expect(groupsForProduct(groups, burger).map(g => g.name)).toEqual(['Size', 'Extras']);
+    expect(groupsForProduct(groups, { id: 300, category_id: 20 })).toEqual([]);
+  });
+});
+
+describe('pickModifiers', () => {
+  test('chosen modifiers become rows with their group and price, each at most once', () => {
+    const rows = pickModifiers(groups, burger, [12, '21', 21]);
+
+    expect(rows).toEqual([
+      { modifier_id: 12, modifier_group_id: 1, group_name: 'Size', name: 'Large', price_delta: 1.5 },
+      { modifier_id: 21, modifier_group_id: 2, group_name: 'Extras', name: 'Cheese', price_delta: 0.75 }
+    ]);
+  });
+
+  test('a required group must be chosen from', () => {
+    expect(() => pickModifiers(groups, burger, [21])).toThrow('Choose Size');
+    expect(() => pickModifiers(groups, burger)).toThrow('Choose Size');
+  });
+
+  test('a group allows no more than its maximum', () => {
+    expect(() => pickModifiers(groups, burger, [11, 21, 22, 23])).toThrow('Choose at most 2 for Extras');
+    expect(() => pickModifiers(groups, burger, [11, 12])).toThrow('Choose at most 1 for Size');
+  });
+
+  test('a group asks for its minimum', () => {
+    const withMinimum = groups.map(g => (g.id === 2 ? { ...g, min_select: 2 } : g));
+
+    expect(() => pickModifiers(withMinimum, burger, [11, 21])).toThrow('Choose at least 2 for Extras');
+    expect(pickModifiers(withMinimum, burger, [11, 21, 22])).toHaveLength(3);
+  });
+
+  test("a modifier from a group the product doesn't offer is refused", () => {
+    expect(() => pickModifiers(groups, burger, [11, 31])).toThrow('Modifier 31 is not available for Burger');
+  });
+});
+
+describe('validateModifierGroup', () => {
+  test('the maximum may not be below the minimum; no maximum means no limit', () => {
+    expect(() => validateModifierGroup({ min_select: 2, max_select: 1 })).toThrow(/at least the minimum/);
+    expect(() => validateModifierGroup({ min_select: '3', max_select: '3' })).not.toThrow();
+    expect(() => validateModifierGroup({ is_required: true, min_select: 5, max_select: null })).not.toThrow();
+  });
+
+  test('a group needs an active modifier', () => {
+    expect(() => validateModifierGroup({ modifiers: [{ name: 'Old', is_active: false }] }))
+      .toThrow('Add at least one modifier');
+    expect(() => validateModifierGroup({ modifiers: [{ name: 'New' }] })).not.toThrow();
+  });
+});
+
+describe('getModifierGroups', () => {
+  test.each([
+    [undefined, true],
+    ['false', true],
+    ['true', false]
+  ])('include_inactive=%s lists active groups only: %s', async (includeInactive, activeOnly) => {
+    db.pool.execute.mockReset().mockResolvedValue([[]]);
+
+    await runHandler(getModifierGroups, { query: { include_inactive: includeInactive } });
+
+    expect(db.pool.execute.mock.calls[0][0].includes('is_active = TRUE')).toBe(activeOnly);
+  });
+});
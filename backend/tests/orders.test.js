@@ -0,0 +1,168 @@
+/**
+ * Cancelling, joining and merging orders
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { fakeConnection, runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const {
+  cancelOrder,
+  joinTable,
+  releaseJoinedTable,
+  mergeOrders
+} = require('../src/controllers/orderController');
+
+const admin = { id: 1, username: 'admin', role_name: 'admin' };
+const server = { id: 5, username: 'anna', role_name: 'waiter' };
+
+const order = (id, fields = {}) => ({
+  id, order_number: `ORD-${id}`, status: 'open', server_id: 5, table_id: 3, guest_count: 2, ...fields
+});
+const table = (id, fields = {}) => ({
+  id, table_number: `T${id}`, is_active: 1, status: 'available', current_order_id: null, locked_by_user_id: null, ...fields
+});
+
+/**
+ * Run a handler in a transaction whose connection answers its reads in order; writes return OkPackets
+ */
+const runReading = async (handler, req, reads) => {
+  const execute = jest.fn();
+  reads.forEach(rows => execute.mockResolvedValueOnce([rows]));
+  execute.mockResolvedValue([{ affectedRows: 1 }]);
+  db.transaction.mockImplementation((callback) => callback({ execute }));
+
+  const outcome = await runHandler(handler, req);
+  const writes = execute.mock.calls.filter(([sql]) => /^\s*(UPDATE|DELETE|INSERT)/.test(sql));
+  return { ...outcome, execute, writes };
+};
+
+describe('cancelOrder', () => {
+  const cancel = async (order) => {
+    const connection = fakeConnection([
+      [/FROM orders WHERE id = \? FOR UPDATE/, [{ id: 1, order_number: 'ORD-1', table_id: 3, ...order }]]
+    ]);
+    db.transaction.mockImplementation((callback) => callback(connection));
+
+    const outcome = await runHandler(cancelOrder, {
+      params: { orderId: 1 },
+      body: { reason: 'test' },
+      user: admin
+    });
+    return { ...outcome, connection };
+  };
+
+  test.each(['cancelled', 'void', 'merged'])('a %s order is rejected before anything changes', async (status) => {
+    const { error, connection } = await cancel({ status });
+
+    expect(error.statusCode).toBe(400);
+    expect(connection.calls).toHaveLength(1);
+  });
+
+  test('a merged order points at the order it went into', async () => {
+    const { error } = await cancel({ status: 'merged', merged_into_order_id: 2 });
+
+    expect(error.message).toMatch(/merged into another order/);
+  });
+});
+
+describe('joinTable', () => {
+  const join = (reads) => runReading(joinTable, { params: { orderId: 1 }, body: { table_id: 8 }, user: server }, reads);
+
+  test('a free table is occupied by the order and locked by its server', async () => {
+    const { body, writes } = await join([[order(1)], [table(8)]]);
+
+    expect(body.message).toBe('Table T8 joined');
+    expect(writes).toHaveLength(1);
+    expect(writes[0][1]).toEqual([1, 5, 8]);
+  });
+
+  test('a takeaway has to be moved to a table first', async () => {
+    const { error, writes } = await join([[order(1, { table_id: null })]]);
+
+    expect(error.message).toBe('Move the order to a table first');
+    expect(writes).toEqual([]);
+  });
+
+  test('a table already on the order, or in use, is refused', async () => {
+    const own = await join([[order(1)], [table(8, { status: 'occupied', current_order_id: 1 })]]);
+    const taken = await join([[order(1)], [table(8, { status: 'occupied', current_order_id: 2 })]]);
+
+    expect(own.error.statusCode).toBe(400);
+    expect(taken.error.statusCode).toBe(409);
+    expect(taken.error.message).toBe('Table T8 is occupied');
+  });
+});
+
+describe('releaseJoinedTable', () => {
+  const release = (reads) => runReading(releaseJoinedTable, { params: { orderId: 1, tableId: 8 }, user: server }, reads);
+
+  test('a joined table is freed', async () => {
+    const { body, writes } = await release([[order(1)], [table(8, { status: 'occupied', current_order_id: 1 })]]);
+
+    expect(body.message).toBe('Table T8 released');
+    expect(writes[0][0]).toMatch(/SET status = 'available', current_order_id = NULL/);
+    expect(writes[0][1]).toEqual([8]);
+  });
+
+  test("the order's main table stays; the order has to be moved instead", async () => {
+    const { error, writes } = await release([[order(1, { table_id: 8 })], [table(8, { current_order_id: 1 })]]);
+
+    expect(error.message).toMatch(/main table can't be released/);
+    expect(writes).toEqual([]);
+  });
+
+  test("a table of another order is not this order's to release", async () => {
+    const { error } = await release([[order(1)], [table(8, { current_order_id: 2 })]]);
+
+    expect(error.statusCode).toBe(404);
+  });
+});
+
+describe('mergeOrders', () => {
+  const merge = (targetId, sourceId, reads) =>
+    runReading(mergeOrders, { params: { orderId: targetId }, body: { source_order_id: sourceId }, user: server }, reads);
+
+  test('both orders are locked in id order, whichever is the target', async () => {
+    const { execute } = await merge(7, 4, [[order(4)], [order(7)], [{ count: 1 }]]);
+
+    expect(execute.mock.calls.slice(0, 2).map(([sql, params]) => [/FOR UPDATE/.test(sql), params]))
+      .toEqual([[true, [4]], [true, [7]]]);
+  });
+
+  test('an order with payments cannot be merged away', async () => {
+    const { error, writes } = await merge(7, 4, [[order(4)], [order(7)], [{ count: 1 }]]);
+
+    expect(error.message).toBe("Order ORD-4 has payments and can't be merged away");
+    expect(writes).toEqual([]);
+  });
+
+  test('an order discount on the source has to be removed first', async () => {
+    const { error, writes } = await merge(7, 4, [[order(4)], [order(7)], [{ count: 0 }], [{ count: 1 }]]);
+
+    expect(error.message).toBe('Remove the order discount on ORD-4 before merging it');
+    expect(writes).toEqual([]);
+  });
+
+  test('a closed order cannot take part', async () => {
+    const { error } = await merge(7, 4, [[order(4, { status: 'merged' })]]);
+
+    expect(error.message).toBe('Order ORD-4 is closed');
+  });
+
+  test('an order cannot be merged into itself', async () => {
+    db.transaction.mockClear();
+
+    const { error } = await merge(7, '7', []);
+
+    expect(error.message).toBe('Cannot merge an order into itself');
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+});
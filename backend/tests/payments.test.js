@@ -0,0 +1,165 @@
+/**
+ * Tenders against an order's running balance
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { fakeConnection, runHandler } = require('./helpers');
+
+const cashier = { id: 5, username: 'cashier', role_name: 'cashier' };
+
+/**
+ * processPayment and its mocks, loaded with or without REQUIRE_CASH_DRAWER (read at load time)
+ */
+const loadController = (requireDrawer) => {
+  let loaded;
+  process.env.REQUIRE_CASH_DRAWER = requireDrawer ? 'true' : 'false';
+  jest.isolateModules(() => {
+    loaded = {
+      db: require('../src/config/database'),
+      auth: require('../src/controllers/authController'),
+      processPayment: require('../src/controllers/paymentController').processPayment
+    };
+  });
+  delete process.env.REQUIRE_CASH_DRAWER;
+  return loaded;
+};
+
+const controllers = { optional: loadController(false), required: loadController(true) };
+
+/**
+ * Connection for an order of `total` with `tendered` already paid, optionally split into checks,
+ * tendered by `method` with the cashier's open drawer `session` (if any)
+ */
+const orderConnection = ({
+  total = 50,
+  tendered = 0,
+  checks = [],
+  checkTendered = {},
+  method = 'card',
+  session = null
+} = {}) => fakeConnection([
+  [/FROM orders WHERE id = \? FOR UPDATE/, [{ id: 1, status: 'open', total_amount: total.toFixed(2), table_id: 3 }]],
+  [/FROM payment_methods WHERE id = \?/, [{ id: 2, name: method }]],
+  [/FROM cash_sessions WHERE user_id = \?/, session ? [session] : []],
+  [/FROM order_checks WHERE order_id = \? FOR UPDATE/, checks],
+  [/SELECT id FROM restaurant_tables/, [{ id: 3 }, { id: 4 }]],
+  [/SUM\(amount_due\)/, (params) => [{
+    tendered: params.length > 1 ? checkTendered[params[1]] || 0 : tendered
+  }]]
+]);
+
+const pay = async (body, options = {}) => {
+  const { db, auth, processPayment } = controllers[options.requireDrawer ? 'required' : 'optional'];
+  const connection = orderConnection(options);
+  db.transaction.mockImplementation((callback) => callback(connection));
+  db.query.mockResolvedValue([{ id: 100 }]);
+  auth.logAudit.mockClear();
+
+  const outcome = await runHandler(processPayment, {
+    body: { order_id: 1, payment_method_id: 2, ...body },
+    user: cashier
+  });
+  return { ...outcome, connection, auth };
+};
+
+describe('processPayment', () => {
+  test('a partial tender leaves the order open with the remaining balance', async () => {
+    const { status, body, connection } = await pay({ amount: 20, amount_paid: 20 });
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ balance: 30, change: 0, order_paid: false });
+    expect(connection.callsTo(/UPDATE orders SET status = 'paid'/)).toHaveLength(0);
+  });
+
+  test('the tender that clears the balance closes the order and gives change', async () => {
+    const { status, body, connection } = await pay({ amount_paid: 40 }, { tendered: 20 });
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ balance: 0, change: 10, order_paid: true });
+
+    const [insert] = connection.callsTo(/INSERT INTO payments/);
+    expect(insert.params[6]).toBe(30); // amount_due
+    expect(connection.callsTo(/UPDATE orders SET status = 'paid'/)).toHaveLength(1);
+    expect(connection.callsTo(/UPDATE restaurant_tables/)).toHaveLength(1);
+
+    // The main table and the one joined to it are remembered for a void
+    const [released] = connection.callsTo(/SET released_table_ids/);
+    expect(released.params).toEqual(['[3,4]', 1]);
+  });
+
+  test('tenders sum to the total without float drift', async () => {
+    const { body } = await pay({ amount: 0.2, amount_paid: 0.2 }, { total: 0.3, tendered: 0.1 });
+
+    expect(body.data).toMatchObject({ balance: 0, order_paid: true });
+  });
+
+  test('an amount above the balance is rejected', async () => {
+    const { error } = await pay({ amount: 30.01, amount_paid: 40 }, { tendered: 20 });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/exceeds the balance due \(30\.00\)/);
+  });
+
+  test('the amount handed over must cover the amount and the tip', async () => {
+    const { error } = await pay({ amount: 30, tip_amount: 5, amount_paid: 32 });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/Required: 35\.00, Received: 32\.00/);
+  });
+
+  test('a tender is capped by its check balance and marks the check paid', async () => {
+    const checks = [
+      { id: 1, amount: '25.00', status: 'open' },
+      { id: 2, amount: '25.00', status: 'open' }
+    ];
+    const { body, connection } = await pay({ check_id: 1, amount_paid: 30 }, { checks });
+
+    expect(body.data).toMatchObject({ change: 5, balance: 25, order_paid: false, check_paid: true });
+    expect(connection.callsTo(/UPDATE order_checks SET status = 'paid'/)).toHaveLength(1);
+
+    const over = await pay({ check_id: 2, amount: 20, amount_paid: 20 }, { checks, checkTendered: { 2: 10 } });
+    expect(over.error.statusCode).toBe(400);
+    expect(over.error.message).toMatch(/balance due \(15\.00\)/);
+  });
+
+  test('a split order needs a check to pay', async () => {
+    const { error } = await pay({ amount_paid: 10 }, { checks: [{ id: 1, amount: '50.00', status: 'open' }] });
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('cash without an open drawer is taken and flagged by default', async () => {
+    const { status, connection, auth } = await pay({ amount_paid: 50 }, { method: 'cash' });
+
+    expect(status).toBe(201);
+    const [insert] = connection.callsTo(/INSERT INTO payments/);
+    expect(insert.params[5]).toBeNull(); // cash_session_id
+    expect(auth.logAudit.mock.calls[0][5]).toMatchObject({ outside_drawer: true });
+  });
+
+  test('cash without an open drawer is refused when drawers are required', async () => {
+    const { error } = await pay({ amount_paid: 50 }, { method: 'cash', requireDrawer: true });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/Open a cash drawer/);
+  });
+
+  test('cash with an open drawer is recorded against it', async () => {
+    const { connection, auth } = await pay(
+      { amount_paid: 50 },
+      { method: 'cash', requireDrawer: true, session: { id: 9, status: 'open' } }
+    );
+
+    const [insert] = connection.callsTo(/INSERT INTO payments/);
+    expect(insert.params[5]).toBe(9);
+    expect(auth.logAudit.mock.calls[0][5]).not.toHaveProperty('outside_drawer');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Goods receipts: what a delivery does to an item's cost and to its purchase order's status
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { costAfterReceipt, receiptStatus } = require('../src/controllers/purchaseController');
+
+describe('costAfterReceipt', () => {
+  test('the average weighs stock on hand at its old cost against the delivery at its new one', () => {
+    // 10 on hand at 2.00 plus 30 received at 3.00
+    expect(costAfterReceipt({ onHand: 10, cost: 2 }, 30, 3, 'average')).toBe(2.75);
+  });
+
+  test("'last' takes the delivery's cost whatever is on hand", () => {
+    expect(costAfterReceipt({ onHand: 10, cost: 2 }, 30, 3, 'last')).toBe(3);
+  });
+
+  test('with nothing on hand, or stock below zero, the delivery sets the cost', () => {
+    expect(costAfterReceipt({ onHand: 0, cost: 2 }, 5, 4, 'average')).toBe(4);
+    expect(costAfterReceipt({ onHand: -3, cost: 2 }, 5, 4, 'average')).toBe(4);
+  });
+
+  test('a free delivery brings the average down', () => {
+    expect(costAfterReceipt({ onHand: 6, cost: 1.5 }, 3, 0, 'average')).toBe(1);
+  });
+});
+
+describe('receiptStatus', () => {
+  const line = (ordered, received) => ({ quantity_ordered: ordered, quantity_received: received });
+
+  test('an order is received once every line is in full', () => {
+    expect(receiptStatus([line('10.000', '10.000'), line('2.500', '2.500')])).toBe('received');
+  });
+
+  test('any short line leaves it partially received', () => {
+    expect(receiptStatus([line('10.000', '10.000'), line('2.500', 2.499)])).toBe('partially_received');
+    expect(receiptStatus([line('10.000', '0.000')])).toBe('partially_received');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Refunds and same-day voids of tenders
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { fakeConnection, runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const paymentController = require('../src/controllers/paymentController');
+
+const cashier = { id: 5, username: 'cashier', role_name: 'cashier' };
+
+/**
+ * Connection holding one payment row (as lockPayment loads it)
+ */
+const paymentConnection = (payment, tables = {}) => fakeConnection([
+  [/FROM payments p[\s\S]*FOR UPDATE/, [{
+    id: 7,
+    order_id: 1,
+    table_id: 3,
+    check_id: null,
+    cash_session_id: null,
+    status: 'completed',
+    order_status: 'paid',
+    amount_due: '40.00',
+    refunded_amount: '0.00',
+    payment_method_name: 'card',
+    paid_at: '2026-01-01 12:00:00',
+    ...payment
+  }]],
+  [/CURDATE\(\)/, [{ today: 1 }]],
+  [/FROM restaurant_tables WHERE id IN/, (params) => params.map(id => ({
+    id, table_number: `T${id}`, current_order_id: null, ...tables[id]
+  }))]
+]);
+
+const settle = async (handler, payment, body = {}, tables) => {
+  const connection = paymentConnection(payment, tables);
+  db.transaction.mockImplementation((callback) => callback(connection));
+  db.query.mockResolvedValue([{ id: 7 }]);
+
+  const outcome = await runHandler(paymentController[handler], {
+    params: { id: '7' },
+    body: { reason_code: 'guest_complaint', ...body },
+    user: cashier
+  });
+  return { ...outcome, connection };
+};
+
+describe('refundPayment', () => {
+  test('a partial refund keeps the payment completed', async () => {
+    const { body, connection } = await settle('refundPayment', {}, { amount: 15 });
+
+    expect(body.message).toBe('Partial refund recorded');
+    const [update] = connection.callsTo(/UPDATE payments SET refunded_amount/);
+    expect(update.params).toEqual([15, 'completed', '7']);
+  });
+
+  test('refunds cannot exceed what is left of the payment', async () => {
+    const { error } = await settle('refundPayment', { refunded_amount: '15.00' }, { amount: 25.01 });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/between 0 and 25\.00/);
+  });
+
+  test('refunding the rest marks the payment refunded', async () => {
+    const { body, connection } = await settle('refundPayment', { refunded_amount: '15.00' });
+
+    expect(body.message).toBe('Payment fully refunded');
+    const [refund] = connection.callsTo(/INSERT INTO payment_refunds/);
+    expect(refund.params[2]).toBe(25);
+    const [update] = connection.callsTo(/UPDATE payments SET refunded_amount/);
+    expect(update.params).toEqual([40, 'refunded', '7']);
+  });
+
+  test('a fully refunded payment cannot be refunded again', async () => {
+    const { error } = await settle('refundPayment', { status: 'refunded', refunded_amount: '40.00' });
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('payments on open orders are voided, not refunded', async () => {
+    const { error, connection } = await settle('refundPayment', { order_status: 'open' }, { amount: 10 });
+
+    expect(error.message).toMatch(/void the payment instead/);
+    expect(connection.callsTo(/INSERT INTO payment_refunds/)).toHaveLength(0);
+  });
+});
+
+describe('voidPayment', () => {
+  test('a payment with refunds cannot be voided', async () => {
+    const { error } = await settle('voidPayment', { refunded_amount: '5.00' });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/has refunds/);
+  });
+
+  test('voiding reopens a paid order', async () => {
+    const { body, connection } = await settle('voidPayment', {});
+
+    expect(body.message).toBe('Payment voided and order reopened');
+    expect(connection.callsTo(/UPDATE orders SET status = 'open'/)).toHaveLength(1);
+  });
+
+  test('the reopened order goes back on every table it freed', async () => {
+    const { connection } = await settle('voidPayment', { released_table_ids: [3, 4] });
+
+    const [occupy] = connection.callsTo(/SET status = 'occupied'/);
+    expect(occupy.params).toEqual([1, 3, 4]);
+  });
+
+  test('orders paid before released tables were recorded go back on their main table', async () => {
+    const { connection } = await settle('voidPayment', { released_table_ids: null });
+
+    const [occupy] = connection.callsTo(/SET status = 'occupied'/);
+    expect(occupy.params).toEqual([1, 3]);
+  });
+
+  test('a freed table that has a new order blocks the void', async () => {
+    const { error, connection } = await settle(
+      'voidPayment',
+      { released_table_ids: '[3,4]' },
+      {},
+      { 4: { current_order_id: 2 } }
+    );
+
+    expect(error.statusCode).toBe(409);
+    expect(error.message).toMatch(/Table T4 has a new order/);
+    expect(connection.callsTo(/SET status = 'occupied'/)).toHaveLength(0);
+  });
+});
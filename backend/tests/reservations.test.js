@@ -0,0 +1,82 @@
+/**
+ * Reservations: booking times, and when a table can take a booking
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { toDateTime, checkTable } = require('../src/controllers/reservationController');
+
+describe('toDateTime', () => {
+  test('a datetime-local value gains its seconds', () => {
+    expect(toDateTime('2026-05-01T19:30')).toBe('2026-05-01 19:30:00');
+  });
+
+  test('a MySQL datetime is kept as it is', () => {
+    expect(toDateTime('2026-05-01 19:30:00')).toBe('2026-05-01 19:30:00');
+    expect(toDateTime('2026-05-01T19:30:15.000Z')).toBe('2026-05-01 19:30:15');
+  });
+});
+
+describe('checkTable', () => {
+  const booking = { tableId: 3, partySize: 4, reservedAt: '2026-05-01 19:30:00', duration: 90 };
+  const table = { id: 3, table_number: 'T3', capacity: 4, is_active: 1 };
+
+  const connectionReturning = (...results) => {
+    const execute = jest.fn();
+    results.forEach(result => execute.mockResolvedValueOnce(result));
+    return { execute };
+  };
+
+  test('a free table big enough for the party is returned', async () => {
+    const connection = connectionReturning([[table]], [[]]);
+
+    await expect(checkTable(connection, booking)).resolves.toBe(table);
+  });
+
+  test('the overlap check covers the whole booking and skips the booking being moved', async () => {
+    const connection = connectionReturning([[table]], [[]]);
+
+    await checkTable(connection, { ...booking, excludeId: 12 });
+
+    const [sql, params] = connection.execute.mock.calls[1];
+    expect(sql).toMatch(/r\.status = 'booked' AND r\.id != \?/);
+    expect(params).toEqual([3, 12, '2026-05-01 19:30:00', 90, '2026-05-01 19:30:00']);
+  });
+
+  test('a new booking excludes no reservation', async () => {
+    const connection = connectionReturning([[table]], [[]]);
+
+    await checkTable(connection, booking);
+
+    expect(connection.execute.mock.calls[1][1][1]).toBe(0);
+  });
+
+  test('an overlapping booking names who has the table and when', async () => {
+    const connection = connectionReturning([[table]], [[{ guest_name: 'Jones', reserved_at: '2026-05-01 20:00:00' }]]);
+
+    const error = await checkTable(connection, booking).catch(e => e);
+
+    expect(error.statusCode).toBe(409);
+    expect(error.message).toBe('Table T3 is booked for Jones at 20:00');
+  });
+
+  test('a party bigger than the table is refused before looking for overlaps', async () => {
+    const connection = connectionReturning([[table]]);
+
+    await expect(checkTable(connection, { ...booking, partySize: 6 }))
+      .rejects.toThrow('Table T3 seats 4, the party is 6');
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('an inactive table cannot be booked', async () => {
+    const connection = connectionReturning([[{ ...table, is_active: 0 }]]);
+
+    const error = await checkTable(connection, booking).catch(e => e);
+
+    expect(error.statusCode).toBe(404);
+  });
+});
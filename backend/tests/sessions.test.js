@@ -0,0 +1,124 @@
+/**
+ * Server-side sessions: tokens only work while their session is live, and revoking ends them
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const db = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const { authenticate } = require('../src/middleware/auth');
+const { revokeSessions } = require('../src/controllers/authController');
+
+const sessionRow = (row = {}) => ({
+  id: 5,
+  username: 'waiter',
+  full_name: 'Wai Ter',
+  role_id: 3,
+  is_active: 1,
+  role_name: 'waiter',
+  permissions: '{"orders":["read","update"]}',
+  session_id: 40,
+  session_stale: 0,
+  ...row
+});
+
+/**
+ * Run authenticate with a token signed for `payload`; resolves with the request and next()'s error
+ */
+const authenticateWith = async (payload) => {
+  const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  let error;
+  await authenticate(req, {}, (err) => { error = err; });
+  return { req, error };
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('authenticate', () => {
+  test('a live session attaches the user with parsed permissions', async () => {
+    db.query.mockResolvedValueOnce([sessionRow()]);
+
+    const { req, error } = await authenticateWith({ userId: 5, sid: 'abc' });
+
+    expect(error).toBeUndefined();
+    expect(req.user).toMatchObject({ id: 5, role_name: 'waiter', permissions: { orders: ['read', 'update'] } });
+    expect(req.user).not.toHaveProperty('session_id');
+    expect(req.sessionId).toBe(40);
+    expect(req.sessionToken).toBe('abc');
+    expect(db.query.mock.calls[0][1]).toEqual(['abc', 5]);
+  });
+
+  test('last seen is only written once it is a minute old', async () => {
+    db.query.mockResolvedValueOnce([sessionRow()]);
+    await authenticateWith({ userId: 5, sid: 'abc' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    db.query.mockResolvedValueOnce([sessionRow({ session_stale: 1 })]);
+    await authenticateWith({ userId: 5, sid: 'abc' });
+    expect(db.query).toHaveBeenLastCalledWith(expect.stringMatching(/SET last_seen_at = NOW\(\)/), [40]);
+  });
+
+  test('a revoked or expired session is refused', async () => {
+    db.query.mockResolvedValueOnce([]);
+
+    const { req, error } = await authenticateWith({ userId: 5, sid: 'abc' });
+
+    expect(error.statusCode).toBe(401);
+    expect(error.message).toMatch(/Session expired or revoked/);
+    expect(req.user).toBeUndefined();
+  });
+
+  test('a token from before sessions were tracked is refused without a lookup', async () => {
+    const { error } = await authenticateWith({ userId: 5 });
+
+    expect(error.statusCode).toBe(401);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('an inactive user is refused', async () => {
+    db.query.mockResolvedValueOnce([sessionRow({ is_active: 0 })]);
+
+    const { error } = await authenticateWith({ userId: 5, sid: 'abc' });
+
+    expect(error.statusCode).toBe(401);
+  });
+});
+
+describe('revokeSessions', () => {
+  let published;
+  let unsubscribe;
+
+  beforeEach(() => {
+    published = [];
+    unsubscribe = eventBus.subscribe(event => published.push(event));
+  });
+  afterEach(() => unsubscribe());
+
+  test("a user's other sessions are revoked and their streams told to close", async () => {
+    db.query.mockResolvedValueOnce([{ id: 41 }, { id: 42 }]).mockResolvedValueOnce({});
+
+    const count = await revokeSessions({ userId: 5, exceptSessionId: 40 }, 1, 'pin_changed');
+
+    expect(count).toBe(2);
+    const [select, update] = db.query.mock.calls;
+    expect(select[0]).toMatch(/user_id = \? AND id != \?/);
+    expect(select[1]).toEqual([5, 40]);
+    expect(update[1]).toEqual([1, 'pin_changed', 41, 42]);
+    expect(published.map(e => [e.type, e.data])).toEqual([['session.revoked', { session_ids: [41, 42] }]]);
+  });
+
+  test('nothing is written or published when no session matches', async () => {
+    db.query.mockResolvedValueOnce([]);
+
+    expect(await revokeSessions({ sessionId: 99 }, 1, 'forced')).toBe(0);
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(published).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Evaluate a MySQL arithmetic expression over DECIMAL columns the way the server does, so SQL
+ * fragments can be tested without a database. Supports + - * /, parentheses, IF() and ROUND().
+ * Values are exact: products add the operands' scales, quotients get the dividend's scale plus
+ * div_precision_increment (4) rounded half up, and ROUND() rounds half away from zero.
+ */
+
+const DIV_PRECISION_INCREMENT = 4;
+
+const pow10 = (n) => 10n ** BigInt(n);
+
+const decimal = (value) => {
+  const [whole, fraction = ''] = String(value).split('.');
+  return { value: BigInt(whole + fraction), scale: fraction.length };
+};
+
+const rescale = (d, scale) => ({ value: d.value * pow10(scale - d.scale), scale });
+
+/**
+ * Divide, rounding half away from zero
+ */
+const divideRounded = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n * 2n + d) / (d * 2n);
+  return negative ? -quotient : quotient;
+};
+
+const operations = {
+  '+': (a, b) => {
+    const scale = Math.max(a.scale, b.scale);
+    return { value: rescale(a, scale).value + rescale(b, scale).value, scale };
+  },
+  '-': (a, b) => {
+    const scale = Math.max(a.scale, b.scale);
+    return { value: rescale(a, scale).value - rescale(b, scale).value, scale };
+  },
+  '*': (a, b) => ({ value: a.value * b.value, scale: a.scale + b.scale }),
+  '/': (a, b) => {
+    if (b.value === 0n) throw new Error('Division by zero');
+    const scale = a.scale + DIV_PRECISION_INCREMENT;
+    return { value: divideRounded(a.value * pow10(scale - a.scale + b.scale), b.value), scale };
+  }
+};
+
+const functions = {
+  IF: ([condition, then, otherwise]) => (condition.value !== 0n ? then : otherwise),
+  ROUND: ([d, places = decimal(0)]) => {
+    const scale = Number(places.value);
+    if (d.scale <= scale) return d;
+    return { value: divideRounded(d.value, pow10(d.scale - scale)), scale };
+  }
+};
+
+const tokenize = (sql) => {
+  const tokens = sql.match(/\d+(?:\.\d+)?|[A-Za-z_]\w*|[-+*/(),]/g);
+  const rest = sql.replace(/\d+(?:\.\d+)?|[A-Za-z_]\w*|[-+*/(),]|\s+/g, '');
+  if (rest) throw new Error(`Unsupported SQL: ${rest}`);
+  return tokens;
+};
+
+/**
+ * @param {string} sql - Expression, e.g. 'ROUND(subtotal * tax_rate / 100, 2)'
+ * @param {Object} row - Column values as mysql2 returns them (DECIMAL as strings, booleans as 0 / 1)
+ * @returns {string} The result as MySQL would print it, e.g. '0.15'
+ */
+const evaluate = (sql, row) => {
+  const tokens = tokenize(sql);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    const token = tokens[position++];
+    if (expected && token !== expected) throw new Error(`Expected ${expected}, got ${token}`);
+    return token;
+  };
+
+  const binary = (operators, operand) => () => {
+    let left = operand();
+    while (operators.includes(peek())) {
+      const operator = take();
+      left = operations[operator](left, operand());
+    }
+    return left;
+  };
+
+  const factor = () => {
+    const token = take();
+
+    if (token === '(') {
+      const value = expression();
+      take(')');
+      return value;
+    }
+    if (token === '-') {
+      const value = factor();
+      return { ...value, value: -value.value };
+    }
+    if (/^\d/.test(token)) return decimal(token);
+
+    if (peek() === '(') {
+      const fn = functions[token.toUpperCase()];
+      if (!fn) throw new Error(`Unsupported function ${token}`);
+      take('(');
+      const args = [expression()];
+      while (peek() === ',') {
+        take(',');
+        args.push(expression());
+      }
+      take(')');
+      return fn(args);
+    }
+
+    if (!(token in row)) throw new Error(`No value for column ${token}`);
+    return decimal(row[token]);
+  };
+
+  const term = binary(['*', '/'], factor);
+  const expression = binary(['+', '-'], term);
+
+  const result = expression();
+  if (position !== tokens.length) throw new Error(`Unexpected ${peek()}`);
+
+  const digits = (result.value < 0n ? -result.value : result.value).toString().padStart(result.scale + 1, '0');
+  const sign = result.value < 0n ? '-' : '';
+  return result.scale === 0
+    ? sign + digits
+    : `${sign}${digits.slice(0, -result.scale)}.${digits.slice(-result.scale)}`;
+};
+
+module.exports = {
+  evaluate
+};
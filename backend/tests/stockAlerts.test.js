@@ -0,0 +1,108 @@
+/**
+ * Stock alerts and auto-86: what a balance calls for, and what a movement to zero does
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  afterCommit: jest.fn((connection, fn) => fn())
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/eventBus', () => ({ publish: jest.fn(), subscribe: jest.fn() }));
+
+const eventBus = require('../src/utils/eventBus');
+const { alertTypeFor, availabilityChange, watchStockLevel } = require('../src/controllers/stockAlertController');
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('alertTypeFor', () => {
+  test('stock at or below zero is out of stock', () => {
+    expect(alertTypeFor(0, 5)).toBe('out_of_stock');
+    expect(alertTypeFor(-2, 5)).toBe('out_of_stock');
+  });
+
+  test('stock down to the threshold is low, above it needs no alert', () => {
+    expect(alertTypeFor(5, 5)).toBe('low_stock');
+    expect(alertTypeFor(0.5, 5)).toBe('low_stock');
+    expect(alertTypeFor(5.001, 5)).toBeNull();
+  });
+
+  test('without a threshold only running out raises an alert', () => {
+    expect(alertTypeFor(1, 0)).toBeNull();
+    expect(alertTypeFor(0, 0)).toBe('out_of_stock');
+  });
+});
+
+describe('availabilityChange', () => {
+  const product = (isAvailable, autoUnavailable) => ({ is_available: isAvailable, auto_unavailable: autoUnavailable });
+
+  test('a product on sale is taken off when there is a cause', () => {
+    expect(availabilityChange(product(1, 0), 'out of stock')).toBe(false);
+  });
+
+  test('a product stock took off is put back once the cause is gone', () => {
+    expect(availabilityChange(product(0, 1), null)).toBe(true);
+  });
+
+  test('a product switched off by hand stays off after a restock', () => {
+    expect(availabilityChange(product(0, 0), null)).toBeNull();
+  });
+
+  test('nothing changes when the product is already where it should be', () => {
+    expect(availabilityChange(product(1, 0), null)).toBeNull();
+    expect(availabilityChange(product(0, 1), 'out of stock')).toBeNull();
+  });
+});
+
+describe('watchStockLevel', () => {
+  test('a sale that empties a tracked product raises an out of stock alert and takes it off sale', async () => {
+    const execute = jest.fn()
+      .mockResolvedValueOnce([[{ name: 'Cola', min_stock_alert: '5', track_stock: 1, is_active: 1, variant_name: null }]])
+      .mockResolvedValueOnce([[]]) // no alert yet
+      .mockResolvedValueOnce([{ insertId: 3 }])
+      .mockResolvedValueOnce([[{ id: 4, name: 'Cola', is_available: 1, auto_unavailable: 0, out_of_stock: 1, short_ingredient: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[]]); // no bundles
+    const connection = { execute };
+
+    await watchStockLevel(connection, { product_id: 4 }, -1, 0);
+
+    expect(execute.mock.calls[2][1]).toEqual([4, null, null, 'Cola', 'out_of_stock', 0, 5]);
+    expect(execute.mock.calls[4][1]).toEqual([false, true, 4]);
+    expect(eventBus.publish.mock.calls).toEqual([
+      ['stock.alert', { alert_id: 3, alert_type: 'out_of_stock', description: 'Cola' }],
+      ['product.availability', { product_id: 4, is_available: false }]
+    ]);
+  });
+
+  test('running out reopens a snoozed low stock alert', async () => {
+    const execute = jest.fn()
+      .mockResolvedValueOnce([[{ name: 'Flour', min_stock_alert: '2.000', is_active: 1 }]])
+      .mockResolvedValueOnce([[{ id: 8, alert_type: 'low_stock', status: 'snoozed' }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[]]); // no product needs the flour
+
+    await watchStockLevel({ execute }, { ingredient_id: 7 }, -1.5, 0);
+
+    const [sql, params] = execute.mock.calls[2];
+    expect(sql).toMatch(/status = 'open', snoozed_until = NULL/);
+    expect(params).toEqual(['out_of_stock', 0, 8]);
+    expect(eventBus.publish).toHaveBeenCalledWith('stock.alert', { alert_id: 8, alert_type: 'out_of_stock', description: 'Flour' });
+  });
+
+  test('a restock above the threshold resolves the alert', async () => {
+    const execute = jest.fn()
+      .mockResolvedValueOnce([[{ name: 'Flour', min_stock_alert: '2.000', is_active: 1 }]])
+      .mockResolvedValueOnce([[{ id: 8, alert_type: 'out_of_stock', status: 'open' }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[]]);
+
+    await watchStockLevel({ execute }, { ingredient_id: 7 }, 10, 10);
+
+    expect(execute.mock.calls[2][0]).toMatch(/SET status = 'resolved'/);
+    expect(eventBus.publish).toHaveBeenCalledWith('stock.alert.resolved', { alert_id: 8 });
+  });
+});
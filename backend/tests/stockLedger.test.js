@@ -0,0 +1,114 @@
+/**
+ * The stock movement ledger: every stock change is recorded with the balance it left
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/controllers/stockAlertController', () => ({ watchStockLevel: jest.fn() }));
+
+const { runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const { watchStockLevel } = require('../src/controllers/stockAlertController');
+const {
+  stockTarget,
+  recordStockMovement,
+  setStockLevel,
+  reconcileStock
+} = require('../src/controllers/stockController');
+
+/**
+ * Connection answering a movement's statements in order: the UPDATE, the balance read back, the ledger INSERT
+ */
+const movementConnection = (balance, before = []) => {
+  const execute = jest.fn();
+  before.forEach(result => execute.mockResolvedValueOnce(result));
+  execute
+    .mockResolvedValueOnce([{ affectedRows: 1 }])
+    .mockResolvedValueOnce([[{ stock_quantity: balance }]])
+    .mockResolvedValueOnce([{ insertId: 1 }]);
+  return { execute };
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('stockTarget', () => {
+  test('a movement changes the ingredient, else the variant, else the product', () => {
+    expect(stockTarget({ product_id: 1, variant_id: 2, ingredient_id: 3 })).toEqual({ table: 'ingredients', id: 3 });
+    expect(stockTarget({ product_id: 1, variant_id: 2 })).toEqual({ table: 'product_variants', id: 2 });
+    expect(stockTarget({ product_id: 1 })).toEqual({ table: 'products', id: 1 });
+  });
+});
+
+describe('recordStockMovement', () => {
+  test('stock moves by the rounded quantity and the ledger keeps the balance it left', async () => {
+    const connection = movementConnection('7.250');
+
+    await recordStockMovement(connection, {
+      ingredient_id: 3, type: 'sale', quantity: -0.1 - 0.2, user_id: 5, order_id: 8, order_item_id: 13
+    });
+
+    const [update, , insert] = connection.execute.mock.calls;
+    expect(update[0]).toMatch(/UPDATE ingredients SET stock_quantity = COALESCE\(stock_quantity, 0\) \+ \?/);
+    expect(update[1]).toEqual([-0.3, 3]);
+    expect(insert[1]).toEqual([null, null, 3, 'sale', -0.3, '7.250', 5, 8, 13, null]);
+    expect(watchStockLevel).toHaveBeenCalledWith(connection, expect.objectContaining({ ingredient_id: 3 }), -0.3, 7.25);
+  });
+
+  test('a movement that rounds to nothing is not recorded', async () => {
+    const connection = { execute: jest.fn() };
+
+    await recordStockMovement(connection, { product_id: 1, type: 'sale', quantity: 0.0004 });
+
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  test('an unknown movement type is refused before stock moves', async () => {
+    const connection = { execute: jest.fn() };
+
+    await expect(recordStockMovement(connection, { product_id: 1, type: 'theft', quantity: -1 }))
+      .rejects.toThrow('Unknown stock movement type: theft');
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+});
+
+describe('setStockLevel', () => {
+  test('a counted level is recorded as the difference from stock on hand', async () => {
+    const connection = movementConnection('10', [[[{ stock_quantity: '12' }]]]);
+
+    const previous = await setStockLevel(connection, { product_id: 1, type: 'count', user_id: 5 }, 10);
+
+    expect(previous).toBe(12);
+    expect(connection.execute.mock.calls[1][1]).toEqual([-2, 1]);
+  });
+
+  test('stock never counted before starts from zero', async () => {
+    const connection = movementConnection('4', [[[{ stock_quantity: null }]]]);
+
+    expect(await setStockLevel(connection, { product_id: 1, type: 'count' }, 4)).toBe(0);
+    expect(connection.execute.mock.calls[1][1]).toEqual([4, 1]);
+  });
+});
+
+describe('reconcileStock', () => {
+  test('each difference from the ledger is booked as an adjustment; stock itself is left alone', async () => {
+    const discrepancies = [
+      { item_type: 'product', product_id: 1, variant_id: null, ingredient_id: null, name: 'Cola', stock_quantity: '20', ledger_quantity: '24' },
+      { item_type: 'ingredient', product_id: null, variant_id: null, ingredient_id: 3, name: 'Flour', stock_quantity: '5.300', ledger_quantity: '5.000' }
+    ];
+    const execute = jest.fn()
+      .mockResolvedValueOnce([discrepancies])
+      .mockResolvedValue([{ insertId: 1 }]);
+    db.transaction.mockImplementation((callback) => callback({ execute }));
+
+    const { body } = await runHandler(reconcileStock, { body: {}, user: { id: 5, username: 'manager' } });
+
+    expect(body.message).toBe('2 items reconciled');
+    const inserts = execute.mock.calls.slice(1);
+    expect(inserts.every(([sql]) => /INSERT INTO stock_movements/.test(sql))).toBe(true);
+    expect(inserts.map(([, params]) => params[3])).toEqual([-4, 0.3]);
+    expect(inserts[0][1][6]).toBe('Reconciled with stock on hand');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Stocktake variance at cost, and posting it to the stock ledger
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { execute: jest.fn() }
+}));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/controllers/stockController', () => ({ recordStockMovement: jest.fn() }));
+
+const { runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const { recordStockMovement } = require('../src/controllers/stockController');
+const { withVariance, stocktakeTotals, postStocktake } = require('../src/controllers/stocktakeController');
+
+// Lines as stocktake_lines returns them: DECIMAL columns as strings, uncounted lines with NULL counts
+const line = (id, description, expected, counted, unitCost, item = { product_id: id }) => ({
+  id,
+  description,
+  product_id: null,
+  variant_id: null,
+  ingredient_id: null,
+  ...item,
+  expected_quantity: expected,
+  counted_quantity: counted,
+  unit_cost: unitCost
+});
+
+const lines = [
+  line(1, 'Cola', '24.000', '20.000', '0.80'),
+  line(2, 'Flour', '5.000', '5.300', '1.25', { ingredient_id: 7 }),
+  line(3, 'Lemons', '12.000', '12.000', '0.30'),
+  line(4, 'Napkins', '500.000', null, '0.01')
+];
+
+describe('withVariance', () => {
+  test('variance is counted minus expected, valued at the unit cost', () => {
+    expect(withVariance(lines[0])).toMatchObject({ variance: -4, variance_value: -3.2 });
+    expect(withVariance(lines[1])).toMatchObject({ variance: 0.3, variance_value: 0.38 });
+    expect(withVariance(lines[2])).toMatchObject({ variance: 0, variance_value: 0 });
+  });
+
+  test('an uncounted line has no variance', () => {
+    expect(withVariance(lines[3])).toMatchObject({ variance: null, variance_value: null });
+  });
+});
+
+describe('stocktakeTotals', () => {
+  test('totals net the variance and keep the losses apart as shrinkage', () => {
+    expect(stocktakeTotals(lines.map(withVariance))).toEqual({
+      line_count: 4,
+      counted_lines: 3,
+      variance_value: -2.82,
+      shrinkage_value: -3.2
+    });
+  });
+});
+
+describe('postStocktake', () => {
+  const post = async (stocktake, stocktakeLines) => {
+    const execute = jest.fn()
+      .mockResolvedValueOnce([[{ id: 9, name: 'Month end', ...stocktake }]])
+      .mockResolvedValueOnce([stocktakeLines])
+      .mockResolvedValueOnce([[{ status: stocktake.status }]])
+      .mockResolvedValue([{ affectedRows: 1 }]);
+    db.transaction.mockImplementation((callback) => callback({ execute }));
+    db.pool.execute.mockResolvedValue([[]]);
+    recordStockMovement.mockClear();
+
+    const outcome = await runHandler(postStocktake, { params: { id: 9 }, user: { id: 5, username: 'manager' } });
+    return { ...outcome, execute };
+  };
+
+  test('each counted line that differs becomes one count movement of its variance', async () => {
+    const { body, execute } = await post({ status: 'open' }, lines);
+
+    expect(body.message).toBe('Stocktake posted: 2 items adjusted');
+    expect(recordStockMovement.mock.calls.map(([, movement]) => movement)).toEqual([
+      expect.objectContaining({ product_id: 1, type: 'count', quantity: -4, reason: 'Stocktake: Month end' }),
+      expect.objectContaining({ ingredient_id: 7, type: 'count', quantity: 0.3 })
+    ]);
+
+    const [sql, params] = execute.mock.calls[3];
+    expect(sql).toMatch(/SET status = 'posted'/);
+    expect(params).toEqual([5, -2.82, 9]);
+  });
+
+  test('a stocktake with nothing counted is refused', async () => {
+    const { error } = await post({ status: 'open' }, [lines[3]]);
+
+    expect(error.message).toBe('No items have been counted');
+    expect(recordStockMovement).not.toHaveBeenCalled();
+  });
+
+  test('a stocktake is posted only once', async () => {
+    const { error } = await post({ status: 'posted' }, lines);
+
+    expect(error.message).toBe('Stocktake is already posted');
+    expect(recordStockMovement).not.toHaveBeenCalled();
+  });
+});
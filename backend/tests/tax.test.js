@@ -0,0 +1,80 @@
+/**
+ * Line tax on inclusive and exclusive prices, as updateOrderTotals computes it in SQL
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { evaluate } = require('./sqlDecimal');
+const { LINE_TAX_SQL } = require('../src/controllers/taxController');
+
+const DATABASE_DIR = path.join(__dirname, '../../database');
+
+// Rows as the UPDATE sees them: DECIMAL columns and tax_inclusive as 0 / 1
+const lineTax = (subtotal, rate, inclusive, discount = '0.00') =>
+  evaluate(LINE_TAX_SQL, {
+    subtotal, discount_amount: discount, tax_rate: rate, tax_inclusive: inclusive ? 1 : 0
+  });
+
+/**
+ * The tax expression in an update_order_totals procedure, whitespace removed
+ */
+const procedureTaxSql = (sql) => {
+  const procedure = sql.slice(sql.lastIndexOf('CREATE PROCEDURE update_order_totals'));
+  return procedure.match(/SET tax_amount = (ROUND\([\s\S]*?, 2\))/)[1].replace(/\s+/g, '');
+};
+
+describe('line tax', () => {
+  test('exclusive prices have the tax added on top', () => {
+    expect(lineTax('10.00', '10.00', false)).toBe('1.00');
+  });
+
+  test('inclusive prices already contain the tax', () => {
+    expect(lineTax('11.00', '10.00', true)).toBe('1.00');
+    expect(lineTax('12.00', '20.00', true)).toBe('2.00');
+    expect(lineTax('10.00', '7.00', true)).toBe('0.65');
+  });
+
+  test('tax is charged on the price after discounts', () => {
+    expect(lineTax('20.00', '20.00', false, '5.00')).toBe('3.00');
+    expect(lineTax('20.00', '20.00', true, '5.00')).toBe('2.50');
+  });
+
+  test('half cents round up', () => {
+    expect(lineTax('1.45', '10.00', false)).toBe('0.15');
+    expect(lineTax('2.85', '10.00', false)).toBe('0.29');
+    expect(lineTax('0.87', '20.00', true)).toBe('0.15');
+  });
+
+  test('below a half cent rounds down', () => {
+    expect(lineTax('1.44', '10.00', false)).toBe('0.14');
+    expect(lineTax('0.86', '20.00', true)).toBe('0.14');
+  });
+
+  test('untaxed and fully discounted lines carry no tax', () => {
+    expect(lineTax('9.99', '0.00', true)).toBe('0.00');
+    expect(lineTax('9.99', '20.00', false, '9.99')).toBe('0.00');
+  });
+
+  test('the update_order_totals procedure uses the same expression', () => {
+    const expected = LINE_TAX_SQL.replace(/\s+/g, '');
+    const schema = fs.readFileSync(path.join(DATABASE_DIR, 'schema.sql'), 'utf8');
+    expect(procedureTaxSql(schema)).toBe(expected);
+
+    // The latest migration that (re)creates the procedure
+    const migrationsDir = path.join(DATABASE_DIR, 'migrations');
+    const latest = fs.readdirSync(migrationsDir)
+      .filter(file => file.endsWith('.sql'))
+      .sort()
+      .map(file => fs.readFileSync(path.join(migrationsDir, file), 'utf8'))
+      .filter(sql => sql.includes('CREATE PROCEDURE update_order_totals'))
+      .pop();
+    expect(procedureTaxSql(latest)).toBe(expected);
+  });
+});
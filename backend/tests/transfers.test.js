@@ -0,0 +1,89 @@
+/**
+ * Moving an open order between tables, and between a table and takeaway
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { runHandler } = require('./helpers');
+const db = require('../src/config/database');
+const { transferOrder } = require('../src/controllers/orderController');
+
+const server = { id: 5, username: 'anna', role_name: 'waiter' };
+
+const order = (tableId) => ({ id: 1, order_number: 'ORD-1', status: 'open', server_id: 5, table_id: tableId });
+const table = (id, fields = {}) => ({
+  id, table_number: `T${id}`, is_active: 1, status: 'available', current_order_id: null, locked_by_user_id: null, ...fields
+});
+
+/**
+ * Run transferOrder against a connection answering its reads in order; writes return OkPackets
+ */
+const transfer = async (tableId, reads, user = server) => {
+  const execute = jest.fn();
+  reads.forEach(rows => execute.mockResolvedValueOnce([rows]));
+  execute.mockResolvedValue([{ affectedRows: 1 }]);
+  db.transaction.mockImplementation((callback) => callback({ execute }));
+
+  const outcome = await runHandler(transferOrder, { params: { orderId: 1 }, body: { table_id: tableId }, user });
+  const writes = execute.mock.calls.filter(([sql]) => /^\s*UPDATE/.test(sql));
+  return { ...outcome, writes };
+};
+
+describe('transferOrder', () => {
+  test('moving to another table frees the old one and its joined tables, and occupies the new one', async () => {
+    const { body, writes } = await transfer(8, [[order(3)], [table(3, { status: 'occupied', current_order_id: 1 })], [table(8)]]);
+
+    expect(body.message).toBe('Order moved to table T8');
+    expect(writes.map(([, params]) => params)).toEqual([[8, 1], [1], [1, 5, 8]]);
+    expect(writes[1][0]).toMatch(/SET status = 'available'[\s\S]*WHERE current_order_id = \?/);
+  });
+
+  test('a table order can become a takeaway', async () => {
+    const { body, writes } = await transfer(null, [[order(3)], [table(3, { status: 'occupied', current_order_id: 1 })]]);
+
+    expect(body.data).toEqual({ order_id: 1, table_id: null, table_number: null });
+    expect(writes.map(([, params]) => params)).toEqual([[null, 1], [1]]);
+  });
+
+  test('a takeaway can be seated at a table', async () => {
+    const { body, writes } = await transfer(8, [[order(null)], [table(8)]]);
+
+    expect(body.message).toBe('Order moved to table T8');
+    expect(writes[writes.length - 1][1]).toEqual([1, 5, 8]);
+  });
+
+  test('the table has to be free', async () => {
+    const occupied = await transfer(8, [[order(3)], [table(3)], [table(8, { status: 'occupied', current_order_id: 2 })]]);
+    const reserved = await transfer(8, [[order(3)], [table(3)], [table(8, { status: 'reserved' })]]);
+
+    expect(occupied.error.message).toBe('Table T8 is occupied');
+    expect(reserved.error.message).toBe('Table T8 is reserved');
+    expect([...occupied.writes, ...reserved.writes]).toEqual([]);
+  });
+
+  test("another server's lock holds for 30 minutes", async () => {
+    const lockedAt = (minutesAgo) => new Date(Date.now() - minutesAgo * 60000).toISOString();
+
+    const fresh = await transfer(8, [[order(3)], [table(3)], [table(8, { locked_by_user_id: 6, locked_at: lockedAt(10) })]]);
+    const stale = await transfer(8, [[order(3)], [table(3)], [table(8, { locked_by_user_id: 6, locked_at: lockedAt(45) })]]);
+
+    expect(fresh.error.message).toBe('Table is locked by another server');
+    expect(stale.error).toBeNull();
+  });
+
+  test('an order already where it is asked to go is refused', async () => {
+    expect((await transfer(3, [[order(3)]])).error.message).toBe('Order is already on this table');
+    expect((await transfer(null, [[order(null)]])).error.message).toBe('Order is already a takeaway');
+  });
+
+  test("a waiter cannot move another server's order", async () => {
+    const { error, writes } = await transfer(8, [[order(3)]], { id: 6, username: 'ben', role_name: 'waiter' });
+
+    expect(error.statusCode).toBe(403);
+    expect(writes).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Selling a product as one of its variants, at the variant's price
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { pickVariant, resolveUnitPrice } = require('../src/controllers/orderController');
+
+const coffee = { id: 1, name: 'Coffee', price: '3.00', variable_price: 0 };
+const sizes = [
+  { id: 11, product_id: 1, name: 'Small', price: '2.50' },
+  { id: 12, product_id: 1, name: 'Large', price: '3.80' }
+];
+
+describe('pickVariant', () => {
+  test('the requested variant is sold, whether its id comes as a number or a string', () => {
+    expect(pickVariant(coffee, sizes, 12)).toBe(sizes[1]);
+    expect(pickVariant(coffee, sizes, '11')).toBe(sizes[0]);
+  });
+
+  test('a product with variants must be sold as one of them', () => {
+    expect(() => pickVariant(coffee, sizes)).toThrow('Choose a variant of Coffee');
+  });
+
+  test("a variant that is inactive or belongs to another product can't be sold", () => {
+    expect(() => pickVariant(coffee, sizes, 99)).toThrow('Variant 99 is not available for Coffee');
+    expect(() => pickVariant(coffee, [], 11)).toThrow('Variant 11 is not available for Coffee');
+  });
+
+  test('a product without variants is sold as itself', () => {
+    expect(pickVariant(coffee, [])).toBeNull();
+  });
+});
+
+describe('resolveUnitPrice', () => {
+  test("a variant sells at its own price, else at the product's", () => {
+    expect(resolveUnitPrice(coffee, sizes[1])).toBe(3.8);
+    expect(resolveUnitPrice(coffee, null)).toBe(3);
+  });
+
+  test('a price entered at the till only counts for variable-price products', () => {
+    const market = { ...coffee, variable_price: 1 };
+
+    expect(resolveUnitPrice(market, null, '4.25')).toBe(4.25);
+    expect(resolveUnitPrice(market, sizes[0], 0)).toBe(0);
+    expect(resolveUnitPrice(market, sizes[0], '')).toBe(2.5);
+    expect(resolveUnitPrice(coffee, sizes[0], '9.99')).toBe(2.5);
+  });
+
+  test('an entered price must be a number of at least zero', () => {
+    const market = { ...coffee, variable_price: 1 };
+
+    expect(() => resolveUnitPrice(market, null, 'abc')).toThrow(/Invalid unit price/);
+    expect(() => resolveUnitPrice(market, null, -1)).toThrow(/Invalid unit price/);
+  });
+});
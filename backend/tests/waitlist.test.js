@@ -0,0 +1,68 @@
+/**
+ * Waitlist estimates: usual turn times, and the wait quoted to each party in the queue
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+
+const { averageTurnTimes, queueWaits } = require('../src/controllers/waitlistController');
+
+describe('averageTurnTimes', () => {
+  test('each capacity keeps its own average; overall weighs them by order count', () => {
+    const turnTimes = averageTurnTimes([
+      { capacity: 2, turn_minutes: '45.5000', order_count: 10 },
+      { capacity: 4, turn_minutes: '70.0000', order_count: 30 }
+    ]);
+
+    expect(turnTimes).toEqual({ byCapacity: { 2: 46, 4: 70 }, overall: 64 });
+  });
+
+  test('without history every table turns in an hour', () => {
+    expect(averageTurnTimes([])).toEqual({ byCapacity: {}, overall: 60 });
+  });
+});
+
+describe('queueWaits', () => {
+  const turnTimes = { byCapacity: { 2: 46, 4: 70 }, overall: 60 };
+  const party = (size) => ({ party_size: size });
+
+  test('each party takes the first table to free up, which then turns again', () => {
+    const tables = [
+      { capacity: 2, status: 'available' },
+      { capacity: 4, status: 'occupied', elapsed_minutes: 50 }
+    ];
+
+    // The two-top is free now and again after 46 minutes; the four-top frees up in 20
+    expect(queueWaits(tables, turnTimes, [party(2), party(4), party(2)])).toEqual([0, 20, 50]);
+  });
+
+  test('of tables free at the same time the smallest that fits is taken', () => {
+    const tables = [
+      { capacity: 4, status: 'available' },
+      { capacity: 2, status: 'available' }
+    ];
+
+    expect(queueWaits(tables, turnTimes, [party(2), party(3)])).toEqual([0, 0]);
+  });
+
+  test('a table past its usual turn time counts as free now', () => {
+    const tables = [{ capacity: 4, status: 'occupied', elapsed_minutes: 95 }];
+
+    expect(queueWaits(tables, turnTimes, [party(4)])).toEqual([0]);
+  });
+
+  test('capacities without history use the overall turn time', () => {
+    const tables = [{ capacity: 8, status: 'occupied', elapsed_minutes: 12 }];
+
+    expect(queueWaits(tables, turnTimes, [party(6)])).toEqual([50]);
+  });
+
+  test('a party no table can seat gets no estimate and does not hold up the queue', () => {
+    const tables = [{ capacity: 4, status: 'available' }];
+
+    expect(queueWaits(tables, turnTimes, [party(10), party(4)])).toEqual([null, 0]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Logging waste: what an entry costs and the stock it takes out
+ */
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../src/controllers/authController', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/controllers/stockController', () => ({ recordStockMovement: jest.fn() }));
+
+const { recordStockMovement } = require('../src/controllers/stockController');
+const { logWaste } = require('../src/controllers/wasteController');
+
+/**
+ * Connection answering logWaste's statements in the order it runs them
+ */
+const connectionReturning = (...results) => {
+  const execute = jest.fn();
+  results.forEach(result => execute.mockResolvedValueOnce(result));
+  return { execute };
+};
+
+const movements = () => recordStockMovement.mock.calls.map(([, movement]) => movement);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('logWaste', () => {
+  test('wasted ingredient is valued at its cost per unit and taken out of stock', async () => {
+    const connection = connectionReturning(
+      [[{ id: 7, name: 'Flour', cost_per_unit: '1.2500' }]],
+      [{ insertId: 55 }]
+    );
+
+    const entry = await logWaste(connection, { ingredient_id: 7, quantity: '2.5', reason: 'spoiled', notes: 'damp' }, 5);
+
+    expect(entry).toMatchObject({ id: 55, description: 'Flour', quantity: 2.5, unit_cost: 1.25, total_cost: 3.13 });
+    expect(movements()).toEqual([
+      { ingredient_id: 7, type: 'waste', quantity: -2.5, user_id: 5, reason: 'Waste #55 (spoiled): damp' }
+    ]);
+  });
+
+  test('a product without a cost price is valued at what its recipe costs', async () => {
+    const recipe = [
+      { ingredient_id: 1, quantity: '0.150', cost_per_unit: '9.0000' },
+      { ingredient_id: 2, quantity: '1.000', cost_per_unit: '0.4000' }
+    ];
+    const connection = connectionReturning(
+      [[{ id: 3, name: 'Burger', track_stock: 0, is_bundle: 0 }]],
+      [[]], // no variants
+      [[{ cost_price: '0.00' }]],
+      [recipe], // costing
+      [{ insertId: 56 }],
+      [recipe] // stock
+    );
+
+    const entry = await logWaste(connection, { product_id: 3, quantity: 2, reason: 'burnt' }, 5);
+
+    expect(entry).toMatchObject({ unit_cost: 1.75, total_cost: 3.5 });
+    // Untracked product: only its ingredients move
+    expect(movements().map(m => [m.ingredient_id, m.quantity])).toEqual([[1, -0.3], [2, -2]]);
+  });
+
+  test('a tracked product with a cost price takes its own stock as well', async () => {
+    const connection = connectionReturning(
+      [[{ id: 4, name: 'Cola', track_stock: 1, is_bundle: 0 }]],
+      [[]],
+      [[{ cost_price: '0.80' }]],
+      [{ insertId: 57 }],
+      [[]]
+    );
+
+    const entry = await logWaste(connection, { product_id: 4, quantity: 3, reason: 'dropped' }, 5);
+
+    expect(entry.total_cost).toBe(2.4);
+    expect(movements()).toEqual([
+      expect.objectContaining({ product_id: 4, variant_id: null, type: 'waste', quantity: -3 })
+    ]);
+  });
+
+  test('bundles are logged item by item', async () => {
+    const connection = connectionReturning([[{ id: 9, name: 'Meal deal', track_stock: 0, is_bundle: 1 }]]);
+
+    await expect(logWaste(connection, { product_id: 9, quantity: 1, reason: 'other' }, 5))
+      .rejects.toThrow('Log the items of a bundle one by one');
+  });
+
+  test('a quantity above zero and a known reason are required before anything is read', async () => {
+    const connection = connectionReturning();
+
+    await expect(logWaste(connection, { ingredient_id: 7, quantity: 0, reason: 'spoiled' }, 5))
+      .rejects.toThrow('Quantity must be greater than zero');
+    await expect(logWaste(connection, { ingredient_id: 7, quantity: 1, reason: 'stolen' }, 5))
+      .rejects.toThrow('Unknown waste reason: stolen');
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+});
@@ -1,16 +1,18 @@
 -- Give Moderator full management: users (create/update/delete), payments (create), tables (create/delete)
 -- So Moderator can manage products, servers, cashiers, tables, and process payments like Cashier
+-- Opt-in: new databases (schema.sql) and `migrate.js baseline` record this file as included without running it,
+-- so run it by hand to grant these rights. Other permissions (kitchen, discounts) are kept.
 
 USE showaya_pos;
 
 UPDATE roles
-SET permissions = JSON_OBJECT(
-    'users', JSON_ARRAY('create', 'read', 'update', 'delete'),
-    'products', JSON_ARRAY('create', 'read', 'update', 'delete'),
-    'categories', JSON_ARRAY('create', 'read', 'update', 'delete'),
-    'orders', JSON_ARRAY('create', 'read', 'update', 'delete', 'void'),
-    'payments', JSON_ARRAY('create', 'read', 'update'),
-    'tables', JSON_ARRAY('create', 'read', 'update', 'delete'),
-    'reports', JSON_ARRAY('view')
+SET permissions = JSON_SET(permissions,
+    '$.users', JSON_ARRAY('create', 'read', 'update', 'delete'),
+    '$.products', JSON_ARRAY('create', 'read', 'update', 'delete'),
+    '$.categories', JSON_ARRAY('create', 'read', 'update', 'delete'),
+    '$.orders', JSON_ARRAY('create', 'read', 'update', 'delete', 'void'),
+    '$.payments', JSON_ARRAY('create', 'read', 'update'),
+    '$.tables', JSON_ARRAY('create', 'read', 'update', 'delete'),
+    '$.reports', JSON_ARRAY('view')
 )
 WHERE name = 'moderator';
@@ -0,0 +1,19 @@
+-- Kitchen Display System: kitchen role, kitchen permissions and per-state item timestamps
+-- order_items move pending -> preparing -> ready -> served; each step records when it happened
+
+USE showaya_pos;
+
+ALTER TABLE order_items
+ADD COLUMN preparing_at TIMESTAMP NULL AFTER added_at,
+ADD COLUMN ready_at TIMESTAMP NULL AFTER preparing_at;
+
+INSERT INTO roles (name, description, permissions) VALUES
+('kitchen', 'Kitchen display: view and bump order items', JSON_OBJECT(
+    'products', JSON_ARRAY('read'),
+    'orders', JSON_ARRAY('read'),
+    'kitchen', JSON_ARRAY('read', 'update')
+));
+
+UPDATE roles
+SET permissions = JSON_SET(permissions, '$.kitchen', JSON_ARRAY('read', 'update'))
+WHERE name IN ('admin', 'moderator');
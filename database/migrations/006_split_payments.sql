@@ -0,0 +1,7 @@
+-- Split payments: an order can be settled by several tenders (payments rows)
+-- amount_due is the part of the order total a tender settles; balance_after is what is left to pay
+
+USE showaya_pos;
+
+ALTER TABLE payments
+ADD COLUMN balance_after DECIMAL(12, 2) NOT NULL DEFAULT 0.00 AFTER change_amount;
@@ -0,0 +1,34 @@
+-- Split bills: an order can be partitioned into sub-checks (by item, by seat or evenly)
+-- Each check carries its share of the order total and is paid through payments.check_id
+
+USE showaya_pos;
+
+ALTER TABLE order_items
+ADD COLUMN seat_number TINYINT UNSIGNED NULL AFTER notes;
+
+CREATE TABLE order_checks (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    check_number TINYINT UNSIGNED NOT NULL,
+    split_mode ENUM('item', 'seat', 'even') NOT NULL,
+    label VARCHAR(50),
+    amount DECIMAL(12, 2) NOT NULL,
+    status ENUM('open', 'paid') DEFAULT 'open',
+    created_by_user_id INT UNSIGNED NOT NULL,
+    paid_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    UNIQUE KEY uk_order_check (order_id, check_number),
+    INDEX idx_check_order (order_id)
+) ENGINE=InnoDB;
+
+ALTER TABLE order_items
+ADD COLUMN check_id INT UNSIGNED NULL AFTER seat_number,
+ADD FOREIGN KEY (check_id) REFERENCES order_checks(id) ON DELETE SET NULL;
+
+ALTER TABLE payments
+ADD COLUMN check_id INT UNSIGNED NULL AFTER order_id,
+ADD FOREIGN KEY (check_id) REFERENCES order_checks(id) ON DELETE RESTRICT,
+ADD INDEX idx_payment_check (check_id);
@@ -0,0 +1,25 @@
+-- Refunds and voids: every reversal of a payment is recorded with its reason and approver
+-- payments.refunded_amount keeps the running refunded total so reports can net it out
+
+USE showaya_pos;
+
+ALTER TABLE payments
+ADD COLUMN refunded_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00 AFTER tip_amount;
+
+CREATE TABLE payment_refunds (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    payment_id INT UNSIGNED NOT NULL,
+    order_id INT UNSIGNED NOT NULL,
+    type ENUM('refund', 'void') NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL,
+    reason VARCHAR(500),
+    approved_by_user_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE RESTRICT,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE RESTRICT,
+    FOREIGN KEY (approved_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_refund_payment (payment_id),
+    INDEX idx_refund_date (created_at)
+) ENGINE=InnoDB;
@@ -0,0 +1,135 @@
+-- Configurable tax: rates are assigned per category with an optional per-product override
+-- Each order line snapshots its rate and stores its own tax so receipts and reports can break tax down
+
+USE showaya_pos;
+
+CREATE TABLE tax_rates (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    rate DECIMAL(5, 2) NOT NULL,
+    is_inclusive BOOLEAN DEFAULT TRUE,
+    is_default BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_tax_rate_active (is_active)
+) ENGINE=InnoDB;
+
+INSERT INTO tax_rates (name, rate, is_inclusive, is_default) VALUES
+('TVA 10%', 10.00, TRUE, TRUE),
+('TVA 20%', 20.00, TRUE, FALSE);
+
+ALTER TABLE categories
+ADD COLUMN tax_rate_id INT UNSIGNED NULL AFTER image_url,
+ADD CONSTRAINT fk_category_tax_rate FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE products
+ADD COLUMN tax_rate_id INT UNSIGNED NULL AFTER variable_price,
+ADD CONSTRAINT fk_product_tax_rate FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE order_items
+ADD COLUMN tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00 AFTER discount_amount,
+ADD COLUMN tax_inclusive BOOLEAN NOT NULL DEFAULT TRUE AFTER tax_rate,
+ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER tax_inclusive;
+
+-- Cold drinks carry the higher rate by default
+UPDATE categories SET tax_rate_id = (SELECT id FROM tax_rates WHERE name = 'TVA 20%')
+WHERE name = 'Cold Drinks';
+
+DROP PROCEDURE IF EXISTS add_order_item;
+DROP PROCEDURE IF EXISTS update_order_totals;
+
+DELIMITER //
+
+-- Procedure to add item to order
+CREATE PROCEDURE add_order_item(
+    IN p_order_id INT UNSIGNED,
+    IN p_product_id INT UNSIGNED,
+    IN p_quantity INT,
+    IN p_user_id INT UNSIGNED,
+    IN p_notes VARCHAR(500)
+)
+BEGIN
+    DECLARE v_unit_price DECIMAL(10, 2);
+    DECLARE v_subtotal DECIMAL(12, 2);
+    DECLARE v_product_available BOOLEAN;
+    DECLARE v_track_stock BOOLEAN;
+    DECLARE v_stock_qty INT;
+    DECLARE v_tax_rate_id INT UNSIGNED;
+    DECLARE v_tax_rate DECIMAL(5, 2) DEFAULT 0.00;
+    DECLARE v_tax_inclusive BOOLEAN DEFAULT TRUE;
+    
+    -- Get product info
+    SELECT p.price, p.is_available, p.track_stock, p.stock_quantity, COALESCE(p.tax_rate_id, c.tax_rate_id)
+    INTO v_unit_price, v_product_available, v_track_stock, v_stock_qty, v_tax_rate_id
+    FROM products p
+    JOIN categories c ON p.category_id = c.id
+    WHERE p.id = p_product_id;
+    
+    IF v_unit_price IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Product not found';
+    END IF;
+    
+    IF NOT v_product_available THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Product is not available';
+    END IF;
+    
+    IF v_track_stock AND v_stock_qty < p_quantity THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Insufficient stock';
+    END IF;
+    
+    -- Calculate subtotal
+    SET v_subtotal = v_unit_price * p_quantity;
+    
+    -- Resolve tax rate: product, then category, then the default rate
+    SELECT rate, is_inclusive INTO v_tax_rate, v_tax_inclusive
+    FROM tax_rates
+    WHERE is_active = TRUE AND (id = v_tax_rate_id OR is_default = TRUE)
+    ORDER BY id = v_tax_rate_id DESC
+    LIMIT 1;
+    
+    -- Insert order item
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, subtotal, tax_rate, tax_inclusive, notes, added_by_user_id)
+    VALUES (p_order_id, p_product_id, p_quantity, v_unit_price, v_subtotal, v_tax_rate, v_tax_inclusive, p_notes, p_user_id);
+    
+    -- Update stock if tracking
+    IF v_track_stock THEN
+        UPDATE products SET stock_quantity = stock_quantity - p_quantity WHERE id = p_product_id;
+    END IF;
+    
+    -- Update order totals
+    CALL update_order_totals(p_order_id);
+END //
+
+-- Procedure to update order totals
+CREATE PROCEDURE update_order_totals(IN p_order_id INT UNSIGNED)
+BEGIN
+    DECLARE v_subtotal DECIMAL(12, 2);
+    DECLARE v_tax_amount DECIMAL(12, 2);
+    DECLARE v_tax_added DECIMAL(12, 2);
+    
+    -- Recalculate each line's tax from its snapshotted rate
+    UPDATE order_items
+    SET tax_amount = ROUND(IF(tax_inclusive,
+            (subtotal - discount_amount) * tax_rate / (100 + tax_rate),
+            (subtotal - discount_amount) * tax_rate / 100), 2)
+    WHERE order_id = p_order_id;
+    
+    -- Calculate subtotal and tax from items (exclusive tax is added on top)
+    SELECT COALESCE(SUM(subtotal - discount_amount), 0),
+           COALESCE(SUM(tax_amount), 0),
+           COALESCE(SUM(IF(tax_inclusive, 0, tax_amount)), 0)
+    INTO v_subtotal, v_tax_amount, v_tax_added
+    FROM order_items 
+    WHERE order_id = p_order_id AND status != 'cancelled';
+    
+    -- Update order
+    UPDATE orders 
+    SET subtotal = v_subtotal,
+        tax_amount = v_tax_amount,
+        total_amount = v_subtotal + v_tax_added - discount_amount
+    WHERE id = p_order_id;
+END //
+
+DELIMITER ;
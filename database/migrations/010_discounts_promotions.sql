@@ -0,0 +1,108 @@
+-- Discounts and promotions: manual percent/fixed discounts on an item or the whole order, plus
+-- automatic promotions (happy hour, buy-X-get-Y, combo price). Every discount is one order_discounts row
+
+USE showaya_pos;
+
+CREATE TABLE promotions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type ENUM('happy_hour', 'buy_x_get_y', 'combo') NOT NULL,
+    discount_type ENUM('percent', 'fixed') NULL,
+    discount_value DECIMAL(10, 2) NULL,
+    buy_quantity INT NULL,
+    get_quantity INT NULL,
+    combo_price DECIMAL(10, 2) NULL,
+    start_time TIME NULL,
+    end_time TIME NULL,
+    days_of_week VARCHAR(20) NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_promotion_active (is_active)
+) ENGINE=InnoDB;
+
+CREATE TABLE promotion_products (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    promotion_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+    quantity INT NOT NULL DEFAULT 1,
+
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_promotion_product_promotion (promotion_id)
+) ENGINE=InnoDB;
+
+CREATE TABLE order_discounts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    order_item_id INT UNSIGNED NULL,
+    promotion_id INT UNSIGNED NULL,
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    value DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    reason_code VARCHAR(30) NOT NULL,
+    reason VARCHAR(255),
+    applied_by_user_id INT UNSIGNED NULL,
+    approved_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE RESTRICT,
+    FOREIGN KEY (applied_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (approved_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_discount_order (order_id),
+    INDEX idx_discount_promotion (promotion_id)
+) ENGINE=InnoDB;
+
+-- Front-of-house staff apply discounts; admins and moderators approve them
+UPDATE roles
+SET permissions = JSON_SET(permissions, '$.discounts', JSON_ARRAY('apply', 'approve'))
+WHERE name IN ('admin', 'moderator');
+
+UPDATE roles
+SET permissions = JSON_SET(permissions, '$.discounts', JSON_ARRAY('apply'))
+WHERE name IN ('server', 'cashier');
+
+-- orders.subtotal is now the gross item total and orders.discount_amount the sum of line discounts
+-- (order-level discounts are spread over the lines so each line's tax is on its discounted price)
+DROP PROCEDURE IF EXISTS update_order_totals;
+
+DELIMITER //
+
+CREATE PROCEDURE update_order_totals(IN p_order_id INT UNSIGNED)
+BEGIN
+    DECLARE v_subtotal DECIMAL(12, 2);
+    DECLARE v_discount DECIMAL(12, 2);
+    DECLARE v_tax_amount DECIMAL(12, 2);
+    DECLARE v_tax_added DECIMAL(12, 2);
+    
+    -- Recalculate each line's tax from its snapshotted rate
+    UPDATE order_items
+    SET tax_amount = ROUND(IF(tax_inclusive,
+            (subtotal - discount_amount) * tax_rate / (100 + tax_rate),
+            (subtotal - discount_amount) * tax_rate / 100), 2)
+    WHERE order_id = p_order_id;
+    
+    -- Calculate subtotal, discounts and tax from items (exclusive tax is added on top)
+    SELECT COALESCE(SUM(subtotal), 0),
+           COALESCE(SUM(discount_amount), 0),
+           COALESCE(SUM(tax_amount), 0),
+           COALESCE(SUM(IF(tax_inclusive, 0, tax_amount)), 0)
+    INTO v_subtotal, v_discount, v_tax_amount, v_tax_added
+    FROM order_items 
+    WHERE order_id = p_order_id AND status != 'cancelled';
+    
+    -- Update order
+    UPDATE orders 
+    SET subtotal = v_subtotal,
+        discount_amount = v_discount,
+        tax_amount = v_tax_amount,
+        total_amount = v_subtotal - v_discount + v_tax_added
+    WHERE id = p_order_id;
+END //
+
+DELIMITER ;
@@ -0,0 +1,47 @@
+-- Cash drawer sessions: a cashier opens a shift with a float, records pay-ins/pay-outs and closes
+-- with a counted amount. Payments and refunds taken during the shift point at their session
+
+USE showaya_pos;
+
+CREATE TABLE cash_sessions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+    opening_float DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    expected_cash DECIMAL(12, 2) NULL,
+    counted_cash DECIMAL(12, 2) NULL,
+    over_short DECIMAL(12, 2) NULL,
+    notes VARCHAR(500),
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP NULL,
+    closed_by_user_id INT UNSIGNED NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (closed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_cash_session_user (user_id, status),
+    INDEX idx_cash_session_opened (opened_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE cash_movements (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    cash_session_id INT UNSIGNED NOT NULL,
+    type ENUM('pay_in', 'pay_out') NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_cash_movement_session (cash_session_id)
+) ENGINE=InnoDB;
+
+ALTER TABLE payments
+ADD COLUMN cash_session_id INT UNSIGNED NULL AFTER cashier_id,
+ADD CONSTRAINT fk_payment_cash_session FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE SET NULL,
+ADD INDEX idx_payment_cash_session (cash_session_id);
+
+ALTER TABLE payment_refunds
+ADD COLUMN cash_session_id INT UNSIGNED NULL AFTER approved_by_user_id,
+ADD CONSTRAINT fk_refund_cash_session FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE SET NULL,
+ADD INDEX idx_refund_cash_session (cash_session_id);
@@ -0,0 +1,11 @@
+-- Server-side sessions: every login is a user_sessions row (token = the JWT's session id)
+-- authenticate rejects revoked or expired sessions; logout, PIN changes and admins revoke them
+
+USE showaya_pos;
+
+ALTER TABLE user_sessions
+ADD COLUMN last_seen_at TIMESTAMP NULL AFTER expires_at,
+ADD COLUMN revoked_at TIMESTAMP NULL AFTER last_seen_at,
+ADD COLUMN revoked_by_user_id INT UNSIGNED NULL AFTER revoked_at,
+ADD COLUMN revoke_reason VARCHAR(50) NULL AFTER revoked_by_user_id,
+ADD CONSTRAINT fk_session_revoked_by FOREIGN KEY (revoked_by_user_id) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,63 @@
+-- Modifier groups (doneness, sauces, sides) linked to products or categories, with min/max selections
+-- Chosen modifiers are order_item_modifiers rows; their price deltas are part of the line subtotal
+
+USE showaya_pos;
+
+CREATE TABLE modifier_groups (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    min_select TINYINT UNSIGNED NOT NULL DEFAULT 0,
+    max_select TINYINT UNSIGNED NULL,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_modifier_group_active (is_active)
+) ENGINE=InnoDB;
+
+CREATE TABLE modifiers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    modifier_group_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    INDEX idx_modifier_group (modifier_group_id)
+) ENGINE=InnoDB;
+
+CREATE TABLE modifier_group_products (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    modifier_group_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_modifier_group_product_group (modifier_group_id)
+) ENGINE=InnoDB;
+
+-- Per-unit sum of the line's modifier price deltas (subtotal = (unit_price + modifiers_amount) * quantity)
+ALTER TABLE order_items
+ADD COLUMN modifiers_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER unit_price;
+
+-- Names and prices are copied so later menu edits don't change rung-up lines
+CREATE TABLE order_item_modifiers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    modifier_id INT UNSIGNED NULL,
+    modifier_group_id INT UNSIGNED NULL,
+    group_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (modifier_id) REFERENCES modifiers(id) ON DELETE SET NULL,
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE SET NULL,
+    INDEX idx_item_modifier_item (order_item_id),
+    INDEX idx_item_modifier_modifier (modifier_id)
+) ENGINE=InnoDB;
@@ -0,0 +1,29 @@
+-- Product variants (sizes, flavors) with their own price, cost, SKU and stock
+-- Order items reference the chosen variant and keep a copy of its name
+
+USE showaya_pos;
+
+CREATE TABLE product_variants (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    sku VARCHAR(50) UNIQUE,
+    price DECIMAL(10, 2) NOT NULL,
+    cost_price DECIMAL(10, 2) DEFAULT 0.00,
+    stock_quantity INT DEFAULT NULL,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_variant_product (product_id),
+    INDEX idx_variant_sku (sku)
+) ENGINE=InnoDB;
+
+-- Stock for a product with variants is tracked per variant (products.track_stock still switches it on)
+ALTER TABLE order_items
+ADD COLUMN variant_id INT UNSIGNED NULL AFTER product_id,
+ADD COLUMN variant_name VARCHAR(100) NULL AFTER variant_id,
+ADD CONSTRAINT fk_item_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+ADD INDEX idx_item_variant (variant_id);
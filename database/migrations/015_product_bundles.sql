@@ -0,0 +1,43 @@
+-- Bundle products (set menus) made of component slots: a fixed product or a choice from a category
+-- Each sold bundle stores its components with their share of the bundle price for category reports
+
+USE showaya_pos;
+
+ALTER TABLE products
+ADD COLUMN is_bundle BOOLEAN DEFAULT FALSE AFTER variable_price;
+
+CREATE TABLE bundle_slots (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    bundle_product_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    display_order INT DEFAULT 0,
+
+    FOREIGN KEY (bundle_product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_bundle_slot_bundle (bundle_product_id)
+) ENGINE=InnoDB;
+
+-- quantity and allocated_amount are per bundle; allocated amounts add up to the line's unit_price
+CREATE TABLE order_item_components (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    bundle_slot_id INT UNSIGNED NULL,
+    slot_name VARCHAR(100) NOT NULL,
+    product_id INT UNSIGNED NOT NULL,
+    variant_id INT UNSIGNED NULL,
+    product_name VARCHAR(150) NOT NULL,
+    variant_name VARCHAR(100) NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    allocated_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (bundle_slot_id) REFERENCES bundle_slots(id) ON DELETE SET NULL,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    INDEX idx_item_component_item (order_item_id),
+    INDEX idx_item_component_product (product_id)
+) ENGINE=InnoDB;
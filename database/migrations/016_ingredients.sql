@@ -0,0 +1,47 @@
+-- Ingredient-level inventory: ingredients with units, per-product recipes and depletion per order item
+-- order_item_ingredients records what each line took so removing or cancelling it puts back exactly that
+
+USE showaya_pos;
+
+CREATE TABLE ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    unit ENUM('g', 'kg', 'ml', 'l', 'pcs') NOT NULL DEFAULT 'pcs',
+    stock_quantity DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    min_stock_alert DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    cost_per_unit DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_ingredient_active (is_active)
+) ENGINE=InnoDB;
+
+-- Quantity (in the ingredient's unit) per product sold; variant_id NULL applies to every variant
+CREATE TABLE product_ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NOT NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT TRUE,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    INDEX idx_recipe_product (product_id),
+    INDEX idx_recipe_ingredient (ingredient_id)
+) ENGINE=InnoDB;
+
+-- quantity is per unit of the order line (bundle components included)
+CREATE TABLE order_item_ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    ingredient_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT TRUE,
+
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE RESTRICT,
+    INDEX idx_item_ingredient_item (order_item_id)
+) ENGINE=InnoDB;
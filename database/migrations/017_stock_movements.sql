@@ -0,0 +1,46 @@
+-- Stock movement ledger: every change to product, variant or ingredient stock with its type, user, order and reason
+-- stock_quantity columns keep the running balance; existing stock is recorded as an opening balance
+
+USE showaya_pos;
+
+CREATE TABLE stock_movements (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    movement_type ENUM('sale', 'cancel', 'adjustment', 'receipt', 'waste', 'count') NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    balance_after DECIMAL(12, 3) NOT NULL,
+    user_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    order_item_id INT UNSIGNED NULL,
+    reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+    INDEX idx_movement_product (product_id, created_at),
+    INDEX idx_movement_variant (variant_id, created_at),
+    INDEX idx_movement_ingredient (ingredient_id, created_at),
+    INDEX idx_movement_type (movement_type),
+    INDEX idx_movement_order (order_id)
+) ENGINE=InnoDB;
+
+INSERT INTO stock_movements (product_id, movement_type, quantity, balance_after, reason)
+SELECT id, 'adjustment', stock_quantity, stock_quantity, 'Opening balance'
+FROM products
+WHERE stock_quantity IS NOT NULL AND stock_quantity <> 0;
+
+INSERT INTO stock_movements (product_id, variant_id, movement_type, quantity, balance_after, reason)
+SELECT product_id, id, 'adjustment', stock_quantity, stock_quantity, 'Opening balance'
+FROM product_variants
+WHERE stock_quantity IS NOT NULL AND stock_quantity <> 0;
+
+INSERT INTO stock_movements (ingredient_id, movement_type, quantity, balance_after, reason)
+SELECT id, 'adjustment', stock_quantity, stock_quantity, 'Opening balance'
+FROM ingredients
+WHERE stock_quantity <> 0;
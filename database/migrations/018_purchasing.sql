@@ -0,0 +1,84 @@
+-- Suppliers, purchase orders with product / ingredient lines, and goods receipts (partial or full)
+-- Each receipt line adds stock through the stock ledger and updates the item's cost
+
+USE showaya_pos;
+
+CREATE TABLE suppliers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    contact_name VARCHAR(100) NULL,
+    phone VARCHAR(30) NULL,
+    email VARCHAR(150) NULL,
+    address VARCHAR(255) NULL,
+    notes TEXT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_supplier_active (is_active)
+) ENGINE=InnoDB;
+
+CREATE TABLE purchase_orders (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    po_number VARCHAR(30) NOT NULL UNIQUE,
+    supplier_id INT UNSIGNED NOT NULL,
+    status ENUM('draft', 'ordered', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'draft',
+    expected_date DATE NULL,
+    notes TEXT NULL,
+    total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    created_by_user_id INT UNSIGNED NULL,
+    ordered_at TIMESTAMP NULL,
+    received_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_po_status (status),
+    INDEX idx_po_supplier (supplier_id),
+    INDEX idx_po_expected (expected_date)
+) ENGINE=InnoDB;
+
+-- One of product_id (with variant_id for a variant) or ingredient_id; quantities in the item's unit
+CREATE TABLE purchase_order_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    purchase_order_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    quantity_ordered DECIMAL(12, 3) NOT NULL,
+    quantity_received DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE RESTRICT,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE RESTRICT,
+    INDEX idx_po_line_order (purchase_order_id)
+) ENGINE=InnoDB;
+
+CREATE TABLE goods_receipts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    purchase_order_id INT UNSIGNED NOT NULL,
+    received_by_user_id INT UNSIGNED NULL,
+    notes VARCHAR(255) NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (received_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_receipt_order (purchase_order_id)
+) ENGINE=InnoDB;
+
+CREATE TABLE goods_receipt_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    goods_receipt_id INT UNSIGNED NOT NULL,
+    purchase_order_line_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL,
+
+    FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+    FOREIGN KEY (purchase_order_line_id) REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+    INDEX idx_receipt_line_receipt (goods_receipt_id)
+) ENGINE=InnoDB;
@@ -0,0 +1,43 @@
+-- Stocktake sessions: count many items, review expected vs counted at cost, post the variances in one go
+-- expected_quantity is the stock when the count was entered, so sales made meanwhile are not lost on posting
+
+USE showaya_pos;
+
+CREATE TABLE stocktakes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status ENUM('open', 'posted', 'cancelled') NOT NULL DEFAULT 'open',
+    notes TEXT NULL,
+    variance_value DECIMAL(12, 2) NULL,
+    started_by_user_id INT UNSIGNED NULL,
+    posted_by_user_id INT UNSIGNED NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    posted_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+
+    FOREIGN KEY (started_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (posted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stocktake_status (status)
+) ENGINE=InnoDB;
+
+-- One of product_id (with variant_id for a variant) or ingredient_id; counted_quantity NULL until counted
+CREATE TABLE stocktake_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    stocktake_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    expected_quantity DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    counted_quantity DECIMAL(12, 3) NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    counted_by_user_id INT UNSIGNED NULL,
+    counted_at TIMESTAMP NULL,
+
+    FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (counted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stocktake_line_stocktake (stocktake_id)
+) ENGINE=InnoDB;
@@ -0,0 +1,31 @@
+-- Waste and spoilage log: what was thrown away, why, by whom and at what cost
+-- Each entry takes its stock out through the stock ledger ('waste' movements); kitchen remakes link the order item
+
+USE showaya_pos;
+
+-- One of product_id (with variant_id for a variant) or ingredient_id; order_item_id when a dish was remade
+CREATE TABLE waste_entries (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    total_cost DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    reason ENUM('dropped', 'burnt', 'expired', 'spoiled', 'returned', 'prep_error', 'other') NOT NULL,
+    notes VARCHAR(255) NULL,
+    order_id INT UNSIGNED NULL,
+    order_item_id INT UNSIGNED NULL,
+    user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_waste_created (created_at),
+    INDEX idx_waste_reason (reason)
+) ENGINE=InnoDB;
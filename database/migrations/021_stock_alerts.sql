@@ -0,0 +1,32 @@
+-- Automatic 86: products go unavailable when their stock runs out and come back when restocked
+-- Stock alerts raised when an item drops to its min_stock_alert (or runs out), until stock is back above it
+
+USE showaya_pos;
+
+-- Set when stock (not a person) took the product off sale; only those are put back on restock
+ALTER TABLE products
+ADD COLUMN auto_unavailable BOOLEAN NOT NULL DEFAULT FALSE AFTER is_available;
+
+-- One of product_id (with variant_id for a variant) or ingredient_id; at most one unresolved alert per item
+CREATE TABLE stock_alerts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    alert_type ENUM('low_stock', 'out_of_stock') NOT NULL,
+    stock_quantity DECIMAL(12, 3) NOT NULL,
+    threshold DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+    snoozed_until TIMESTAMP NULL,
+    acknowledged_by_user_id INT UNSIGNED NULL,
+    acknowledged_at TIMESTAMP NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (acknowledged_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stock_alert_status (status)
+) ENGINE=InnoDB;
@@ -0,0 +1,30 @@
+-- Reservations: guest, party size, time and duration, with an optional assigned table
+-- The assigned table is held ('reserved') ahead of the booking; seating opens the order
+
+USE showaya_pos;
+
+-- reserved_at is local time; held_at is set while the booking holds its table in 'reserved'
+CREATE TABLE reservations (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    guest_name VARCHAR(100) NOT NULL,
+    guest_phone VARCHAR(30) NULL,
+    party_size INT NOT NULL,
+    reserved_at DATETIME NOT NULL,
+    duration_minutes INT NOT NULL DEFAULT 90,
+    section_preference VARCHAR(50) NULL,
+    notes TEXT NULL,
+    status ENUM('booked', 'seated', 'no_show', 'cancelled') NOT NULL DEFAULT 'booked',
+    table_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    held_at TIMESTAMP NULL,
+    seated_at TIMESTAMP NULL,
+    created_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_reservation_time (reserved_at),
+    INDEX idx_reservation_table_status (table_id, status)
+) ENGINE=InnoDB;
@@ -0,0 +1,25 @@
+-- Walk-in waitlist: parties waiting for a table, with the wait quoted when they were added
+-- Seating a party opens its order on the table
+
+USE showaya_pos;
+
+CREATE TABLE waitlist_entries (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    party_name VARCHAR(100) NOT NULL,
+    party_size INT NOT NULL,
+    phone VARCHAR(30) NULL,
+    notes VARCHAR(255) NULL,
+    quoted_wait_minutes INT NULL,
+    status ENUM('waiting', 'seated', 'left') NOT NULL DEFAULT 'waiting',
+    table_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    added_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    seated_at TIMESTAMP NULL,
+    removed_at TIMESTAMP NULL,
+
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (added_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_waitlist_status (status, created_at)
+) ENGINE=InnoDB;
@@ -0,0 +1,11 @@
+-- Merging orders: the merged-away order keeps its number with status 'merged' and points to the order
+-- that took its items. Joined tables share one order through restaurant_tables.current_order_id.
+
+USE showaya_pos;
+
+ALTER TABLE orders
+MODIFY COLUMN status ENUM('open', 'served', 'paid', 'cancelled', 'void', 'merged') DEFAULT 'open';
+
+ALTER TABLE orders
+ADD COLUMN merged_into_order_id INT UNSIGNED NULL AFTER notes,
+ADD CONSTRAINT fk_order_merged_into FOREIGN KEY (merged_into_order_id) REFERENCES orders(id) ON DELETE SET NULL;
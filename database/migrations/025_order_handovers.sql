@@ -0,0 +1,33 @@
+-- Order handovers between servers (shift change): requested for one or all of a server's open orders,
+-- accepted by the receiving server. Items remember the server who owned the order when they were rung up
+
+USE showaya_pos;
+
+CREATE TABLE order_handovers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    from_server_id INT UNSIGNED NOT NULL,
+    to_server_id INT UNSIGNED NOT NULL,
+    requested_by_user_id INT UNSIGNED NOT NULL,
+    status ENUM('pending', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (from_server_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (to_server_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (requested_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_handover_to (to_server_id, status),
+    INDEX idx_handover_order (order_id, status)
+) ENGINE=InnoDB;
+
+ALTER TABLE order_items
+ADD COLUMN server_id INT UNSIGNED NULL AFTER added_by_user_id,
+ADD CONSTRAINT fk_item_server FOREIGN KEY (server_id) REFERENCES users(id) ON DELETE SET NULL,
+ADD INDEX idx_item_server (server_id);
+
+-- Items rung up before handovers existed belong to their order's server
+UPDATE order_items oi
+JOIN orders o ON oi.order_id = o.id
+SET oi.server_id = o.server_id;
@@ -0,0 +1,19 @@
+-- Floor plan: table shape and size, positions in pixels on the plan of the table's section
+-- Positions used to be grid cells (0, 1, 2...); spread them out so existing layouts stay readable,
+-- each section starting at the top of its own plan
+
+USE showaya_pos;
+
+ALTER TABLE restaurant_tables
+ADD COLUMN shape ENUM('square', 'round', 'rectangle') NOT NULL DEFAULT 'square' AFTER section,
+ADD COLUMN width INT NOT NULL DEFAULT 80 AFTER shape,
+ADD COLUMN height INT NOT NULL DEFAULT 80 AFTER width;
+
+UPDATE restaurant_tables t
+JOIN (
+    SELECT section, MIN(position_y) as top_row
+    FROM restaurant_tables
+    GROUP BY section
+) s ON t.section <=> s.section
+SET t.position_x = 20 + t.position_x * 120,
+    t.position_y = 20 + (t.position_y - s.top_row) * 120;
@@ -0,0 +1,7 @@
+-- Tables an order freed when it was paid (its own and any joined to it), so voiding a payment
+-- can put the reopened order back on all of them
+
+USE showaya_pos;
+
+ALTER TABLE orders
+ADD COLUMN released_table_ids JSON NULL AFTER merged_into_order_id;
@@ -44,6 +44,22 @@ CREATE TABLE users (
     INDEX idx_user_active (is_active)
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- TAX RATES TABLE
+-- ============================================
+CREATE TABLE tax_rates (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    rate DECIMAL(5, 2) NOT NULL,
+    is_inclusive BOOLEAN DEFAULT TRUE,
+    is_default BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_tax_rate_active (is_active)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- CATEGORIES TABLE
 -- ============================================
@@ -55,10 +71,12 @@ CREATE TABLE categories (
     color VARCHAR(7) DEFAULT '#3B82F6',
     icon VARCHAR(50),
     image_url VARCHAR(500),
+    tax_rate_id INT UNSIGNED NULL,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
+    FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL,
     INDEX idx_category_active (is_active),
     INDEX idx_category_order (display_order)
 ) ENGINE=InnoDB;
@@ -79,12 +97,16 @@ CREATE TABLE products (
     min_stock_alert INT DEFAULT 10,
     image_url VARCHAR(500),
     is_available BOOLEAN DEFAULT TRUE,
+    auto_unavailable BOOLEAN NOT NULL DEFAULT FALSE,
     variable_price BOOLEAN DEFAULT FALSE,
+    is_bundle BOOLEAN DEFAULT FALSE,
+    tax_rate_id INT UNSIGNED NULL,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+    FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL,
     INDEX idx_product_category (category_id),
     INDEX idx_product_available (is_available),
     INDEX idx_product_active (is_active),
@@ -92,6 +114,80 @@ CREATE TABLE products (
     FULLTEXT INDEX idx_product_search (name, description)
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- PRODUCT VARIANTS TABLE (Sizes, flavors with their own price and stock)
+-- ============================================
+CREATE TABLE product_variants (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    sku VARCHAR(50) UNIQUE,
+    price DECIMAL(10, 2) NOT NULL,
+    cost_price DECIMAL(10, 2) DEFAULT 0.00,
+    stock_quantity INT DEFAULT NULL,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_variant_product (product_id),
+    INDEX idx_variant_sku (sku)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- INGREDIENTS TABLE (Raw stock in its own unit)
+-- ============================================
+CREATE TABLE ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    unit ENUM('g', 'kg', 'ml', 'l', 'pcs') NOT NULL DEFAULT 'pcs',
+    stock_quantity DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    min_stock_alert DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    cost_per_unit DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_ingredient_active (is_active)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- PRODUCT INGREDIENTS TABLE (Recipes: quantity per product sold, variant_id NULL = every variant)
+-- ============================================
+CREATE TABLE product_ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NOT NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    INDEX idx_recipe_product (product_id),
+    INDEX idx_recipe_ingredient (ingredient_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- BUNDLE SLOTS TABLE (Set menu components: a fixed product or a choice from a category)
+-- ============================================
+CREATE TABLE bundle_slots (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    bundle_product_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    display_order INT DEFAULT 0,
+    
+    FOREIGN KEY (bundle_product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_bundle_slot_bundle (bundle_product_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- TABLES TABLE (Restaurant Tables)
 -- ============================================
@@ -101,6 +197,9 @@ CREATE TABLE restaurant_tables (
     capacity INT DEFAULT 4,
     status ENUM('available', 'occupied', 'reserved', 'maintenance') DEFAULT 'available',
     section VARCHAR(50),
+    shape ENUM('square', 'round', 'rectangle') NOT NULL DEFAULT 'square',
+    width INT NOT NULL DEFAULT 80,
+    height INT NOT NULL DEFAULT 80,
     position_x INT DEFAULT 0,
     position_y INT DEFAULT 0,
     current_order_id INT UNSIGNED NULL,
@@ -124,13 +223,15 @@ CREATE TABLE orders (
     order_number VARCHAR(20) NOT NULL UNIQUE,
     table_id INT UNSIGNED NULL,
     server_id INT UNSIGNED NOT NULL,
-    status ENUM('open', 'served', 'paid', 'cancelled', 'void') DEFAULT 'open',
+    status ENUM('open', 'served', 'paid', 'cancelled', 'void', 'merged') DEFAULT 'open',
     subtotal DECIMAL(12, 2) DEFAULT 0.00,
     tax_amount DECIMAL(12, 2) DEFAULT 0.00,
     discount_amount DECIMAL(12, 2) DEFAULT 0.00,
     total_amount DECIMAL(12, 2) DEFAULT 0.00,
     guest_count INT DEFAULT 1,
     notes TEXT,
+    merged_into_order_id INT UNSIGNED NULL,
+    released_table_ids JSON NULL,
     opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     closed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -138,6 +239,7 @@ CREATE TABLE orders (
     
     FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE RESTRICT,
     FOREIGN KEY (server_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (merged_into_order_id) REFERENCES orders(id) ON DELETE SET NULL,
     INDEX idx_order_number (order_number),
     INDEX idx_order_table (table_id),
     INDEX idx_order_server (server_id),
@@ -155,6 +257,112 @@ ALTER TABLE restaurant_tables
 ADD CONSTRAINT fk_table_locked_user
 FOREIGN KEY (locked_by_user_id) REFERENCES users(id) ON DELETE SET NULL;
 
+-- ============================================
+-- ORDER CHECKS TABLE (Split bills)
+-- ============================================
+CREATE TABLE order_checks (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    check_number TINYINT UNSIGNED NOT NULL,
+    split_mode ENUM('item', 'seat', 'even') NOT NULL,
+    label VARCHAR(50),
+    amount DECIMAL(12, 2) NOT NULL,
+    status ENUM('open', 'paid') DEFAULT 'open',
+    created_by_user_id INT UNSIGNED NOT NULL,
+    paid_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    UNIQUE KEY uk_order_check (order_id, check_number),
+    INDEX idx_check_order (order_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- PROMOTIONS TABLE
+-- ============================================
+CREATE TABLE promotions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type ENUM('happy_hour', 'buy_x_get_y', 'combo') NOT NULL,
+    discount_type ENUM('percent', 'fixed') NULL,
+    discount_value DECIMAL(10, 2) NULL,
+    buy_quantity INT NULL,
+    get_quantity INT NULL,
+    combo_price DECIMAL(10, 2) NULL,
+    start_time TIME NULL,
+    end_time TIME NULL,
+    days_of_week VARCHAR(20) NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_promotion_active (is_active)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- PROMOTION PRODUCTS TABLE (Promotion scope / combo components)
+-- ============================================
+CREATE TABLE promotion_products (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    promotion_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_promotion_product_promotion (promotion_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- MODIFIER GROUPS TABLE (Doneness, sauces, sides)
+-- ============================================
+CREATE TABLE modifier_groups (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    min_select TINYINT UNSIGNED NOT NULL DEFAULT 0,
+    max_select TINYINT UNSIGNED NULL,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_modifier_group_active (is_active)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- MODIFIERS TABLE (Options within a group, with price delta)
+-- ============================================
+CREATE TABLE modifiers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    modifier_group_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    display_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    INDEX idx_modifier_group (modifier_group_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- MODIFIER GROUP PRODUCTS TABLE (Groups offered on a product or a whole category)
+-- ============================================
+CREATE TABLE modifier_group_products (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    modifier_group_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    category_id INT UNSIGNED NULL,
+    
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_modifier_group_product_group (modifier_group_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- ORDER ITEMS TABLE
 -- ============================================
@@ -162,25 +370,124 @@ CREATE TABLE order_items (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     order_id INT UNSIGNED NOT NULL,
     product_id INT UNSIGNED NOT NULL,
+    variant_id INT UNSIGNED NULL,
+    variant_name VARCHAR(100) NULL,
     quantity INT NOT NULL DEFAULT 1,
     unit_price DECIMAL(10, 2) NOT NULL,
+    modifiers_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
     subtotal DECIMAL(12, 2) NOT NULL,
     discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+    tax_inclusive BOOLEAN NOT NULL DEFAULT TRUE,
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
     notes VARCHAR(500),
+    seat_number TINYINT UNSIGNED NULL,
+    check_id INT UNSIGNED NULL,
     status ENUM('pending', 'preparing', 'ready', 'served', 'cancelled') DEFAULT 'pending',
     added_by_user_id INT UNSIGNED NOT NULL,
+    server_id INT UNSIGNED NULL,
     added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    preparing_at TIMESTAMP NULL,
+    ready_at TIMESTAMP NULL,
     served_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
     FOREIGN KEY (added_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (server_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (check_id) REFERENCES order_checks(id) ON DELETE SET NULL,
     INDEX idx_item_order (order_id),
     INDEX idx_item_product (product_id),
+    INDEX idx_item_variant (variant_id),
     INDEX idx_item_status (status),
-    INDEX idx_item_added_by (added_by_user_id)
+    INDEX idx_item_added_by (added_by_user_id),
+    INDEX idx_item_server (server_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- ORDER ITEM MODIFIERS TABLE (Chosen modifiers, names and prices copied)
+-- ============================================
+CREATE TABLE order_item_modifiers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    modifier_id INT UNSIGNED NULL,
+    modifier_group_id INT UNSIGNED NULL,
+    group_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (modifier_id) REFERENCES modifiers(id) ON DELETE SET NULL,
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE SET NULL,
+    INDEX idx_item_modifier_item (order_item_id),
+    INDEX idx_item_modifier_modifier (modifier_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- ORDER ITEM COMPONENTS TABLE (Bundle contents, with their share of the bundle price)
+-- ============================================
+CREATE TABLE order_item_components (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    bundle_slot_id INT UNSIGNED NULL,
+    slot_name VARCHAR(100) NOT NULL,
+    product_id INT UNSIGNED NOT NULL,
+    variant_id INT UNSIGNED NULL,
+    product_name VARCHAR(150) NOT NULL,
+    variant_name VARCHAR(100) NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    allocated_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (bundle_slot_id) REFERENCES bundle_slots(id) ON DELETE SET NULL,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    INDEX idx_item_component_item (order_item_id),
+    INDEX idx_item_component_product (product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- ORDER ITEM INGREDIENTS TABLE (What each line took, per unit, so it can be put back)
+-- ============================================
+CREATE TABLE order_item_ingredients (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT UNSIGNED NOT NULL,
+    ingredient_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE RESTRICT,
+    INDEX idx_item_ingredient_item (order_item_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- ORDER DISCOUNTS TABLE (Manual discounts and applied promotions)
+-- ============================================
+CREATE TABLE order_discounts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    order_item_id INT UNSIGNED NULL,
+    promotion_id INT UNSIGNED NULL,
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    value DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    reason_code VARCHAR(30) NOT NULL,
+    reason VARCHAR(255),
+    applied_by_user_id INT UNSIGNED NULL,
+    approved_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE RESTRICT,
+    FOREIGN KEY (applied_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (approved_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_discount_order (order_id),
+    INDEX idx_discount_promotion (promotion_id)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -195,6 +502,45 @@ CREATE TABLE payment_methods (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- CASH SESSIONS TABLE (Cash drawer shifts)
+-- ============================================
+CREATE TABLE cash_sessions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+    opening_float DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    expected_cash DECIMAL(12, 2) NULL,
+    counted_cash DECIMAL(12, 2) NULL,
+    over_short DECIMAL(12, 2) NULL,
+    notes VARCHAR(500),
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP NULL,
+    closed_by_user_id INT UNSIGNED NULL,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (closed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_cash_session_user (user_id, status),
+    INDEX idx_cash_session_opened (opened_at)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- CASH MOVEMENTS TABLE (Drawer pay-ins and pay-outs)
+-- ============================================
+CREATE TABLE cash_movements (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    cash_session_id INT UNSIGNED NOT NULL,
+    type ENUM('pay_in', 'pay_out') NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_cash_movement_session (cash_session_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- PAYMENTS TABLE
 -- ============================================
@@ -202,12 +548,16 @@ CREATE TABLE payments (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     payment_number VARCHAR(20) NOT NULL UNIQUE,
     order_id INT UNSIGNED NOT NULL,
+    check_id INT UNSIGNED NULL,
     payment_method_id INT UNSIGNED NOT NULL,
     cashier_id INT UNSIGNED NOT NULL,
+    cash_session_id INT UNSIGNED NULL,
     amount_due DECIMAL(12, 2) NOT NULL,
     amount_paid DECIMAL(12, 2) NOT NULL,
     change_amount DECIMAL(12, 2) DEFAULT 0.00,
+    balance_after DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
     tip_amount DECIMAL(10, 2) DEFAULT 0.00,
+    refunded_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
     status ENUM('pending', 'completed', 'refunded', 'void') DEFAULT 'pending',
     reference_number VARCHAR(100),
     notes TEXT,
@@ -216,15 +566,340 @@ CREATE TABLE payments (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE RESTRICT,
+    FOREIGN KEY (check_id) REFERENCES order_checks(id) ON DELETE RESTRICT,
     FOREIGN KEY (payment_method_id) REFERENCES payment_methods(id) ON DELETE RESTRICT,
     FOREIGN KEY (cashier_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE SET NULL,
     INDEX idx_payment_number (payment_number),
     INDEX idx_payment_order (order_id),
+    INDEX idx_payment_check (check_id),
     INDEX idx_payment_cashier (cashier_id),
+    INDEX idx_payment_cash_session (cash_session_id),
     INDEX idx_payment_status (status),
     INDEX idx_payment_date (paid_at)
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- PAYMENT REFUNDS TABLE (Refunds and voids)
+-- ============================================
+CREATE TABLE payment_refunds (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    payment_id INT UNSIGNED NOT NULL,
+    order_id INT UNSIGNED NOT NULL,
+    type ENUM('refund', 'void') NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL,
+    reason VARCHAR(500),
+    approved_by_user_id INT UNSIGNED NOT NULL,
+    cash_session_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE RESTRICT,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE RESTRICT,
+    FOREIGN KEY (approved_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (cash_session_id) REFERENCES cash_sessions(id) ON DELETE SET NULL,
+    INDEX idx_refund_payment (payment_id),
+    INDEX idx_refund_cash_session (cash_session_id),
+    INDEX idx_refund_date (created_at)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- SUPPLIERS TABLE
+-- ============================================
+CREATE TABLE suppliers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    contact_name VARCHAR(100) NULL,
+    phone VARCHAR(30) NULL,
+    email VARCHAR(150) NULL,
+    address VARCHAR(255) NULL,
+    notes TEXT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_supplier_active (is_active)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- PURCHASE ORDERS TABLE
+-- ============================================
+CREATE TABLE purchase_orders (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    po_number VARCHAR(30) NOT NULL UNIQUE,
+    supplier_id INT UNSIGNED NOT NULL,
+    status ENUM('draft', 'ordered', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'draft',
+    expected_date DATE NULL,
+    notes TEXT NULL,
+    total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    created_by_user_id INT UNSIGNED NULL,
+    ordered_at TIMESTAMP NULL,
+    received_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_po_status (status),
+    INDEX idx_po_supplier (supplier_id),
+    INDEX idx_po_expected (expected_date)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- PURCHASE ORDER LINES TABLE (Product, variant or ingredient; quantities in its unit)
+-- ============================================
+CREATE TABLE purchase_order_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    purchase_order_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    quantity_ordered DECIMAL(12, 3) NOT NULL,
+    quantity_received DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE RESTRICT,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE RESTRICT,
+    INDEX idx_po_line_order (purchase_order_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- GOODS RECEIPTS TABLE (Deliveries against a purchase order)
+-- ============================================
+CREATE TABLE goods_receipts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    purchase_order_id INT UNSIGNED NOT NULL,
+    received_by_user_id INT UNSIGNED NULL,
+    notes VARCHAR(255) NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (received_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_receipt_order (purchase_order_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- GOODS RECEIPT LINES TABLE
+-- ============================================
+CREATE TABLE goods_receipt_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    goods_receipt_id INT UNSIGNED NOT NULL,
+    purchase_order_line_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL,
+    
+    FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+    FOREIGN KEY (purchase_order_line_id) REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+    INDEX idx_receipt_line_receipt (goods_receipt_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- STOCKTAKES TABLE (Physical inventory count sessions)
+-- ============================================
+CREATE TABLE stocktakes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status ENUM('open', 'posted', 'cancelled') NOT NULL DEFAULT 'open',
+    notes TEXT NULL,
+    variance_value DECIMAL(12, 2) NULL,
+    started_by_user_id INT UNSIGNED NULL,
+    posted_by_user_id INT UNSIGNED NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    posted_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (started_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (posted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stocktake_status (status)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- STOCKTAKE LINES TABLE (Expected vs counted per item; counted NULL until counted)
+-- ============================================
+CREATE TABLE stocktake_lines (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    stocktake_id INT UNSIGNED NOT NULL,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    expected_quantity DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    counted_quantity DECIMAL(12, 3) NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    counted_by_user_id INT UNSIGNED NULL,
+    counted_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (counted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stocktake_line_stocktake (stocktake_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- WASTE ENTRIES TABLE (Waste and spoilage log; stock out via 'waste' movements)
+-- ============================================
+CREATE TABLE waste_entries (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit_cost DECIMAL(10, 4) NOT NULL DEFAULT 0.0000,
+    total_cost DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    reason ENUM('dropped', 'burnt', 'expired', 'spoiled', 'returned', 'prep_error', 'other') NOT NULL,
+    notes VARCHAR(255) NULL,
+    order_id INT UNSIGNED NULL,
+    order_item_id INT UNSIGNED NULL,
+    user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_waste_created (created_at),
+    INDEX idx_waste_reason (reason)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- STOCK ALERTS TABLE (Low / out of stock alerts; one unresolved alert per item)
+-- ============================================
+CREATE TABLE stock_alerts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    description VARCHAR(150) NOT NULL,
+    alert_type ENUM('low_stock', 'out_of_stock') NOT NULL,
+    stock_quantity DECIMAL(12, 3) NOT NULL,
+    threshold DECIMAL(12, 3) NOT NULL DEFAULT 0.000,
+    status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+    snoozed_until TIMESTAMP NULL,
+    acknowledged_by_user_id INT UNSIGNED NULL,
+    acknowledged_at TIMESTAMP NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (acknowledged_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stock_alert_status (status)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- RESERVATIONS TABLE (Held tables go 'reserved' ahead of the booking)
+-- ============================================
+CREATE TABLE reservations (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    guest_name VARCHAR(100) NOT NULL,
+    guest_phone VARCHAR(30) NULL,
+    party_size INT NOT NULL,
+    reserved_at DATETIME NOT NULL,
+    duration_minutes INT NOT NULL DEFAULT 90,
+    section_preference VARCHAR(50) NULL,
+    notes TEXT NULL,
+    status ENUM('booked', 'seated', 'no_show', 'cancelled') NOT NULL DEFAULT 'booked',
+    table_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    held_at TIMESTAMP NULL,
+    seated_at TIMESTAMP NULL,
+    created_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_reservation_time (reserved_at),
+    INDEX idx_reservation_table_status (table_id, status)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- WAITLIST TABLE (Walk-in parties waiting for a table)
+-- ============================================
+CREATE TABLE waitlist_entries (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    party_name VARCHAR(100) NOT NULL,
+    party_size INT NOT NULL,
+    phone VARCHAR(30) NULL,
+    notes VARCHAR(255) NULL,
+    quoted_wait_minutes INT NULL,
+    status ENUM('waiting', 'seated', 'left') NOT NULL DEFAULT 'waiting',
+    table_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    added_by_user_id INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    seated_at TIMESTAMP NULL,
+    removed_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (added_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_waitlist_status (status, created_at)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- ORDER HANDOVERS TABLE (Open orders passed between servers at shift change)
+-- ============================================
+CREATE TABLE order_handovers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    order_id INT UNSIGNED NOT NULL,
+    from_server_id INT UNSIGNED NOT NULL,
+    to_server_id INT UNSIGNED NOT NULL,
+    requested_by_user_id INT UNSIGNED NOT NULL,
+    status ENUM('pending', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (from_server_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (to_server_id) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (requested_by_user_id) REFERENCES users(id) ON DELETE RESTRICT,
+    INDEX idx_handover_to (to_server_id, status),
+    INDEX idx_handover_order (order_id, status)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- STOCK MOVEMENTS TABLE (Ledger of every stock change; quantity is signed)
+-- ============================================
+CREATE TABLE stock_movements (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    product_id INT UNSIGNED NULL,
+    variant_id INT UNSIGNED NULL,
+    ingredient_id INT UNSIGNED NULL,
+    movement_type ENUM('sale', 'cancel', 'adjustment', 'receipt', 'waste', 'count') NOT NULL,
+    quantity DECIMAL(12, 3) NOT NULL,
+    balance_after DECIMAL(12, 3) NOT NULL,
+    user_id INT UNSIGNED NULL,
+    order_id INT UNSIGNED NULL,
+    order_item_id INT UNSIGNED NULL,
+    reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+    INDEX idx_movement_product (product_id, created_at),
+    INDEX idx_movement_variant (variant_id, created_at),
+    INDEX idx_movement_ingredient (ingredient_id, created_at),
+    INDEX idx_movement_type (movement_type),
+    INDEX idx_movement_order (order_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- AUDIT LOG TABLE (For tracking all actions)
 -- ============================================
@@ -257,9 +932,14 @@ CREATE TABLE user_sessions (
     device_info VARCHAR(500),
     ip_address VARCHAR(45),
     expires_at TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by_user_id INT UNSIGNED NULL,
+    revoke_reason VARCHAR(50) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_session_token (token),
     INDEX idx_session_user (user_id),
     INDEX idx_session_expires (expires_at)
@@ -279,7 +959,9 @@ INSERT INTO roles (name, description, permissions) VALUES
     'payments', JSON_ARRAY('create', 'read', 'update', 'refund'),
     'tables', JSON_ARRAY('create', 'read', 'update', 'delete'),
     'reports', JSON_ARRAY('view', 'export'),
-    'settings', JSON_ARRAY('read', 'update')
+    'settings', JSON_ARRAY('read', 'update'),
+    'kitchen', JSON_ARRAY('read', 'update'),
+    'discounts', JSON_ARRAY('apply', 'approve')
 )),
 ('moderator', 'Manage products, view reports, assist servers', JSON_OBJECT(
     'users', JSON_ARRAY('read'),
@@ -288,19 +970,28 @@ INSERT INTO roles (name, description, permissions) VALUES
     'orders', JSON_ARRAY('read', 'update'),
     'payments', JSON_ARRAY('read'),
     'tables', JSON_ARRAY('read', 'update'),
-    'reports', JSON_ARRAY('view')
+    'reports', JSON_ARRAY('view'),
+    'kitchen', JSON_ARRAY('read', 'update'),
+    'discounts', JSON_ARRAY('apply', 'approve')
 )),
 ('server', 'Take orders and manage assigned tables', JSON_OBJECT(
     'products', JSON_ARRAY('read'),
     'categories', JSON_ARRAY('read'),
     'orders', JSON_ARRAY('create', 'read', 'update'),
-    'tables', JSON_ARRAY('read', 'update')
+    'tables', JSON_ARRAY('read', 'update'),
+    'discounts', JSON_ARRAY('apply')
 )),
 ('cashier', 'Process payments and view orders', JSON_OBJECT(
     'products', JSON_ARRAY('read'),
     'orders', JSON_ARRAY('read'),
     'payments', JSON_ARRAY('create', 'read'),
-    'tables', JSON_ARRAY('read', 'update')
+    'tables', JSON_ARRAY('read', 'update'),
+    'discounts', JSON_ARRAY('apply')
+)),
+('kitchen', 'Kitchen display: view and bump order items', JSON_OBJECT(
+    'products', JSON_ARRAY('read'),
+    'orders', JSON_ARRAY('read'),
+    'kitchen', JSON_ARRAY('read', 'update')
 ));
 
 -- Insert default payment methods
@@ -309,16 +1000,21 @@ INSERT INTO payment_methods (name, description) VALUES
 ('card', 'Credit/Debit card payment'),
 ('mobile', 'Mobile payment (Apple Pay, Google Pay, etc.)');
 
+-- Insert default tax rates (Moroccan VAT, menu prices include tax)
+INSERT INTO tax_rates (name, rate, is_inclusive, is_default) VALUES
+('TVA 10%', 10.00, TRUE, TRUE),
+('TVA 20%', 20.00, TRUE, FALSE);
+
 -- Insert default categories for Showaya restaurant
-INSERT INTO categories (name, description, display_order, color, icon) VALUES
-('Grills & BBQ', 'Grilled meats and barbecue dishes', 1, '#EF4444', 'flame'),
-('Skewers', 'Meat and vegetable skewers', 2, '#F97316', 'utensils'),
-('Sides', 'Side dishes and accompaniments', 3, '#22C55E', 'leaf'),
-('Salads', 'Fresh salads', 4, '#10B981', 'salad'),
-('Desserts', 'Sweet treats and desserts', 5, '#EC4899', 'cake'),
-('Hot Drinks', 'Coffee, tea, and hot beverages', 6, '#8B5CF6', 'coffee'),
-('Cold Drinks', 'Soft drinks, juices, and cold beverages', 7, '#3B82F6', 'glass'),
-('Specials', 'Chef specials and seasonal items', 8, '#F59E0B', 'star');
+INSERT INTO categories (name, description, display_order, color, icon, tax_rate_id) VALUES
+('Grills & BBQ', 'Grilled meats and barbecue dishes', 1, '#EF4444', 'flame', NULL),
+('Skewers', 'Meat and vegetable skewers', 2, '#F97316', 'utensils', NULL),
+('Sides', 'Side dishes and accompaniments', 3, '#22C55E', 'leaf', NULL),
+('Salads', 'Fresh salads', 4, '#10B981', 'salad', NULL),
+('Desserts', 'Sweet treats and desserts', 5, '#EC4899', 'cake', NULL),
+('Hot Drinks', 'Coffee, tea, and hot beverages', 6, '#8B5CF6', 'coffee', NULL),
+('Cold Drinks', 'Soft drinks, juices, and cold beverages', 7, '#3B82F6', 'glass', 2),
+('Specials', 'Chef specials and seasonal items', 8, '#F59E0B', 'star', NULL);
 
 -- Insert sample products
 INSERT INTO products (name, description, category_id, price, is_available) VALUES
@@ -368,18 +1064,36 @@ INSERT INTO products (name, description, category_id, price, is_available) VALUE
 ('Water', 'Bottled mineral water', 7, 3.00, TRUE),
 ('Ayran', 'Traditional yogurt drink', 7, 5.00, TRUE);
 
+-- Insert sample variants
+INSERT INTO product_variants (product_id, name, price, display_order)
+SELECT id, 'Coca-Cola', 4.00, 0 FROM products WHERE name = 'Soft Drinks'
+UNION ALL SELECT id, 'Sprite', 4.00, 1 FROM products WHERE name = 'Soft Drinks'
+UNION ALL SELECT id, 'Fanta', 4.00, 2 FROM products WHERE name = 'Soft Drinks'
+UNION ALL SELECT id, 'Orange', 7.00, 0 FROM products WHERE name = 'Fresh Juice'
+UNION ALL SELECT id, 'Apple', 7.00, 1 FROM products WHERE name = 'Fresh Juice'
+UNION ALL SELECT id, 'Mixed', 8.00, 2 FROM products WHERE name = 'Fresh Juice';
+
+-- Insert sample bundle (set menu)
+INSERT INTO products (name, description, category_id, price, is_available, is_bundle) VALUES
+('Mixed Grill Menu', 'Mixed grill platter with fries and a cold drink', 8, 52.00, TRUE, TRUE);
+
+INSERT INTO bundle_slots (bundle_product_id, name, product_id, category_id, quantity, display_order)
+SELECT b.id, 'Main', p.id, NULL, 1, 0 FROM products b JOIN products p ON p.name = 'Mixed Grill Platter' WHERE b.name = 'Mixed Grill Menu'
+UNION ALL SELECT b.id, 'Side', p.id, NULL, 1, 1 FROM products b JOIN products p ON p.name = 'French Fries' WHERE b.name = 'Mixed Grill Menu'
+UNION ALL SELECT b.id, 'Drink', NULL, 7, 1, 2 FROM products b WHERE b.name = 'Mixed Grill Menu';
+
 -- Insert 50 restaurant tables
-INSERT INTO restaurant_tables (table_number, capacity, section, position_x, position_y) VALUES
-(1, 2, 'Window', 0, 0), (2, 2, 'Window', 1, 0), (3, 2, 'Window', 2, 0), (4, 2, 'Window', 3, 0), (5, 2, 'Window', 4, 0),
-(6, 4, 'Main', 0, 1), (7, 4, 'Main', 1, 1), (8, 4, 'Main', 2, 1), (9, 4, 'Main', 3, 1), (10, 4, 'Main', 4, 1),
-(11, 4, 'Main', 0, 2), (12, 4, 'Main', 1, 2), (13, 4, 'Main', 2, 2), (14, 4, 'Main', 3, 2), (15, 4, 'Main', 4, 2),
-(16, 4, 'Main', 0, 3), (17, 4, 'Main', 1, 3), (18, 4, 'Main', 2, 3), (19, 4, 'Main', 3, 3), (20, 4, 'Main', 4, 3),
-(21, 6, 'Center', 0, 4), (22, 6, 'Center', 1, 4), (23, 6, 'Center', 2, 4), (24, 6, 'Center', 3, 4), (25, 6, 'Center', 4, 4),
-(26, 6, 'Center', 0, 5), (27, 6, 'Center', 1, 5), (28, 6, 'Center', 2, 5), (29, 6, 'Center', 3, 5), (30, 6, 'Center', 4, 5),
-(31, 4, 'Back', 0, 6), (32, 4, 'Back', 1, 6), (33, 4, 'Back', 2, 6), (34, 4, 'Back', 3, 6), (35, 4, 'Back', 4, 6),
-(36, 4, 'Back', 0, 7), (37, 4, 'Back', 1, 7), (38, 4, 'Back', 2, 7), (39, 4, 'Back', 3, 7), (40, 4, 'Back', 4, 7),
-(41, 8, 'VIP', 0, 8), (42, 8, 'VIP', 1, 8), (43, 8, 'VIP', 2, 8), (44, 8, 'VIP', 3, 8), (45, 8, 'VIP', 4, 8),
-(46, 10, 'Private', 0, 9), (47, 10, 'Private', 1, 9), (48, 10, 'Private', 2, 9), (49, 12, 'Private', 3, 9), (50, 12, 'Private', 4, 9);
+INSERT INTO restaurant_tables (table_number, capacity, section, shape, width, height, position_x, position_y) VALUES
+(1, 2, 'Window', 'square', 70, 70, 20, 20), (2, 2, 'Window', 'square', 70, 70, 180, 20), (3, 2, 'Window', 'square', 70, 70, 340, 20), (4, 2, 'Window', 'square', 70, 70, 500, 20), (5, 2, 'Window', 'square', 70, 70, 660, 20),
+(6, 4, 'Main', 'square', 80, 80, 20, 20), (7, 4, 'Main', 'square', 80, 80, 180, 20), (8, 4, 'Main', 'square', 80, 80, 340, 20), (9, 4, 'Main', 'square', 80, 80, 500, 20), (10, 4, 'Main', 'square', 80, 80, 660, 20),
+(11, 4, 'Main', 'square', 80, 80, 20, 160), (12, 4, 'Main', 'square', 80, 80, 180, 160), (13, 4, 'Main', 'square', 80, 80, 340, 160), (14, 4, 'Main', 'square', 80, 80, 500, 160), (15, 4, 'Main', 'square', 80, 80, 660, 160),
+(16, 4, 'Main', 'square', 80, 80, 20, 300), (17, 4, 'Main', 'square', 80, 80, 180, 300), (18, 4, 'Main', 'square', 80, 80, 340, 300), (19, 4, 'Main', 'square', 80, 80, 500, 300), (20, 4, 'Main', 'square', 80, 80, 660, 300),
+(21, 6, 'Center', 'rectangle', 120, 80, 20, 20), (22, 6, 'Center', 'rectangle', 120, 80, 180, 20), (23, 6, 'Center', 'rectangle', 120, 80, 340, 20), (24, 6, 'Center', 'rectangle', 120, 80, 500, 20), (25, 6, 'Center', 'rectangle', 120, 80, 660, 20),
+(26, 6, 'Center', 'rectangle', 120, 80, 20, 160), (27, 6, 'Center', 'rectangle', 120, 80, 180, 160), (28, 6, 'Center', 'rectangle', 120, 80, 340, 160), (29, 6, 'Center', 'rectangle', 120, 80, 500, 160), (30, 6, 'Center', 'rectangle', 120, 80, 660, 160),
+(31, 4, 'Back', 'square', 80, 80, 20, 20), (32, 4, 'Back', 'square', 80, 80, 180, 20), (33, 4, 'Back', 'square', 80, 80, 340, 20), (34, 4, 'Back', 'square', 80, 80, 500, 20), (35, 4, 'Back', 'square', 80, 80, 660, 20),
+(36, 4, 'Back', 'square', 80, 80, 20, 160), (37, 4, 'Back', 'square', 80, 80, 180, 160), (38, 4, 'Back', 'square', 80, 80, 340, 160), (39, 4, 'Back', 'square', 80, 80, 500, 160), (40, 4, 'Back', 'square', 80, 80, 660, 160),
+(41, 8, 'VIP', 'round', 100, 100, 20, 20), (42, 8, 'VIP', 'round', 100, 100, 180, 20), (43, 8, 'VIP', 'round', 100, 100, 340, 20), (44, 8, 'VIP', 'round', 100, 100, 500, 20), (45, 8, 'VIP', 'round', 100, 100, 660, 20),
+(46, 10, 'Private', 'rectangle', 140, 90, 20, 20), (47, 10, 'Private', 'rectangle', 140, 90, 180, 20), (48, 10, 'Private', 'rectangle', 140, 90, 340, 20), (49, 12, 'Private', 'rectangle', 140, 90, 500, 20), (50, 12, 'Private', 'rectangle', 140, 90, 660, 20);
 
 -- Insert default admin user (PIN: 1234)
 -- Note: In production, use proper bcrypt hashing. This is SHA256 for demo.
@@ -468,11 +1182,16 @@ BEGIN
     DECLARE v_product_available BOOLEAN;
     DECLARE v_track_stock BOOLEAN;
     DECLARE v_stock_qty INT;
+    DECLARE v_tax_rate_id INT UNSIGNED;
+    DECLARE v_tax_rate DECIMAL(5, 2) DEFAULT 0.00;
+    DECLARE v_tax_inclusive BOOLEAN DEFAULT TRUE;
     
     -- Get product info
-    SELECT price, is_available, track_stock, stock_quantity 
-    INTO v_unit_price, v_product_available, v_track_stock, v_stock_qty
-    FROM products WHERE id = p_product_id;
+    SELECT p.price, p.is_available, p.track_stock, p.stock_quantity, COALESCE(p.tax_rate_id, c.tax_rate_id)
+    INTO v_unit_price, v_product_available, v_track_stock, v_stock_qty, v_tax_rate_id
+    FROM products p
+    JOIN categories c ON p.category_id = c.id
+    WHERE p.id = p_product_id;
     
     IF v_unit_price IS NULL THEN
         SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Product not found';
@@ -489,9 +1208,16 @@ BEGIN
     -- Calculate subtotal
     SET v_subtotal = v_unit_price * p_quantity;
     
+    -- Resolve tax rate: product, then category, then the default rate
+    SELECT rate, is_inclusive INTO v_tax_rate, v_tax_inclusive
+    FROM tax_rates
+    WHERE is_active = TRUE AND (id = v_tax_rate_id OR is_default = TRUE)
+    ORDER BY id = v_tax_rate_id DESC
+    LIMIT 1;
+    
     -- Insert order item
-    INSERT INTO order_items (order_id, product_id, quantity, unit_price, subtotal, notes, added_by_user_id)
-    VALUES (p_order_id, p_product_id, p_quantity, v_unit_price, v_subtotal, p_notes, p_user_id);
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, subtotal, tax_rate, tax_inclusive, notes, added_by_user_id)
+    VALUES (p_order_id, p_product_id, p_quantity, v_unit_price, v_subtotal, v_tax_rate, v_tax_inclusive, p_notes, p_user_id);
     
     -- Update stock if tracking
     IF v_track_stock THEN
@@ -506,18 +1232,32 @@ END //
 CREATE PROCEDURE update_order_totals(IN p_order_id INT UNSIGNED)
 BEGIN
     DECLARE v_subtotal DECIMAL(12, 2);
-    DECLARE v_tax_rate DECIMAL(5, 4) DEFAULT 0.0000;
+    DECLARE v_discount DECIMAL(12, 2);
+    DECLARE v_tax_amount DECIMAL(12, 2);
+    DECLARE v_tax_added DECIMAL(12, 2);
+    
+    -- Recalculate each line's tax from its snapshotted rate
+    UPDATE order_items
+    SET tax_amount = ROUND(IF(tax_inclusive,
+            (subtotal - discount_amount) * tax_rate / (100 + tax_rate),
+            (subtotal - discount_amount) * tax_rate / 100), 2)
+    WHERE order_id = p_order_id;
     
-    -- Calculate subtotal from items
-    SELECT COALESCE(SUM(subtotal - discount_amount), 0) INTO v_subtotal
+    -- Calculate subtotal, discounts and tax from items (exclusive tax is added on top)
+    SELECT COALESCE(SUM(subtotal), 0),
+           COALESCE(SUM(discount_amount), 0),
+           COALESCE(SUM(tax_amount), 0),
+           COALESCE(SUM(IF(tax_inclusive, 0, tax_amount)), 0)
+    INTO v_subtotal, v_discount, v_tax_amount, v_tax_added
     FROM order_items 
     WHERE order_id = p_order_id AND status != 'cancelled';
     
     -- Update order
     UPDATE orders 
     SET subtotal = v_subtotal,
-        tax_amount = v_subtotal * v_tax_rate,
-        total_amount = v_subtotal + (v_subtotal * v_tax_rate) - discount_amount
+        discount_amount = v_discount,
+        tax_amount = v_tax_amount,
+        total_amount = v_subtotal - v_discount + v_tax_added
     WHERE id = p_order_id;
 END //
 
@@ -7,8 +7,12 @@ import NewOrderPage from "./pages/NewOrderPage";
 import MyTablesPage from "./pages/MyTablesPage";
 import OrderPage from "./pages/OrderPage";
 import CashierPage from "./pages/CashierPage";
+import CashDrawerPage from "./pages/CashDrawerPage";
 import AdminPage from "./pages/AdminPage";
 import ProfilePage from "./pages/ProfilePage";
+import KitchenPage from "./pages/KitchenPage";
+import ReservationsPage from "./pages/ReservationsPage";
+import TablesPage from "./pages/TablesPage";
 
 // Components
 import Layout from "./components/Layout";
@@ -32,6 +36,18 @@ function App() {
 
       {/* Protected routes */}
       <Route element={<ProtectedRoute />}>
+        {/* Kitchen display (full-screen, no sidebar) */}
+        <Route
+          path="/kitchen"
+          element={
+            ["admin", "moderator", "kitchen"].includes(user?.role) ? (
+              <KitchenPage />
+            ) : (
+              <Navigate to="/" replace />
+            )
+          }
+        />
+
         <Route element={<Layout />}>
           {/* Default redirect based on role */}
           <Route
@@ -39,6 +55,8 @@ function App() {
             element={
               user?.role === "cashier" ? (
                 <Navigate to="/cashier" replace />
+              ) : user?.role === "kitchen" ? (
+                <Navigate to="/kitchen" replace />
               ) : (
                 <Navigate to="/new-order" replace />
               )
@@ -50,9 +68,39 @@ function App() {
           <Route path="/my-tables" element={<MyTablesPage />} />
           <Route path="/order/takeaway/:orderId" element={<OrderPage />} />
           <Route path="/order/:tableId" element={<OrderPage />} />
+          <Route
+            path="/tables"
+            element={
+              ["admin", "moderator", "server"].includes(user?.role) ? (
+                <TablesPage />
+              ) : (
+                <Navigate to="/" replace />
+              )
+            }
+          />
+          <Route
+            path="/reservations"
+            element={
+              ["admin", "moderator", "server"].includes(user?.role) ? (
+                <ReservationsPage />
+              ) : (
+                <Navigate to="/" replace />
+              )
+            }
+          />
 
           {/* Cashier routes */}
           <Route path="/cashier" element={<CashierPage />} />
+          <Route
+            path="/cash-drawer"
+            element={
+              user?.role === "admin" || user?.role === "cashier" ? (
+                <CashDrawerPage />
+              ) : (
+                <Navigate to="/" replace />
+              )
+            }
+          />
 
           {/* Profile (all logged-in users) */}
           <Route path="/profile" element={<ProfilePage />} />
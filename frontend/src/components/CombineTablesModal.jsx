@@ -0,0 +1,196 @@
+import { useState, useEffect } from "react";
+import { X, Link2, Merge } from "lucide-react";
+import { ordersAPI, tablesAPI } from "../services/api";
+import { formatCurrency } from "../utils/currency";
+import RestaurantTableIcon from "./RestaurantTableIcon";
+import toast from "react-hot-toast";
+
+/**
+ * Push tables together for a large party and merge other open orders into this one.
+ * Joined tables share the order and are freed when it is paid; the main table stays until the order moves.
+ */
+export default function CombineTablesModal({ order, onClose, onChanged }) {
+  const [freeTables, setFreeTables] = useState([]);
+  const [openOrders, setOpenOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const orderTables = order.tables || [];
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [tablesRes, ordersRes] = await Promise.all([
+          tablesAPI.getAll({ status: "available" }),
+          ordersAPI.getActive(),
+        ]);
+        setFreeTables(tablesRes.data.data.filter((t) => !t.current_order_id));
+        setOpenOrders(ordersRes.data.data.filter((o) => o.id !== order.id));
+      } catch (error) {
+        toast.error("Failed to load tables");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [order.id, order.tables]);
+
+  const run = async (request) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      await onChanged();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = (source) => {
+    if (
+      !window.confirm(
+        `Merge order #${source.order_number} into #${order.order_number}? Its items, guests and tables move to this order.`
+      )
+    )
+      return;
+    run(() => ordersAPI.merge(order.id, source.id));
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">
+              Combine tables
+            </h3>
+            <p className="text-sm text-surface-500">
+              Order #{order.order_number} · {order.guest_count} guests
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-6">
+          <div>
+            <h4 className="text-sm font-medium text-surface-600 mb-2">
+              Tables on this order
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {orderTables.map((table) => (
+                <span
+                  key={table.id}
+                  className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-orange-100 text-orange-700 font-semibold"
+                >
+                  {table.table_number}
+                  {table.id === order.table_id ? (
+                    <span className="text-xs font-normal">(main)</span>
+                  ) : (
+                    <button
+                      type="button"
+                      disabled={saving}
+                      onClick={() =>
+                        run(() => ordersAPI.releaseTable(order.id, table.id))
+                      }
+                      className="hover:text-orange-900"
+                      title="Release table"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-surface-600 mb-2 flex items-center gap-2">
+              <Link2 className="w-4 h-4" />
+              Join a free table
+            </h4>
+            {loading ? (
+              <div className="spinner w-6 h-6 mx-auto"></div>
+            ) : freeTables.length === 0 ? (
+              <p className="text-sm text-surface-500">No available tables</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-2">
+                {freeTables.map((table) => (
+                  <button
+                    key={table.id}
+                    type="button"
+                    disabled={saving}
+                    onClick={() =>
+                      run(() => ordersAPI.joinTable(order.id, table.id))
+                    }
+                    className="p-2 rounded-xl bg-green-50 border-2 border-green-200 hover:border-green-500 font-bold text-surface-800 flex flex-col items-center"
+                  >
+                    <RestaurantTableIcon className="w-6 h-6 text-green-600" />
+                    {table.table_number}
+                    <span className="text-xs font-normal text-surface-500">
+                      {table.capacity} seats
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-surface-600 mb-2 flex items-center gap-2">
+              <Merge className="w-4 h-4" />
+              Merge another order into this one
+            </h4>
+            {loading ? (
+              <div className="spinner w-6 h-6 mx-auto"></div>
+            ) : openOrders.length === 0 ? (
+              <p className="text-sm text-surface-500">No other open orders</p>
+            ) : (
+              <div className="space-y-2">
+                {openOrders.map((o) => (
+                  <button
+                    key={o.id}
+                    type="button"
+                    disabled={saving}
+                    onClick={() => handleMerge(o)}
+                    className="w-full p-3 rounded-lg border border-surface-200 hover:border-primary-500 flex items-center justify-between text-left"
+                  >
+                    <div>
+                      <div className="font-semibold text-surface-800">
+                        {o.table_number != null
+                          ? `Table ${o.table_number}`
+                          : "Takeaway"}{" "}
+                        <span className="text-sm font-normal text-surface-500">
+                          #{o.order_number}
+                        </span>
+                      </div>
+                      <div className="text-xs text-surface-500">
+                        {o.server_name} · {o.item_count} items ·{" "}
+                        {o.guest_count} guests
+                      </div>
+                    </div>
+                    <span className="font-semibold text-surface-700">
+                      {formatCurrency(o.total_amount)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import { useState } from "react";
+import { X, Percent, Banknote, ShieldCheck } from "lucide-react";
+import { ordersAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { formatCurrency } from "../utils/currency";
+import { itemName } from "./ModifierModal";
+import toast from "react-hot-toast";
+
+export const DISCOUNT_REASONS = [
+  { value: "manager_comp", label: "Manager comp" },
+  { value: "staff_meal", label: "Staff meal" },
+  { value: "loyalty", label: "Loyalty" },
+  { value: "customer_complaint", label: "Customer complaint" },
+  { value: "price_match", label: "Price match" },
+  { value: "other", label: "Other" },
+];
+
+// Label for a discount row: its promotion name, or its reason
+export const discountLabel = (discount) =>
+  discount.promotion_name ||
+  DISCOUNT_REASONS.find((r) => r.value === discount.reason_code)?.label ||
+  discount.reason_code;
+
+/**
+ * Manager username and PIN fields for staff without discounts:approve
+ */
+function ManagerApproval({ username, pin, onUsernameChange, onPinChange }) {
+  return (
+    <div className="p-3 bg-amber-50 rounded-lg">
+      <div className="flex items-center gap-2 text-sm font-medium text-amber-700 mb-2">
+        <ShieldCheck className="w-4 h-4" />
+        Manager approval
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => onUsernameChange(e.target.value)}
+          className="input"
+          placeholder="Username"
+          autoComplete="off"
+        />
+        <input
+          type="password"
+          inputMode="numeric"
+          value={pin}
+          onChange={(e) => onPinChange(e.target.value)}
+          className="input"
+          placeholder="PIN"
+          autoComplete="off"
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Remove a manual discount. Like applying one, staff without discounts:approve
+ * need a manager's username and PIN.
+ */
+export function RemoveDiscountModal({ order, discount, onClose, onRemoved }) {
+  const [approverUsername, setApproverUsername] = useState("");
+  const [approverPin, setApproverPin] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await ordersAPI.removeDiscount(order.id, discount.id, {
+        approver_username: approverUsername,
+        approver_pin: approverPin,
+      });
+      toast.success("Discount removed");
+      onRemoved();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl shadow-xl w-full max-w-md"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">
+              Remove discount
+            </h3>
+            <p className="text-sm text-surface-500">
+              {discountLabel(discount)} · - {formatCurrency(discount.amount)}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          <ManagerApproval
+            username={approverUsername}
+            pin={approverPin}
+            onUsernameChange={setApproverUsername}
+            onPinChange={setApproverPin}
+          />
+        </div>
+
+        <div className="p-4 border-t border-surface-200">
+          <button
+            type="submit"
+            disabled={saving || !approverUsername || !approverPin}
+            className="btn btn-danger w-full btn-lg"
+          >
+            {saving ? (
+              <span className="spinner mx-auto"></span>
+            ) : (
+              "Remove discount"
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Apply a percent or fixed discount to one item (when item is set) or the whole order.
+ * Users without discounts:approve must enter a manager's username and PIN.
+ */
+export default function DiscountModal({ order, item, onClose, onApplied }) {
+  const { hasPermission } = useAuth();
+  const needsApproval = !hasPermission("discounts", "approve");
+  const [discountType, setDiscountType] = useState("percent");
+  const [value, setValue] = useState("");
+  const [reasonCode, setReasonCode] = useState(DISCOUNT_REASONS[0].value);
+  const [reason, setReason] = useState("");
+  const [approverUsername, setApproverUsername] = useState("");
+  const [approverPin, setApproverPin] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const base = item
+    ? parseFloat(item.subtotal) - parseFloat(item.discount_amount || 0)
+    : parseFloat(order.subtotal) - parseFloat(order.discount_amount || 0);
+  const numericValue = parseFloat(value) || 0;
+  const preview =
+    discountType === "percent"
+      ? (base * Math.min(numericValue, 100)) / 100
+      : Math.min(numericValue, base);
+
+  const canSubmit =
+    numericValue > 0 &&
+    (discountType === "fixed" || numericValue <= 100) &&
+    (!needsApproval || (approverUsername && approverPin));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      discount_type: discountType,
+      value: numericValue,
+      reason_code: reasonCode,
+      reason: reason || undefined,
+    };
+    if (item) data.order_item_id = item.id;
+    if (needsApproval) {
+      data.approver_username = approverUsername;
+      data.approver_pin = approverPin;
+    }
+
+    setSaving(true);
+    try {
+      const response = await ordersAPI.addDiscount(order.id, data);
+      toast.success(response.data.message);
+      onApplied(response.data.data);
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">
+              {item ? "Discount item" : "Discount order"}
+            </h3>
+            <p className="text-sm text-surface-500">
+              {item
+                ? `${itemName(item)} x${item.quantity}`
+                : `Order #${order.order_number}`}{" "}
+              · {formatCurrency(base)}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { id: "percent", label: "Percent", icon: Percent },
+              { id: "fixed", label: "Amount", icon: Banknote },
+            ].map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setDiscountType(id)}
+                className={`p-3 rounded-xl border-2 flex items-center justify-center gap-2 transition-all ${
+                  discountType === id
+                    ? "border-primary-500 bg-primary-50"
+                    : "border-surface-200 hover:border-surface-300"
+                }`}
+              >
+                <Icon
+                  className={`w-5 h-5 ${
+                    discountType === id ? "text-primary-500" : "text-surface-400"
+                  }`}
+                />
+                <span className="font-medium">{label}</span>
+              </button>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-1">
+              {discountType === "percent" ? "Percent off" : "Amount off (DH)"}
+            </label>
+            <input
+              type="number"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="input text-center text-xl font-bold"
+              step="0.01"
+              min="0.01"
+              max={discountType === "percent" ? 100 : undefined}
+              autoFocus
+              required
+            />
+            {numericValue > 0 && (
+              <p className="text-center text-surface-500 mt-2">
+                - {formatCurrency(preview)}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-1">
+              Reason
+            </label>
+            <select
+              value={reasonCode}
+              onChange={(e) => setReasonCode(e.target.value)}
+              className="input"
+            >
+              {DISCOUNT_REASONS.map((r) => (
+                <option key={r.value} value={r.value}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="input mt-2"
+              placeholder="Note (optional)"
+              maxLength={255}
+            />
+          </div>
+
+          {needsApproval && (
+            <ManagerApproval
+              username={approverUsername}
+              pin={approverPin}
+              onUsernameChange={setApproverUsername}
+              onPinChange={setApproverPin}
+            />
+          )}
+        </div>
+
+        <div className="p-4 border-t border-surface-200">
+          <button
+            type="submit"
+            disabled={saving || !canSubmit}
+            className="btn btn-primary w-full btn-lg"
+          >
+            {saving ? (
+              <span className="spinner mx-auto"></span>
+            ) : (
+              "Apply discount"
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import { Clock } from 'lucide-react'
+import FloorPlan, { floorSections, inSection, tableBoxStyle } from './FloorPlan'
+
+// Minutes after which an occupied table is shown as running long, then late
+const ELAPSED_LONG = 60
+const ELAPSED_LATE = 90
+
+const SERVER_COLORS = ['#2563eb', '#9333ea', '#db2777', '#0d9488', '#ca8a04', '#4f46e5', '#0891b2', '#65a30d']
+
+const serverColor = (serverId) => SERVER_COLORS[(serverId || 0) % SERVER_COLORS.length]
+
+const initials = (name = '') =>
+  name.split(' ').filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('')
+
+const tableColors = (table) => {
+  if (table.status === 'occupied') {
+    if (table.elapsed_minutes >= ELAPSED_LATE) return 'bg-red-100 border-red-500 text-red-800'
+    if (table.elapsed_minutes >= ELAPSED_LONG) return 'bg-amber-100 border-amber-500 text-amber-800'
+    return 'bg-orange-50 border-orange-400 text-orange-800'
+  }
+  if (table.status === 'available') return 'bg-green-50 border-green-400 text-green-800'
+  if (table.status === 'reserved') return 'bg-blue-50 border-blue-400 text-blue-800'
+  return 'bg-gray-100 border-gray-400 text-gray-500'
+}
+
+/**
+ * Live floor map: the section's floor plan with each table colored by status and, once occupied,
+ * by how long the order has been open, with the owning server's initials in their color.
+ * @param {Array} tables - Tables from GET /api/tables
+ * @param {Function} onTableClick - Called with the clicked table
+ */
+export default function FloorMap({ tables, onTableClick }) {
+  const sections = floorSections(tables)
+  const [section, setSection] = useState(sections[0])
+  const current = sections.includes(section) ? section : sections[0]
+  const sectionTables = tables.filter(t => inSection(t, current))
+
+  const servers = [...new Map(
+    tables.filter(t => t.current_order_id && t.server_id).map(t => [t.server_id, t.server_name])
+  ).entries()]
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {sections.map(s => (
+          <button
+            key={s}
+            onClick={() => setSection(s)}
+            className={`btn btn-sm ${current === s ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {s}
+            <span className="ml-1 opacity-70">
+              ({tables.filter(t => inSection(t, s) && t.status === 'available').length} free)
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <FloorPlan tables={sectionTables}>
+        {sectionTables.map(table => (
+          <button
+            key={table.id}
+            onClick={() => onTableClick(table)}
+            disabled={table.status === 'maintenance'}
+            className={`absolute flex flex-col items-center justify-center border-2 shadow-sm transition-transform hover:scale-105 ${tableColors(table)}`}
+            style={tableBoxStyle(table)}
+            title={table.server_name ? `${table.server_name} · ${table.guest_count || 0} guests` : table.status}
+          >
+            <span className="font-bold leading-none">{table.table_number}</span>
+            {table.status === 'occupied' && table.elapsed_minutes != null && (
+              <span className="text-xs flex items-center gap-0.5 mt-1">
+                <Clock className="w-3 h-3" />
+                {table.elapsed_minutes}m
+              </span>
+            )}
+            {table.status === 'reserved' && table.reserved_at && (
+              <span className="text-xs mt-1">{String(table.reserved_at).slice(11, 16)}</span>
+            )}
+            {table.current_order_id && table.server_id && (
+              <span
+                className="absolute -top-2 -right-2 w-6 h-6 rounded-full text-[10px] font-bold text-white flex items-center justify-center ring-2 ring-white"
+                style={{ backgroundColor: serverColor(table.server_id) }}
+              >
+                {initials(table.server_name)}
+              </span>
+            )}
+          </button>
+        ))}
+      </FloorPlan>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-xs text-surface-600">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-green-50 border-2 border-green-400" /> Available</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-orange-50 border-2 border-orange-400" /> Occupied</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-100 border-2 border-amber-500" /> {ELAPSED_LONG}+ min</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-100 border-2 border-red-500" /> {ELAPSED_LATE}+ min</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-50 border-2 border-blue-400" /> Reserved</span>
+        {servers.map(([id, name]) => (
+          <span key={id} className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: serverColor(id) }} />
+            {name}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+// Floor plans are drawn per section: each table sits at its position_x / position_y (pixels)
+// with its shape and size. Shared by the admin editor and the live floor map.
+
+export const GRID = 20
+
+export const TABLE_SHAPES = [
+  { value: 'square', label: 'Square' },
+  { value: 'round', label: 'Round' },
+  { value: 'rectangle', label: 'Rectangle' },
+]
+
+// Section names with at least one table, in order
+export const floorSections = (tables) =>
+  [...new Set(tables.map(t => t.section || 'Other'))].sort()
+
+export const inSection = (table, section) => (table.section || 'Other') === section
+
+// Snap to the plan grid, never above or left of the plan
+export const snap = (value) => Math.max(0, Math.round(value / GRID) * GRID)
+
+// Absolute box of a table on the plan; position overrides the saved one while dragging
+export const tableBoxStyle = (table, position) => ({
+  left: position?.x ?? table.position_x ?? 0,
+  top: position?.y ?? table.position_y ?? 0,
+  width: table.width || 80,
+  height: table.shape === 'rectangle' ? (table.height || 80) : (table.width || 80),
+  borderRadius: table.shape === 'round' ? '50%' : 8,
+})
+
+/**
+ * Plan area sized to fit its tables (with room to drag them further), on a light grid.
+ * @param {Array} tables - Tables of one section
+ * @param {Object} positions - { [tableId]: { x, y } } positions not saved yet
+ */
+export default function FloorPlan({ tables, positions = {}, children, className = '', ...props }) {
+  const boxes = tables.map(t => tableBoxStyle(t, positions[t.id]))
+  const width = Math.max(800, ...boxes.map(b => b.left + b.width + GRID * 6))
+  const height = Math.max(480, ...boxes.map(b => b.top + b.height + GRID * 6))
+
+  return (
+    <div className="overflow-auto rounded-xl border border-surface-200 bg-white">
+      <div
+        className={`relative ${className}`}
+        style={{
+          width,
+          height,
+          backgroundImage: 'linear-gradient(to right, #f1f5f9 1px, transparent 1px), linear-gradient(to bottom, #f1f5f9 1px, transparent 1px)',
+          backgroundSize: `${GRID}px ${GRID}px`,
+        }}
+        {...props}
+      >
+        {children}
+      </div>
+    </div>
+  )
+}
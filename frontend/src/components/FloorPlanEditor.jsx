@@ -0,0 +1,206 @@
+import { useState, useRef, useEffect } from 'react'
+import { tablesAPI } from '../services/api'
+import { Plus, Edit, Save, Move } from 'lucide-react'
+import toast from 'react-hot-toast'
+import FloorPlan, { GRID, TABLE_SHAPES, floorSections, inSection, snap, tableBoxStyle } from './FloorPlan'
+
+/**
+ * Admin floor plan editor: one plan per section. Drag tables to place them (saved on drop),
+ * pick a table to change its shape, size or section.
+ * @param {Array} tables - Tables from GET /api/tables (inactive ones are left off the plan)
+ * @param {Function} onChanged - Refetch tables after a change
+ * @param {Function} onAdd - Open the add table form for a section
+ * @param {Function} onEdit - Open the edit form for a table
+ */
+export default function FloorPlanEditor({ tables, onChanged, onAdd, onEdit }) {
+  const activeTables = tables.filter(t => t.is_active)
+  const [extraSections, setExtraSections] = useState([])
+  const sections = [...new Set([...floorSections(activeTables), ...extraSections])]
+  const [section, setSection] = useState(sections[0] || 'Main')
+  const [positions, setPositions] = useState({})
+  const [selectedId, setSelectedId] = useState(null)
+  const [layout, setLayout] = useState(null)
+  const drag = useRef(null)
+
+  const sectionTables = activeTables.filter(t => inSection(t, section))
+  const selected = activeTables.find(t => t.id === selectedId)
+
+  // Saved positions replace the local ones once tables are refetched
+  useEffect(() => { setPositions({}) }, [tables])
+
+  useEffect(() => {
+    setLayout(selected ? {
+      shape: selected.shape || 'square',
+      width: selected.width || 80,
+      height: selected.height || 80,
+      section: selected.section || '',
+    } : null)
+  }, [selected?.id, selected?.shape, selected?.width, selected?.height, selected?.section])
+
+  const handlePointerDown = (e, table) => {
+    e.preventDefault()
+    setSelectedId(table.id)
+    const box = tableBoxStyle(table, positions[table.id])
+    drag.current = { id: table.id, startX: e.clientX, startY: e.clientY, x: box.left, y: box.top, moved: false }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e, table) => {
+    const d = drag.current
+    if (!d || d.id !== table.id) return
+    const dx = e.clientX - d.startX
+    const dy = e.clientY - d.startY
+    if (!d.moved && Math.abs(dx) < 4 && Math.abs(dy) < 4) return
+    d.moved = true
+    d.position = { x: snap(d.x + dx), y: snap(d.y + dy) }
+    setPositions(p => ({ ...p, [table.id]: d.position }))
+  }
+
+  const handlePointerUp = async (table) => {
+    const d = drag.current
+    drag.current = null
+    if (!d || !d.position) return
+
+    const { x, y } = d.position
+    try {
+      await tablesAPI.update(table.id, { position_x: x, position_y: y })
+      onChanged()
+    } catch (error) {
+      // Put it back where it was saved
+      setPositions(p => {
+        const { [table.id]: _, ...rest } = p
+        return rest
+      })
+    }
+  }
+
+  const handleSaveLayout = async () => {
+    const data = {
+      shape: layout.shape,
+      width: parseInt(layout.width) || 80,
+      height: layout.shape === 'rectangle' ? (parseInt(layout.height) || 80) : (parseInt(layout.width) || 80),
+      section: layout.section.trim(),
+    }
+    try {
+      await tablesAPI.update(selected.id, data)
+      toast.success(`Table ${selected.table_number} updated`)
+      setSection(data.section || 'Other')
+      onChanged()
+    } catch (error) {}
+  }
+
+  const handleNewSection = () => {
+    const name = window.prompt('Name of the new floor or section')?.trim()
+    if (!name) return
+    if (!sections.includes(name)) setExtraSections(s => [...s, name])
+    setSection(name)
+    setSelectedId(null)
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {sections.map(s => (
+          <button
+            key={s}
+            onClick={() => { setSection(s); setSelectedId(null) }}
+            className={`btn btn-sm ${section === s ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {s}
+            <span className="ml-1 opacity-70">({activeTables.filter(t => inSection(t, s)).length})</span>
+          </button>
+        ))}
+        <button onClick={handleNewSection} className="btn btn-sm btn-secondary flex items-center gap-1">
+          <Plus className="w-4 h-4" /> Section
+        </button>
+        <button onClick={() => onAdd(section)} className="btn btn-sm btn-primary flex items-center gap-1 ml-auto">
+          <Plus className="w-4 h-4" /> Table in {section}
+        </button>
+      </div>
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        <div className="flex-1 min-w-0">
+          <FloorPlan
+            tables={sectionTables}
+            positions={positions}
+            onPointerDown={(e) => { if (e.target === e.currentTarget) setSelectedId(null) }}
+          >
+            {sectionTables.map(table => (
+              <div
+                key={table.id}
+                onPointerDown={(e) => handlePointerDown(e, table)}
+                onPointerMove={(e) => handlePointerMove(e, table)}
+                onPointerUp={() => handlePointerUp(table)}
+                className={`absolute flex flex-col items-center justify-center border-2 select-none cursor-move touch-none shadow-sm ${
+                  table.id === selectedId ? 'border-primary-500 bg-primary-50 z-10' : 'border-surface-300 bg-surface-50 hover:border-surface-400'
+                }`}
+                style={tableBoxStyle(table, positions[table.id])}
+              >
+                <span className="font-bold text-surface-800">{table.table_number}</span>
+                <span className="text-xs text-surface-500">{table.capacity} seats</span>
+              </div>
+            ))}
+          </FloorPlan>
+          <p className="text-xs text-surface-500 mt-2 flex items-center gap-1">
+            <Move className="w-3 h-3" />
+            Drag tables to place them; positions snap to a {GRID}px grid and are saved on drop.
+          </p>
+        </div>
+
+        <aside className="card p-4 xl:w-64 flex-shrink-0 self-start">
+          {!selected || !layout ? (
+            <p className="text-sm text-surface-500">
+              {sectionTables.length === 0 ? `No tables in ${section} yet.` : 'Select a table to change its shape, size or section.'}
+            </p>
+          ) : (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="font-bold text-surface-800">Table {selected.table_number}</h3>
+                <button onClick={() => onEdit(selected)} className="text-surface-500 hover:text-primary-500" title="Number, capacity and active">
+                  <Edit className="w-4 h-4" />
+                </button>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Shape</label>
+                <div className="grid grid-cols-3 gap-1">
+                  {TABLE_SHAPES.map(s => (
+                    <button
+                      key={s.value}
+                      type="button"
+                      onClick={() => setLayout({ ...layout, shape: s.value })}
+                      className={`px-2 py-1 text-xs rounded border ${layout.shape === s.value ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-surface-200'}`}
+                    >
+                      {s.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">{layout.shape === 'rectangle' ? 'Width' : 'Size'}</label>
+                  <input type="number" min={40} max={400} step={GRID} value={layout.width} onChange={(e) => setLayout({ ...layout, width: e.target.value })} className="input" />
+                </div>
+                {layout.shape === 'rectangle' && (
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Height</label>
+                    <input type="number" min={40} max={400} step={GRID} value={layout.height} onChange={(e) => setLayout({ ...layout, height: e.target.value })} className="input" />
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Section</label>
+                <input type="text" list="floor-sections" value={layout.section} onChange={(e) => setLayout({ ...layout, section: e.target.value })} className="input" />
+                <datalist id="floor-sections">
+                  {sections.map(s => <option key={s} value={s} />)}
+                </datalist>
+              </div>
+              <button onClick={handleSaveLayout} className="btn btn-primary w-full flex items-center justify-center gap-2">
+                <Save className="w-4 h-4" /> Save
+              </button>
+            </div>
+          )}
+        </aside>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+import { useState, useEffect, useCallback } from "react";
+import { Check, X, Hand } from "lucide-react";
+import { handoversAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { useRealtime } from "../context/RealtimeContext";
+import { formatCurrency } from "../utils/currency";
+import toast from "react-hot-toast";
+
+/**
+ * Pending handovers: orders offered to the current user (accept or decline) and
+ * handovers they asked for that are still waiting (cancel). Renders nothing when there are none.
+ */
+export default function HandoverInbox({ onAccepted }) {
+  const { user } = useAuth();
+  const [handovers, setHandovers] = useState([]);
+
+  const fetchHandovers = useCallback(async () => {
+    try {
+      const res = await handoversAPI.getAll();
+      setHandovers(res.data.data);
+    } catch (error) {
+      console.error("Failed to fetch handovers:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHandovers();
+  }, [fetchHandovers]);
+
+  useRealtime(["handover.*", "order.*"], (event) => {
+    if (
+      event.type === "handover.requested" &&
+      event.data.to_server_id === user?.id
+    ) {
+      toast(`${event.data.handover_ids.length} order(s) handed over to you`);
+    }
+    fetchHandovers();
+  });
+
+  const incoming = handovers.filter((h) => h.to_server_id === user?.id);
+  const outgoing = handovers.filter((h) => h.to_server_id !== user?.id);
+
+  const handleAccept = async (ids) => {
+    try {
+      const res = await handoversAPI.accept(ids);
+      toast.success(res.data.message);
+      fetchHandovers();
+      onAccepted?.();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    }
+  };
+
+  const handleClose = async (handover, action) => {
+    try {
+      await handoversAPI[action](handover.id);
+      fetchHandovers();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    }
+  };
+
+  if (handovers.length === 0) return null;
+
+  const describe = (h) =>
+    `${h.table_number != null ? `Table ${h.table_number}` : "Takeaway"} · #${
+      h.order_number
+    }`;
+
+  return (
+    <div className="card p-4 mb-6 border-l-4 border-l-amber-500">
+      {incoming.length > 0 && (
+        <div className="mb-2">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold text-surface-800 flex items-center gap-2">
+              <Hand className="w-5 h-5 text-amber-500" />
+              Handed over to you ({incoming.length})
+            </h2>
+            {incoming.length > 1 && (
+              <button
+                onClick={() => handleAccept(incoming.map((h) => h.id))}
+                className="btn btn-success btn-sm"
+              >
+                Accept all
+              </button>
+            )}
+          </div>
+          <div className="space-y-2">
+            {incoming.map((h) => (
+              <div
+                key={h.id}
+                className="flex items-center justify-between gap-3 p-2 rounded-lg bg-amber-50"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-surface-800">
+                    {describe(h)} · {formatCurrency(h.total_amount)}
+                  </div>
+                  <div className="text-xs text-surface-500 truncate">
+                    From {h.from_server_name}
+                    {h.note && ` — ${h.note}`}
+                  </div>
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleAccept([h.id])}
+                    className="btn btn-success btn-sm"
+                    title="Accept"
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleClose(h, "decline")}
+                    className="btn btn-secondary btn-sm"
+                    title="Decline"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {outgoing.length > 0 && (
+        <div className={incoming.length > 0 ? "pt-3 border-t border-surface-100" : ""}>
+          <h3 className="text-sm font-medium text-surface-600 mb-2">
+            Waiting to be accepted
+          </h3>
+          <div className="space-y-1">
+            {outgoing.map((h) => (
+              <div
+                key={h.id}
+                className="flex items-center justify-between gap-3 text-sm"
+              >
+                <span className="text-surface-700">
+                  {describe(h)}: {h.from_server_name} → {h.to_server_name}
+                </span>
+                <button
+                  onClick={() => handleClose(h, "cancel")}
+                  className="text-xs text-surface-500 hover:text-red-600 hover:underline"
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useState, useEffect } from "react";
+import { X, ArrowRightLeft } from "lucide-react";
+import { handoversAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { formatCurrency } from "../utils/currency";
+import toast from "react-hot-toast";
+
+/**
+ * Hand open orders over to another server (shift change). All of a server's orders are selected;
+ * untick some to hand over only part of them. Managers can hand over any server's orders.
+ * @param {Array} orders - Open orders from GET /api/orders
+ */
+export default function HandoverModal({ orders, onClose, onRequested }) {
+  const { user, hasRole } = useAuth();
+  const isManager = hasRole("admin") || hasRole("moderator");
+  const [servers, setServers] = useState([]);
+  const [fromServerId, setFromServerId] = useState(
+    isManager ? orders[0]?.server_id : user.id
+  );
+  const [toServerId, setToServerId] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const fromOrders = orders.filter((o) => o.server_id === fromServerId);
+  const owners = [
+    ...new Map(orders.map((o) => [o.server_id, o.server_name])).entries(),
+  ];
+
+  useEffect(() => {
+    handoversAPI
+      .getServers()
+      .then((res) => setServers(res.data.data))
+      .catch(() => toast.error("Failed to load servers"));
+  }, []);
+
+  useEffect(() => {
+    setSelected(
+      orders.filter((o) => o.server_id === fromServerId).map((o) => o.id)
+    );
+  }, [orders, fromServerId]);
+
+  const toggle = (id) =>
+    setSelected((ids) =>
+      ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Everything selected: hand over the whole section, including orders opened meanwhile
+    const data =
+      selected.length === fromOrders.length
+        ? { from_server_id: fromServerId }
+        : { order_ids: selected };
+
+    setSaving(true);
+    try {
+      const response = await handoversAPI.request({
+        ...data,
+        to_server_id: parseInt(toServerId),
+        note: note || null,
+      });
+      toast.success(response.data.message);
+      onRequested();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">
+              Hand over orders
+            </h3>
+            <p className="text-sm text-surface-500">
+              The other server must accept before the tables move
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-4">
+          {isManager && (
+            <div>
+              <label className="block text-sm font-medium text-surface-600 mb-1">
+                From
+              </label>
+              <select
+                value={fromServerId ?? ""}
+                onChange={(e) => setFromServerId(parseInt(e.target.value))}
+                className="input"
+              >
+                {owners.map(([id, name]) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-1">
+              To
+            </label>
+            <select
+              value={toServerId}
+              onChange={(e) => setToServerId(e.target.value)}
+              className="input"
+              required
+            >
+              <option value="">Choose a server</option>
+              {servers
+                .filter((s) => s.id !== fromServerId)
+                .map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.full_name} ({s.open_orders} open)
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-1">
+              Orders ({selected.length}/{fromOrders.length})
+            </label>
+            <div className="space-y-1 max-h-56 overflow-auto">
+              {fromOrders.map((order) => (
+                <label
+                  key={order.id}
+                  className="flex items-center gap-3 p-2 rounded-lg hover:bg-surface-50 cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(order.id)}
+                    onChange={() => toggle(order.id)}
+                  />
+                  <span className="flex-1 font-medium text-surface-800">
+                    {order.table_number != null
+                      ? `Table ${order.table_number}`
+                      : "Takeaway"}{" "}
+                    <span className="text-sm font-normal text-surface-500">
+                      #{order.order_number}
+                    </span>
+                  </span>
+                  <span className="text-sm text-surface-600">
+                    {formatCurrency(order.total_amount)}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="input"
+            placeholder="Note for the next server (optional)"
+            maxLength={255}
+          />
+        </div>
+
+        <div className="p-4 border-t border-surface-200">
+          <button
+            type="submit"
+            disabled={saving || !toServerId || selected.length === 0}
+            className="btn btn-primary w-full flex items-center justify-center gap-2"
+          >
+            <ArrowRightLeft className="w-5 h-5" />
+            Hand over {selected.length} order{selected.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
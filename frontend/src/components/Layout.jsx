@@ -8,9 +8,14 @@ import {
   LogOut,
   User,
   ChevronDown,
-  UserCircle
+  UserCircle,
+  ChefHat,
+  Wallet,
+  CalendarClock,
+  LayoutGrid
 } from 'lucide-react'
 import RestaurantTableIcon from './RestaurantTableIcon'
+import StockAlertsBell from './StockAlertsBell'
 import { useState } from 'react'
 
 export default function Layout() {
@@ -37,12 +42,36 @@ export default function Layout() {
       labelAllTables: 'All Tables', // shown for admin/moderator
       roles: ['admin', 'moderator', 'server']
     },
+    { 
+      to: '/tables', 
+      icon: LayoutGrid, 
+      label: 'Floor',
+      roles: ['admin', 'moderator', 'server']
+    },
+    { 
+      to: '/reservations', 
+      icon: CalendarClock, 
+      label: 'Reservations',
+      roles: ['admin', 'moderator', 'server']
+    },
     { 
       to: '/cashier', 
       icon: CreditCard, 
       label: 'Cashier',
       roles: ['admin', 'moderator', 'cashier']
     },
+    { 
+      to: '/cash-drawer', 
+      icon: Wallet, 
+      label: 'Cash Drawer',
+      roles: ['admin', 'cashier']
+    },
+    { 
+      to: '/kitchen', 
+      icon: ChefHat, 
+      label: 'Kitchen',
+      roles: ['admin', 'moderator', 'kitchen']
+    },
     { 
       to: '/admin', 
       icon: Settings, 
@@ -95,6 +124,13 @@ export default function Layout() {
           ))}
         </nav>
 
+        {/* Stock alerts - managers only */}
+        {(hasRole('admin') || hasRole('moderator')) && (
+          <div className="flex-shrink-0 p-1 lg:p-2 xl:px-4 xl:py-2 lg:border-t border-surface-700">
+            <StockAlertsBell />
+          </div>
+        )}
+
         {/* User section - right on mobile, bottom on desktop */}
         <div className="flex-shrink-0 p-1 lg:p-2 xl:p-4 lg:border-t border-surface-700 border-l lg:border-l-0 border-surface-700">
           <div className="relative">
@@ -0,0 +1,308 @@
+import { useState } from "react";
+import { X, Check } from "lucide-react";
+import { formatCurrency } from "../utils/currency";
+
+// Order line name with its variant, e.g. "Fresh Juice (Orange)"
+export const itemName = (item) =>
+  item.variant_name
+    ? `${item.product_name} (${item.variant_name})`
+    : item.product_name;
+
+// Products with variants, bundle slots or modifier groups open the modal before being added
+export const needsOptions = (product) =>
+  product.variants?.length > 0 ||
+  product.bundle_slots?.length > 0 ||
+  product.modifier_groups?.length > 0;
+
+// Lowest price a product sells at: its cheapest variant when it has variants
+export const startingPrice = (product) =>
+  product.variants?.length > 0
+    ? Math.min(...product.variants.map((v) => parseFloat(v.price)))
+    : parseFloat(product.price);
+
+// A variant is sold out when its product tracks stock and it has none left
+const isSoldOut = (product, variant) =>
+  !!product.track_stock && (variant.stock_quantity ?? 0) <= 0;
+
+// One-line summary of a bundle's components, e.g. "Mixed Grill Platter, French Fries, Soft Drinks (Sprite)"
+export const componentSummary = (components) =>
+  (components || [])
+    .map((c) => {
+      const name = c.variant_name
+        ? `${c.product_name} (${c.variant_name})`
+        : c.product_name;
+      return c.quantity > 1 ? `${c.quantity}x ${name}` : name;
+    })
+    .join(", ");
+
+// One-line summary of an item's modifiers, e.g. "Medium rare, Garlic sauce"
+export const modifierSummary = (modifiers) =>
+  (modifiers || []).map((m) => m.name).join(", ");
+
+// Price delta label for a modifier ("+5,00 DH"), empty when it is free
+export const modifierPrice = (modifier) => {
+  const delta = parseFloat(modifier.price_delta);
+  if (!delta) return "";
+  return `${delta > 0 ? "+" : "-"}${formatCurrency(Math.abs(delta))}`;
+};
+
+const groupMin = (group) =>
+  group.is_required ? Math.max(group.min_select, 1) : group.min_select;
+
+/**
+ * Choose a variant (size, flavor), bundle components and modifiers for a product before it is added.
+ * Single-choice groups (max 1) behave like radio buttons; the rest are toggles up to max_select.
+ * unitPrice (variable-price products) overrides the variant price.
+ * onConfirm receives { modifierIds, modifiers, variant, components }.
+ */
+export default function ModifierModal({ product, unitPrice, onClose, onConfirm }) {
+  const [selected, setSelected] = useState([]);
+  const variants = product.variants || [];
+  const [variant, setVariant] = useState(
+    variants.find((v) => !isSoldOut(product, v)) || null
+  );
+  const slots = product.bundle_slots || [];
+  // Slots with a single option (a fixed product) are chosen up front
+  const [slotChoices, setSlotChoices] = useState(() =>
+    Object.fromEntries(
+      slots
+        .filter((slot) => slot.options.length === 1 && !slot.options[0].sold_out)
+        .map((slot) => [slot.id, slot.options[0]])
+    )
+  );
+  const groups = product.modifier_groups || [];
+  const basePrice =
+    unitPrice != null
+      ? parseFloat(unitPrice)
+      : parseFloat((variant || product).price);
+
+  const chosenIn = (group) =>
+    group.modifiers.filter((m) => selected.includes(m.id));
+
+  const toggle = (group, modifier) => {
+    if (selected.includes(modifier.id)) {
+      setSelected(selected.filter((id) => id !== modifier.id));
+      return;
+    }
+    if (group.max_select === 1) {
+      const others = group.modifiers.map((m) => m.id);
+      setSelected([...selected.filter((id) => !others.includes(id)), modifier.id]);
+      return;
+    }
+    if (group.max_select && chosenIn(group).length >= group.max_select) return;
+    setSelected([...selected, modifier.id]);
+  };
+
+  const chosen = groups.flatMap((group) => chosenIn(group));
+  const total =
+    basePrice + chosen.reduce((sum, m) => sum + parseFloat(m.price_delta), 0);
+  const missing =
+    variants.length > 0 && !variant
+      ? { name: "a variant" }
+      : slots.find((slot) => !slotChoices[slot.id]) ||
+        groups.find((group) => chosenIn(group).length < groupMin(group));
+
+  const components = slots.map((slot) => ({
+    slot_id: slot.id,
+    product_id: slotChoices[slot.id]?.product_id,
+    variant_id: slotChoices[slot.id]?.variant_id,
+    name: slotChoices[slot.id]?.name,
+  }));
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">
+              {product.name}
+            </h3>
+            <p className="text-sm text-surface-500">
+              {formatCurrency(basePrice)}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-4">
+          {variants.length > 0 && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-surface-800">Variant</h4>
+                <span className="text-xs text-surface-500">
+                  <span className="badge badge-warning mr-1">Required</span>
+                  Choose 1
+                </span>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {variants.map((v) => {
+                  const isSelected = variant?.id === v.id;
+                  const soldOut = isSoldOut(product, v);
+                  return (
+                    <button
+                      key={v.id}
+                      type="button"
+                      disabled={soldOut}
+                      onClick={() => setVariant(v)}
+                      className={`p-3 rounded-xl border-2 text-left transition-all ${
+                        isSelected
+                          ? "border-primary-500 bg-primary-50"
+                          : "border-surface-200 hover:border-surface-300"
+                      } ${soldOut ? "opacity-50 cursor-not-allowed" : ""}`}
+                    >
+                      <span className="flex items-center justify-between gap-2">
+                        <span className="font-medium">{v.name}</span>
+                        {isSelected && (
+                          <Check className="w-4 h-4 text-primary-500 shrink-0" />
+                        )}
+                      </span>
+                      <span className="text-xs text-surface-500">
+                        {soldOut ? "Sold out" : formatCurrency(v.price)}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+          {slots.map((slot) => (
+            <div key={`slot-${slot.id}`}>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-surface-800">
+                  {slot.quantity > 1 ? `${slot.quantity}x ` : ""}
+                  {slot.name}
+                </h4>
+                {slot.options.length > 1 && (
+                  <span className="text-xs text-surface-500">
+                    <span className="badge badge-warning mr-1">Required</span>
+                    Choose 1
+                  </span>
+                )}
+              </div>
+              {slot.options.length === 0 && (
+                <p className="text-sm text-red-500">Nothing available</p>
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                {slot.options.map((option) => {
+                  const choice = slotChoices[slot.id];
+                  const isSelected =
+                    choice?.product_id === option.product_id &&
+                    choice?.variant_id === option.variant_id;
+                  return (
+                    <button
+                      key={`${option.product_id}-${option.variant_id || 0}`}
+                      type="button"
+                      disabled={option.sold_out}
+                      onClick={() =>
+                        setSlotChoices({ ...slotChoices, [slot.id]: option })
+                      }
+                      className={`p-3 rounded-xl border-2 text-left transition-all ${
+                        isSelected
+                          ? "border-primary-500 bg-primary-50"
+                          : "border-surface-200 hover:border-surface-300"
+                      } ${option.sold_out ? "opacity-50 cursor-not-allowed" : ""}`}
+                    >
+                      <span className="flex items-center justify-between gap-2">
+                        <span className="font-medium">{option.name}</span>
+                        {isSelected && (
+                          <Check className="w-4 h-4 text-primary-500 shrink-0" />
+                        )}
+                      </span>
+                      {option.sold_out && (
+                        <span className="text-xs text-surface-500">Sold out</span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          {groups.map((group) => {
+            const min = groupMin(group);
+            return (
+              <div key={group.id}>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-semibold text-surface-800">
+                    {group.name}
+                  </h4>
+                  <span className="text-xs text-surface-500">
+                    {min > 0 ? (
+                      <span className="badge badge-warning mr-1">Required</span>
+                    ) : (
+                      "Optional"
+                    )}
+                    {group.max_select === 1
+                      ? " Choose 1"
+                      : group.max_select
+                      ? ` Up to ${group.max_select}`
+                      : ""}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {group.modifiers.map((modifier) => {
+                    const isSelected = selected.includes(modifier.id);
+                    return (
+                      <button
+                        key={modifier.id}
+                        type="button"
+                        onClick={() => toggle(group, modifier)}
+                        className={`p-3 rounded-xl border-2 text-left transition-all ${
+                          isSelected
+                            ? "border-primary-500 bg-primary-50"
+                            : "border-surface-200 hover:border-surface-300"
+                        }`}
+                      >
+                        <span className="flex items-center justify-between gap-2">
+                          <span className="font-medium">{modifier.name}</span>
+                          {isSelected && (
+                            <Check className="w-4 h-4 text-primary-500 shrink-0" />
+                          )}
+                        </span>
+                        {modifierPrice(modifier) && (
+                          <span className="text-xs text-surface-500">
+                            {modifierPrice(modifier)}
+                          </span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="p-4 border-t border-surface-200">
+          <button
+            type="button"
+            disabled={!!missing}
+            onClick={() =>
+              onConfirm({
+                modifierIds: selected,
+                modifiers: chosen,
+                variant,
+                components,
+              })
+            }
+            className="btn btn-primary w-full btn-lg"
+          >
+            {missing
+              ? `Choose ${missing.name}`
+              : `Add · ${formatCurrency(total)}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
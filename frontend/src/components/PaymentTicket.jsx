@@ -1,5 +1,8 @@
 import { forwardRef } from "react";
 import { formatCurrency } from "../utils/currency";
+import { taxBreakdown } from "../utils/tax";
+import { discountLabel } from "./DiscountModal";
+import { componentSummary, itemName, modifierPrice } from "./ModifierModal";
 import { format } from "date-fns";
 
 const RESTAURANT_NAME = import.meta.env.VITE_RESTAURANT_NAME || "Showaya";
@@ -10,11 +13,40 @@ const RESTAURANT_LOGO_URL = import.meta.env.VITE_RESTAURANT_LOGO_URL || "";
 /**
  * Printable payment receipt for 80mm thermal printer.
  * Top: logo + contact info. Content: receipt details.
+ * When data.check is set, prints that sub-check of a split bill only.
  */
 const PaymentTicket = forwardRef(({ data }, ref) => {
   if (!data) return null;
-  const { payment, change, tableNumber, order, paymentMethodName } = data;
-  const items = order?.items?.filter((i) => i.status !== "cancelled") || [];
+  const { payment, change, tableNumber, order, check, paymentMethodName } =
+    data;
+  const items =
+    check?.items?.length > 0
+      ? check.items
+      : order?.items?.filter((i) => i.status !== "cancelled") || [];
+  const tenders =
+    order?.payments?.filter(
+      (p) => p.status === "completed" && (!check || p.check_id === check.id)
+    ) || [];
+  const isSplit = tenders.length > 1;
+  // An even-split check pays a share of every line, so its tax is that share too
+  const taxes = taxBreakdown(
+    items,
+    check && !(check.items?.length > 0) && parseFloat(order?.total_amount) > 0
+      ? parseFloat(check.amount) / parseFloat(order.total_amount)
+      : 1
+  );
+  const taxAdded = taxes.reduce((sum, t) => sum + t.added, 0);
+  // Item checks list their own lines' discounts as one total; otherwise each discount is shown
+  const isItemCheck = check?.items?.length > 0;
+  const discounts = isItemCheck
+    ? []
+    : order?.discounts?.filter((d) => parseFloat(d.amount) > 0) || [];
+  const checkDiscount = isItemCheck
+    ? items.reduce((sum, i) => sum + parseFloat(i.discount_amount || 0), 0)
+    : 0;
+  const totalTip = isSplit
+    ? tenders.reduce((sum, p) => sum + parseFloat(p.tip_amount || 0), 0)
+    : parseFloat(payment?.tip_amount) || 0;
 
   return (
     <div
@@ -65,9 +97,16 @@ const PaymentTicket = forwardRef(({ data }, ref) => {
         </p>
         <p>{tableNumber != null ? `Table: ${tableNumber}` : "Takeaway"}</p>
         <p>Order: {payment?.order_id || order?.order_number}</p>
-        <p>
-          Payment: {paymentMethodName || payment?.payment_method_name || "-"}
-        </p>
+        {check && (
+          <p>
+            {check.label} ({check.check_number} of {order?.checks?.length})
+          </p>
+        )}
+        {!isSplit && (
+          <p>
+            Payment: {paymentMethodName || payment?.payment_method_name || "-"}
+          </p>
+        )}
       </div>
 
       <table
@@ -91,7 +130,25 @@ const PaymentTicket = forwardRef(({ data }, ref) => {
               className="border-b border-gray-300"
               style={{ borderBottomWidth: "0.5px" }}
             >
-              <td className="py-0.5 pr-1 break-words">{item.product_name}</td>
+              <td className="py-0.5 pr-1 break-words">
+                {itemName(item)}
+                {item.components?.length > 0 && (
+                  <span className="block pl-2">
+                    {componentSummary(item.components)}
+                  </span>
+                )}
+                {item.modifiers?.map((modifier, i) => (
+                  <span key={i} className="block pl-2">
+                    + {modifier.name}
+                    {modifierPrice(modifier) && ` ${modifierPrice(modifier)}`}
+                  </span>
+                ))}
+                {parseFloat(item.discount_amount) > 0 && (
+                  <span className="block">
+                    - {formatCurrency(item.discount_amount)}
+                  </span>
+                )}
+              </td>
               <td className="text-center py-0.5">{item.quantity}</td>
               <td className="text-right py-0.5 pl-1">
                 {formatCurrency(item.subtotal)}
@@ -104,20 +161,67 @@ const PaymentTicket = forwardRef(({ data }, ref) => {
       <div className="space-y-0.5 mb-2" style={{ fontSize: "10px" }}>
         <div className="flex justify-between">
           <span>Subtotal</span>
-          <span>{formatCurrency(order?.subtotal ?? payment?.amount_due)}</span>
+          <span>
+            {formatCurrency(
+              check?.items?.length > 0
+                ? items.reduce((sum, i) => sum + parseFloat(i.subtotal), 0)
+                : order?.subtotal ?? payment?.amount_due
+            )}
+          </span>
         </div>
+        {discounts.map((discount) => (
+          <div key={discount.id} className="flex justify-between">
+            <span>
+              {discountLabel(discount)}
+              {discount.discount_type === "percent" &&
+                ` ${parseFloat(discount.value)}%`}
+            </span>
+            <span>- {formatCurrency(discount.amount)}</span>
+          </div>
+        ))}
+        {checkDiscount > 0 && (
+          <div className="flex justify-between">
+            <span>Discounts</span>
+            <span>- {formatCurrency(checkDiscount)}</span>
+          </div>
+        )}
+        {taxAdded > 0 && check?.split_mode !== "even" && (
+          <div className="flex justify-between">
+            <span>Tax</span>
+            <span>{formatCurrency(taxAdded)}</span>
+          </div>
+        )}
+        {check?.split_mode === "even" && (
+          <div className="flex justify-between">
+            <span>Split {order?.checks?.length} ways</span>
+            <span>{formatCurrency(check.amount)}</span>
+          </div>
+        )}
         <div className="flex justify-between font-semibold">
           <span>Total</span>
-          <span>{formatCurrency(payment?.amount_due)}</span>
-        </div>
-        <div className="flex justify-between">
-          <span>Amount paid</span>
-          <span>{formatCurrency(payment?.amount_paid)}</span>
+          <span>
+            {formatCurrency(
+              check?.amount ?? order?.total_amount ?? payment?.amount_due
+            )}
+          </span>
         </div>
-        {parseFloat(payment?.tip_amount) > 0 && (
+        {isSplit ? (
+          tenders.map((tender) => (
+            <div key={tender.id} className="flex justify-between">
+              <span className="capitalize">{tender.payment_method_name}</span>
+              <span>{formatCurrency(tender.amount_due)}</span>
+            </div>
+          ))
+        ) : (
+          <div className="flex justify-between">
+            <span>Amount paid</span>
+            <span>{formatCurrency(payment?.amount_paid)}</span>
+          </div>
+        )}
+        {totalTip > 0 && (
           <div className="flex justify-between">
             <span>Tip</span>
-            <span>{formatCurrency(payment?.tip_amount)}</span>
+            <span>{formatCurrency(totalTip)}</span>
           </div>
         )}
         <div
@@ -129,6 +233,32 @@ const PaymentTicket = forwardRef(({ data }, ref) => {
         </div>
       </div>
 
+      {taxes.length > 0 && (
+        <table
+          className="w-full border-collapse border-t border-black mt-2"
+          style={{ fontSize: "9px", borderTopWidth: "1px" }}
+        >
+          <thead>
+            <tr>
+              <th className="text-left py-0.5">TVA</th>
+              <th className="text-right py-0.5">Base</th>
+              <th className="text-right py-0.5">Tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {taxes.map((t) => (
+              <tr key={t.rate}>
+                <td className="py-0.5">{t.rate}%</td>
+                <td className="text-right py-0.5">
+                  {formatCurrency(t.taxable)}
+                </td>
+                <td className="text-right py-0.5">{formatCurrency(t.tax)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
       <p className="text-center mt-3" style={{ fontSize: "10px" }}>
         Thank you
       </p>
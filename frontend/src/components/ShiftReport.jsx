@@ -0,0 +1,164 @@
+import { forwardRef } from "react";
+import { formatCurrency } from "../utils/currency";
+import { format } from "date-fns";
+
+const RESTAURANT_NAME = import.meta.env.VITE_RESTAURANT_NAME || "Showaya";
+
+const Row = ({ label, value, bold }) => (
+  <div className={`flex justify-between ${bold ? "font-semibold" : ""}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+/**
+ * Printable cash drawer report for 80mm thermal printer.
+ * An open session prints as an X report (mid-shift), a closed one as the Z report.
+ */
+const ShiftReport = forwardRef(({ session }, ref) => {
+  if (!session) return null;
+  const { report } = session;
+  const { summary } = report;
+  const isClosed = session.status === "closed";
+
+  return (
+    <div
+      ref={ref}
+      className="bg-white text-black mx-auto print:mx-0"
+      style={{
+        width: "80mm",
+        maxWidth: "80mm",
+        padding: "4mm 5mm",
+        fontSize: "10px",
+        lineHeight: 1.3,
+      }}
+    >
+      <div
+        className="text-center border-b border-black pb-2 mb-2"
+        style={{ borderBottomWidth: "1px" }}
+      >
+        <h1 className="font-bold" style={{ fontSize: "14px" }}>
+          {RESTAURANT_NAME}
+        </h1>
+        <p className="font-semibold mt-1" style={{ fontSize: "12px" }}>
+          {isClosed ? "Z REPORT" : "X REPORT"}
+        </p>
+      </div>
+
+      <div className="space-y-0.5 mb-2">
+        <p>Drawer: #{session.id}</p>
+        <p>Cashier: {session.user_name}</p>
+        <p>Opened: {format(new Date(session.opened_at), "dd/MM/yyyy HH:mm")}</p>
+        <p>
+          {isClosed ? "Closed" : "Printed"}:{" "}
+          {format(
+            new Date(isClosed ? session.closed_at : Date.now()),
+            "dd/MM/yyyy HH:mm"
+          )}
+          {isClosed &&
+            session.closed_by_name &&
+            session.closed_by_name !== session.user_name &&
+            ` (${session.closed_by_name})`}
+        </p>
+      </div>
+
+      <div
+        className="border-t border-black pt-1 mb-2 space-y-0.5"
+        style={{ borderTopWidth: "1px" }}
+      >
+        <p className="font-semibold">Sales</p>
+        <Row label="Orders" value={summary.orderCount} />
+        <Row label="Gross sales" value={formatCurrency(summary.grossSales)} />
+        {summary.refundAmount > 0 && (
+          <Row
+            label="Refunds"
+            value={`- ${formatCurrency(summary.refundAmount)}`}
+          />
+        )}
+        {summary.voidCount > 0 && (
+          <Row
+            label={`Voids (${summary.voidCount})`}
+            value={formatCurrency(summary.voidAmount)}
+          />
+        )}
+        <Row label="Tips" value={formatCurrency(summary.totalTips)} />
+      </div>
+
+      {report.byMethod.length > 0 && (
+        <div
+          className="border-t border-black pt-1 mb-2 space-y-0.5"
+          style={{ borderTopWidth: "1px" }}
+        >
+          <p className="font-semibold">By tender</p>
+          {report.byMethod.map((row) => (
+            <Row
+              key={row.payment_method}
+              label={
+                <span className="capitalize">
+                  {row.payment_method} ({row.transaction_count})
+                </span>
+              }
+              value={formatCurrency(row.total_amount)}
+            />
+          ))}
+        </div>
+      )}
+
+      <div
+        className="border-t border-black pt-1 mb-2 space-y-0.5"
+        style={{ borderTopWidth: "1px" }}
+      >
+        <p className="font-semibold">Cash drawer</p>
+        <Row label="Opening float" value={formatCurrency(summary.openingFloat)} />
+        <Row label="Cash sales" value={formatCurrency(summary.cashSales)} />
+        {summary.cashRefunds > 0 && (
+          <Row
+            label="Cash refunds"
+            value={`- ${formatCurrency(summary.cashRefunds)}`}
+          />
+        )}
+        {report.movements.map((m) => (
+          <Row
+            key={m.id}
+            label={`${m.type === "pay_in" ? "Pay-in" : "Pay-out"}: ${m.reason}`}
+            value={`${m.type === "pay_in" ? "" : "- "}${formatCurrency(
+              m.amount
+            )}`}
+          />
+        ))}
+        <Row
+          label="Expected cash"
+          value={formatCurrency(
+            isClosed ? session.expected_cash : summary.expectedCash
+          )}
+          bold
+        />
+        {isClosed && (
+          <>
+            <Row
+              label="Counted cash"
+              value={formatCurrency(session.counted_cash)}
+            />
+            <Row
+              label={parseFloat(session.over_short) < 0 ? "Short" : "Over"}
+              value={formatCurrency(Math.abs(parseFloat(session.over_short)))}
+              bold
+            />
+          </>
+        )}
+      </div>
+
+      {session.notes && (
+        <p
+          className="border-t border-black pt-1"
+          style={{ borderTopWidth: "1px" }}
+        >
+          {session.notes}
+        </p>
+      )}
+    </div>
+  );
+});
+
+ShiftReport.displayName = "ShiftReport";
+export default ShiftReport;
@@ -0,0 +1,277 @@
+import { useState } from "react";
+import { X, Users, Armchair, ListChecks } from "lucide-react";
+import { ordersAPI } from "../services/api";
+import { formatCurrency } from "../utils/currency";
+import { itemName } from "./ModifierModal";
+import toast from "react-hot-toast";
+
+const MODES = [
+  { id: "even", label: "Evenly", icon: Users },
+  { id: "seat", label: "By seat", icon: Armchair },
+  { id: "item", label: "By item", icon: ListChecks },
+];
+
+/**
+ * Split an order into sub-checks: evenly by guest count, by seat number or by item.
+ * Calls onSplit with the created checks.
+ */
+export default function SplitBillModal({ order, onClose, onSplit }) {
+  const items = (order.items || []).filter((i) => i.status !== "cancelled");
+  const [mode, setMode] = useState("even");
+  const [count, setCount] = useState(Math.max(2, order.guest_count || 2));
+  const [checkCount, setCheckCount] = useState(2);
+  const [assignments, setAssignments] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const unseated = items.filter((i) => i.seat_number == null);
+  const seats = [...new Set(items.map((i) => i.seat_number))]
+    .filter((s) => s != null)
+    .sort((a, b) => a - b);
+  const unassigned = items.filter(
+    (i) => !assignments[i.id] || assignments[i.id] > checkCount
+  );
+
+  const checkTotal = (n) =>
+    items
+      .filter((i) => assignments[i.id] === n)
+      .reduce((sum, i) => sum + parseFloat(i.subtotal), 0);
+
+  const handleSubmit = async () => {
+    const data = { mode };
+    if (mode === "even") {
+      data.count = count;
+    } else if (mode === "item") {
+      data.checks = Array.from({ length: checkCount }, (_, i) => ({
+        label: `Check ${i + 1}`,
+        item_ids: items
+          .filter((item) => assignments[item.id] === i + 1)
+          .map((item) => item.id),
+      }));
+    }
+
+    setSaving(true);
+    try {
+      const response = await ordersAPI.split(order.id, data);
+      toast.success(response.data.message);
+      onSplit(response.data.data);
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canSubmit =
+    mode === "even"
+      ? count >= 2
+      : mode === "seat"
+      ? unseated.length === 0 && seats.length >= 2
+      : unassigned.length === 0 &&
+        Array.from({ length: checkCount }, (_, i) => i + 1).every((n) =>
+          items.some((item) => assignments[item.id] === n)
+        );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-surface-200">
+          <div>
+            <h3 className="text-lg font-bold text-surface-800">Split bill</h3>
+            <p className="text-sm text-surface-500">
+              Order #{order.order_number} ·{" "}
+              {formatCurrency(order.total_amount)}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-surface-400 hover:text-surface-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1">
+          <div className="grid grid-cols-3 gap-2 mb-4">
+            {MODES.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setMode(id)}
+                className={`p-3 rounded-xl border-2 transition-all ${
+                  mode === id
+                    ? "border-primary-500 bg-primary-50"
+                    : "border-surface-200 hover:border-surface-300"
+                }`}
+              >
+                <Icon
+                  className={`w-6 h-6 mx-auto mb-1 ${
+                    mode === id ? "text-primary-500" : "text-surface-400"
+                  }`}
+                />
+                <span className="block text-sm font-medium">{label}</span>
+              </button>
+            ))}
+          </div>
+
+          {mode === "even" && (
+            <div>
+              <label className="block text-sm font-medium text-surface-600 mb-2">
+                Number of guests
+              </label>
+              <input
+                type="number"
+                min="2"
+                max="50"
+                value={count}
+                onChange={(e) => setCount(parseInt(e.target.value) || 0)}
+                className="input text-center text-xl font-bold"
+              />
+              {count >= 2 && (
+                <p className="text-center text-surface-500 mt-3">
+                  About {formatCurrency(order.total_amount / count)} each
+                </p>
+              )}
+            </div>
+          )}
+
+          {mode === "seat" &&
+            (unseated.length > 0 ? (
+              <p className="text-amber-600 text-sm">
+                {unseated.length} item(s) have no seat. Assign seats on the
+                order screen first.
+              </p>
+            ) : seats.length < 2 ? (
+              <p className="text-surface-500 text-sm">
+                All items are on one seat; nothing to split.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {seats.map((seat) => {
+                  const seatItems = items.filter((i) => i.seat_number === seat);
+                  return (
+                    <div
+                      key={seat}
+                      className="flex justify-between p-3 bg-surface-50 rounded-lg"
+                    >
+                      <span className="font-medium">
+                        Seat {seat}{" "}
+                        <span className="text-surface-500 text-sm">
+                          ({seatItems.length} item
+                          {seatItems.length === 1 ? "" : "s"})
+                        </span>
+                      </span>
+                      <span className="font-semibold">
+                        {formatCurrency(
+                          seatItems.reduce(
+                            (sum, i) => sum + parseFloat(i.subtotal),
+                            0
+                          )
+                        )}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+
+          {mode === "item" && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm font-medium text-surface-600">
+                  Checks
+                </span>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setCheckCount((n) => Math.max(2, n - 1))}
+                    className="btn btn-secondary btn-sm"
+                  >
+                    -
+                  </button>
+                  <span className="w-6 text-center font-bold">
+                    {checkCount}
+                  </span>
+                  <button
+                    onClick={() => setCheckCount((n) => Math.min(10, n + 1))}
+                    className="btn btn-secondary btn-sm"
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                {items.map((item) => (
+                  <div
+                    key={item.id}
+                    className="flex items-center justify-between gap-2 py-2 border-b border-surface-100"
+                  >
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">
+                        {itemName(item)}{" "}
+                        <span className="text-surface-500">
+                          x{item.quantity}
+                        </span>
+                      </div>
+                      <div className="text-sm text-surface-500">
+                        {formatCurrency(item.subtotal)}
+                      </div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      {Array.from({ length: checkCount }, (_, i) => i + 1).map(
+                        (n) => (
+                          <button
+                            key={n}
+                            onClick={() =>
+                              setAssignments((a) => ({ ...a, [item.id]: n }))
+                            }
+                            className={`w-8 h-8 rounded-lg text-sm font-semibold ${
+                              assignments[item.id] === n
+                                ? "bg-primary-500 text-white"
+                                : "bg-surface-100 text-surface-600 hover:bg-surface-200"
+                            }`}
+                          >
+                            {n}
+                          </button>
+                        )
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2 mt-4 text-sm">
+                {Array.from({ length: checkCount }, (_, i) => i + 1).map(
+                  (n) => (
+                    <div
+                      key={n}
+                      className="flex justify-between p-2 bg-surface-50 rounded-lg"
+                    >
+                      <span>Check {n}</span>
+                      <span className="font-semibold">
+                        {formatCurrency(checkTotal(n))}
+                      </span>
+                    </div>
+                  )
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-surface-200">
+          <button
+            onClick={handleSubmit}
+            disabled={saving || !canSubmit}
+            className="btn btn-primary w-full btn-lg"
+          >
+            {saving ? <span className="spinner mx-auto"></span> : "Split"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { Bell, BellRing, Check, AlarmClock } from 'lucide-react'
+import { stockAlertsAPI } from '../services/api'
+import { useRealtime } from '../context/RealtimeContext'
+import toast from 'react-hot-toast'
+
+const SNOOZE_OPTIONS = [
+  { minutes: 60, label: '1h' },
+  { minutes: 240, label: '4h' },
+  { minutes: 1440, label: '24h' },
+]
+
+/**
+ * Low / out of stock alerts for managers: a bell with the number of active alerts
+ * and a dropdown to acknowledge or snooze them. Updated live on stock events.
+ */
+export default function StockAlertsBell() {
+  const [alerts, setAlerts] = useState([])
+  const [open, setOpen] = useState(false)
+  const snoozeTimerRef = useRef(null)
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await stockAlertsAPI.getAll({ status: 'open' })
+      const openAlerts = response.data.data
+      setAlerts(openAlerts.filter(alert => alert.is_active))
+
+      // Snoozed alerts come back on their own: refetch when the next snooze runs out
+      clearTimeout(snoozeTimerRef.current)
+      const snoozed = openAlerts.filter(alert => !alert.is_active).map(alert => alert.snooze_seconds_left)
+      if (snoozed.length > 0) {
+        snoozeTimerRef.current = setTimeout(fetchAlerts, (Math.min(...snoozed) + 1) * 1000)
+      }
+    } catch (error) {
+      console.error('Failed to fetch stock alerts:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchAlerts()
+    return () => clearTimeout(snoozeTimerRef.current)
+  }, [fetchAlerts])
+
+  useRealtime(['stock.*'], (event) => {
+    if (event.type === 'stock.alert') {
+      toast.error(`${event.data.description} ${event.data.alert_type === 'out_of_stock' ? 'is out of stock' : 'is running low'}`)
+    }
+    fetchAlerts()
+  })
+
+  const handleAcknowledge = async (alert) => {
+    try {
+      await stockAlertsAPI.acknowledge(alert.id)
+      fetchAlerts()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to acknowledge alert')
+    }
+  }
+
+  const handleSnooze = async (alert, minutes) => {
+    try {
+      const response = await stockAlertsAPI.snooze(alert.id, minutes)
+      toast.success(response.data.message)
+      fetchAlerts()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to snooze alert')
+    }
+  }
+
+  const hasOutOfStock = alerts.some(a => a.alert_type === 'out_of_stock')
+  const BellIcon = alerts.length > 0 ? BellRing : Bell
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative flex items-center justify-center lg:justify-start gap-2 lg:gap-3 px-3 lg:px-4 py-2.5 lg:py-3 rounded-lg text-surface-300 hover:bg-surface-800 hover:text-white transition-colors w-full"
+        title="Stock alerts"
+      >
+        <BellIcon className={`w-5 h-5 lg:w-6 lg:h-6 ${alerts.length > 0 ? (hasOutOfStock ? 'text-red-400' : 'text-amber-400') : ''}`} />
+        <span className="hidden xl:inline font-medium">Stock Alerts</span>
+        {alerts.length > 0 && (
+          <span className={`absolute top-1 left-6 lg:left-8 min-w-[18px] h-[18px] px-1 rounded-full text-[10px] font-bold text-white flex items-center justify-center ${
+            hasOutOfStock ? 'bg-red-500' : 'bg-amber-500'
+          }`}>
+            {alerts.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 lg:right-auto lg:left-0 top-full lg:top-auto lg:bottom-full mt-1 lg:mt-0 lg:mb-2 w-80 max-h-96 overflow-y-auto bg-white text-surface-900 rounded-lg shadow-lg border border-surface-200 z-50">
+          <div className="px-4 py-3 border-b border-surface-200 font-semibold text-sm">Stock Alerts</div>
+          {alerts.length === 0 ? (
+            <div className="px-4 py-6 text-center text-sm text-surface-500">No active alerts</div>
+          ) : (
+            alerts.map((alert) => (
+              <div key={alert.id} className="px-4 py-3 border-b border-surface-100 last:border-b-0">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium text-sm truncate">{alert.description}</div>
+                    <div className="text-xs text-surface-500">
+                      {parseFloat(alert.stock_quantity)} {alert.unit || ''} left · alert at {parseFloat(alert.threshold)}
+                    </div>
+                  </div>
+                  <span className={`flex-shrink-0 text-xs font-medium px-2 py-0.5 rounded-full ${
+                    alert.alert_type === 'out_of_stock' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                  }`}>
+                    {alert.alert_type === 'out_of_stock' ? 'Out' : 'Low'}
+                  </span>
+                </div>
+                <div className="flex items-center gap-1 mt-2">
+                  <button
+                    onClick={() => handleAcknowledge(alert)}
+                    className="flex items-center gap-1 px-2 py-1 text-xs rounded bg-surface-100 hover:bg-surface-200"
+                  >
+                    <Check className="w-3 h-3" />
+                    Acknowledge
+                  </button>
+                  <AlarmClock className="w-3 h-3 ml-2 text-surface-400" />
+                  {SNOOZE_OPTIONS.map((option) => (
+                    <button
+                      key={option.minutes}
+                      onClick={() => handleSnooze(alert, option.minutes)}
+                      className="px-2 py-1 text-xs rounded bg-surface-100 hover:bg-surface-200"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,237 @@
+import { useState, useEffect, useCallback } from 'react'
+import { waitlistAPI } from '../services/api'
+import { useRealtime, useMinutesSince } from '../context/RealtimeContext'
+import { Hourglass, Users, Phone, Plus, Armchair, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const formatWait = (minutes) => {
+  if (minutes == null) return 'No table fits'
+  if (minutes === 0) return 'Now'
+  return minutes >= 60 ? `~${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}` : `~${minutes} min`
+}
+
+/**
+ * Walk-in waitlist shown next to the table grid: add parties with a quoted wait,
+ * seat them on a free table big enough for them, or take them off the list.
+ * @param {Array} tables - Tables from GET /api/tables, used to offer free tables when seating
+ */
+export default function WaitlistPanel({ tables }) {
+  const [entries, setEntries] = useState([])
+  const [fetchedAt, setFetchedAt] = useState(() => Date.now())
+  const [form, setForm] = useState({ party_name: '', party_size: 2, phone: '' })
+  const [quote, setQuote] = useState(null)
+  const [adding, setAdding] = useState(false)
+  const [seatingId, setSeatingId] = useState(null)
+
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const res = await waitlistAPI.getAll()
+      setEntries(res.data.data)
+      setFetchedAt(Date.now())
+    } catch (error) {
+      console.error('Failed to fetch waitlist:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchWaitlist()
+  }, [fetchWaitlist])
+
+  // Waited times and estimates move with the clock between pushes
+  const drift = useMinutesSince(fetchedAt)
+
+  // Tables turning over change every estimate
+  useRealtime(['waitlist.*', 'table.*', 'order.*'], fetchWaitlist)
+
+  // Quote for the party being added
+  useEffect(() => {
+    const size = parseInt(form.party_size)
+    if (!size) return
+    waitlistAPI.getEstimate(size)
+      .then((res) => setQuote(res.data.data.estimated_wait_minutes))
+      .catch(() => setQuote(null))
+  }, [form.party_size, entries.length])
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    setAdding(true)
+    try {
+      const res = await waitlistAPI.add({
+        party_name: form.party_name,
+        party_size: parseInt(form.party_size),
+        phone: form.phone || null
+      })
+      toast.success(res.data.message)
+      setForm({ party_name: '', party_size: 2, phone: '' })
+      fetchWaitlist()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add party')
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleSeat = async (entry, table) => {
+    try {
+      const res = await waitlistAPI.seat(entry.id, table.id)
+      toast.success(res.data.message)
+      setSeatingId(null)
+      fetchWaitlist()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to seat party')
+    }
+  }
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${entry.party_name} from the waitlist?`)) return
+    try {
+      await waitlistAPI.remove(entry.id)
+      fetchWaitlist()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove party')
+    }
+  }
+
+  // Free tables big enough for the party, smallest first
+  const tablesFor = (entry) => tables
+    .filter(t => t.status === 'available' && !t.current_order_id && t.capacity >= entry.party_size)
+    .sort((a, b) => a.capacity - b.capacity || a.table_number - b.table_number)
+
+  return (
+    <aside className="card p-4 xl:w-80 flex-shrink-0 self-start">
+      <h2 className="text-lg font-semibold text-surface-700 mb-3 flex items-center gap-2">
+        <Hourglass className="w-5 h-5" />
+        Waitlist
+        <span className="text-sm font-normal text-surface-400">({entries.length})</span>
+      </h2>
+
+      <form onSubmit={handleAdd} className="space-y-2 mb-4 pb-4 border-b border-surface-200">
+        <input
+          type="text"
+          placeholder="Party name"
+          value={form.party_name}
+          onChange={(e) => setForm({ ...form, party_name: e.target.value })}
+          className="input"
+          required
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={form.party_size}
+            onChange={(e) => setForm({ ...form, party_size: e.target.value })}
+            className="input w-20"
+            required
+          />
+          <input
+            type="tel"
+            placeholder="Phone"
+            value={form.phone}
+            onChange={(e) => setForm({ ...form, phone: e.target.value })}
+            className="input flex-1"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={adding}
+          className="btn btn-primary w-full flex items-center justify-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add · quote {formatWait(quote)}
+        </button>
+      </form>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-surface-500 text-center py-4">Nobody waiting</p>
+      ) : (
+        <div className="space-y-3">
+          {entries.map((entry, index) => {
+            const freeTables = tablesFor(entry)
+            const waited = entry.waited_minutes + drift
+            const estimate = entry.estimated_wait_minutes == null
+              ? null
+              : Math.ceil(Math.max(0, entry.estimated_wait_minutes - drift) / 5) * 5
+            const overdue = entry.quoted_wait_minutes != null && waited > entry.quoted_wait_minutes
+            return (
+              <div key={entry.id} className="rounded-lg border border-surface-200 p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-semibold text-surface-800 truncate">
+                      {index + 1}. {entry.party_name}
+                    </div>
+                    <div className="flex items-center gap-3 text-xs text-surface-500 mt-0.5">
+                      <span className="flex items-center gap-1">
+                        <Users className="w-3 h-3" />
+                        {entry.party_size}
+                      </span>
+                      {entry.phone && (
+                        <span className="flex items-center gap-1">
+                          <Phone className="w-3 h-3" />
+                          {entry.phone}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <div className="text-sm font-semibold text-primary-600">
+                      {formatWait(estimate)}
+                    </div>
+                    <div className={`text-xs ${overdue ? 'text-red-600 font-medium' : 'text-surface-400'}`}>
+                      waited {waited} min
+                      {entry.quoted_wait_minutes != null && ` / ${entry.quoted_wait_minutes}`}
+                    </div>
+                  </div>
+                </div>
+
+                {seatingId === entry.id ? (
+                  <div className="mt-2">
+                    {freeTables.length === 0 ? (
+                      <p className="text-xs text-surface-500">No free table for {entry.party_size}</p>
+                    ) : (
+                      <div className="flex flex-wrap gap-1">
+                        {freeTables.map((table) => (
+                          <button
+                            key={table.id}
+                            onClick={() => handleSeat(entry, table)}
+                            className="px-2 py-1 text-sm rounded bg-green-50 border border-green-200 hover:border-green-500 font-semibold text-surface-800"
+                            title={`${table.capacity} seats${table.section ? ` · ${table.section}` : ''}`}
+                          >
+                            {table.table_number}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      onClick={() => setSeatingId(null)}
+                      className="text-xs text-surface-500 hover:underline mt-1"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      onClick={() => setSeatingId(entry.id)}
+                      className={`btn btn-sm flex-1 flex items-center justify-center gap-1 ${freeTables.length > 0 ? 'btn-success' : 'btn-secondary'}`}
+                    >
+                      <Armchair className="w-4 h-4" />
+                      Seat{freeTables.length > 0 && ` (${freeTables.length} free)`}
+                    </button>
+                    <button
+                      onClick={() => handleRemove(entry)}
+                      className="btn btn-secondary btn-sm"
+                      title="Remove from waitlist"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </aside>
+  )
+}
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useCallback } from "react";
 import { ordersAPI, tablesAPI } from "../services/api";
+import { useRealtime } from "./RealtimeContext";
 import toast from "react-hot-toast";
 
 const OrderContext = createContext(null);
@@ -23,8 +24,9 @@ export function OrderProvider({ children }) {
         setCurrentOrder({
           id: table.order_id,
           order_number: table.order_number,
-          table_id: table.id,
+          table_id: table.order_table_id ?? table.id,
           table_number: table.table_number,
+          tables: table.order_tables || [],
           total_amount: table.total_amount || 0,
           subtotal: table.subtotal || 0,
           guest_count: table.guest_count || 1,
@@ -114,9 +116,14 @@ export function OrderProvider({ children }) {
     }
   }, []);
 
-  // Add item to current order (unitPrice optional for variable-price products)
+  // Add item to current order (unitPrice only for variable-price products, variantId for products
+  // with variants, components [{ slot_id, product_id, variant_id }] for bundles)
   const addItem = useCallback(
-    async (productId, quantity = 1, notes = "", unitPrice = undefined) => {
+    async (
+      productId,
+      quantity = 1,
+      { notes = "", unitPrice, modifierIds = [], variantId, components = [] } = {}
+    ) => {
       if (!currentOrder) {
         toast.error("No active order");
         return;
@@ -126,6 +133,9 @@ export function OrderProvider({ children }) {
       try {
         const payload = { product_id: productId, quantity, notes };
         if (unitPrice != null) payload.unit_price = unitPrice;
+        if (variantId) payload.variant_id = variantId;
+        if (components.length > 0) payload.components = components;
+        if (modifierIds.length > 0) payload.modifier_ids = modifierIds;
         const response = await ordersAPI.addItem(currentOrder.id, payload);
 
         // Reload order/table to get updated items
@@ -168,6 +178,25 @@ export function OrderProvider({ children }) {
     [currentOrder, currentTable, loadTable, loadOrder]
   );
 
+  // Assign an item to a seat (used to split the bill by seat)
+  const assignSeat = useCallback(
+    async (itemId, seatNumber) => {
+      if (!currentOrder) return;
+
+      try {
+        await ordersAPI.updateItem(currentOrder.id, itemId, {
+          seat_number: seatNumber,
+        });
+        if (currentTable?.id) await loadTable(currentTable.id);
+        else await loadOrder(currentOrder.id);
+      } catch (error) {
+        toast.error("Failed to assign seat");
+        throw error;
+      }
+    },
+    [currentOrder, currentTable, loadTable, loadOrder]
+  );
+
   // Remove item from order
   const removeItem = useCallback(
     async (itemId) => {
@@ -206,6 +235,18 @@ export function OrderProvider({ children }) {
     [currentOrder, currentTable, loadTable, loadOrder]
   );
 
+  // Reload the open order/table when another device changes it
+  useRealtime(["order.*", "table.*"], (event) => {
+    if (event.type === "connected" || loading) return;
+    const { order_id, table_id } = event.data || {};
+    if (currentTable?.id && table_id === currentTable.id) {
+      loadTable(currentTable.id).catch(() => {});
+    } else if (currentOrder?.id && order_id === currentOrder.id) {
+      if (currentTable?.id) loadTable(currentTable.id).catch(() => {});
+      else loadOrder(currentOrder.id).catch(() => {});
+    }
+  });
+
   // Clear current order/table state
   const clearOrder = useCallback(() => {
     setCurrentOrder(null);
@@ -229,6 +270,7 @@ export function OrderProvider({ children }) {
     createOrder,
     addItem,
     updateItem,
+    assignSeat,
     removeItem,
     updateOrder,
     clearOrder,
@@ -0,0 +1,124 @@
+import { createContext, useContext, useEffect, useRef, useCallback, useState } from 'react'
+import { useAuth } from './AuthContext'
+import { eventsAPI } from '../services/api'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api'
+const RECONNECT_MS = 3000
+const CLOCK_TICK_MS = 15000
+
+const RealtimeContext = createContext(null)
+
+/**
+ * Does an event type match a subscription pattern?
+ * Patterns are exact types ('order.paid') or prefixes ending in '*' ('order.*').
+ */
+const matches = (patterns, type) =>
+  patterns.some((p) => (p.endsWith('*') ? type.startsWith(p.slice(0, -1)) : p === type))
+
+export function RealtimeProvider({ children }) {
+  const { user } = useAuth()
+  const listenersRef = useRef(new Set())
+
+  // One EventSource per logged-in session. Each connection is opened with a fresh single-use
+  // ticket, so the browser's own retry (same URL) cannot work: reconnect by hand instead.
+  useEffect(() => {
+    if (!user || !localStorage.getItem('token')) return
+
+    let source = null
+    let retryTimer = null
+    let closed = false
+
+    const connect = async () => {
+      let ticket
+      try {
+        const res = await eventsAPI.getTicket()
+        ticket = res.data.data.ticket
+      } catch (error) {
+        if (!closed) retryTimer = setTimeout(connect, RECONNECT_MS)
+        return
+      }
+      if (closed) return
+
+      source = new EventSource(`${API_BASE_URL}/events?ticket=${encodeURIComponent(ticket)}`)
+
+      source.onmessage = (message) => {
+        let event
+        try {
+          event = JSON.parse(message.data)
+        } catch (error) {
+          return
+        }
+        listenersRef.current.forEach((listener) => listener(event))
+      }
+
+      source.onerror = () => {
+        // 'connected' is re-sent on reconnect so pages resync
+        source.close()
+        if (!closed) retryTimer = setTimeout(connect, RECONNECT_MS)
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      source?.close()
+    }
+  }, [user])
+
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener)
+    return () => listenersRef.current.delete(listener)
+  }, [])
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  )
+}
+
+/**
+ * Run handler for every pushed event whose type matches one of the patterns.
+ * 'connected' is always delivered so pages can resync after a reconnect.
+ * @param {string[]} patterns - e.g. ['table.*', 'order.*']
+ * @param {Function} handler - Receives { id, type, data, at }
+ */
+export function useRealtime(patterns, handler) {
+  const context = useContext(RealtimeContext)
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider')
+  }
+  const { subscribe } = context
+
+  const handlerRef = useRef(handler)
+  handlerRef.current = handler
+  const key = patterns.join(',')
+
+  useEffect(() => {
+    const list = key.split(',')
+    return subscribe((event) => {
+      if (event.type === 'connected' || matches(list, event.type)) {
+        handlerRef.current(event)
+      }
+    })
+  }, [key, subscribe])
+}
+
+/**
+ * Whole minutes since a fetch, re-rendering as they pass. Pages add this to the minutes the
+ * server computed (ages, waits) so they keep counting between pushes without refetching.
+ * @param {number} since - Date.now() when the data was fetched
+ */
+export function useMinutesSince(since) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    setNow(Date.now())
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS)
+    return () => clearInterval(timer)
+  }, [since])
+
+  return Math.max(0, Math.floor((now - since) / 60000))
+}
@@ -5,38 +5,41 @@ import { Toaster } from 'react-hot-toast'
 import App from './App'
 import { AuthProvider } from './context/AuthContext'
 import { OrderProvider } from './context/OrderContext'
+import { RealtimeProvider } from './context/RealtimeContext'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <OrderProvider>
-          <App />
-          <Toaster 
-            position="top-right"
-            toastOptions={{
-              duration: 3000,
-              style: {
-                background: '#1e293b',
-                color: '#f1f5f9',
-                borderRadius: '10px',
-              },
-              success: {
-                iconTheme: {
-                  primary: '#22c55e',
-                  secondary: '#f1f5f9',
+        <RealtimeProvider>
+          <OrderProvider>
+            <App />
+            <Toaster 
+              position="top-right"
+              toastOptions={{
+                duration: 3000,
+                style: {
+                  background: '#1e293b',
+                  color: '#f1f5f9',
+                  borderRadius: '10px',
                 },
-              },
-              error: {
-                iconTheme: {
-                  primary: '#ef4444',
-                  secondary: '#f1f5f9',
+                success: {
+                  iconTheme: {
+                    primary: '#22c55e',
+                    secondary: '#f1f5f9',
+                  },
                 },
-              },
-            }}
-          />
-        </OrderProvider>
+                error: {
+                  iconTheme: {
+                    primary: '#ef4444',
+                    secondary: '#f1f5f9',
+                  },
+                },
+              }}
+            />
+          </OrderProvider>
+        </RealtimeProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
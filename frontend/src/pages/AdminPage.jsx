@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
-import { Routes, Route, NavLink, Navigate, useNavigate } from 'react-router-dom'
+import { Routes, Route, NavLink, Navigate, useNavigate, useSearchParams } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
-import { usersAPI, productsAPI, categoriesAPI, paymentsAPI, paymentMethodsAPI, tablesAPI, uploadsAPI, getProductImageUrl } from '../services/api'
+import { usersAPI, productsAPI, categoriesAPI, paymentsAPI, paymentMethodsAPI, taxRatesAPI, promotionsAPI, modifierGroupsAPI, ingredientsAPI, stockMovementsAPI, suppliersAPI, purchaseOrdersAPI, stocktakesAPI, wasteAPI, tablesAPI, uploadsAPI, getProductImageUrl } from '../services/api'
 import toast from 'react-hot-toast'
 import {
   Users,
@@ -23,10 +23,31 @@ import {
   Shield,
   FolderOpen,
   CreditCard,
-  LayoutGrid
+  LayoutGrid,
+  Receipt,
+  Undo2,
+  Ban,
+  Percent,
+  Tag,
+  SlidersHorizontal,
+  MonitorSmartphone,
+  LogOut,
+  Carrot,
+  History,
+  AlertTriangle,
+  Truck,
+  ClipboardList,
+  Send,
+  PackageCheck,
+  ClipboardCheck,
+  Recycle,
+  X
 } from 'lucide-react'
 import { format, subDays } from 'date-fns'
 import { formatCurrency } from '../utils/currency'
+import { WASTE_REASONS, wasteReasonLabel } from '../utils/waste'
+import FloorPlanEditor from '../components/FloorPlanEditor'
+import { GRID, inSection } from '../components/FloorPlan'
 
 // Users Management Component (moderator: only servers & cashiers)
 function UsersManagement({ isModerator = false }) {
@@ -265,6 +286,7 @@ function UsersManagement({ isModerator = false }) {
 // Categories Management Component
 function CategoriesManagement() {
   const [categories, setCategories] = useState([])
+  const [taxRates, setTaxRates] = useState([])
   const [loading, setLoading] = useState(true)
   const [showForm, setShowForm] = useState(false)
   const [editingCategory, setEditingCategory] = useState(null)
@@ -275,13 +297,18 @@ function CategoriesManagement() {
     display_order: 0,
     color: '#3B82F6',
     icon: '',
-    image_url: ''
+    image_url: '',
+    tax_rate_id: ''
   })
 
   const fetchData = async () => {
     try {
-      const res = await categoriesAPI.getAll({ include_inactive: true })
+      const [res, taxRes] = await Promise.all([
+        categoriesAPI.getAll({ include_inactive: true }),
+        taxRatesAPI.getAll()
+      ])
       setCategories(res.data.data || [])
+      setTaxRates(taxRes.data.data || [])
     } catch (error) {
       toast.error('Failed to fetch categories')
     } finally {
@@ -298,7 +325,8 @@ function CategoriesManagement() {
     try {
       const data = {
         ...formData,
-        display_order: parseInt(formData.display_order) || 0
+        display_order: parseInt(formData.display_order) || 0,
+        tax_rate_id: formData.tax_rate_id ? parseInt(formData.tax_rate_id) : null
       }
       if (editingCategory) {
         await categoriesAPI.update(editingCategory.id, data)
@@ -309,7 +337,7 @@ function CategoriesManagement() {
       }
       setShowForm(false)
       setEditingCategory(null)
-      setFormData({ name: '', description: '', display_order: 0, color: '#3B82F6', icon: '', image_url: '' })
+      setFormData({ name: '', description: '', display_order: 0, color: '#3B82F6', icon: '', image_url: '', tax_rate_id: '' })
       fetchData()
     } catch (error) {
       // Error handled by API interceptor
@@ -324,7 +352,8 @@ function CategoriesManagement() {
       display_order: cat.display_order ?? 0,
       color: cat.color || '#3B82F6',
       icon: cat.icon || '',
-      image_url: cat.image_url || ''
+      image_url: cat.image_url || '',
+      tax_rate_id: cat.tax_rate_id ? cat.tax_rate_id.toString() : ''
     })
     setShowForm(true)
   }
@@ -351,7 +380,7 @@ function CategoriesManagement() {
         <button
           onClick={() => {
             setEditingCategory(null)
-            setFormData({ name: '', description: '', display_order: 0, color: '#3B82F6', icon: '', image_url: '' })
+            setFormData({ name: '', description: '', display_order: 0, color: '#3B82F6', icon: '', image_url: '', tax_rate_id: '' })
             setShowForm(true)
           }}
           className="btn btn-primary"
@@ -396,6 +425,19 @@ function CategoriesManagement() {
                     min={0}
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Tax rate</label>
+                  <select
+                    value={formData.tax_rate_id}
+                    onChange={(e) => setFormData({ ...formData, tax_rate_id: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">Default rate</option>
+                    {taxRates.map(rate => (
+                      <option key={rate.id} value={rate.id}>{rate.name}</option>
+                    ))}
+                  </select>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-surface-600 mb-1">Color</label>
                   <input
@@ -480,7 +522,10 @@ function CategoriesManagement() {
                 {cat.description && (
                   <p className="text-sm text-surface-500 line-clamp-2 mt-0.5">{cat.description}</p>
                 )}
-                <span className="text-xs text-surface-400 mt-1">Order: {cat.display_order} · {cat.product_count ?? 0} products</span>
+                <span className="text-xs text-surface-400 mt-1">
+                  Order: {cat.display_order} · {cat.product_count ?? 0} products
+                  {cat.tax_rate_id && ` · ${taxRates.find(r => r.id === cat.tax_rate_id)?.name || 'Inactive tax rate'}`}
+                </span>
               </div>
             </div>
             <div className="flex items-center gap-2 pt-3 border-t border-surface-100">
@@ -507,8 +552,10 @@ function CategoriesManagement() {
 
 // Products Management Component
 function ProductsManagement() {
+  const navigate = useNavigate()
   const [products, setProducts] = useState([])
   const [categories, setCategories] = useState([])
+  const [taxRates, setTaxRates] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('all')
@@ -521,8 +568,14 @@ function ProductsManagement() {
     price: '',
     image_url: '',
     is_available: true,
-    variable_price: false
+    variable_price: false,
+    tax_rate_id: '',
+    variants: [],
+    is_bundle: false,
+    bundle_slots: [],
+    recipe: []
   })
+  const [ingredients, setIngredients] = useState([])
   const [imageUploading, setImageUploading] = useState(false)
 
   useEffect(() => {
@@ -531,12 +584,16 @@ function ProductsManagement() {
 
   const fetchData = async () => {
     try {
-      const [productsRes, categoriesRes] = await Promise.all([
+      const [productsRes, categoriesRes, taxRatesRes, ingredientsRes] = await Promise.all([
         productsAPI.getAll(),
-        categoriesAPI.getAll()
+        categoriesAPI.getAll(),
+        taxRatesAPI.getAll(),
+        ingredientsAPI.getAll()
       ])
       setProducts(productsRes.data.data)
       setCategories(categoriesRes.data.data)
+      setTaxRates(taxRatesRes.data.data)
+      setIngredients(ingredientsRes.data.data)
     } catch (error) {
       toast.error('Failed to fetch products')
     } finally {
@@ -550,7 +607,30 @@ function ProductsManagement() {
       const data = {
         ...formData,
         category_id: parseInt(formData.category_id),
-        price: parseFloat(formData.price)
+        price: parseFloat(formData.price),
+        tax_rate_id: formData.tax_rate_id ? parseInt(formData.tax_rate_id) : null,
+        variants: formData.variants.filter(v => v.name.trim()).map(v => ({
+          id: v.id,
+          name: v.name.trim(),
+          sku: v.sku || null,
+          price: parseFloat(v.price),
+          cost_price: parseFloat(v.cost_price) || 0,
+          stock_quantity: v.stock_quantity === '' ? null : parseInt(v.stock_quantity)
+        })),
+        bundle_slots: formData.is_bundle
+          ? formData.bundle_slots.map(slot => ({
+            name: slot.name,
+            product_id: slot.product_id ? parseInt(slot.product_id) : null,
+            category_id: slot.product_id ? null : parseInt(slot.category_id) || null,
+            quantity: parseInt(slot.quantity) || 1
+          }))
+          : undefined,
+        recipe: formData.recipe.filter(line => line.ingredient_id).map(line => ({
+          ingredient_id: parseInt(line.ingredient_id),
+          variant_id: line.variant_id ? parseInt(line.variant_id) : null,
+          quantity: parseFloat(line.quantity),
+          is_required: line.is_required
+        }))
       }
       
       if (editingProduct) {
@@ -577,11 +657,48 @@ function ProductsManagement() {
       price: product.price.toString(),
       image_url: product.image_url || '',
       is_available: product.is_available,
-      variable_price: !!product.variable_price
+      variable_price: !!product.variable_price,
+      tax_rate_id: product.tax_rate_id ? product.tax_rate_id.toString() : '',
+      variants: (product.variants || []).filter(v => v.is_active).map(v => ({
+        id: v.id,
+        name: v.name,
+        sku: v.sku || '',
+        price: v.price.toString(),
+        cost_price: v.cost_price ? v.cost_price.toString() : '',
+        stock_quantity: v.stock_quantity ?? ''
+      })),
+      is_bundle: !!product.is_bundle,
+      bundle_slots: (product.bundle_slots || []).map(slot => ({
+        name: slot.name,
+        product_id: slot.product_id ? slot.product_id.toString() : '',
+        category_id: slot.category_id ? slot.category_id.toString() : '',
+        quantity: slot.quantity
+      })),
+      recipe: (product.recipe || []).map(line => ({
+        ingredient_id: line.ingredient_id.toString(),
+        variant_id: line.variant_id ? line.variant_id.toString() : '',
+        quantity: parseFloat(line.quantity).toString(),
+        is_required: !!line.is_required
+      }))
     })
     setShowForm(true)
   }
 
+  const updateRecipeLine = (index, field, value) => {
+    const recipe = formData.recipe.map((line, i) => i === index ? { ...line, [field]: value } : line)
+    setFormData({ ...formData, recipe })
+  }
+
+  const updateSlot = (index, field, value) => {
+    const slots = formData.bundle_slots.map((slot, i) => i === index ? { ...slot, [field]: value } : slot)
+    setFormData({ ...formData, bundle_slots: slots })
+  }
+
+  const updateVariant = (index, field, value) => {
+    const variants = formData.variants.map((v, i) => i === index ? { ...v, [field]: value } : v)
+    setFormData({ ...formData, variants })
+  }
+
   const handleToggleAvailability = async (product) => {
     try {
       await productsAPI.toggleAvailability(product.id, !product.is_available)
@@ -610,7 +727,7 @@ function ProductsManagement() {
         <button
           onClick={() => {
             setEditingProduct(null)
-            setFormData({ name: '', description: '', category_id: categories[0]?.id.toString() || '', price: '', is_available: true })
+            setFormData({ name: '', description: '', category_id: categories[0]?.id.toString() || '', price: '', is_available: true, tax_rate_id: '', variants: [], is_bundle: false, bundle_slots: [], recipe: [] })
             setShowForm(true)
           }}
           className="btn btn-primary"
@@ -648,7 +765,7 @@ function ProductsManagement() {
       {/* Product Form Modal */}
       {showForm && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-auto">
             <h3 className="text-lg font-bold mb-4">
               {editingProduct ? 'Edit Product' : 'Add New Product'}
             </h3>
@@ -698,6 +815,110 @@ function ProductsManagement() {
                     required
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Variants (sizes, flavors; each replaces the price above)</label>
+                  <div className="space-y-2">
+                    {formData.variants.map((variant, index) => (
+                      <div key={variant.id || `new-${index}`} className="flex gap-2">
+                        <input type="text" value={variant.name} onChange={(e) => updateVariant(index, 'name', e.target.value)} className="input flex-1" placeholder="Large" />
+                        <input type="number" value={variant.price} onChange={(e) => updateVariant(index, 'price', e.target.value)} className="input w-20" step="0.01" min="0.01" placeholder="Price" required={!!variant.name.trim()} />
+                        <input type="number" value={variant.cost_price} onChange={(e) => updateVariant(index, 'cost_price', e.target.value)} className="input w-20" step="0.01" min="0" placeholder="Cost" />
+                        <input type="text" value={variant.sku} onChange={(e) => updateVariant(index, 'sku', e.target.value)} className="input w-20" placeholder="SKU" maxLength={50} />
+                        <input type="number" value={variant.stock_quantity} onChange={(e) => updateVariant(index, 'stock_quantity', e.target.value)} className="input w-20" min="0" placeholder="Stock" />
+                        <button type="button" onClick={() => setFormData({ ...formData, variants: formData.variants.filter((_, i) => i !== index) })} className="text-surface-400 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, variants: [...formData.variants, { name: '', price: formData.price, cost_price: '', sku: '', stock_quantity: '' }] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add variant
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <div className="flex items-center gap-2 mb-1">
+                    <input
+                      type="checkbox"
+                      id="is_bundle"
+                      checked={formData.is_bundle}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        is_bundle: e.target.checked,
+                        bundle_slots: e.target.checked && formData.bundle_slots.length === 0
+                          ? [{ name: '', product_id: '', category_id: '', quantity: 1 }]
+                          : formData.bundle_slots
+                      })}
+                    />
+                    <label htmlFor="is_bundle" className="text-sm font-medium text-surface-600">Bundle / set menu (sold at the price above)</label>
+                  </div>
+                  {formData.is_bundle && (
+                    <div className="space-y-2">
+                      {formData.bundle_slots.map((slot, index) => (
+                        <div key={index} className="flex gap-2">
+                          <input type="text" value={slot.name} onChange={(e) => updateSlot(index, 'name', e.target.value)} className="input w-24" placeholder="Drink" required />
+                          <select value={slot.product_id} onChange={(e) => updateSlot(index, 'product_id', e.target.value)} className="input flex-1">
+                            <option value="">Choice from category</option>
+                            {products.filter(p => !p.is_bundle && p.id !== editingProduct?.id).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                          </select>
+                          <select value={slot.category_id} onChange={(e) => updateSlot(index, 'category_id', e.target.value)} className="input flex-1" disabled={!!slot.product_id} required={!slot.product_id}>
+                            <option value="">Category</option>
+                            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                          </select>
+                          <input type="number" value={slot.quantity} onChange={(e) => updateSlot(index, 'quantity', e.target.value)} className="input w-16" min="1" max="20" />
+                          <button type="button" onClick={() => setFormData({ ...formData, bundle_slots: formData.bundle_slots.filter((_, i) => i !== index) })} className="text-surface-400 hover:text-red-500">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                      <button type="button" onClick={() => setFormData({ ...formData, bundle_slots: [...formData.bundle_slots, { name: '', product_id: '', category_id: '', quantity: 1 }] })} className="btn btn-secondary btn-sm">
+                        <Plus className="w-4 h-4 mr-1" /> Add slot
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Recipe (ingredients used per unit sold)</label>
+                  <div className="space-y-2">
+                    {formData.recipe.map((line, index) => (
+                      <div key={index} className="flex gap-2 items-center">
+                        <select value={line.ingredient_id} onChange={(e) => updateRecipeLine(index, 'ingredient_id', e.target.value)} className="input flex-1" required>
+                          <option value="">Ingredient</option>
+                          {ingredients.map(i => <option key={i.id} value={i.id}>{i.name} ({i.unit})</option>)}
+                        </select>
+                        <input type="number" value={line.quantity} onChange={(e) => updateRecipeLine(index, 'quantity', e.target.value)} className="input w-20" step="0.001" min="0.001" placeholder="Qty" required />
+                        {(editingProduct?.variants || []).some(v => v.is_active) && (
+                          <select value={line.variant_id} onChange={(e) => updateRecipeLine(index, 'variant_id', e.target.value)} className="input w-28">
+                            <option value="">All variants</option>
+                            {editingProduct.variants.filter(v => v.is_active).map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                          </select>
+                        )}
+                        <label className="flex items-center gap-1 text-xs text-surface-500" title="Required ingredients block the sale when out of stock">
+                          <input type="checkbox" checked={line.is_required} onChange={(e) => updateRecipeLine(index, 'is_required', e.target.checked)} />
+                          Req.
+                        </label>
+                        <button type="button" onClick={() => setFormData({ ...formData, recipe: formData.recipe.filter((_, i) => i !== index) })} className="text-surface-400 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, recipe: [...formData.recipe, { ingredient_id: '', variant_id: '', quantity: '', is_required: true }] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add ingredient
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Tax rate</label>
+                  <select
+                    value={formData.tax_rate_id}
+                    onChange={(e) => setFormData({ ...formData, tax_rate_id: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">Same as category</option>
+                    {taxRates.map(rate => (
+                      <option key={rate.id} value={rate.id}>{rate.name}</option>
+                    ))}
+                  </select>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-surface-600 mb-1">Product image</label>
                   <input
@@ -780,9 +1001,19 @@ function ProductsManagement() {
               <div>
                 <h3 className="font-semibold text-surface-800">{product.name}</h3>
                 <span className="text-xs text-surface-500">{product.category_name}</span>
-                {product.variable_price && (
+                {!!product.variable_price && (
                   <span className="block text-xs text-amber-600 mt-0.5">Variable price</span>
                 )}
+                {!!product.is_bundle && (
+                  <span className="block text-xs text-primary-600 mt-0.5">
+                    Bundle: {(product.bundle_slots || []).map(slot => slot.product_name || slot.name).join(' + ')}
+                  </span>
+                )}
+                {product.variants?.some(v => v.is_active) && (
+                  <span className="block text-xs text-surface-500 mt-0.5">
+                    {product.variants.filter(v => v.is_active).map(v => v.name).join(', ')}
+                  </span>
+                )}
               </div>
               <span className="text-lg font-bold text-primary-600">{formatCurrency(product.price)}</span>
             </div>
@@ -797,11 +1028,16 @@ function ProductsManagement() {
                 }`}
               >
                 {product.is_available ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
-                {product.is_available ? 'Available' : 'Unavailable'}
-              </button>
-              <button onClick={() => handleEdit(product)} className="text-surface-500 hover:text-primary-500">
-                <Edit className="w-5 h-5" />
+                {product.is_available ? 'Available' : product.auto_unavailable ? 'Out of stock' : 'Unavailable'}
               </button>
+              <div className="flex items-center gap-3">
+                <button onClick={() => navigate(`/admin/stock?product_id=${product.id}`)} className="text-surface-500 hover:text-primary-500" title="Stock history">
+                  <History className="w-5 h-5" />
+                </button>
+                <button onClick={() => handleEdit(product)} className="text-surface-500 hover:text-primary-500">
+                  <Edit className="w-5 h-5" />
+                </button>
+              </div>
             </div>
           </div>
         ))}
@@ -810,159 +1046,1705 @@ function ProductsManagement() {
   )
 }
 
-// Reports Component (Admin only - day/period orders, sold products, revenues, server totals)
-function ReportsPage() {
-  const [loading, setLoading] = useState(true)
-  const [dateRange, setDateRange] = useState({
-    start: format(subDays(new Date(), 7), 'yyyy-MM-dd'),
-    end: format(new Date(), 'yyyy-MM-dd')
-  })
-  const [report, setReport] = useState(null)
+// Ingredients Management (stock in units, recipes are set on each product)
+const INGREDIENT_UNITS = ['g', 'kg', 'ml', 'l', 'pcs']
 
-  useEffect(() => {
-    fetchReport()
-  }, [dateRange])
+const emptyIngredient = { name: '', unit: 'g', stock_quantity: '', min_stock_alert: '', cost_per_unit: '', is_active: true }
 
-  const fetchReport = async () => {
-    setLoading(true)
+function IngredientsManagement() {
+  const navigate = useNavigate()
+  const [ingredients, setIngredients] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingIngredient, setEditingIngredient] = useState(null)
+  const [formData, setFormData] = useState(emptyIngredient)
+  const [stockIngredient, setStockIngredient] = useState(null)
+  const [stockForm, setStockForm] = useState({ adjustment: '', reason: '' })
+
+  const fetchData = async () => {
     try {
-      const response = await paymentsAPI.getReport(dateRange.start, dateRange.end)
-      setReport(response.data.data)
+      const res = await ingredientsAPI.getAll({ include_inactive: 'true' })
+      setIngredients(res.data.data || [])
     } catch (error) {
-      toast.error('Failed to fetch report')
+      toast.error('Failed to fetch ingredients')
     } finally {
       setLoading(false)
     }
   }
 
-  const handlePrint = () => window.print()
+  useEffect(() => { fetchData() }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = {
+        name: formData.name,
+        unit: formData.unit,
+        min_stock_alert: parseFloat(formData.min_stock_alert) || 0,
+        cost_per_unit: parseFloat(formData.cost_per_unit) || 0
+      }
+      if (editingIngredient) {
+        payload.is_active = formData.is_active
+        await ingredientsAPI.update(editingIngredient.id, payload)
+        toast.success('Ingredient updated')
+      } else {
+        payload.stock_quantity = parseFloat(formData.stock_quantity) || 0
+        await ingredientsAPI.create(payload)
+        toast.success('Ingredient created')
+      }
+      setShowForm(false)
+      setEditingIngredient(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleStockSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      await ingredientsAPI.updateStock(stockIngredient.id, {
+        adjustment: parseFloat(stockForm.adjustment),
+        reason: stockForm.reason || undefined
+      })
+      toast.success('Stock updated')
+      setStockIngredient(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleDelete = async (ingredient) => {
+    if (!confirm(`Deactivate "${ingredient.name}"? Recipes using it stop depleting it.`)) return
+    try {
+      await ingredientsAPI.delete(ingredient.id)
+      toast.success('Ingredient deactivated')
+      fetchData()
+    } catch (error) {}
+  }
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
 
   return (
     <div>
-      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6 print:hidden">
-        <h2 className="text-xl font-bold text-surface-800">Sales Reports</h2>
-        
-        <div className="flex items-center gap-4">
-          <div className="flex items-center gap-2">
-            <Calendar className="w-5 h-5 text-surface-400" />
-            <input
-              type="date"
-              value={dateRange.start}
-              onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
-              className="input py-2"
-            />
-            <span className="text-surface-400">to</span>
-            <input
-              type="date"
-              value={dateRange.end}
-              onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
-              className="input py-2"
-            />
-          </div>
-          <button onClick={handlePrint} className="btn btn-secondary flex items-center gap-2">
-            <Printer className="w-5 h-5" />
-            Print Report
-          </button>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-surface-800">Ingredients</h2>
+          <p className="text-sm text-surface-500">Depleted by each sale through the product recipes. A product is taken off sale when a required ingredient runs out.</p>
         </div>
+        <button onClick={() => { setEditingIngredient(null); setFormData(emptyIngredient); setShowForm(true) }} className="btn btn-primary">
+          <Plus className="w-5 h-5 mr-2" /> Add Ingredient
+        </button>
       </div>
-
-      {loading ? (
-        <div className="flex justify-center py-8"><div className="spinner"></div></div>
-      ) : report ? (
-        <div id="report-print-area">
-          <div className="mb-4 print:mb-2">
-            <h1 className="text-2xl font-bold text-surface-800">Showaya - Sales Report</h1>
-            <p className="text-surface-500">Period: {dateRange.start} to {dateRange.end}</p>
-          </div>
-          {/* Summary Cards */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-            <div className="card p-4">
-              <div className="flex items-center gap-3">
-                <div className="w-12 h-12 rounded-lg bg-blue-100 flex items-center justify-center">
-                  <ShoppingBag className="w-6 h-6 text-blue-600" />
-                </div>
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-4">{editingIngredient ? 'Edit Ingredient' : 'Add Ingredient'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
                 <div>
-                  <div className="text-sm text-surface-500">Total Orders</div>
-                  <div className="text-2xl font-bold">{report.summary.totalOrders}</div>
-                </div>
-              </div>
-            </div>
-            <div className="card p-4">
-              <div className="flex items-center gap-3">
-                <div className="w-12 h-12 rounded-lg bg-green-100 flex items-center justify-center">
-                  <DollarSign className="w-6 h-6 text-green-600" />
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" placeholder="Minced beef" required />
                 </div>
                 <div>
-                  <div className="text-sm text-surface-500">Total Sales</div>
-                  <div className="text-2xl font-bold text-green-600">{formatCurrency(report.summary.totalSales)}</div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Unit</label>
+                  <select value={formData.unit} onChange={(e) => setFormData({ ...formData, unit: e.target.value })} className="input">
+                    {INGREDIENT_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                  </select>
                 </div>
-              </div>
-            </div>
-            <div className="card p-4">
-              <div className="flex items-center gap-3">
-                <div className="w-12 h-12 rounded-lg bg-purple-100 flex items-center justify-center">
-                  <TrendingUp className="w-6 h-6 text-purple-600" />
+                {!editingIngredient && (
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Opening stock ({formData.unit})</label>
+                    <input type="number" value={formData.stock_quantity} onChange={(e) => setFormData({ ...formData, stock_quantity: e.target.value })} className="input" step="0.001" min="0" />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Low stock alert ({formData.unit})</label>
+                  <input type="number" value={formData.min_stock_alert} onChange={(e) => setFormData({ ...formData, min_stock_alert: e.target.value })} className="input" step="0.001" min="0" />
                 </div>
                 <div>
-                  <div className="text-sm text-surface-500">Avg Order Value</div>
-                  <div className="text-2xl font-bold">{formatCurrency(report.summary.averageOrderValue)}</div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Cost per {formData.unit} (DH)</label>
+                  <input type="number" value={formData.cost_per_unit} onChange={(e) => setFormData({ ...formData, cost_per_unit: e.target.value })} className="input" step="0.0001" min="0" />
                 </div>
+                {editingIngredient && (
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" id="ingredient_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
+                    <label htmlFor="ingredient_active" className="text-sm">Active</label>
+                  </div>
+                )}
               </div>
-            </div>
-            <div className="card p-4">
-              <div className="flex items-center gap-3">
-                <div className="w-12 h-12 rounded-lg bg-yellow-100 flex items-center justify-center">
-                  <DollarSign className="w-6 h-6 text-yellow-600" />
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      {stockIngredient && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-1">Adjust Stock</h3>
+            <p className="text-sm text-surface-500 mb-4">
+              {stockIngredient.name}: {parseFloat(stockIngredient.stock_quantity)} {stockIngredient.unit} in stock
+            </p>
+            <form onSubmit={handleStockSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Adjustment ({stockIngredient.unit}, negative to remove)</label>
+                  <input type="number" value={stockForm.adjustment} onChange={(e) => setStockForm({ ...stockForm, adjustment: e.target.value })} className="input" step="0.001" required />
                 </div>
                 <div>
-                  <div className="text-sm text-surface-500">Total Tips</div>
-                  <div className="text-2xl font-bold">{formatCurrency(report.summary.totalTips)}</div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Reason</label>
+                  <input type="text" value={stockForm.reason} onChange={(e) => setStockForm({ ...stockForm, reason: e.target.value })} className="input" placeholder="Delivery" maxLength={255} />
                 </div>
               </div>
-            </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setStockIngredient(null)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
           </div>
+        </div>
+      )}
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-surface-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Stock</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Cost / unit</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Used by</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ingredients.map(i => (
+              <tr key={i.id} className="border-t border-surface-100">
+                <td className="px-4 py-3 font-medium">{i.name}</td>
+                <td className="px-4 py-3 text-right">
+                  {parseFloat(i.stock_quantity)} {i.unit}
+                  {parseFloat(i.stock_quantity) <= parseFloat(i.min_stock_alert) && <span className="badge badge-warning ml-2">Low</span>}
+                </td>
+                <td className="px-4 py-3 text-right text-surface-500">{formatCurrency(i.cost_per_unit)} / {i.unit}</td>
+                <td className="px-4 py-3 text-surface-500">{i.product_count} products</td>
+                <td className="px-4 py-3">
+                  {i.is_active ? <span className="badge badge-success">Active</span> : <span className="badge badge-danger">Inactive</span>}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => navigate(`/admin/stock?ingredient_id=${i.id}`)} className="text-surface-500 hover:text-primary-500 mr-3" title="Stock history"><History className="w-4 h-4" /></button>
+                  <button onClick={() => { setStockIngredient(i); setStockForm({ adjustment: '', reason: '' }) }} className="text-surface-500 hover:text-primary-500 mr-3"><Package className="w-4 h-4" /></button>
+                  <button onClick={() => { setEditingIngredient(i); setFormData({ name: i.name, unit: i.unit, stock_quantity: '', min_stock_alert: parseFloat(i.min_stock_alert).toString(), cost_per_unit: parseFloat(i.cost_per_unit).toString(), is_active: !!i.is_active }); setShowForm(true) }} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                  {!!i.is_active && <button onClick={() => handleDelete(i)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
 
-          {/* Server Totals */}
-          {report.serverTotals?.length > 0 && (
-            <div className="card p-4 mb-6">
-              <h3 className="font-semibold text-surface-800 mb-4">Server Total Orders & Revenue</h3>
-              <div className="overflow-x-auto">
-                <table className="w-full">
-                  <thead>
-                    <tr className="border-b border-surface-100">
-                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Server</th>
-                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Orders</th>
-                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Revenue</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {report.serverTotals.map((row, i) => (
-                      <tr key={i} className="border-b border-surface-50">
-                        <td className="px-4 py-3 font-medium">{row.server_name}</td>
-                        <td className="px-4 py-3 text-right">{row.order_count}</td>
-                        <td className="px-4 py-3 text-right font-semibold text-green-600">
-                          {formatCurrency(row.total_sales)}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          )}
+// Stock History (the stock movement ledger, per product, variant or ingredient)
+const MOVEMENT_TYPES = [
+  { value: 'sale', label: 'Sale', badge: 'badge-info' },
+  { value: 'cancel', label: 'Cancel', badge: 'badge-info' },
+  { value: 'adjustment', label: 'Adjustment', badge: 'badge-warning' },
+  { value: 'receipt', label: 'Receipt', badge: 'badge-success' },
+  { value: 'waste', label: 'Waste', badge: 'badge-danger' },
+  { value: 'count', label: 'Count', badge: 'badge-warning' }
+]
 
-          {/* Top Products */}
-          <div className="card p-4 mb-6">
-            <h3 className="font-semibold text-surface-800 mb-4">Top Selling Products</h3>
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead>
-                  <tr className="border-b border-surface-100">
-                    <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Product</th>
-                    <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Category</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Qty Sold</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Revenue</th>
-                  </tr>
+function StockHistory() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [movements, setMovements] = useState([])
+  const [products, setProducts] = useState([])
+  const [ingredients, setIngredients] = useState([])
+  const [discrepancies, setDiscrepancies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reconciling, setReconciling] = useState(false)
+
+  const filters = {
+    product_id: searchParams.get('product_id') || '',
+    variant_id: searchParams.get('variant_id') || '',
+    ingredient_id: searchParams.get('ingredient_id') || '',
+    type: searchParams.get('type') || '',
+    start_date: searchParams.get('start_date') || '',
+    end_date: searchParams.get('end_date') || ''
+  }
+  const selectedProduct = products.find(p => p.id === parseInt(filters.product_id))
+
+  const setFilters = (changes) => {
+    const next = { ...filters, ...changes }
+    setSearchParams(Object.fromEntries(Object.entries(next).filter(([, value]) => value)))
+  }
+
+  const fetchDiscrepancies = async () => {
+    try {
+      const res = await stockMovementsAPI.getDiscrepancies()
+      setDiscrepancies(res.data.data || [])
+    } catch (error) {}
+  }
+
+  useEffect(() => {
+    Promise.all([productsAPI.getAll(), ingredientsAPI.getAll({ include_inactive: 'true' })])
+      .then(([productsRes, ingredientsRes]) => {
+        setProducts(productsRes.data.data || [])
+        setIngredients(ingredientsRes.data.data || [])
+      })
+      .catch(() => toast.error('Failed to fetch products'))
+    fetchDiscrepancies()
+  }, [])
+
+  const fetchMovements = async () => {
+    setLoading(true)
+    try {
+      const res = await stockMovementsAPI.getAll(Object.fromEntries(searchParams))
+      setMovements(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch stock movements')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchMovements() }, [searchParams])
+
+  const handleReconcile = async () => {
+    if (!confirm(`Record ${discrepancies.length} adjustments so the ledger matches stock on hand?`)) return
+    setReconciling(true)
+    try {
+      const res = await stockMovementsAPI.reconcile()
+      toast.success(res.data.message)
+      fetchDiscrepancies()
+      fetchMovements()
+    } catch (error) {
+    } finally {
+      setReconciling(false)
+    }
+  }
+
+  const itemValue = filters.ingredient_id ? `i:${filters.ingredient_id}` : filters.product_id ? `p:${filters.product_id}` : ''
+
+  const handleItemChange = (value) => {
+    const [kind, id] = value.split(':')
+    setFilters({
+      product_id: kind === 'p' ? id : '',
+      variant_id: '',
+      ingredient_id: kind === 'i' ? id : ''
+    })
+  }
+
+  const itemName = (m) => m.ingredient_id
+    ? m.ingredient_name
+    : m.variant_name ? `${m.product_name} (${m.variant_name})` : m.product_name
+
+  const typeOf = (value) => MOVEMENT_TYPES.find(t => t.value === value) || { label: value, badge: 'badge-info' }
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Stock History</h2>
+        <p className="text-sm text-surface-500">Every stock change, with who made it and why. Stock on hand is the balance of these movements.</p>
+      </div>
+
+      {discrepancies.length > 0 && (
+        <div className="card p-4 mb-6 border border-amber-200 bg-amber-50">
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex items-start gap-2">
+              <AlertTriangle className="w-5 h-5 text-amber-600 mt-0.5" />
+              <div>
+                <p className="font-medium text-amber-800">Stock changed outside the ledger for {discrepancies.length} items</p>
+                <p className="text-sm text-amber-700">
+                  {discrepancies.map(d => `${d.name}: ${parseFloat(d.stock_quantity)} on hand, ${parseFloat(d.ledger_quantity)} in ledger`).join(' · ')}
+                </p>
+              </div>
+            </div>
+            <button onClick={handleReconcile} disabled={reconciling} className="btn btn-secondary btn-sm whitespace-nowrap">
+              Reconcile
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card p-4 mb-6">
+        <div className="flex flex-wrap gap-3">
+          <select value={itemValue} onChange={(e) => handleItemChange(e.target.value)} className="input max-w-[240px]">
+            <option value="">All items</option>
+            <optgroup label="Products">
+              {products.map(p => <option key={p.id} value={`p:${p.id}`}>{p.name}</option>)}
+            </optgroup>
+            <optgroup label="Ingredients">
+              {ingredients.map(i => <option key={i.id} value={`i:${i.id}`}>{i.name}</option>)}
+            </optgroup>
+          </select>
+          {selectedProduct?.variants?.length > 0 && (
+            <select value={filters.variant_id} onChange={(e) => setFilters({ variant_id: e.target.value })} className="input max-w-[180px]">
+              <option value="">All variants</option>
+              {selectedProduct.variants.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+            </select>
+          )}
+          <select value={filters.type} onChange={(e) => setFilters({ type: e.target.value })} className="input max-w-[160px]">
+            <option value="">All types</option>
+            {MOVEMENT_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <div className="flex items-center gap-2">
+            <Calendar className="w-5 h-5 text-surface-400" />
+            <input type="date" value={filters.start_date} onChange={(e) => setFilters({ start_date: e.target.value })} className="input py-2" />
+            <span className="text-surface-400">–</span>
+            <input type="date" value={filters.end_date} onChange={(e) => setFilters({ end_date: e.target.value })} className="input py-2" />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Date</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Item</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Type</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Change</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Balance</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">By</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Order / Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {movements.map(m => {
+                const quantity = parseFloat(m.quantity)
+                const unit = m.ingredient_id ? ` ${m.unit}` : ''
+                return (
+                  <tr key={m.id} className="border-t border-surface-100">
+                    <td className="px-4 py-3 text-sm">{format(new Date(m.created_at), 'dd/MM HH:mm')}</td>
+                    <td className="px-4 py-3 font-medium">{itemName(m)}</td>
+                    <td className="px-4 py-3"><span className={`badge ${typeOf(m.movement_type).badge}`}>{typeOf(m.movement_type).label}</span></td>
+                    <td className={`px-4 py-3 text-right font-medium ${quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {quantity > 0 ? '+' : ''}{quantity}{unit}
+                    </td>
+                    <td className="px-4 py-3 text-right">{parseFloat(m.balance_after)}{unit}</td>
+                    <td className="px-4 py-3 text-sm text-surface-500">{m.user_name || '—'}</td>
+                    <td className="px-4 py-3 text-sm text-surface-500">
+                      {m.order_number && <span className="font-mono mr-2">{m.order_number}</span>}
+                      {m.reason}
+                    </td>
+                  </tr>
+                )
+              })}
+              {movements.length === 0 && (
+                <tr><td colSpan={7} className="px-4 py-8 text-center text-surface-500">No stock movements</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Suppliers Management
+const emptySupplier = { name: '', contact_name: '', phone: '', email: '', address: '', notes: '', is_active: true }
+
+function SuppliersManagement() {
+  const [suppliers, setSuppliers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingSupplier, setEditingSupplier] = useState(null)
+  const [formData, setFormData] = useState(emptySupplier)
+
+  const fetchData = async () => {
+    try {
+      const res = await suppliersAPI.getAll({ include_inactive: 'true' })
+      setSuppliers(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch suppliers')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = {
+        name: formData.name,
+        contact_name: formData.contact_name || null,
+        phone: formData.phone || null,
+        email: formData.email || null,
+        address: formData.address || null,
+        notes: formData.notes || null
+      }
+      if (editingSupplier) {
+        payload.is_active = formData.is_active
+        await suppliersAPI.update(editingSupplier.id, payload)
+        toast.success('Supplier updated')
+      } else {
+        await suppliersAPI.create(payload)
+        toast.success('Supplier created')
+      }
+      setShowForm(false)
+      setEditingSupplier(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleDelete = async (supplier) => {
+    if (!confirm(`Deactivate supplier "${supplier.name}"? Its purchase orders are kept.`)) return
+    try {
+      await suppliersAPI.delete(supplier.id)
+      toast.success('Supplier deactivated')
+      fetchData()
+    } catch (error) {}
+  }
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Suppliers</h2>
+        <button onClick={() => { setEditingSupplier(null); setFormData(emptySupplier); setShowForm(true) }} className="btn btn-primary">
+          <Plus className="w-5 h-5 mr-2" /> Add Supplier
+        </button>
+      </div>
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-4">{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" required />
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Contact</label>
+                    <input type="text" value={formData.contact_name} onChange={(e) => setFormData({ ...formData, contact_name: e.target.value })} className="input" maxLength={100} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Phone</label>
+                    <input type="text" value={formData.phone} onChange={(e) => setFormData({ ...formData, phone: e.target.value })} className="input" maxLength={30} />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Email</label>
+                  <input type="email" value={formData.email} onChange={(e) => setFormData({ ...formData, email: e.target.value })} className="input" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Address</label>
+                  <input type="text" value={formData.address} onChange={(e) => setFormData({ ...formData, address: e.target.value })} className="input" maxLength={255} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Notes</label>
+                  <textarea value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} className="input" rows={2} />
+                </div>
+                {editingSupplier && (
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" id="supplier_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
+                    <label htmlFor="supplier_active" className="text-sm">Active</label>
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-surface-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Contact</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Open orders</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {suppliers.map(s => (
+              <tr key={s.id} className="border-t border-surface-100">
+                <td className="px-4 py-3 font-medium">{s.name}</td>
+                <td className="px-4 py-3 text-sm text-surface-500">{[s.contact_name, s.phone, s.email].filter(Boolean).join(' · ') || '—'}</td>
+                <td className="px-4 py-3 text-surface-500">{s.open_order_count}</td>
+                <td className="px-4 py-3">
+                  {s.is_active ? <span className="badge badge-success">Active</span> : <span className="badge badge-danger">Inactive</span>}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => { setEditingSupplier(s); setFormData({ name: s.name, contact_name: s.contact_name || '', phone: s.phone || '', email: s.email || '', address: s.address || '', notes: s.notes || '', is_active: !!s.is_active }); setShowForm(true) }} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                  {!!s.is_active && <button onClick={() => handleDelete(s)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Purchase Orders (ordering from suppliers, receiving deliveries, outstanding deliveries)
+const PO_STATUSES = [
+  { value: 'draft', label: 'Draft', badge: 'bg-surface-100 text-surface-600' },
+  { value: 'ordered', label: 'Ordered', badge: 'badge-info' },
+  { value: 'partially_received', label: 'Partially received', badge: 'badge-warning' },
+  { value: 'received', label: 'Received', badge: 'badge-success' },
+  { value: 'cancelled', label: 'Cancelled', badge: 'badge-danger' }
+]
+
+const poStatus = (value) => PO_STATUSES.find(s => s.value === value) || PO_STATUSES[0]
+
+const emptyPoLine = { item: '', quantity: '', unit_cost: '' }
+
+// Line items are encoded as "p:<product>[:<variant>]" or "i:<ingredient>" in the select
+const encodePoItem = (line) => line.ingredient_id
+  ? `i:${line.ingredient_id}`
+  : `p:${line.product_id}${line.variant_id ? `:${line.variant_id}` : ''}`
+
+const decodePoItem = (value) => {
+  const [kind, id, variantId] = value.split(':')
+  return kind === 'i'
+    ? { ingredient_id: parseInt(id) }
+    : { product_id: parseInt(id), variant_id: variantId ? parseInt(variantId) : null }
+}
+
+function PurchaseOrdersManagement() {
+  const [tab, setTab] = useState('orders')
+  const [orders, setOrders] = useState([])
+  const [outstanding, setOutstanding] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [products, setProducts] = useState([])
+  const [ingredients, setIngredients] = useState([])
+  const [statusFilter, setStatusFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingOrder, setEditingOrder] = useState(null)
+  const [formData, setFormData] = useState({ supplier_id: '', expected_date: '', notes: '', lines: [emptyPoLine] })
+  const [detail, setDetail] = useState(null)
+  const [receiveForm, setReceiveForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const fetchData = async () => {
+    setLoading(true)
+    try {
+      const [ordersRes, outstandingRes] = await Promise.all([
+        purchaseOrdersAPI.getAll(statusFilter ? { status: statusFilter } : {}),
+        purchaseOrdersAPI.getOutstanding()
+      ])
+      setOrders(ordersRes.data.data || [])
+      setOutstanding(outstandingRes.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch purchase orders')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    Promise.all([suppliersAPI.getAll(), productsAPI.getAll(), ingredientsAPI.getAll()])
+      .then(([suppliersRes, productsRes, ingredientsRes]) => {
+        setSuppliers(suppliersRes.data.data || [])
+        setProducts((productsRes.data.data || []).filter(p => !p.is_bundle))
+        setIngredients(ingredientsRes.data.data || [])
+      })
+      .catch(() => toast.error('Failed to fetch suppliers'))
+  }, [])
+
+  useEffect(() => { fetchData() }, [statusFilter])
+
+  const openDetail = async (id) => {
+    try {
+      const res = await purchaseOrdersAPI.getById(id)
+      setDetail(res.data.data)
+      setReceiveForm(null)
+    } catch (error) {}
+  }
+
+  const openForm = (order = null) => {
+    setEditingOrder(order)
+    setFormData(order
+      ? {
+        supplier_id: order.supplier_id.toString(),
+        expected_date: order.expected_date ? format(new Date(order.expected_date), 'yyyy-MM-dd') : '',
+        notes: order.notes || '',
+        lines: order.lines.map(line => ({
+          item: encodePoItem(line),
+          quantity: parseFloat(line.quantity_ordered).toString(),
+          unit_cost: parseFloat(line.unit_cost).toString()
+        }))
+      }
+      : { supplier_id: suppliers[0]?.id.toString() || '', expected_date: '', notes: '', lines: [emptyPoLine] })
+    setDetail(null)
+    setShowForm(true)
+  }
+
+  const updateLine = (index, field, value) => {
+    const lines = formData.lines.map((line, i) => i === index ? { ...line, [field]: value } : line)
+    setFormData({ ...formData, lines })
+  }
+
+  const formTotal = formData.lines.reduce((sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.unit_cost) || 0), 0)
+
+  const handleSubmit = async (submit) => {
+    const payload = {
+      supplier_id: parseInt(formData.supplier_id),
+      expected_date: formData.expected_date || null,
+      notes: formData.notes || null,
+      lines: formData.lines.filter(line => line.item).map(line => ({
+        ...decodePoItem(line.item),
+        quantity: parseFloat(line.quantity),
+        unit_cost: parseFloat(line.unit_cost) || 0
+      }))
+    }
+    setSaving(true)
+    try {
+      let order
+      if (editingOrder) {
+        order = (await purchaseOrdersAPI.update(editingOrder.id, payload)).data.data
+        if (submit) await purchaseOrdersAPI.submit(order.id)
+      } else {
+        order = (await purchaseOrdersAPI.create({ ...payload, submit })).data.data
+      }
+      toast.success(submit ? `${order.po_number} sent` : `${order.po_number} saved as draft`)
+      setShowForm(false)
+      fetchData()
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSend = async (order) => {
+    try {
+      const res = await purchaseOrdersAPI.submit(order.id)
+      toast.success(res.data.message)
+      setDetail(res.data.data)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleCancel = async (order) => {
+    const reason = prompt(`Cancel ${order.po_number}? Goods already received stay in stock.\n\nReason:`)
+    if (reason === null) return
+    try {
+      const res = await purchaseOrdersAPI.cancel(order.id, reason || undefined)
+      toast.success(res.data.message)
+      setDetail(res.data.data)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const startReceive = () => {
+    setReceiveForm({
+      cost_method: 'average',
+      notes: '',
+      lines: detail.lines.map(line => ({
+        line_id: line.id,
+        quantity: Math.max(parseFloat(line.quantity_ordered) - parseFloat(line.quantity_received), 0).toString(),
+        unit_cost: parseFloat(line.unit_cost).toString()
+      }))
+    })
+  }
+
+  const updateReceiveLine = (index, field, value) => {
+    const lines = receiveForm.lines.map((line, i) => i === index ? { ...line, [field]: value } : line)
+    setReceiveForm({ ...receiveForm, lines })
+  }
+
+  const handleReceive = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const res = await purchaseOrdersAPI.receive(detail.id, {
+        cost_method: receiveForm.cost_method,
+        notes: receiveForm.notes || null,
+        lines: receiveForm.lines
+          .filter(line => parseFloat(line.quantity) > 0)
+          .map(line => ({ line_id: line.line_id, quantity: parseFloat(line.quantity), unit_cost: parseFloat(line.unit_cost) }))
+      })
+      toast.success(res.data.message)
+      setDetail(res.data.data)
+      setReceiveForm(null)
+      fetchData()
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const quantityLabel = (value, unit) => `${parseFloat(value)}${unit ? ` ${unit}` : ''}`
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Purchase Orders</h2>
+        <button onClick={() => openForm()} className="btn btn-primary" disabled={suppliers.length === 0} title={suppliers.length === 0 ? 'Add a supplier first' : undefined}>
+          <Plus className="w-5 h-5 mr-2" /> New Purchase Order
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex gap-2">
+          <button onClick={() => setTab('orders')} className={`btn btn-sm ${tab === 'orders' ? 'btn-primary' : 'btn-secondary'}`}>Orders</button>
+          <button onClick={() => setTab('outstanding')} className={`btn btn-sm ${tab === 'outstanding' ? 'btn-primary' : 'btn-secondary'}`}>
+            Outstanding deliveries {outstanding.length > 0 && `(${outstanding.length})`}
+          </button>
+        </div>
+        {tab === 'orders' && (
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input max-w-[200px]">
+            <option value="">All statuses</option>
+            {PO_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-2xl m-4 max-h-[90vh] overflow-auto">
+            <h3 className="text-lg font-bold mb-4">{editingOrder ? `Edit ${editingOrder.po_number}` : 'New Purchase Order'}</h3>
+            <form onSubmit={(e) => { e.preventDefault(); handleSubmit(false) }}>
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Supplier</label>
+                    <select value={formData.supplier_id} onChange={(e) => setFormData({ ...formData, supplier_id: e.target.value })} className="input" required>
+                      {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Expected delivery</label>
+                    <input type="date" value={formData.expected_date} onChange={(e) => setFormData({ ...formData, expected_date: e.target.value })} className="input" />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Lines (quantity in the item's unit)</label>
+                  <div className="space-y-2">
+                    {formData.lines.map((line, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select value={line.item} onChange={(e) => updateLine(index, 'item', e.target.value)} className="input flex-1" required>
+                          <option value="">Product or ingredient</option>
+                          <optgroup label="Products">
+                            {products.flatMap(p => p.variants?.length > 0
+                              ? p.variants.map(v => <option key={`p${p.id}v${v.id}`} value={`p:${p.id}:${v.id}`}>{p.name} ({v.name})</option>)
+                              : [<option key={`p${p.id}`} value={`p:${p.id}`}>{p.name}</option>])}
+                          </optgroup>
+                          <optgroup label="Ingredients">
+                            {ingredients.map(i => <option key={`i${i.id}`} value={`i:${i.id}`}>{i.name} ({i.unit})</option>)}
+                          </optgroup>
+                        </select>
+                        <input type="number" value={line.quantity} onChange={(e) => updateLine(index, 'quantity', e.target.value)} className="input w-24" step="0.001" min="0.001" placeholder="Qty" required />
+                        <input type="number" value={line.unit_cost} onChange={(e) => updateLine(index, 'unit_cost', e.target.value)} className="input w-24" step="0.0001" min="0" placeholder="Unit cost" />
+                        <button type="button" onClick={() => setFormData({ ...formData, lines: formData.lines.filter((_, i) => i !== index) })} className="text-surface-400 hover:text-red-500" disabled={formData.lines.length === 1}>
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, lines: [...formData.lines, emptyPoLine] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add line
+                    </button>
+                  </div>
+                  <p className="text-right text-sm font-medium mt-2">Total {formatCurrency(formTotal)}</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Notes</label>
+                  <textarea value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} className="input" rows={2} />
+                </div>
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" disabled={saving} className="btn btn-secondary flex-1"><Save className="w-4 h-4 mr-2" /> Save draft</button>
+                <button type="button" disabled={saving} onClick={(e) => { if (e.currentTarget.form.reportValidity()) handleSubmit(true) }} className="btn btn-primary flex-1"><Send className="w-4 h-4 mr-2" /> Send to supplier</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {detail && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-2xl m-4 max-h-[90vh] overflow-auto">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-bold">{detail.po_number} <span className={`badge ${poStatus(detail.status).badge} ml-2`}>{poStatus(detail.status).label}</span></h3>
+                <p className="text-sm text-surface-500">
+                  {detail.supplier_name}
+                  {detail.expected_date && ` · expected ${format(new Date(detail.expected_date), 'dd/MM/yyyy')}`}
+                  {detail.created_by_name && ` · by ${detail.created_by_name}`}
+                </p>
+              </div>
+              <button onClick={() => setDetail(null)} className="text-surface-400 hover:text-surface-600"><X className="w-5 h-5" /></button>
+            </div>
+
+            <form onSubmit={handleReceive}>
+              <table className="w-full text-sm mb-4">
+                <thead className="bg-surface-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-surface-600">Item</th>
+                    <th className="px-3 py-2 text-right font-medium text-surface-600">Ordered</th>
+                    <th className="px-3 py-2 text-right font-medium text-surface-600">Received</th>
+                    <th className="px-3 py-2 text-right font-medium text-surface-600">Unit cost</th>
+                    {receiveForm && <th className="px-3 py-2 text-right font-medium text-surface-600">Receive now</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {detail.lines.map((line, index) => (
+                    <tr key={line.id} className="border-t border-surface-100">
+                      <td className="px-3 py-2">{line.description}</td>
+                      <td className="px-3 py-2 text-right">{quantityLabel(line.quantity_ordered, line.unit)}</td>
+                      <td className="px-3 py-2 text-right">{quantityLabel(line.quantity_received, line.unit)}</td>
+                      <td className="px-3 py-2 text-right">
+                        {receiveForm
+                          ? <input type="number" value={receiveForm.lines[index].unit_cost} onChange={(e) => updateReceiveLine(index, 'unit_cost', e.target.value)} className="input w-24 py-1 text-right" step="0.0001" min="0" />
+                          : formatCurrency(line.unit_cost)}
+                      </td>
+                      {receiveForm && (
+                        <td className="px-3 py-2 text-right">
+                          <input
+                            type="number"
+                            value={receiveForm.lines[index].quantity}
+                            onChange={(e) => updateReceiveLine(index, 'quantity', e.target.value)}
+                            className="input w-24 py-1 text-right"
+                            step="0.001"
+                            min="0"
+                            max={parseFloat(line.quantity_ordered) - parseFloat(line.quantity_received)}
+                          />
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {receiveForm && (
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Update cost to</label>
+                    <select value={receiveForm.cost_method} onChange={(e) => setReceiveForm({ ...receiveForm, cost_method: e.target.value })} className="input">
+                      <option value="average">Weighted average cost</option>
+                      <option value="last">This delivery's cost</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Delivery note</label>
+                    <input type="text" value={receiveForm.notes} onChange={(e) => setReceiveForm({ ...receiveForm, notes: e.target.value })} className="input" maxLength={255} placeholder="BL 1234" />
+                  </div>
+                </div>
+              )}
+
+              {detail.receipts.length > 0 && (
+                <div className="mb-4">
+                  <p className="text-sm font-medium text-surface-600 mb-1">Deliveries</p>
+                  <ul className="text-sm text-surface-500 space-y-1">
+                    {detail.receipts.map(receipt => (
+                      <li key={receipt.id}>
+                        {format(new Date(receipt.received_at), 'dd/MM HH:mm')} · {receipt.received_by_name || '—'}:{' '}
+                        {receipt.lines.map(line => `${parseFloat(line.quantity)} × ${line.description}`).join(', ')}
+                        {receipt.notes && ` (${receipt.notes})`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {detail.notes && <p className="text-sm text-surface-500 mb-4">{detail.notes}</p>}
+
+              <div className="flex gap-3">
+                {receiveForm ? (
+                  <>
+                    <button type="button" onClick={() => setReceiveForm(null)} className="btn btn-secondary flex-1">Back</button>
+                    <button type="submit" disabled={saving} className="btn btn-primary flex-1"><PackageCheck className="w-4 h-4 mr-2" /> Confirm delivery</button>
+                  </>
+                ) : (
+                  <>
+                    {!['received', 'cancelled'].includes(detail.status) && (
+                      <button type="button" onClick={() => handleCancel(detail)} className="btn btn-secondary flex-1">Cancel order</button>
+                    )}
+                    {detail.status === 'draft' && (
+                      <>
+                        <button type="button" onClick={() => openForm(detail)} className="btn btn-secondary flex-1"><Edit className="w-4 h-4 mr-2" /> Edit</button>
+                        <button type="button" onClick={() => handleSend(detail)} className="btn btn-primary flex-1"><Send className="w-4 h-4 mr-2" /> Send</button>
+                      </>
+                    )}
+                    {['ordered', 'partially_received'].includes(detail.status) && (
+                      <button type="button" onClick={startReceive} className="btn btn-primary flex-1"><PackageCheck className="w-4 h-4 mr-2" /> Receive goods</button>
+                    )}
+                  </>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : tab === 'orders' ? (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Number</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Supplier</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Expected</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Total</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Received</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(o => (
+                <tr key={o.id} onClick={() => openDetail(o.id)} className="border-t border-surface-100 cursor-pointer hover:bg-surface-50">
+                  <td className="px-4 py-3 font-mono text-sm">{o.po_number}</td>
+                  <td className="px-4 py-3 font-medium">{o.supplier_name}</td>
+                  <td className="px-4 py-3"><span className={`badge ${poStatus(o.status).badge}`}>{poStatus(o.status).label}</span></td>
+                  <td className="px-4 py-3 text-sm text-surface-500">{o.expected_date ? format(new Date(o.expected_date), 'dd/MM/yyyy') : '—'}</td>
+                  <td className="px-4 py-3 text-right">{formatCurrency(o.total_amount)}</td>
+                  <td className="px-4 py-3 text-right text-surface-500">{formatCurrency(o.received_amount)}</td>
+                </tr>
+              ))}
+              {orders.length === 0 && (
+                <tr><td colSpan={6} className="px-4 py-8 text-center text-surface-500">No purchase orders</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Expected</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Supplier</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Order</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Item</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Outstanding</th>
+              </tr>
+            </thead>
+            <tbody>
+              {outstanding.map(line => (
+                <tr key={line.id} onClick={() => openDetail(line.purchase_order_id)} className="border-t border-surface-100 cursor-pointer hover:bg-surface-50">
+                  <td className="px-4 py-3 text-sm">
+                    {line.expected_date ? format(new Date(line.expected_date), 'dd/MM/yyyy') : '—'}
+                    {!!line.is_overdue && <span className="badge badge-danger ml-2">Overdue</span>}
+                  </td>
+                  <td className="px-4 py-3 font-medium">
+                    {line.supplier_name}
+                    {line.supplier_phone && <span className="block text-xs text-surface-500">{line.supplier_phone}</span>}
+                  </td>
+                  <td className="px-4 py-3 font-mono text-sm">{line.po_number}</td>
+                  <td className="px-4 py-3">{line.description}</td>
+                  <td className="px-4 py-3 text-right">
+                    {quantityLabel(line.quantity_outstanding, line.unit)}
+                    <span className="block text-xs text-surface-500">of {quantityLabel(line.quantity_ordered, line.unit)}</span>
+                  </td>
+                </tr>
+              ))}
+              {outstanding.length === 0 && (
+                <tr><td colSpan={5} className="px-4 py-8 text-center text-surface-500">Nothing waiting for delivery</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Stocktakes (physical inventory counts, variance review, posting adjustments)
+const STOCKTAKE_STATUSES = {
+  open: { label: 'Counting', badge: 'badge-info' },
+  posted: { label: 'Posted', badge: 'badge-success' },
+  cancelled: { label: 'Cancelled', badge: 'bg-surface-100 text-surface-600' },
+}
+
+function StocktakesManagement() {
+  const [stocktakes, setStocktakes] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState({ name: '', notes: '', category_id: '', include_products: true, include_ingredients: true })
+  const [active, setActive] = useState(null)
+  const [counts, setCounts] = useState({})
+  const [search, setSearch] = useState('')
+  const [onlyUncounted, setOnlyUncounted] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const fetchStocktakes = async () => {
+    try {
+      const res = await stocktakesAPI.getAll()
+      setStocktakes(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch stocktakes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchStocktakes()
+    categoriesAPI.getAll().then(res => setCategories(res.data.data || [])).catch(() => {})
+  }, [])
+
+  // Counts typed but not saved yet, keyed by line id
+  const dirtyLines = active ? active.lines.filter(line => counts[line.id] !== undefined) : []
+
+  const openStocktake = async (id) => {
+    try {
+      const res = await stocktakesAPI.getById(id)
+      setActive(res.data.data)
+      setCounts({})
+      setSearch('')
+    } catch (error) {}
+  }
+
+  const closeStocktake = () => {
+    if (dirtyLines.length > 0 && !confirm(`Leave without saving ${dirtyLines.length} counts?`)) return
+    setActive(null)
+    fetchStocktakes()
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const res = await stocktakesAPI.create({
+        name: formData.name,
+        notes: formData.notes || null,
+        category_id: formData.category_id ? parseInt(formData.category_id) : null,
+        include_products: formData.include_products,
+        include_ingredients: formData.include_ingredients
+      })
+      toast.success(res.data.message)
+      setShowForm(false)
+      setActive(res.data.data)
+      setCounts({})
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveCounts = async () => {
+    setSaving(true)
+    try {
+      const res = await stocktakesAPI.saveCounts(active.id, dirtyLines.map(line => ({
+        line_id: line.id,
+        counted_quantity: counts[line.id] === '' ? null : parseFloat(counts[line.id])
+      })))
+      toast.success(res.data.message)
+      setActive(res.data.data)
+      setCounts({})
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePost = async () => {
+    const { totals } = active
+    const uncounted = totals.line_count - totals.counted_lines
+    if (!confirm(
+      `Post ${totals.counted_lines} counted items? Stock will be set to the counted quantities ` +
+      `(variance ${formatCurrency(totals.variance_value)}).` +
+      (uncounted > 0 ? `\n\n${uncounted} uncounted items are left unchanged.` : '')
+    )) return
+    setSaving(true)
+    try {
+      const res = await stocktakesAPI.post(active.id)
+      toast.success(res.data.message)
+      setActive(res.data.data)
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCancel = async (stocktake) => {
+    if (!confirm(`Cancel "${stocktake.name}"? Counts are discarded and stock is not changed.`)) return
+    try {
+      await stocktakesAPI.cancel(stocktake.id)
+      toast.success('Stocktake cancelled')
+      setActive(null)
+      fetchStocktakes()
+    } catch (error) {}
+  }
+
+  const quantityLabel = (value, unit) => value === null ? '—' : `${parseFloat(value)}${unit ? ` ${unit}` : ''}`
+  const varianceClass = (value) => value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-surface-500'
+
+  if (active) {
+    const isOpen = active.status === 'open'
+    const lines = active.lines.filter(line =>
+      line.description.toLowerCase().includes(search.toLowerCase()) &&
+      (!onlyUncounted || line.counted_quantity === null)
+    )
+
+    return (
+      <div>
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-surface-800">
+              {active.name} <span className={`badge ${STOCKTAKE_STATUSES[active.status].badge} ml-2`}>{STOCKTAKE_STATUSES[active.status].label}</span>
+            </h2>
+            <p className="text-sm text-surface-500">
+              Started {format(new Date(active.started_at), 'dd/MM/yyyy HH:mm')}
+              {active.started_by_name && ` by ${active.started_by_name}`}
+              {active.posted_at && ` · posted ${format(new Date(active.posted_at), 'dd/MM/yyyy HH:mm')}`}
+              {active.posted_by_name && ` by ${active.posted_by_name}`}
+            </p>
+          </div>
+          <button onClick={closeStocktake} className="btn btn-secondary">Back</button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 mb-4">
+          <div className="card p-4">
+            <p className="text-sm text-surface-500">Counted</p>
+            <p className="text-2xl font-bold">{active.totals.counted_lines} / {active.totals.line_count}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-surface-500">Net variance</p>
+            <p className={`text-2xl font-bold ${varianceClass(active.totals.variance_value)}`}>{formatCurrency(active.totals.variance_value)}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-surface-500">Shrinkage</p>
+            <p className="text-2xl font-bold text-red-600">{formatCurrency(active.totals.shrinkage_value)}</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-surface-400" />
+            <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} className="input pl-10" placeholder="Search items..." />
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={onlyUncounted} onChange={(e) => setOnlyUncounted(e.target.checked)} />
+            Not counted yet
+          </label>
+          {isOpen && (
+            <>
+              <button onClick={() => handleCancel(active)} className="btn btn-secondary">Cancel count</button>
+              <button onClick={handleSaveCounts} disabled={saving || dirtyLines.length === 0} className="btn btn-secondary">
+                <Save className="w-4 h-4 mr-2" /> Save counts {dirtyLines.length > 0 && `(${dirtyLines.length})`}
+              </button>
+              <button onClick={handlePost} disabled={saving || dirtyLines.length > 0 || active.totals.counted_lines === 0} className="btn btn-primary" title={dirtyLines.length > 0 ? 'Save counts first' : undefined}>
+                <PackageCheck className="w-4 h-4 mr-2" /> Post adjustments
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Item</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Expected</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Counted</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Variance</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(line => (
+                <tr key={line.id} className="border-t border-surface-100">
+                  <td className="px-4 py-3">
+                    <span className="font-medium">{line.description}</span>
+                    {line.ingredient_id && <span className="badge badge-info ml-2">Ingredient</span>}
+                    {line.counted_by_name && <span className="block text-xs text-surface-500">{line.counted_by_name} · {format(new Date(line.counted_at), 'dd/MM HH:mm')}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-right text-surface-500">{quantityLabel(line.expected_quantity, line.unit)}</td>
+                  <td className="px-4 py-3 text-right">
+                    {isOpen ? (
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        value={counts[line.id] ?? (line.counted_quantity === null ? '' : parseFloat(line.counted_quantity))}
+                        onChange={(e) => setCounts({ ...counts, [line.id]: e.target.value })}
+                        className={`input w-28 text-right text-lg ${counts[line.id] !== undefined ? 'border-primary-400' : ''}`}
+                        step="0.001"
+                        min="0"
+                      />
+                    ) : quantityLabel(line.counted_quantity, line.unit)}
+                  </td>
+                  <td className={`px-4 py-3 text-right ${varianceClass(line.variance)}`}>
+                    {line.variance === null ? '—' : `${line.variance > 0 ? '+' : ''}${line.variance}`}
+                  </td>
+                  <td className={`px-4 py-3 text-right ${varianceClass(line.variance_value)}`}>
+                    {line.variance_value === null ? '—' : formatCurrency(line.variance_value)}
+                  </td>
+                </tr>
+              ))}
+              {lines.length === 0 && (
+                <tr><td colSpan={5} className="px-4 py-8 text-center text-surface-500">No items</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Stocktakes</h2>
+        <button
+          onClick={() => {
+            setFormData({ name: `Stocktake ${format(new Date(), 'dd/MM/yyyy')}`, notes: '', category_id: '', include_products: true, include_ingredients: true })
+            setShowForm(true)
+          }}
+          className="btn btn-primary"
+        >
+          <Plus className="w-5 h-5 mr-2" /> Start Count
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-4">Start Count</h3>
+            <form onSubmit={handleCreate}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" maxLength={100} required />
+                </div>
+                <div className="space-y-2">
+                  <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={formData.include_products} onChange={(e) => setFormData({ ...formData, include_products: e.target.checked })} />
+                    Stock-tracked products
+                  </label>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={formData.include_ingredients} onChange={(e) => setFormData({ ...formData, include_ingredients: e.target.checked })} />
+                    Ingredients
+                  </label>
+                </div>
+                {formData.include_products && (
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Product category</label>
+                    <select value={formData.category_id} onChange={(e) => setFormData({ ...formData, category_id: e.target.value })} className="input">
+                      <option value="">All categories</option>
+                      {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Notes</label>
+                  <textarea value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} className="input" rows={2} />
+                </div>
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" disabled={saving || (!formData.include_products && !formData.include_ingredients)} className="btn btn-primary flex-1">Start</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Started</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Counted</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Variance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stocktakes.map(s => (
+                <tr key={s.id} onClick={() => openStocktake(s.id)} className="border-t border-surface-100 cursor-pointer hover:bg-surface-50">
+                  <td className="px-4 py-3 font-medium">{s.name}</td>
+                  <td className="px-4 py-3"><span className={`badge ${STOCKTAKE_STATUSES[s.status].badge}`}>{STOCKTAKE_STATUSES[s.status].label}</span></td>
+                  <td className="px-4 py-3 text-sm text-surface-500">
+                    {format(new Date(s.started_at), 'dd/MM/yyyy HH:mm')}
+                    {s.started_by_name && ` · ${s.started_by_name}`}
+                  </td>
+                  <td className="px-4 py-3 text-right">{s.counted_lines} / {s.line_count}</td>
+                  <td className={`px-4 py-3 text-right ${varianceClass(parseFloat(s.variance_value))}`}>
+                    {s.variance_value === null ? '—' : formatCurrency(s.variance_value)}
+                  </td>
+                </tr>
+              ))}
+              {stocktakes.length === 0 && (
+                <tr><td colSpan={5} className="px-4 py-8 text-center text-surface-500">No stocktakes yet</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Waste Log (spoilage, breakage and remakes; stock taken out and valued at cost)
+function WasteLog() {
+  const [entries, setEntries] = useState([])
+  const [products, setProducts] = useState([])
+  const [ingredients, setIngredients] = useState([])
+  const [filters, setFilters] = useState({
+    start_date: format(subDays(new Date(), 7), 'yyyy-MM-dd'),
+    end_date: format(new Date(), 'yyyy-MM-dd'),
+    reason: ''
+  })
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState({ item: '', quantity: '1', reason: 'dropped', notes: '' })
+  const [saving, setSaving] = useState(false)
+
+  const fetchEntries = async () => {
+    setLoading(true)
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const res = await wasteAPI.getAll(params)
+      setEntries(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch waste log')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    Promise.all([productsAPI.getAll(), ingredientsAPI.getAll()])
+      .then(([productsRes, ingredientsRes]) => {
+        setProducts((productsRes.data.data || []).filter(p => !p.is_bundle))
+        setIngredients(ingredientsRes.data.data || [])
+      })
+      .catch(() => toast.error('Failed to fetch products'))
+  }, [])
+
+  useEffect(() => { fetchEntries() }, [filters])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const res = await wasteAPI.create({
+        ...decodePoItem(formData.item),
+        quantity: parseFloat(formData.quantity),
+        reason: formData.reason,
+        notes: formData.notes || null
+      })
+      toast.success(`${res.data.data.description} logged as waste (${formatCurrency(res.data.data.total_cost)})`)
+      setShowForm(false)
+      fetchEntries()
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const totalCost = entries.reduce((sum, entry) => sum + parseFloat(entry.total_cost), 0)
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Waste Log</h2>
+        <button
+          onClick={() => {
+            setFormData({ item: '', quantity: '1', reason: 'dropped', notes: '' })
+            setShowForm(true)
+          }}
+          className="btn btn-primary"
+        >
+          <Plus className="w-5 h-5 mr-2" /> Log Waste
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <Calendar className="w-5 h-5 text-surface-400" />
+          <input type="date" value={filters.start_date} onChange={(e) => setFilters({ ...filters, start_date: e.target.value })} className="input py-2" />
+          <span className="text-surface-400">to</span>
+          <input type="date" value={filters.end_date} onChange={(e) => setFilters({ ...filters, end_date: e.target.value })} className="input py-2" />
+        </div>
+        <select value={filters.reason} onChange={(e) => setFilters({ ...filters, reason: e.target.value })} className="input max-w-[220px]">
+          <option value="">All reasons</option>
+          {WASTE_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <span className="ml-auto text-sm text-surface-500">
+          {entries.length} entries · <span className="font-semibold text-red-600">{formatCurrency(totalCost)}</span>
+        </span>
+      </div>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-4">Log Waste</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Item</label>
+                  <select value={formData.item} onChange={(e) => setFormData({ ...formData, item: e.target.value })} className="input" required>
+                    <option value="">Product or ingredient</option>
+                    <optgroup label="Products">
+                      {products.flatMap(p => p.variants?.length > 0
+                        ? p.variants.map(v => <option key={`p${p.id}v${v.id}`} value={`p:${p.id}:${v.id}`}>{p.name} ({v.name})</option>)
+                        : [<option key={`p${p.id}`} value={`p:${p.id}`}>{p.name}</option>])}
+                    </optgroup>
+                    <optgroup label="Ingredients">
+                      {ingredients.map(i => <option key={`i${i.id}`} value={`i:${i.id}`}>{i.name} ({i.unit})</option>)}
+                    </optgroup>
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Quantity</label>
+                    <input type="number" value={formData.quantity} onChange={(e) => setFormData({ ...formData, quantity: e.target.value })} className="input" step="0.001" min="0.001" required />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Reason</label>
+                    <select value={formData.reason} onChange={(e) => setFormData({ ...formData, reason: e.target.value })} className="input">
+                      {WASTE_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Notes</label>
+                  <input type="text" value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} className="input" maxLength={255} />
+                </div>
+                <p className="text-xs text-surface-500">Stock is taken out, including the recipe ingredients of a product.</p>
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" disabled={saving} className="btn btn-primary flex-1">Log Waste</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Date</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Item</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Quantity</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Reason</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Staff</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className="border-t border-surface-100">
+                  <td className="px-4 py-3 text-sm text-surface-500">{format(new Date(entry.created_at), 'dd/MM/yyyy HH:mm')}</td>
+                  <td className="px-4 py-3">
+                    <span className="font-medium">{entry.description}</span>
+                    {entry.order_number && <span className="badge badge-warning ml-2">Remake · {entry.order_number}</span>}
+                    {entry.notes && <span className="block text-xs text-surface-500">{entry.notes}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-right">{parseFloat(entry.quantity)}{entry.unit ? ` ${entry.unit}` : ''}</td>
+                  <td className="px-4 py-3 text-sm">{wasteReasonLabel(entry.reason)}</td>
+                  <td className="px-4 py-3 text-sm text-surface-500">{entry.user_name || '—'}</td>
+                  <td className="px-4 py-3 text-right font-semibold text-red-600">{formatCurrency(entry.total_cost)}</td>
+                </tr>
+              ))}
+              {entries.length === 0 && (
+                <tr><td colSpan={6} className="px-4 py-8 text-center text-surface-500">No waste logged</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Reports Component (Admin only - day/period orders, sold products, revenues, server totals)
+function ReportsPage() {
+  const [loading, setLoading] = useState(true)
+  const [dateRange, setDateRange] = useState({
+    start: format(subDays(new Date(), 7), 'yyyy-MM-dd'),
+    end: format(new Date(), 'yyyy-MM-dd')
+  })
+  const [report, setReport] = useState(null)
+  const [view, setView] = useState('sales')
+  const [wasteReport, setWasteReport] = useState(null)
+
+  useEffect(() => {
+    fetchReport()
+  }, [dateRange, view])
+
+  const fetchReport = async () => {
+    setLoading(true)
+    try {
+      if (view === 'waste') {
+        const response = await wasteAPI.getReport(dateRange.start, dateRange.end)
+        setWasteReport(response.data.data)
+      } else {
+        const response = await paymentsAPI.getReport(dateRange.start, dateRange.end)
+        setReport(response.data.data)
+      }
+    } catch (error) {
+      toast.error('Failed to fetch report')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handlePrint = () => window.print()
+
+  return (
+    <div>
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6 print:hidden">
+        <div className="flex items-center gap-4">
+          <h2 className="text-xl font-bold text-surface-800">{view === 'waste' ? 'Waste Report' : 'Sales Reports'}</h2>
+          <div className="flex gap-2">
+            <button onClick={() => setView('sales')} className={`btn btn-sm ${view === 'sales' ? 'btn-primary' : 'btn-secondary'}`}>Sales</button>
+            <button onClick={() => setView('waste')} className={`btn btn-sm ${view === 'waste' ? 'btn-primary' : 'btn-secondary'}`}>Waste</button>
+          </div>
+        </div>
+        
+        <div className="flex items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Calendar className="w-5 h-5 text-surface-400" />
+            <input
+              type="date"
+              value={dateRange.start}
+              onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
+              className="input py-2"
+            />
+            <span className="text-surface-400">to</span>
+            <input
+              type="date"
+              value={dateRange.end}
+              onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
+              className="input py-2"
+            />
+          </div>
+          <button onClick={handlePrint} className="btn btn-secondary flex items-center gap-2">
+            <Printer className="w-5 h-5" />
+            Print Report
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : view === 'waste' ? (
+        wasteReport && <WasteReport report={wasteReport} dateRange={dateRange} />
+      ) : report ? (
+        <div id="report-print-area">
+          <div className="mb-4 print:mb-2">
+            <h1 className="text-2xl font-bold text-surface-800">Showaya - Sales Report</h1>
+            <p className="text-surface-500">Period: {dateRange.start} to {dateRange.end}</p>
+          </div>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div className="card p-4">
+              <div className="flex items-center gap-3">
+                <div className="w-12 h-12 rounded-lg bg-blue-100 flex items-center justify-center">
+                  <ShoppingBag className="w-6 h-6 text-blue-600" />
+                </div>
+                <div>
+                  <div className="text-sm text-surface-500">Total Orders</div>
+                  <div className="text-2xl font-bold">{report.summary.totalOrders}</div>
+                </div>
+              </div>
+            </div>
+            <div className="card p-4">
+              <div className="flex items-center gap-3">
+                <div className="w-12 h-12 rounded-lg bg-green-100 flex items-center justify-center">
+                  <DollarSign className="w-6 h-6 text-green-600" />
+                </div>
+                <div>
+                  <div className="text-sm text-surface-500">Net Sales</div>
+                  <div className="text-2xl font-bold text-green-600">{formatCurrency(report.summary.totalSales)}</div>
+                  {(report.summary.totalRefunds > 0 || report.summary.voidCount > 0) && (
+                    <div className="text-xs text-surface-500">
+                      Gross {formatCurrency(report.summary.grossSales)} · Refunds {formatCurrency(report.summary.totalRefunds)}
+                      {report.summary.voidCount > 0 && ` · ${report.summary.voidCount} void(s)`}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+            <div className="card p-4">
+              <div className="flex items-center gap-3">
+                <div className="w-12 h-12 rounded-lg bg-purple-100 flex items-center justify-center">
+                  <TrendingUp className="w-6 h-6 text-purple-600" />
+                </div>
+                <div>
+                  <div className="text-sm text-surface-500">Avg Order Value</div>
+                  <div className="text-2xl font-bold">{formatCurrency(report.summary.averageOrderValue)}</div>
+                </div>
+              </div>
+            </div>
+            <div className="card p-4">
+              <div className="flex items-center gap-3">
+                <div className="w-12 h-12 rounded-lg bg-yellow-100 flex items-center justify-center">
+                  <DollarSign className="w-6 h-6 text-yellow-600" />
+                </div>
+                <div>
+                  <div className="text-sm text-surface-500">Total Tips</div>
+                  <div className="text-2xl font-bold">{formatCurrency(report.summary.totalTips)}</div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Server Totals */}
+          {report.serverTotals?.length > 0 && (
+            <div className="card p-4 mb-6">
+              <h3 className="font-semibold text-surface-800 mb-4">Server Total Orders & Revenue</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-surface-100">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Server</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Orders</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500" title="Orders shared with another server after a handover">Handed over</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.serverTotals.map((row, i) => (
+                      <tr key={i} className="border-b border-surface-50">
+                        <td className="px-4 py-3 font-medium">{row.server_name}</td>
+                        <td className="px-4 py-3 text-right">{row.order_count}</td>
+                        <td className="px-4 py-3 text-right text-surface-500">{row.handover_orders || '-'}</td>
+                        <td className="px-4 py-3 text-right font-semibold text-green-600">
+                          {formatCurrency(row.total_sales)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Top Products */}
+          <div className="card p-4 mb-6">
+            <h3 className="font-semibold text-surface-800 mb-4">Top Selling Products</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-surface-100">
+                    <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Product</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Category</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Qty Sold</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Revenue</th>
+                  </tr>
                 </thead>
                 <tbody>
                   {report.topProducts?.slice(0, 10).map((product, i) => (
@@ -980,32 +2762,975 @@ function ReportsPage() {
             </div>
           </div>
 
-          {/* Category Breakdown */}
-          <div className="card p-4">
-            <h3 className="font-semibold text-surface-800 mb-4">Sales by Category</h3>
-            <div className="space-y-3">
-              {report.byCategory?.map((cat, i) => (
-                <div key={i} className="flex items-center gap-4">
-                  <div className="flex-1">
-                    <div className="flex justify-between mb-1">
-                      <span className="font-medium">{cat.category_name}</span>
-                      <span className="text-surface-500">{formatCurrency(cat.total_sales)}</span>
-                    </div>
-                    <div className="h-2 bg-surface-100 rounded-full overflow-hidden">
-                      <div
-                        className="h-full bg-primary-500 rounded-full"
-                        style={{
-                          width: `${(cat.total_sales / (report.summary.totalSales || 1)) * 100}%`
-                        }}
-                      />
-                    </div>
+          {/* Variant Sales */}
+          {report.byVariant?.length > 0 && (
+            <div className="card p-4 mb-6">
+              <h3 className="font-semibold text-surface-800 mb-4">Variants</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-surface-100">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Product</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Variant</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Qty Sold</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byVariant.map((row) => (
+                      <tr key={`${row.product_name}-${row.variant_name}`} className="border-b border-surface-50">
+                        <td className="px-4 py-3 font-medium">{row.product_name}</td>
+                        <td className="px-4 py-3 text-surface-500">{row.variant_name}</td>
+                        <td className="px-4 py-3 text-right">{row.quantity_sold}</td>
+                        <td className="px-4 py-3 text-right font-semibold text-green-600">{formatCurrency(row.total_sales)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Modifier Mix */}
+          {report.byModifier?.length > 0 && (
+            <div className="card p-4 mb-6">
+              <h3 className="font-semibold text-surface-800 mb-4">Modifiers</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-surface-100">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Modifier</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Group</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Times Chosen</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Extra Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byModifier.map((row) => (
+                      <tr key={`${row.group_name}-${row.modifier_name}`} className="border-b border-surface-50">
+                        <td className="px-4 py-3 font-medium">{row.modifier_name}</td>
+                        <td className="px-4 py-3 text-surface-500">{row.group_name}</td>
+                        <td className="px-4 py-3 text-right">{row.quantity_sold}</td>
+                        <td className="px-4 py-3 text-right font-semibold">{formatCurrency(row.total_sales)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Discounts */}
+          {report.byDiscount?.length > 0 && (
+            <div className="card p-4 mb-6">
+              <h3 className="font-semibold text-surface-800 mb-4">Discounts</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-surface-100">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Reason / Promotion</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Orders</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byDiscount.map((row) => (
+                      <tr key={`${row.reason_code}-${row.label}`} className="border-b border-surface-50">
+                        <td className="px-4 py-3 font-medium">
+                          {row.label}
+                          {row.reason_code === 'promotion' && <span className="badge badge-info ml-2">Promotion</span>}
+                        </td>
+                        <td className="px-4 py-3 text-right">{row.order_count}</td>
+                        <td className="px-4 py-3 text-right font-semibold">{formatCurrency(row.discount_amount)}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td className="px-4 py-3 font-semibold" colSpan={2}>Total discounts</td>
+                      <td className="px-4 py-3 text-right font-bold">{formatCurrency(report.summary.totalDiscounts)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {report.byTaxRate?.length > 0 && (
+            <div className="card p-4 mb-6">
+              <h3 className="font-semibold text-surface-800 mb-4">Tax by Rate</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b border-surface-100">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Rate</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Orders</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Taxable</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byTaxRate.map((row) => (
+                      <tr key={row.tax_rate} className="border-b border-surface-50">
+                        <td className="px-4 py-3 font-medium">{parseFloat(row.tax_rate)}%</td>
+                        <td className="px-4 py-3 text-right">{row.order_count}</td>
+                        <td className="px-4 py-3 text-right">{formatCurrency(row.taxable_amount)}</td>
+                        <td className="px-4 py-3 text-right font-semibold">{formatCurrency(row.tax_amount)}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td className="px-4 py-3 font-semibold" colSpan={3}>Total tax</td>
+                      <td className="px-4 py-3 text-right font-bold">{formatCurrency(report.summary.totalTax)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Category Breakdown */}
+          <div className="card p-4">
+            <h3 className="font-semibold text-surface-800 mb-4">Sales by Category</h3>
+            <div className="space-y-3">
+              {report.byCategory?.map((cat, i) => (
+                <div key={i} className="flex items-center gap-4">
+                  <div className="flex-1">
+                    <div className="flex justify-between mb-1">
+                      <span className="font-medium">{cat.category_name}</span>
+                      <span className="text-surface-500">{formatCurrency(cat.total_sales)}</span>
+                    </div>
+                    <div className="h-2 bg-surface-100 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-primary-500 rounded-full"
+                        style={{
+                          width: `${(cat.total_sales / (report.summary.totalSales || 1)) * 100}%`
+                        }}
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+// Waste report (shown in Reports next to the sales report)
+function WasteReport({ report, dateRange }) {
+  const { summary } = report
+
+  return (
+    <div id="report-print-area">
+      <div className="mb-4 print:mb-2">
+        <h1 className="text-2xl font-bold text-surface-800">Showaya - Waste Report</h1>
+        <p className="text-surface-500">Period: {dateRange.start} to {dateRange.end}</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-lg bg-red-100 flex items-center justify-center">
+              <DollarSign className="w-6 h-6 text-red-600" />
+            </div>
+            <div>
+              <div className="text-sm text-surface-500">Waste at Cost</div>
+              <div className="text-2xl font-bold text-red-600">{formatCurrency(summary.totalCost)}</div>
+            </div>
+          </div>
+        </div>
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-lg bg-surface-100 flex items-center justify-center">
+              <Recycle className="w-6 h-6 text-surface-600" />
+            </div>
+            <div>
+              <div className="text-sm text-surface-500">Entries</div>
+              <div className="text-2xl font-bold">{summary.entryCount}</div>
+            </div>
+          </div>
+        </div>
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-lg bg-yellow-100 flex items-center justify-center">
+              <AlertTriangle className="w-6 h-6 text-yellow-600" />
+            </div>
+            <div>
+              <div className="text-sm text-surface-500">Kitchen Remakes</div>
+              <div className="text-2xl font-bold">{summary.remakeCount}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* By Reason */}
+      <div className="card p-4 mb-6">
+        <h3 className="font-semibold text-surface-800 mb-4">Waste by Reason</h3>
+        <div className="space-y-3">
+          {report.byReason.map((row) => (
+            <div key={row.reason}>
+              <div className="flex justify-between mb-1">
+                <span className="font-medium">{wasteReasonLabel(row.reason)} <span className="text-sm text-surface-500">({row.entry_count})</span></span>
+                <span className="text-surface-500">{formatCurrency(row.total_cost)}</span>
+              </div>
+              <div className="h-2 bg-surface-100 rounded-full overflow-hidden">
+                <div className="h-full bg-red-500 rounded-full" style={{ width: `${(row.total_cost / (summary.totalCost || 1)) * 100}%` }} />
+              </div>
+            </div>
+          ))}
+          {report.byReason.length === 0 && <p className="text-surface-500 text-center py-4">No waste logged</p>}
+        </div>
+      </div>
+
+      {/* By Item */}
+      {report.byItem.length > 0 && (
+        <div className="card p-4 mb-6">
+          <h3 className="font-semibold text-surface-800 mb-4">Most Wasted Items</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-surface-100">
+                  <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Item</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Entries</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Quantity</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byItem.map((row, i) => (
+                  <tr key={i} className="border-b border-surface-50">
+                    <td className="px-4 py-3 font-medium">{row.description}</td>
+                    <td className="px-4 py-3 text-right">{row.entry_count}</td>
+                    <td className="px-4 py-3 text-right">{parseFloat(row.quantity)}{row.unit ? ` ${row.unit}` : ''}</td>
+                    <td className="px-4 py-3 text-right font-semibold text-red-600">{formatCurrency(row.total_cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* By Staff */}
+      {report.byUser.length > 0 && (
+        <div className="card p-4">
+          <h3 className="font-semibold text-surface-800 mb-4">Waste by Staff Member</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-surface-100">
+                  <th className="px-4 py-2 text-left text-sm font-medium text-surface-500">Staff</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Entries</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Remakes</th>
+                  <th className="px-4 py-2 text-right text-sm font-medium text-surface-500">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byUser.map((row, i) => (
+                  <tr key={i} className="border-b border-surface-50">
+                    <td className="px-4 py-3 font-medium">{row.user_name}</td>
+                    <td className="px-4 py-3 text-right">{row.entry_count}</td>
+                    <td className="px-4 py-3 text-right">{row.remake_count}</td>
+                    <td className="px-4 py-3 text-right font-semibold text-red-600">{formatCurrency(row.total_cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Tax Rates Management (Admin only)
+function TaxRatesManagement() {
+  const [rates, setRates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingRate, setEditingRate] = useState(null)
+  const [formData, setFormData] = useState({ name: '', rate: '', is_inclusive: true, is_default: false })
+
+  const fetchData = async () => {
+    try {
+      const res = await taxRatesAPI.getAll({ include_inactive: 'true' })
+      setRates(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch tax rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = {
+        name: formData.name,
+        rate: parseFloat(formData.rate),
+        is_inclusive: formData.is_inclusive,
+        is_default: formData.is_default
+      }
+      if (editingRate) {
+        payload.is_active = formData.is_active
+        await taxRatesAPI.update(editingRate.id, payload)
+        toast.success('Tax rate updated')
+      } else {
+        await taxRatesAPI.create(payload)
+        toast.success('Tax rate created')
+      }
+      setShowForm(false)
+      setEditingRate(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleDelete = async (rate) => {
+    if (!confirm(`Deactivate tax rate "${rate.name}"? Categories and products using it fall back to the default rate.`)) return
+    try {
+      await taxRatesAPI.delete(rate.id)
+      toast.success('Tax rate deactivated')
+      fetchData()
+    } catch (error) {}
+  }
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-surface-800">Tax Rates</h2>
+          <p className="text-sm text-surface-500">Assigned per category, overridable per product. Open orders keep the rate they were rung up with.</p>
+        </div>
+        <button onClick={() => { setEditingRate(null); setFormData({ name: '', rate: '', is_inclusive: true, is_default: false, is_active: true }); setShowForm(true) }} className="btn btn-primary">
+          <Plus className="w-5 h-5 mr-2" /> Add Rate
+        </button>
+      </div>
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-4">{editingRate ? 'Edit Tax Rate' : 'Add Tax Rate'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" placeholder="TVA 10%" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Rate (%)</label>
+                  <input type="number" value={formData.rate} onChange={(e) => setFormData({ ...formData, rate: e.target.value })} className="input" step="0.01" min="0" max="100" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Pricing</label>
+                  <select
+                    value={formData.is_inclusive ? 'inclusive' : 'exclusive'}
+                    onChange={(e) => setFormData({ ...formData, is_inclusive: e.target.value === 'inclusive' })}
+                    className="input"
+                  >
+                    <option value="inclusive">Menu prices include tax (TTC)</option>
+                    <option value="exclusive">Tax is added to menu prices (HT)</option>
+                  </select>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input type="checkbox" id="is_default" checked={formData.is_default} onChange={(e) => setFormData({ ...formData, is_default: e.target.checked })} />
+                  <label htmlFor="is_default" className="text-sm">Default rate (categories without a rate)</label>
+                </div>
+                {editingRate && !editingRate.is_default && (
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" id="is_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
+                    <label htmlFor="is_active" className="text-sm">Active</label>
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-surface-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Rate</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Pricing</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Used by</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map(r => (
+              <tr key={r.id} className="border-t border-surface-100">
+                <td className="px-4 py-3 font-medium">
+                  {r.name}
+                  {!!r.is_default && <span className="badge badge-info ml-2">Default</span>}
+                </td>
+                <td className="px-4 py-3 text-right">{parseFloat(r.rate)}%</td>
+                <td className="px-4 py-3 text-surface-500">{r.is_inclusive ? 'Included (TTC)' : 'Added (HT)'}</td>
+                <td className="px-4 py-3 text-surface-500">{r.category_count} categories · {r.product_count} products</td>
+                <td className="px-4 py-3">
+                  {r.is_active ? <span className="badge badge-success">Active</span> : <span className="badge badge-danger">Inactive</span>}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => { setEditingRate(r); setFormData({ name: r.name, rate: r.rate, is_inclusive: !!r.is_inclusive, is_default: !!r.is_default, is_active: !!r.is_active }); setShowForm(true) }} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                  {!!r.is_active && !r.is_default && <button onClick={() => handleDelete(r)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Promotions Management
+const PROMOTION_TYPES = [
+  { value: 'happy_hour', label: 'Happy hour' },
+  { value: 'buy_x_get_y', label: 'Buy X get Y' },
+  { value: 'combo', label: 'Combo' }
+]
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const emptyPromotion = {
+  name: '', type: 'happy_hour', discount_type: 'percent', discount_value: '', buy_quantity: 2, get_quantity: 1,
+  combo_price: '', start_time: '', end_time: '', days: [], products: [], is_active: true
+}
+
+function PromotionsManagement() {
+  const [promotions, setPromotions] = useState([])
+  const [products, setProducts] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingPromotion, setEditingPromotion] = useState(null)
+  const [formData, setFormData] = useState(emptyPromotion)
+
+  const fetchData = async () => {
+    try {
+      const [promoRes, prodRes, catRes] = await Promise.all([
+        promotionsAPI.getAll({ include_inactive: 'true' }),
+        productsAPI.getAll(),
+        categoriesAPI.getAll()
+      ])
+      setPromotions(promoRes.data.data || [])
+      setProducts(prodRes.data.data || [])
+      setCategories(catRes.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch promotions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [])
+
+  const openForm = (promotion) => {
+    setEditingPromotion(promotion)
+    setFormData(promotion ? {
+      name: promotion.name,
+      type: promotion.type,
+      discount_type: promotion.discount_type || 'percent',
+      discount_value: promotion.discount_value ?? '',
+      buy_quantity: promotion.buy_quantity || 2,
+      get_quantity: promotion.get_quantity || 1,
+      combo_price: promotion.combo_price ?? '',
+      start_time: promotion.start_time?.slice(0, 5) || '',
+      end_time: promotion.end_time?.slice(0, 5) || '',
+      days: promotion.days_of_week ? promotion.days_of_week.split(',').map(Number) : [],
+      products: promotion.products.map(p => ({ product_id: p.product_id || '', category_id: p.category_id || '', quantity: p.quantity })),
+      is_active: !!promotion.is_active
+    } : emptyPromotion)
+    setShowForm(true)
+  }
+
+  const toggleDay = (day) => {
+    const days = formData.days.includes(day) ? formData.days.filter(d => d !== day) : [...formData.days, day].sort()
+    setFormData({ ...formData, days })
+  }
+
+  const updateRow = (index, field, value) => {
+    const rows = formData.products.map((row, i) => i === index ? { ...row, [field]: value } : row)
+    setFormData({ ...formData, products: rows })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const isCombo = formData.type === 'combo'
+    const payload = {
+      name: formData.name,
+      discount_type: formData.type === 'happy_hour' ? formData.discount_type : null,
+      discount_value: formData.type === 'happy_hour' ? parseFloat(formData.discount_value) : null,
+      buy_quantity: formData.type === 'buy_x_get_y' ? parseInt(formData.buy_quantity) : null,
+      get_quantity: formData.type === 'buy_x_get_y' ? parseInt(formData.get_quantity) : null,
+      combo_price: isCombo ? parseFloat(formData.combo_price) : null,
+      start_time: formData.start_time || null,
+      end_time: formData.end_time || null,
+      days_of_week: formData.days.length > 0 ? formData.days.join(',') : null,
+      products: formData.products
+        .filter(row => row.product_id || (!isCombo && row.category_id))
+        .map(row => ({
+          product_id: row.product_id ? parseInt(row.product_id) : null,
+          category_id: !isCombo && !row.product_id && row.category_id ? parseInt(row.category_id) : null,
+          quantity: isCombo ? parseInt(row.quantity) || 1 : 1
+        }))
+    }
+    try {
+      if (editingPromotion) {
+        payload.is_active = formData.is_active
+        await promotionsAPI.update(editingPromotion.id, payload)
+        toast.success('Promotion updated')
+      } else {
+        payload.type = formData.type
+        await promotionsAPI.create(payload)
+        toast.success('Promotion created')
+      }
+      setShowForm(false)
+      setEditingPromotion(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleDelete = async (promotion) => {
+    if (!confirm(`Deactivate promotion "${promotion.name}"?`)) return
+    try {
+      await promotionsAPI.delete(promotion.id)
+      toast.success('Promotion deactivated')
+      fetchData()
+    } catch (error) {}
+  }
+
+  const describe = (promotion) => {
+    if (promotion.type === 'happy_hour') {
+      return promotion.discount_type === 'percent'
+        ? `${parseFloat(promotion.discount_value)}% off`
+        : `${formatCurrency(promotion.discount_value)} off each`
+    }
+    if (promotion.type === 'buy_x_get_y') return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} free`
+    return `Combo for ${formatCurrency(promotion.combo_price)}`
+  }
+
+  const scope = (promotion) => promotion.products.length === 0
+    ? 'All products'
+    : promotion.products.map(p => `${promotion.type === 'combo' ? `${p.quantity}x ` : ''}${p.product_name || p.category_name}`).join(', ')
+
+  const schedule = (promotion) => {
+    const days = promotion.days_of_week ? promotion.days_of_week.split(',').map(d => WEEKDAYS[d]).join(' ') : 'Every day'
+    const hours = promotion.start_time && promotion.end_time ? ` · ${promotion.start_time.slice(0, 5)}–${promotion.end_time.slice(0, 5)}` : ''
+    return days + hours
+  }
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
+
+  const isCombo = formData.type === 'combo'
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-surface-800">Promotions</h2>
+          <p className="text-sm text-surface-500">Applied automatically to items rung up inside the promotion's days and hours.</p>
+        </div>
+        <button onClick={() => openForm(null)} className="btn btn-primary">
+          <Plus className="w-5 h-5 mr-2" /> Add Promotion
+        </button>
+      </div>
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-auto">
+            <h3 className="text-lg font-bold mb-4">{editingPromotion ? 'Edit Promotion' : 'Add Promotion'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" placeholder="Happy Hour" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Type</label>
+                  <select value={formData.type} onChange={(e) => setFormData({ ...formData, type: e.target.value, products: [] })} className="input" disabled={!!editingPromotion}>
+                    {PROMOTION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                  </select>
+                </div>
+                {formData.type === 'happy_hour' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-surface-600 mb-1">Discount</label>
+                      <select value={formData.discount_type} onChange={(e) => setFormData({ ...formData, discount_type: e.target.value })} className="input">
+                        <option value="percent">Percent off</option>
+                        <option value="fixed">Amount off each (DH)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-surface-600 mb-1">Value</label>
+                      <input type="number" value={formData.discount_value} onChange={(e) => setFormData({ ...formData, discount_value: e.target.value })} className="input" step="0.01" min="0.01" max={formData.discount_type === 'percent' ? 100 : undefined} required />
+                    </div>
+                  </div>
+                )}
+                {formData.type === 'buy_x_get_y' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-surface-600 mb-1">Buy</label>
+                      <input type="number" value={formData.buy_quantity} onChange={(e) => setFormData({ ...formData, buy_quantity: e.target.value })} className="input" min="1" required />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-surface-600 mb-1">Get free</label>
+                      <input type="number" value={formData.get_quantity} onChange={(e) => setFormData({ ...formData, get_quantity: e.target.value })} className="input" min="1" required />
+                    </div>
+                  </div>
+                )}
+                {isCombo && (
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Combo price (DH)</label>
+                    <input type="number" value={formData.combo_price} onChange={(e) => setFormData({ ...formData, combo_price: e.target.value })} className="input" step="0.01" min="0" required />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">
+                    {isCombo ? 'Combo items' : 'Applies to (leave empty for all products)'}
+                  </label>
+                  <div className="space-y-2">
+                    {formData.products.map((row, index) => (
+                      <div key={index} className="flex gap-2">
+                        {isCombo && (
+                          <input type="number" value={row.quantity} onChange={(e) => updateRow(index, 'quantity', e.target.value)} className="input w-20" min="1" />
+                        )}
+                        <select value={row.product_id} onChange={(e) => updateRow(index, 'product_id', e.target.value)} className="input flex-1">
+                          <option value="">{isCombo ? 'Select product' : 'Any product'}</option>
+                          {products.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        {!isCombo && (
+                          <select value={row.category_id} onChange={(e) => updateRow(index, 'category_id', e.target.value)} className="input flex-1" disabled={!!row.product_id}>
+                            <option value="">Any category</option>
+                            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                          </select>
+                        )}
+                        <button type="button" onClick={() => setFormData({ ...formData, products: formData.products.filter((_, i) => i !== index) })} className="text-surface-400 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, products: [...formData.products, { product_id: '', category_id: '', quantity: 1 }] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add {isCombo ? 'item' : 'product or category'}
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">From</label>
+                    <input type="time" value={formData.start_time} onChange={(e) => setFormData({ ...formData, start_time: e.target.value })} className="input" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Until</label>
+                    <input type="time" value={formData.end_time} onChange={(e) => setFormData({ ...formData, end_time: e.target.value })} className="input" />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Days (none selected = every day)</label>
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map((day, index) => (
+                      <button
+                        key={day}
+                        type="button"
+                        onClick={() => toggleDay(index)}
+                        className={`px-3 py-1 rounded-lg text-sm border ${formData.days.includes(index) ? 'bg-primary-500 text-white border-primary-500' : 'border-surface-200 text-surface-600'}`}
+                      >
+                        {day}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {editingPromotion && (
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" id="promotion_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
+                    <label htmlFor="promotion_active" className="text-sm">Active</label>
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-surface-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Offer</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Applies to</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">When</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promotions.length === 0 && (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-surface-400">No promotions yet</td></tr>
+            )}
+            {promotions.map(p => (
+              <tr key={p.id} className="border-t border-surface-100">
+                <td className="px-4 py-3 font-medium">{p.name}</td>
+                <td className="px-4 py-3">{describe(p)}</td>
+                <td className="px-4 py-3 text-surface-500 text-sm">{scope(p)}</td>
+                <td className="px-4 py-3 text-surface-500 text-sm">{schedule(p)}</td>
+                <td className="px-4 py-3">
+                  {p.is_active ? <span className="badge badge-success">Active</span> : <span className="badge badge-danger">Inactive</span>}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => openForm(p)} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                  {!!p.is_active && <button onClick={() => handleDelete(p)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Modifier Groups Management (Admin only)
+const emptyModifierGroup = {
+  name: '', is_required: false, min_select: 0, max_select: 1, modifiers: [{ name: '', price_delta: '' }], products: [], is_active: true
+}
+
+function ModifierGroupsManagement() {
+  const [groups, setGroups] = useState([])
+  const [products, setProducts] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingGroup, setEditingGroup] = useState(null)
+  const [formData, setFormData] = useState(emptyModifierGroup)
+
+  const fetchData = async () => {
+    try {
+      const [groupRes, prodRes, catRes] = await Promise.all([
+        modifierGroupsAPI.getAll({ include_inactive: 'true' }),
+        productsAPI.getAll(),
+        categoriesAPI.getAll()
+      ])
+      setGroups(groupRes.data.data || [])
+      setProducts(prodRes.data.data || [])
+      setCategories(catRes.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch modifier groups')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [])
+
+  const openForm = (group) => {
+    setEditingGroup(group)
+    setFormData(group ? {
+      name: group.name,
+      is_required: !!group.is_required,
+      min_select: group.min_select,
+      max_select: group.max_select ?? '',
+      modifiers: group.modifiers.filter(m => m.is_active).map(m => ({ id: m.id, name: m.name, price_delta: m.price_delta })),
+      products: group.products.map(p => ({ product_id: p.product_id || '', category_id: p.category_id || '' })),
+      is_active: !!group.is_active
+    } : emptyModifierGroup)
+    setShowForm(true)
+  }
+
+  const updateList = (list, index, field, value) => {
+    const rows = formData[list].map((row, i) => i === index ? { ...row, [field]: value } : row)
+    setFormData({ ...formData, [list]: rows })
+  }
+
+  const removeFromList = (list, index) => {
+    setFormData({ ...formData, [list]: formData[list].filter((_, i) => i !== index) })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      name: formData.name,
+      is_required: formData.is_required,
+      min_select: formData.is_required ? Math.max(parseInt(formData.min_select) || 1, 1) : 0,
+      max_select: formData.max_select ? parseInt(formData.max_select) : null,
+      modifiers: formData.modifiers
+        .filter(m => m.name.trim())
+        .map(m => ({ id: m.id, name: m.name.trim(), price_delta: parseFloat(m.price_delta) || 0 })),
+      products: formData.products
+        .filter(row => row.product_id || row.category_id)
+        .map(row => ({
+          product_id: row.product_id ? parseInt(row.product_id) : null,
+          category_id: !row.product_id && row.category_id ? parseInt(row.category_id) : null
+        }))
+    }
+    try {
+      if (editingGroup) {
+        payload.is_active = formData.is_active
+        await modifierGroupsAPI.update(editingGroup.id, payload)
+        toast.success('Modifier group updated')
+      } else {
+        await modifierGroupsAPI.create(payload)
+        toast.success('Modifier group created')
+      }
+      setShowForm(false)
+      setEditingGroup(null)
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleDelete = async (group) => {
+    if (!confirm(`Deactivate modifier group "${group.name}"?`)) return
+    try {
+      await modifierGroupsAPI.delete(group.id)
+      toast.success('Modifier group deactivated')
+      fetchData()
+    } catch (error) {}
+  }
+
+  const rule = (group) => {
+    const min = group.is_required ? Math.max(group.min_select, 1) : 0
+    const max = group.max_select ? `up to ${group.max_select}` : 'any number'
+    return min > 0 ? `Required · ${min === group.max_select ? `exactly ${min}` : `at least ${min}, ${max}`}` : `Optional · ${max}`
+  }
+
+  const describeModifier = (m) => parseFloat(m.price_delta) ? `${m.name} (${parseFloat(m.price_delta) > 0 ? '+' : ''}${parseFloat(m.price_delta)})` : m.name
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-surface-800">Modifier Groups</h2>
+          <p className="text-sm text-surface-500">Choices asked for when a product is added (doneness, sauces, sides). Price changes apply per unit.</p>
+        </div>
+        <button onClick={() => openForm(null)} className="btn btn-primary">
+          <Plus className="w-5 h-5 mr-2" /> Add Group
+        </button>
+      </div>
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-auto">
+            <h3 className="text-lg font-bold mb-4">{editingGroup ? 'Edit Modifier Group' : 'Add Modifier Group'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Name</label>
+                  <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className="input" placeholder="Cooking" required />
+                </div>
+                <div className="flex items-center gap-2">
+                  <input type="checkbox" id="modifier_required" checked={formData.is_required} onChange={(e) => setFormData({ ...formData, is_required: e.target.checked, min_select: e.target.checked ? Math.max(parseInt(formData.min_select) || 1, 1) : 0 })} />
+                  <label htmlFor="modifier_required" className="text-sm">Required</label>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Min choices</label>
+                    <input type="number" value={formData.min_select} onChange={(e) => setFormData({ ...formData, min_select: e.target.value })} className="input" min={formData.is_required ? 1 : 0} max="20" disabled={!formData.is_required} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">Max choices (empty = no limit)</label>
+                    <input type="number" value={formData.max_select} onChange={(e) => setFormData({ ...formData, max_select: e.target.value })} className="input" min="1" max="20" />
                   </div>
                 </div>
-              ))}
-            </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Modifiers (price change in DH, may be negative)</label>
+                  <div className="space-y-2">
+                    {formData.modifiers.map((row, index) => (
+                      <div key={index} className="flex gap-2">
+                        <input type="text" value={row.name} onChange={(e) => updateList('modifiers', index, 'name', e.target.value)} className="input flex-1" placeholder="Medium rare" />
+                        <input type="number" value={row.price_delta} onChange={(e) => updateList('modifiers', index, 'price_delta', e.target.value)} className="input w-28" step="0.01" placeholder="0.00" />
+                        <button type="button" onClick={() => removeFromList('modifiers', index)} className="text-surface-400 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, modifiers: [...formData.modifiers, { name: '', price_delta: '' }] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add modifier
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Offered on</label>
+                  <div className="space-y-2">
+                    {formData.products.map((row, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select value={row.product_id} onChange={(e) => updateList('products', index, 'product_id', e.target.value)} className="input flex-1">
+                          <option value="">Any product</option>
+                          {products.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        <select value={row.category_id} onChange={(e) => updateList('products', index, 'category_id', e.target.value)} className="input flex-1" disabled={!!row.product_id}>
+                          <option value="">Any category</option>
+                          {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                        <button type="button" onClick={() => removeFromList('products', index)} className="text-surface-400 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => setFormData({ ...formData, products: [...formData.products, { product_id: '', category_id: '' }] })} className="btn btn-secondary btn-sm">
+                      <Plus className="w-4 h-4 mr-1" /> Add product or category
+                    </button>
+                  </div>
+                </div>
+                {editingGroup && (
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" id="modifier_group_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
+                    <label htmlFor="modifier_group_active" className="text-sm">Active</label>
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" className="btn btn-primary flex-1"><Save className="w-4 h-4 mr-2" /> Save</button>
+              </div>
+            </form>
           </div>
         </div>
-      ) : null}
+      )}
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-surface-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Choices</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Modifiers</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Offered on</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.length === 0 && (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-surface-400">No modifier groups yet</td></tr>
+            )}
+            {groups.map(g => (
+              <tr key={g.id} className="border-t border-surface-100">
+                <td className="px-4 py-3 font-medium">{g.name}</td>
+                <td className="px-4 py-3 text-sm">{rule(g)}</td>
+                <td className="px-4 py-3 text-surface-500 text-sm">{g.modifiers.filter(m => m.is_active).map(describeModifier).join(', ')}</td>
+                <td className="px-4 py-3 text-surface-500 text-sm">{g.products.length === 0 ? 'Not offered' : g.products.map(p => p.product_name || p.category_name).join(', ')}</td>
+                <td className="px-4 py-3">
+                  {g.is_active ? <span className="badge badge-success">Active</span> : <span className="badge badge-danger">Inactive</span>}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => openForm(g)} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                  {!!g.is_active && <button onClick={() => handleDelete(g)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </div>
   )
 }
@@ -1129,10 +3854,203 @@ function PaymentMethodsManagement() {
   )
 }
 
+// Payments list with refunds and same-day voids (refund permission)
+const REFUND_REASONS = [
+  { value: 'customer_complaint', label: 'Customer complaint' },
+  { value: 'wrong_order', label: 'Wrong order' },
+  { value: 'overcharge', label: 'Overcharge' },
+  { value: 'duplicate_payment', label: 'Duplicate payment' },
+  { value: 'wrong_payment_method', label: 'Wrong payment method' },
+  { value: 'other', label: 'Other' }
+]
+
+const PAYMENT_STATUS_BADGES = {
+  completed: 'badge-success',
+  refunded: 'badge-warning',
+  void: 'badge-danger'
+}
+
+function PaymentsManagement() {
+  const { hasPermission } = useAuth()
+  const canRefund = hasPermission('payments', 'refund')
+  const today = format(new Date(), 'yyyy-MM-dd')
+  const [date, setDate] = useState(today)
+  const [payments, setPayments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [action, setAction] = useState(null)
+  const [formData, setFormData] = useState({ amount: '', reason_code: 'customer_complaint', reason: '' })
+  const [saving, setSaving] = useState(false)
+
+  const fetchData = async () => {
+    setLoading(true)
+    try {
+      const res = await paymentsAPI.getAll({ date, limit: 200 })
+      setPayments(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch payments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [date])
+
+  const refundable = (p) => parseFloat(p.amount_due) - parseFloat(p.refunded_amount || 0)
+
+  const openAction = (type, payment) => {
+    setAction({ type, payment })
+    setFormData({ amount: refundable(payment).toFixed(2), reason_code: 'customer_complaint', reason: '' })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const { type, payment } = action
+    const data = { reason_code: formData.reason_code, reason: formData.reason || undefined }
+    if (type === 'refund') data.amount = parseFloat(formData.amount)
+
+    setSaving(true)
+    try {
+      const res = type === 'refund'
+        ? await paymentsAPI.refund(payment.id, data)
+        : await paymentsAPI.void(payment.id, data)
+      toast.success(res.data.message)
+      setAction(null)
+      fetchData()
+    } catch (error) {
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Payments</h2>
+        <div className="flex items-center gap-2">
+          <Calendar className="w-5 h-5 text-surface-400" />
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="input py-2" />
+        </div>
+      </div>
+
+      {action && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-1">
+              {action.type === 'refund' ? 'Refund Payment' : 'Void Payment'}
+            </h3>
+            <p className="text-sm text-surface-500 mb-4">
+              {action.payment.payment_number} · {formatCurrency(action.payment.amount_due)}
+              {action.type === 'void' && ' — the amount goes back onto the order'}
+            </p>
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                {action.type === 'refund' && (
+                  <div>
+                    <label className="block text-sm font-medium text-surface-600 mb-1">
+                      Amount (max {formatCurrency(refundable(action.payment))})
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      max={refundable(action.payment)}
+                      value={formData.amount}
+                      onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Reason</label>
+                  <select value={formData.reason_code} onChange={(e) => setFormData({ ...formData, reason_code: e.target.value })} className="input">
+                    {REFUND_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-surface-600 mb-1">Notes</label>
+                  <input type="text" value={formData.reason} onChange={(e) => setFormData({ ...formData, reason: e.target.value })} className="input" maxLength={500} />
+                </div>
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button type="button" onClick={() => setAction(null)} className="btn btn-secondary flex-1">Cancel</button>
+                <button type="submit" disabled={saving} className="btn btn-danger flex-1">
+                  {action.type === 'refund' ? 'Refund' : 'Void'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><div className="spinner"></div></div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Payment</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Order</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Method</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Cashier</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Amount</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Refunded</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+                {canRefund && <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {payments.length === 0 ? (
+                <tr><td colSpan={8} className="px-4 py-8 text-center text-surface-500">No payments on this day</td></tr>
+              ) : payments.map(p => (
+                <tr key={p.id} className="border-t border-surface-100">
+                  <td className="px-4 py-3">
+                    <div className="font-medium">{p.payment_number}</div>
+                    <div className="text-xs text-surface-500">{format(new Date(p.paid_at), 'HH:mm')}</div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div>{p.order_number}</div>
+                    <div className="text-xs text-surface-500">{p.table_number != null ? `Table ${p.table_number}` : 'Takeaway'}</div>
+                  </td>
+                  <td className="px-4 py-3 capitalize">{p.payment_method_name}</td>
+                  <td className="px-4 py-3 text-surface-500">{p.cashier_name}</td>
+                  <td className="px-4 py-3 text-right font-semibold">{formatCurrency(p.amount_due)}</td>
+                  <td className="px-4 py-3 text-right text-red-600">
+                    {parseFloat(p.refunded_amount) > 0 ? formatCurrency(p.refunded_amount) : '—'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`badge ${PAYMENT_STATUS_BADGES[p.status] || 'badge-info'}`}>{p.status}</span>
+                  </td>
+                  {canRefund && (
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      {p.status === 'completed' && p.order_status === 'paid' && (
+                        <button onClick={() => openAction('refund', p)} className="text-surface-500 hover:text-primary-500 mr-3" title="Refund">
+                          <Undo2 className="w-4 h-4" />
+                        </button>
+                      )}
+                      {p.status === 'completed' && parseFloat(p.refunded_amount) === 0 && date === today && (
+                        <button onClick={() => openAction('void', p)} className="text-surface-500 hover:text-red-500" title="Void">
+                          <Ban className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
 // Restaurant Tables Management
 function TablesManagement() {
   const [tables, setTables] = useState([])
   const [loading, setLoading] = useState(true)
+  const [view, setView] = useState('plan') // 'plan', 'list'
   const [showForm, setShowForm] = useState(false)
   const [editingTable, setEditingTable] = useState(null)
   const [formData, setFormData] = useState({ table_number: '', capacity: 4, section: '', position_x: 0, position_y: 0, is_active: true })
@@ -1153,12 +4071,14 @@ function TablesManagement() {
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
-      const data = { ...formData, table_number: parseInt(formData.table_number), capacity: parseInt(formData.capacity) || 4, position_x: parseInt(formData.position_x) || 0, position_y: parseInt(formData.position_y) || 0 }
+      const { position_x, position_y, ...fields } = formData
+      const data = { ...fields, table_number: parseInt(formData.table_number), capacity: parseInt(formData.capacity) || 4 }
       if (editingTable) {
+        // Position, shape and size are set on the floor plan
         await tablesAPI.update(editingTable.id, data)
         toast.success('Table updated')
       } else {
-        await tablesAPI.create(data)
+        await tablesAPI.create({ ...data, position_x, position_y })
         toast.success('Table created')
       }
       setShowForm(false)
@@ -1168,6 +4088,22 @@ function TablesManagement() {
     } catch (error) {}
   }
 
+  // New table: placed under the section's lowest table, next free table number
+  const openAddForm = (section = '') => {
+    const sectionTables = tables.filter(t => t.is_active && section && inSection(t, section))
+    const bottom = Math.max(0, ...sectionTables.map(t => t.position_y + (t.shape === 'rectangle' ? t.height : t.width)))
+    const nextNumber = Math.max(0, ...tables.map(t => t.table_number)) + 1
+    setEditingTable(null)
+    setFormData({ table_number: nextNumber, capacity: 4, section, position_x: GRID, position_y: bottom + GRID, is_active: true })
+    setShowForm(true)
+  }
+
+  const openEditForm = (t) => {
+    setEditingTable(t)
+    setFormData({ table_number: t.table_number, capacity: t.capacity, section: t.section || '', is_active: t.is_active })
+    setShowForm(true)
+  }
+
   const handleDelete = async (table) => {
     if (!confirm(`Deactivate table ${table.table_number}? It must have no active order.`)) return
     try {
@@ -1183,9 +4119,15 @@ function TablesManagement() {
     <div>
       <div className="flex items-center justify-between mb-6">
         <h2 className="text-xl font-bold text-surface-800">Restaurant Tables</h2>
-        <button onClick={() => { setEditingTable(null); setFormData({ table_number: '', capacity: 4, section: '', position_x: 0, position_y: 0, is_active: true }); setShowForm(true) }} className="btn btn-primary">
-          <Plus className="w-5 h-5 mr-2" /> Add Table
-        </button>
+        <div className="flex gap-2">
+          <button onClick={() => setView('plan')} className={`btn ${view === 'plan' ? 'btn-primary' : 'btn-secondary'}`}>Floor plan</button>
+          <button onClick={() => setView('list')} className={`btn ${view === 'list' ? 'btn-primary' : 'btn-secondary'}`}>List</button>
+          {view === 'list' && (
+            <button onClick={() => openAddForm()} className="btn btn-primary">
+              <Plus className="w-5 h-5 mr-2" /> Add Table
+            </button>
+          )}
+        </div>
       </div>
       {showForm && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -1205,16 +4147,6 @@ function TablesManagement() {
                   <label className="block text-sm font-medium text-surface-600 mb-1">Section</label>
                   <input type="text" value={formData.section} onChange={(e) => setFormData({ ...formData, section: e.target.value })} className="input" placeholder="e.g. Main, Window" />
                 </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-surface-600 mb-1">Position X</label>
-                    <input type="number" min={0} value={formData.position_x} onChange={(e) => setFormData({ ...formData, position_x: e.target.value })} className="input" />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-surface-600 mb-1">Position Y</label>
-                    <input type="number" min={0} value={formData.position_y} onChange={(e) => setFormData({ ...formData, position_y: e.target.value })} className="input" />
-                  </div>
-                </div>
                 {editingTable && (
                   <div className="flex items-center gap-2">
                     <input type="checkbox" id="is_active" checked={formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} />
@@ -1230,31 +4162,143 @@ function TablesManagement() {
           </div>
         </div>
       )}
+      {view === 'plan' ? (
+        <FloorPlanEditor tables={tables} onChanged={fetchData} onAdd={openAddForm} onEdit={openEditForm} />
+      ) : (
+        <div className="card overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-surface-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">#</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Section</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Capacity</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Active</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tables.map(t => (
+                <tr key={t.id} className="border-t border-surface-100">
+                  <td className="px-4 py-3 font-bold">Table {t.table_number}</td>
+                  <td className="px-4 py-3 text-surface-500">{t.section || '—'}</td>
+                  <td className="px-4 py-3">{t.capacity}</td>
+                  <td className="px-4 py-3">
+                    <span className={`badge ${t.status === 'occupied' ? 'badge-warning' : t.status === 'available' ? 'badge-success' : 'bg-surface-100 text-surface-600'}`}>{t.status}</span>
+                  </td>
+                  <td className="px-4 py-3">{t.is_active ? 'Yes' : 'No'}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button onClick={() => openEditForm(t)} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
+                    {t.is_active && !t.current_order_id && <button onClick={() => handleDelete(t)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Active sessions with force-logout (Admin only)
+function SessionsManagement() {
+  const [sessions, setSessions] = useState([])
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filters, setFilters] = useState({ user_id: '', device: '' })
+
+  const fetchData = async () => {
+    try {
+      const params = {}
+      if (filters.user_id) params.user_id = filters.user_id
+      if (filters.device) params.device = filters.device
+      const res = await usersAPI.getSessions(params)
+      setSessions(res.data.data || [])
+    } catch (error) {
+      toast.error('Failed to fetch sessions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    usersAPI.getAll().then(res => setUsers(res.data.data || [])).catch(() => {})
+  }, [])
+
+  useEffect(() => { fetchData() }, [filters.user_id])
+
+  const handleRevoke = async (session) => {
+    if (!confirm(`Log out ${session.full_name} on this device?`)) return
+    try {
+      await usersAPI.revokeSession(session.id)
+      toast.success('Session revoked')
+      fetchData()
+    } catch (error) {}
+  }
+
+  const handleRevokeUser = async (session) => {
+    if (!confirm(`Log out ${session.full_name} on all devices?`)) return
+    try {
+      const res = await usersAPI.revokeUserSessions(session.user_id)
+      toast.success(res.data.message)
+      fetchData()
+    } catch (error) {}
+  }
+
+  if (loading) return <div className="flex justify-center py-8"><div className="spinner"></div></div>
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-bold text-surface-800">Active Sessions</h2>
+        <p className="text-sm text-surface-500">Logged-in devices. A revoked session is signed out on its next request.</p>
+      </div>
+      <form onSubmit={(e) => { e.preventDefault(); fetchData() }} className="flex flex-wrap gap-3 mb-4">
+        <select value={filters.user_id} onChange={(e) => setFilters({ ...filters, user_id: e.target.value })} className="input w-auto">
+          <option value="">All users</option>
+          {users.map(u => <option key={u.id} value={u.id}>{u.full_name}</option>)}
+        </select>
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-400" />
+          <input type="text" value={filters.device} onChange={(e) => setFilters({ ...filters, device: e.target.value })} className="input pl-9" placeholder="Device or IP" />
+        </div>
+        <button type="submit" className="btn btn-secondary">Filter</button>
+      </form>
       <div className="card overflow-hidden">
         <table className="w-full">
           <thead className="bg-surface-50">
             <tr>
-              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">#</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Section</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Capacity</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Status</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Active</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">User</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Device</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">IP</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Logged in</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Last seen</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">Expires</th>
               <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">Actions</th>
             </tr>
           </thead>
           <tbody>
-            {tables.map(t => (
-              <tr key={t.id} className="border-t border-surface-100">
-                <td className="px-4 py-3 font-bold">Table {t.table_number}</td>
-                <td className="px-4 py-3 text-surface-500">{t.section || '—'}</td>
-                <td className="px-4 py-3">{t.capacity}</td>
+            {sessions.length === 0 && (
+              <tr><td colSpan={7} className="px-4 py-8 text-center text-surface-500">No active sessions</td></tr>
+            )}
+            {sessions.map(s => (
+              <tr key={s.id} className="border-t border-surface-100">
                 <td className="px-4 py-3">
-                  <span className={`badge ${t.status === 'occupied' ? 'badge-warning' : t.status === 'available' ? 'badge-success' : 'bg-surface-100 text-surface-600'}`}>{t.status}</span>
+                  <span className="font-medium">{s.full_name}</span>
+                  <span className="text-sm text-surface-500 capitalize ml-2">{s.role_name}</span>
+                  {s.is_current && <span className="badge badge-info ml-2">This device</span>}
                 </td>
-                <td className="px-4 py-3">{t.is_active ? 'Yes' : 'No'}</td>
-                <td className="px-4 py-3 text-right">
-                  <button onClick={() => { setEditingTable(t); setFormData({ table_number: t.table_number, capacity: t.capacity, section: t.section || '', position_x: t.position_x ?? 0, position_y: t.position_y ?? 0, is_active: t.is_active }); setShowForm(true) }} className="text-surface-500 hover:text-primary-500 mr-3"><Edit className="w-4 h-4" /></button>
-                  {t.is_active && !t.current_order_id && <button onClick={() => handleDelete(t)} className="text-surface-500 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>}
+                <td className="px-4 py-3 text-sm text-surface-500 max-w-xs truncate" title={s.device_info}>{s.device_info || '—'}</td>
+                <td className="px-4 py-3 text-sm text-surface-500">{s.ip_address || '—'}</td>
+                <td className="px-4 py-3 text-sm">{format(new Date(s.created_at), 'dd/MM HH:mm')}</td>
+                <td className="px-4 py-3 text-sm">{s.last_seen_at ? format(new Date(s.last_seen_at), 'dd/MM HH:mm') : '—'}</td>
+                <td className="px-4 py-3 text-sm">{format(new Date(s.expires_at), 'dd/MM HH:mm')}</td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">
+                  {!s.is_current && (
+                    <button onClick={() => handleRevoke(s)} className="text-surface-500 hover:text-red-500 mr-3" title="Log out this device"><LogOut className="w-4 h-4" /></button>
+                  )}
+                  <button onClick={() => handleRevokeUser(s)} className="text-sm text-surface-500 hover:text-red-500" title="Log out all devices of this user">All devices</button>
                 </td>
               </tr>
             ))}
@@ -1313,9 +4357,20 @@ export default function AdminPage() {
     { to: '/admin', icon: BarChart3, label: 'Reports', end: true, adminOnly: true },
     { to: '/admin/categories', icon: FolderOpen, label: 'Categories' },
     { to: '/admin/products', icon: Package, label: 'Products' },
+    { to: '/admin/payments', icon: Receipt, label: 'Payments' },
     { to: '/admin/payment-methods', icon: CreditCard, label: 'Payment Methods' },
+    { to: '/admin/tax-rates', icon: Percent, label: 'Tax Rates', adminOnly: true },
+    { to: '/admin/promotions', icon: Tag, label: 'Promotions', adminOnly: true },
+    { to: '/admin/modifiers', icon: SlidersHorizontal, label: 'Modifiers', adminOnly: true },
+    { to: '/admin/ingredients', icon: Carrot, label: 'Ingredients' },
+    { to: '/admin/stock', icon: History, label: 'Stock History' },
+    { to: '/admin/suppliers', icon: Truck, label: 'Suppliers' },
+    { to: '/admin/purchase-orders', icon: ClipboardList, label: 'Purchase Orders' },
+    { to: '/admin/stocktakes', icon: ClipboardCheck, label: 'Stocktakes' },
+    { to: '/admin/waste', icon: Recycle, label: 'Waste Log' },
     { to: '/admin/tables', icon: LayoutGrid, label: 'Tables' },
     { to: '/admin/users', icon: Users, label: 'Users' },
+    { to: '/admin/sessions', icon: MonitorSmartphone, label: 'Sessions', adminOnly: true },
     { to: '/admin/roles', icon: Shield, label: 'Roles & Permissions', adminOnly: true },
   ]
 
@@ -1359,9 +4414,20 @@ export default function AdminPage() {
           <Route index element={isAdmin ? <ReportsPage /> : <Navigate to="/admin/products" replace />} />
           <Route path="categories" element={<CategoriesManagement />} />
           <Route path="products" element={<ProductsManagement />} />
+          <Route path="payments" element={<PaymentsManagement />} />
           <Route path="payment-methods" element={<PaymentMethodsManagement />} />
+          <Route path="tax-rates" element={isAdmin ? <TaxRatesManagement /> : <Navigate to="/admin/products" replace />} />
+          <Route path="promotions" element={isAdmin ? <PromotionsManagement /> : <Navigate to="/admin/products" replace />} />
+          <Route path="modifiers" element={isAdmin ? <ModifierGroupsManagement /> : <Navigate to="/admin/products" replace />} />
+          <Route path="ingredients" element={<IngredientsManagement />} />
+          <Route path="stock" element={<StockHistory />} />
+          <Route path="suppliers" element={<SuppliersManagement />} />
+          <Route path="purchase-orders" element={<PurchaseOrdersManagement />} />
+          <Route path="stocktakes" element={<StocktakesManagement />} />
+          <Route path="waste" element={<WasteLog />} />
           <Route path="tables" element={<TablesManagement />} />
           <Route path="users" element={<UsersManagement isModerator={!isAdmin} />} />
+          <Route path="sessions" element={isAdmin ? <SessionsManagement /> : <Navigate to="/admin/products" replace />} />
           <Route path="roles" element={isAdmin ? <RolesPage /> : <Navigate to="/admin/products" replace />} />
           <Route path="reports" element={isAdmin ? <ReportsPage /> : <Navigate to="/admin/products" replace />} />
         </Routes>
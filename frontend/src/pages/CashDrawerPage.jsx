@@ -0,0 +1,478 @@
+import { useState, useEffect, useCallback } from "react";
+import { cashSessionsAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  Wallet,
+  Printer,
+  ArrowDownToLine,
+  ArrowUpFromLine,
+  Lock,
+  Unlock,
+} from "lucide-react";
+import { formatCurrency } from "../utils/currency";
+import { format } from "date-fns";
+import ShiftReport from "../components/ShiftReport";
+
+export default function CashDrawerPage() {
+  const { hasPermission } = useAuth();
+  const [session, setSession] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState("");
+  const [movementType, setMovementType] = useState("pay_in");
+  const [movementAmount, setMovementAmount] = useState("");
+  const [movementReason, setMovementReason] = useState("");
+  const [countedCash, setCountedCash] = useState("");
+  const [closeNotes, setCloseNotes] = useState("");
+  const [printSession, setPrintSession] = useState(null);
+
+  const canViewAll = hasPermission("reports", "view");
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [currentRes, historyRes] = await Promise.all([
+        cashSessionsAPI.getCurrent(),
+        cashSessionsAPI.getAll({ limit: 20 }),
+      ]);
+      setSession(currentRes.data.data);
+      setHistory(historyRes.data.data || []);
+    } catch (error) {
+      toast.error("Failed to load cash drawer");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Render the report into the print area, then print once it's on the page
+  useEffect(() => {
+    if (!printSession) return;
+    const timer = setTimeout(() => window.print(), 100);
+    return () => clearTimeout(timer);
+  }, [printSession]);
+
+  const handlePrint = async (sessionId) => {
+    try {
+      const res = await cashSessionsAPI.getById(sessionId);
+      setPrintSession({ ...res.data.data });
+    } catch (error) {
+      // Error toast shown by api interceptor
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await cashSessionsAPI.open({
+        opening_float: parseFloat(openingFloat) || 0,
+      });
+      toast.success(res.data.message);
+      setOpeningFloat("");
+      fetchData();
+    } catch (error) {
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await cashSessionsAPI.addMovement(session.id, {
+        type: movementType,
+        amount: parseFloat(movementAmount),
+        reason: movementReason,
+      });
+      toast.success(res.data.message);
+      setMovementAmount("");
+      setMovementReason("");
+      fetchData();
+    } catch (error) {
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    const counted = parseFloat(countedCash) || 0;
+    const diff = counted - session.report.summary.expectedCash;
+    if (
+      !confirm(
+        `Close the drawer with ${formatCurrency(counted)} counted (${
+          diff < 0 ? "short" : "over"
+        } ${formatCurrency(Math.abs(diff))})? This prints the Z report.`
+      )
+    )
+      return;
+
+    setSaving(true);
+    try {
+      const res = await cashSessionsAPI.close(session.id, {
+        counted_cash: counted,
+        notes: closeNotes || undefined,
+      });
+      toast.success(res.data.message);
+      setCountedCash("");
+      setCloseNotes("");
+      setPrintSession(res.data.data);
+      fetchData();
+    } catch (error) {
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const summary = session?.report.summary;
+  const difference =
+    session && countedCash !== ""
+      ? parseFloat(countedCash) - summary.expectedCash
+      : null;
+
+  return (
+    <>
+      {/* Hidden area for printing - 80mm report */}
+      <div className="hidden print:block print:fixed print:inset-0 print:bg-white print:z-[9999] print:flex print:items-start print:justify-center">
+        <ShiftReport session={printSession} />
+      </div>
+
+      <div className="p-4 lg:p-6 max-w-5xl mx-auto print:hidden">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-surface-800">Cash Drawer</h1>
+            <p className="text-sm text-surface-500">
+              {session
+                ? `Open since ${format(
+                    new Date(session.opened_at),
+                    "dd/MM HH:mm"
+                  )}`
+                : "Open a drawer to take cash payments"}
+            </p>
+          </div>
+          {session && (
+            <button
+              onClick={() => handlePrint(session.id)}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <Printer className="w-5 h-5" />
+              X Report
+            </button>
+          )}
+        </div>
+
+        {!session ? (
+          <form onSubmit={handleOpen} className="card p-6 max-w-md mb-6">
+            <div className="flex items-center gap-2 mb-4">
+              <Unlock className="w-5 h-5 text-primary-500" />
+              <h2 className="font-semibold text-surface-800">Open drawer</h2>
+            </div>
+            <label className="block text-sm font-medium text-surface-600 mb-1">
+              Opening float (DH)
+            </label>
+            <input
+              type="number"
+              value={openingFloat}
+              onChange={(e) => setOpeningFloat(e.target.value)}
+              className="input text-center text-xl font-bold mb-4"
+              step="0.01"
+              min="0"
+              placeholder="0.00"
+              autoFocus
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn btn-primary w-full btn-lg"
+            >
+              Open drawer
+            </button>
+          </form>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+              <div className="card p-4">
+                <div className="text-sm text-surface-500">Opening float</div>
+                <div className="text-xl font-bold">
+                  {formatCurrency(summary.openingFloat)}
+                </div>
+              </div>
+              <div className="card p-4">
+                <div className="text-sm text-surface-500">Cash sales</div>
+                <div className="text-xl font-bold text-green-600">
+                  {formatCurrency(summary.cashSales - summary.cashRefunds)}
+                </div>
+              </div>
+              <div className="card p-4">
+                <div className="text-sm text-surface-500">Pay-ins / outs</div>
+                <div className="text-xl font-bold">
+                  {formatCurrency(summary.payIns - summary.payOuts)}
+                </div>
+              </div>
+              <div className="card p-4 bg-primary-50">
+                <div className="text-sm text-primary-700">Expected cash</div>
+                <div className="text-xl font-bold text-primary-700">
+                  {formatCurrency(summary.expectedCash)}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid lg:grid-cols-2 gap-6 mb-6">
+              <div className="card p-4">
+                <h2 className="font-semibold text-surface-800 mb-4">
+                  Pay-in / Pay-out
+                </h2>
+                <form onSubmit={handleMovement} className="space-y-3">
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { id: "pay_in", label: "Pay-in", icon: ArrowDownToLine },
+                      { id: "pay_out", label: "Pay-out", icon: ArrowUpFromLine },
+                    ].map(({ id, label, icon: Icon }) => (
+                      <button
+                        key={id}
+                        type="button"
+                        onClick={() => setMovementType(id)}
+                        className={`p-3 rounded-xl border-2 flex items-center justify-center gap-2 transition-all ${
+                          movementType === id
+                            ? "border-primary-500 bg-primary-50"
+                            : "border-surface-200 hover:border-surface-300"
+                        }`}
+                      >
+                        <Icon
+                          className={`w-5 h-5 ${
+                            movementType === id
+                              ? "text-primary-500"
+                              : "text-surface-400"
+                          }`}
+                        />
+                        <span className="font-medium">{label}</span>
+                      </button>
+                    ))}
+                  </div>
+                  <input
+                    type="number"
+                    value={movementAmount}
+                    onChange={(e) => setMovementAmount(e.target.value)}
+                    className="input"
+                    step="0.01"
+                    min="0.01"
+                    placeholder="Amount (DH)"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={movementReason}
+                    onChange={(e) => setMovementReason(e.target.value)}
+                    className="input"
+                    placeholder={
+                      movementType === "pay_in"
+                        ? "Reason (e.g. change top-up)"
+                        : "Reason (e.g. supplier delivery)"
+                    }
+                    minLength={2}
+                    maxLength={255}
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="btn btn-secondary w-full"
+                  >
+                    Record {movementType === "pay_in" ? "pay-in" : "pay-out"}
+                  </button>
+                </form>
+
+                {session.report.movements.length > 0 && (
+                  <div className="mt-4 divide-y divide-surface-100">
+                    {session.report.movements.map((m) => (
+                      <div
+                        key={m.id}
+                        className="flex justify-between py-2 text-sm"
+                      >
+                        <span className="text-surface-600">
+                          {format(new Date(m.created_at), "HH:mm")} ·{" "}
+                          {m.reason}
+                        </span>
+                        <span
+                          className={`font-semibold ${
+                            m.type === "pay_in"
+                              ? "text-green-600"
+                              : "text-red-600"
+                          }`}
+                        >
+                          {m.type === "pay_in" ? "+" : "-"}
+                          {formatCurrency(m.amount)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <form onSubmit={handleClose} className="card p-4">
+                <div className="flex items-center gap-2 mb-4">
+                  <Lock className="w-5 h-5 text-surface-500" />
+                  <h2 className="font-semibold text-surface-800">
+                    Close drawer
+                  </h2>
+                </div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">
+                  Counted cash (DH)
+                </label>
+                <input
+                  type="number"
+                  value={countedCash}
+                  onChange={(e) => setCountedCash(e.target.value)}
+                  className="input text-center text-xl font-bold"
+                  step="0.01"
+                  min="0"
+                  required
+                />
+                {difference !== null && (
+                  <p
+                    className={`text-center font-semibold mt-2 ${
+                      Math.abs(difference) < 0.005
+                        ? "text-green-600"
+                        : "text-red-600"
+                    }`}
+                  >
+                    {Math.abs(difference) < 0.005
+                      ? "Drawer balances"
+                      : `${difference < 0 ? "Short" : "Over"} ${formatCurrency(
+                          Math.abs(difference)
+                        )}`}
+                  </p>
+                )}
+                <input
+                  type="text"
+                  value={closeNotes}
+                  onChange={(e) => setCloseNotes(e.target.value)}
+                  className="input mt-3"
+                  placeholder="Note (optional)"
+                  maxLength={500}
+                />
+                <button
+                  type="submit"
+                  disabled={saving || countedCash === ""}
+                  className="btn btn-primary w-full btn-lg mt-4"
+                >
+                  Close & print Z report
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+
+        <div className="card overflow-hidden">
+          <div className="p-4 border-b border-surface-100 flex items-center gap-2">
+            <Wallet className="w-5 h-5 text-surface-500" />
+            <h2 className="font-semibold text-surface-800">
+              {canViewAll ? "Recent drawers" : "My recent drawers"}
+            </h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-surface-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">
+                    Opened
+                  </th>
+                  {canViewAll && (
+                    <th className="px-4 py-3 text-left text-sm font-medium text-surface-600">
+                      Cashier
+                    </th>
+                  )}
+                  <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">
+                    Expected
+                  </th>
+                  <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">
+                    Counted
+                  </th>
+                  <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">
+                    Over / Short
+                  </th>
+                  <th className="px-4 py-3 text-right text-sm font-medium text-surface-600">
+                    Report
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.length === 0 && (
+                  <tr>
+                    <td
+                      colSpan={6}
+                      className="px-4 py-8 text-center text-surface-400"
+                    >
+                      No cash drawers yet
+                    </td>
+                  </tr>
+                )}
+                {history.map((s) => (
+                  <tr key={s.id} className="border-t border-surface-100">
+                    <td className="px-4 py-3">
+                      {format(new Date(s.opened_at), "dd/MM/yyyy HH:mm")}
+                      {s.status === "open" && (
+                        <span className="badge badge-success ml-2">Open</span>
+                      )}
+                    </td>
+                    {canViewAll && (
+                      <td className="px-4 py-3 text-surface-600">
+                        {s.user_name}
+                      </td>
+                    )}
+                    <td className="px-4 py-3 text-right">
+                      {s.expected_cash != null
+                        ? formatCurrency(s.expected_cash)
+                        : "-"}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {s.counted_cash != null
+                        ? formatCurrency(s.counted_cash)
+                        : "-"}
+                    </td>
+                    <td
+                      className={`px-4 py-3 text-right font-semibold ${
+                        parseFloat(s.over_short) < 0
+                          ? "text-red-600"
+                          : parseFloat(s.over_short) > 0
+                          ? "text-amber-600"
+                          : "text-surface-600"
+                      }`}
+                    >
+                      {s.over_short != null
+                        ? formatCurrency(s.over_short)
+                        : "-"}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => handlePrint(s.id)}
+                        className="text-surface-500 hover:text-primary-500"
+                        title={s.status === "open" ? "X report" : "Z report"}
+                      >
+                        <Printer className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,6 +1,13 @@
 import { useState, useEffect, useCallback } from "react";
-import { ordersAPI, paymentsAPI, tablesAPI } from "../services/api";
+import { Link } from "react-router-dom";
+import {
+  ordersAPI,
+  paymentsAPI,
+  tablesAPI,
+  cashSessionsAPI,
+} from "../services/api";
 import { useAuth } from "../context/AuthContext";
+import { useRealtime } from "../context/RealtimeContext";
 import toast from "react-hot-toast";
 import {
   Search,
@@ -13,25 +20,46 @@ import {
   Receipt,
   Printer,
   DollarSign,
+  Split,
+  Tag,
+  Wallet,
 } from "lucide-react";
 import { formatCurrency } from "../utils/currency";
+import { taxBreakdown } from "../utils/tax";
 import { formatDistanceToNow, format } from "date-fns";
 import PaymentTicket from "../components/PaymentTicket";
+import SplitBillModal from "../components/SplitBillModal";
+import DiscountModal, {
+  discountLabel,
+  RemoveDiscountModal,
+} from "../components/DiscountModal";
+import {
+  componentSummary,
+  itemName,
+  modifierSummary,
+} from "../components/ModifierModal";
 
 export default function CashierPage() {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [tables, setTables] = useState([]);
   const [selectedTable, setSelectedTable] = useState(null);
   const [orderDetails, setOrderDetails] = useState(null);
   const [paymentMethods, setPaymentMethods] = useState([]);
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState(null);
   const [amountPaid, setAmountPaid] = useState("");
+  const [tenderAmount, setTenderAmount] = useState("");
+  const [selectedCheckId, setSelectedCheckId] = useState(null);
+  const [showSplitModal, setShowSplitModal] = useState(false);
+  const [discountItem, setDiscountItem] = useState(null);
+  const [removingDiscount, setRemovingDiscount] = useState(null);
   const [tipAmount, setTipAmount] = useState("");
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [paymentSuccess, setPaymentSuccess] = useState(null);
   const [dailySummary, setDailySummary] = useState(null);
+  const [cashSession, setCashSession] = useState(undefined);
+  const [drawerRequired, setDrawerRequired] = useState(false);
   const [tablesError, setTablesError] = useState(null);
   const [takeawayOrders, setTakeawayOrders] = useState([]);
 
@@ -72,9 +100,10 @@ export default function CashierPage() {
   // Fetch payment methods and daily summary (separate so tables always load first)
   const fetchPaymentData = useCallback(async () => {
     try {
-      const [methodsRes, summaryRes] = await Promise.allSettled([
+      const [methodsRes, summaryRes, sessionRes] = await Promise.allSettled([
         paymentsAPI.getMethods(),
         paymentsAPI.getDailySummary(),
+        cashSessionsAPI.getCurrent(),
       ]);
       if (methodsRes.status === "fulfilled") {
         const methods = methodsRes.value?.data?.data ?? [];
@@ -86,6 +115,10 @@ export default function CashierPage() {
       if (summaryRes.status === "fulfilled") {
         setDailySummary(summaryRes.value?.data?.data ?? null);
       }
+      if (sessionRes.status === "fulfilled") {
+        setCashSession(sessionRes.value?.data?.data ?? null);
+        setDrawerRequired(!!sessionRes.value?.data?.drawer_required);
+      }
     } catch (e) {
       console.error("Cashier: payment data fetch error", e);
     }
@@ -103,12 +136,44 @@ export default function CashierPage() {
 
   useEffect(() => {
     fetchData();
-
-    // Auto-refresh every 30 seconds
-    const interval = setInterval(fetchData, 30000);
-    return () => clearInterval(interval);
   }, [fetchData]);
 
+  // Live updates: refresh lists in place (no spinner) and keep the open order in sync
+  useRealtime(["table.*", "order.*"], async (event) => {
+    fetchTables();
+    fetchTakeawayOrders();
+    if (event.type === "order.paid") fetchPaymentData();
+
+    const orderId = event.data?.order_id;
+    if (!orderDetails || orderId !== orderDetails.id || processing) return;
+
+    if (event.type === "order.paid" || event.type === "order.cancelled") {
+      toast(`Order ${orderDetails.order_number} was closed on another device`);
+      setSelectedTable(null);
+      setOrderDetails(null);
+    } else {
+      try {
+        const response = await ordersAPI.getById(orderId);
+        setOrderDetails(response.data.data);
+      } catch (error) {
+        // Keep showing the last loaded order
+      }
+    }
+  });
+
+  // Show an order in the payment panel; split orders default to their first open check
+  const showOrder = (order, checkId = null) => {
+    const openChecks = (order.checks || []).filter((c) => c.status !== "paid");
+    const check =
+      openChecks.find((c) => c.id === checkId) || openChecks[0] || null;
+    const balance = check ? check.balance_due : order.balance_due;
+
+    setOrderDetails(order);
+    setSelectedCheckId(check?.id ?? null);
+    setTenderAmount(balance.toString());
+    setAmountPaid(balance.toString());
+  };
+
   // Select table or takeaway and load order details
   const handleSelectTable = async (table) => {
     const orderId = table.current_order_id;
@@ -122,9 +187,7 @@ export default function CashierPage() {
 
     try {
       const response = await ordersAPI.getById(orderId);
-      const order = response.data.data;
-      setOrderDetails(order);
-      setAmountPaid(order.total_amount.toString());
+      showOrder(response.data.data);
     } catch (error) {
       toast.error("Failed to load order details");
     } finally {
@@ -132,16 +195,23 @@ export default function CashierPage() {
     }
   };
 
-  // Process payment
+  // Process one tender; the order closes once the balance reaches zero
   const handleProcessPayment = async () => {
     if (!orderDetails || !selectedPaymentMethod) {
       toast.error("Please select a payment method");
       return;
     }
 
+    const balance = parseFloat(payableBalance);
+    const tenderNum = parseFloat(tenderAmount) || 0;
     const amountNum = parseFloat(amountPaid) || 0;
     const tipNum = parseFloat(tipAmount) || 0;
-    const totalRequired = parseFloat(orderDetails.total_amount) + tipNum;
+    const totalRequired = tenderNum + tipNum;
+
+    if (tenderNum <= 0 || tenderNum > balance) {
+      toast.error(`Amount must be between 0 and ${formatCurrency(balance)}`);
+      return;
+    }
 
     if (amountNum < totalRequired) {
       toast.error(
@@ -155,26 +225,63 @@ export default function CashierPage() {
     try {
       const response = await paymentsAPI.process({
         order_id: orderDetails.id,
+        check_id: activeCheck?.id,
         payment_method_id: selectedPaymentMethod,
+        amount: tenderNum,
         amount_paid: amountNum,
         tip_amount: tipNum,
       });
 
-      const { payment, change } = response.data.data;
+      const { payment, change, balance: remaining, order_paid, check_paid } =
+        response.data.data;
+
+      // Reload the order so the tender list and balance are current
+      const orderResponse = await ordersAPI.getById(orderDetails.id);
+      const updatedOrder = orderResponse.data.data;
       const paymentMethodName =
         paymentMethods.find((m) => m.id === selectedPaymentMethod)?.name || "";
 
+      if (!order_paid) {
+        setTipAmount("");
+        showOrder(updatedOrder, check_paid ? null : activeCheck?.id);
+
+        if (check_paid) {
+          // Check settled: print its own ticket, the order stays open for the others
+          setPaymentSuccess({
+            payment,
+            change,
+            tableNumber: selectedTable.table_number,
+            order: updatedOrder,
+            check: updatedOrder.checks.find((c) => c.id === activeCheck.id),
+            paymentMethodName,
+          });
+        } else {
+          toast.success(
+            `Tender recorded. Change: ${formatCurrency(
+              change
+            )} · Remaining: ${formatCurrency(
+              activeCheck ? response.data.data.check_balance : remaining
+            )}`
+          );
+        }
+        return;
+      }
+
       setPaymentSuccess({
         payment,
         change,
         tableNumber: selectedTable.table_number,
-        order: orderDetails,
+        order: updatedOrder,
+        check: activeCheck
+          ? updatedOrder.checks.find((c) => c.id === activeCheck.id)
+          : null,
         paymentMethodName,
       });
 
       // Reset state
       setSelectedTable(null);
       setOrderDetails(null);
+      setTenderAmount("");
       setAmountPaid("");
       setTipAmount("");
 
@@ -192,6 +299,15 @@ export default function CashierPage() {
     setAmountPaid(amount.toString());
   };
 
+  // Split helpers: settle the whole balance, half of it, or one guest's share
+  const handleSplitAmount = (divisor) => {
+    const balance = parseFloat(payableBalance);
+    const share = Math.ceil((balance / divisor) * 100) / 100;
+    const amount = Math.min(balance, share).toFixed(2);
+    setTenderAmount(amount);
+    setAmountPaid(amount);
+  };
+
   // Filter tables by search
   const filteredTables = tables.filter((table) => {
     if (!searchQuery) return true;
@@ -216,11 +332,56 @@ export default function CashierPage() {
   const calculateChange = () => {
     if (!orderDetails) return 0;
     const total =
-      parseFloat(orderDetails.total_amount) + (parseFloat(tipAmount) || 0);
+      (parseFloat(tenderAmount) || 0) + (parseFloat(tipAmount) || 0);
     const paid = parseFloat(amountPaid) || 0;
     return Math.max(0, paid - total);
   };
 
+  // Refunded tenders still count against the bill (see balance_due)
+  const completedTenders = (orderDetails?.payments || []).filter((p) =>
+    ["completed", "refunded"].includes(p.status)
+  );
+  const checks = orderDetails?.checks || [];
+  const activeCheck = checks.find((c) => c.id === selectedCheckId) || null;
+  const payableBalance = activeCheck
+    ? activeCheck.balance_due
+    : orderDetails?.balance_due;
+
+  const canDiscount =
+    hasPermission("discounts", "apply") && orderDetails?.status === "open";
+
+  const reloadOrder = async () => {
+    const response = await ordersAPI.getById(orderDetails.id);
+    showOrder(response.data.data, selectedCheckId);
+  };
+
+  const handleRemoveDiscount = async (discount) => {
+    // Without approval rights a manager confirms the removal
+    if (!hasPermission("discounts", "approve")) {
+      setRemovingDiscount(discount);
+      return;
+    }
+    try {
+      await ordersAPI.removeDiscount(orderDetails.id, discount.id);
+      await reloadOrder();
+      toast.success("Discount removed");
+    } catch (error) {
+      // Error toast shown by api interceptor
+    }
+  };
+
+  // Removing a split is only possible before any check is paid
+  const handleRemoveSplit = async () => {
+    try {
+      await ordersAPI.removeSplit(orderDetails.id);
+      const response = await ordersAPI.getById(orderDetails.id);
+      showOrder(response.data.data);
+      toast.success("Split removed");
+    } catch (error) {
+      // Error toast shown by api interceptor
+    }
+  };
+
   const paymentMethodIcons = {
     cash: Banknote,
     card: CreditCard,
@@ -246,7 +407,9 @@ export default function CashierPage() {
             </div>
 
             <h2 className="text-2xl font-bold text-surface-800 mb-2">
-              Payment Successful!
+              {paymentSuccess.check && paymentSuccess.order.status !== "paid"
+                ? `${paymentSuccess.check.label} Paid`
+                : "Payment Successful!"}
             </h2>
 
             <p className="text-surface-500 mb-6">
@@ -257,6 +420,16 @@ export default function CashierPage() {
             </p>
 
             <div className="bg-surface-50 rounded-lg p-4 mb-6 space-y-2">
+              {paymentSuccess.order?.payments?.length > 1 && (
+                <div className="flex justify-between">
+                  <span className="text-surface-500">
+                    Order Total ({paymentSuccess.order.payments.length} tenders)
+                  </span>
+                  <span className="font-semibold">
+                    {formatCurrency(paymentSuccess.order.total_amount)}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-surface-500">Amount Paid</span>
                 <span className="font-semibold">
@@ -319,6 +492,19 @@ export default function CashierPage() {
           </div>
         </div>
 
+        {/* No open drawer: cash is refused (drawers required) or not counted in any drawer */}
+        {cashSession === null && (
+          <Link
+            to="/cash-drawer"
+            className="flex items-center gap-2 p-3 bg-amber-50 border-b border-amber-100 text-sm text-amber-700 hover:bg-amber-100"
+          >
+            <Wallet className="w-4 h-4 flex-shrink-0" />
+            {drawerRequired
+              ? "No cash drawer open. Open one to take cash payments."
+              : "No cash drawer open. Cash taken now is not counted in any drawer."}
+          </Link>
+        )}
+
         {/* Daily Summary */}
         {dailySummary && (
           <div className="p-4 bg-primary-50 border-b border-primary-100">
@@ -335,7 +521,7 @@ export default function CashierPage() {
               <div>
                 <div className="text-surface-500">Revenue</div>
                 <div className="font-bold text-green-600">
-                  {formatCurrency(dailySummary.summary.grossSales)}
+                  {formatCurrency(dailySummary.summary.netSales)}
                 </div>
               </div>
             </div>
@@ -391,6 +577,11 @@ export default function CashierPage() {
                         ? formatDistanceToNow(new Date(table.order_opened_at))
                         : "-"}
                     </span>
+                    {parseFloat(table.amount_tendered) > 0 && (
+                      <span className="badge badge-warning">
+                        Paid {formatCurrency(table.amount_tendered)}
+                      </span>
+                    )}
                   </div>
                   {table.server_name && (
                     <div className="text-sm text-surface-500 mt-1">
@@ -406,6 +597,7 @@ export default function CashierPage() {
                   current_order_id: order.id,
                   table_number: null,
                   current_total: order.total_amount,
+                  amount_tendered: order.amount_tendered,
                   order_opened_at: order.opened_at,
                   server_name: order.server_name,
                 };
@@ -435,6 +627,11 @@ export default function CashierPage() {
                           : "-"}
                       </span>
                       {order.order_number && <span>#{order.order_number}</span>}
+                      {parseFloat(row.amount_tendered) > 0 && (
+                        <span className="badge badge-warning">
+                          Paid {formatCurrency(row.amount_tendered)}
+                        </span>
+                      )}
                     </div>
                     {row.server_name && (
                       <div className="text-sm text-surface-500 mt-1">
@@ -473,15 +670,35 @@ export default function CashierPage() {
                     Order #{orderDetails.order_number}
                   </p>
                 </div>
-                <button
-                  onClick={() => {
-                    setSelectedTable(null);
-                    setOrderDetails(null);
-                  }}
-                  className="text-surface-400 hover:text-surface-600"
-                >
-                  <X className="w-6 h-6" />
-                </button>
+                <div className="flex items-center gap-3">
+                  {canDiscount && (
+                    <button
+                      onClick={() => setDiscountItem({})}
+                      className="btn btn-secondary btn-sm flex items-center gap-1"
+                    >
+                      <Tag className="w-4 h-4" />
+                      Discount
+                    </button>
+                  )}
+                  {checks.length === 0 && completedTenders.length === 0 && (
+                    <button
+                      onClick={() => setShowSplitModal(true)}
+                      className="btn btn-secondary btn-sm flex items-center gap-1"
+                    >
+                      <Split className="w-4 h-4" />
+                      Split bill
+                    </button>
+                  )}
+                  <button
+                    onClick={() => {
+                      setSelectedTable(null);
+                      setOrderDetails(null);
+                    }}
+                    className="text-surface-400 hover:text-surface-600"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
               </div>
 
               {/* Order Items */}
@@ -494,11 +711,35 @@ export default function CashierPage() {
                       className="flex items-center justify-between py-2 border-b border-surface-100"
                     >
                       <div className="flex-1">
-                        <span className="font-medium">{item.product_name}</span>
+                        <span className="font-medium">{itemName(item)}</span>
                         <span className="text-surface-500 ml-2">
                           x{item.quantity}
                         </span>
+                        {item.components?.length > 0 && (
+                          <span className="block text-xs text-surface-500">
+                            {componentSummary(item.components)}
+                          </span>
+                        )}
+                        {item.modifiers?.length > 0 && (
+                          <span className="block text-xs text-surface-500">
+                            {modifierSummary(item.modifiers)}
+                          </span>
+                        )}
+                        {parseFloat(item.discount_amount) > 0 && (
+                          <span className="block text-xs text-green-600">
+                            - {formatCurrency(item.discount_amount)}
+                          </span>
+                        )}
                       </div>
+                      {canDiscount && (
+                        <button
+                          onClick={() => setDiscountItem(item)}
+                          className="p-1 mr-2 text-surface-400 hover:text-primary-500"
+                          title="Discount item"
+                        >
+                          <Tag className="w-4 h-4" />
+                        </button>
+                      )}
                       <span className="font-semibold">
                         {formatCurrency(item.subtotal)}
                       </span>
@@ -514,25 +755,142 @@ export default function CashierPage() {
                     {formatCurrency(orderDetails.subtotal)}
                   </span>
                 </div>
-                {parseFloat(orderDetails.tax_amount) > 0 && (
-                  <div className="flex justify-between text-lg mb-2">
-                    <span className="text-surface-600">Tax</span>
-                    <span className="font-semibold">
-                      {formatCurrency(orderDetails.tax_amount)}
+                {(orderDetails.discounts || [])
+                  .filter((d) => parseFloat(d.amount) > 0)
+                  .map((discount) => (
+                    <div
+                      key={discount.id}
+                      className="flex justify-between items-center mb-2 text-green-600"
+                    >
+                      <span className="flex items-center gap-1">
+                        {discountLabel(discount)}
+                        {discount.discount_type === "percent" &&
+                          ` ${parseFloat(discount.value)}%`}
+                        {discount.order_item_id &&
+                          ` · ${
+                            itemName(
+                              orderDetails.items.find(
+                                (i) => i.id === discount.order_item_id
+                              ) || {}
+                            ) || ""
+                          }`}
+                        {canDiscount && !discount.promotion_id && (
+                          <button
+                            onClick={() => handleRemoveDiscount(discount)}
+                            className="text-surface-400 hover:text-red-500"
+                            title="Remove discount"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
+                      </span>
+                      <span className="font-semibold">
+                        - {formatCurrency(discount.amount)}
+                      </span>
+                    </div>
+                  ))}
+                {taxBreakdown(orderDetails.items).map((tax) => (
+                  <div
+                    key={tax.rate}
+                    className={`flex justify-between mb-2 ${
+                      tax.added > 0 ? "text-lg" : "text-sm text-surface-500"
+                    }`}
+                  >
+                    <span className={tax.added > 0 ? "text-surface-600" : ""}>
+                      TVA {tax.rate}%{tax.added > 0 ? "" : " (included)"}
+                    </span>
+                    <span className={tax.added > 0 ? "font-semibold" : ""}>
+                      {formatCurrency(tax.tax)}
                     </span>
                   </div>
-                )}
+                ))}
                 <div className="flex justify-between text-2xl font-bold">
                   <span>Total</span>
                   <span className="text-primary-600">
                     {formatCurrency(orderDetails.total_amount)}
                   </span>
                 </div>
+
+                {/* Tenders already taken */}
+                {completedTenders.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-surface-200 space-y-1">
+                    {completedTenders.map((tender) => (
+                      <div
+                        key={tender.id}
+                        className="flex justify-between text-sm text-surface-600"
+                      >
+                        <span className="capitalize">
+                          {tender.payment_method_name} ·{" "}
+                          {format(new Date(tender.paid_at), "HH:mm")}
+                          {tender.status === "refunded" && " · refunded"}
+                        </span>
+                        <span>- {formatCurrency(tender.amount_due)}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between text-xl font-bold pt-1">
+                      <span>Remaining</span>
+                      <span className="text-amber-600">
+                        {formatCurrency(orderDetails.balance_due)}
+                      </span>
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
 
             {/* Payment Form */}
             <div className="flex-1 p-4 overflow-auto">
+              {/* Split checks */}
+              {checks.length > 0 && (
+                <div className="mb-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="text-sm font-medium text-surface-600">
+                      Checks
+                    </label>
+                    {checks.every((c) => c.amount_tendered === 0) && (
+                      <button
+                        onClick={handleRemoveSplit}
+                        className="text-sm text-red-500 hover:text-red-600"
+                      >
+                        Remove split
+                      </button>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                    {checks.map((check) => (
+                      <button
+                        key={check.id}
+                        onClick={() => showOrder(orderDetails, check.id)}
+                        disabled={check.status === "paid"}
+                        className={`p-3 rounded-xl border-2 text-left transition-all ${
+                          check.status === "paid"
+                            ? "border-surface-200 bg-surface-50 opacity-60"
+                            : selectedCheckId === check.id
+                            ? "border-primary-500 bg-primary-50"
+                            : "border-surface-200 hover:border-surface-300"
+                        }`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <span className="font-semibold">{check.label}</span>
+                          {check.status === "paid" && (
+                            <span className="badge badge-success">paid</span>
+                          )}
+                        </div>
+                        <div className="text-lg font-bold text-primary-600">
+                          {formatCurrency(check.balance_due)}
+                        </div>
+                        {check.amount_tendered > 0 &&
+                          check.status !== "paid" && (
+                            <div className="text-xs text-surface-500">
+                              of {formatCurrency(check.amount)}
+                            </div>
+                          )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Payment Methods */}
               <div className="mb-6">
                 <label className="block text-sm font-medium text-surface-600 mb-2">
@@ -567,6 +925,46 @@ export default function CashierPage() {
                 </div>
               </div>
 
+              {/* Amount of the balance this tender settles */}
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-surface-600 mb-2">
+                  Amount to Settle
+                </label>
+                <input
+                  type="number"
+                  value={tenderAmount}
+                  onChange={(e) => setTenderAmount(e.target.value)}
+                  className="input text-xl font-bold text-center"
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  max={payableBalance}
+                />
+                <div className="grid grid-cols-3 gap-2 mt-3">
+                  <button
+                    onClick={() => handleSplitAmount(1)}
+                    className="btn btn-secondary py-3"
+                  >
+                    Balance
+                  </button>
+                  <button
+                    onClick={() => handleSplitAmount(2)}
+                    className="btn btn-secondary py-3"
+                  >
+                    Half
+                  </button>
+                  <button
+                    onClick={() =>
+                      handleSplitAmount(orderDetails.guest_count || 1)
+                    }
+                    disabled={(orderDetails.guest_count || 1) < 2}
+                    className="btn btn-secondary py-3"
+                  >
+                    Per guest
+                  </button>
+                </div>
+              </div>
+
               {/* Amount Paid */}
               <div className="mb-6">
                 <label className="block text-sm font-medium text-surface-600 mb-2">
@@ -584,7 +982,7 @@ export default function CashierPage() {
 
                 {/* Quick amount buttons */}
                 <div className="grid grid-cols-4 gap-2 mt-3">
-                  {[20, 50, 100, parseFloat(orderDetails.total_amount)].map(
+                  {[20, 50, 100, parseFloat(tenderAmount) || 0].map(
                     (amount, i) => (
                       <button
                         key={i}
@@ -631,7 +1029,12 @@ export default function CashierPage() {
             <div className="p-4 bg-white border-t border-surface-200">
               <button
                 onClick={handleProcessPayment}
-                disabled={processing || !selectedPaymentMethod || !amountPaid}
+                disabled={
+                  processing ||
+                  !selectedPaymentMethod ||
+                  !amountPaid ||
+                  !tenderAmount
+                }
                 className="btn btn-success w-full btn-lg text-lg"
               >
                 {processing ? (
@@ -639,7 +1042,9 @@ export default function CashierPage() {
                 ) : (
                   <>
                     <CheckCircle className="w-6 h-6 mr-2" />
-                    Complete Payment
+                    {parseFloat(tenderAmount) < parseFloat(payableBalance)
+                      ? "Add Tender"
+                      : "Complete Payment"}
                   </>
                 )}
               </button>
@@ -647,6 +1052,42 @@ export default function CashierPage() {
           </>
         )}
       </div>
+
+      {discountItem && orderDetails && (
+        <DiscountModal
+          order={orderDetails}
+          item={discountItem.id ? discountItem : null}
+          onClose={() => setDiscountItem(null)}
+          onApplied={async () => {
+            setDiscountItem(null);
+            await reloadOrder();
+          }}
+        />
+      )}
+
+      {removingDiscount && orderDetails && (
+        <RemoveDiscountModal
+          order={orderDetails}
+          discount={removingDiscount}
+          onClose={() => setRemovingDiscount(null)}
+          onRemoved={async () => {
+            setRemovingDiscount(null);
+            await reloadOrder();
+          }}
+        />
+      )}
+
+      {showSplitModal && orderDetails && (
+        <SplitBillModal
+          order={orderDetails}
+          onClose={() => setShowSplitModal(false)}
+          onSplit={async () => {
+            setShowSplitModal(false);
+            const response = await ordersAPI.getById(orderDetails.id);
+            showOrder(response.data.data);
+          }}
+        />
+      )}
     </div>
   );
 }
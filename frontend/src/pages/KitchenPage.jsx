@@ -0,0 +1,361 @@
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { kitchenAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { useRealtime, useMinutesSince } from "../context/RealtimeContext";
+import { itemName } from "../components/ModifierModal";
+import { WASTE_REASONS } from "../utils/waste";
+import toast from "react-hot-toast";
+import {
+  ChefHat,
+  Clock,
+  RefreshCw,
+  LogOut,
+  ArrowLeft,
+  Flame,
+  CheckCircle,
+  Undo2,
+  RotateCcw,
+} from "lucide-react";
+
+// Ticket age thresholds (minutes) for the header color
+const AGE_WARNING = 10;
+const AGE_LATE = 20;
+
+const STATUS_STYLES = {
+  pending: "bg-surface-700 text-surface-100",
+  preparing: "bg-amber-500 text-white",
+  ready: "bg-green-600 text-white",
+};
+
+const ageClass = (minutes) => {
+  if (minutes >= AGE_LATE) return "bg-red-600";
+  if (minutes >= AGE_WARNING) return "bg-amber-600";
+  return "bg-green-700";
+};
+
+export default function KitchenPage() {
+  const navigate = useNavigate();
+  const { user, logout, hasRole } = useAuth();
+  const [tickets, setTickets] = useState([]);
+  const [fetchedAt, setFetchedAt] = useState(() => Date.now());
+  const [loading, setLoading] = useState(true);
+  const [showReady, setShowReady] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [remaking, setRemaking] = useState(null);
+
+  const fetchTickets = useCallback(async () => {
+    try {
+      const status = showReady
+        ? "pending,preparing,ready"
+        : "pending,preparing";
+      const res = await kitchenAPI.getTickets(status);
+      setTickets(res.data.data || []);
+      setFetchedAt(Date.now());
+    } catch (error) {
+      console.error("Kitchen: failed to load tickets", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showReady]);
+
+  useEffect(() => {
+    fetchTickets();
+  }, [fetchTickets]);
+
+  // New items, bumps from other screens, paid/cancelled orders
+  useRealtime(["order.*"], fetchTickets);
+
+  // Ticket ages are computed server-side; count on from them between pushes
+  const drift = useMinutesSince(fetchedAt);
+
+  const handleItemStatus = async (item, status) => {
+    setBusyId(`item-${item.id}`);
+    try {
+      await kitchenAPI.updateItemStatus(item.id, status);
+      await fetchTickets();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // The dish that was made is logged as waste; the item goes back to pending
+  const handleRemake = async (reason) => {
+    const item = remaking;
+    setRemaking(null);
+    setBusyId(`item-${item.id}`);
+    try {
+      const res = await kitchenAPI.remakeItem(item.id, { reason });
+      toast.success(res.data.message);
+      await fetchTickets();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleBump = async (ticket) => {
+    const hasPending = ticket.items.some((i) => i.status === "pending");
+    const hasPreparing = ticket.items.some((i) => i.status === "preparing");
+    const from = hasPending ? "pending" : hasPreparing ? "preparing" : "ready";
+
+    setBusyId(`order-${ticket.order_id}`);
+    try {
+      const res = await kitchenAPI.bumpOrder(ticket.order_id, from);
+      toast.success(res.data.message);
+      await fetchTickets();
+    } catch (error) {
+      // Error toast shown by api interceptor
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    navigate("/login");
+  };
+
+  const nextAction = (status) =>
+    ({
+      pending: { status: "preparing", label: "Start", icon: Flame },
+      preparing: { status: "ready", label: "Ready", icon: CheckCircle },
+      ready: { status: "served", label: "Served", icon: CheckCircle },
+    })[status];
+
+  const recallStatus = { preparing: "pending", ready: "preparing" };
+
+  return (
+    <div className="min-h-screen bg-surface-900 text-white flex flex-col">
+      {/* Header */}
+      <header className="flex items-center justify-between px-4 py-3 bg-surface-800 border-b border-surface-700">
+        <div className="flex items-center gap-3">
+          {!hasRole("kitchen") && (
+            <button
+              onClick={() => navigate("/")}
+              className="p-2 rounded-lg hover:bg-surface-700"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+          )}
+          <ChefHat className="w-7 h-7 text-primary-500" />
+          <h1 className="text-xl font-bold">Kitchen</h1>
+          <span className="text-surface-400 text-sm">
+            {tickets.length} ticket{tickets.length === 1 ? "" : "s"}
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 text-sm text-surface-300 mr-2">
+            <input
+              type="checkbox"
+              checked={showReady}
+              onChange={(e) => setShowReady(e.target.checked)}
+            />
+            Show ready
+          </label>
+          <button
+            onClick={fetchTickets}
+            className="p-2 rounded-lg hover:bg-surface-700"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? "animate-spin" : ""}`} />
+          </button>
+          <span className="hidden md:block text-sm text-surface-400 px-2">
+            {user?.fullName}
+          </span>
+          <button
+            onClick={handleLogout}
+            className="p-2 rounded-lg text-red-400 hover:bg-surface-700"
+          >
+            <LogOut className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+
+      {/* Remake reason */}
+      {remaking && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+          <div className="bg-surface-800 border border-surface-700 rounded-xl p-6 w-full max-w-md m-4">
+            <h3 className="text-lg font-bold mb-1">Remake {itemName(remaking)}</h3>
+            <p className="text-sm text-surface-400 mb-4">
+              {remaking.quantity}× logged as waste, item goes back to pending
+            </p>
+            <div className="grid grid-cols-2 gap-2">
+              {WASTE_REASONS.filter((r) => r.value !== "expired").map((reason) => (
+                <button
+                  key={reason.value}
+                  onClick={() => handleRemake(reason.value)}
+                  className="btn btn-lg bg-surface-700 hover:bg-surface-600 text-white"
+                >
+                  {reason.label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => setRemaking(null)}
+              className="btn btn-secondary w-full mt-4"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Tickets */}
+      <div className="flex-1 p-4 overflow-auto">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner w-8 h-8" />
+          </div>
+        ) : tickets.length === 0 ? (
+          <div className="text-center py-24 text-surface-400">
+            <ChefHat className="w-16 h-16 mx-auto mb-4 opacity-50" />
+            <p className="text-lg">No tickets — all caught up</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 items-start">
+            {tickets.map((ticket) => (
+              <div
+                key={ticket.order_id}
+                className="rounded-xl overflow-hidden bg-surface-800 border border-surface-700 flex flex-col"
+              >
+                <div
+                  className={`px-4 py-3 flex items-center justify-between ${ageClass(
+                    ticket.age_minutes + drift
+                  )}`}
+                >
+                  <div>
+                    <div className="text-xl font-bold">
+                      {ticket.table_number != null
+                        ? `Table ${ticket.table_number}`
+                        : "Takeaway"}
+                    </div>
+                    <div className="text-xs opacity-90">
+                      {ticket.order_number} · {ticket.server_name}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 text-lg font-bold tabular-nums">
+                    <Clock className="w-5 h-5" />
+                    {ticket.age_minutes + drift}m
+                  </div>
+                </div>
+
+                {ticket.order_notes && (
+                  <div className="px-4 py-2 text-sm bg-surface-700 text-amber-300">
+                    {ticket.order_notes}
+                  </div>
+                )}
+
+                <ul className="divide-y divide-surface-700">
+                  {ticket.items.map((item) => {
+                    const action = nextAction(item.status);
+                    const ActionIcon = action.icon;
+                    return (
+                      <li key={item.id} className="px-4 py-3">
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <div className="font-semibold">
+                              <span className="text-primary-400 mr-2">
+                                {item.quantity}×
+                              </span>
+                              {itemName(item)}
+                            </div>
+                            {item.components?.length > 0 && (
+                              <ul className="text-sm text-surface-100 mt-0.5">
+                                {item.components.map((c, i) => (
+                                  <li key={i}>
+                                    {c.quantity > 1 ? `${c.quantity}× ` : "▸ "}
+                                    {c.variant_name
+                                      ? `${c.product_name} (${c.variant_name})`
+                                      : c.product_name}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {item.modifiers?.length > 0 && (
+                              <ul className="text-sm text-surface-200 mt-0.5">
+                                {item.modifiers.map((m, i) => (
+                                  <li key={i}>• {m.name}</li>
+                                ))}
+                              </ul>
+                            )}
+                            {item.notes && (
+                              <div className="text-sm text-amber-300 mt-0.5">
+                                {item.notes}
+                              </div>
+                            )}
+                            <div className="flex items-center gap-2 mt-1">
+                              <span
+                                className={`badge ${STATUS_STYLES[item.status]}`}
+                              >
+                                {item.status}
+                              </span>
+                              <span className="text-xs text-surface-400">
+                                {item.age_minutes + drift}m
+                              </span>
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-1 shrink-0">
+                            {item.status !== "pending" && (
+                              <button
+                                onClick={() => setRemaking(item)}
+                                disabled={busyId != null}
+                                className="p-2 rounded-lg bg-surface-700 hover:bg-red-700"
+                                title="Remake"
+                              >
+                                <RotateCcw className="w-4 h-4" />
+                              </button>
+                            )}
+                            {recallStatus[item.status] && (
+                              <button
+                                onClick={() =>
+                                  handleItemStatus(
+                                    item,
+                                    recallStatus[item.status]
+                                  )
+                                }
+                                disabled={busyId != null}
+                                className="p-2 rounded-lg bg-surface-700 hover:bg-surface-600"
+                                title="Recall"
+                              >
+                                <Undo2 className="w-4 h-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() =>
+                                handleItemStatus(item, action.status)
+                              }
+                              disabled={busyId != null}
+                              className="btn btn-sm btn-primary"
+                            >
+                              <ActionIcon className="w-4 h-4 mr-1" />
+                              {action.label}
+                            </button>
+                          </div>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+
+                <button
+                  onClick={() => handleBump(ticket)}
+                  disabled={busyId != null}
+                  className="m-3 btn btn-success btn-lg"
+                >
+                  {busyId === `order-${ticket.order_id}` ? (
+                    <span className="spinner" />
+                  ) : (
+                    "Bump ticket"
+                  )}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,14 +2,18 @@ import { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import { ordersAPI } from "../services/api";
 import { useAuth } from "../context/AuthContext";
-import { RefreshCw, Edit, Clock } from "lucide-react";
+import { useRealtime } from "../context/RealtimeContext";
+import { RefreshCw, Edit, Clock, ArrowRightLeft } from "lucide-react";
 import RestaurantTableIcon from "../components/RestaurantTableIcon";
+import HandoverModal from "../components/HandoverModal";
+import HandoverInbox from "../components/HandoverInbox";
 import { formatCurrency } from "../utils/currency";
 import { formatDistanceToNow } from "date-fns";
 
 export default function MyTablesPage() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showHandover, setShowHandover] = useState(false);
   const navigate = useNavigate();
   const { user, hasRole } = useAuth();
 
@@ -31,10 +35,11 @@ export default function MyTablesPage() {
 
   useEffect(() => {
     fetchMyOrders();
-    const interval = setInterval(fetchMyOrders, 15000);
-    return () => clearInterval(interval);
   }, [fetchMyOrders]);
 
+  // Live updates: refetch when any order changes
+  useRealtime(["order.*"], fetchMyOrders);
+
   const handleOpenOrder = (order) => {
     if (order.table_id != null) {
       navigate(`/order/${order.table_id}`);
@@ -56,16 +61,30 @@ export default function MyTablesPage() {
               : "Tables you are serving — tap to update order"}
           </p>
         </div>
-        <button
-          onClick={fetchMyOrders}
-          disabled={loading}
-          className="btn btn-secondary flex items-center gap-2"
-        >
-          <RefreshCw className={`w-5 h-5 ${loading ? "animate-spin" : ""}`} />
-          Refresh
-        </button>
+        <div className="flex gap-2">
+          {orders.length > 0 && (
+            <button
+              onClick={() => setShowHandover(true)}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <ArrowRightLeft className="w-5 h-5" />
+              Hand over
+            </button>
+          )}
+          <button
+            onClick={fetchMyOrders}
+            disabled={loading}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? "animate-spin" : ""}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
+      {/* Orders offered to / by this user at shift change */}
+      <HandoverInbox onAccepted={fetchMyOrders} />
+
       {loading ? (
         <div className="flex justify-center py-12">
           <div className="spinner w-8 h-8" />
@@ -112,6 +131,7 @@ export default function MyTablesPage() {
               </div>
               <div className="text-sm text-surface-500">
                 {order.order_number} · {order.item_count || 0} items
+                {showAllTables && ` · ${order.server_name}`}
               </div>
               <div className="mt-3 pt-3 border-t border-surface-100 flex items-center gap-2 text-primary-600 font-medium">
                 <Edit className="w-4 h-4" />
@@ -121,6 +141,14 @@ export default function MyTablesPage() {
           ))}
         </div>
       )}
+
+      {showHandover && (
+        <HandoverModal
+          orders={orders}
+          onClose={() => setShowHandover(false)}
+          onRequested={() => setShowHandover(false)}
+        />
+      )}
     </div>
   );
 }
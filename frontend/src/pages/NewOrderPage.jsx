@@ -7,6 +7,7 @@ import {
   getProductImageUrl,
 } from "../services/api";
 import { useAuth } from "../context/AuthContext";
+import { useRealtime } from "../context/RealtimeContext";
 import toast from "react-hot-toast";
 import {
   Plus,
@@ -21,6 +22,11 @@ import {
 } from "lucide-react";
 import { formatCurrency } from "../utils/currency";
 import RestaurantTableIcon from "../components/RestaurantTableIcon";
+import ModifierModal, {
+  modifierSummary,
+  needsOptions,
+  startingPrice,
+} from "../components/ModifierModal";
 
 export default function NewOrderPage() {
   const navigate = useNavigate();
@@ -28,7 +34,7 @@ export default function NewOrderPage() {
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
-  const [draftItems, setDraftItems] = useState([]); // { productId, product: { id, name, price, image_url }, quantity }
+  const [draftItems, setDraftItems] = useState([]); // { key, productId, product, variant, components, quantity, unitPrice?, modifiers }
   const [showCart, setShowCart] = useState(false);
   const [showTableModal, setShowTableModal] = useState(false);
   const [availableTables, setAvailableTables] = useState([]);
@@ -38,6 +44,7 @@ export default function NewOrderPage() {
   const [showPriceModal, setShowPriceModal] = useState(false);
   const [priceModalProduct, setPriceModalProduct] = useState(null);
   const [priceModalValue, setPriceModalValue] = useState("");
+  const [modifierModal, setModifierModal] = useState(null); // { product, unitPrice }
 
   useEffect(() => {
     const load = async () => {
@@ -56,6 +63,16 @@ export default function NewOrderPage() {
     load();
   }, []);
 
+  // Products going off sale (out of stock) or back on sale while ordering
+  useRealtime(["product.*"], async () => {
+    try {
+      const res = await productsAPI.getByCategory();
+      setCategories(res.data.data);
+    } catch (error) {
+      console.error("Failed to refresh products:", error);
+    }
+  });
+
   const getFilteredProducts = useCallback(() => {
     if (!searchQuery) {
       const cat = categories.find((c) => c.id === selectedCategory);
@@ -71,19 +88,33 @@ export default function NewOrderPage() {
       );
   }, [categories, selectedCategory, searchQuery]);
 
-  const addToDraft = (product, unitPrice) => {
+  // The same product with a different variant, components or modifiers is a separate draft line
+  const addToDraft = (
+    product,
+    unitPrice,
+    { modifiers = [], variant = null, components = [] } = {}
+  ) => {
     if (!product.is_available) return;
+    const key = [
+      variant ? `${product.id}/${variant.id}` : product.id,
+      ...components.map((c) => `${c.slot_id}=${c.product_id}/${c.variant_id || 0}`),
+      ...modifiers.map((m) => m.id).sort(),
+    ].join(":");
     setDraftItems((prev) => {
-      const existing = prev.find((i) => i.productId === product.id);
+      const existing = prev.find((i) => i.key === key);
       if (existing) {
         return prev.map((i) =>
-          i.productId === product.id ? { ...i, quantity: i.quantity + 1 } : i
+          i.key === key ? { ...i, quantity: i.quantity + 1 } : i
         );
       }
       const item = {
+        key,
         productId: product.id,
         product: { ...product },
+        variant,
+        components,
         quantity: 1,
+        modifiers,
       };
       if (unitPrice != null && product.variable_price) {
         item.unitPrice = parseFloat(unitPrice);
@@ -92,6 +123,14 @@ export default function NewOrderPage() {
     });
   };
 
+  const chooseModifiers = (product, unitPrice) => {
+    if (needsOptions(product)) {
+      setModifierModal({ product, unitPrice });
+    } else {
+      addToDraft(product, unitPrice);
+    }
+  };
+
   const handleProductClick = (product) => {
     if (!product.is_available) return;
     const existing = draftItems.find((i) => i.productId === product.id);
@@ -101,7 +140,7 @@ export default function NewOrderPage() {
       setPriceModalValue(!Number.isNaN(initial) ? String(initial) : "");
       setShowPriceModal(true);
     } else {
-      addToDraft(product, existing?.unitPrice);
+      chooseModifiers(product, existing?.unitPrice);
     }
   };
 
@@ -112,30 +151,31 @@ export default function NewOrderPage() {
       toast.error("Enter a valid price");
       return;
     }
-    addToDraft(priceModalProduct, num);
+    chooseModifiers(priceModalProduct, num);
     setShowPriceModal(false);
     setPriceModalProduct(null);
     setPriceModalValue("");
   };
 
-  const updateDraftQuantity = (productId, delta) => {
+  const updateDraftQuantity = (key, delta) => {
     setDraftItems((prev) => {
-      const item = prev.find((i) => i.productId === productId);
+      const item = prev.find((i) => i.key === key);
       if (!item) return prev;
       const newQty = item.quantity + delta;
-      if (newQty <= 0) return prev.filter((i) => i.productId !== productId);
-      return prev.map((i) =>
-        i.productId === productId ? { ...i, quantity: newQty } : i
-      );
+      if (newQty <= 0) return prev.filter((i) => i.key !== key);
+      return prev.map((i) => (i.key === key ? { ...i, quantity: newQty } : i));
     });
   };
 
-  const removeFromDraft = (productId) => {
-    setDraftItems((prev) => prev.filter((i) => i.productId !== productId));
+  const removeFromDraft = (key) => {
+    setDraftItems((prev) => prev.filter((i) => i.key !== key));
   };
 
   const getItemUnitPrice = (item) =>
-    item.unitPrice != null ? item.unitPrice : parseFloat(item.product.price);
+    (item.unitPrice != null
+      ? item.unitPrice
+      : parseFloat((item.variant || item.product).price)) +
+    item.modifiers.reduce((sum, m) => sum + parseFloat(m.price_delta), 0);
   const draftTotal = draftItems.reduce(
     (sum, i) => sum + getItemUnitPrice(i) * i.quantity,
     0
@@ -170,6 +210,10 @@ export default function NewOrderPage() {
           quantity: item.quantity,
         };
         if (item.unitPrice != null) payload.unit_price = item.unitPrice;
+        if (item.variant) payload.variant_id = item.variant.id;
+        if (item.components.length > 0) payload.components = item.components;
+        if (item.modifiers.length > 0)
+          payload.modifier_ids = item.modifiers.map((m) => m.id);
         await ordersAPI.addItem(orderId, payload);
       }
       setDraftItems([]);
@@ -195,6 +239,10 @@ export default function NewOrderPage() {
           quantity: item.quantity,
         };
         if (item.unitPrice != null) payload.unit_price = item.unitPrice;
+        if (item.variant) payload.variant_id = item.variant.id;
+        if (item.components.length > 0) payload.components = item.components;
+        if (item.modifiers.length > 0)
+          payload.modifier_ids = item.modifiers.map((m) => m.id);
         await ordersAPI.addItem(orderId, payload);
       }
       setDraftItems([]);
@@ -311,6 +359,8 @@ export default function NewOrderPage() {
                     <span className="text-lg font-bold text-primary-600">
                       {product.variable_price
                         ? "Set price"
+                        : product.variants?.length > 0
+                        ? `From ${formatCurrency(startingPrice(product))}`
                         : formatCurrency(product.price)}
                     </span>
                     {product.is_available && (
@@ -360,18 +410,29 @@ export default function NewOrderPage() {
             ) : (
               <div className="space-y-3">
                 {draftItems.map((item) => (
-                  <div key={item.productId} className="order-item">
+                  <div key={item.key} className="order-item">
                     <div className="flex-1">
                       <h4 className="font-medium text-surface-800">
                         {item.product.name}
+                        {item.variant && ` (${item.variant.name})`}
                       </h4>
+                      {item.components.length > 0 && (
+                        <p className="text-xs text-surface-600">
+                          {item.components.map((c) => c.name).join(", ")}
+                        </p>
+                      )}
+                      {item.modifiers.length > 0 && (
+                        <p className="text-xs text-surface-600">
+                          {modifierSummary(item.modifiers)}
+                        </p>
+                      )}
                       <p className="text-sm text-surface-500">
                         {formatCurrency(getItemUnitPrice(item))} each
                       </p>
                     </div>
                     <div className="flex items-center gap-2">
                       <button
-                        onClick={() => updateDraftQuantity(item.productId, -1)}
+                        onClick={() => updateDraftQuantity(item.key, -1)}
                         className="w-8 h-8 rounded-lg bg-surface-200 hover:bg-surface-300 flex items-center justify-center"
                       >
                         {item.quantity === 1 ? (
@@ -384,7 +445,7 @@ export default function NewOrderPage() {
                         {item.quantity}
                       </span>
                       <button
-                        onClick={() => updateDraftQuantity(item.productId, 1)}
+                        onClick={() => updateDraftQuantity(item.key, 1)}
                         className="w-8 h-8 rounded-lg bg-surface-200 hover:bg-surface-300 flex items-center justify-center"
                       >
                         <Plus className="w-4 h-4" />
@@ -430,6 +491,18 @@ export default function NewOrderPage() {
         )}
       </button>
 
+      {modifierModal && (
+        <ModifierModal
+          product={modifierModal.product}
+          unitPrice={modifierModal.unitPrice}
+          onClose={() => setModifierModal(null)}
+          onConfirm={(options) => {
+            addToDraft(modifierModal.product, modifierModal.unitPrice, options);
+            setModifierModal(null);
+          }}
+        />
+      )}
+
       {/* Variable price modal with keypad */}
       {showPriceModal && priceModalProduct && (
         <div
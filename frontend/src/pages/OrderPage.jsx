@@ -2,7 +2,8 @@ import { useState, useEffect, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { useOrder } from "../context/OrderContext";
 import { useAuth } from "../context/AuthContext";
-import { productsAPI, getProductImageUrl } from "../services/api";
+import { useRealtime } from "../context/RealtimeContext";
+import { productsAPI, tablesAPI, ordersAPI, getProductImageUrl } from "../services/api";
 import toast from "react-hot-toast";
 import {
   ArrowLeft,
@@ -15,10 +16,21 @@ import {
   ShoppingCart,
   Search,
   X,
+  ArrowRightLeft,
+  Combine,
   Image as ImageIcon,
 } from "lucide-react";
+import RestaurantTableIcon from "../components/RestaurantTableIcon";
+import CombineTablesModal from "../components/CombineTablesModal";
 import { formatDistanceToNow } from "date-fns";
 import { formatCurrency } from "../utils/currency";
+import ModifierModal, {
+  componentSummary,
+  itemName,
+  modifierSummary,
+  needsOptions,
+  startingPrice,
+} from "../components/ModifierModal";
 
 export default function OrderPage() {
   const { tableId, orderId } = useParams();
@@ -33,6 +45,7 @@ export default function OrderPage() {
     loadOrder,
     addItem,
     updateItem,
+    assignSeat,
     removeItem,
     clearOrder,
   } = useOrder();
@@ -45,6 +58,9 @@ export default function OrderPage() {
   const [showPriceModal, setShowPriceModal] = useState(false);
   const [priceModalProduct, setPriceModalProduct] = useState(null);
   const [priceModalValue, setPriceModalValue] = useState("");
+  const [modifierModal, setModifierModal] = useState(null); // { product, unitPrice }
+  const [moveTables, setMoveTables] = useState(null); // free tables while moving the order
+  const [showCombine, setShowCombine] = useState(false);
 
   // Load order (takeaway) or table and products
   useEffect(() => {
@@ -85,22 +101,75 @@ export default function OrderPage() {
     clearOrder,
   ]);
 
+  // Products going off sale (out of stock) or back on sale while ordering
+  useRealtime(["product.*"], async () => {
+    try {
+      const res = await productsAPI.getByCategory();
+      setCategories(res.data.data);
+    } catch (error) {
+      console.error("Failed to refresh products:", error);
+    }
+  });
+
   // Handle back navigation
   const handleBack = () => {
     clearOrder();
     navigate("/my-tables");
   };
 
+  // Move the order to another table (or to takeaway)
+  const openMoveModal = async () => {
+    try {
+      const res = await tablesAPI.getAll({ status: "available" });
+      setMoveTables(res.data.data);
+    } catch (error) {
+      toast.error("Failed to load tables");
+    }
+  };
+
+  const handleMove = async (tableId) => {
+    try {
+      const res = await ordersAPI.transfer(currentOrder.id, tableId);
+      toast.success(res.data.message);
+      setMoveTables(null);
+      navigate(
+        tableId != null
+          ? `/order/${tableId}`
+          : `/order/takeaway/${currentOrder.id}`
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to move order");
+    }
+  };
+
   // Add product to order (order must already exist)
-  const handleAddProduct = async (product, unitPrice) => {
+  const handleAddProduct = async (
+    product,
+    unitPrice,
+    { modifierIds = [], variant = null, components = [] } = {}
+  ) => {
     if (!currentOrder) return;
     try {
-      await addItem(product.id, 1, "", unitPrice);
+      await addItem(product.id, 1, {
+        unitPrice,
+        modifierIds,
+        variantId: variant?.id,
+        components,
+      });
     } catch (error) {
       // Error already handled in context
     }
   };
 
+  // Products with variants, bundle slots or modifier groups ask for them before being added
+  const chooseModifiers = async (product, unitPrice) => {
+    if (needsOptions(product)) {
+      setModifierModal({ product, unitPrice });
+    } else {
+      await handleAddProduct(product, unitPrice);
+    }
+  };
+
   // Click product: open Set price modal for variable-price, else add directly
   const handleProductClick = (product) => {
     if (!product.is_available) return;
@@ -110,7 +179,7 @@ export default function OrderPage() {
       setPriceModalValue(!Number.isNaN(initial) ? String(initial) : "");
       setShowPriceModal(true);
     } else {
-      handleAddProduct(product);
+      chooseModifiers(product);
     }
   };
 
@@ -121,8 +190,8 @@ export default function OrderPage() {
       toast.error("Enter a valid price");
       return;
     }
-    await handleAddProduct(priceModalProduct, num);
     setShowPriceModal(false);
+    await chooseModifiers(priceModalProduct, num);
     setPriceModalProduct(null);
     setPriceModalValue("");
   };
@@ -188,7 +257,38 @@ export default function OrderPage() {
                     ? `Table ${currentTable.table_number}`
                     : "Takeaway"}
                 </h1>
+                {currentOrder?.tables?.length > 1 && (
+                  <p className="text-sm text-surface-500">
+                    With tables{" "}
+                    {currentOrder.tables
+                      .filter((t) => t.id !== currentTable?.id)
+                      .map((t) => t.table_number)
+                      .join(", ")}
+                  </p>
+                )}
               </div>
+
+              {currentOrder && (
+                <button
+                  onClick={openMoveModal}
+                  className="btn btn-secondary flex items-center gap-2"
+                  title="Move to another table"
+                >
+                  <ArrowRightLeft className="w-5 h-5" />
+                  <span className="hidden sm:inline">Move</span>
+                </button>
+              )}
+
+              {currentOrder && !isTakeaway && (
+                <button
+                  onClick={() => setShowCombine(true)}
+                  className="btn btn-secondary flex items-center gap-2"
+                  title="Join tables or merge orders"
+                >
+                  <Combine className="w-5 h-5" />
+                  <span className="hidden sm:inline">Combine</span>
+                </button>
+              )}
             </div>
 
             {/* Mobile cart toggle */}
@@ -288,6 +388,8 @@ export default function OrderPage() {
                   <span className="text-lg font-bold text-primary-600">
                     {product.variable_price
                       ? "Set price"
+                      : product.variants?.length > 0
+                      ? `From ${formatCurrency(startingPrice(product))}`
                       : formatCurrency(product.price)}
                   </span>
                   {product.is_available ? (
@@ -376,10 +478,60 @@ export default function OrderPage() {
                   <div key={item.id} className="order-item">
                     <div className="flex-1">
                       <h4 className="font-medium text-surface-800">
-                        {item.product_name}
+                        {itemName(item)}
+                        {item.status !== "pending" && (
+                          <span
+                            className={`badge ml-2 ${
+                              item.status === "ready"
+                                ? "badge-success"
+                                : item.status === "preparing"
+                                ? "badge-warning"
+                                : "badge-info"
+                            }`}
+                          >
+                            {item.status}
+                          </span>
+                        )}
                       </h4>
+                      {item.components?.length > 0 && (
+                        <p className="text-xs text-surface-600">
+                          {componentSummary(item.components)}
+                        </p>
+                      )}
+                      {item.modifiers?.length > 0 && (
+                        <p className="text-xs text-surface-600">
+                          {modifierSummary(item.modifiers)}
+                        </p>
+                      )}
                       <p className="text-sm text-surface-500">
-                        {formatCurrency(item.unit_price)} each
+                        {formatCurrency(
+                          parseFloat(item.unit_price) +
+                            parseFloat(item.modifiers_amount || 0)
+                        )}{" "}
+                        each
+                        {currentOrder.guest_count > 1 && (
+                          <select
+                            value={item.seat_number ?? ""}
+                            onChange={(e) =>
+                              assignSeat(
+                                item.id,
+                                e.target.value ? parseInt(e.target.value) : null
+                              )
+                            }
+                            disabled={loading}
+                            className="ml-2 text-xs border border-surface-200 rounded px-1 py-0.5"
+                          >
+                            <option value="">No seat</option>
+                            {Array.from(
+                              { length: currentOrder.guest_count },
+                              (_, i) => (
+                                <option key={i + 1} value={i + 1}>
+                                  Seat {i + 1}
+                                </option>
+                              )
+                            )}
+                          </select>
+                        )}
                       </p>
                       {item.notes && (
                         <p className="text-xs text-primary-600 mt-1">
@@ -444,6 +596,22 @@ export default function OrderPage() {
         </div>
       </aside>
 
+      {modifierModal && (
+        <ModifierModal
+          product={modifierModal.product}
+          unitPrice={modifierModal.unitPrice}
+          onClose={() => setModifierModal(null)}
+          onConfirm={async (options) => {
+            setModifierModal(null);
+            await handleAddProduct(
+              modifierModal.product,
+              modifierModal.unitPrice,
+              options
+            );
+          }}
+        />
+      )}
+
       {/* Variable price modal with keypad (same as New Order page) */}
       {showPriceModal && priceModalProduct && (
         <div
@@ -560,6 +728,66 @@ export default function OrderPage() {
           </div>
         </div>
       )}
+
+      {/* Move order modal */}
+      {moveTables && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <h3 className="text-lg font-bold text-surface-800 mb-2">
+              Move order
+            </h3>
+            <p className="text-sm text-surface-500 mb-4">
+              Items, payments and checks move with the order.
+            </p>
+            {currentTable?.table_number != null && (
+              <button
+                type="button"
+                onClick={() => handleMove(null)}
+                className="w-full p-4 rounded-xl bg-amber-50 border-2 border-amber-200 hover:border-amber-500 font-bold text-lg text-surface-800 flex items-center justify-center gap-2 mb-4"
+              >
+                <span>Takeaway</span>
+                <span className="text-sm font-normal text-surface-500">
+                  (free the table)
+                </span>
+              </button>
+            )}
+            {moveTables.length === 0 ? (
+              <p className="text-surface-500 py-4">No available tables</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-3 max-h-64 overflow-auto">
+                {moveTables.map((table) => (
+                  <button
+                    key={table.id}
+                    onClick={() => handleMove(table.id)}
+                    className="p-3 rounded-xl bg-green-50 border-2 border-green-200 hover:border-green-500 font-bold text-lg text-surface-800 flex flex-col items-center justify-center gap-1"
+                  >
+                    <RestaurantTableIcon className="w-7 h-7 text-green-600" />
+                    {table.table_number}
+                    <span className="text-xs font-normal text-surface-500">
+                      {table.capacity} seats
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={() => setMoveTables(null)}
+              className="btn btn-secondary w-full mt-4"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Join tables / merge orders */}
+      {showCombine && currentOrder && (
+        <CombineTablesModal
+          order={currentOrder}
+          onClose={() => setShowCombine(false)}
+          onChanged={() => loadTable(currentTable.id)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,545 @@
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { reservationsAPI, tablesAPI } from "../services/api";
+import { useRealtime } from "../context/RealtimeContext";
+import toast from "react-hot-toast";
+import {
+  CalendarPlus,
+  Users,
+  Phone,
+  Clock,
+  Edit,
+  Armchair,
+  UserX,
+  XCircle,
+  ExternalLink,
+  RefreshCw,
+} from "lucide-react";
+import RestaurantTableIcon from "../components/RestaurantTableIcon";
+import { format } from "date-fns";
+
+const STATUS_STYLES = {
+  booked: { label: "Booked", className: "badge-info" },
+  seated: { label: "Seated", className: "badge-success" },
+  no_show: { label: "No-show", className: "badge-danger" },
+  cancelled: { label: "Cancelled", className: "badge-warning" },
+};
+
+const DURATIONS = [60, 90, 120, 150, 180];
+
+const emptyForm = (date) => ({
+  guest_name: "",
+  guest_phone: "",
+  party_size: 2,
+  reserved_at: `${date}T19:00`,
+  duration_minutes: 90,
+  section_preference: "",
+  notes: "",
+  table_id: "",
+});
+
+// 'YYYY-MM-DD HH:MM:SS' -> 'HH:MM'
+const timeOf = (value) => String(value).slice(11, 16);
+
+export default function ReservationsPage() {
+  const navigate = useNavigate();
+  const [date, setDate] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sections, setSections] = useState([]);
+
+  const [editing, setEditing] = useState(null); // null | 'new' | reservation
+  const [form, setForm] = useState(emptyForm(date));
+  const [freeTables, setFreeTables] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const [seating, setSeating] = useState(null); // reservation to pick a table for
+  const [seatTables, setSeatTables] = useState([]);
+
+  const fetchReservations = useCallback(async () => {
+    try {
+      const res = await reservationsAPI.getAll({ date });
+      setReservations(res.data.data);
+    } catch (error) {
+      toast.error("Failed to load reservations");
+    } finally {
+      setLoading(false);
+    }
+  }, [date]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchReservations();
+  }, [fetchReservations]);
+
+  useEffect(() => {
+    tablesAPI
+      .getSections()
+      .then((res) => setSections(res.data.data.filter((s) => s.section)))
+      .catch(() => {});
+  }, []);
+
+  useRealtime(["reservation.*", "order.created"], fetchReservations);
+
+  // Tables free for the booking being edited
+  useEffect(() => {
+    if (!editing || !form.reserved_at || !form.party_size) return;
+    reservationsAPI
+      .getAvailableTables({
+        reserved_at: form.reserved_at,
+        duration_minutes: form.duration_minutes,
+        party_size: form.party_size,
+        section: form.section_preference || undefined,
+        exclude_id: editing !== "new" ? editing.id : undefined,
+      })
+      .then((res) => setFreeTables(res.data.data))
+      .catch(() => setFreeTables([]));
+  }, [
+    editing,
+    form.reserved_at,
+    form.duration_minutes,
+    form.party_size,
+    form.section_preference,
+  ]);
+
+  const openNew = () => {
+    setForm(emptyForm(date));
+    setEditing("new");
+  };
+
+  const openEdit = (reservation) => {
+    setForm({
+      guest_name: reservation.guest_name,
+      guest_phone: reservation.guest_phone || "",
+      party_size: reservation.party_size,
+      reserved_at: String(reservation.reserved_at).slice(0, 16).replace(" ", "T"),
+      duration_minutes: reservation.duration_minutes,
+      section_preference: reservation.section_preference || "",
+      notes: reservation.notes || "",
+      table_id: reservation.table_id || "",
+    });
+    setEditing(reservation);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = {
+        ...form,
+        party_size: parseInt(form.party_size),
+        duration_minutes: parseInt(form.duration_minutes),
+        table_id: form.table_id ? parseInt(form.table_id) : null,
+        guest_phone: form.guest_phone || null,
+        section_preference: form.section_preference || null,
+        notes: form.notes || null,
+      };
+      if (editing === "new") {
+        await reservationsAPI.create(data);
+        toast.success("Reservation booked");
+      } else {
+        await reservationsAPI.update(editing.id, data);
+        toast.success("Reservation updated");
+      }
+      setEditing(null);
+      fetchReservations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to save reservation");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const seat = async (reservation, tableId) => {
+    try {
+      const res = await reservationsAPI.seat(reservation.id, tableId);
+      toast.success(res.data.message);
+      navigate(`/order/${res.data.data.table_id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to seat the party");
+    }
+  };
+
+  const handleSeat = async (reservation) => {
+    if (reservation.table_id) {
+      seat(reservation);
+      return;
+    }
+    try {
+      const res = await tablesAPI.getAll();
+      setSeatTables(
+        res.data.data.filter(
+          (t) => !t.current_order_id && t.status !== "maintenance"
+        )
+      );
+      setSeating(reservation);
+    } catch (error) {
+      toast.error("Failed to load tables");
+    }
+  };
+
+  const handleClose = async (reservation, noShow) => {
+    const question = noShow
+      ? `Mark ${reservation.guest_name} as no-show?`
+      : `Cancel the reservation for ${reservation.guest_name}?`;
+    if (!window.confirm(question)) return;
+    try {
+      const res = noShow
+        ? await reservationsAPI.noShow(reservation.id)
+        : await reservationsAPI.cancel(reservation.id);
+      toast.success(res.data.message);
+      fetchReservations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update reservation");
+    }
+  };
+
+  const booked = reservations.filter((r) => r.status === "booked");
+  const covers = booked.reduce((sum, r) => sum + r.party_size, 0);
+
+  return (
+    <div className="min-h-screen p-4 lg:p-6">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl lg:text-3xl font-bold text-surface-800">
+            Reservations
+          </h1>
+          <p className="text-surface-500">
+            {booked.length} booked · {covers} covers
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="input"
+          />
+          <button
+            onClick={fetchReservations}
+            disabled={loading}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? "animate-spin" : ""}`} />
+          </button>
+          <button
+            onClick={openNew}
+            className="btn btn-primary flex items-center gap-2 whitespace-nowrap"
+          >
+            <CalendarPlus className="w-5 h-5" />
+            New Reservation
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner w-8 h-8" />
+        </div>
+      ) : reservations.length === 0 ? (
+        <div className="card p-8 text-center text-surface-500">
+          No reservations for this day.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {reservations.map((reservation) => {
+            const status = STATUS_STYLES[reservation.status];
+            return (
+              <div
+                key={reservation.id}
+                className={`card p-4 flex flex-col md:flex-row md:items-center gap-4 ${
+                  reservation.status === "booked" ? "" : "opacity-70"
+                }`}
+              >
+                <div className="text-2xl font-bold text-surface-800 w-20 flex-shrink-0">
+                  {timeOf(reservation.reserved_at)}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-surface-800 truncate">
+                      {reservation.guest_name}
+                    </span>
+                    <span className={`badge ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-surface-500 mt-1">
+                    <span className="flex items-center gap-1">
+                      <Users className="w-4 h-4" />
+                      {reservation.party_size}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      {reservation.duration_minutes} min
+                    </span>
+                    {reservation.guest_phone && (
+                      <span className="flex items-center gap-1">
+                        <Phone className="w-4 h-4" />
+                        {reservation.guest_phone}
+                      </span>
+                    )}
+                    <span className="flex items-center gap-1">
+                      <RestaurantTableIcon className="w-4 h-4" />
+                      {reservation.table_number != null
+                        ? `Table ${reservation.table_number}`
+                        : "No table"}
+                      {reservation.section_preference &&
+                        ` · prefers ${reservation.section_preference}`}
+                    </span>
+                  </div>
+                  {reservation.notes && (
+                    <div className="text-sm text-surface-600 mt-1 italic">
+                      {reservation.notes}
+                    </div>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {reservation.status === "booked" && (
+                    <>
+                      <button
+                        onClick={() => handleSeat(reservation)}
+                        className="btn btn-success btn-sm flex items-center gap-1"
+                      >
+                        <Armchair className="w-4 h-4" />
+                        Seat
+                      </button>
+                      <button
+                        onClick={() => openEdit(reservation)}
+                        className="btn btn-secondary btn-sm flex items-center gap-1"
+                      >
+                        <Edit className="w-4 h-4" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleClose(reservation, true)}
+                        className="btn btn-secondary btn-sm flex items-center gap-1"
+                      >
+                        <UserX className="w-4 h-4" />
+                        No-show
+                      </button>
+                      <button
+                        onClick={() => handleClose(reservation, false)}
+                        className="btn btn-secondary btn-sm flex items-center gap-1 text-red-600"
+                      >
+                        <XCircle className="w-4 h-4" />
+                        Cancel
+                      </button>
+                    </>
+                  )}
+                  {reservation.status === "seated" && reservation.order_id && (
+                    <button
+                      onClick={() => navigate(`/order/${reservation.table_id}`)}
+                      className="btn btn-secondary btn-sm flex items-center gap-1"
+                    >
+                      <ExternalLink className="w-4 h-4" />
+                      {reservation.order_number}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Book / edit modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <form
+            onSubmit={handleSave}
+            className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto"
+          >
+            <h3 className="text-lg font-bold text-surface-800 mb-4">
+              {editing === "new" ? "New Reservation" : "Edit Reservation"}
+            </h3>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Guest name
+                </label>
+                <input
+                  type="text"
+                  value={form.guest_name}
+                  onChange={(e) => setForm({ ...form, guest_name: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Phone
+                </label>
+                <input
+                  type="tel"
+                  value={form.guest_phone}
+                  onChange={(e) => setForm({ ...form, guest_phone: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Party size
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={form.party_size}
+                  onChange={(e) => setForm({ ...form, party_size: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Date & time
+                </label>
+                <input
+                  type="datetime-local"
+                  value={form.reserved_at}
+                  onChange={(e) => setForm({ ...form, reserved_at: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Duration
+                </label>
+                <select
+                  value={form.duration_minutes}
+                  onChange={(e) => setForm({ ...form, duration_minutes: e.target.value })}
+                  className="input w-full"
+                >
+                  {DURATIONS.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes >= 60 ? `${minutes / 60}h` : `${minutes} min`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Section
+                </label>
+                <select
+                  value={form.section_preference}
+                  onChange={(e) => setForm({ ...form, section_preference: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="">No preference</option>
+                  {sections.map((s) => (
+                    <option key={s.section} value={s.section}>
+                      {s.section}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Table
+                </label>
+                <select
+                  value={form.table_id}
+                  onChange={(e) => setForm({ ...form, table_id: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="">Assign later</option>
+                  {/* Keep the current table listed even if it no longer fits */}
+                  {form.table_id &&
+                    !freeTables.some((t) => t.id === parseInt(form.table_id)) && (
+                      <option value={form.table_id}>
+                        Table {editing.table_number ?? form.table_id} (not free)
+                      </option>
+                    )}
+                  {freeTables.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      Table {t.table_number} · {t.capacity} seats
+                      {t.section ? ` · ${t.section}` : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-surface-700 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  className="input w-full"
+                  rows={2}
+                  placeholder="Birthday, high chair, allergies..."
+                />
+              </div>
+            </div>
+            <div className="flex gap-3 mt-6">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="btn btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="btn btn-primary flex-1"
+              >
+                {saving ? "Saving..." : editing === "new" ? "Book" : "Save"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Table picker for seating a party without a table */}
+      {seating && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <h3 className="text-lg font-bold text-surface-800 mb-2">
+              Seat {seating.guest_name}
+            </h3>
+            <p className="text-sm text-surface-500 mb-4">
+              Party of {seating.party_size} — choose a free table.
+            </p>
+            {seatTables.length === 0 ? (
+              <p className="text-surface-500 py-4">No free tables</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-3 max-h-64 overflow-auto">
+                {seatTables.map((table) => (
+                  <button
+                    key={table.id}
+                    onClick={() => {
+                      setSeating(null);
+                      seat(seating, table.id);
+                    }}
+                    className={`p-3 rounded-xl border-2 font-bold text-lg text-surface-800 flex flex-col items-center justify-center gap-1 ${
+                      table.status === "reserved"
+                        ? "bg-blue-50 border-blue-200 hover:border-blue-500"
+                        : table.capacity < seating.party_size
+                        ? "bg-surface-50 border-surface-200 hover:border-surface-400"
+                        : "bg-green-50 border-green-200 hover:border-green-500"
+                    }`}
+                  >
+                    <RestaurantTableIcon className="w-7 h-7 text-surface-600" />
+                    {table.table_number}
+                    <span className="text-xs font-normal text-surface-500">
+                      {table.capacity} seats
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={() => setSeating(null)}
+              className="btn btn-secondary w-full mt-4"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
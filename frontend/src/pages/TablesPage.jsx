@@ -2,24 +2,31 @@ import { useState, useEffect, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { tablesAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
+import { useRealtime, useMinutesSince } from '../context/RealtimeContext'
 import { 
   Users, 
   Clock, 
   DollarSign, 
   RefreshCw,
   Filter,
-  Search
+  Search,
+  LayoutGrid,
+  Map as MapIcon
 } from 'lucide-react'
 import { formatDistanceToNow } from 'date-fns'
+import WaitlistPanel from '../components/WaitlistPanel'
+import FloorMap from '../components/FloorMap'
 
 export default function TablesPage() {
   const [tables, setTables] = useState([])
+  const [fetchedAt, setFetchedAt] = useState(() => Date.now())
   const [summary, setSummary] = useState(null)
   const [sections, setSections] = useState([])
   const [loading, setLoading] = useState(true)
   const [filter, setFilter] = useState('all') // 'all', 'available', 'occupied'
   const [selectedSection, setSelectedSection] = useState('all')
   const [searchQuery, setSearchQuery] = useState('')
+  const [view, setView] = useState('grid') // 'grid', 'map'
   const navigate = useNavigate()
   const { user } = useAuth()
 
@@ -33,6 +40,7 @@ export default function TablesPage() {
       ])
       
       setTables(tablesRes.data.data)
+      setFetchedAt(Date.now())
       setSummary(summaryRes.data.data)
       setSections(sectionsRes.data.data)
     } catch (error) {
@@ -44,12 +52,17 @@ export default function TablesPage() {
 
   useEffect(() => {
     fetchTables()
-    
-    // Auto-refresh every 30 seconds
-    const interval = setInterval(fetchTables, 30000)
-    return () => clearInterval(interval)
   }, [fetchTables])
 
+  // Elapsed times on the floor map move with the clock between pushes
+  const drift = useMinutesSince(fetchedAt)
+  const mapTables = drift === 0 ? tables : tables.map(table => (
+    table.elapsed_minutes == null ? table : { ...table, elapsed_minutes: table.elapsed_minutes + drift }
+  ))
+
+  // Live updates: table status and current order totals
+  useRealtime(['table.*', 'order.*'], fetchTables)
+
   // Handle table click
   const handleTableClick = (table) => {
     if (table.status === 'maintenance') return
@@ -102,13 +115,22 @@ export default function TablesPage() {
           </p>
         </div>
 
-        <button
-          onClick={fetchTables}
-          className="btn btn-secondary flex items-center gap-2"
-        >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setView(view === 'grid' ? 'map' : 'grid')}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            {view === 'grid' ? <MapIcon className="w-4 h-4" /> : <LayoutGrid className="w-4 h-4" />}
+            {view === 'grid' ? 'Floor map' : 'Grid'}
+          </button>
+          <button
+            onClick={fetchTables}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Summary Cards */}
@@ -134,139 +156,163 @@ export default function TablesPage() {
       )}
 
       {/* Filters */}
-      <div className="card p-4 mb-6">
-        <div className="flex flex-col lg:flex-row gap-4">
-          {/* Search */}
-          <div className="relative flex-1">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-surface-400" />
-            <input
-              type="text"
-              placeholder="Search table number..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="input pl-10"
-            />
-          </div>
+      {view === 'grid' && (
+        <div className="card p-4 mb-6">
+          <div className="flex flex-col lg:flex-row gap-4">
+            {/* Search */}
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-surface-400" />
+              <input
+                type="text"
+                placeholder="Search table number..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="input pl-10"
+              />
+            </div>
 
-          {/* Status Filter */}
-          <div className="flex gap-2">
-            <button
-              onClick={() => setFilter('all')}
-              className={`btn ${filter === 'all' ? 'btn-primary' : 'btn-secondary'}`}
-            >
-              All
-            </button>
-            <button
-              onClick={() => setFilter('available')}
-              className={`btn ${filter === 'available' ? 'bg-green-500 text-white hover:bg-green-600' : 'btn-secondary'}`}
-            >
-              Available
-            </button>
-            <button
-              onClick={() => setFilter('occupied')}
-              className={`btn ${filter === 'occupied' ? 'bg-orange-500 text-white hover:bg-orange-600' : 'btn-secondary'}`}
+            {/* Status Filter */}
+            <div className="flex gap-2">
+              <button
+                onClick={() => setFilter('all')}
+                className={`btn ${filter === 'all' ? 'btn-primary' : 'btn-secondary'}`}
+              >
+                All
+              </button>
+              <button
+                onClick={() => setFilter('available')}
+                className={`btn ${filter === 'available' ? 'bg-green-500 text-white hover:bg-green-600' : 'btn-secondary'}`}
+              >
+                Available
+              </button>
+              <button
+                onClick={() => setFilter('occupied')}
+                className={`btn ${filter === 'occupied' ? 'bg-orange-500 text-white hover:bg-orange-600' : 'btn-secondary'}`}
+              >
+                Occupied
+              </button>
+            </div>
+
+            {/* Section Filter */}
+            <select
+              value={selectedSection}
+              onChange={(e) => setSelectedSection(e.target.value)}
+              className="input max-w-[200px]"
             >
-              Occupied
-            </button>
+              <option value="all">All Sections</option>
+              {sections.map(section => (
+                <option key={section.section} value={section.section}>
+                  {section.section} ({section.table_count})
+                </option>
+              ))}
+            </select>
           </div>
-
-          {/* Section Filter */}
-          <select
-            value={selectedSection}
-            onChange={(e) => setSelectedSection(e.target.value)}
-            className="input max-w-[200px]"
-          >
-            <option value="all">All Sections</option>
-            {sections.map(section => (
-              <option key={section.section} value={section.section}>
-                {section.section} ({section.table_count})
-              </option>
-            ))}
-          </select>
         </div>
-      </div>
+      )}
 
-      {/* Tables Grid */}
-      {loading ? (
-        <div className="flex justify-center py-12">
-          <div className="spinner w-8 h-8"></div>
-        </div>
-      ) : (
-        <div className="space-y-8">
-          {Object.entries(tablesBySection).map(([section, sectionTables]) => (
-            <div key={section}>
-              <h2 className="text-lg font-semibold text-surface-700 mb-4 flex items-center gap-2">
-                <Filter className="w-5 h-5" />
-                {section}
-                <span className="text-sm font-normal text-surface-400">
-                  ({sectionTables.length} tables)
-                </span>
-              </h2>
+      <div className="flex flex-col xl:flex-row gap-6">
+        <div className="flex-1 min-w-0">
+          {/* Tables Grid */}
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner w-8 h-8"></div>
+            </div>
+          ) : view === 'map' ? (
+            <FloorMap tables={mapTables} onTableClick={handleTableClick} />
+          ) : (
+            <div className="space-y-8">
+              {Object.entries(tablesBySection).map(([section, sectionTables]) => (
+                <div key={section}>
+                  <h2 className="text-lg font-semibold text-surface-700 mb-4 flex items-center gap-2">
+                    <Filter className="w-5 h-5" />
+                    {section}
+                    <span className="text-sm font-normal text-surface-400">
+                      ({sectionTables.length} tables)
+                    </span>
+                  </h2>
               
-              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
-                {sectionTables.map((table) => (
-                  <div
-                    key={table.id}
-                    onClick={() => handleTableClick(table)}
-                    className={`table-card ${table.status}`}
-                  >
-                    {/* Table Number */}
-                    <div className="text-2xl font-bold text-center mb-2">
-                      {table.table_number}
-                    </div>
-
-                    {/* Capacity */}
-                    <div className="flex items-center justify-center gap-1 text-sm text-surface-500 mb-2">
-                      <Users className="w-4 h-4" />
-                      {table.capacity}
-                    </div>
-
-                    {/* Status indicator */}
-                    <div className={`text-xs font-medium text-center py-1 px-2 rounded-full ${
-                      table.status === 'available' ? 'bg-green-100 text-green-700' :
-                      table.status === 'occupied' ? 'bg-orange-100 text-orange-700' :
-                      table.status === 'reserved' ? 'bg-blue-100 text-blue-700' :
-                      'bg-gray-100 text-gray-700'
-                    }`}>
-                      {table.status.charAt(0).toUpperCase() + table.status.slice(1)}
-                    </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-4 2xl:grid-cols-6 gap-4">
+                    {sectionTables.map((table) => (
+                      <div
+                        key={table.id}
+                        onClick={() => handleTableClick(table)}
+                        className={`table-card ${table.status}`}
+                      >
+                        {/* Table Number */}
+                        <div className="text-2xl font-bold text-center mb-2">
+                          {table.table_number}
+                        </div>
 
-                    {/* Order info if occupied */}
-                    {table.status === 'occupied' && table.current_order_id && (
-                      <div className="mt-3 pt-3 border-t border-orange-200">
-                        <div className="flex items-center justify-between text-xs text-surface-600 mb-1">
-                          <span className="flex items-center gap-1">
-                            <Clock className="w-3 h-3" />
-                            {table.order_opened_at 
-                              ? formatDistanceToNow(new Date(table.order_opened_at), { addSuffix: false })
-                              : '-'
-                            }
-                          </span>
+                        {/* Capacity */}
+                        <div className="flex items-center justify-center gap-1 text-sm text-surface-500 mb-2">
+                          <Users className="w-4 h-4" />
+                          {table.capacity}
                         </div>
-                        <div className="flex items-center justify-center text-sm font-semibold text-orange-700">
-                          <DollarSign className="w-4 h-4" />
-                          {formatCurrency(table.current_total)}
+
+                        {/* Status indicator */}
+                        <div className={`text-xs font-medium text-center py-1 px-2 rounded-full ${
+                          table.status === 'available' ? 'bg-green-100 text-green-700' :
+                          table.status === 'occupied' ? 'bg-orange-100 text-orange-700' :
+                          table.status === 'reserved' ? 'bg-blue-100 text-blue-700' :
+                          'bg-gray-100 text-gray-700'
+                        }`}>
+                          {table.status.charAt(0).toUpperCase() + table.status.slice(1)}
                         </div>
-                        {table.server_name && (
-                          <div className="text-xs text-center text-surface-500 mt-1 truncate">
-                            {table.server_name}
+
+                        {/* Booking holding the table */}
+                        {table.status === 'reserved' && table.reservation_id && (
+                          <div className="mt-3 pt-3 border-t border-blue-200 text-xs text-center text-surface-600">
+                            <div className="font-semibold text-blue-700 truncate">{table.reservation_guest_name}</div>
+                            {String(table.reserved_at).slice(11, 16)} · {table.reservation_party_size} guests
+                          </div>
+                        )}
+
+                        {/* Order info if occupied */}
+                        {table.status === 'occupied' && table.current_order_id && (
+                          <div className="mt-3 pt-3 border-t border-orange-200">
+                            <div className="flex items-center justify-between text-xs text-surface-600 mb-1">
+                              <span className="flex items-center gap-1">
+                                <Clock className="w-3 h-3" />
+                                {table.order_opened_at 
+                                  ? formatDistanceToNow(new Date(table.order_opened_at), { addSuffix: false })
+                                  : '-'
+                                }
+                              </span>
+                            </div>
+                            <div className="flex items-center justify-center text-sm font-semibold text-orange-700">
+                              <DollarSign className="w-4 h-4" />
+                              {formatCurrency(table.current_total)}
+                            </div>
+                            {table.server_name && (
+                              <div className="text-xs text-center text-surface-500 mt-1 truncate">
+                                {table.server_name}
+                              </div>
+                            )}
+                            {table.order_table_id && table.order_table_id !== table.id && (
+                              <div className="text-xs text-center text-orange-600 mt-1">
+                                Joined to table {tables.find(t => t.id === table.order_table_id)?.table_number}
+                              </div>
+                            )}
                           </div>
                         )}
                       </div>
-                    )}
+                    ))}
                   </div>
-                ))}
-              </div>
-            </div>
-          ))}
+                </div>
+              ))}
 
-          {filteredTables.length === 0 && (
-            <div className="text-center py-12 text-surface-500">
-              No tables found matching your criteria
+              {filteredTables.length === 0 && (
+                <div className="text-center py-12 text-surface-500">
+                  No tables found matching your criteria
+                </div>
+              )}
             </div>
           )}
         </div>
-      )}
+
+        {/* Walk-ins waiting for a table */}
+        <WaitlistPanel tables={tables} />
+      </div>
     </div>
   )
 }
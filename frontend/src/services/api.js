@@ -59,9 +59,10 @@ api.interceptors.response.use(
       return Promise.reject(error)
     }
 
-    // Don't show toast for login errors - AuthContext shows its own message
+    // Don't show toast for login errors - AuthContext shows its own message.
+    // Background requests that retry on their own pass { silent: true }.
     const isLoginRequest = error.config?.url?.includes('/auth/login')
-    if (!isLoginRequest) {
+    if (!isLoginRequest && !error.config?.silent) {
       toast.error(message)
     }
 
@@ -91,6 +92,15 @@ export const authAPI = {
     api.post('/auth/logout'),
 }
 
+// =====================
+// EVENTS API
+// =====================
+export const eventsAPI = {
+  // Single-use ticket for opening the event stream (EventSource cannot send the token header)
+  getTicket: () =>
+    api.post('/events/ticket', null, { silent: true }),
+}
+
 // =====================
 // TABLES API
 // =====================
@@ -129,6 +139,75 @@ export const tablesAPI = {
     api.patch(`/tables/${id}/status`, { status }),
 }
 
+export const reservationsAPI = {
+  getAll: (params = {}) => 
+    api.get('/reservations', { params }),
+  
+  getAvailableTables: (params) => 
+    api.get('/reservations/available-tables', { params }),
+  
+  getById: (id) => 
+    api.get(`/reservations/${id}`),
+  
+  create: (data) => 
+    api.post('/reservations', data),
+  
+  update: (id, data) => 
+    api.put(`/reservations/${id}`, data),
+  
+  seat: (id, tableId) => 
+    api.post(`/reservations/${id}/seat`, tableId ? { table_id: tableId } : {}),
+  
+  cancel: (id) => 
+    api.post(`/reservations/${id}/cancel`),
+  
+  noShow: (id) => 
+    api.post(`/reservations/${id}/no-show`),
+}
+
+export const waitlistAPI = {
+  getAll: (params = {}) => 
+    api.get('/waitlist', { params }),
+  
+  getEstimate: (partySize) => 
+    api.get('/waitlist/estimate', { params: { party_size: partySize } }),
+  
+  add: (data) => 
+    api.post('/waitlist', data),
+  
+  update: (id, data) => 
+    api.put(`/waitlist/${id}`, data),
+  
+  seat: (id, tableId) => 
+    api.post(`/waitlist/${id}/seat`, { table_id: tableId }),
+  
+  remove: (id) => 
+    api.post(`/waitlist/${id}/remove`),
+}
+
+// =====================
+// HANDOVERS API
+// =====================
+export const handoversAPI = {
+  getAll: (params = {}) => 
+    api.get('/handovers', { params }),
+  
+  getServers: () => 
+    api.get('/handovers/servers'),
+  
+  request: (data) => 
+    api.post('/handovers', data),
+  
+  accept: (ids) => 
+    api.post('/handovers/accept', { handover_ids: ids }),
+  
+  decline: (id) => 
+    api.post(`/handovers/${id}/decline`),
+  
+  cancel: (id) => 
+    api.post(`/handovers/${id}/cancel`),
+}
+
 // =====================
 // ORDERS API
 // =====================
@@ -157,8 +236,53 @@ export const ordersAPI = {
   removeItem: (orderId, itemId) => 
     api.delete(`/orders/${orderId}/items/${itemId}`),
   
+  transfer: (id, tableId) => 
+    api.post(`/orders/${id}/transfer`, { table_id: tableId }),
+  
+  joinTable: (id, tableId) => 
+    api.post(`/orders/${id}/tables`, { table_id: tableId }),
+  
+  releaseTable: (id, tableId) => 
+    api.delete(`/orders/${id}/tables/${tableId}`),
+  
+  merge: (id, sourceOrderId) => 
+    api.post(`/orders/${id}/merge`, { source_order_id: sourceOrderId }),
+  
   cancel: (id, reason) => 
     api.post(`/orders/${id}/cancel`, { reason }),
+  
+  getChecks: (orderId) => 
+    api.get(`/orders/${orderId}/checks`),
+  
+  split: (orderId, data) => 
+    api.post(`/orders/${orderId}/checks`, data),
+  
+  removeSplit: (orderId) => 
+    api.delete(`/orders/${orderId}/checks`),
+  
+  addDiscount: (orderId, data) => 
+    api.post(`/orders/${orderId}/discounts`, data),
+  
+  // approval: { approver_username, approver_pin } for staff without discounts:approve
+  removeDiscount: (orderId, discountId, approval = {}) => 
+    api.delete(`/orders/${orderId}/discounts/${discountId}`, { data: approval }),
+}
+
+// =====================
+// KITCHEN API
+// =====================
+export const kitchenAPI = {
+  getTickets: (status) => 
+    api.get('/kitchen/tickets', { params: status ? { status } : {} }),
+  
+  updateItemStatus: (itemId, status) => 
+    api.patch(`/kitchen/items/${itemId}/status`, { status }),
+  
+  bumpOrder: (orderId, from) => 
+    api.post(`/kitchen/orders/${orderId}/bump`, { from }),
+  
+  remakeItem: (itemId, data) => 
+    api.post(`/kitchen/items/${itemId}/remake`, data),
 }
 
 // =====================
@@ -229,6 +353,164 @@ export const categoriesAPI = {
     api.delete(`/products/categories/${id}`),
 }
 
+// =====================
+// TAX RATES API
+// =====================
+export const taxRatesAPI = {
+  getAll: (params = {}) => 
+    api.get('/tax-rates', { params }),
+  
+  create: (data) => 
+    api.post('/tax-rates', data),
+  
+  update: (id, data) => 
+    api.put(`/tax-rates/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/tax-rates/${id}`),
+}
+
+// =====================
+// PROMOTIONS API
+// =====================
+export const promotionsAPI = {
+  getAll: (params = {}) => 
+    api.get('/promotions', { params }),
+  
+  create: (data) => 
+    api.post('/promotions', data),
+  
+  update: (id, data) => 
+    api.put(`/promotions/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/promotions/${id}`),
+}
+
+export const modifierGroupsAPI = {
+  getAll: (params = {}) => 
+    api.get('/modifier-groups', { params }),
+  
+  create: (data) => 
+    api.post('/modifier-groups', data),
+  
+  update: (id, data) => 
+    api.put(`/modifier-groups/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/modifier-groups/${id}`),
+}
+
+export const ingredientsAPI = {
+  getAll: (params = {}) => 
+    api.get('/ingredients', { params }),
+  
+  create: (data) => 
+    api.post('/ingredients', data),
+  
+  update: (id, data) => 
+    api.put(`/ingredients/${id}`, data),
+  
+  updateStock: (id, data) => 
+    api.patch(`/ingredients/${id}/stock`, data),
+  
+  delete: (id) => 
+    api.delete(`/ingredients/${id}`),
+}
+
+export const stockMovementsAPI = {
+  getAll: (params = {}) => 
+    api.get('/stock-movements', { params }),
+  
+  getDiscrepancies: () => 
+    api.get('/stock-movements/reconcile'),
+  
+  reconcile: (data = {}) => 
+    api.post('/stock-movements/reconcile', data),
+}
+
+export const stockAlertsAPI = {
+  getAll: (params = {}) => 
+    api.get('/stock-alerts', { params }),
+  
+  acknowledge: (id) => 
+    api.post(`/stock-alerts/${id}/acknowledge`),
+  
+  snooze: (id, minutes) => 
+    api.post(`/stock-alerts/${id}/snooze`, { minutes }),
+}
+
+export const suppliersAPI = {
+  getAll: (params = {}) => 
+    api.get('/suppliers', { params }),
+  
+  create: (data) => 
+    api.post('/suppliers', data),
+  
+  update: (id, data) => 
+    api.put(`/suppliers/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/suppliers/${id}`),
+}
+
+export const purchaseOrdersAPI = {
+  getAll: (params = {}) => 
+    api.get('/purchase-orders', { params }),
+  
+  getOutstanding: () => 
+    api.get('/purchase-orders/outstanding'),
+  
+  getById: (id) => 
+    api.get(`/purchase-orders/${id}`),
+  
+  create: (data) => 
+    api.post('/purchase-orders', data),
+  
+  update: (id, data) => 
+    api.put(`/purchase-orders/${id}`, data),
+  
+  submit: (id) => 
+    api.post(`/purchase-orders/${id}/submit`),
+  
+  receive: (id, data) => 
+    api.post(`/purchase-orders/${id}/receive`, data),
+  
+  cancel: (id, reason) => 
+    api.post(`/purchase-orders/${id}/cancel`, { reason }),
+}
+
+export const stocktakesAPI = {
+  getAll: (params = {}) => 
+    api.get('/stocktakes', { params }),
+  
+  getById: (id) => 
+    api.get(`/stocktakes/${id}`),
+  
+  create: (data) => 
+    api.post('/stocktakes', data),
+  
+  saveCounts: (id, counts) => 
+    api.put(`/stocktakes/${id}/counts`, { counts }),
+  
+  post: (id) => 
+    api.post(`/stocktakes/${id}/post`),
+  
+  cancel: (id) => 
+    api.post(`/stocktakes/${id}/cancel`),
+}
+
+export const wasteAPI = {
+  getAll: (params = {}) => 
+    api.get('/waste', { params }),
+  
+  create: (data) => 
+    api.post('/waste', data),
+  
+  getReport: (startDate, endDate) => 
+    api.get('/waste/report', { params: { start_date: startDate, end_date: endDate } }),
+}
+
 // =====================
 // PAYMENTS API
 // =====================
@@ -245,6 +527,12 @@ export const paymentsAPI = {
   process: (data) => 
     api.post('/payments', data),
   
+  refund: (id, data) => 
+    api.post(`/payments/${id}/refund`, data),
+  
+  void: (id, data) => 
+    api.post(`/payments/${id}/void`, data),
+  
   getDailySummary: (date) => 
     api.get('/payments/summary/daily', { params: { date } }),
   
@@ -264,6 +552,29 @@ export const paymentMethodsAPI = {
     api.delete(`/payments/methods/${id}`),
 }
 
+// =====================
+// CASH DRAWER API
+// =====================
+export const cashSessionsAPI = {
+  getAll: (params = {}) => 
+    api.get('/cash-sessions', { params }),
+  
+  getCurrent: () => 
+    api.get('/cash-sessions/current'),
+  
+  getById: (id) => 
+    api.get(`/cash-sessions/${id}`),
+  
+  open: (data) => 
+    api.post('/cash-sessions', data),
+  
+  addMovement: (id, data) => 
+    api.post(`/cash-sessions/${id}/movements`, data),
+  
+  close: (id, data) => 
+    api.post(`/cash-sessions/${id}/close`, data),
+}
+
 // =====================
 // USERS API
 // =====================
@@ -288,6 +599,15 @@ export const usersAPI = {
   
   delete: (id) => 
     api.delete(`/users/${id}`),
+  
+  getSessions: (params) => 
+    api.get('/users/sessions', { params }),
+  
+  revokeSession: (sessionId) => 
+    api.delete(`/users/sessions/${sessionId}`),
+  
+  revokeUserSessions: (id) => 
+    api.delete(`/users/${id}/sessions`),
 }
 
 export default api
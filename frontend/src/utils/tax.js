@@ -0,0 +1,25 @@
+/**
+ * Tax breakdown by rate from order items (each item carries tax_rate, tax_inclusive, tax_amount).
+ * factor scales the amounts, e.g. for a check that pays an even share of the order.
+ */
+export function taxBreakdown(items, factor = 1) {
+  const rates = new Map()
+
+  for (const item of items || []) {
+    if (item.status === 'cancelled') continue
+    const rate = parseFloat(item.tax_rate) || 0
+    const net = parseFloat(item.subtotal) - parseFloat(item.discount_amount || 0)
+    const tax = parseFloat(item.tax_amount) || 0
+    const inclusive = !!item.tax_inclusive
+
+    const row = rates.get(rate) || { rate, taxable: 0, tax: 0, added: 0 }
+    row.taxable += (inclusive ? net - tax : net) * factor
+    row.tax += tax * factor
+    if (!inclusive) row.added += tax * factor
+    rates.set(rate, row)
+  }
+
+  return [...rates.values()]
+    .filter((row) => row.rate > 0)
+    .sort((a, b) => a.rate - b.rate)
+}
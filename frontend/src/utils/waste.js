@@ -0,0 +1,16 @@
+/**
+ * Waste reasons (same values as the backend's waste_entries.reason)
+ */
+export const WASTE_REASONS = [
+  { value: 'dropped', label: 'Dropped' },
+  { value: 'burnt', label: 'Burnt / overcooked' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'spoiled', label: 'Spoiled' },
+  { value: 'returned', label: 'Sent back by guest' },
+  { value: 'prep_error', label: 'Wrong order / prep error' },
+  { value: 'other', label: 'Other' },
+]
+
+export function wasteReasonLabel(value) {
+  return WASTE_REASONS.find((reason) => reason.value === value)?.label || value
+}